@@ -0,0 +1,371 @@
+// Bounding volume hierarchy over the triangles of every mesh in a scene
+//
+// Built with binned SAH splits. Nodes are stored flat: an interior node's
+// children sit at leftFirst and leftFirst + 1; a leaf (count > 0) owns the
+// triangles leftFirst .. leftFirst + count - 1 in BVH order.
+//
+// GPU layout (packForGPU), RGBA32F textures BVH.TEXTURE_WIDTH texels wide:
+//   nodes     - 2 texels per node:     (min.xyz, leftFirst), (max.xyz, count)
+//   triangles - 6 texels per triangle: (v0.xyz, meshIndex), v1, v2, n0, n1, n2
+
+export class BVH {
+    static get TEXTURE_WIDTH() {
+        return 1024;
+    }
+
+    static get MAX_LEAF_SIZE() {
+        return 4; // The shader's leaf loop is unrolled to this size
+    }
+
+    static get GPU_STACK_SIZE() {
+        return 64; // The shader's traversal stack; a tree of depth d needs d + 1 entries
+    }
+
+    constructor(meshes) {
+        this.meshes = meshes;
+
+        // Gather triangles from all meshes into flat arrays
+        const triangleCount = meshes.reduce((sum, m) => sum + m.triangleCount, 0);
+        this.triangleCount = triangleCount;
+        this.vertices = new Float32Array(triangleCount * 9); // v0, v1, v2
+        this.vertexNormals = new Float32Array(triangleCount * 9); // n0, n1, n2
+        this.meshIndex = new Uint32Array(triangleCount);
+
+        let t = 0;
+        meshes.forEach((mesh, m) => {
+            for (let i = 0; i < mesh.indices.length; i += 3, t++) {
+                for (let corner = 0; corner < 3; corner++) {
+                    const v = mesh.indices[i + corner] * 3;
+                    for (let k = 0; k < 3; k++) {
+                        this.vertices[t * 9 + corner * 3 + k] = mesh.positions[v + k];
+                        this.vertexNormals[t * 9 + corner * 3 + k] = mesh.normals[v + k];
+                    }
+                }
+                this.meshIndex[t] = m;
+            }
+        });
+
+        this.build();
+    }
+
+    build() {
+        const n = this.triangleCount;
+        const maxNodes = Math.max(1, 2 * n - 1);
+        this.nodeBounds = new Float32Array(maxNodes * 6); // min.xyz, max.xyz
+        this.nodeLeftFirst = new Uint32Array(maxNodes);
+        this.nodeCount = new Uint32Array(maxNodes);
+        this.order = new Uint32Array(n); // BVH order -> triangle index
+        for (let i = 0; i < n; i++) this.order[i] = i;
+
+        // Per-triangle bounds and centroids
+        this.centroids = new Float32Array(n * 3);
+        this.triangleBounds = new Float32Array(n * 6);
+        for (let t = 0; t < n; t++) {
+            for (let k = 0; k < 3; k++) {
+                const a = this.vertices[t * 9 + k];
+                const b = this.vertices[t * 9 + 3 + k];
+                const c = this.vertices[t * 9 + 6 + k];
+                this.triangleBounds[t * 6 + k] = Math.min(a, b, c);
+                this.triangleBounds[t * 6 + 3 + k] = Math.max(a, b, c);
+                this.centroids[t * 3 + k] = (a + b + c) / 3;
+            }
+        }
+
+        this.nodesUsed = 1;
+        this.depth = 0; // Edges on the longest root-to-leaf path
+        this.nodeLeftFirst[0] = 0;
+        this.nodeCount[0] = n;
+        this.updateNodeBounds(0);
+
+        // Iterative subdivision keeps deep trees off the call stack
+        const stack = n > 0 ? [[0, 0]] : [];
+        while (stack.length > 0) {
+            const [node, depth] = stack.pop();
+            const split = this.findSplit(node);
+            if (!split) continue;
+
+            const first = this.nodeLeftFirst[node];
+            const count = this.nodeCount[node];
+            let mid = this.partition(first, count, split.axis, split.position);
+            if ((mid === first || mid === first + count) && count > BVH.MAX_LEAF_SIZE) {
+                mid = this.partition(first, count, split.axis, null);
+            }
+            const leftCount = mid - first;
+            if (leftCount === 0 || leftCount === count) continue;
+
+            const left = this.nodesUsed;
+            this.nodesUsed += 2;
+            this.nodeLeftFirst[left] = first;
+            this.nodeCount[left] = leftCount;
+            this.nodeLeftFirst[left + 1] = mid;
+            this.nodeCount[left + 1] = count - leftCount;
+            this.nodeLeftFirst[node] = left;
+            this.nodeCount[node] = 0;
+            this.updateNodeBounds(left);
+            this.updateNodeBounds(left + 1);
+            this.depth = Math.max(this.depth, depth + 1);
+            stack.push([left, depth + 1], [left + 1, depth + 1]);
+        }
+
+        // Build-only data
+        this.centroids = null;
+        this.triangleBounds = null;
+    }
+
+    updateNodeBounds(node) {
+        const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+        const first = this.nodeLeftFirst[node];
+        for (let i = first; i < first + this.nodeCount[node]; i++) {
+            const t = this.order[i] * 6;
+            for (let k = 0; k < 3; k++) {
+                bounds[k] = Math.min(bounds[k], this.triangleBounds[t + k]);
+                bounds[3 + k] = Math.max(bounds[3 + k], this.triangleBounds[t + 3 + k]);
+            }
+        }
+        this.nodeBounds.set(bounds, node * 6);
+    }
+
+    // Best binned SAH split, or a median split when a leaf would be too large.
+    // Returns null when the node should stay a leaf.
+    findSplit(node, binCount = 12) {
+        const first = this.nodeLeftFirst[node];
+        const count = this.nodeCount[node];
+        if (count <= 2) return null;
+
+        const centroidMin = [Infinity, Infinity, Infinity];
+        const centroidMax = [-Infinity, -Infinity, -Infinity];
+        for (let i = first; i < first + count; i++) {
+            const c = this.order[i] * 3;
+            for (let k = 0; k < 3; k++) {
+                centroidMin[k] = Math.min(centroidMin[k], this.centroids[c + k]);
+                centroidMax[k] = Math.max(centroidMax[k], this.centroids[c + k]);
+            }
+        }
+
+        let best = null;
+        let bestCost = Infinity;
+        for (let axis = 0; axis < 3; axis++) {
+            const extent = centroidMax[axis] - centroidMin[axis];
+            if (extent <= 0) continue;
+
+            const binCounts = new Array(binCount).fill(0);
+            const binBounds = Array.from({ length: binCount }, () => this.emptyBounds());
+            const scale = binCount / extent;
+            for (let i = first; i < first + count; i++) {
+                const t = this.order[i];
+                const bin = Math.min(binCount - 1, Math.floor((this.centroids[t * 3 + axis] - centroidMin[axis]) * scale));
+                binCounts[bin]++;
+                this.growBounds(binBounds[bin], this.triangleBounds, t * 6);
+            }
+
+            // Sweep from both sides to get the area and count of every split candidate
+            const leftArea = [];
+            const leftCount = [];
+            let box = this.emptyBounds();
+            let sum = 0;
+            for (let i = 0; i < binCount - 1; i++) {
+                sum += binCounts[i];
+                this.growBounds(box, binBounds[i], 0);
+                leftCount.push(sum);
+                leftArea.push(this.surfaceArea(box));
+            }
+            box = this.emptyBounds();
+            sum = 0;
+            for (let i = binCount - 1; i > 0; i--) {
+                sum += binCounts[i];
+                this.growBounds(box, binBounds[i], 0);
+                const cost = leftCount[i - 1] * leftArea[i - 1] + sum * this.surfaceArea(box);
+                if (leftCount[i - 1] > 0 && sum > 0 && cost < bestCost) {
+                    bestCost = cost;
+                    best = { axis, position: centroidMin[axis] + i / scale };
+                }
+            }
+        }
+
+        // Compare against not splitting (traversal cost ~ one triangle test)
+        const nodeBox = Array.from(this.nodeBounds.subarray(node * 6, node * 6 + 6));
+        const leafCost = count * this.surfaceArea(nodeBox);
+        if (best && (bestCost + this.surfaceArea(nodeBox) < leafCost || count > BVH.MAX_LEAF_SIZE)) {
+            return best;
+        }
+        if (count <= BVH.MAX_LEAF_SIZE) return null;
+
+        // Coincident centroids: split the index range in half so leaves stay small
+        const axis = centroidMax[1] - centroidMin[1] > centroidMax[0] - centroidMin[0] ? 1 : 0;
+        return { axis, position: null };
+    }
+
+    // Partition [first, first + count) by centroid; position null splits the range in half
+    partition(first, count, axis, position) {
+        if (position === null) return first + (count >> 1);
+
+        let i = first;
+        let j = first + count - 1;
+        while (i <= j) {
+            if (this.centroids[this.order[i] * 3 + axis] < position) {
+                i++;
+            } else {
+                const swap = this.order[i];
+                this.order[i] = this.order[j];
+                this.order[j--] = swap;
+            }
+        }
+        return i;
+    }
+
+    emptyBounds() {
+        return [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    }
+
+    growBounds(bounds, source, offset) {
+        for (let k = 0; k < 3; k++) {
+            bounds[k] = Math.min(bounds[k], source[offset + k]);
+            bounds[3 + k] = Math.max(bounds[3 + k], source[offset + 3 + k]);
+        }
+    }
+
+    surfaceArea(bounds) {
+        const dx = bounds[3] - bounds[0];
+        const dy = bounds[4] - bounds[1];
+        const dz = bounds[5] - bounds[2];
+        if (!(dx >= 0 && dy >= 0 && dz >= 0)) return 0;
+        return dx * dy + dy * dz + dz * dx;
+    }
+
+    // Closest triangle hit along the ray before tMax:
+    // { t, point, normal, meshIndex } or null
+    intersect(ray, tMax = Infinity) {
+        if (this.triangleCount === 0) return null;
+
+        const o = ray.origin;
+        const d = ray.direction;
+        const invDir = [1 / d[0], 1 / d[1], 1 / d[2]];
+
+        let closestT = tMax;
+        let closestTriangle = -1;
+        let closestU = 0;
+        let closestV = 0;
+
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.intersectBounds(node, o, invDir) >= closestT) continue;
+
+            const count = this.nodeCount[node];
+            const leftFirst = this.nodeLeftFirst[node];
+            if (count > 0) {
+                for (let i = leftFirst; i < leftFirst + count; i++) {
+                    const t = this.order[i];
+                    const hit = this.intersectTriangle(t, o, d);
+                    if (hit && hit.t < closestT) {
+                        closestT = hit.t;
+                        closestTriangle = t;
+                        closestU = hit.u;
+                        closestV = hit.v;
+                    }
+                }
+            } else {
+                // Visit the nearer child first
+                const tLeft = this.intersectBounds(leftFirst, o, invDir);
+                const tRight = this.intersectBounds(leftFirst + 1, o, invDir);
+                if (tLeft <= tRight) {
+                    if (tRight < closestT) stack.push(leftFirst + 1);
+                    if (tLeft < closestT) stack.push(leftFirst);
+                } else {
+                    if (tLeft < closestT) stack.push(leftFirst);
+                    if (tRight < closestT) stack.push(leftFirst + 1);
+                }
+            }
+        }
+
+        if (closestTriangle < 0) return null;
+
+        // Smooth normal from the vertex normals
+        const w = 1 - closestU - closestV;
+        const nb = closestTriangle * 9;
+        const n = this.vertexNormals;
+        const normal = [
+            w * n[nb] + closestU * n[nb + 3] + closestV * n[nb + 6],
+            w * n[nb + 1] + closestU * n[nb + 4] + closestV * n[nb + 7],
+            w * n[nb + 2] + closestU * n[nb + 5] + closestV * n[nb + 8]
+        ];
+        const len = Math.hypot(normal[0], normal[1], normal[2]) || 1;
+
+        return {
+            t: closestT,
+            point: [o[0] + d[0] * closestT, o[1] + d[1] * closestT, o[2] + d[2] * closestT],
+            normal: [normal[0] / len, normal[1] / len, normal[2] / len],
+            meshIndex: this.meshIndex[closestTriangle]
+        };
+    }
+
+    // Slab test; returns the entry distance or Infinity on a miss
+    intersectBounds(node, o, invDir) {
+        const b = node * 6;
+        let tNear = 0.001;
+        let tFar = Infinity;
+        for (let k = 0; k < 3; k++) {
+            let t1 = (this.nodeBounds[b + k] - o[k]) * invDir[k];
+            let t2 = (this.nodeBounds[b + 3 + k] - o[k]) * invDir[k];
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            if (!(t1 <= tFar)) return Infinity; // Also rejects NaN from 0 * Infinity
+            tNear = Math.max(tNear, t1);
+            tFar = Math.min(tFar, t2);
+            if (tNear > tFar) return Infinity;
+        }
+        return tNear;
+    }
+
+    // Möller-Trumbore; returns { t, u, v } or null
+    intersectTriangle(triangle, o, d) {
+        const p = this.vertices;
+        const b = triangle * 9;
+        const e1 = [p[b + 3] - p[b], p[b + 4] - p[b + 1], p[b + 5] - p[b + 2]];
+        const e2 = [p[b + 6] - p[b], p[b + 7] - p[b + 1], p[b + 8] - p[b + 2]];
+
+        const pv = [d[1] * e2[2] - d[2] * e2[1], d[2] * e2[0] - d[0] * e2[2], d[0] * e2[1] - d[1] * e2[0]];
+        const det = e1[0] * pv[0] + e1[1] * pv[1] + e1[2] * pv[2];
+        if (Math.abs(det) < 1e-12) return null;
+        const invDet = 1 / det;
+
+        const s = [o[0] - p[b], o[1] - p[b + 1], o[2] - p[b + 2]];
+        const u = (s[0] * pv[0] + s[1] * pv[1] + s[2] * pv[2]) * invDet;
+        if (u < 0 || u > 1) return null;
+
+        const q = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+        const v = (d[0] * q[0] + d[1] * q[1] + d[2] * q[2]) * invDet;
+        if (v < 0 || u + v > 1) return null;
+
+        const t = (e2[0] * q[0] + e2[1] * q[1] + e2[2] * q[2]) * invDet;
+        return t > 0.001 ? { t, u, v } : null;
+    }
+
+    // Pack nodes and triangles (in BVH order) into RGBA float texture data
+    packForGPU() {
+        const width = BVH.TEXTURE_WIDTH;
+        const nodeRows = Math.max(1, Math.ceil(this.nodesUsed * 2 / width));
+        const triangleRows = Math.max(1, Math.ceil(this.triangleCount * 6 / width));
+        const nodes = new Float32Array(width * nodeRows * 4);
+        const triangles = new Float32Array(width * triangleRows * 4);
+
+        for (let node = 0; node < this.nodesUsed; node++) {
+            const o = node * 8;
+            nodes.set(this.nodeBounds.subarray(node * 6, node * 6 + 3), o);
+            nodes[o + 3] = this.nodeLeftFirst[node];
+            nodes.set(this.nodeBounds.subarray(node * 6 + 3, node * 6 + 6), o + 4);
+            nodes[o + 7] = this.nodeCount[node];
+        }
+
+        for (let i = 0; i < this.triangleCount; i++) {
+            const t = this.order[i];
+            const o = i * 24;
+            for (let corner = 0; corner < 3; corner++) {
+                triangles.set(this.vertices.subarray(t * 9 + corner * 3, t * 9 + corner * 3 + 3), o + corner * 4);
+                triangles.set(this.vertexNormals.subarray(t * 9 + corner * 3, t * 9 + corner * 3 + 3), o + 12 + corner * 4);
+            }
+            triangles[o + 3] = this.meshIndex[t];
+        }
+
+        return { width, nodes, nodeRows, triangles, triangleRows };
+    }
+}
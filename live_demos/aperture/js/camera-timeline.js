@@ -0,0 +1,287 @@
+// Keyframe timeline for camera and scene parameters (rack focus, tilt-shift sweeps)
+//
+// A track animates one property, addressed by a dotted path from { camera, scene }:
+//   "camera.focusDistance", "camera.focusPointA", "scene.lights.0.intensity"
+// Values are numbers, number arrays ([x, y, z]) or { x, y, z } points, interpolated
+// per component; booleans and strings switch at each key. A key's interpolation
+// shapes the segment that starts at it.
+//
+// {
+//   "format": "aperture-timeline", "version": 1, "fps": 24,
+//   "tracks": [ { "target": "camera.focusDistance", "scale": "linear",
+//                 "keys": [ { "time": 0, "value": 2 }, { "time": 3, "value": 8, "interpolation": "smooth" } ] } ]
+// }
+
+export class CameraTimeline {
+    static get FORMAT() {
+        return 'aperture-timeline';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get INTERPOLATIONS() {
+        return ['linear', 'smooth', 'catmull-rom', 'step'];
+    }
+
+    // Parameters offered in the timeline panel. f-stops and focus distances are
+    // keyed on a log scale so pulls move evenly in stops and dioptre-like steps.
+    static get PARAMETERS() {
+        return [
+            { target: 'camera.focusDistance', label: 'Focus Distance', scale: 'log' },
+            { target: 'camera.apertureFStop', label: 'Aperture (f-stop)', scale: 'log' },
+            { target: 'camera.focalLength', label: 'Focal Length' },
+            { target: 'camera.filmTiltX', label: 'Film Tilt X' },
+            { target: 'camera.filmTiltY', label: 'Film Tilt Y' },
+            { target: 'camera.filmShiftX', label: 'Film Shift X' },
+            { target: 'camera.filmShiftY', label: 'Film Shift Y' },
+            { target: 'camera.focusPointA', label: 'Focus Point A' },
+            { target: 'camera.focusPointB', label: 'Focus Point B' },
+            { target: 'camera.focusPointC', label: 'Focus Point C' },
+            { target: 'camera.yaw', label: 'Camera Yaw' },
+            { target: 'camera.pitch', label: 'Camera Pitch' },
+            { target: 'camera.distance', label: 'Camera Distance' },
+            { target: 'camera.lookAt', label: 'Look At' }
+        ];
+    }
+
+    // Camera properties derived by Camera.updateRotation()
+    static get ORBIT_FIELDS() {
+        return ['camera.yaw', 'camera.pitch', 'camera.distance', 'camera.lookAt'];
+    }
+
+    constructor() {
+        this.fps = 24;
+        this.tracks = []; // [{ target, scale, keys: [{ time, value, interpolation }] }], keys sorted by time
+    }
+
+    get duration() {
+        let end = 0;
+        for (const track of this.tracks) {
+            if (track.keys.length > 0) end = Math.max(end, track.keys[track.keys.length - 1].time);
+        }
+        return end;
+    }
+
+    // Times of every frame from 0 to the last key inclusive
+    frameTimes(fps = this.fps) {
+        const count = Math.floor(this.duration * fps + 1e-6) + 1;
+        return Array.from({ length: count }, (_, i) => i / fps);
+    }
+
+    getTrack(target) {
+        return this.tracks.find(track => track.target === target) || null;
+    }
+
+    // Add or replace the key at time. Returns the track.
+    addKey(target, time, value, interpolation = 'linear', scale = null) {
+        let track = this.getTrack(target);
+        if (!track) {
+            const parameter = CameraTimeline.PARAMETERS.find(p => p.target === target);
+            track = { target, scale: scale || (parameter && parameter.scale) || 'linear', keys: [] };
+            this.tracks.push(track);
+        }
+
+        const key = { time, value: CameraTimeline.toStored(value), interpolation };
+        const index = track.keys.findIndex(k => Math.abs(k.time - time) < 1e-6);
+        if (index >= 0) {
+            track.keys[index] = key;
+        } else {
+            track.keys.push(key);
+            track.keys.sort((a, b) => a.time - b.time);
+        }
+        return track;
+    }
+
+    // Key the property's current value, read from root ({ camera, scene })
+    captureKey(target, time, root, interpolation = 'linear') {
+        const value = CameraTimeline.getPath(root, target);
+        if (value === undefined) {
+            console.warn(`⚠️ Timeline: ${target} does not exist`);
+            return null;
+        }
+        return this.addKey(target, time, value, interpolation);
+    }
+
+    removeKey(target, time) {
+        const track = this.getTrack(target);
+        if (!track) return;
+        track.keys = track.keys.filter(k => Math.abs(k.time - time) >= 1e-6);
+        if (track.keys.length === 0) this.tracks = this.tracks.filter(t => t !== track);
+    }
+
+    clear() {
+        this.tracks = [];
+    }
+
+    // Value of every track at time: Map target -> value
+    evaluate(time) {
+        const values = new Map();
+        for (const track of this.tracks) {
+            if (track.keys.length > 0) values.set(track.target, CameraTimeline.evaluateTrack(track, time));
+        }
+        return values;
+    }
+
+    // Write the values at time into root ({ camera, scene }). Returns errors for
+    // targets that do not resolve or hold a different kind of value.
+    apply(root, time) {
+        const errors = [];
+        let orbit = false;
+        for (const [target, value] of this.evaluate(time)) {
+            if (!CameraTimeline.setPath(root, target, value)) {
+                errors.push(`${target}: not found or not the same kind of value`);
+            } else if (CameraTimeline.ORBIT_FIELDS.includes(target)) {
+                orbit = true;
+            }
+        }
+        if (orbit && root.camera && root.camera.updateRotation) root.camera.updateRotation();
+        return errors;
+    }
+
+    static evaluateTrack(track, time) {
+        const keys = track.keys;
+        if (time <= keys[0].time) return keys[0].value;
+        if (time >= keys[keys.length - 1].time) return keys[keys.length - 1].value;
+
+        let i = 0;
+        while (keys[i + 1].time < time) i++;
+        const k0 = keys[i], k1 = keys[i + 1];
+        const u = (time - k0.time) / (k1.time - k0.time);
+
+        if (k0.interpolation === 'step' || typeof k0.value !== 'number' && !Array.isArray(k0.value)) {
+            return k0.value;
+        }
+
+        const log = track.scale === 'log';
+        const forward = v => (log ? Math.log(Math.max(v, 1e-6)) : v);
+        const inverse = v => (log ? Math.exp(v) : v);
+        const mix = (a, b, c, d) => {
+            if (k0.interpolation === 'catmull-rom') return this.catmullRom(a, b, c, d, u);
+            const t = k0.interpolation === 'smooth' ? u * u * (3 - 2 * u) : u;
+            return b + (c - b) * t;
+        };
+
+        // Neighbours for Catmull-Rom; the ends repeat the outer keys
+        const before = keys[Math.max(i - 1, 0)].value;
+        const after = keys[Math.min(i + 2, keys.length - 1)].value;
+        const component = (a, b, c, d) => inverse(mix(forward(a), forward(b), forward(c), forward(d)));
+
+        if (Array.isArray(k0.value)) {
+            return k0.value.map((v, c) => component(before[c], v, k1.value[c], after[c]));
+        }
+        return component(before, k0.value, k1.value, after);
+    }
+
+    static catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t, t3 = t2 * t;
+        return 0.5 * ((2 * p1) + (-p0 + p2) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+    }
+
+    // Points are stored as [x, y, z] so every numeric value is a number or an array
+    static toStored(value) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && 'x' in value) {
+            return [value.x, value.y, value.z];
+        }
+        return Array.isArray(value) ? [...value] : value;
+    }
+
+    static getPath(root, path) {
+        return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root);
+    }
+
+    // Assign value at path, keeping the existing value's shape ({ x, y, z } points stay objects)
+    static setPath(root, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root);
+        if (!parent || typeof parent !== 'object' || !(last in parent)) return false;
+
+        const current = parent[last];
+        if (current && typeof current === 'object' && !Array.isArray(current) && 'x' in current) {
+            if (!Array.isArray(value) || value.length !== 3) return false;
+            parent[last] = { ...current, x: value[0], y: value[1], z: value[2] };
+        } else if (Array.isArray(current)) {
+            if (!Array.isArray(value) || value.length !== current.length) return false;
+            parent[last] = [...value];
+        } else {
+            if (typeof value !== typeof current) return false;
+            parent[last] = value;
+        }
+        return true;
+    }
+
+    static sameShape(value, reference) {
+        if (Array.isArray(reference)) {
+            return Array.isArray(value) && value.length === reference.length && value.every(v => typeof v === 'number' && isFinite(v));
+        }
+        return typeof value === typeof reference && (typeof value !== 'number' || isFinite(value));
+    }
+
+    toJSON() {
+        return {
+            format: CameraTimeline.FORMAT,
+            version: CameraTimeline.VERSION,
+            fps: this.fps,
+            tracks: this.tracks.map(track => ({
+                target: track.target,
+                scale: track.scale,
+                keys: track.keys.map(k => ({ time: k.time, value: k.value, interpolation: k.interpolation }))
+            }))
+        };
+    }
+
+    stringify() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    // Returns { timeline, errors }; timeline is null if anything is invalid
+    static parse(text) {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            return { timeline: null, errors: [`Invalid JSON: ${e.message}`] };
+        }
+
+        const errors = [];
+        if (!data || data.format !== this.FORMAT) errors.push(`"format" must be "${this.FORMAT}"`);
+        if (data && data.version > this.VERSION) errors.push(`Version ${data.version} is newer than supported (${this.VERSION})`);
+        if (data && data.fps !== undefined && !(typeof data.fps === 'number' && data.fps > 0)) errors.push('"fps" must be a positive number');
+        if (!data || !Array.isArray(data.tracks)) errors.push('"tracks" must be an array');
+        if (errors.length > 0) return { timeline: null, errors };
+
+        const timeline = new CameraTimeline();
+        if (data.fps) timeline.fps = data.fps;
+        data.tracks.forEach((track, i) => {
+            if (typeof track?.target !== 'string') {
+                errors.push(`tracks[${i}].target: expected a path such as "camera.focusDistance"`);
+                return;
+            }
+            if (track.scale !== undefined && !['linear', 'log'].includes(track.scale)) {
+                errors.push(`tracks[${i}].scale: expected "linear" or "log"`);
+            }
+            if (!Array.isArray(track.keys) || track.keys.length === 0) {
+                errors.push(`tracks[${i}].keys: expected at least one key`);
+                return;
+            }
+            const first = this.toStored(track.keys[0]?.value);
+            track.keys.forEach((key, k) => {
+                const where = `tracks[${i}].keys[${k}]`;
+                const value = this.toStored(key?.value);
+                if (typeof key?.time !== 'number' || !isFinite(key.time) || key.time < 0) {
+                    errors.push(`${where}.time: expected a number >= 0`);
+                } else if (value === undefined || !this.sameShape(value, first)) {
+                    errors.push(`${where}.value: expected ${Array.isArray(first) ? `[${first.length} numbers]` : `a ${typeof first}`} like the first key`);
+                } else if (key.interpolation !== undefined && !this.INTERPOLATIONS.includes(key.interpolation)) {
+                    errors.push(`${where}.interpolation: expected one of ${this.INTERPOLATIONS.join(', ')}`);
+                } else {
+                    timeline.addKey(track.target, key.time, value, key.interpolation || 'linear', track.scale);
+                }
+            });
+        });
+
+        return errors.length > 0 ? { timeline: null, errors } : { timeline, errors };
+    }
+}
@@ -1,3 +1,6 @@
+import { LensPrescription } from './lens-prescription.js';
+import { Random } from './random.js';
+
 export class Camera {
     constructor() {
         // Camera type and settings
@@ -27,7 +30,8 @@ export class Camera {
         // Lens settings
         this.focalLength = 50; // mm (standard lens)
         this.focusDistance = 5.0; // Focus on center objects (not camera distance)
-        this.lensElements = 3; // Number of lens elements
+        this.lensSystem = LensPrescription.createLensSystem(LensPrescription.LIBRARY['double-gauss']); // Prescription traced by the compound-lens camera
+        this.lensSystemKey = null; // Parameters the lens system was last configured with
         
         // Film/sensor settings (in camera local space)
         this.filmShiftX = 0.0; // meters, right
@@ -39,6 +43,10 @@ export class Camera {
         this.filmCurvature = 0;
         this.aspectRatio = 16 / 9;
         this.enableTiltShift = false; // Enable virtual plane tilt-shift rendering
+        this.enableNewTiltShift = false; // Focus plane through focusPointA/B/C (set by the simulator)
+        
+        // Aperture and pupil sampling (the CPU RayTracer shares and seeds this)
+        this.rng = new Random();
         
         // Sensor viewport offset (for panning to see shifted image)
         this.sensorOffsetX = 0.0; // normalized units (-1 to 1, 0 = center)
@@ -80,6 +88,10 @@ export class Camera {
         this.cwTofShowReconstruction = false; // Show reconstructed depth from 4-phase algorithm
         this.cwTofPhaseShifts = []; // Store 4 phase-shifted captures for processing
         this.cwTofMinSPP = 100; // Minimum samples per pixel before capturing (reduces noise)
+        this.cwTofFrequencies = []; // Extra-range capture set in Hz, e.g. [80e6, 100e6]; empty = single frequency
+        this.cwTofDisambiguation = 'lookup'; // 'lookup' or 'crt' phase disambiguation
+        this.cwTofMultipath = false; // Simulate multipath interference from all bounces
+        this.cwTofConfidenceThreshold = 0.1; // Reconstructed pixels below this confidence are greyed out
         
         // Off-Axis Holography (single-shot spatial phase encoding)
         this.enableOffAxisHolography = false;
@@ -143,25 +155,19 @@ export class Camera {
         return (this.focalLength / this.apertureFStop / 2) / 1000; // Convert to meters
     }
     
+    // Current compound lens as an exportable prescription (scaled and focused)
     getLensData() {
-        // Generate lens element positions for compound lens
-        const elements = [];
-        const spacing = 0.02; // 20mm between elements
-        
-        for (let i = 0; i < this.lensElements; i++) {
-            const z = -this.focalLength / 1000 / 2 + i * spacing;
-            const curvature = (i % 2 === 0) ? 0.05 : -0.05;
-            const radius = 0.015; // 15mm radius
-            
-            elements.push({
-                position: z,
-                curvature: curvature,
-                radius: radius,
-                ior: 1.5 // Glass refractive index
-            });
-        }
-        
-        return elements;
+        return this.updateLensSystem().toPrescription();
+    }
+    
+    // Swap in a new lens prescription. Returns validation errors; the current lens is kept if any.
+    setLensPrescription(prescription) {
+        const errors = LensPrescription.validate(prescription);
+        if (errors.length > 0) return errors;
+        
+        this.lensSystem = LensPrescription.createLensSystem(prescription);
+        this.lensSystemKey = null;
+        return [];
     }
     
     getFilmPosition() {
@@ -362,17 +368,90 @@ export class Camera {
         };
     }
     
+    // Reconfigure the lens stack only when a parameter it depends on has changed
+    updateLensSystem() {
+        const filmDiagonal = this.filmSize + 2000 * Math.sqrt(this.filmShiftX * this.filmShiftX + this.filmShiftY * this.filmShiftY);
+        const key = [this.focalLength, this.focusDistance, this.apertureFStop, filmDiagonal,
+                     this.apertureShape, this.apertureBlades].join('|');
+        
+        if (key !== this.lensSystemKey) {
+            this.lensSystem.configure({
+                focalLength: this.focalLength,
+                focusDistance: this.focusDistance,
+                fStop: this.apertureFStop,
+                filmDiagonal: filmDiagonal,
+                apertureTest: (x, y) => this.apertureContains(x, y)
+            });
+            this.lensSystemKey = key;
+        }
+        
+        return this.lensSystem;
+    }
+    
+    // Film plane in lens space (mm); positive filmShiftZ moves the film toward the lens
+    getLensFilmZ() {
+        return this.lensSystem.filmZ - this.filmShiftZ * 1000;
+    }
+    
     generateCompoundLensRay(u, v, basis) {
-        // Use same logic as thin lens for now
-        return this.generateThinLensRay(u, v, basis);
+        const lens = this.updateLensSystem();
+        
+        // Film dimensions (mm) from the diagonal
+        const filmHeight = this.filmSize / Math.sqrt(1 + this.aspectRatio * this.aspectRatio);
+        const filmWidth = filmHeight * this.aspectRatio;
+        
+        // Film point in lens space, relative to the film center.
+        // A real lens forms an inverted image, so flip to keep the picture upright.
+        let filmPoint = [
+            -(u * filmWidth / 2 + this.filmShiftX * 1000),
+            -(v * filmHeight / 2 + this.filmShiftY * 1000),
+            0
+        ];
+        
+        // Apply film tilt (Scheimpflug principle)
+        const filmTransform = this.getFilmTransform();
+        if (filmTransform.tiltX !== 0 || filmTransform.tiltY !== 0) {
+            filmPoint = this.rotatePoint(filmPoint, filmTransform.tiltX, filmTransform.tiltY);
+        }
+        
+        // Apply film curvature (edges bend toward the lens, same magnitude as the thin lens)
+        if (this.filmCurvature !== 0) {
+            const r = Math.sqrt(filmPoint[0] * filmPoint[0] + filmPoint[1] * filmPoint[1]) / 1000;
+            filmPoint[2] -= r * r * this.filmCurvature * 20;
+        }
+        filmPoint[2] += this.getLensFilmZ();
+        
+        // Aim at the part of the rear element that can see through the stop
+        const pupil = lens.samplePupil(filmPoint, this.rng.random(), this.rng.random());
+        if (!pupil) return null;
+        
+        const exit = lens.traceToScene(filmPoint, this.normalize(this.subtract(pupil.point, filmPoint)));
+        if (!exit) return null; // Vignetted by an element, the stop, or TIR
+        
+        // Lens space -> camera space: the stop sits at the camera origin and
+        // lens +Z (toward the film) is camera +Z (w points backward)
+        const stopZ = lens.getStopZ();
+        const origin = [exit.origin[0] / 1000, exit.origin[1] / 1000, (exit.origin[2] - stopZ) / 1000];
+        
+        const worldOrigin = [
+            basis.u[0] * origin[0] + basis.v[0] * origin[1] + basis.w[0] * origin[2],
+            basis.u[1] * origin[0] + basis.v[1] * origin[1] + basis.w[1] * origin[2],
+            basis.u[2] * origin[0] + basis.v[2] * origin[1] + basis.w[2] * origin[2]
+        ];
+        
+        return {
+            origin: this.add(this.position, worldOrigin),
+            direction: this.transformDirection(exit.direction, basis),
+            weight: pupil.weight
+        };
     }
     
     sampleAperture() {
         // Sample a point on the aperture based on shape
         if (this.apertureShape === 'circular') {
             return this.sampleCircle();
-        } else if (this.apertureShape === 'hexagonal') {
-            return this.samplePolygon(6);
+        } else if (this.apertureShape === 'hexagonal' || this.apertureShape === 'polygon') {
+            return this.samplePolygon(Math.max(this.apertureBlades, 3));
         } else if (this.apertureShape === 'square') {
             return this.sampleSquare();
         } else if (this.apertureShape === 'star') {
@@ -381,34 +460,65 @@ export class Camera {
         return [0, 0];
     }
     
+    // Point-in-aperture test for coordinates normalized to the aperture radius.
+    // Shapes match what sampleAperture draws (and the shader's apertureShapeContains).
+    apertureContains(x, y) {
+        const r = Math.sqrt(x * x + y * y);
+        
+        if (this.apertureShape === 'hexagonal' || this.apertureShape === 'polygon') {
+            const sides = Math.max(this.apertureBlades, 3);
+            const segment = 2 * Math.PI / sides;
+            const theta = Math.atan2(y, x) + Math.PI / 2;
+            const local = ((theta % segment) + segment) % segment - segment / 2;
+            return r * Math.cos(local) <= Math.cos(Math.PI / sides);
+        } else if (this.apertureShape === 'square') {
+            return Math.abs(x) <= 1 && Math.abs(y) <= 1;
+        } else if (this.apertureShape === 'star') {
+            const segment = 2 * Math.PI / 6;
+            let theta = Math.atan2(y, x);
+            if (theta < 0) theta += 2 * Math.PI;
+            const t = (theta % segment) / segment;
+            const starRadius = t < 0.5 ? 1.0 - t * 1.6 : 0.2 + (t - 0.5) * 1.6;
+            return r <= starRadius;
+        }
+        return r <= 1;
+    }
+    
     sampleCircle() {
-        const r = Math.sqrt(Math.random());
-        const theta = Math.random() * 2 * Math.PI;
+        const r = Math.sqrt(this.rng.random());
+        const theta = this.rng.random() * 2 * Math.PI;
         return [r * Math.cos(theta), r * Math.sin(theta)];
     }
     
     sampleSquare() {
-        return [Math.random() * 2 - 1, Math.random() * 2 - 1];
+        return [this.rng.random() * 2 - 1, this.rng.random() * 2 - 1];
     }
     
     samplePolygon(sides) {
-        // Sample inside a regular polygon using triangle decomposition
-        // Much faster than rejection sampling
-        const angle = Math.random() * 2 * Math.PI / sides;
-        const r = Math.sqrt(Math.random()) * Math.cos(Math.PI / sides);
-        
-        const baseAngle = Math.floor(Math.random() * sides) * (2 * Math.PI / sides);
+        // Sample inside the regular polygon apertureContains tests (vertices on the unit
+        // circle, the first one straight down): pick one of the triangles from the centre
+        // to two adjacent vertices, then a uniform point in it (same as the shader)
+        const triangle = Math.floor(this.rng.random() * sides);
+        const angle1 = (triangle / sides) * 2 * Math.PI - Math.PI / 2;
+        const angle2 = ((triangle + 1) / sides) * 2 * Math.PI - Math.PI / 2;
+        
+        let u = this.rng.random();
+        let v = this.rng.random();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
         
         return [
-            r * Math.cos(baseAngle + angle),
-            r * Math.sin(baseAngle + angle)
+            u * Math.cos(angle1) + v * Math.cos(angle2),
+            u * Math.sin(angle1) + v * Math.sin(angle2)
         ];
     }
     
     sampleStar(points) {
         // Sample inside a star shape with thin, pronounced spikes
-        const r = Math.sqrt(Math.random());
-        const theta = Math.random() * 2 * Math.PI;
+        const r = Math.sqrt(this.rng.random());
+        const theta = this.rng.random() * 2 * Math.PI;
         
         // Modulate radius based on angle for star effect
         // Make spikes very thin and pronounced
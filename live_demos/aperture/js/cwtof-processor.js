@@ -1,16 +1,54 @@
 // CW-ToF Processor for 4-phase depth reconstruction
 // Implements multi-phase depth extraction from interference patterns
 
+import { PhaseUnwrap } from './phase-unwrap.js';
+
 export class CWToFProcessor {
     constructor(size) {
         this.size = size;
-        this.phaseCaptures = [null, null, null, null]; // Store 4 phase captures
+        this.frequencies = []; // Modulation frequencies (Hz) of a multi-frequency capture
+        this.phaseCaptures = [[null, null, null, null]]; // 4 phase captures per frequency
+        this.disambiguation = 'lookup'; // 'lookup' or 'crt', see reconstructMultiFrequency
         this.reconstructedDepth = null;
         this.unwrappedDepth = null;
+        this.wrappedPhase = null; // Raw 4-phase result in radians [0, 2π)
+        this.amplitude = null; // Modulation amplitude, used as unwrapping quality
+        this.modulationWavelength = 0;
+        this.unwrapMethod = 'quality'; // See PhaseUnwrap.METHODS
+        this.residueMap = null;
+        this.residueCount = 0;
+        this.depthRange = null; // [min, max] of the unwrapped depth in meters
+        this.depthMeters = null; // Multi-frequency depth in meters
+        this.confidence = null; // Per-pixel confidence [0, 1]
+        this.unambiguousRange = 0; // Meters
+    }
+    
+    static get SPEED_OF_LIGHT() {
+        return 299792458;
+    }
+    
+    // Wrap-count residual (in cycles) that drops a pixel's consistency to 1/e
+    static get CONSISTENCY_SCALE() {
+        return 0.1;
+    }
+    
+    // Unambiguous range of a frequency set: half the wavelength of their greatest
+    // common divisor (frequencies are compared in whole kHz)
+    static unambiguousRange(frequencies) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        const common = frequencies.map(f => Math.round(f / 1e3)).reduce(gcd) * 1e3;
+        return this.SPEED_OF_LIGHT / (2 * common);
+    }
+    
+    // Start a new capture set, one group of 4 phase captures per frequency
+    setFrequencies(frequencies) {
+        this.reset();
+        this.frequencies = [...frequencies];
+        this.phaseCaptures = frequencies.map(() => [null, null, null, null]);
     }
     
     // Capture interference pattern at specific phase offset
-    capturePhase(gl, width, height, phaseIndex) {
+    capturePhase(gl, width, height, phaseIndex, frequencyIndex = 0) {
         const n = this.size;
         const pixels = new Uint8Array(width * height * 4);
         gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
@@ -20,7 +58,7 @@ export class CWToFProcessor {
         const cropX = Math.floor((width - minDim) / 2);
         const cropY = Math.floor((height - minDim) / 2);
         
-        this.phaseCaptures[phaseIndex] = new Float32Array(n * n);
+        const capture = new Float32Array(n * n);
         
         for (let y = 0; y < n; y++) {
             for (let x = 0; x < n; x++) {
@@ -35,36 +73,65 @@ export class CWToFProcessor {
                 const b = pixels[srcIdx + 2] / 255.0;
                 const intensity = (r + g + b) / 3.0;
                 
-                this.phaseCaptures[phaseIndex][y * n + x] = intensity;
+                capture[y * n + x] = intensity;
             }
         }
         
-        console.log(`Captured phase ${phaseIndex} (${phaseIndex * 90}°)`);
+        if (!this.phaseCaptures[frequencyIndex]) this.phaseCaptures[frequencyIndex] = [null, null, null, null];
+        this.phaseCaptures[frequencyIndex][phaseIndex] = capture;
+        console.log(`Captured phase ${phaseIndex} (${phaseIndex * 90}°)` +
+            (this.frequencies.length > 1 ? ` at ${(this.frequencies[frequencyIndex] / 1e6).toFixed(0)} MHz` : ''));
     }
     
-    // Reconstruct depth using 4-phase algorithm
-    reconstructDepth(modulationFreq) {
-        if (!this.phaseCaptures.every(p => p !== null)) {
-            console.error('Not all 4 phase captures are available!');
-            return;
+    // 4-bucket demodulation of one frequency's captures. The shader adds the
+    // capture's phase offset θ to the object phase, so I(θ) ~ B + A cos(φ + θ) and
+    // φ = atan2(I270 - I90, I0 - I180). Returns { phase [0, 2π), amplitude, contrast }
+    // with contrast = A / B, which is 1 for full-visibility fringes and 0 for
+    // background or pixels whose returns cancel out (multipath).
+    demodulate(frequencyIndex = 0) {
+        const captures = this.phaseCaptures[frequencyIndex];
+        if (!captures || !captures.every(p => p !== null)) {
+            console.error(`Not all 4 phase captures are available${this.frequencies.length > 1 ? ` for frequency ${frequencyIndex}` : ''}!`);
+            return null;
         }
         
-        const n = this.size;
-        const I0 = this.phaseCaptures[0];   // 0°
-        const I90 = this.phaseCaptures[1];  // 90°
-        const I180 = this.phaseCaptures[2]; // 180°
-        const I270 = this.phaseCaptures[3]; // 270°
+        const count = this.size * this.size;
+        const [I0, I90, I180, I270] = captures;
+        const phase = new Float32Array(count);
+        const amplitude = new Float32Array(count);
+        const contrast = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const sine = I270[i] - I90[i];
+            const cosine = I0[i] - I180[i];
+            let p = Math.atan2(sine, cosine);
+            if (p < 0) p += 2 * Math.PI;
+            phase[i] = p;
+            amplitude[i] = 0.5 * Math.sqrt(sine * sine + cosine * cosine);
+            const offset = 0.25 * (I0[i] + I90[i] + I180[i] + I270[i]);
+            contrast[i] = offset > 1e-4 ? Math.min(1, amplitude[i] / offset) : 0;
+        }
+        return { phase, amplitude, contrast };
+    }
+    
+    // Reconstruct depth using 4-phase algorithm (first frequency of the capture set)
+    reconstructDepth(modulationFreq) {
+        const result = this.demodulate(0);
+        if (!result) return;
         
+        const n = this.size;
         this.reconstructedDepth = new Float32Array(n * n);
-        
-        // Speed of light in m/s
-        const c = 299792458;
+        this.wrappedPhase = result.phase;
+        this.amplitude = result.amplitude;
+        this.confidence = result.contrast;
+        this.depthMeters = null;
         
         // Modulation wavelength in meters
-        const lambda_mod = c / modulationFreq;
+        const lambda_mod = CWToFProcessor.SPEED_OF_LIGHT / modulationFreq;
+        this.modulationWavelength = lambda_mod;
         
         // Unambiguous range (half modulation wavelength)
         const unambiguousRange = lambda_mod / 2;
+        this.unambiguousRange = unambiguousRange;
         
         console.log(`4-phase reconstruction:`);
         console.log(`  Modulation freq: ${(modulationFreq / 1e6).toFixed(1)} MHz`);
@@ -75,15 +142,7 @@ export class CWToFProcessor {
         let minDepth = Infinity, maxDepth = -Infinity;
         
         for (let i = 0; i < n * n; i++) {
-            // 4-phase algorithm
-            const numerator = I90[i] - I270[i];
-            const denominator = I0[i] - I180[i];
-            
-            // Extract phase
-            let phase = Math.atan2(numerator, denominator);
-            
-            // Phase is in [-π, π], convert to [0, 2π]
-            if (phase < 0) phase += 2 * Math.PI;
+            const phase = this.wrappedPhase[i];
             
             // Convert phase to depth
             // depth = (phase / (4π)) × λ_mod
@@ -109,47 +168,209 @@ export class CWToFProcessor {
         }
     }
     
-    // Simple phase unwrapping (row-by-row)
-    unwrapDepth() {
+    // Dual/triple-frequency reconstruction. Each frequency alone only knows depth
+    // modulo c / 2f; combining them extends the range to c / 2gcd(f):
+    //   'lookup' - try every wrap count of the highest frequency within the extended
+    //              range and keep the depth whose predicted phases best match all
+    //              frequencies (the approach used by commercial multi-frequency sensors)
+    //   'crt'    - Chinese remainder theorem on the integer frequency ratios, solved
+    //              pairwise; exact for clean data, less forgiving of phase noise
+    // Produces depthMeters, a normalized unwrappedDepth for display and confidence
+    // (lowest fringe contrast over the frequencies x wrap-count consistency).
+    reconstructMultiFrequency(method = this.disambiguation) {
+        const frequencies = this.frequencies;
+        if (frequencies.length < 2) {
+            console.error('Multi-frequency reconstruction needs at least 2 frequencies!');
+            return;
+        }
+        if (method !== 'lookup' && method !== 'crt') {
+            console.error(`Unknown disambiguation method "${method}"`);
+            return;
+        }
+        
+        const demodulated = [];
+        for (let k = 0; k < frequencies.length; k++) {
+            const result = this.demodulate(k);
+            if (!result) return;
+            demodulated.push(result);
+        }
+        
         const n = this.size;
-        this.unwrappedDepth = new Float32Array(n * n);
+        const c = CWToFProcessor.SPEED_OF_LIGHT;
+        const ranges = frequencies.map(f => c / (2 * f)); // Per-frequency unambiguous range
+        this.unambiguousRange = CWToFProcessor.unambiguousRange(frequencies);
         
-        // Copy first pixel
-        this.unwrappedDepth[0] = this.reconstructedDepth[0];
+        console.log(`${frequencies.length}-frequency reconstruction (${method}):`);
+        console.log(`  Frequencies: ${frequencies.map(f => (f / 1e6).toFixed(0)).join(' + ')} MHz`);
+        console.log(`  Unambiguous range: ${ranges.map(r => r.toFixed(2)).join(' / ')} m → ${this.unambiguousRange.toFixed(2)} m`);
         
-        // Unwrap each row
-        for (let y = 0; y < n; y++) {
-            if (y === 0) {
-                this.unwrappedDepth[0] = this.reconstructedDepth[0];
-            } else {
-                // Connect to previous row
-                const idx = y * n;
-                const prevIdx = (y - 1) * n;
-                let diff = this.reconstructedDepth[idx] - this.unwrappedDepth[prevIdx];
-                if (diff > 0.5) diff -= 1.0;
-                if (diff < -0.5) diff += 1.0;
-                this.unwrappedDepth[idx] = this.unwrappedDepth[prevIdx] + diff;
+        this.depthMeters = new Float32Array(n * n);
+        this.confidence = new Float32Array(n * n);
+        const fractions = new Float64Array(frequencies.length);
+        const weights = new Float64Array(frequencies.length);
+        let minDepth = Infinity, maxDepth = -Infinity;
+        let lowConfidence = 0;
+        
+        for (let i = 0; i < n * n; i++) {
+            let contrast = 1;
+            for (let k = 0; k < frequencies.length; k++) {
+                fractions[k] = demodulated[k].phase[i] / (2 * Math.PI);
+                weights[k] = demodulated[k].amplitude[i];
+                contrast = Math.min(contrast, demodulated[k].contrast[i]);
             }
             
-            // Unwrap along row
-            for (let x = 1; x < n; x++) {
-                const idx = y * n + x;
-                const prevIdx = y * n + (x - 1);
-                let diff = this.reconstructedDepth[idx] - this.unwrappedDepth[prevIdx];
-                
-                // Detect wrapping
-                if (diff > 0.5) diff -= 1.0;
-                if (diff < -0.5) diff += 1.0;
-                
-                this.unwrappedDepth[idx] = this.unwrappedDepth[prevIdx] + diff;
+            const depth = method === 'crt'
+                ? CWToFProcessor.disambiguateCRT(fractions, frequencies) * this.unambiguousRange
+                : CWToFProcessor.disambiguateLookup(fractions, ranges, this.unambiguousRange);
+            const residual = CWToFProcessor.wrapResidual(depth, fractions, ranges, weights);
+            
+            this.depthMeters[i] = depth;
+            this.confidence[i] = contrast * Math.exp(-Math.pow(residual / CWToFProcessor.CONSISTENCY_SCALE, 2));
+            if (this.confidence[i] < 0.1) lowConfidence++;
+            if (depth < minDepth) minDepth = depth;
+            if (depth > maxDepth) maxDepth = depth;
+        }
+        
+        this.depthRange = [minDepth, maxDepth];
+        this.unwrappedDepth = new Float32Array(n * n);
+        this.reconstructedDepth = this.unwrappedDepth;
+        const range = maxDepth - minDepth;
+        for (let i = 0; i < n * n; i++) {
+            this.unwrappedDepth[i] = range > 0 ? (this.depthMeters[i] - minDepth) / range : 0;
+        }
+        
+        // Spatial unwrapping does not apply: every pixel is resolved on its own
+        this.wrappedPhase = null;
+        this.residueMap = null;
+        this.residueCount = 0;
+        
+        console.log(`  Depth range: [${minDepth.toFixed(3)}, ${maxDepth.toFixed(3)}] m`);
+        console.log(`  Low confidence (< 0.1): ${lowConfidence}/${n * n} pixels (${(100 * lowConfidence / (n * n)).toFixed(1)}%)`);
+    }
+    
+    // Lookup disambiguation: depth in meters within [0, maxRange)
+    static disambiguateLookup(fractions, ranges, maxRange) {
+        // Enumerate wrap counts of the frequency with the shortest range (finest phase)
+        let finest = 0;
+        for (let k = 1; k < ranges.length; k++) {
+            if (ranges[k] < ranges[finest]) finest = k;
+        }
+        
+        const wraps = Math.ceil(maxRange / ranges[finest]);
+        let bestDepth = 0, bestCost = Infinity;
+        for (let w = 0; w < wraps; w++) {
+            const candidate = (w + fractions[finest]) * ranges[finest];
+            if (candidate >= maxRange) break;
+            let cost = 0;
+            for (let k = 0; k < ranges.length; k++) {
+                const error = CWToFProcessor.wrapCycles(candidate / ranges[k] - fractions[k]);
+                cost += error * error;
+            }
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestDepth = candidate;
             }
         }
         
-        // Normalize to [0, 1]
+        // Refine: average every frequency's estimate next to the chosen depth
+        let sum = 0, weightSum = 0;
+        for (let k = 0; k < ranges.length; k++) {
+            const cycles = bestDepth / ranges[k];
+            const estimate = (cycles - CWToFProcessor.wrapCycles(cycles - fractions[k])) * ranges[k];
+            const weight = 1 / (ranges[k] * ranges[k]); // Finer phase = more precise
+            sum += estimate * weight;
+            weightSum += weight;
+        }
+        return Math.min(maxRange, Math.max(0, sum / weightSum));
+    }
+    
+    // CRT disambiguation: fraction [0, 1) of the combined unambiguous range.
+    // Frequencies are folded in pairwise; each pair (fa, fb) with g = gcd(fa, fb),
+    // Ma = fa / g and Mb = fb / g (coprime) gives Mb·na - Ma·nb = round(Ma·pb - Mb·pa),
+    // so na ≡ r·Mb⁻¹ (mod Ma).
+    static disambiguateCRT(fractions, frequencies) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        let frequency = Math.round(frequencies[0] / 1e3); // kHz
+        let fraction = fractions[0];
+        for (let k = 1; k < frequencies.length; k++) {
+            const other = Math.round(frequencies[k] / 1e3);
+            const g = gcd(frequency, other);
+            const Ma = frequency / g, Mb = other / g;
+            const r = Math.round(Ma * fractions[k] - Mb * fraction);
+            const na = ((r * CWToFProcessor.modularInverse(Mb, Ma)) % Ma + Ma) % Ma;
+            
+            // Both estimates of the position within g's range, averaged with weights
+            // favoring the higher frequency (its phase is Ma or Mb times finer)
+            const xa = (na + fraction) / Ma;
+            let xb = (Math.round(xa * Mb - fractions[k]) + fractions[k]) / Mb;
+            if (xb - xa > 0.5) xb -= 1;
+            if (xa - xb > 0.5) xb += 1;
+            const x = (xa * Ma * Ma + xb * Mb * Mb) / (Ma * Ma + Mb * Mb);
+            fraction = x - Math.floor(x);
+            frequency = g;
+        }
+        return fraction;
+    }
+    
+    // x⁻¹ mod m (extended Euclid); 0 when m is 1
+    static modularInverse(x, m) {
+        if (m === 1) return 0;
+        let [a, b, u, v] = [x % m, m, 1, 0];
+        while (b !== 0) {
+            const q = Math.floor(a / b);
+            [a, b] = [b, a - q * b];
+            [u, v] = [v, u - q * v];
+        }
+        return ((u % m) + m) % m;
+    }
+    
+    // Wrap a difference in cycles to [-0.5, 0.5)
+    static wrapCycles(value) {
+        return value - Math.round(value);
+    }
+    
+    // Amplitude-weighted RMS difference (in cycles) between the phases predicted by
+    // depth and the measured ones; near 0 when all frequencies agree
+    static wrapResidual(depth, fractions, ranges, weights) {
+        let sum = 0, weightSum = 0;
+        for (let k = 0; k < ranges.length; k++) {
+            const error = this.wrapCycles(depth / ranges[k] - fractions[k]);
+            sum += weights[k] * error * error;
+            weightSum += weights[k];
+        }
+        return weightSum > 0 ? Math.sqrt(sum / weightSum) : 0.5;
+    }
+    
+    // 2D phase unwrapping of the 4-phase result (method from PhaseUnwrap.METHODS),
+    // weighted by modulation amplitude so dim edge pixels are unwrapped last
+    unwrapDepth(method = this.unwrapMethod) {
+        if (!this.wrappedPhase) {
+            console.error('Reconstruct depth before unwrapping!');
+            return;
+        }
+        
+        const n = this.size;
+        const result = PhaseUnwrap.unwrap(this.wrappedPhase, n, n, method, { amplitude: this.amplitude });
+        if (!result) return;
+        
+        this.residueMap = result.residues;
+        this.residueCount = result.residueCount;
+        
+        // Unwrapping only fixes depth up to whole wraps: put the nearest point inside
+        // the first unambiguous range
+        let minPhase = Infinity;
+        for (let i = 0; i < n * n; i++) minPhase = Math.min(minPhase, result.unwrapped[i]);
+        const offset = -2 * Math.PI * Math.floor(minPhase / (2 * Math.PI));
+        
+        // Phase to depth, then normalize to [0, 1] for display
+        const scale = this.modulationWavelength / (4 * Math.PI);
+        this.unwrappedDepth = new Float32Array(n * n);
         let minDepth = Infinity, maxDepth = -Infinity;
         for (let i = 0; i < n * n; i++) {
-            if (this.unwrappedDepth[i] < minDepth) minDepth = this.unwrappedDepth[i];
-            if (this.unwrappedDepth[i] > maxDepth) maxDepth = this.unwrappedDepth[i];
+            const depth = (result.unwrapped[i] + offset) * scale;
+            this.unwrappedDepth[i] = depth;
+            if (depth < minDepth) minDepth = depth;
+            if (depth > maxDepth) maxDepth = depth;
         }
         
         const range = maxDepth - minDepth;
@@ -158,14 +379,24 @@ export class CWToFProcessor {
                 this.unwrappedDepth[i] = (this.unwrappedDepth[i] - minDepth) / range;
             }
         }
+        this.depthRange = [minDepth, maxDepth];
         
-        console.log(`Unwrapped depth: range [${minDepth.toFixed(3)}, ${maxDepth.toFixed(3)}]`);
+        console.log(`Unwrapped depth (${method}): range [${minDepth.toFixed(3)}, ${maxDepth.toFixed(3)}] m, ${this.residueCount} residues`);
     }
     
     // Reset captures
     reset() {
-        this.phaseCaptures = [null, null, null, null];
+        this.frequencies = [];
+        this.phaseCaptures = [[null, null, null, null]];
         this.reconstructedDepth = null;
         this.unwrappedDepth = null;
+        this.wrappedPhase = null;
+        this.amplitude = null;
+        this.residueMap = null;
+        this.residueCount = 0;
+        this.depthRange = null;
+        this.depthMeters = null;
+        this.confidence = null;
+        this.unambiguousRange = 0;
     }
 }
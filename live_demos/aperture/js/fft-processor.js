@@ -1,6 +1,8 @@
 // FFT Processor for Off-Axis Holography
 // Implements 2D FFT using Cooley-Tukey algorithm
 
+import { PhaseUnwrap } from './phase-unwrap.js';
+
 export class FFTProcessor {
     constructor(size) {
         this.size = size; // Must be power of 2
@@ -13,6 +15,10 @@ export class FFTProcessor {
         this.filteredImag = null; // Filtered sideband imaginary
         this.filteredMagnitude = null; // Filtered magnitude (for display)
         this.reconstructedPhase = null; // Final phase map (depth)
+        this.phaseMask = null; // 1 where the IFFT magnitude is high enough to trust the phase
+        this.unwrapMethod = 'quality'; // See PhaseUnwrap.METHODS
+        this.residueMap = null; // Residue charges of the wrapped phase (+1 / -1 / 0)
+        this.residueCount = 0;
         
         // SNAPSHOT copies for visualization (NEVER modified after initial copy)
         this.fftRealSnapshot = null;
@@ -618,6 +624,7 @@ export class FFTProcessor {
         // Extract phase (this is the depth information!)
         // BUT: Only trust phase where magnitude is significant!
         this.reconstructedPhase = new Float32Array(n * n);
+        this.phaseMask = new Uint8Array(n * n);
         let minPhase = Infinity;
         let maxPhase = -Infinity;
         
@@ -635,6 +642,7 @@ export class FFTProcessor {
             if (mag > magnitudeThreshold) {
                 const phase = Math.atan2(imag, real);
                 this.reconstructedPhase[i] = phase;
+                this.phaseMask[i] = 1;
                 if (phase < minPhase) minPhase = phase;
                 if (phase > maxPhase) maxPhase = phase;
             } else {
@@ -665,43 +673,27 @@ export class FFTProcessor {
         //console.log('Reconstruction complete!');
     }
     
-    // Simple phase unwrapping (row-by-row)
-    unwrapPhase() {
+    // 2D phase unwrapping (method from PhaseUnwrap.METHODS). Masked pixels are
+    // kept out of the unwrapping paths; also records the residue map of the wrapped phase.
+    unwrapPhase(method = this.unwrapMethod) {
         const n = this.size;
-        const unwrapped = new Float32Array(n * n);
-        
-        // Copy first pixel
-        unwrapped[0] = this.reconstructedPhase[0];
         
-        // Unwrap each row
-        for (let y = 0; y < n; y++) {
-            // First pixel of row
-            if (y === 0) {
-                unwrapped[0] = this.reconstructedPhase[0];
-            } else {
-                // Connect to previous row
-                const idx = y * n;
-                const prevIdx = (y - 1) * n;
-                let diff = this.reconstructedPhase[idx] - unwrapped[prevIdx];
-                if (diff > 0.5) diff -= 1.0;
-                if (diff < -0.5) diff += 1.0;
-                unwrapped[idx] = unwrapped[prevIdx] + diff;
-            }
-            
-            // Unwrap along row
-            for (let x = 1; x < n; x++) {
-                const idx = y * n + x;
-                const prevIdx = y * n + (x - 1);
-                let diff = this.reconstructedPhase[idx] - unwrapped[prevIdx];
-                
-                // Detect wrapping (phase jump > 0.5 in normalized [0,1] range)
-                if (diff > 0.5) diff -= 1.0;
-                if (diff < -0.5) diff += 1.0;
-                
-                unwrapped[idx] = unwrapped[prevIdx] + diff;
-            }
+        // Back from normalized [0, 1] to radians
+        const wrapped = new Float32Array(n * n);
+        for (let i = 0; i < n * n; i++) {
+            wrapped[i] = (this.reconstructedPhase[i] * 2 - 1) * Math.PI;
         }
         
+        const result = PhaseUnwrap.unwrap(wrapped, n, n, method, {
+            mask: this.phaseMask,
+            amplitude: this.ifftMagnitude
+        });
+        if (!result) return;
+        
+        this.residueMap = result.residues;
+        this.residueCount = result.residueCount;
+        const unwrapped = result.unwrapped;
+        
         // Normalize to [0, 1] for visualization
         let minPhase = Infinity, maxPhase = -Infinity;
         for (let i = 0; i < n * n; i++) {
@@ -717,7 +709,7 @@ export class FFTProcessor {
         }
         
         this.unwrappedPhase = unwrapped;
-        console.log(`Phase unwrapped: range ${minPhase.toFixed(3)} to ${maxPhase.toFixed(3)}`);
+        console.log(`Phase unwrapped (${method}): range ${minPhase.toFixed(3)} to ${maxPhase.toFixed(3)} rad, ${this.residueCount} residues`);
     }
     
     // OLD filterSideband code below (keeping structure)
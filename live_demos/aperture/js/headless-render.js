@@ -0,0 +1,63 @@
+// Render a scene file with the CPU RayTracer without a canvas or DOM
+//
+// The scene description is the same JSON the Save Scene button writes (see
+// scene-file.js). With a seed the result is identical on every run, which is
+// what the regression tools in ../tools rely on.
+
+import { Scene } from './scene.js';
+import { Camera } from './camera.js';
+import { RayTracer } from './raytracer.js';
+import { SceneFile } from './scene-file.js';
+import { MaterialPresets } from './material-presets.js';
+
+export class HeadlessRender {
+    static get DEFAULTS() {
+        return {
+            width: 160,
+            height: 90,
+            samples: 16,
+            seed: 1,
+            maxBounces: 3,
+            enableVPT: false
+        };
+    }
+
+    // Returns { image, errors, stats } where image is { width, height, pixels } (see image-io.js).
+    // options.prepare(scene, camera) runs after the scene is loaded and may return errors
+    // (the timeline renderer uses it to pose each frame).
+    static render(sceneData, options = {}) {
+        const settings = { ...this.DEFAULTS, ...options };
+        for (const key of ['width', 'height', 'samples']) {
+            if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+                return { image: null, errors: [`${key}: expected a positive integer`], stats: null };
+            }
+        }
+
+        const scene = new Scene();
+        const camera = new Camera();
+        const errors = SceneFile.apply(sceneData, scene, camera, MaterialPresets.ALL);
+        if (errors.length > 0) return { image: null, errors, stats: null };
+        if (settings.prepare) {
+            const prepareErrors = settings.prepare(scene, camera) || [];
+            if (prepareErrors.length > 0) return { image: null, errors: prepareErrors, stats: null };
+        }
+
+        const rayTracer = new RayTracer(null, scene, camera);
+        rayTracer.maxBounces = settings.maxBounces;
+        rayTracer.enableVPT = settings.enableVPT;
+        rayTracer.setSize(settings.width, settings.height);
+        rayTracer.setSeed(settings.seed);
+
+        const startTime = performance.now();
+        let rays = 0;
+        for (rayTracer.currentSample = 0; rayTracer.currentSample < settings.samples; rayTracer.currentSample++) {
+            rays += rayTracer.tracePass();
+        }
+
+        return {
+            image: { width: settings.width, height: settings.height, pixels: rayTracer.getPixels() },
+            errors: [],
+            stats: { rays, milliseconds: performance.now() - startTime }
+        };
+    }
+}
@@ -0,0 +1,497 @@
+// Image encoding, decoding and comparison without a DOM (works in the browser and in Node)
+//
+// Images are { width, height, pixels } with pixels a Float32Array of linear RGB,
+// 3 floats per pixel, top row first (encodePFM also takes channels: 1 for a single
+// float per pixel). PNG stores gamma 2.2 encoded 8-bit RGB (the same curve
+// RayTracer.present uses); PFM and EXR store the linear floats unchanged.
+
+export class ImageIO {
+    // Portable float map ("PF" colour or "Pf" greyscale, little endian). PFM rows run bottom to top.
+    static encodePFM(image) {
+        const { width, height, pixels } = image;
+        const channels = image.channels === 1 ? 1 : 3;
+        const header = new TextEncoder().encode(`${channels === 1 ? 'Pf' : 'PF'}\n${width} ${height}\n-1.0\n`);
+        const bytes = new Uint8Array(header.length + width * height * channels * 4);
+        bytes.set(header);
+
+        const view = new DataView(bytes.buffer, header.length);
+        for (let y = 0; y < height; y++) {
+            const row = (height - 1 - y) * width * channels;
+            for (let i = 0; i < width * channels; i++) {
+                view.setFloat32((y * width * channels + i) * 4, pixels[row + i], true);
+            }
+        }
+        return bytes;
+    }
+
+    // Returns { image, errors }
+    static decodePFM(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        // Header: magic, width, height and scale, then one whitespace byte before the data
+        const tokens = [];
+        let offset = 0;
+        const isSpace = byte => byte === 0x20 || byte === 0x0A || byte === 0x0D || byte === 0x09;
+        while (tokens.length < 4 && offset < bytes.length) {
+            while (offset < bytes.length && isSpace(bytes[offset])) offset++;
+            let token = '';
+            while (offset < bytes.length && !isSpace(bytes[offset]) && token.length < 32) {
+                token += String.fromCharCode(bytes[offset++]);
+            }
+            tokens.push(token);
+        }
+        offset++;
+
+        const [magic, widthText, heightText, scaleText] = tokens;
+        if (magic !== 'PF' && magic !== 'Pf') {
+            return { image: null, errors: ['Not a PFM file (expected "PF" or "Pf")'] };
+        }
+        const width = parseInt(widthText, 10);
+        const height = parseInt(heightText, 10);
+        const scale = parseFloat(scaleText);
+        if (!(width > 0 && height > 0) || !Number.isFinite(scale) || scale === 0) {
+            return { image: null, errors: [`Bad PFM header "${tokens.slice(1).join(' ')}"`] };
+        }
+
+        const channels = magic === 'PF' ? 3 : 1;
+        if (bytes.length - offset < width * height * channels * 4) {
+            return { image: null, errors: ['PFM pixel data is truncated'] };
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+        const littleEndian = scale < 0;
+        const pixels = new Float32Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            const row = (height - 1 - y) * width;
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    const source = ((y * width + x) * channels + Math.min(c, channels - 1)) * 4;
+                    pixels[(row + x) * 3 + c] = view.getFloat32(source, littleEndian);
+                }
+            }
+        }
+        return { image: { width, height, pixels }, errors: [] };
+    }
+
+    // OpenEXR: single part, scanline, uncompressed, 32-bit float channels. layers maps
+    // extra channel names (e.g. 'depth.Z') to a Float32Array with one value per pixel,
+    // stored alongside R, G and B.
+    static encodeEXR(image, layers = {}) {
+        const { width, height, pixels } = image;
+        const channels = [
+            { name: 'R', read: i => pixels[i * 3 + 0] },
+            { name: 'G', read: i => pixels[i * 3 + 1] },
+            { name: 'B', read: i => pixels[i * 3 + 2] },
+            ...Object.entries(layers).map(([name, values]) => ({ name, read: i => values[i] }))
+        ];
+        // Channels are stored sorted by name (byte order)
+        channels.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const attribute = (name, type, value) => {
+            const size = new Uint8Array(4);
+            new DataView(size.buffer).setUint32(0, value.length, true);
+            parts.push(encoder.encode(`${name}\0${type}\0`), size, value);
+        };
+        const bytesOf = (length, write) => {
+            const bytes = new Uint8Array(length);
+            write(new DataView(bytes.buffer));
+            return bytes;
+        };
+
+        const channelList = [];
+        for (const channel of channels) {
+            // pixel type 2 = FLOAT, pLinear + 3 reserved bytes, x/y sampling 1
+            channelList.push(encoder.encode(`${channel.name}\0`), bytesOf(16, v => {
+                v.setInt32(0, 2, true);
+                v.setInt32(8, 1, true);
+                v.setInt32(12, 1, true);
+            }));
+        }
+        channelList.push(new Uint8Array(1));
+        const box = bytesOf(16, v => {
+            v.setInt32(8, width - 1, true);
+            v.setInt32(12, height - 1, true);
+        });
+
+        parts.push(bytesOf(8, v => {
+            v.setUint32(0, 20000630, true); // Magic number
+            v.setUint32(4, 2, true); // Version 2, single part scanline
+        }));
+        attribute('channels', 'chlist', this.concat(channelList));
+        attribute('compression', 'compression', new Uint8Array([0]));
+        attribute('dataWindow', 'box2i', box);
+        attribute('displayWindow', 'box2i', box);
+        attribute('lineOrder', 'lineOrder', new Uint8Array([0])); // Increasing y
+        attribute('pixelAspectRatio', 'float', bytesOf(4, v => v.setFloat32(0, 1, true)));
+        attribute('screenWindowCenter', 'v2f', new Uint8Array(8));
+        attribute('screenWindowWidth', 'float', bytesOf(4, v => v.setFloat32(0, 1, true)));
+        parts.push(new Uint8Array(1));
+        const header = this.concat(parts);
+
+        // Offset table, then one block per scanline: y, byte count, each channel's row
+        const rowBytes = width * channels.length * 4;
+        const tableBytes = height * 8;
+        const bytes = new Uint8Array(header.length + tableBytes + height * (8 + rowBytes));
+        bytes.set(header);
+        const view = new DataView(bytes.buffer);
+        for (let y = 0; y < height; y++) {
+            const block = header.length + tableBytes + y * (8 + rowBytes);
+            view.setBigUint64(header.length + y * 8, BigInt(block), true);
+            view.setInt32(block, y, true);
+            view.setInt32(block + 4, rowBytes, true);
+            let offset = block + 8;
+            for (const channel of channels) {
+                for (let x = 0; x < width; x++, offset += 4) {
+                    view.setFloat32(offset, channel.read(y * width + x), true);
+                }
+            }
+        }
+        return bytes;
+    }
+
+    // Uncompressed scanline OpenEXR with HALF or FLOAT channels. Returns
+    // { image, layers, errors }: R, G, B (or Y as grey) form the image, every other
+    // channel is returned in layers by name.
+    static decodeEXR(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const fail = message => ({ image: null, layers: {}, errors: [message] });
+        if (bytes.length < 8 || view.getUint32(0, true) !== 20000630) {
+            return fail('Not an OpenEXR file');
+        }
+        if (view.getUint32(4, true) & 0x1E00) {
+            return fail('Only single-part scanline OpenEXR files are supported');
+        }
+
+        let offset = 8;
+        const readString = () => {
+            let text = '';
+            while (offset < bytes.length && bytes[offset] !== 0) text += String.fromCharCode(bytes[offset++]);
+            offset++;
+            return text;
+        };
+
+        const channels = [];
+        let compression = -1, box = null;
+        while (offset < bytes.length) {
+            const name = readString();
+            if (name === '') break;
+            const type = readString();
+            if (offset + 4 > bytes.length) return fail('OpenEXR header is truncated');
+            const size = view.getUint32(offset, true);
+            const start = offset + 4;
+            offset = start + size;
+            if (offset > bytes.length) return fail('OpenEXR header is truncated');
+
+            if (name === 'channels' && type === 'chlist') {
+                // name, NUL, then pixel type, pLinear, reserved and sampling (16 bytes)
+                let p = start;
+                while (p < offset && bytes[p] !== 0) {
+                    let channelName = '';
+                    while (p < offset && bytes[p] !== 0) channelName += String.fromCharCode(bytes[p++]);
+                    if (p + 17 > offset) return fail('OpenEXR channel list is truncated');
+                    channels.push({ name: channelName, type: view.getInt32(p + 1, true) });
+                    p += 17;
+                }
+            } else if (name === 'compression') {
+                compression = bytes[start];
+            } else if (name === 'dataWindow') {
+                if (size < 16) return fail('OpenEXR data window is truncated');
+                box = [0, 4, 8, 12].map(o => view.getInt32(start + o, true));
+            }
+        }
+
+        if (compression !== 0) return fail(`Compressed OpenEXR files are not supported (compression ${compression})`);
+        if (!box || channels.length === 0) return fail('OpenEXR header has no channels or data window');
+        if (channels.some(c => c.type !== 1 && c.type !== 2)) return fail('Only HALF and FLOAT OpenEXR channels are supported');
+
+        const width = box[2] - box[0] + 1;
+        const height = box[3] - box[1] + 1;
+        if (!(width > 0 && height > 0)) return fail(`OpenEXR data window is empty (${width}x${height})`);
+        // Uncompressed: an 8-byte offset per row and at least 2 bytes per channel sample
+        if (height * 8 + width * height * channels.length * 2 > bytes.length - offset) {
+            return fail(`OpenEXR data window (${width}x${height}) is larger than the file's pixel data`);
+        }
+        const values = channels.map(() => new Float32Array(width * height));
+        const tableStart = offset;
+        for (let row = 0; row < height; row++) {
+            if (tableStart + row * 8 + 8 > bytes.length) return fail('OpenEXR offset table is truncated');
+            let p = Number(view.getBigUint64(tableStart + row * 8, true));
+            if (p + 8 > bytes.length) return fail('OpenEXR scanline offset is out of range');
+            const y = view.getInt32(p, true) - box[1];
+            p += 8;
+            if (y < 0 || y >= height) return fail(`OpenEXR scanline ${y} is outside the data window`);
+            for (let c = 0; c < channels.length; c++) {
+                const half = channels[c].type === 1;
+                if (p + width * (half ? 2 : 4) > bytes.length) return fail('OpenEXR pixel data is truncated');
+                for (let x = 0; x < width; x++) {
+                    values[c][y * width + x] = half ? this.halfToFloat(view.getUint16(p, true)) : view.getFloat32(p, true);
+                    p += half ? 2 : 4;
+                }
+            }
+        }
+
+        const byName = Object.fromEntries(channels.map((c, i) => [c.name, values[i]]));
+        const grey = byName.Y;
+        const sources = [byName.R || grey, byName.G || grey, byName.B || grey];
+        const pixels = new Float32Array(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) pixels[i * 3 + c] = sources[c] ? sources[c][i] : 0;
+        }
+
+        const layers = {};
+        for (const [name, data] of Object.entries(byName)) {
+            if (!['R', 'G', 'B', 'Y'].includes(name)) layers[name] = data;
+        }
+        return { image: { width, height, pixels }, layers, errors: [] };
+    }
+
+    static halfToFloat(bits) {
+        const sign = bits & 0x8000 ? -1 : 1;
+        const exponent = (bits >> 10) & 0x1F;
+        const mantissa = bits & 0x3FF;
+        if (exponent === 0) return sign * mantissa * Math.pow(2, -24);
+        if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+        return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+    }
+
+    // Scale by 2^exposure and compress highlights for 8-bit output:
+    // 'clamp' (the viewport's look), 'reinhard' or 'aces' (Narkowicz's fit).
+    // Returns a new linear image for encodePNG.
+    static toneMap(image, exposure = 0, operator = 'clamp') {
+        const scale = Math.pow(2, exposure);
+        const curves = {
+            clamp: v => v,
+            reinhard: v => v / (1 + v),
+            aces: v => Math.min(1, Math.max(0, (v * (2.51 * v + 0.03)) / (v * (2.43 * v + 0.59) + 0.14)))
+        };
+        const curve = curves[operator] || curves.clamp;
+        const pixels = new Float32Array(image.pixels.length);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = curve(Math.max(0, image.pixels[i] * scale));
+        }
+        return { width: image.width, height: image.height, pixels };
+    }
+
+    // 8-bit RGB PNG. Async because it uses the platform's deflate (CompressionStream).
+    static async encodePNG(image) {
+        const { width, height, pixels } = image;
+
+        // Filter byte 0 (none) at the start of every row
+        const raw = new Uint8Array(height * (width * 3 + 1));
+        for (let y = 0; y < height; y++) {
+            const row = y * (width * 3 + 1);
+            for (let i = 0; i < width * 3; i++) {
+                raw[row + 1 + i] = this.toByte(pixels[y * width * 3 + i]);
+            }
+        }
+
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolor, deflate, adaptive filtering, no interlace
+
+        const chunks = [
+            new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+            this.pngChunk('IHDR', ihdr),
+            this.pngChunk('IDAT', await this.transform(raw, new CompressionStream('deflate'))),
+            this.pngChunk('IEND', new Uint8Array(0))
+        ];
+        return this.concat(chunks);
+    }
+
+    // 8-bit PNG (grey, grey+alpha, RGB or RGBA; not interlaced). Returns { image, errors }.
+    static async decodePNG(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+        if (bytes.length < 8 || signature.some((b, i) => bytes[i] !== b)) {
+            return { image: null, errors: ['Not a PNG file'] };
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let width = 0, height = 0, colorType = -1;
+        const data = [];
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const body = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IHDR') {
+                width = view.getUint32(offset + 8);
+                height = view.getUint32(offset + 12);
+                colorType = body[9];
+                if (body[8] !== 8 || body[12] !== 0) {
+                    return { image: null, errors: ['Only 8-bit, non-interlaced PNGs are supported'] };
+                }
+            } else if (type === 'IDAT') {
+                data.push(body);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+
+        const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+        if (!channels || width === 0 || height === 0) {
+            return { image: null, errors: [`Unsupported PNG color type ${colorType}`] };
+        }
+
+        let raw;
+        try {
+            raw = await this.transform(this.concat(data), new DecompressionStream('deflate'));
+        } catch (error) {
+            return { image: null, errors: [`Corrupt PNG data: ${error.message}`] };
+        }
+        const stride = width * channels;
+        if (raw.length < height * (stride + 1)) {
+            return { image: null, errors: ['PNG pixel data is truncated'] };
+        }
+
+        // Undo the per-row filters
+        const decoded = new Uint8Array(height * stride);
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+            for (let i = 0; i < stride; i++) {
+                const a = i >= channels ? decoded[y * stride + i - channels] : 0;
+                const b = y > 0 ? decoded[(y - 1) * stride + i] : 0;
+                const c = i >= channels && y > 0 ? decoded[(y - 1) * stride + i - channels] : 0;
+                let predictor = 0;
+                if (filter === 1) predictor = a;
+                else if (filter === 2) predictor = b;
+                else if (filter === 3) predictor = (a + b) >> 1;
+                else if (filter === 4) {
+                    const p = a + b - c;
+                    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+                    predictor = pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+                }
+                decoded[y * stride + i] = (line[i] + predictor) & 255;
+            }
+        }
+
+        const pixels = new Float32Array(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) {
+                const value = decoded[i * channels + (channels < 3 ? 0 : c)];
+                pixels[i * 3 + c] = Math.pow(value / 255, 2.2);
+            }
+        }
+        return { image: { width, height, pixels }, errors: [] };
+    }
+
+    // Pick the format from the file extension. Returns { image, errors }.
+    static async decode(filename, buffer) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'pfm') return this.decodePFM(buffer);
+        if (extension === 'png') return this.decodePNG(buffer);
+        if (extension === 'exr') return this.decodeEXR(buffer);
+        return { image: null, errors: [`Unsupported image format ".${extension}" (use .png, .pfm or .exr)`] };
+    }
+
+    static async encode(filename, image) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'pfm') return this.encodePFM(image);
+        if (extension === 'exr') return this.encodeEXR(image);
+        return this.encodePNG(image);
+    }
+
+    // Per-pixel comparison. Errors are measured on display values (gamma encoded,
+    // clamped to [0, 1]) so fireflies in HDR images do not swamp the score.
+    // Returns { rmse, channelRMSE, maxError, badPixels, errorMap, errors }.
+    static compare(image, reference, threshold = 0.05) {
+        if (image.width !== reference.width || image.height !== reference.height) {
+            return {
+                rmse: Infinity,
+                errors: [`Size mismatch: ${image.width}x${image.height} vs reference ${reference.width}x${reference.height}`]
+            };
+        }
+
+        const count = image.width * image.height;
+        const channelSum = [0, 0, 0];
+        const errorMap = new Float32Array(count); // Per-pixel RMSE over the three channels
+        let maxError = 0;
+        let badPixels = 0;
+        for (let i = 0; i < count; i++) {
+            let pixelSum = 0;
+            for (let c = 0; c < 3; c++) {
+                const d = this.toDisplay(image.pixels[i * 3 + c]) - this.toDisplay(reference.pixels[i * 3 + c]);
+                channelSum[c] += d * d;
+                pixelSum += d * d;
+            }
+            errorMap[i] = Math.sqrt(pixelSum / 3);
+            maxError = Math.max(maxError, errorMap[i]);
+            if (errorMap[i] > threshold) badPixels++;
+        }
+
+        const channelRMSE = channelSum.map(sum => Math.sqrt(sum / count));
+        return {
+            rmse: Math.sqrt((channelSum[0] + channelSum[1] + channelSum[2]) / (3 * count)),
+            channelRMSE,
+            maxError,
+            badPixels,
+            errorMap,
+            errors: []
+        };
+    }
+
+    // Heat map of a comparison's errorMap (black = identical, white = maxError or more)
+    static errorImage(width, height, errorMap, maxError = 0.25) {
+        const pixels = new Float32Array(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            const t = Math.min(1, errorMap[i] / maxError);
+            pixels[i * 3 + 0] = Math.pow(Math.min(1, t * 3), 2.2);
+            pixels[i * 3 + 1] = Math.pow(Math.min(1, Math.max(0, t * 3 - 1)), 2.2);
+            pixels[i * 3 + 2] = Math.pow(Math.max(0, t * 3 - 2), 2.2);
+        }
+        return { width, height, pixels };
+    }
+
+    static toDisplay(value) {
+        return Math.pow(Math.min(1, Math.max(0, value || 0)), 1 / 2.2);
+    }
+
+    static toByte(value) {
+        return Math.round(this.toDisplay(value) * 255);
+    }
+
+    static pngChunk(type, body) {
+        const chunk = new Uint8Array(12 + body.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, body.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(body, 8);
+        view.setUint32(8 + body.length, this.crc32(chunk.subarray(4, 8 + body.length)));
+        return chunk;
+    }
+
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) crc = this.crcTable[(crc ^ byte) & 255] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static async transform(bytes, stream) {
+        const output = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await output.arrayBuffer());
+    }
+
+    static concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+        let offset = 0;
+        for (const a of arrays) {
+            result.set(a, offset);
+            offset += a.length;
+        }
+        return result;
+    }
+}
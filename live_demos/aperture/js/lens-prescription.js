@@ -0,0 +1,393 @@
+// Lens prescription library, import/export and validation for the compound-lens camera
+//
+// A prescription is { name, surfaces } with surfaces in the LensSystem format
+// (radius, thickness, ior, semiAperture, stop - see lens-system.js).
+//
+// Text format (Zemax-style surface table, one surface per line):
+//   # name: Tessar 50mm f/4.5
+//   # Surf   Radius   Thickness   Glass   Semi-Ap
+//      1     20.349     3.2      1.6204     7.5
+//     STO    inf        2.4      air        4.8
+// The leading surface column is optional; STO marks the aperture stop, OBJ/IMA
+// rows are ignored. Radius may be inf/infinity/0 for a flat surface, and the
+// glass column takes an index, "air", or one of the catalog names below.
+
+import { LensSystem } from './lens-system.js';
+
+export class LensPrescription {
+    static get MAX_SURFACES() {
+        return 16; // Size of the u_lensSurfaces array in the WebGL shader
+    }
+
+    // d-line indices of common catalog glasses
+    static get GLASSES() {
+        return {
+            'N-BK7': 1.5168,
+            'N-SK4': 1.6127,
+            'N-SK16': 1.6204,
+            'N-SSK8': 1.6177,
+            'N-BAF10': 1.6700,
+            'N-LAK9': 1.6910,
+            'F2': 1.6200,
+            'N-SF2': 1.6477,
+            'N-SF5': 1.6727
+        };
+    }
+
+    // Classic designs, all scaled to about 50mm
+    static get LIBRARY() {
+        return {
+            'double-gauss': {
+                // f/2, 22° half field, after US patent 2,673,491
+                name: 'Double Gauss 50mm f/2',
+                surfaces: [
+                    { radius: 29.475, thickness: 3.76, ior: 1.67, semiAperture: 12.6 },
+                    { radius: 84.83, thickness: 0.12, ior: 1.0, semiAperture: 12.6 },
+                    { radius: 19.275, thickness: 4.025, ior: 1.67, semiAperture: 11.5 },
+                    { radius: 40.77, thickness: 3.275, ior: 1.699, semiAperture: 11.5 },
+                    { radius: 12.75, thickness: 5.705, ior: 1.0, semiAperture: 9.0 },
+                    { radius: 0, thickness: 4.5, ior: 1.0, semiAperture: 8.55, stop: true },
+                    { radius: -14.495, thickness: 1.18, ior: 1.603, semiAperture: 8.5 },
+                    { radius: 40.77, thickness: 6.065, ior: 1.658, semiAperture: 10.0 },
+                    { radius: -20.385, thickness: 0.19, ior: 1.0, semiAperture: 10.0 },
+                    { radius: 437.065, thickness: 3.22, ior: 1.717, semiAperture: 10.0 },
+                    { radius: -39.73, thickness: 0, ior: 1.0, semiAperture: 10.0 }
+                ]
+            },
+            'tessar': {
+                // Positive front singlet, negative flint, stop, cemented rear doublet
+                name: 'Tessar 50mm f/4.5',
+                surfaces: [
+                    { radius: 20.349, thickness: 3.2, ior: 1.6204, semiAperture: 7.5 },
+                    { radius: -82.85, thickness: 3.0, ior: 1.0, semiAperture: 7.5 },
+                    { radius: -22.69, thickness: 1.0, ior: 1.6034, semiAperture: 6.0 },
+                    { radius: 17.636, thickness: 2.2, ior: 1.0, semiAperture: 6.0 },
+                    { radius: 0, thickness: 2.4, ior: 1.0, semiAperture: 4.8, stop: true },
+                    { radius: -168.021, thickness: 1.0, ior: 1.5481, semiAperture: 6.5 },
+                    { radius: 17.755, thickness: 3.6, ior: 1.6204, semiAperture: 6.5 },
+                    { radius: -17.847, thickness: 0, ior: 1.0, semiAperture: 6.5 }
+                ]
+            },
+            'cooke-triplet': {
+                // Positive / negative / positive air-spaced triplet
+                name: 'Cooke Triplet 47mm f/4.3',
+                surfaces: [
+                    { radius: 22.01359, thickness: 3.258956, ior: 1.6204, semiAperture: 10.0 },
+                    { radius: -435.7604, thickness: 6.007551, ior: 1.0, semiAperture: 10.0 },
+                    { radius: -22.21328, thickness: 0.9999948, ior: 1.6200, semiAperture: 7.0 },
+                    { radius: 20.29192, thickness: 4.750409, ior: 1.0, semiAperture: 7.0 },
+                    { radius: 0, thickness: 2.0, ior: 1.0, semiAperture: 4.6, stop: true },
+                    { radius: 79.68360, thickness: 2.952076, ior: 1.6204, semiAperture: 8.0 },
+                    { radius: -18.39533, thickness: 0, ior: 1.0, semiAperture: 8.0 }
+                ]
+            },
+            'plano-convex': {
+                // Single N-BK7 element behind the stop - strong spherical aberration and field curvature
+                name: 'Plano-Convex Singlet 50mm f/4',
+                surfaces: [
+                    { radius: 0, thickness: 3.0, ior: 1.0, semiAperture: 6.25, stop: true },
+                    { radius: 25.84, thickness: 4.0, ior: 1.5168, semiAperture: 9.0 },
+                    { radius: 0, thickness: 0, ior: 1.0, semiAperture: 9.0 }
+                ]
+            }
+        };
+    }
+
+    // Parse a text table or JSON document. Returns { prescription, errors }, with
+    // errors prefixed by their line number for text input. Validation errors are included.
+    static parse(text, fallbackName = 'Imported Lens') {
+        const trimmed = text.trim();
+        const result = trimmed.startsWith('{') || trimmed.startsWith('[')
+            ? this.parseJSON(trimmed, fallbackName)
+            : this.parseTable(text, fallbackName);
+
+        if (result.errors.length === 0) {
+            result.errors = this.validate(result.prescription);
+        }
+        return result;
+    }
+
+    static parseJSON(text, fallbackName) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { prescription: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        const surfaces = Array.isArray(data) ? data : data?.surfaces;
+        if (!Array.isArray(surfaces)) {
+            return { prescription: null, errors: ['JSON must contain a "surfaces" array'] };
+        }
+
+        const errors = [];
+        const parsed = [];
+        surfaces.forEach((s, i) => {
+            if (!this.isSurfaceEntry(s)) {
+                errors.push(`Surface ${i + 1}: expected an object with radius, thickness, ior and semiAperture`);
+                return;
+            }
+            const ior = typeof s.ior === 'string' ? this.parseIor(s.ior) : (s.ior ?? 1.0);
+            if (ior === null) errors.push(`Surface ${i + 1}: unknown glass "${s.ior}"`);
+            parsed.push({
+                radius: s.radius ?? 0,
+                thickness: s.thickness ?? 0,
+                ior: ior ?? 1.0,
+                semiAperture: s.semiAperture,
+                stop: !!s.stop
+            });
+        });
+
+        return {
+            prescription: { name: (!Array.isArray(data) && typeof data.name === 'string' && data.name) || fallbackName, surfaces: parsed },
+            errors
+        };
+    }
+
+    // Surfaces in files and scene links are untrusted: anything but a plain object is an error
+    static isSurfaceEntry(s) {
+        return s !== null && typeof s === 'object' && !Array.isArray(s);
+    }
+
+    static parseTable(text, fallbackName) {
+        const surfaces = [];
+        const errors = [];
+        let name = fallbackName;
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#')) {
+                const meta = line.match(/^#\s*name\s*:\s*(.+)$/i);
+                if (meta) name = meta[1].trim();
+                return;
+            }
+
+            const tokens = line.split(/[\s,]+/);
+            let stop = false;
+
+            // Optional surface label: a surface number, STO, or OBJ/IMA rows to skip
+            const label = tokens[0].toUpperCase();
+            if (label === 'OBJ' || label === 'IMA') return;
+            if (label === 'STO' || label === 'STOP') {
+                stop = true;
+                tokens.shift();
+            } else if (tokens.length === 5 && /^\d+$/.test(tokens[0])) {
+                tokens.shift();
+            }
+
+            if (tokens.length !== 4) {
+                errors.push(`Line ${lineNumber}: expected radius, thickness, glass and semi-aperture, found ${tokens.length} values`);
+                return;
+            }
+
+            const radius = this.parseRadius(tokens[0]);
+            const thickness = parseFloat(tokens[1]);
+            const ior = this.parseIor(tokens[2]);
+            const semiAperture = parseFloat(tokens[3]);
+
+            if (radius === null) errors.push(`Line ${lineNumber}: invalid radius "${tokens[0]}"`);
+            if (!/^[-+]?[\d.]+(e[-+]?\d+)?$/i.test(tokens[1]) || !isFinite(thickness)) {
+                errors.push(`Line ${lineNumber}: invalid thickness "${tokens[1]}"`);
+            }
+            if (ior === null) errors.push(`Line ${lineNumber}: unknown glass "${tokens[2]}"`);
+            if (!/^[-+]?[\d.]+(e[-+]?\d+)?$/i.test(tokens[3]) || !isFinite(semiAperture)) {
+                errors.push(`Line ${lineNumber}: invalid semi-aperture "${tokens[3]}"`);
+            }
+
+            surfaces.push({ radius, thickness, ior, semiAperture, stop });
+        });
+
+        if (surfaces.length === 0 && errors.length === 0) {
+            errors.push('No surfaces found');
+        }
+
+        return { prescription: { name, surfaces }, errors };
+    }
+
+    static parseRadius(token) {
+        if (/^[-+]?inf(inity)?$/i.test(token)) return 0;
+        const value = parseFloat(token);
+        return /^[-+]?[\d.]+(e[-+]?\d+)?$/i.test(token) && isFinite(value) ? value : null;
+    }
+
+    // Returns the refractive index for a number, "air" or a catalog glass name, else null
+    static parseIor(token) {
+        if (/^air$/i.test(token) || token === '') return 1.0;
+        const value = parseFloat(token);
+        if (/^[\d.]+(e[-+]?\d+)?$/i.test(token) && isFinite(value)) return value === 0 ? 1.0 : value;
+
+        const glass = Object.keys(this.GLASSES).find(g => g.toUpperCase() === token.toUpperCase());
+        return glass ? this.GLASSES[glass] : null;
+    }
+
+    // Format as the text table accepted by parse()
+    static format(prescription) {
+        const pad = (value, width) => String(value).padStart(width);
+        const number = (value) => String(value); // Shortest text that reads back as the same number
+
+        const lines = [
+            `# name: ${prescription.name}`,
+            '# Lengths in mm, light travels from the first surface toward the film.',
+            '# The last thickness is the distance to the film.',
+            `#${pad('Surf', 5)}${pad('Radius', 12)}${pad('Thickness', 12)}${pad('Glass', 10)}${pad('Semi-Ap', 11)}`
+        ];
+
+        prescription.surfaces.forEach((s, i) => {
+            lines.push(
+                pad(s.stop ? 'STO' : i + 1, 6) +
+                pad(s.radius === 0 ? 'inf' : number(s.radius), 12) +
+                pad(number(s.thickness), 12) +
+                pad(s.ior === 1 ? 'air' : number(s.ior), 10) +
+                pad(number(s.semiAperture), 11)
+            );
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    static toJSON(prescription) {
+        return JSON.stringify({
+            format: 'aperture-lens',
+            version: 1,
+            name: prescription.name,
+            surfaces: prescription.surfaces.map(s => {
+                const surface = {
+                    radius: s.radius,
+                    thickness: s.thickness,
+                    ior: s.ior,
+                    semiAperture: s.semiAperture
+                };
+                if (s.stop) surface.stop = true;
+                return surface;
+            })
+        }, null, 2);
+    }
+
+    // Surface z offset from its vertex at height h
+    static sag(radius, h) {
+        if (radius === 0) return 0;
+        return radius - Math.sign(radius) * Math.sqrt(radius * radius - h * h);
+    }
+
+    // Check a prescription for problems that would make it untraceable.
+    // Returns a list of human-readable errors (empty when the lens is usable).
+    static validate(prescription) {
+        const surfaces = prescription?.surfaces;
+        if (!Array.isArray(surfaces) || surfaces.length === 0) {
+            return ['Prescription has no surfaces'];
+        }
+
+        const errors = [];
+        if (surfaces.length > this.MAX_SURFACES) {
+            errors.push(`Too many surfaces: ${surfaces.length} (the GPU renderer supports ${this.MAX_SURFACES})`);
+        }
+
+        // Per-surface fields
+        surfaces.forEach((s, i) => {
+            const label = `Surface ${i + 1}`;
+            if (!this.isSurfaceEntry(s)) {
+                errors.push(`${label}: expected an object with radius, thickness, ior and semiAperture`);
+                return;
+            }
+            if (typeof s.radius !== 'number' || !isFinite(s.radius)) {
+                errors.push(`${label}: radius must be a number`);
+            }
+            if (typeof s.thickness !== 'number' || !isFinite(s.thickness) || s.thickness < 0) {
+                errors.push(`${label}: thickness must be a non-negative number`);
+            }
+            if (typeof s.ior !== 'number' || !isFinite(s.ior) || s.ior < 1 || s.ior > 4) {
+                errors.push(`${label}: index of refraction must be between 1 and 4`);
+            }
+            if (typeof s.semiAperture !== 'number' || !isFinite(s.semiAperture) || s.semiAperture <= 0) {
+                errors.push(`${label}: semi-aperture must be a positive number`);
+            } else if (s.radius !== 0 && s.semiAperture > Math.abs(s.radius)) {
+                errors.push(`${label}: semi-aperture ${s.semiAperture} exceeds the radius of curvature ${Math.abs(s.radius)}`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        // Aperture stop
+        const stops = surfaces.map((s, i) => s.stop ? i : -1).filter(i => i >= 0);
+        if (stops.length === 0) {
+            errors.push('No aperture stop: mark one flat surface in air as STO');
+        } else if (stops.length > 1) {
+            errors.push(`Multiple aperture stops (surfaces ${stops.map(i => i + 1).join(', ')})`);
+        } else {
+            const i = stops[0];
+            const iorBefore = i > 0 ? surfaces[i - 1].ior : 1.0;
+            if (surfaces[i].radius !== 0 || surfaces[i].ior !== iorBefore) {
+                errors.push(`Surface ${i + 1}: the aperture stop must be flat and must not change medium`);
+            }
+        }
+
+        // Neighbouring surfaces must not cross anywhere inside their clear apertures
+        for (let i = 0; i < surfaces.length - 1; i++) {
+            const a = surfaces[i];
+            const b = surfaces[i + 1];
+            const hMax = Math.min(a.semiAperture, b.semiAperture);
+            for (let step = 0; step <= 16; step++) {
+                const h = hMax * step / 16;
+                const gap = a.thickness + this.sag(b.radius, h) - this.sag(a.radius, h);
+                if (gap < -1e-6) {
+                    errors.push(`Surfaces ${i + 1} and ${i + 2} overlap: ` +
+                        `thickness ${gap.toFixed(3)} mm at height ${h.toFixed(2)} mm`);
+                    break;
+                }
+            }
+        }
+        if (errors.length > 0) return errors;
+
+        errors.push(...this.validateImaging(surfaces));
+        return errors;
+    }
+
+    // Trace on-axis rays from infinity: the lens must converge light, and the
+    // bundle must be limited by an aperture rather than total internal reflection.
+    static validateImaging(surfaces) {
+        const lens = new LensSystem(surfaces);
+        const elements = lens.buildElements(1.0);
+        const front = elements[0];
+
+        const paraxialHeight = front.semiAperture * 0.01;
+        const paraxial = lens.traceToFilm([0, paraxialHeight, front.z - 1], [0, 0, 1], elements);
+        if (!paraxial) {
+            return ['The on-axis ray is blocked: no light reaches the film'];
+        }
+        if (paraxial.direction[1] >= 0) {
+            return ['The lens does not converge light (negative or infinite focal length) and cannot form an image'];
+        }
+
+        // Walk outward from the axis; the first ray that fails shows what limits the bundle
+        const samples = 64;
+        for (let k = 1; k <= samples; k++) {
+            const h = front.semiAperture * k / samples;
+            let o = [0, h, front.z - 1];
+            let d = [0, 0, 1];
+
+            for (let i = 0; i < elements.length; i++) {
+                const hit = lens.intersectSurface(o, d, elements[i]);
+                if (!hit) return []; // Clipped by a clear aperture or the stop
+
+                const iorBefore = i > 0 ? elements[i - 1].ior : 1.0;
+                if (iorBefore !== elements[i].ior) {
+                    d = lens.refract(d, hit.normal, iorBefore / elements[i].ior);
+                    if (!d) {
+                        return [`Surface ${i + 1}: total internal reflection at ray height ${h.toFixed(2)} mm ` +
+                            'before the aperture stop limits the beam - reduce the stop or the semi-apertures'];
+                    }
+                }
+                o = hit.point;
+            }
+        }
+        return [];
+    }
+
+    // Build a LensSystem, or null when the prescription does not validate
+    static createLensSystem(prescription) {
+        if (this.validate(prescription).length > 0) return null;
+        return new LensSystem(prescription.surfaces, { name: prescription.name });
+    }
+}
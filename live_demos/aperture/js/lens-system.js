@@ -0,0 +1,377 @@
+// Sequential lens-stack model for the compound-lens camera
+//
+// Lens space follows the usual lens-design convention: the optical axis is Z,
+// light travels +Z from the object side toward the film, and all lengths are
+// in millimetres. Surfaces are listed front (object side) to back (film side):
+//   radius       - radius of curvature, positive = center toward the film, 0 = flat
+//   thickness    - distance along the axis to the next surface
+//   ior          - refractive index of the medium AFTER this surface (1 = air)
+//   semiAperture - clear radius of the surface
+//   stop         - true for the aperture stop (a flat surface in air)
+
+export class LensSystem {
+    constructor(surfaces, options = {}) {
+        this.name = options.name || 'Custom Lens';
+        this.prescription = surfaces.map(s => ({
+            radius: s.radius || 0,
+            thickness: s.thickness || 0,
+            ior: s.ior || 1.0, // 0/undefined means air, as in most prescription tables
+            semiAperture: s.semiAperture,
+            stop: !!s.stop
+        }));
+
+        this.stopIndex = this.prescription.findIndex(s => s.stop);
+        this.designFocalLength = this.computeFocalLength(this.buildElements(1.0));
+        this.designFNumber = this.computeFNumber(this.buildElements(1.0)); // f-number with the stop wide open
+
+        // Runtime state (scaled to the camera's focal length, see configure())
+        this.scale = 1.0;
+        this.elements = this.buildElements(1.0);
+        this.filmZ = 0;
+        this.stopRadius = 0;
+        this.apertureTest = null;
+        this.pupilBounds = [];
+        this.pupilReferenceArea = 1;
+        this.maxFilmRadius = 1;
+    }
+
+    // Lay the surfaces out along the axis: vertex z of the front surface is 0
+    buildElements(scale) {
+        const elements = [];
+        let z = 0;
+        for (const s of this.prescription) {
+            elements.push({
+                z: z,
+                radius: s.radius * scale,
+                ior: s.ior,
+                semiAperture: s.semiAperture * scale,
+                stop: s.stop
+            });
+            z += s.thickness * scale;
+        }
+        return elements;
+    }
+
+    getStopZ() {
+        return this.stopIndex >= 0 ? this.elements[this.stopIndex].z : this.elements[0].z;
+    }
+
+    getRearZ() {
+        return this.elements[this.elements.length - 1].z;
+    }
+
+    // Scale the design to a focal length, focus it and rebuild the exit pupil table.
+    // apertureTest(x, y) receives stop coordinates normalized to the stop radius.
+    configure({ focalLength, focusDistance, fStop, filmDiagonal, apertureTest }) {
+        this.scale = focalLength / this.designFocalLength;
+        this.elements = this.buildElements(this.scale);
+        this.apertureTest = apertureTest || null;
+
+        // Stopping down shrinks the physical stop; the entrance pupil scales with it
+        const stop = this.stopIndex >= 0 ? this.elements[this.stopIndex] : this.elements[0];
+        this.stopRadius = stop.semiAperture * Math.min(1.0, this.designFNumber / fStop);
+
+        this.filmZ = this.computeFilmZ(focusDistance);
+        this.maxFilmRadius = filmDiagonal / 2;
+        this.computePupilBounds();
+    }
+
+    // Refract through every interface. Returns the exit ray or null when the ray
+    // is clipped by a clear aperture, the stop, or total internal reflection.
+    traceToScene(origin, direction) {
+        let o = origin;
+        let d = direction;
+
+        for (let i = this.elements.length - 1; i >= 0; i--) {
+            const surface = this.elements[i];
+            const hit = this.intersectSurface(o, d, surface);
+            if (!hit) return null;
+
+            if (i === this.stopIndex && !this.insideStop(hit.point)) return null;
+
+            const iorAfter = surface.ior;
+            const iorBefore = i > 0 ? this.elements[i - 1].ior : 1.0;
+            if (iorBefore !== iorAfter) {
+                d = this.refract(d, hit.normal, iorAfter / iorBefore);
+                if (!d) return null;
+            }
+            o = hit.point;
+        }
+
+        return { origin: o, direction: d };
+    }
+
+    // Same as traceToScene, but from the object side toward the film
+    traceToFilm(origin, direction, elements = this.elements) {
+        let o = origin;
+        let d = direction;
+
+        for (let i = 0; i < elements.length; i++) {
+            const surface = elements[i];
+            const hit = this.intersectSurface(o, d, surface);
+            if (!hit) return null;
+
+            const iorBefore = i > 0 ? elements[i - 1].ior : 1.0;
+            const iorAfter = surface.ior;
+            if (iorBefore !== iorAfter) {
+                d = this.refract(d, hit.normal, iorBefore / iorAfter);
+                if (!d) return null;
+            }
+            o = hit.point;
+        }
+
+        return { origin: o, direction: d };
+    }
+
+    intersectSurface(o, d, surface) {
+        let t;
+        let normal;
+
+        if (surface.radius === 0) {
+            if (Math.abs(d[2]) < 1e-12) return null;
+            t = (surface.z - o[2]) / d[2];
+            normal = [0, 0, 1];
+        } else {
+            const center = [0, 0, surface.z + surface.radius];
+            const oc = this.subtract(o, center);
+            const b = this.dot(oc, d);
+            const c = this.dot(oc, oc) - surface.radius * surface.radius;
+            const discriminant = b * b - c;
+            if (discriminant < 0) return null;
+
+            // Pick the root on the cap that contains the vertex
+            const sqrtDisc = Math.sqrt(discriminant);
+            const useCloser = (d[2] > 0) === (surface.radius > 0);
+            t = useCloser ? -b - sqrtDisc : -b + sqrtDisc;
+            normal = null;
+        }
+
+        if (t < 0) return null;
+
+        const point = this.add(o, this.scale3(d, t));
+        if (point[0] * point[0] + point[1] * point[1] > surface.semiAperture * surface.semiAperture) {
+            return null;
+        }
+
+        if (!normal) {
+            normal = this.normalize([point[0], point[1], point[2] - (surface.z + surface.radius)]);
+        }
+        // Face the normal against the incoming ray
+        if (this.dot(normal, d) > 0) normal = this.scale3(normal, -1);
+
+        return { t, point, normal };
+    }
+
+    insideStop(point) {
+        const x = point[0] / this.stopRadius;
+        const y = point[1] / this.stopRadius;
+        if (this.apertureTest) return this.apertureTest(x, y);
+        return x * x + y * y <= 1;
+    }
+
+    // Snell's law; eta = n1 / n2, normal faces the incoming ray
+    refract(d, n, eta) {
+        const cosI = -this.dot(d, n);
+        const sin2T = eta * eta * (1 - cosI * cosI);
+        if (sin2T > 1) return null; // Total internal reflection
+        const cosT = Math.sqrt(1 - sin2T);
+        return this.normalize(this.add(this.scale3(d, eta), this.scale3(n, eta * cosI - cosT)));
+    }
+
+    // Effective focal length from a near-paraxial ray coming in from infinity
+    computeFocalLength(elements) {
+        const h = elements[0].semiAperture * 0.01;
+        const exit = this.traceToFilm([0, h, elements[0].z - 1], [0, 0, 1], elements);
+        if (!exit || exit.direction[1] >= 0) return 50;
+        return -h * exit.direction[2] / exit.direction[1];
+    }
+
+    // Wide-open f-number from the widest on-axis ray bundle that clears every aperture
+    computeFNumber(elements) {
+        const passes = (h) => this.traceToFilm([0, h, elements[0].z - 1], [0, 0, 1], elements) !== null;
+        let lo = 0;
+        let hi = elements[0].semiAperture;
+        if (passes(hi)) lo = hi;
+        for (let iter = 0; iter < 40 && hi - lo > 1e-9; iter++) {
+            const mid = (lo + hi) / 2;
+            if (passes(mid)) lo = mid;
+            else hi = mid;
+        }
+        return lo > 0 ? this.designFocalLength / (2 * lo) : 2.0;
+    }
+
+    // Current state as a prescription: surfaces scaled to the configured focal length,
+    // with the last thickness set to the back focal distance the film sits at.
+    toPrescription() {
+        const surfaces = this.prescription.map(s => ({
+            radius: s.radius * this.scale,
+            thickness: s.thickness * this.scale,
+            ior: s.ior,
+            semiAperture: s.semiAperture * this.scale,
+            stop: s.stop
+        }));
+        surfaces[surfaces.length - 1].thickness = this.filmZ - this.getRearZ();
+        return { name: this.name, surfaces };
+    }
+
+    // Film plane position that brings an object at focusDistance (meters from the stop) into focus.
+    // Moving the whole lens relative to the film is what makes the field of view breathe.
+    computeFilmZ(focusDistance) {
+        const h = this.elements[0].semiAperture * 0.01;
+        const objectZ = this.getStopZ() - focusDistance * 1000;
+        const target = [0, h, this.elements[0].z];
+        const direction = this.normalize(this.subtract(target, [0, 0, objectZ]));
+
+        let exit = this.traceToFilm([0, 0, objectZ], direction);
+        if (!exit || exit.direction[1] >= 0) {
+            // Object inside the front focal length - fall back to infinity focus
+            exit = this.traceToFilm([0, h, this.elements[0].z - 1], [0, 0, 1]);
+            if (!exit || exit.direction[1] >= 0) return this.getRearZ() + this.designFocalLength * this.scale;
+        }
+
+        return exit.origin[2] - exit.origin[1] * exit.direction[2] / exit.direction[1];
+    }
+
+    // Bound the region of the rear element that actually reaches the scene, for
+    // film points at increasing distance from the axis along +X. Sampling inside
+    // these boxes instead of the whole rear element keeps noise down at small apertures.
+    computePupilBounds(buckets = 16, gridSize = 16) {
+        const rear = this.elements[this.elements.length - 1];
+
+        // On-axis exit pupil radius on the rear vertex plane, found through the stop edge
+        const axisPoint = [0, 0, this.filmZ];
+        const pupilRadius = this.findRearPointForStopX(axisPoint, this.stopRadius) || rear.semiAperture;
+        const halfSize = Math.min(pupilRadius * 1.5, rear.semiAperture); // 1.5 covers square stops
+        const cell = 2 * halfSize / gridSize;
+
+        this.pupilBounds = [];
+        let axisPassCount = 0;
+        for (let b = 0; b < buckets; b++) {
+            let box = null;
+
+            // Union of the pupils seen from both edges of the bucket
+            for (const edge of [b, b + 1]) {
+                const filmPoint = [edge / buckets * this.maxFilmRadius, 0, this.filmZ];
+                const center = this.findRearPointForStopX(filmPoint, 0) || 0;
+                let passCount = 0;
+
+                for (let j = 0; j < gridSize; j++) {
+                    for (let i = 0; i < gridSize; i++) {
+                        const px = center - halfSize + (i + 0.5) * cell;
+                        const py = -halfSize + (j + 0.5) * cell;
+
+                        const direction = this.normalize(this.subtract([px, py, rear.z], filmPoint));
+                        if (!this.traceToScene(filmPoint, direction)) continue;
+                        passCount++;
+
+                        if (!box) box = [px, py, px, py];
+                        box[0] = Math.min(box[0], px);
+                        box[1] = Math.min(box[1], py);
+                        box[2] = Math.max(box[2], px);
+                        box[3] = Math.max(box[3], py);
+                    }
+                }
+
+                if (edge === 0) axisPassCount = passCount;
+            }
+
+            // Grow by one cell so thin slivers between grid samples aren't lost
+            this.pupilBounds.push(box
+                ? [box[0] - cell, box[1] - cell, box[2] + cell, box[3] + cell]
+                : [0, 0, 0, 0]);
+        }
+
+        // Normalize against the on-axis pupil area so the image center matches the thin lens
+        this.pupilReferenceArea = Math.max(axisPassCount * cell * cell, 1e-12);
+    }
+
+    // Bisect for the rear-element x (in the y=0 plane) whose ray from filmPoint
+    // crosses the stop plane at stopX. Clear apertures are ignored here.
+    findRearPointForStopX(filmPoint, stopX) {
+        if (this.stopIndex < 0) return null;
+        const rear = this.elements[this.elements.length - 1];
+
+        const stopCrossing = (px) => {
+            let o = filmPoint;
+            let d = this.normalize(this.subtract([px, 0, rear.z], filmPoint));
+            for (let i = this.elements.length - 1; i >= this.stopIndex; i--) {
+                const surface = this.elements[i];
+                const hit = this.intersectSurface(o, d, { ...surface, semiAperture: Infinity });
+                if (!hit) return null;
+                if (i === this.stopIndex) return hit.point[0];
+                const iorBefore = i > 0 ? this.elements[i - 1].ior : 1.0;
+                if (iorBefore !== surface.ior) {
+                    d = this.refract(d, hit.normal, surface.ior / iorBefore);
+                    if (!d) return null;
+                }
+                o = hit.point;
+            }
+            return null;
+        };
+
+        // Steep rays can miss a surface entirely, so shrink the bracket until both ends trace
+        let lo = -rear.semiAperture;
+        let hi = rear.semiAperture;
+        let fLo = stopCrossing(lo);
+        let fHi = stopCrossing(hi);
+        for (let shrink = 0; shrink < 8 && (fLo === null || fHi === null); shrink++) {
+            if (fLo === null) fLo = stopCrossing(lo *= 0.75);
+            if (fHi === null) fHi = stopCrossing(hi *= 0.75);
+        }
+        if (fLo === null || fHi === null) return null;
+        const increasing = fHi > fLo;
+
+        for (let iter = 0; iter < 40; iter++) {
+            const mid = (lo + hi) / 2;
+            const x = stopCrossing(mid);
+            if (x === null) return null;
+            if ((x < stopX) === increasing) lo = mid;
+            else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Pick a rear-element point for a film point. Returns the point and the Monte Carlo
+    // weight relative to the on-axis pupil, or null when the film point sees no light.
+    samplePupil(filmPoint, s1, s2) {
+        const r = Math.sqrt(filmPoint[0] * filmPoint[0] + filmPoint[1] * filmPoint[1]);
+        const bucket = Math.min(this.pupilBounds.length - 1,
+            Math.floor(r / this.maxFilmRadius * this.pupilBounds.length));
+        const box = this.pupilBounds[bucket];
+        const area = (box[2] - box[0]) * (box[3] - box[1]);
+        if (area <= 0) return null;
+
+        // Sample in the bucket frame (film point on +X), then rotate to the film point's angle
+        const bx = box[0] + s1 * (box[2] - box[0]);
+        const by = box[1] + s2 * (box[3] - box[1]);
+        const cosPhi = r > 0 ? filmPoint[0] / r : 1;
+        const sinPhi = r > 0 ? filmPoint[1] / r : 0;
+
+        return {
+            point: [bx * cosPhi - by * sinPhi, bx * sinPhi + by * cosPhi, this.getRearZ()],
+            weight: area / this.pupilReferenceArea
+        };
+    }
+
+    // Vector math utilities
+    add(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    }
+
+    subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    scale3(v, s) {
+        return [v[0] * s, v[1] * s, v[2] * s];
+    }
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    normalize(v) {
+        const len = Math.sqrt(this.dot(v, v));
+        return len > 0 ? this.scale3(v, 1 / len) : v;
+    }
+}
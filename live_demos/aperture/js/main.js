@@ -5,6 +5,13 @@ import { RayTracerWebGL } from './raytracer-webgl.js';
 import { CameraVisualizer } from './cameraVisualizer.js';
 import { FFTProcessor } from './fft-processor.js';
 import { CWToFProcessor } from './cwtof-processor.js';
+import { PhaseUnwrap } from './phase-unwrap.js';
+import { LensPrescription } from './lens-prescription.js';
+import { SceneFile } from './scene-file.js';
+import { TriangleMesh } from './mesh.js';
+import { MaterialPresets } from './material-presets.js';
+import { RenderExport } from './render-export.js';
+import { CameraTimeline } from './camera-timeline.js';
 
 //console.log('=== MAIN.JS LOADED ===');
 
@@ -87,10 +94,17 @@ class OpticalSimulator {
         
         this.targetSPP = 100; // Default target samples per pixel
         this.isCapturingCWToF = false; // Flag to prevent auto-restart during manual capture
+        this.isExporting = false; // Same for Render & Save batches
+        this.exportSettings = { format: 'exr', samples: 256, interval: 0, layers: true, toneMap: 'clamp', exposure: 0 };
+        this.timeline = new CameraTimeline();
+        this.timelineSettings = { target: 'camera.focusDistance', time: 0, interpolation: 'linear', samples: 128 };
+        this.isRenderingTimeline = false;
+        this.timelineCancelled = false;
         
         // Scene already setup above
         this.setupEventListeners();
         this.setupControlBindings();
+        this.loadSceneFromURLHash();
         
         this.resizeCanvases();
         window.addEventListener('resize', () => this.resizeCanvases());
@@ -166,7 +180,7 @@ class OpticalSimulator {
         
         // Middle objects (4-6m) - Main focus area - CENTER SPHERE (material showcase)
         this.centerSphereIndex = this.scene.spheres.length;
-        this.scene.addSphere([0, 0, 5], 1.0, { type: 'glossy', albedo: [1.0, 0.75, 0.2], roughness: 0.15, texture: 'fbm' }); // Vibrant yellow-orange gold with thin black lightning cracks
+        this.scene.addSphere([0, 0, 5], 1.0, { type: 'glossy', albedo: [1.0, 0.75, 0.2], roughness: 0.15, texture: 'fbm' }).name = 'center'; // Vibrant yellow-orange gold with thin black lightning cracks
         this.scene.addSphere([-2, -0.5, 4.5], 0.6, { type: 'glossy', albedo: [0.9, 0.9, 0.9], roughness: 0.3, texture: 'checkerboard' }); // Glossy/matte checkerboard
         this.scene.addSphere([2.5, 0.2, 5.5], 0.7, { type: 'glass', ior: 1.5, albedo: [0.3, 1.0, 0.3] }); // Bright green glass (strong tint)
         
@@ -223,32 +237,14 @@ class OpticalSimulator {
         this.rayTracer.needsUpdate = true;
     }
     
+    // All material presets by name
+    getMaterialPresets() {
+        return MaterialPresets.ALL;
+    }
+    
     // Get material preset by name
     getMaterialPreset(name) {
-        const presets = {
-            'gold-fbm': { type: 'glossy', albedo: [1.0, 0.75, 0.2], roughness: 0.15, texture: 'fbm' },
-            'brushed-metal': { type: 'glossy', albedo: [0.8, 0.8, 0.85], roughness: 0.3, anisotropy: 0.8, anisotropyRotation: 0.0, texture: 'none' },
-            'car-paint': { type: 'glossy', albedo: [0.8, 0.05, 0.05], roughness: 0.6, clearcoat: 1.0, clearcoatRoughness: 0.05, clearcoatIOR: 1.5, texture: 'none' },
-            'chrome': { type: 'mirror', albedo: [0.95, 0.95, 0.95] },
-            'velvet-red': { type: 'glossy', albedo: [0.7, 0.05, 0.05], roughness: 0.9, velvet: 1.0, velvetFalloff: 3.0, texture: 'none' },
-            'iridescent': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.03, iridescence: 1.0, iridescenceIOR: 1.4, iridescenceThickness: 400.0, texture: 'none' },
-            'jade': { type: 'glossy', albedo: [0.2, 0.6, 0.4], roughness: 0.3, sss: 1.0, scatterDistance: 0.15, scatterDensity: 5.0, texture: 'none' },
-            'beer-glass': { type: 'glass', ior: 1.5, albedo: [0.9, 0.5, 0.1], absorption: 2.0 }, // Pure absorption, no scattering
-            'hair-brown': { type: 'glossy', albedo: [0.4, 0.25, 0.15], roughness: 0.3, hair: 1.0, hairShift: 0.05, hairRoughness2: 0.5, texture: 'none' },
-            'pearl': { type: 'glossy', albedo: [0.95, 0.92, 0.88], roughness: 0.1, pearl: 1.0, pearlDepth: 0.05, pearlIOR: 1.6, texture: 'none' },
-            'triple-layer': { type: 'glossy', albedo: [0.15, 0.6, 0.9], roughness: 0.4, tripleLayer: 1.0, anisotropy: 0.7, clearcoat: 1.0, clearcoatRoughness: 0.02, texture: 'fbm' },
-            'fractal-emissive': { type: 'glossy', albedo: [0.2, 0.6, 1.0], roughness: 0.3, clearcoat: 0.8, clearcoatRoughness: 0.05, surreal: 1.0, surrealType: 1.0, texture: 'fbm' },
-            'black-hole': { type: 'glossy', albedo: [0.05, 0.05, 0.1], roughness: 0.01, surreal: 1.0, surrealType: 2.0, texture: 'none' },
-            'angle-rainbow': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.1, surreal: 1.0, surrealType: 3.0, texture: 'none' },
-            'impossible': { type: 'glossy', albedo: [0.8, 0.2, 0.9], roughness: 0.2, surreal: 1.0, surrealType: 4.0, texture: 'none' },
-            'chromatic-geometry': { type: 'glossy', albedo: [0.5, 0.5, 0.5], roughness: 0.15, surreal: 1.0, surrealType: 5.0, texture: 'none' },
-            'variable-coat-fractal': { type: 'glossy', albedo: [0.2, 0.1, 0.6], roughness: 0.5, variableCoat: 1.0, clearcoat: 1.0, clearcoatRoughness: 0.02, iridescence: 0.8, iridescenceIOR: 1.45, iridescenceThickness: 380.0, texture: 'fbm' },
-            'variable-coat-grid': { type: 'glossy', albedo: [0.1, 0.5, 0.3], roughness: 0.4, variableCoat: 2.0, clearcoat: 1.0, clearcoatRoughness: 0.01, iridescence: 0.6, iridescenceIOR: 1.4, iridescenceThickness: 420.0, texture: 'none' },
-            'energy-shield': { type: 'glossy', albedo: [0.1, 0.8, 1.0], roughness: 0.05, animated: 1.0, animSpeed: 2.0, animType: 1.0, emission: [0.2, 0.5, 1.0], texture: 'none' },
-            'holographic': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.02, animated: 1.0, animSpeed: 3.0, animType: 3.0, iridescence: 1.0, iridescenceIOR: 1.3, iridescenceThickness: 500.0, texture: 'none' },
-            'quantum-foam': { type: 'glossy', albedo: [0.9, 0.9, 1.0], roughness: 0.3, animated: 1.0, animSpeed: 5.0, animType: 4.0, texture: 'none' },
-            'glossy-plastic': { type: 'glossy', albedo: [0.2, 0.6, 0.9], roughness: 0.08 },
-        };
+        const presets = this.getMaterialPresets();
         return presets[name] || presets['gold-fbm'];
     }
     
@@ -256,6 +252,7 @@ class OpticalSimulator {
     changeCenterSphereMaterial(materialName) {
         const material = this.getMaterialPreset(materialName);
         const sphere = this.scene.spheres[this.centerSphereIndex];
+        if (!sphere) return;
         
         // Update sphere material
         sphere.material = material;
@@ -269,6 +266,349 @@ class OpticalSimulator {
         }
     }
     
+    // Replace the scene and camera with a parsed scene file. Returns validation errors.
+    loadSceneData(data) {
+        const errors = SceneFile.apply(data, this.scene, this.camera, this.getMaterialPresets());
+        if (errors.length > 0) {
+            console.error('❌ Scene load failed:', errors);
+            return errors;
+        }
+        
+        // Loaded scenes have no orbiting lights; the material controls follow the sphere named "center"
+        this.lights = [];
+        this.centerSphereIndex = Math.max(0, this.scene.spheres.findIndex(s => s.name === 'center'));
+        
+        this.syncControlsFromState();
+        if (this.rayTracer) {
+            this.rayTracer.frame = 0;
+            this.rayTracer.needsUpdate = true;
+        }
+        if (this.cameraVisualizer) this.cameraVisualizer.needsUpdate = true;
+        
+        console.log(`📂 Loaded scene: ${this.scene.objects.length} objects, ${this.camera.type} camera`);
+        return [];
+    }
+    
+    // Load a scene shared through #scene=... in the URL, if there is one
+    loadSceneFromURLHash() {
+        const result = SceneFile.fromURLHash(window.location.hash);
+        if (!result) return;
+        
+        const errors = result.errors.length > 0 ? result.errors : this.loadSceneData(result.data);
+        this.showSceneFileStatus(errors.length > 0
+            ? '❌ Shared scene link is invalid:\n' + errors.join('\n')
+            : '✅ Loaded scene from link', errors.length > 0);
+    }
+    
+    // Render N samples (or take the buffer as it is), then save the beauty pass and
+    // optionally the depth/TOF layers from a second, auxiliary accumulation
+    async exportRender(renderFirst) {
+        if (this.isExporting) return;
+        if (!this.rayTracer || !this.rayTracer.gl) {
+            this.showExportStatus('❌ Export needs the WebGL renderer', true);
+            return;
+        }
+        
+        const settings = { ...this.exportSettings };
+        const buttons = ['export-render', 'export-current'].map(id => document.getElementById(id));
+        buttons.forEach(button => { button.disabled = true; });
+        this.isExporting = true;
+        
+        try {
+            const base = `aperture-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+            let saved = 0;
+            
+            if (renderFirst) {
+                this.rayTracer.needsUpdate = true;
+                let nextSnapshot = settings.interval;
+                while (true) {
+                    const target = nextSnapshot > 0 ? Math.min(nextSnapshot, settings.samples) : settings.samples;
+                    await this.waitForSamples(target, (spp) => {
+                        this.showExportStatus(`⏳ Rendering ${spp}/${settings.samples} samples...`);
+                    });
+                    if (target >= settings.samples) break;
+                    
+                    // PNG sequence frame of the partially converged beauty pass
+                    const snapshot = this.rayTracer.readAccumulation();
+                    if (snapshot) {
+                        const frameBase = RenderExport.frameName(base, this.rayTracer.frame);
+                        saved += this.saveExportFiles(await RenderExport.buildFiles(snapshot, null, { ...settings, format: 'png', base: frameBase }));
+                    }
+                    nextSnapshot += settings.interval;
+                }
+            }
+            
+            const samples = Math.floor(this.rayTracer.frame);
+            const beauty = this.rayTracer.readAccumulation();
+            if (!beauty) {
+                this.showExportStatus('❌ Could not read back the accumulation buffer (float render targets unsupported?)', true);
+                return;
+            }
+            
+            const aux = settings.layers
+                ? await this.renderAuxLayers(samples, (spp, total) => {
+                    this.showExportStatus(`⏳ Depth/TOF layers ${spp}/${total} samples...`);
+                })
+                : null;
+            
+            const finalBase = renderFirst ? RenderExport.frameName(base, samples) : base;
+            saved += this.saveExportFiles(await RenderExport.buildFiles(beauty, aux, { ...settings, base: finalBase }));
+            this.showExportStatus(`✅ Saved ${saved} file${saved === 1 ? '' : 's'} (${beauty.width}×${beauty.height}, ${samples} samples)`);
+            console.log(`💾 Render export: ${saved} files, ${samples} samples`);
+        } catch (error) {
+            console.error('Error during render export:', error);
+            this.showExportStatus(`❌ Export failed: ${error.message}`, true);
+        } finally {
+            this.rayTracer.outputLayer = 'beauty';
+            this.isExporting = false;
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+    
+    // Pose the camera and scene at time (scrubbing) and move the controls to match
+    previewTimeline(time) {
+        const errors = this.timeline.apply({ camera: this.camera, scene: this.scene }, time);
+        this.syncControlsFromState();
+        this.rayTracer.needsUpdate = true;
+        this.cameraVisualizer.needsUpdate = true;
+        if (errors.length > 0) this.showTimelineStatus('⚠️ ' + errors.join('\n'), true);
+    }
+    
+    // Render every frame of the timeline to the requested sample count and save it in the
+    // Render Export format. The parameters the timeline drives are restored afterwards.
+    async renderTimeline() {
+        if (this.isExporting) return;
+        if (this.timeline.tracks.length === 0) {
+            this.showTimelineStatus('❌ Add at least one key first', true);
+            return;
+        }
+        if (!this.rayTracer || !this.rayTracer.gl) {
+            this.showTimelineStatus('❌ Rendering a sequence needs the WebGL renderer', true);
+            return;
+        }
+        
+        const times = this.timeline.frameTimes();
+        const root = { camera: this.camera, scene: this.scene };
+        const saved = this.timeline.tracks.map(track =>
+            [track.target, CameraTimeline.toStored(CameraTimeline.getPath(root, track.target))]);
+        const settings = { ...this.exportSettings };
+        const samples = this.timelineSettings.samples;
+        const button = document.getElementById('timeline-render');
+        const base = `aperture-timeline-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+        
+        this.isExporting = true;
+        this.isRenderingTimeline = true;
+        this.timelineCancelled = false;
+        button.textContent = '⏹ Stop';
+        let savedFiles = 0;
+        let frame = 0;
+        
+        try {
+            for (; frame < times.length && !this.timelineCancelled; frame++) {
+                const errors = this.timeline.apply(root, times[frame]);
+                if (errors.length > 0) {
+                    this.showTimelineStatus(`❌ Frame ${frame}:\n` + errors.join('\n'), true);
+                    return;
+                }
+                this.rayTracer.needsUpdate = true;
+                this.cameraVisualizer.needsUpdate = true;
+                
+                // Stop abandons the frame in progress; only finished frames are saved
+                const cancelled = () => this.timelineCancelled;
+                const label = `Frame ${frame + 1}/${times.length} (t = ${times[frame].toFixed(2)}s)`;
+                await this.waitForSamples(samples, (spp) => {
+                    this.showTimelineStatus(`⏳ ${label}: ${spp}/${samples} samples`);
+                }, cancelled);
+                if (cancelled()) break;
+                const beauty = this.rayTracer.readAccumulation();
+                if (!beauty) {
+                    this.showTimelineStatus('❌ Could not read back the accumulation buffer', true);
+                    return;
+                }
+                const aux = settings.layers
+                    ? await this.renderAuxLayers(samples, (spp, total) => {
+                        this.showTimelineStatus(`⏳ ${label}: depth/TOF ${spp}/${total} samples`);
+                    }, cancelled)
+                    : null;
+                if (cancelled()) break;
+                
+                const files = await RenderExport.buildFiles(beauty, aux, { ...settings, base: RenderExport.frameName(base, frame) });
+                savedFiles += this.saveExportFiles(files);
+            }
+            
+            this.showTimelineStatus(this.timelineCancelled
+                ? `⏹ Stopped after ${frame} of ${times.length} frames (${savedFiles} files)`
+                : `✅ Rendered ${times.length} frames at ${samples} samples (${savedFiles} files)`);
+            console.log(`🎬 Timeline: ${frame} frames, ${savedFiles} files`);
+        } catch (error) {
+            console.error('Error during timeline render:', error);
+            this.showTimelineStatus(`❌ Timeline render failed: ${error.message}`, true);
+        } finally {
+            for (const [target, value] of saved) CameraTimeline.setPath(root, target, value);
+            if (saved.some(([target]) => CameraTimeline.ORBIT_FIELDS.includes(target))) this.camera.updateRotation();
+            this.syncControlsFromState();
+            this.rayTracer.outputLayer = 'beauty';
+            this.rayTracer.needsUpdate = true;
+            this.cameraVisualizer.needsUpdate = true;
+            this.isExporting = false;
+            this.isRenderingTimeline = false;
+            button.innerHTML = '<strong>Render Sequence</strong>';
+        }
+    }
+    
+    // Key list: one line per track, "time value" pairs with the segment interpolation
+    updateTimelineKeys() {
+        const list = document.getElementById('timeline-keys');
+        if (!list) return;
+        if (this.timeline.tracks.length === 0) {
+            list.textContent = 'No keys yet. Set a parameter, pick a time and key it.';
+            return;
+        }
+        
+        const format = v => (Array.isArray(v) ? `[${v.map(c => c.toFixed(2)).join(', ')}]` : typeof v === 'number' ? v.toFixed(2) : String(v));
+        const lines = this.timeline.tracks.map(track => {
+            const keys = track.keys.map(k => `${k.time.toFixed(1)}s ${format(k.value)}${k.interpolation === 'linear' ? '' : ` (${k.interpolation})`}`);
+            return `${track.target.replace(/^camera\./, '')}${track.scale === 'log' ? ' [log]' : ''}: ${keys.join(' → ')}`;
+        });
+        const frames = this.timeline.frameTimes().length;
+        list.textContent = lines.join('\n') + `\n${this.timeline.duration.toFixed(1)}s, ${frames} frames at ${this.timeline.fps} fps`;
+    }
+    
+    showTimelineStatus(message, isError = false) {
+        const status = document.getElementById('timeline-status');
+        if (!status) return;
+        status.style.color = isError ? '#ff6b6b' : '#888';
+        status.textContent = message;
+    }
+    
+    // Accumulate the depth/TOF pass and read it back, then switch back to beauty.
+    // Depth converges far faster than shading; a few samples settle the edges.
+    async renderAuxLayers(samples, onProgress, isCancelled) {
+        const total = Math.min(Math.max(samples, 1), 64);
+        this.rayTracer.outputLayer = 'aux';
+        this.rayTracer.needsUpdate = true;
+        await this.waitForSamples(total, (spp) => onProgress(spp, total), isCancelled);
+        const aux = this.rayTracer.readAccumulation();
+        this.rayTracer.outputLayer = 'beauty';
+        this.rayTracer.needsUpdate = true;
+        return aux;
+    }
+    
+    // Resolves once the accumulation reaches count samples (render() restarts it on changes),
+    // or as soon as isCancelled() returns true
+    waitForSamples(count, onProgress, isCancelled = () => false) {
+        return new Promise(resolve => {
+            const check = () => {
+                const spp = Math.floor(this.rayTracer.frame);
+                if (onProgress) onProgress(spp);
+                if (isCancelled() || (spp >= count && !this.rayTracer.needsUpdate)) {
+                    resolve();
+                } else {
+                    requestAnimationFrame(check);
+                }
+            };
+            requestAnimationFrame(check);
+        });
+    }
+    
+    saveExportFiles(files) {
+        for (const file of files) {
+            this.downloadFile(file.filename, file.bytes, file.mime);
+        }
+        return files.length;
+    }
+    
+    showExportStatus(message, isError = false) {
+        const status = document.getElementById('export-status');
+        if (!status) return;
+        status.style.color = isError ? '#ff6b6b' : '#888';
+        status.textContent = message;
+    }
+    
+    showSceneFileStatus(message, isError = false) {
+        const status = document.getElementById('scene-file-status');
+        if (!status) return;
+        status.style.color = isError ? '#ff6b6b' : '#888';
+        status.textContent = message;
+    }
+    
+    // Push loaded values back into the controls. Sliders only get their position and label
+    // updated (their handlers would round values to the slider step); selects and checkboxes
+    // copy their value straight into the state, so replaying their change events is safe.
+    syncControlsFromState() {
+        const camera = this.camera;
+        const setSlider = (id, valueId, value, text) => {
+            const slider = document.getElementById(id);
+            const display = document.getElementById(valueId);
+            if (slider) slider.value = value;
+            if (display) display.textContent = text;
+        };
+        const setInput = (id, value) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            if (element.type === 'checkbox') {
+                element.checked = value;
+            } else {
+                element.value = value;
+                if (element.value !== String(value)) return; // Not one of the options
+            }
+            element.dispatchEvent(new Event('change'));
+        };
+        
+        // Inverse of the piecewise logarithmic f-stop scale on the aperture slider
+        const f = camera.apertureFStop;
+        let apertureSlider;
+        if (f <= 1.4) apertureSlider = 35 * (Math.log(f) - Math.log(0.01)) / (Math.log(1.4) - Math.log(0.01));
+        else if (f <= 16) apertureSlider = 35 + 40 * (Math.log(f) - Math.log(1.4)) / (Math.log(16) - Math.log(1.4));
+        else apertureSlider = 75 + 45 * (Math.log(f) - Math.log(16)) / (Math.log(128) - Math.log(16));
+        const fText = f < 1 ? `f/${f.toFixed(2)}` : f < 10 ? `f/${f.toFixed(1)}` : `f/${f.toFixed(0)}`;
+        
+        setSlider('cam-yaw', 'cam-yaw-value', camera.yaw, `${camera.yaw.toFixed(0)}°`);
+        setSlider('cam-pitch', 'cam-pitch-value', camera.pitch, `${camera.pitch.toFixed(0)}°`);
+        setSlider('cam-distance', 'cam-distance-value', camera.distance, `${camera.distance.toFixed(1)}m`);
+        setSlider('distortion-amount', 'distortion-value', camera.distortionAmount, camera.distortionAmount.toFixed(2));
+        setSlider('aperture-size', 'aperture-value', Math.max(0, Math.min(120, apertureSlider)), fText);
+        setSlider('aperture-blades', 'blades-value', camera.apertureBlades, camera.apertureBlades);
+        setSlider('aperture-shift-x', 'aperture-shift-x-value', camera.apertureShiftX, camera.apertureShiftX.toFixed(3));
+        setSlider('aperture-shift-y', 'aperture-shift-y-value', camera.apertureShiftY, camera.apertureShiftY.toFixed(3));
+        setSlider('aperture-shift-z', 'aperture-shift-z-value', camera.apertureShiftZ, camera.apertureShiftZ.toFixed(3));
+        setSlider('aperture-tilt-x', 'aperture-tilt-x-value', camera.apertureTiltX, `${camera.apertureTiltX.toFixed(0)}°`);
+        setSlider('aperture-tilt-y', 'aperture-tilt-y-value', camera.apertureTiltY, `${camera.apertureTiltY.toFixed(0)}°`);
+        setSlider('focal-length', 'focal-value', camera.focalLength, `${camera.focalLength}mm`);
+        setSlider('focus-distance', 'focus-value', camera.focusDistance, camera.focusDistance);
+        setSlider('film-shift-x', 'film-shift-x-value', camera.filmShiftX, camera.filmShiftX.toFixed(3));
+        setSlider('film-shift-y', 'film-shift-y-value', camera.filmShiftY, camera.filmShiftY.toFixed(3));
+        setSlider('film-shift-z', 'film-shift-z-value', camera.filmShiftZ, camera.filmShiftZ.toFixed(3));
+        setSlider('film-tilt-x', 'tilt-x-value', camera.filmTiltX, `${camera.filmTiltX.toFixed(0)}°`);
+        setSlider('film-tilt-y', 'tilt-y-value', camera.filmTiltY, `${camera.filmTiltY.toFixed(0)}°`);
+        setSlider('sensor-offset-x', 'sensor-offset-x-value', camera.sensorOffsetX, camera.sensorOffsetX.toFixed(2));
+        setSlider('sensor-offset-y', 'sensor-offset-y-value', camera.sensorOffsetY, camera.sensorOffsetY.toFixed(2));
+        setSlider('film-curvature', 'curve-value', camera.filmCurvature, camera.filmCurvature.toFixed(2));
+        setSlider('film-size', 'film-size-value', camera.filmSize, `${camera.filmSize}mm`);
+        setSlider('chromatic-aberration', 'chromatic-aberration-value', camera.chromaticAberration, camera.chromaticAberration.toFixed(1));
+        setSlider('lens-chromatic-aberration', 'lens-chromatic-value', camera.lensChromaticAberration, camera.lensChromaticAberration.toFixed(1));
+        setSlider('fog-density', 'fog-density-value', camera.fogDensity, camera.fogDensity.toFixed(2));
+        setSlider('fog-anisotropy', 'fog-anisotropy-value', camera.fogAnisotropy, camera.fogAnisotropy.toFixed(2));
+        setSlider('sky-intensity', 'sky-value', this.scene.skyIntensity, this.scene.skyIntensity.toFixed(1));
+        setSlider('ground-pattern-scale', 'ground-scale-value', this.scene.groundPatternScale, this.scene.groundPatternScale.toFixed(1));
+        
+        setInput('camera-type', camera.type);
+        setInput('distortion-type', camera.distortionType);
+        setInput('aperture-shape', camera.apertureShape);
+        setInput('ground-pattern', this.scene.groundPattern);
+        setInput('enable-new-tiltshift', camera.enableNewTiltShift);
+        setInput('enable-chromatic-aberration', camera.enableChromaticAberration);
+        setInput('chromatic-mode', camera.chromaticAberrationMode);
+        setInput('enable-lens-chromatic-aberration', camera.enableLensChromaticAberration);
+        setInput('lens-chromatic-mode', camera.lensChromaticAberrationMode);
+        setInput('enable-environment-fog', camera.enableEnvironmentFog);
+        
+        const lensKey = Object.keys(LensPrescription.LIBRARY)
+            .find(key => LensPrescription.LIBRARY[key].name === camera.lensSystem.name);
+        const lensPreset = document.getElementById('lens-preset');
+        if (lensPreset) lensPreset.value = lensKey || 'custom';
+    }
+    
     setupEventListeners() {
         // Material selector
         const materialSelector = document.getElementById('center-sphere-material');
@@ -404,6 +744,172 @@ class OpticalSimulator {
             this.rayTracer.needsUpdate = true;
         });
         
+        // Scene files: save, load and share through the URL hash
+        const sceneFileInput = document.getElementById('scene-file-input');
+        
+        document.getElementById('scene-save').addEventListener('click', () => {
+            const data = SceneFile.serialize(this.scene, this.camera, this.getMaterialPresets());
+            this.downloadFile('aperture-scene.json', SceneFile.stringify(data), 'application/json');
+        });
+        
+        document.getElementById('scene-load').addEventListener('click', () => sceneFileInput.click());
+        sceneFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { data, errors: parseErrors } = SceneFile.parse(reader.result);
+                const errors = parseErrors.length > 0 ? parseErrors : this.loadSceneData(data);
+                this.showSceneFileStatus(errors.length > 0
+                    ? `❌ ${file.name}:\n` + errors.join('\n')
+                    : `✅ Loaded ${file.name}`, errors.length > 0);
+            };
+            reader.readAsText(file);
+            sceneFileInput.value = ''; // Allow reloading the same file
+        });
+        
+        document.getElementById('scene-share-link').addEventListener('click', () => {
+            const data = SceneFile.serialize(this.scene, this.camera, this.getMaterialPresets());
+            history.replaceState(null, '', SceneFile.toURLHash(data));
+            const url = window.location.href;
+            
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url)
+                    .then(() => this.showSceneFileStatus(`🔗 Link copied (${url.length} characters)`))
+                    .catch(() => this.showSceneFileStatus('🔗 Link is in the address bar'));
+            } else {
+                this.showSceneFileStatus('🔗 Link is in the address bar');
+            }
+        });
+        
+        window.addEventListener('hashchange', () => this.loadSceneFromURLHash());
+        
+        // Triangle meshes (OBJ/PLY), placed standing on the ground in front of the camera
+        const meshFileInput = document.getElementById('mesh-file-input');
+        document.getElementById('load-mesh').addEventListener('click', () => meshFileInput.click());
+        meshFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { mesh, errors } = TriangleMesh.parse(file.name, reader.result);
+                if (!mesh) {
+                    this.showSceneFileStatus(`❌ ${file.name}:\n` + errors.join('\n'), true);
+                    return;
+                }
+                
+                mesh.fitTo(1.5, [0, -1, 3.5]);
+                const object = this.scene.addMesh(mesh);
+                object.name = file.name.replace(/\.[^.]+$/, '');
+                this.rayTracer.needsUpdate = true;
+                this.cameraVisualizer.needsUpdate = true;
+                this.showSceneFileStatus(`🔺 Loaded ${file.name}: ${mesh.triangleCount} triangles`);
+            };
+            reader.readAsArrayBuffer(file);
+            meshFileInput.value = ''; // Allow reloading the same file
+        });
+        
+        // Render export: float EXR/PFM or tone-mapped PNG of the accumulation buffer
+        document.getElementById('export-format').addEventListener('change', (e) => {
+            this.exportSettings.format = e.target.value;
+        });
+        document.getElementById('export-tonemap').addEventListener('change', (e) => {
+            this.exportSettings.toneMap = e.target.value;
+        });
+        this.bindSlider('export-samples', 'export-samples-value', (v) => {
+            this.exportSettings.samples = parseInt(v);
+        });
+        this.bindSlider('export-interval', 'export-interval-value', (v) => {
+            this.exportSettings.interval = parseInt(v);
+        }, (v) => parseInt(v) === 0 ? 'Off' : v);
+        this.bindSlider('export-exposure', 'export-exposure-value', (v) => {
+            this.exportSettings.exposure = parseFloat(v);
+        }, (v) => parseFloat(v).toFixed(1));
+        this.bindCheckbox('export-layers', (checked) => {
+            this.exportSettings.layers = checked;
+        });
+        document.getElementById('export-render').addEventListener('click', () => this.exportRender(true));
+        document.getElementById('export-current').addEventListener('click', () => this.exportRender(false));
+        
+        // Camera timeline: key parameters over time, scrub, render the sequence
+        const timelineParameter = document.getElementById('timeline-parameter');
+        for (const parameter of CameraTimeline.PARAMETERS) {
+            const option = document.createElement('option');
+            option.value = parameter.target;
+            option.textContent = parameter.label;
+            timelineParameter.appendChild(option);
+        }
+        timelineParameter.value = this.timelineSettings.target;
+        timelineParameter.addEventListener('change', (e) => {
+            this.timelineSettings.target = e.target.value;
+        });
+        document.getElementById('timeline-interpolation').addEventListener('change', (e) => {
+            this.timelineSettings.interpolation = e.target.value;
+        });
+        this.bindSlider('timeline-key-time', 'timeline-key-time-value', (v) => {
+            this.timelineSettings.time = parseFloat(v);
+        }, (v) => `${parseFloat(v).toFixed(1)}s`);
+        this.bindSlider('timeline-scrub', 'timeline-scrub-value', (v) => {
+            this.previewTimeline(parseInt(v) / 1000 * this.timeline.duration);
+        }, (v) => `${(parseInt(v) / 1000 * this.timeline.duration).toFixed(2)}s`);
+        this.bindSlider('timeline-fps', 'timeline-fps-value', (v) => {
+            this.timeline.fps = parseInt(v);
+            this.updateTimelineKeys();
+        }, (v) => `${v} fps`);
+        this.bindSlider('timeline-samples', 'timeline-samples-value', (v) => {
+            this.timelineSettings.samples = parseInt(v);
+        });
+        
+        document.getElementById('timeline-add-key').addEventListener('click', () => {
+            const { target, time, interpolation } = this.timelineSettings;
+            this.timeline.captureKey(target, time, { camera: this.camera, scene: this.scene }, interpolation);
+            this.updateTimelineKeys();
+        });
+        document.getElementById('timeline-remove-key').addEventListener('click', () => {
+            this.timeline.removeKey(this.timelineSettings.target, this.timelineSettings.time);
+            this.updateTimelineKeys();
+        });
+        document.getElementById('timeline-clear').addEventListener('click', () => {
+            this.timeline.clear();
+            this.updateTimelineKeys();
+        });
+        document.getElementById('timeline-render').addEventListener('click', () => {
+            if (this.isRenderingTimeline) {
+                this.timelineCancelled = true;
+            } else {
+                this.renderTimeline();
+            }
+        });
+        
+        const timelineFileInput = document.getElementById('timeline-file-input');
+        document.getElementById('timeline-save').addEventListener('click', () => {
+            this.downloadFile('aperture-timeline.json', this.timeline.stringify(), 'application/json');
+        });
+        document.getElementById('timeline-load').addEventListener('click', () => timelineFileInput.click());
+        timelineFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                const { timeline, errors } = CameraTimeline.parse(reader.result);
+                if (!timeline) {
+                    this.showTimelineStatus(`❌ ${file.name}:\n` + errors.join('\n'), true);
+                    return;
+                }
+                this.timeline = timeline;
+                const fpsSlider = document.getElementById('timeline-fps');
+                fpsSlider.value = timeline.fps;
+                document.getElementById('timeline-fps-value').textContent = `${timeline.fps} fps`;
+                this.updateTimelineKeys();
+                this.showTimelineStatus(`✅ Loaded ${file.name}`);
+            };
+            reader.readAsText(file);
+            timelineFileInput.value = ''; // Allow reloading the same file
+        });
+        
         // Mouse tracking for gizmo interaction
         this.sceneCanvas.addEventListener('mousemove', (e) => {
             const rect = this.sceneCanvas.getBoundingClientRect();
@@ -1061,6 +1567,68 @@ class OpticalSimulator {
             this.cameraVisualizer.needsUpdate = true;
         });
         
+        // Lens prescription (compound-lens camera)
+        const lensPreset = document.getElementById('lens-preset');
+        const lensStatus = document.getElementById('lens-status');
+        const lensFileInput = document.getElementById('lens-file-input');
+        
+        const applyPrescription = (prescription) => {
+            const errors = this.camera.setLensPrescription(prescription);
+            if (errors.length > 0) {
+                lensStatus.style.color = '#ff6b6b';
+                lensStatus.textContent = `❌ ${prescription.name} rejected:\n` + errors.join('\n');
+                return false;
+            }
+            const lens = this.camera.lensSystem;
+            lensStatus.style.color = '#888';
+            lensStatus.textContent = `✅ ${lens.name}: ${lens.prescription.length} surfaces, ` +
+                `EFL ${lens.designFocalLength.toFixed(1)}mm, f/${lens.designFNumber.toFixed(1)} wide open`;
+            this.rayTracer.needsUpdate = true;
+            this.cameraVisualizer.needsUpdate = true;
+            return true;
+        };
+        
+        lensPreset.addEventListener('change', (e) => {
+            applyPrescription(LensPrescription.LIBRARY[e.target.value]);
+        });
+        
+        document.getElementById('lens-import').addEventListener('click', () => lensFileInput.click());
+        lensFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                let result;
+                try {
+                    result = LensPrescription.parse(reader.result, file.name.replace(/\.[^.]+$/, ''));
+                } catch (error) {
+                    result = { prescription: null, errors: [error.message] };
+                }
+                const { prescription, errors } = result;
+                if (errors.length > 0) {
+                    lensStatus.style.color = '#ff6b6b';
+                    lensStatus.textContent = `❌ ${file.name}:\n` + errors.join('\n');
+                    console.error('Lens import failed:', errors);
+                } else if (applyPrescription(prescription)) {
+                    lensPreset.value = 'custom';
+                    console.log(`🔬 Imported lens "${prescription.name}"`);
+                }
+            };
+            reader.readAsText(file);
+            lensFileInput.value = ''; // Allow re-importing the same file
+        });
+        
+        document.getElementById('lens-export-text').addEventListener('click', () => {
+            const prescription = this.camera.getLensData();
+            this.downloadFile(`${prescription.name}.txt`, LensPrescription.format(prescription), 'text/plain');
+        });
+        
+        document.getElementById('lens-export-json').addEventListener('click', () => {
+            const prescription = this.camera.getLensData();
+            this.downloadFile(`${prescription.name}.json`, LensPrescription.toJSON(prescription), 'application/json');
+        });
+        
         // Camera rotation controls
         this.bindSlider('cam-yaw', 'cam-yaw-value', (v) => {
             this.camera.yaw = parseFloat(v);
@@ -1225,12 +1793,6 @@ class OpticalSimulator {
             this.rayTracer.autofocusBlendFactor = parseFloat(v);
         });
         
-        this.bindSlider('lens-elements', 'elements-value', (v) => {
-            this.camera.lensElements = parseInt(v);
-            this.rayTracer.needsUpdate = true;
-            this.cameraVisualizer.needsUpdate = true;
-        });
-        
         // Film shift controls
         this.bindSlider('film-shift-x', 'film-shift-x-value', (v) => {
             this.camera.filmShiftX = parseFloat(v);
@@ -1543,6 +2105,8 @@ class OpticalSimulator {
         const cwtofPreviewOverlay = document.getElementById('cwtof-preview-overlay');
         const cwtofReconstructionCanvas = document.getElementById('cwtof-reconstruction-canvas');
         const cwtofCapture4PhaseBtn = document.getElementById('cwtof-capture-4phase');
+        const cwtofMultiFrequencyControls = ['cwtof-frequency-set', 'cwtof-disambiguation', 'cwtof-multipath',
+            'cwtof-confidence', 'cwtof-show-confidence'].map(id => document.getElementById(id));
         
         this.bindCheckbox('enable-cwtof', (checked) => {
             this.camera.enableCWToF = checked;
@@ -1553,9 +2117,50 @@ class OpticalSimulator {
             if (cwtofShowGroundTruth) cwtofShowGroundTruth.disabled = !checked;
             if (cwtofShowReconstruction) cwtofShowReconstruction.disabled = !checked;
             if (cwtofCapture4PhaseBtn) cwtofCapture4PhaseBtn.disabled = !checked;
+            cwtofMultiFrequencyControls.forEach(control => { if (control) control.disabled = !checked; });
             this.rayTracer.needsUpdate = true;
         });
         
+        // Multi-frequency capture, multipath and confidence
+        this.cwtofShowConfidence = false;
+        const cwtofFrequencySet = document.getElementById('cwtof-frequency-set');
+        if (cwtofFrequencySet) {
+            cwtofFrequencySet.addEventListener('change', (e) => {
+                this.camera.cwTofFrequencies = e.target.value
+                    ? e.target.value.split(',').map(mhz => parseFloat(mhz) * 1e6)
+                    : [];
+            });
+        }
+        
+        const cwtofDisambiguation = document.getElementById('cwtof-disambiguation');
+        if (cwtofDisambiguation) {
+            cwtofDisambiguation.addEventListener('change', (e) => {
+                this.camera.cwTofDisambiguation = e.target.value;
+                this.cwtofProcessor.disambiguation = e.target.value;
+                
+                // Captures are kept, so the last multi-frequency set can be re-solved
+                if (this.cwtofProcessor.depthMeters) {
+                    this.cwtofProcessor.reconstructMultiFrequency();
+                    this.renderCWToFReconstruction();
+                }
+            });
+        }
+        
+        this.bindCheckbox('cwtof-multipath', (checked) => {
+            this.camera.cwTofMultipath = checked;
+            this.rayTracer.needsUpdate = true;
+        });
+        
+        this.bindSlider('cwtof-confidence', 'cwtof-confidence-value', (v) => {
+            this.camera.cwTofConfidenceThreshold = parseFloat(v);
+            if (this.cwtofProcessor.unwrappedDepth) this.renderCWToFReconstruction();
+        }, (v) => parseFloat(v).toFixed(2));
+        
+        this.bindCheckbox('cwtof-show-confidence', (checked) => {
+            this.cwtofShowConfidence = checked;
+            if (this.cwtofProcessor.unwrappedDepth) this.renderCWToFReconstruction();
+        });
+        
         this.bindCheckbox('cwtof-show-interference', (checked) => {
             this.camera.cwTofShowInterference = checked;
             this.rayTracer.needsUpdate = true;
@@ -1582,59 +2187,80 @@ class OpticalSimulator {
                 cwtofCapture4PhaseBtn.disabled = true;
                 cwtofCapture4PhaseBtn.textContent = '⏳ Phase 0° (waiting for samples...)';
                 
+                const savedModulationFreq = this.camera.cwTofModulationFreq;
+                const savedReferenceFreq = this.camera.referenceWaveFrequency;
                 try {
                     const gl = this.rayTracer.gl;
                     const phases = [0, 90, 180, 270];
+                    const multiFrequency = this.camera.cwTofFrequencies.length > 1;
+                    const frequencies = multiFrequency ? this.camera.cwTofFrequencies : [this.camera.cwTofModulationFreq];
+                    this.cwtofProcessor.setFrequencies(frequencies);
                     
-                    // Capture each phase
-                    for (let i = 0; i < 4; i++) {
-                        const phaseAngle = phases[i];
-                        console.log(`\n📐 Phase ${i+1}/4: ${phaseAngle}°`);
-                        
-                        // Set phase and reset accumulation
-                        this.camera.cwTofPhaseOffset = phaseAngle;
-                        this.rayTracer.frame = 0;
-                        this.rayTracer.needsUpdate = true;
-                        
-                        // Update button text
-                        cwtofCapture4PhaseBtn.textContent = `⏳ Phase ${phaseAngle}° (0/${this.targetSPP})`;
-                        
-                        // Wait for targetSPP samples to accumulate
-                        await new Promise(resolve => {
-                            const checkSPP = () => {
-                                const currentSPP = this.rayTracer.frame;
-                                
-                                // Update progress
-                                cwtofCapture4PhaseBtn.textContent = `⏳ Phase ${phaseAngle}° (${currentSPP}/${this.targetSPP})`;
-                                
-                                if (currentSPP >= this.targetSPP) {
-                                    console.log(`  ✓ Phase ${phaseAngle}° ready (${currentSPP} samples)`);
-                                    resolve();
-                                } else {
-                                    requestAnimationFrame(checkSPP);
-                                }
-                            };
-                            requestAnimationFrame(checkSPP);
-                        });
-                        
-                        // Capture this phase
-                        console.log(`  📸 Capturing phase ${phaseAngle}°...`);
-                        this.cwtofProcessor.capturePhase(gl, gl.canvas.width, gl.canvas.height, i);
+                    // A reference wave at a fixed frequency would turn every capture
+                    // frequency into a beat (f - f_ref); hold it static for the set
+                    if (multiFrequency) this.camera.referenceWaveFrequency = 0;
+                    
+                    // Capture each phase at each frequency
+                    for (let f = 0; f < frequencies.length; f++) {
+                        this.camera.cwTofModulationFreq = frequencies[f];
+                        const label = multiFrequency ? `${(frequencies[f] / 1e6).toFixed(0)} MHz · ` : '';
                         
-                        // Small delay between captures
-                        await new Promise(resolve => setTimeout(resolve, 100));
+                        for (let i = 0; i < 4; i++) {
+                            const phaseAngle = phases[i];
+                            console.log(`\n📐 ${label}Phase ${i+1}/4: ${phaseAngle}°`);
+                            
+                            // Set phase and reset accumulation
+                            this.camera.cwTofPhaseOffset = phaseAngle;
+                            this.rayTracer.frame = 0;
+                            this.rayTracer.needsUpdate = true;
+                            
+                            // Update button text
+                            cwtofCapture4PhaseBtn.textContent = `⏳ ${label}Phase ${phaseAngle}° (0/${this.targetSPP})`;
+                            
+                            // Wait for targetSPP samples to accumulate
+                            await new Promise(resolve => {
+                                const checkSPP = () => {
+                                    const currentSPP = this.rayTracer.frame;
+                                    
+                                    // Update progress
+                                    cwtofCapture4PhaseBtn.textContent = `⏳ ${label}Phase ${phaseAngle}° (${currentSPP}/${this.targetSPP})`;
+                                    
+                                    if (currentSPP >= this.targetSPP) {
+                                        console.log(`  ✓ Phase ${phaseAngle}° ready (${currentSPP} samples)`);
+                                        resolve();
+                                    } else {
+                                        requestAnimationFrame(checkSPP);
+                                    }
+                                };
+                                requestAnimationFrame(checkSPP);
+                            });
+                            
+                            // Capture this phase
+                            console.log(`  📸 Capturing phase ${phaseAngle}°...`);
+                            this.cwtofProcessor.capturePhase(gl, gl.canvas.width, gl.canvas.height, i, f);
+                            
+                            // Small delay between captures
+                            await new Promise(resolve => setTimeout(resolve, 100));
+                        }
                     }
                     
                     // Reconstruct depth
-                    console.log('🔬 Reconstructing depth from 4 phases...');
-                    this.cwtofProcessor.reconstructDepth(this.camera.cwTofModulationFreq);
-                    this.cwtofProcessor.unwrapDepth();
+                    if (multiFrequency) {
+                        console.log(`🔬 Reconstructing depth from ${frequencies.length} frequencies...`);
+                        this.cwtofProcessor.reconstructMultiFrequency(this.camera.cwTofDisambiguation);
+                    } else {
+                        console.log('🔬 Reconstructing depth from 4 phases...');
+                        this.cwtofProcessor.reconstructDepth(this.camera.cwTofModulationFreq);
+                        this.cwtofProcessor.unwrapDepth();
+                    }
                     
                     // Render to canvas
                     this.renderCWToFReconstruction();
                     
-                    // Reset to phase 0
+                    // Reset to phase 0 and the user's frequencies
                     this.camera.cwTofPhaseOffset = 0;
+                    this.camera.cwTofModulationFreq = savedModulationFreq;
+                    this.camera.referenceWaveFrequency = savedReferenceFreq;
                     this.rayTracer.needsUpdate = true;
                     
                     console.log('✓ 4-phase reconstruction complete!');
@@ -1647,6 +2273,8 @@ class OpticalSimulator {
                     
                 } catch (error) {
                     console.error('Error during 4-phase capture:', error);
+                    this.camera.cwTofModulationFreq = savedModulationFreq;
+                    this.camera.referenceWaveFrequency = savedReferenceFreq;
                     this.isCapturingCWToF = false; // Re-enable auto-restart even on error
                     cwtofCapture4PhaseBtn.textContent = '❌ Error!';
                     setTimeout(() => {
@@ -1741,6 +2369,26 @@ class OpticalSimulator {
         // Initialize CW-ToF processor for 4-phase depth reconstruction
         this.cwtofProcessor = new CWToFProcessor(512); // Full resolution for better quality
         
+        // Phase unwrapping method and residue map (shared by CW-ToF and off-axis)
+        this.showPhaseResidues = false;
+        const phaseUnwrapMethod = document.getElementById('phase-unwrap-method');
+        if (phaseUnwrapMethod) {
+            phaseUnwrapMethod.addEventListener('change', (e) => {
+                this.fftProcessor.unwrapMethod = e.target.value;
+                this.cwtofProcessor.unwrapMethod = e.target.value;
+                // Off-axis preview re-unwraps on its next update; CW-ToF only when captured
+                if (this.cwtofProcessor.wrappedPhase) {
+                    this.cwtofProcessor.unwrapDepth();
+                    this.renderCWToFReconstruction();
+                }
+                this.updatePhaseUnwrapStatus();
+            });
+        }
+        this.bindCheckbox('show-phase-residues', (checked) => {
+            this.showPhaseResidues = checked;
+            if (this.cwtofProcessor.unwrappedDepth) this.renderCWToFReconstruction();
+        });
+        
         const offaxisMinSPPSlider = document.getElementById('offaxis-min-spp');
         const offaxisShowComparison = document.getElementById('offaxis-show-comparison');
         const comparisonView = document.getElementById('comparison-view');
@@ -1864,7 +2512,17 @@ class OpticalSimulator {
             callback(e.target.checked);
         });
     }
-    
+
+    // Save generated text or bytes through a temporary download link
+    downloadFile(filename, contents, mimeType) {
+        const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     resizeCanvases() {
         // Scene canvas fills its container
         const sceneWidth = this.sceneCanvas.parentElement.clientWidth;
@@ -2219,6 +2877,10 @@ class OpticalSimulator {
                     }
                     imageData7.data[newpos * 4 + 3] = 255;
                 }
+                if (this.showPhaseResidues && this.fftProcessor.residueMap) {
+                    this.drawResidueOverlay(imageData7, size, this.fftProcessor.residueMap, size, true);
+                }
+                this.updatePhaseUnwrapStatus();
                 ctx7.save();
                 ctx7.scale(-1, 1);
                 ctx7.putImageData(imageData7, 0, 0);
@@ -2451,7 +3113,7 @@ class OpticalSimulator {
         // Auto-restart accumulation when targetSPP is reached (for holography live preview)
         // This ensures consistent sample count for each capture cycle
         // Skip during manual CW-ToF capture (isCapturingCWToF flag prevents interference)
-        if (this.rayTracer && this.rayTracer.frame >= this.targetSPP && !this.isCapturingCWToF) {
+        if (this.rayTracer && this.rayTracer.frame >= this.targetSPP && !this.isCapturingCWToF && !this.isExporting) {
             const isHolographyActive = this.camera.enableCWToF || this.camera.enableOffAxis;
             
             if (isHolographyActive) {
@@ -2492,9 +3154,21 @@ class OpticalSimulator {
                 const dstIdx = dstY * dstSize + dstX;
                 
                 const depth = this.cwtofProcessor.unwrappedDepth[srcIdx];
+                const confidence = this.cwtofProcessor.confidence ? this.cwtofProcessor.confidence[srcIdx] : 1;
                 
-                // Colormap: blue (near) -> cyan -> red (far)
-                if (depth < 0.5) {
+                if (this.cwtofShowConfidence) {
+                    // Confidence map: black (unreliable) -> white (reliable)
+                    const value = Math.floor(confidence * 255);
+                    imageData.data[dstIdx * 4 + 0] = value;
+                    imageData.data[dstIdx * 4 + 1] = value;
+                    imageData.data[dstIdx * 4 + 2] = value;
+                } else if (confidence < this.camera.cwTofConfidenceThreshold) {
+                    // Below the confidence threshold: dark grey
+                    imageData.data[dstIdx * 4 + 0] = 40;
+                    imageData.data[dstIdx * 4 + 1] = 40;
+                    imageData.data[dstIdx * 4 + 2] = 40;
+                } else if (depth < 0.5) {
+                    // Colormap: blue (near) -> cyan -> red (far)
                     imageData.data[dstIdx * 4 + 0] = 0;
                     imageData.data[dstIdx * 4 + 1] = Math.floor(depth * 2 * 255);
                     imageData.data[dstIdx * 4 + 2] = Math.floor((1 - depth * 2) * 255);
@@ -2507,10 +3181,50 @@ class OpticalSimulator {
             }
         }
         
+        if (this.showPhaseResidues && this.cwtofProcessor.residueMap) {
+            this.drawResidueOverlay(imageData, dstSize, this.cwtofProcessor.residueMap, srcSize, false);
+        }
+        
         ctx.putImageData(imageData, 0, 0);
+        this.updatePhaseUnwrapStatus();
         console.log('✓ Rendered CW-ToF reconstruction to canvas');
     }
     
+    // Paint residues (red = +1, blue = -1) over a square depth/phase image
+    drawResidueOverlay(imageData, dstSize, residues, srcSize, flipY) {
+        const overlay = PhaseUnwrap.residueOverlay(residues, srcSize, srcSize);
+        for (let dstY = 0; dstY < dstSize; dstY++) {
+            const srcY = Math.floor((flipY ? dstSize - 1 - dstY : dstY) * srcSize / dstSize);
+            for (let dstX = 0; dstX < dstSize; dstX++) {
+                const srcIdx = (srcY * srcSize + Math.floor(dstX * srcSize / dstSize)) * 4;
+                if (overlay[srcIdx + 3] === 0) continue;
+                const dstIdx = (dstY * dstSize + dstX) * 4;
+                imageData.data[dstIdx + 0] = overlay[srcIdx + 0];
+                imageData.data[dstIdx + 1] = overlay[srcIdx + 1];
+                imageData.data[dstIdx + 2] = overlay[srcIdx + 2];
+            }
+        }
+    }
+    
+    updatePhaseUnwrapStatus() {
+        const status = document.getElementById('phase-unwrap-status');
+        if (!status) return;
+        
+        const parts = [];
+        if (this.cwtofProcessor?.depthMeters) {
+            const range = this.cwtofProcessor.depthRange;
+            parts.push(`CW-ToF: ${this.cwtofProcessor.frequencies.length} frequencies, ` +
+                `range ${this.cwtofProcessor.unambiguousRange.toFixed(2)} m, depth ${range[0].toFixed(3)}–${range[1].toFixed(3)} m`);
+        } else if (this.cwtofProcessor?.residueMap) {
+            const range = this.cwtofProcessor.depthRange;
+            parts.push(`CW-ToF: ${this.cwtofProcessor.residueCount} residues, depth ${range[0].toFixed(3)}–${range[1].toFixed(3)} m`);
+        }
+        if (this.fftProcessor?.residueMap) {
+            parts.push(`Off-axis: ${this.fftProcessor.residueCount} residues`);
+        }
+        if (parts.length > 0) status.textContent = parts.join(' · ');
+    }
+    
     // Render captured phase image to main canvas (for viewing stored high-quality phases)
     renderCapturedPhase(phaseIndex) {
         if (!this.cwtofProcessor || !this.cwtofProcessor.capturedPhases[phaseIndex]) {
@@ -0,0 +1,31 @@
+// Named materials shared by the material picker, scene files and headless renders
+
+export class MaterialPresets {
+    // A fresh copy on every access, so callers can modify what they get
+    static get ALL() {
+        return {
+            'gold-fbm': { type: 'glossy', albedo: [1.0, 0.75, 0.2], roughness: 0.15, texture: 'fbm' },
+            'brushed-metal': { type: 'glossy', albedo: [0.8, 0.8, 0.85], roughness: 0.3, anisotropy: 0.8, anisotropyRotation: 0.0, texture: 'none' },
+            'car-paint': { type: 'glossy', albedo: [0.8, 0.05, 0.05], roughness: 0.6, clearcoat: 1.0, clearcoatRoughness: 0.05, clearcoatIOR: 1.5, texture: 'none' },
+            'chrome': { type: 'mirror', albedo: [0.95, 0.95, 0.95] },
+            'velvet-red': { type: 'glossy', albedo: [0.7, 0.05, 0.05], roughness: 0.9, velvet: 1.0, velvetFalloff: 3.0, texture: 'none' },
+            'iridescent': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.03, iridescence: 1.0, iridescenceIOR: 1.4, iridescenceThickness: 400.0, texture: 'none' },
+            'jade': { type: 'glossy', albedo: [0.2, 0.6, 0.4], roughness: 0.3, sss: 1.0, scatterDistance: 0.15, scatterDensity: 5.0, texture: 'none' },
+            'beer-glass': { type: 'glass', ior: 1.5, albedo: [0.9, 0.5, 0.1], absorption: 2.0 }, // Pure absorption, no scattering
+            'hair-brown': { type: 'glossy', albedo: [0.4, 0.25, 0.15], roughness: 0.3, hair: 1.0, hairShift: 0.05, hairRoughness2: 0.5, texture: 'none' },
+            'pearl': { type: 'glossy', albedo: [0.95, 0.92, 0.88], roughness: 0.1, pearl: 1.0, pearlDepth: 0.05, pearlIOR: 1.6, texture: 'none' },
+            'triple-layer': { type: 'glossy', albedo: [0.15, 0.6, 0.9], roughness: 0.4, tripleLayer: 1.0, anisotropy: 0.7, clearcoat: 1.0, clearcoatRoughness: 0.02, texture: 'fbm' },
+            'fractal-emissive': { type: 'glossy', albedo: [0.2, 0.6, 1.0], roughness: 0.3, clearcoat: 0.8, clearcoatRoughness: 0.05, surreal: 1.0, surrealType: 1.0, texture: 'fbm' },
+            'black-hole': { type: 'glossy', albedo: [0.05, 0.05, 0.1], roughness: 0.01, surreal: 1.0, surrealType: 2.0, texture: 'none' },
+            'angle-rainbow': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.1, surreal: 1.0, surrealType: 3.0, texture: 'none' },
+            'impossible': { type: 'glossy', albedo: [0.8, 0.2, 0.9], roughness: 0.2, surreal: 1.0, surrealType: 4.0, texture: 'none' },
+            'chromatic-geometry': { type: 'glossy', albedo: [0.5, 0.5, 0.5], roughness: 0.15, surreal: 1.0, surrealType: 5.0, texture: 'none' },
+            'variable-coat-fractal': { type: 'glossy', albedo: [0.2, 0.1, 0.6], roughness: 0.5, variableCoat: 1.0, clearcoat: 1.0, clearcoatRoughness: 0.02, iridescence: 0.8, iridescenceIOR: 1.45, iridescenceThickness: 380.0, texture: 'fbm' },
+            'variable-coat-grid': { type: 'glossy', albedo: [0.1, 0.5, 0.3], roughness: 0.4, variableCoat: 2.0, clearcoat: 1.0, clearcoatRoughness: 0.01, iridescence: 0.6, iridescenceIOR: 1.4, iridescenceThickness: 420.0, texture: 'none' },
+            'energy-shield': { type: 'glossy', albedo: [0.1, 0.8, 1.0], roughness: 0.05, animated: 1.0, animSpeed: 2.0, animType: 1.0, emission: [0.2, 0.5, 1.0], texture: 'none' },
+            'holographic': { type: 'glossy', albedo: [1.0, 1.0, 1.0], roughness: 0.02, animated: 1.0, animSpeed: 3.0, animType: 3.0, iridescence: 1.0, iridescenceIOR: 1.3, iridescenceThickness: 500.0, texture: 'none' },
+            'quantum-foam': { type: 'glossy', albedo: [0.9, 0.9, 1.0], roughness: 0.3, animated: 1.0, animSpeed: 5.0, animType: 4.0, texture: 'none' },
+            'glossy-plastic': { type: 'glossy', albedo: [0.2, 0.6, 0.9], roughness: 0.08 },
+        };
+    }
+}
@@ -0,0 +1,339 @@
+// Indexed triangle meshes loaded from Wavefront OBJ or PLY files
+//
+// positions - Float32Array, xyz per vertex
+// indices   - Uint32Array, three vertex indices per triangle (counter-clockwise = front)
+// normals   - Float32Array, xyz per vertex; computed from the faces when the file has none
+
+export class TriangleMesh {
+    constructor(positions, indices, normals = null) {
+        this.positions = positions;
+        this.indices = indices;
+        this.hasFileNormals = !!normals;
+        this.normals = normals || this.computeNormals();
+        this.boundingSphere = null; // Cached, see getBoundingSphere()
+    }
+
+    get vertexCount() {
+        return this.positions.length / 3;
+    }
+
+    get triangleCount() {
+        return this.indices.length / 3;
+    }
+
+    // Area-weighted vertex normals
+    computeNormals() {
+        const p = this.positions;
+        const normals = new Float32Array(p.length);
+
+        for (let i = 0; i < this.indices.length; i += 3) {
+            const a = this.indices[i] * 3;
+            const b = this.indices[i + 1] * 3;
+            const c = this.indices[i + 2] * 3;
+            const e1 = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+            const e2 = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+            // Unnormalized cross product = twice the triangle area along the normal
+            const n = [
+                e1[1] * e2[2] - e1[2] * e2[1],
+                e1[2] * e2[0] - e1[0] * e2[2],
+                e1[0] * e2[1] - e1[1] * e2[0]
+            ];
+            for (const v of [a, b, c]) {
+                normals[v] += n[0];
+                normals[v + 1] += n[1];
+                normals[v + 2] += n[2];
+            }
+        }
+
+        for (let v = 0; v < normals.length; v += 3) {
+            const len = Math.hypot(normals[v], normals[v + 1], normals[v + 2]);
+            if (len > 0) {
+                normals[v] /= len;
+                normals[v + 1] /= len;
+                normals[v + 2] /= len;
+            }
+        }
+        return normals;
+    }
+
+    getBounds() {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < this.positions.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], this.positions[i + k]);
+                max[k] = Math.max(max[k], this.positions[i + k]);
+            }
+        }
+        return { min, max };
+    }
+
+    // Sphere around the bounding box, used where the renderers need a center and radius
+    getBoundingSphere() {
+        if (!this.boundingSphere) {
+            const { min, max } = this.getBounds();
+            const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+            const radius = Math.hypot(max[0] - center[0], max[1] - center[1], max[2] - center[2]);
+            this.boundingSphere = { center, radius };
+        }
+        return this.boundingSphere;
+    }
+
+    // Uniform scale followed by a translation (normals are unaffected)
+    transform(scale, offset) {
+        for (let i = 0; i < this.positions.length; i += 3) {
+            this.positions[i] = this.positions[i] * scale + offset[0];
+            this.positions[i + 1] = this.positions[i + 1] * scale + offset[1];
+            this.positions[i + 2] = this.positions[i + 2] * scale + offset[2];
+        }
+        this.boundingSphere = null;
+        return this;
+    }
+
+    // Scale so the largest extent equals size, then stand the mesh on base (bottom center)
+    fitTo(size, base) {
+        const { min, max } = this.getBounds();
+        const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+        const scale = extent > 0 ? size / extent : 1;
+        return this.transform(scale, [
+            base[0] - (min[0] + max[0]) / 2 * scale,
+            base[1] - min[1] * scale,
+            base[2] - (min[2] + max[2]) / 2 * scale
+        ]);
+    }
+
+    // Parse by file extension. Returns { mesh, errors }.
+    static parse(filename, buffer) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'obj') return this.parseOBJ(new TextDecoder().decode(buffer));
+        if (extension === 'ply') return this.parsePLY(buffer);
+        return { mesh: null, errors: [`Unsupported mesh format ".${extension}" (use .obj or .ply)`] };
+    }
+
+    // Wavefront OBJ: v, vn and f records (polygons are fan-triangulated); everything else is ignored
+    static parseOBJ(text) {
+        const filePositions = [];
+        const fileNormals = [];
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const errors = [];
+        const vertexMap = new Map(); // "v/vn" -> output vertex
+        let missingNormals = false;
+
+        const resolve = (token, count) => {
+            const index = parseInt(token, 10);
+            if (!Number.isFinite(index) || index === 0) return -1;
+            return index > 0 ? index - 1 : count + index; // Negative indices count back from the end
+        };
+
+        text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+            const parts = line.split(/\s+/);
+            const label = `Line ${lineIndex + 1}`;
+
+            if (parts[0] === 'v' || parts[0] === 'vn') {
+                const xyz = parts.slice(1, 4).map(Number);
+                if (xyz.length < 3 || !xyz.every(Number.isFinite)) {
+                    errors.push(`${label}: expected three coordinates`);
+                    return;
+                }
+                (parts[0] === 'v' ? filePositions : fileNormals).push(xyz);
+            } else if (parts[0] === 'f') {
+                if (parts.length < 4) {
+                    errors.push(`${label}: a face needs at least three vertices`);
+                    return;
+                }
+
+                const corners = [];
+                for (const corner of parts.slice(1)) {
+                    const [vToken, , nToken] = corner.split('/');
+                    const v = resolve(vToken, filePositions.length);
+                    const n = nToken ? resolve(nToken, fileNormals.length) : -1;
+                    if (v < 0 || v >= filePositions.length) {
+                        errors.push(`${label}: vertex index ${vToken} out of range`);
+                        return;
+                    }
+                    if (nToken && (n < 0 || n >= fileNormals.length)) {
+                        errors.push(`${label}: normal index ${nToken} out of range`);
+                        return;
+                    }
+                    if (n < 0) missingNormals = true;
+
+                    const key = `${v}/${n}`;
+                    if (!vertexMap.has(key)) {
+                        vertexMap.set(key, positions.length / 3);
+                        positions.push(...filePositions[v]);
+                        normals.push(...(n >= 0 ? fileNormals[n] : [0, 0, 0]));
+                    }
+                    corners.push(vertexMap.get(key));
+                }
+
+                for (let k = 1; k < corners.length - 1; k++) {
+                    indices.push(corners[0], corners[k], corners[k + 1]);
+                }
+            }
+        });
+
+        if (errors.length === 0 && indices.length === 0) errors.push('No faces found');
+        if (errors.length > 0) return { mesh: null, errors };
+
+        return {
+            mesh: new TriangleMesh(
+                new Float32Array(positions),
+                new Uint32Array(indices),
+                missingNormals ? null : new Float32Array(normals)
+            ),
+            errors
+        };
+    }
+
+    // Stanford PLY in ascii, binary_little_endian or binary_big_endian format.
+    // Reads vertex x/y/z (and nx/ny/nz when present) and the face vertex index lists.
+    static parsePLY(buffer) {
+        const bytes = ArrayBuffer.isView(buffer)
+            ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+            : new Uint8Array(buffer);
+        const headerText = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+        const headerEnd = headerText.indexOf('end_header');
+        if (!headerText.startsWith('ply') || headerEnd < 0) {
+            return { mesh: null, errors: ['Not a PLY file (missing "ply" magic or "end_header")'] };
+        }
+
+        // Parse the header into elements with scalar and list properties
+        let format = null;
+        const elements = [];
+        for (const line of headerText.slice(0, headerEnd).split(/\r?\n/)) {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'format') {
+                format = parts[1];
+            } else if (parts[0] === 'element') {
+                const count = /^\d+$/.test(parts[2] || '') ? Number(parts[2]) : NaN;
+                if (!Number.isSafeInteger(count)) {
+                    return { mesh: null, errors: [`PLY element "${parts[1]}" count "${parts[2]}" is not a non-negative integer`] };
+                }
+                elements.push({ name: parts[1], count, properties: [] });
+            } else if (parts[0] === 'property' && elements.length > 0) {
+                const property = parts[1] === 'list'
+                    ? { name: parts[4], list: true, countType: parts[2], type: parts[3] }
+                    : { name: parts[2], list: false, type: parts[1] };
+                elements[elements.length - 1].properties.push(property);
+            }
+        }
+
+        const sizes = {
+            char: 1, int8: 1, uchar: 1, uint8: 1, short: 2, int16: 2, ushort: 2, uint16: 2,
+            int: 4, int32: 4, uint: 4, uint32: 4, float: 4, float32: 4, double: 8, float64: 8
+        };
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+            return { mesh: null, errors: [`Unsupported PLY format "${format}"`] };
+        }
+        for (const element of elements) {
+            for (const property of element.properties) {
+                if (!sizes[property.type] || (property.list && !sizes[property.countType])) {
+                    return { mesh: null, errors: [`Unsupported PLY property type in "${element.name}.${property.name}"`] };
+                }
+            }
+        }
+
+        // Body reader: next() returns the next value of the given type, left() how many
+        // more of that type the body can still hold
+        let next;
+        let left;
+        const bodyStart = new TextEncoder().encode(headerText.slice(0, headerEnd + 'end_header'.length)).length;
+        let offset = bodyStart + (bytes[bodyStart] === 13 ? 2 : 1); // Skip the header's line ending
+        if (format === 'ascii') {
+            const tokens = new TextDecoder().decode(bytes.subarray(offset)).trim().split(/\s+/);
+            if (tokens[0] === '') tokens.length = 0;
+            let t = 0;
+            next = () => Number(tokens[t++]);
+            left = () => tokens.length - t;
+        } else {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const little = format === 'binary_little_endian';
+            const readers = {
+                char: o => view.getInt8(o), int8: o => view.getInt8(o),
+                uchar: o => view.getUint8(o), uint8: o => view.getUint8(o),
+                short: o => view.getInt16(o, little), int16: o => view.getInt16(o, little),
+                ushort: o => view.getUint16(o, little), uint16: o => view.getUint16(o, little),
+                int: o => view.getInt32(o, little), int32: o => view.getInt32(o, little),
+                uint: o => view.getUint32(o, little), uint32: o => view.getUint32(o, little),
+                float: o => view.getFloat32(o, little), float32: o => view.getFloat32(o, little),
+                double: o => view.getFloat64(o, little), float64: o => view.getFloat64(o, little)
+            };
+            next = (type) => {
+                if (offset + sizes[type] > bytes.length) return NaN;
+                const value = readers[type](offset);
+                offset += sizes[type];
+                return value;
+            };
+            left = (type) => Math.floor((bytes.length - offset) / sizes[type]);
+        }
+
+        // Each element needs at least its scalars and list counts (an empty list), so a
+        // declared count the body cannot hold is refused before anything is allocated
+        let needed = 0;
+        for (const element of elements) {
+            const perElement = element.properties.reduce((sum, property) =>
+                sum + (format === 'ascii' ? 1 : sizes[property.list ? property.countType : property.type]), 0);
+            needed += element.count * perElement;
+        }
+        if (needed > left('uchar')) {
+            return { mesh: null, errors: [`PLY header declares more elements than the file holds (needs at least ${needed} ${format === 'ascii' ? 'values' : 'bytes'})`] };
+        }
+
+        let positions = null;
+        let normals = null;
+        const indices = [];
+        const errors = [];
+
+        for (const element of elements) {
+            const isVertex = element.name === 'vertex';
+            const isFace = element.name === 'face';
+            const names = element.properties.map(p => p.name);
+            const hasNormals = ['nx', 'ny', 'nz'].every(n => names.includes(n));
+            if (isVertex) {
+                if (!['x', 'y', 'z'].every(n => names.includes(n))) {
+                    return { mesh: null, errors: ['PLY vertex element has no x/y/z properties'] };
+                }
+                positions = new Float32Array(element.count * 3);
+                if (hasNormals) normals = new Float32Array(element.count * 3);
+            }
+
+            for (let i = 0; i < element.count; i++) {
+                for (const property of element.properties) {
+                    if (property.list) {
+                        const count = next(property.countType);
+                        if (!Number.isInteger(count) || count < 0 || count > left(property.type)) {
+                            return { mesh: null, errors: [`PLY ${element.name} ${i}: list "${property.name}" is truncated or has an invalid length`] };
+                        }
+                        const list = [];
+                        for (let k = 0; k < count; k++) list.push(next(property.type));
+                        if (isFace && (property.name === 'vertex_indices' || property.name === 'vertex_index')) {
+                            for (let k = 1; k < list.length - 1; k++) indices.push(list[0], list[k], list[k + 1]);
+                        }
+                        continue;
+                    }
+
+                    const value = next(property.type);
+                    if (!isVertex) continue;
+                    const axis = { x: 0, y: 1, z: 2 }[property.name];
+                    const normalAxis = { nx: 0, ny: 1, nz: 2 }[property.name];
+                    if (axis !== undefined) positions[i * 3 + axis] = value;
+                    else if (normals && normalAxis !== undefined) normals[i * 3 + normalAxis] = value;
+                }
+            }
+        }
+
+        if (!positions) errors.push('PLY file has no vertex element');
+        else if (positions.some(v => !Number.isFinite(v))) errors.push('PLY vertex data is truncated or not numeric');
+        if (indices.length === 0) errors.push('PLY file has no faces');
+        else if (positions && indices.some(v => !Number.isInteger(v) || v < 0 || v >= positions.length / 3)) {
+            errors.push('PLY face refers to a vertex that does not exist (or the file is truncated)');
+        }
+        if (errors.length > 0) return { mesh: null, errors };
+
+        return { mesh: new TriangleMesh(positions, new Uint32Array(indices), normals), errors };
+    }
+}
@@ -0,0 +1,483 @@
+// 2D phase unwrapping for the holography and CW-ToF reconstructions
+//
+// All methods take a wrapped phase map in radians (Float32Array, width * height,
+// row major) and return the unwrapped phase in radians. Optional inputs:
+//   mask      - Uint8Array, 0 marks pixels whose phase is meaningless (e.g. the
+//               low-magnitude pixels FFTProcessor masks out)
+//   amplitude - Float32Array, signal strength per pixel; scales the quality map
+//               so weak pixels are unwrapped last
+//
+// Residues are 2x2 pixel loops whose wrapped phase differences do not sum to zero.
+// Every unwrapping path that passes between a positive and a negative residue picks
+// up a 2π error, which is why the legacy row scan smears streaks across object edges.
+// References: Ghiglia & Pritt, "Two-Dimensional Phase Unwrapping" (1998);
+// Goldstein, Zebker & Werner (1988); Ghiglia & Romero (1994).
+
+const TWO_PI = 2 * Math.PI;
+
+export class PhaseUnwrap {
+    static get METHODS() {
+        return {
+            'rows': 'Row Scan (Legacy)',
+            'quality': 'Quality-Guided Flood Fill',
+            'goldstein': 'Goldstein Branch Cuts',
+            'least-squares': 'Least Squares (DCT)'
+        };
+    }
+
+    // Returns { unwrapped, residues, residueCount, cutCount } or null for an unknown method
+    static unwrap(phase, width, height, method = 'quality', options = {}) {
+        const mask = options.mask || null;
+        const residues = this.residues(phase, width, height, mask);
+        let residueCount = 0;
+        for (let i = 0; i < residues.length; i++) {
+            if (residues[i] !== 0) residueCount++;
+        }
+
+        let unwrapped;
+        let cutCount = 0;
+        if (method === 'rows') {
+            unwrapped = this.rows(phase, width, height);
+        } else if (method === 'quality') {
+            const quality = this.qualityMap(phase, width, height, mask, options.amplitude);
+            unwrapped = this.floodFill(phase, width, height, quality, mask, null);
+        } else if (method === 'goldstein') {
+            const cuts = this.branchCuts(residues, width, height, mask, options.maxBoxRadius);
+            for (let i = 0; i < cuts.length; i++) cutCount += cuts[i];
+            const quality = options.amplitude ? this.qualityMap(phase, width, height, mask, options.amplitude) : null;
+            unwrapped = this.floodFill(phase, width, height, quality, mask, cuts);
+        } else if (method === 'least-squares') {
+            unwrapped = this.leastSquares(phase, width, height, mask);
+        } else {
+            console.error(`Unknown phase unwrapping method "${method}"`);
+            return null;
+        }
+
+        return { unwrapped, residues, residueCount, cutCount };
+    }
+
+    // Wrap to (-π, π]
+    static wrap(value) {
+        return value - TWO_PI * Math.round(value / TWO_PI);
+    }
+
+    // Residue charge (+1 / -1 / 0) of the loop whose top-left pixel is (x, y).
+    // The last row and column have no loop and stay 0; loops touching masked
+    // pixels are skipped.
+    static residues(phase, width, height, mask = null) {
+        const residues = new Int8Array(width * height);
+        for (let y = 0; y < height - 1; y++) {
+            for (let x = 0; x < width - 1; x++) {
+                const i = y * width + x;
+                if (mask && !(mask[i] && mask[i + 1] && mask[i + width] && mask[i + width + 1])) continue;
+                const sum = this.wrap(phase[i + 1] - phase[i]) +
+                    this.wrap(phase[i + width + 1] - phase[i + 1]) +
+                    this.wrap(phase[i + width] - phase[i + width + 1]) +
+                    this.wrap(phase[i] - phase[i + width]);
+                residues[i] = Math.round(sum / TWO_PI);
+            }
+        }
+        return residues;
+    }
+
+    // The original scan: along each row, and down the first column between rows
+    static rows(phase, width, height) {
+        const unwrapped = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            unwrapped[row] = y === 0
+                ? phase[0]
+                : unwrapped[row - width] + this.wrap(phase[row] - unwrapped[row - width]);
+            for (let x = 1; x < width; x++) {
+                unwrapped[row + x] = unwrapped[row + x - 1] + this.wrap(phase[row + x] - unwrapped[row + x - 1]);
+            }
+        }
+        return unwrapped;
+    }
+
+    // Phase derivative variance quality (higher = smoother = more trustworthy):
+    // the spread of the wrapped x and y derivatives over a 3x3 window, times the
+    // amplitude when one is given. Masked pixels get quality 0.
+    static qualityMap(phase, width, height, mask = null, amplitude = null) {
+        const dx = new Float32Array(width * height);
+        const dy = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x < width - 1) dx[i] = this.wrap(phase[i + 1] - phase[i]);
+                if (y < height - 1) dy[i] = this.wrap(phase[i + width] - phase[i]);
+            }
+        }
+
+        const quality = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (mask && !mask[i]) continue;
+
+                let count = 0, sumX = 0, sumY = 0, sumX2 = 0, sumY2 = 0;
+                for (let v = Math.max(0, y - 1); v <= Math.min(height - 1, y + 1); v++) {
+                    for (let u = Math.max(0, x - 1); u <= Math.min(width - 1, x + 1); u++) {
+                        const j = v * width + u;
+                        sumX += dx[j];
+                        sumY += dy[j];
+                        sumX2 += dx[j] * dx[j];
+                        sumY2 += dy[j] * dy[j];
+                        count++;
+                    }
+                }
+                const variance = Math.sqrt(Math.max(0, sumX2 / count - (sumX / count) ** 2)) +
+                    Math.sqrt(Math.max(0, sumY2 / count - (sumY / count) ** 2));
+                quality[i] = (amplitude ? amplitude[i] : 1) / (1 + variance);
+            }
+        }
+        return quality;
+    }
+
+    // Flood fill unwrapping. Pixels are visited best quality first (in arbitrary
+    // order without a quality map); each is unwrapped against the neighbour it was
+    // reached from. Paths never enter masked pixels or branch cuts. The first region
+    // is seeded at the best pixel, any disconnected ones at their first pixel. Cut
+    // pixels are unwrapped from their neighbours afterwards, and masked pixels copy
+    // their neighbour's value since their own phase is noise.
+    static floodFill(phase, width, height, quality, mask, cuts) {
+        const count = width * height;
+        const unwrapped = new Float32Array(count);
+        const done = new Uint8Array(count);
+        const usable = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            usable[i] = (!mask || mask[i]) && (!cuts || !cuts[i]) ? 1 : 0;
+        }
+        const priority = quality || new Float32Array(count);
+        const heap = new PixelHeap(count * 4);
+
+        // Queue the unfinished neighbours of i whose usable flag equals wanted
+        const visitNeighbours = (i, wanted) => {
+            const x = i % width;
+            if (x > 0 && !done[i - 1] && usable[i - 1] === wanted) heap.push(i - 1, i, priority[i - 1]);
+            if (x < width - 1 && !done[i + 1] && usable[i + 1] === wanted) heap.push(i + 1, i, priority[i + 1]);
+            if (i >= width && !done[i - width] && usable[i - width] === wanted) heap.push(i - width, i, priority[i - width]);
+            if (i < count - width && !done[i + width] && usable[i + width] === wanted) heap.push(i + width, i, priority[i + width]);
+        };
+
+        const grow = (wanted) => {
+            while (heap.size > 0) {
+                const { pixel, from } = heap.pop();
+                if (done[pixel]) continue;
+                unwrapped[pixel] = mask && !mask[pixel]
+                    ? unwrapped[from]
+                    : unwrapped[from] + this.wrap(phase[pixel] - phase[from]);
+                done[pixel] = 1;
+                visitNeighbours(pixel, wanted);
+            }
+        };
+
+        // Pass 1: usable pixels, region by region
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (usable[i] && (best < 0 || priority[i] > priority[best])) best = i;
+        }
+        for (let seed = best, next = 0; seed >= 0;) {
+            unwrapped[seed] = phase[seed];
+            done[seed] = 1;
+            visitNeighbours(seed, 1);
+            grow(1);
+            while (next < count && (done[next] || !usable[next])) next++;
+            seed = next < count ? next : -1;
+        }
+
+        // Pass 2: grow into cut and masked pixels from the unwrapped area
+        for (let i = 0; i < count; i++) {
+            if (done[i]) visitNeighbours(i, 0);
+        }
+        grow(0);
+
+        // Nothing usable at all: fall back to the row scan
+        for (let i = 0; i < count; i++) {
+            if (!done[i]) return this.rows(phase, width, height);
+        }
+        return unwrapped;
+    }
+
+    // Goldstein branch cuts: grow a box around each unbalanced residue, connecting it
+    // to the residues found (or to the image border / masked area) until the total
+    // charge of the tree is zero. Returns a Uint8Array with 1 on cut pixels.
+    static branchCuts(residues, width, height, mask = null, maxBoxRadius = null) {
+        const cuts = new Uint8Array(width * height);
+        const visited = new Uint8Array(width * height);
+        const tree = new Int32Array(width * height);
+        const maxRadius = maxBoxRadius || Math.max(width, height) >> 2;
+        let treeId = 0;
+
+        for (let start = 0; start < residues.length; start++) {
+            if (residues[start] === 0 || visited[start]) continue;
+
+            treeId++;
+            visited[start] = 1;
+            tree[start] = treeId;
+            const active = [start];
+            let charge = residues[start];
+
+            for (let radius = 1; radius <= maxRadius && charge !== 0; radius++) {
+                for (let a = 0; a < active.length && charge !== 0; a++) {
+                    const ax = active[a] % width;
+                    const ay = Math.floor(active[a] / width);
+                    for (let by = ay - radius; by <= ay + radius && charge !== 0; by++) {
+                        for (let bx = ax - radius; bx <= ax + radius && charge !== 0; bx++) {
+                            // Residue loops exist for x < width - 1, y < height - 1
+                            if (bx < 0 || by < 0 || bx >= width - 1 || by >= height - 1) {
+                                this.drawCut(cuts, width, ax, ay,
+                                    Math.min(width - 1, Math.max(0, bx)), Math.min(height - 1, Math.max(0, by)));
+                                charge = 0;
+                                break;
+                            }
+                            const b = by * width + bx;
+                            if (mask && !mask[b]) {
+                                this.drawCut(cuts, width, ax, ay, bx, by);
+                                charge = 0;
+                                break;
+                            }
+                            if (residues[b] === 0 || tree[b] === treeId) continue;
+
+                            this.drawCut(cuts, width, ax, ay, bx, by);
+                            if (!visited[b]) {
+                                charge += residues[b];
+                                visited[b] = 1;
+                            }
+                            tree[b] = treeId;
+                            active.push(b);
+                        }
+                    }
+                }
+            }
+        }
+        return cuts;
+    }
+
+    // 8-connected line, which 4-connected flood fill paths cannot cross
+    static drawCut(cuts, width, x0, y0, x1, y1) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+        for (let s = 0; s <= steps; s++) {
+            const t = steps === 0 ? 0 : s / steps;
+            cuts[Math.round(y0 + (y1 - y0) * t) * width + Math.round(x0 + (x1 - x0) * t)] = 1;
+        }
+    }
+
+    // Unweighted least squares (Ghiglia & Romero): solve the Poisson equation whose
+    // right-hand side is the divergence of the wrapped phase gradient, with Neumann
+    // boundaries, by diagonalising the Laplacian with a 2D DCT. Gradients touching
+    // masked pixels are zeroed. The smooth solution is then made congruent with the
+    // measured phase so valid pixels keep their exact wrapped value.
+    static leastSquares(phase, width, height, mask = null) {
+        const count = width * height;
+        const valid = i => !mask || mask[i];
+        const dx = new Float64Array(count);
+        const dy = new Float64Array(count);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x < width - 1 && valid(i) && valid(i + 1)) dx[i] = this.wrap(phase[i + 1] - phase[i]);
+                if (y < height - 1 && valid(i) && valid(i + width)) dy[i] = this.wrap(phase[i + width] - phase[i]);
+            }
+        }
+
+        const rho = new Float64Array(count);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                rho[i] = dx[i] - (x > 0 ? dx[i - 1] : 0) + dy[i] - (y > 0 ? dy[i - width] : 0);
+            }
+        }
+
+        this.dct2D(rho, width, height, false);
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                const denominator = 2 * Math.cos(Math.PI * u / width) + 2 * Math.cos(Math.PI * v / height) - 4;
+                rho[v * width + u] = u === 0 && v === 0 ? 0 : rho[v * width + u] / denominator;
+            }
+        }
+        this.dct2D(rho, width, height, true);
+
+        const unwrapped = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            unwrapped[i] = valid(i) ? rho[i] + this.wrap(phase[i] - rho[i]) : rho[i];
+        }
+        return unwrapped;
+    }
+
+    // Separable DCT-II (inverse = its exact inverse, a scaled DCT-III), in place
+    static dct2D(data, width, height, inverse) {
+        const row = new Float64Array(width);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) row[x] = data[y * width + x];
+            this.dct(row, inverse);
+            for (let x = 0; x < width; x++) data[y * width + x] = row[x];
+        }
+        const column = new Float64Array(height);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) column[y] = data[y * width + x];
+            this.dct(column, inverse);
+            for (let y = 0; y < height; y++) data[y * width + x] = column[y];
+        }
+    }
+
+    // X[k] = sum x[n] cos(π (2n + 1) k / 2N). Power-of-two lengths from 2 up use an
+    // N-point FFT (Makhoul's reordering); other lengths, 1 included, use the direct sum.
+    static dct(x, inverse) {
+        const n = x.length;
+        if (n < 2 || n & (n - 1)) {
+            this.directDCT(x, inverse);
+            return;
+        }
+
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        if (!inverse) {
+            for (let i = 0; i < n / 2; i++) {
+                re[i] = x[2 * i];
+                re[n - 1 - i] = x[2 * i + 1];
+            }
+            this.fft(re, im, false);
+            for (let k = 0; k < n; k++) {
+                const angle = -Math.PI * k / (2 * n);
+                x[k] = re[k] * Math.cos(angle) - im[k] * Math.sin(angle);
+            }
+        } else {
+            // V[k] = e^(iπk/2N) (X[k] - i X[N-k]), then v = IFFT(V)
+            for (let k = 0; k < n; k++) {
+                const a = x[k];
+                const b = k === 0 ? 0 : -x[n - k];
+                const angle = Math.PI * k / (2 * n);
+                re[k] = a * Math.cos(angle) - b * Math.sin(angle);
+                im[k] = a * Math.sin(angle) + b * Math.cos(angle);
+            }
+            this.fft(re, im, true);
+            for (let i = 0; i < n / 2; i++) {
+                x[2 * i] = re[i];
+                x[2 * i + 1] = re[n - 1 - i];
+            }
+        }
+    }
+
+    static directDCT(x, inverse) {
+        const n = x.length;
+        const source = Float64Array.from(x);
+        for (let a = 0; a < n; a++) {
+            let sum = 0;
+            for (let b = 0; b < n; b++) {
+                sum += inverse
+                    ? source[b] * (b === 0 ? 1 : 2) * Math.cos(Math.PI * (2 * a + 1) * b / (2 * n))
+                    : source[b] * Math.cos(Math.PI * (2 * b + 1) * a / (2 * n));
+            }
+            x[a] = inverse ? sum / n : sum;
+        }
+    }
+
+    // Iterative radix-2 FFT, in place; the inverse includes the 1/N scale
+    static fft(re, im, inverse) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / length;
+            const wRe = Math.cos(angle), wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += length) {
+                let curRe = 1, curIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k, b = a + length / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    // RGBA overlay of a residue map: red = positive, blue = negative, transparent
+    // elsewhere. Each residue is drawn as a radius-1 dot so it stays visible when
+    // the canvas is shown scaled down.
+    static residueOverlay(residues, width, height) {
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const charge = residues[y * width + x];
+                if (charge === 0) continue;
+                for (let v = Math.max(0, y - 1); v <= Math.min(height - 1, y + 1); v++) {
+                    for (let u = Math.max(0, x - 1); u <= Math.min(width - 1, x + 1); u++) {
+                        const j = (v * width + u) * 4;
+                        rgba[j + 0] = charge > 0 ? 255 : 40;
+                        rgba[j + 1] = charge > 0 ? 40 : 120;
+                        rgba[j + 2] = charge > 0 ? 40 : 255;
+                        rgba[j + 3] = 255;
+                    }
+                }
+            }
+        }
+        return rgba;
+    }
+}
+
+// Binary max-heap of (pixel, from) pairs keyed by quality
+class PixelHeap {
+    constructor(capacity) {
+        this.pixels = new Int32Array(capacity);
+        this.from = new Int32Array(capacity);
+        this.keys = new Float32Array(capacity);
+        this.size = 0;
+    }
+
+    push(pixel, from, key) {
+        let i = this.size++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] >= key) break;
+            this.pixels[i] = this.pixels[parent];
+            this.from[i] = this.from[parent];
+            this.keys[i] = this.keys[parent];
+            i = parent;
+        }
+        this.pixels[i] = pixel;
+        this.from[i] = from;
+        this.keys[i] = key;
+    }
+
+    pop() {
+        const top = { pixel: this.pixels[0], from: this.from[0] };
+        const last = --this.size;
+        const pixel = this.pixels[last], from = this.from[last], key = this.keys[last];
+        let i = 0;
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= last) break;
+            if (child + 1 < last && this.keys[child + 1] > this.keys[child]) child++;
+            if (this.keys[child] <= key) break;
+            this.pixels[i] = this.pixels[child];
+            this.from[i] = this.from[child];
+            this.keys[i] = this.keys[child];
+            i = child;
+        }
+        this.pixels[i] = pixel;
+        this.from[i] = from;
+        this.keys[i] = key;
+        return top;
+    }
+}
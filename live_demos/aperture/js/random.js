@@ -0,0 +1,38 @@
+// Seedable pseudo-random numbers for the CPU renderer (mulberry32)
+//
+// random() has the same contract as Math.random(), so a Random can stand in
+// wherever Math.random was used. Unseeded generators start from Math.random,
+// which keeps interactive rendering as noisy as before; a fixed seed makes a
+// render reproducible bit for bit.
+
+export class Random {
+    constructor(seed = null) {
+        this.seed(seed === null ? Math.floor(Math.random() * 0x100000000) : seed);
+    }
+
+    seed(value) {
+        this.state = value >>> 0;
+    }
+
+    // Uniform float in [0, 1)
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Mix integers into one 32-bit seed, e.g. hash(seed, x, y, sample) gives every
+    // pixel sample its own stream regardless of the order pixels are traced in
+    static hash(...values) {
+        let h = 0x811C9DC5;
+        for (const value of values) {
+            h = Math.imul(h ^ (value >>> 0), 0x01000193);
+            h ^= h >>> 15;
+            h = Math.imul(h, 0x2C1B3C6D);
+            h ^= h >>> 12;
+        }
+        return h >>> 0;
+    }
+}
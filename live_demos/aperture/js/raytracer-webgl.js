@@ -1,3 +1,5 @@
+import { BVH } from './bvh.js';
+
 export class RayTracerWebGL {
     constructor(canvas, scene, camera) {
         console.log('RayTracerWebGL constructor starting...');
@@ -69,6 +71,9 @@ export class RayTracerWebGL {
             this.supersample = 1; // 1=none (default, off), 2=2x2, 3=3x3, 4=4x4
             this.reconstructionKernel = 0; // 0=box (default for simplicity)
             
+            // Accumulated output: 'beauty' or 'aux' (depth, TOF round trip, coverage)
+            this.outputLayer = 'beauty';
+            
             // Check for float texture support
             const ext = gl.getExtension('EXT_color_buffer_float');
             if (!ext) {
@@ -193,7 +198,7 @@ export class RayTracerWebGL {
         uniform float u_focalLength;
         uniform float u_focusDistance;
         uniform float u_apertureFStop;
-        uniform int u_cameraType; // 0=pinhole, 1=thin-lens
+        uniform int u_cameraType; // 0=pinhole, 1=thin-lens, 2=compound-lens
         
         // ─────────────────────────────────────────────────────────────────
         // RENDERING SETTINGS
@@ -221,6 +226,20 @@ export class RayTracerWebGL {
         uniform int u_distortionType;      // 0=none, 1=barrel, 2=pincushion, 3=fisheye
         uniform float u_distortionAmount;  // Distortion strength
         
+        // ─────────────────────────────────────────────────────────────────
+        // COMPOUND LENS (sequential spherical surfaces, see lens-system.js)
+        // Lens space in mm, +Z from the scene toward the film
+        // ─────────────────────────────────────────────────────────────────
+        uniform int u_numLensSurfaces;
+        uniform vec4 u_lensSurfaces[16];     // x=vertex z, y=radius (0=flat), z=IOR after, w=semi-aperture
+        uniform int u_lensStopIndex;
+        uniform float u_lensStopZ;
+        uniform float u_lensStopRadius;      // Stop radius at the current f-stop
+        uniform float u_lensFilmZ;
+        uniform vec4 u_lensPupilBounds[16];  // Rear-element sampling box per film-radius bucket
+        uniform float u_lensPupilReferenceArea;
+        uniform float u_lensMaxFilmRadius;
+        
         // ─────────────────────────────────────────────────────────────────
         // SENSOR/FILM PROPERTIES
         // ─────────────────────────────────────────────────────────────────
@@ -273,6 +292,7 @@ export class RayTracerWebGL {
         uniform float u_cwTofWavelength; // Wavelength in nm for coherent light
         uniform bool u_cwTofShowInterference; // Show interference patterns
         uniform bool u_cwTofShowDepth; // Show depth map mode
+        uniform bool u_cwTofMultipath; // Sum every bounce's return as its own phasor
         
         // Off-Axis Holography (single-shot spatial phase encoding)
         uniform bool u_enableOffAxisHolography;
@@ -298,6 +318,7 @@ export class RayTracerWebGL {
         
         // Ground truth depth reference
         uniform bool u_showDepthReference;
+        uniform int u_outputLayer; // 0 = beauty, 1 = depth / TOF / coverage (render export)
         
         // Participating media (environment fog)
         uniform bool u_enableEnvironmentFog;
@@ -312,6 +333,13 @@ export class RayTracerWebGL {
         uniform vec4 u_sphereEmission[32]; // xyz=emission
         uniform vec4 u_sphereVolume[32]; // x=density, y=roughness, z=anisotropy, w=anisotropyRotation
         uniform vec4 u_sphereTexture[32]; // x=texture type, y=clearcoat, z=clearcoatRoughness, w=clearcoatIOR
+        
+        // Triangle meshes: BVH nodes and triangles packed into float textures (see bvh.js)
+        // Mesh materials follow the spheres in the material arrays above
+        uniform int u_numTriangles;
+        uniform int u_bvhNodeCount; // Bounds the traversal loop: each node is visited at most once
+        uniform highp sampler2D u_bvhNodes; // 2 texels/node: (min, leftFirst), (max, count)
+        uniform highp sampler2D u_bvhTriangles; // 6 texels/triangle: (v0, meshIndex), v1, v2, n0, n1, n2
         uniform float u_groundPattern; // Ground pattern type
         uniform float u_groundPatternScale; // Ground pattern scale
         
@@ -773,6 +801,99 @@ export class RayTracerWebGL {
             up = cross(right, forward);
         }
         
+        // Fetch texel i of a BVH texture laid out in rows of 1024
+        vec4 fetchBVH(highp sampler2D tex, int i) {
+            return texelFetch(tex, ivec2(i % 1024, i / 1024), 0);
+        }
+        
+        // Slab test; returns the entry distance or 1e30 on a miss
+        float intersectAABB(Ray ray, vec3 invDir, vec3 bmin, vec3 bmax, float tMax) {
+            vec3 t1 = (bmin - ray.origin) * invDir;
+            vec3 t2 = (bmax - ray.origin) * invDir;
+            vec3 tmin = min(t1, t2);
+            vec3 tmax = max(t1, t2);
+            float tNear = max(max(tmin.x, tmin.y), max(tmin.z, EPSILON));
+            float tFar = min(min(tmax.x, tmax.y), min(tmax.z, tMax));
+            return tNear <= tFar ? tNear : 1e30;
+        }
+        
+        // Walk the mesh BVH and update closest with the nearest triangle hit
+        void intersectMeshes(Ray ray, inout Hit closest) {
+            if (u_numTriangles <= 0) return;
+            
+            // Avoid infinities for axis-aligned rays
+            vec3 safeDir = mix(ray.direction, vec3(1e-8), lessThan(abs(ray.direction), vec3(1e-8)));
+            vec3 invDir = 1.0 / safeDir;
+            
+            int stack[${BVH.GPU_STACK_SIZE}];
+            int stackSize = 1;
+            stack[0] = 0;
+            
+            int hitTriangle = -1;
+            vec2 hitUV = vec2(0.0);
+            
+            for (int iter = 0; iter < u_bvhNodeCount && stackSize > 0; iter++) {
+                int node = stack[--stackSize];
+                vec4 a = fetchBVH(u_bvhNodes, node * 2);
+                vec4 b = fetchBVH(u_bvhNodes, node * 2 + 1);
+                if (intersectAABB(ray, invDir, a.xyz, b.xyz, closest.t) >= closest.t) continue;
+                
+                int leftFirst = int(a.w);
+                int count = int(b.w);
+                if (count > 0) {
+                    // Leaf: Moller-Trumbore against each triangle (at most 4 per leaf)
+                    for (int k = 0; k < 4; k++) {
+                        if (k >= count) break;
+                        int tri = leftFirst + k;
+                        vec3 v0 = fetchBVH(u_bvhTriangles, tri * 6).xyz;
+                        vec3 e1 = fetchBVH(u_bvhTriangles, tri * 6 + 1).xyz - v0;
+                        vec3 e2 = fetchBVH(u_bvhTriangles, tri * 6 + 2).xyz - v0;
+                        vec3 p = cross(ray.direction, e2);
+                        float det = dot(e1, p);
+                        if (abs(det) < 1e-12) continue;
+                        float invDet = 1.0 / det;
+                        vec3 s = ray.origin - v0;
+                        float u = dot(s, p) * invDet;
+                        if (u < 0.0 || u > 1.0) continue;
+                        vec3 q = cross(s, e1);
+                        float v = dot(ray.direction, q) * invDet;
+                        if (v < 0.0 || u + v > 1.0) continue;
+                        float t = dot(e2, q) * invDet;
+                        if (t > EPSILON && t < closest.t) {
+                            closest.t = t;
+                            hitTriangle = tri;
+                            hitUV = vec2(u, v);
+                        }
+                    }
+                } else if (stackSize <= ${BVH.GPU_STACK_SIZE - 2}) {
+                    // Push the farther child first so the nearer one is visited next
+                    vec4 la = fetchBVH(u_bvhNodes, leftFirst * 2);
+                    vec4 lb = fetchBVH(u_bvhNodes, leftFirst * 2 + 1);
+                    vec4 ra = fetchBVH(u_bvhNodes, leftFirst * 2 + 2);
+                    vec4 rb = fetchBVH(u_bvhNodes, leftFirst * 2 + 3);
+                    float tLeft = intersectAABB(ray, invDir, la.xyz, lb.xyz, closest.t);
+                    float tRight = intersectAABB(ray, invDir, ra.xyz, rb.xyz, closest.t);
+                    int nearChild = tLeft <= tRight ? leftFirst : leftFirst + 1;
+                    int farChild = tLeft <= tRight ? leftFirst + 1 : leftFirst;
+                    if (max(tLeft, tRight) < closest.t) stack[stackSize++] = farChild;
+                    if (min(tLeft, tRight) < closest.t) stack[stackSize++] = nearChild;
+                }
+            }
+            
+            if (hitTriangle < 0) return;
+            
+            // Interpolated vertex normal
+            int meshIndex = int(fetchBVH(u_bvhTriangles, hitTriangle * 6).w);
+            vec3 n0 = fetchBVH(u_bvhTriangles, hitTriangle * 6 + 3).xyz;
+            vec3 n1 = fetchBVH(u_bvhTriangles, hitTriangle * 6 + 4).xyz;
+            vec3 n2 = fetchBVH(u_bvhTriangles, hitTriangle * 6 + 5).xyz;
+            
+            closest.hit = true;
+            closest.point = ray.origin + ray.direction * closest.t;
+            closest.normal = normalize(n0 * (1.0 - hitUV.x - hitUV.y) + n1 * hitUV.x + n2 * hitUV.y);
+            closest.materialIndex = min(u_numSpheres + meshIndex, 31); // Only meshes with a slot are uploaded
+        }
+        
         // Scene intersection
         Hit intersectScene(Ray ray) {
             Hit closest;
@@ -802,6 +923,8 @@ export class RayTracerWebGL {
                 }
             }
             
+            intersectMeshes(ray, closest);
+            
             // Debug visualization: Focus points as glossy spheres
             if (u_showFocusPoints) {
                 float debugRadius = 0.06;
@@ -1347,6 +1470,22 @@ export class RayTracerWebGL {
             color *= albedo;
         }
         
+        // CW-ToF multipath: credit the light gathered since the last call to the path
+        // vertex it came from. The modulated source is treated as co-located with the
+        // camera, so a contribution's round trip is the path so far plus the way back.
+        // Sky light (roundTrip < 0) is unmodulated and ignored.
+        void accumulateMultipath(vec3 light, inout vec3 attributed, float roundTrip, inout vec2 phasor, inout float weight) {
+            float amount = dot(light - attributed, vec3(1.0 / 3.0));
+            attributed = light;
+            if (roundTrip < 0.0 || amount <= 0.0) return;
+            float phase = 2.0 * PI * roundTrip * u_cwTofModulationFreq / 299792458.0;
+            phasor += amount * vec2(cos(phase), sin(phase));
+            weight += amount;
+        }
+        
+        // Round-trip length of the last traced vertex (render export TOF layer)
+        float g_tofPathLength = 0.0;
+        
         // Path tracing with integrated VPT
         vec3 trace(Ray ray) {
             vec3 color = vec3(1.0);
@@ -1358,6 +1497,10 @@ export class RayTracerWebGL {
             float pathLength = 0.0; // TOF: track total path length
             vec3 firstHitPos = vec3(0.0); // Track first hit position for carrier wave
             int actualBounces = 0; // Track actual bounces taken
+            vec2 tofPhasor = vec2(0.0); // CW-ToF multipath: sum of amplitude * e^(i phase)
+            float tofWeight = 0.0; // CW-ToF multipath: sum of amplitude
+            vec3 tofLight = vec3(0.0); // Light already credited to a path vertex
+            float tofRoundTrip = -1.0; // Round trip of the current vertex
             
             // Pre-calculate axis vectors ONCE per ray (not per bounce!)
             vec3 debugAxisOrigin = (u_focusPointA + u_focusPointB + u_focusPointC) / 3.0;
@@ -1368,6 +1511,10 @@ export class RayTracerWebGL {
             for (int bounce = 0; bounce < MAX_BOUNCES; bounce++) {
                 if (bounce >= maxBounces) break; // Adaptive bounce limit
                 
+                if (u_enableCWToF && u_cwTofMultipath) {
+                    accumulateMultipath(light, tofLight, tofRoundTrip, tofPhasor, tofWeight);
+                }
+                
                 // Find closest surface hit
                 Hit hit = intersectScene(ray);
                 
@@ -1384,6 +1531,7 @@ export class RayTracerWebGL {
                     if (volResult == 1) {
                         // Scattering event in participating media
                         pathLength += volTravelDist;
+                        tofRoundTrip = pathLength + distance(volScatterPos, u_cameraPos);
                         
                         // Scatter using Henyey-Greenstein phase function
                         vec3 scatterDir = sampleHenyeyGreenstein(ray.direction, u_fogAnisotropy);
@@ -1409,6 +1557,7 @@ export class RayTracerWebGL {
                 if (hit.hit) {
                     pathLength += hit.t;
                 }
+                tofRoundTrip = hit.hit ? pathLength + distance(hit.point, u_cameraPos) : -1.0;
                 
                 // Process surface hit
                 if (!hit.hit) {
@@ -2103,6 +2252,10 @@ export class RayTracerWebGL {
                 }
             }
             
+            if (u_enableCWToF && u_cwTofMultipath) {
+                accumulateMultipath(light, tofLight, tofRoundTrip, tofPhasor, tofWeight);
+            }
+            
             // Apply focus overlay additively (so we can see scene underneath)
             light += focusOverlay;
             
@@ -2166,6 +2319,15 @@ export class RayTracerWebGL {
                     // Object wave: intensity from scene, phase from optical path
                     float objectIntensity = length(light) / sqrt(3.0);
                     
+                    // Multipath: the returns of all bounces interfere with each other;
+                    // their phasor sum sets the phase and lowers the fringe contrast
+                    float fringeContrast = 1.0;
+                    if (u_cwTofMultipath) {
+                        objectIntensity = tofWeight;
+                        fringeContrast = length(tofPhasor) / max(tofWeight, 1e-6);
+                        objectPhase = atan(tofPhasor.y, tofPhasor.x) + u_cwTofPhaseOffset;
+                    }
+                    
                     // Only apply interference where there's actual light (not empty space)
                     if (objectIntensity > 0.001) {
                         // Reference wave with controllable parameters
@@ -2184,7 +2346,7 @@ export class RayTracerWebGL {
                         float phaseDiff = objectPhaseWithCarrier - referencePhase;
                         
                         // Interference term: I_total = I_obj + I_ref + 2*sqrt(I_obj*I_ref)*cos(phase_diff)
-                        float interference = 2.0 * sqrt(objectIntensity * referenceIntensity) * cos(phaseDiff);
+                        float interference = 2.0 * sqrt(objectIntensity * referenceIntensity) * fringeContrast * cos(phaseDiff);
                         float combined = objectIntensity + referenceIntensity + interference;
                         
                         // Normalize to [0, 1]
@@ -2281,6 +2443,7 @@ export class RayTracerWebGL {
                 }
             }
             
+            g_tofPathLength = max(tofRoundTrip, 0.0);
             return light;
         }
         
@@ -2491,6 +2654,135 @@ export class RayTracerWebGL {
             return virtualUV;
         }
         
+        // Compound lens camera ray weight (0 = vignetted by the lens stack)
+        float g_cameraRayWeight = 1.0;
+        
+        // Point-in-aperture test, coordinates normalized to the stop radius
+        // (must match Camera.apertureContains)
+        bool apertureShapeContains(vec2 p) {
+            float r = length(p);
+            
+            if (u_apertureShape == 1) {
+                float sides = float(max(u_apertureBlades, 3));
+                float segment = 2.0 * PI / sides;
+                float theta = atan(p.y, p.x) + PI / 2.0;
+                float local = mod(theta, segment) - segment * 0.5;
+                return r * cos(local) <= cos(PI / sides);
+            } else if (u_apertureShape == 2) {
+                return abs(p.x) <= 1.0 && abs(p.y) <= 1.0;
+            } else if (u_apertureShape == 3) {
+                float segment = 2.0 * PI / 6.0;
+                float theta = atan(p.y, p.x);
+                if (theta < 0.0) theta += 2.0 * PI;
+                float t = mod(theta, segment) / segment;
+                float starRadius = t < 0.5 ? 1.0 - t * 1.6 : 0.2 + (t - 0.5) * 1.6;
+                return r <= starRadius;
+            }
+            return r <= 1.0;
+        }
+        
+        // Intersect one lens interface, keeping the spherical cap that contains the vertex
+        bool intersectLensSurface(vec3 o, vec3 d, vec4 surface, out vec3 p, out vec3 n) {
+            float t;
+            if (surface.y == 0.0) {
+                if (abs(d.z) < 1e-8) return false;
+                t = (surface.x - o.z) / d.z;
+                p = o + d * t;
+                n = vec3(0.0, 0.0, 1.0);
+            } else {
+                vec3 center = vec3(0.0, 0.0, surface.x + surface.y);
+                vec3 oc = o - center;
+                float b = dot(oc, d);
+                float c = dot(oc, oc) - surface.y * surface.y;
+                float disc = b * b - c;
+                if (disc < 0.0) return false;
+                bool useCloser = (d.z > 0.0) == (surface.y > 0.0);
+                t = useCloser ? -b - sqrt(disc) : -b + sqrt(disc);
+                p = o + d * t;
+                n = normalize(p - center);
+            }
+            
+            if (t < 0.0 || dot(p.xy, p.xy) > surface.w * surface.w) return false;
+            if (dot(n, d) > 0.0) n = -n;
+            return true;
+        }
+        
+        // Refract from the film through every surface toward the scene
+        bool traceLensToScene(inout vec3 o, inout vec3 d) {
+            for (int i = 15; i >= 0; i--) {
+                if (i >= u_numLensSurfaces) continue;
+                
+                vec4 surface = u_lensSurfaces[i];
+                vec3 p, n;
+                if (!intersectLensSurface(o, d, surface, p, n)) return false;
+                if (i == u_lensStopIndex && !apertureShapeContains(p.xy / u_lensStopRadius)) return false;
+                
+                float iorBefore = i > 0 ? u_lensSurfaces[max(i - 1, 0)].z : 1.0;
+                if (iorBefore != surface.z) {
+                    vec3 refracted = refract(d, n, surface.z / iorBefore);
+                    if (dot(refracted, refracted) < 0.5) return false; // Total internal reflection
+                    d = normalize(refracted);
+                }
+                o = p;
+            }
+            return true;
+        }
+        
+        // Compound lens: film point -> rear element (exit pupil box) -> lens stack -> scene
+        // Mirrors Camera.generateCompoundLensRay so CPU and GPU renders match
+        void generateCompoundLensRay(vec2 coord, float filmWidth, float filmHeight, vec3 forward, vec3 right, vec3 up, inout Ray ray) {
+            // Film point in lens space (mm), flipped because the lens inverts the image
+            vec3 filmPoint = vec3(-coord.x * filmWidth * 500.0, -coord.y * filmHeight * 500.0, 0.0);
+            
+            // Film tilt (same rotation order as Camera.rotatePoint)
+            if (u_filmTilt.x != 0.0) {
+                float c = cos(u_filmTilt.x);
+                float s = sin(u_filmTilt.x);
+                filmPoint = vec3(filmPoint.x, filmPoint.y * c - filmPoint.z * s, filmPoint.y * s + filmPoint.z * c);
+            }
+            if (u_filmTilt.y != 0.0) {
+                float c = cos(u_filmTilt.y);
+                float s = sin(u_filmTilt.y);
+                filmPoint = vec3(filmPoint.x * c + filmPoint.z * s, filmPoint.y, -filmPoint.x * s + filmPoint.z * c);
+            }
+            
+            // Film curvature (edges bend toward the lens)
+            if (u_filmCurvature != 0.0) {
+                float r = length(filmPoint.xy) / 1000.0;
+                filmPoint.z -= r * r * u_filmCurvature * 20.0;
+            }
+            filmPoint.z += u_lensFilmZ;
+            
+            // Pick the exit pupil box for this film radius
+            float filmRadius = length(filmPoint.xy);
+            int bucket = min(int(filmRadius / u_lensMaxFilmRadius * 16.0), 15);
+            vec4 box = u_lensPupilBounds[bucket];
+            float area = (box.z - box.x) * (box.w - box.y);
+            if (area <= 0.0) {
+                g_cameraRayWeight = 0.0;
+                return;
+            }
+            
+            // Sample in the bucket frame (film point on +X), then rotate to the film point's angle
+            float bx = mix(box.x, box.z, random());
+            float by = mix(box.y, box.w, random());
+            vec2 phi = filmRadius > 0.0 ? filmPoint.xy / filmRadius : vec2(1.0, 0.0);
+            vec3 rearPoint = vec3(bx * phi.x - by * phi.y, bx * phi.y + by * phi.x,
+                                  u_lensSurfaces[max(u_numLensSurfaces - 1, 0)].x);
+            
+            vec3 o = filmPoint;
+            vec3 d = normalize(rearPoint - filmPoint);
+            if (!traceLensToScene(o, d)) {
+                g_cameraRayWeight = 0.0;
+                return;
+            }
+            g_cameraRayWeight = area / u_lensPupilReferenceArea;
+            
+            // Lens space -> world: the stop sits at the camera position, lens +Z points backward
+            ray.origin = u_cameraPos + (o.x * right + o.y * up + (u_lensStopZ - o.z) * forward) / 1000.0;
+            ray.direction = normalize(d.x * right + d.y * up - d.z * forward);
+        }
+        
         // Generate camera ray with specific wavelength
         Ray generateRay(vec2 uv, float wavelength) {
             Ray ray;
@@ -2544,6 +2836,11 @@ export class RayTracerWebGL {
             coord.x += u_filmShift.x / (filmWidth * 0.5);
             coord.y += u_filmShift.y / (filmHeight * 0.5);
             
+            if (u_cameraType == 2) {
+                generateCompoundLensRay(coord, filmWidth, filmHeight, forward, right, up, ray);
+                return ray;
+            }
+            
             // Calculate target point on virtual film plane
             vec3 targetPoint = forward + 
                                coord.x * viewportWidth * 0.5 * right + 
@@ -2907,7 +3204,7 @@ export class RayTracerWebGL {
             
             // Trace ray
             Ray ray = generateRay(v_uv, wavelength);
-            vec3 result = trace(ray);
+            vec3 result = g_cameraRayWeight > 0.0 ? trace(ray) * g_cameraRayWeight : vec3(0.0);
             
             // Off-Axis Holography - real-time hologram with fringes
             if (u_enableOffAxisHolography) {
@@ -3001,6 +3298,14 @@ export class RayTracerWebGL {
             // Clamp to prevent NaN/Inf
             color = clamp(color, vec3(0.0), vec3(100.0));
             
+            // Auxiliary output for render export: first-hit depth, TOF round trip, coverage
+            // (depth and TOF are divided by coverage after readback)
+            if (u_outputLayer == 1) {
+                Hit firstHit = intersectScene(ray);
+                bool covered = firstHit.hit && g_cameraRayWeight > 0.0;
+                color = covered ? vec3(firstHit.t, g_tofPathLength, 1.0) : vec3(0.0);
+            }
+            
             // Progressive accumulation or temporal blending (STAY in LINEAR space)
             vec3 accumulatedColor = color;
             if (u_frame > 0.0) {
@@ -3070,6 +3375,8 @@ export class RayTracerWebGL {
             'u_cameraPos', 'u_cameraLookAt', 'u_focalLength', 'u_focusDistance', 'u_apertureFStop', 'u_cameraType',
             'u_visualizeFocus', 'u_focusVisMode', 'u_focusTolerance', 'u_scheimpflugTolerance', 'u_enableVPT', 'u_minBounces', 'u_bounceRange', 'u_vptMaxBounces',
             'u_distortionType', 'u_distortionAmount', 'u_apertureShape', 'u_apertureBlades',
+            'u_numLensSurfaces', 'u_lensSurfaces', 'u_lensStopIndex', 'u_lensStopZ', 'u_lensStopRadius', 'u_lensFilmZ',
+            'u_lensPupilBounds', 'u_lensPupilReferenceArea', 'u_lensMaxFilmRadius',
             'u_apertureShift', 'u_apertureTilt',
             'u_filmSize', 'u_filmTilt', 'u_filmShift', 'u_filmCurvature', 'u_enableTiltShift', 'u_sensorOffset',
             'u_enableNewTiltShift', 'u_focusPointA', 'u_focusPointB', 'u_focusPointC',
@@ -3080,14 +3387,15 @@ export class RayTracerWebGL {
             'u_enableLensCA', 'u_lensCAMode', 'u_lensCAStrength',
             'u_enableTOF', 'u_tofMinDistance', 'u_tofRange',
             'u_enableCWToF', 'u_cwTofModulationFreq', 'u_cwTofPhaseOffset', 'u_cwTofWavelength',
-            'u_cwTofShowInterference', 'u_cwTofShowDepth',
+            'u_cwTofShowInterference', 'u_cwTofShowDepth', 'u_cwTofMultipath',
             'u_enableOffAxisHolography', 'u_offAxisReferenceAngle', 'u_offAxisWavelength', 'u_offAxisCarrierFreq',
             'u_enablePlanarWaveLight', 'u_planarWaveLightDistance', 'u_planarWaveLightSize', 
             'u_planarWaveLightIntensity', 'u_planarWaveCarrierFreq', 'u_planarWaveTiltAngle', 'u_disableSceneLights',
             'u_enableReferenceWave', 'u_referenceWaveIntensity', 'u_referenceWaveFrequency', 'u_referenceWavePhase', 'u_referenceWaveColorMode',
-            'u_showDepthReference',
+            'u_showDepthReference', 'u_outputLayer',
             'u_enableEnvironmentFog', 'u_fogDensity', 'u_fogAlbedo', 'u_fogAnisotropy',
             'u_numSpheres', 'u_spheres', 'u_sphereMats', 'u_sphereEmission', 'u_sphereVolume', 'u_sphereTexture',
+            'u_numTriangles', 'u_bvhNodeCount', 'u_bvhNodes', 'u_bvhTriangles',
             'u_groundPattern', 'u_groundPatternScale'
         ];
         
@@ -3172,6 +3480,61 @@ export class RayTracerWebGL {
         return tex;
     }
     
+    // Upload the scene's mesh BVH into float textures when the mesh set changes.
+    // Returns one material slot per uploaded mesh; meshes beyond maxSlots are skipped.
+    uploadMeshes(maxSlots) {
+        const gl = this.gl;
+        const meshes = this.scene.meshes || [];
+        const count = Math.min(meshes.length, maxSlots);
+        const key = `${this.scene.meshVersion}:${count}`;
+        
+        if (this.bvhKey !== key || !this.bvhNodeTexture) {
+            this.bvhKey = key;
+            if (count < meshes.length) {
+                console.warn(`⚠️ Only ${count} of ${meshes.length} meshes fit in the 32 material slots; the rest are not rendered`);
+            }
+            
+            // Placeholder 1x1 textures keep the samplers valid when there are no meshes
+            let packed = { width: 1, nodes: new Float32Array(4), nodeRows: 1, triangles: new Float32Array(4), triangleRows: 1 };
+            this.bvhTriangleCount = 0;
+            this.bvhNodeCount = 0;
+            if (count > 0) {
+                const bvh = count === meshes.length ? this.scene.getMeshBVH() : new BVH(meshes.slice(0, count).map(m => m.mesh));
+                packed = bvh.packForGPU();
+                this.bvhTriangleCount = bvh.triangleCount;
+                this.bvhNodeCount = bvh.nodesUsed;
+                console.log(`🔺 Uploaded ${bvh.triangleCount} triangles in ${bvh.nodesUsed} BVH nodes (depth ${bvh.depth})`);
+                if (bvh.depth + 1 > BVH.GPU_STACK_SIZE) {
+                    console.warn(`⚠️ The mesh BVH is ${bvh.depth} levels deep but the shader's traversal stack holds ${BVH.GPU_STACK_SIZE} nodes; ` +
+                        'some triangles will be missed on the GPU (the CPU renderer draws them)');
+                }
+            }
+            
+            if (this.bvhNodeTexture) gl.deleteTexture(this.bvhNodeTexture);
+            if (this.bvhTriangleTexture) gl.deleteTexture(this.bvhTriangleTexture);
+            this.bvhNodeTexture = this.createDataTexture(packed.width, packed.nodeRows, packed.nodes);
+            this.bvhTriangleTexture = this.createDataTexture(packed.width, packed.triangleRows, packed.triangles);
+        }
+        
+        return meshes.slice(0, count).map(m => {
+            const bounds = m.mesh.getBoundingSphere();
+            return { center: bounds.center, radius: bounds.radius, material: m.material };
+        });
+    }
+    
+    // RGBA32F texture read with texelFetch only, so no float filtering support is needed
+    createDataTexture(width, height, data) {
+        const gl = this.gl;
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, data);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return tex;
+    }
+    
     resize() {
         if (!this.gl) return;
         
@@ -3255,7 +3618,8 @@ export class RayTracerWebGL {
         gl.uniform1f(this.uniforms.u_focalLength, this.camera.focalLength);
         gl.uniform1f(this.uniforms.u_focusDistance, this.camera.focusDistance);
         gl.uniform1f(this.uniforms.u_apertureFStop, this.camera.apertureFStop);
-        gl.uniform1i(this.uniforms.u_cameraType, this.camera.type === 'pinhole' ? 0 : 1);
+        const cameraTypeMap = { 'pinhole': 0, 'thin-lens': 1, 'compound-lens': 2 };
+        gl.uniform1i(this.uniforms.u_cameraType, cameraTypeMap[this.camera.type] ?? 1);
         gl.uniform1i(this.uniforms.u_visualizeFocus, this.visualizeFocus ? 1 : 0);
         gl.uniform1i(this.uniforms.u_focusVisMode, this.focusVisMode === 'inverted' ? 1 : 0);
         gl.uniform1f(this.uniforms.u_focusTolerance, this.focusTolerance);
@@ -3286,6 +3650,11 @@ export class RayTracerWebGL {
             this.camera.apertureTiltX * Math.PI / 180,
             this.camera.apertureTiltY * Math.PI / 180);
         
+        // Compound lens stack
+        if (this.camera.type === 'compound-lens') {
+            this.uploadLensSystem();
+        }
+        
         // Film/sensor parameters
         gl.uniform1f(this.uniforms.u_filmSize, this.camera.filmSize);
         gl.uniform2f(this.uniforms.u_filmTilt, 
@@ -3358,6 +3727,7 @@ export class RayTracerWebGL {
         gl.uniform1f(this.uniforms.u_cwTofWavelength, this.camera.cwTofWavelength);
         gl.uniform1i(this.uniforms.u_cwTofShowInterference, this.camera.cwTofShowInterference ? 1 : 0);
         gl.uniform1i(this.uniforms.u_cwTofShowDepth, this.camera.cwTofShowDepth ? 1 : 0);
+        gl.uniform1i(this.uniforms.u_cwTofMultipath, this.camera.cwTofMultipath ? 1 : 0);
         
         // Off-Axis Holography (spatial phase encoding)
         gl.uniform1i(this.uniforms.u_enableOffAxisHolography, this.camera.enableOffAxisHolography ? 1 : 0);
@@ -3383,6 +3753,7 @@ export class RayTracerWebGL {
         
         // Ground truth depth reference
         gl.uniform1i(this.uniforms.u_showDepthReference, this.camera.showDepthReference ? 1 : 0);
+        gl.uniform1i(this.uniforms.u_outputLayer, this.outputLayer === 'aux' ? 1 : 0);
         
         // Environment fog (participating media)
         gl.uniform1i(this.uniforms.u_enableEnvironmentFog, this.camera.enableEnvironmentFog ? 1 : 0);
@@ -3403,6 +3774,10 @@ export class RayTracerWebGL {
         
         gl.uniform1i(this.uniforms.u_numSpheres, numSpheres);
         
+        // Mesh materials take the material slots after the spheres
+        const meshSlots = this.uploadMeshes(32 - numSpheres);
+        const slots = spheres.slice(0, numSpheres).concat(meshSlots);
+        
         // Always send full arrays (32 spheres worth) to avoid INVALID_VALUE errors
         const sphereData = new Float32Array(32 * 4); // 32 spheres, 4 floats each
         const matData = new Float32Array(32 * 4);
@@ -3410,8 +3785,8 @@ export class RayTracerWebGL {
         const volumeData = new Float32Array(32 * 4);
         const textureData = new Float32Array(32 * 4);
         
-        for (let i = 0; i < numSpheres; i++) {
-            const s = spheres[i];
+        for (let i = 0; i < slots.length; i++) {
+            const s = slots[i];
             sphereData[i * 4 + 0] = s.center[0];
             sphereData[i * 4 + 1] = s.center[1];
             sphereData[i * 4 + 2] = s.center[2];
@@ -3423,7 +3798,7 @@ export class RayTracerWebGL {
             else if (s.material.type === 'glass') matType = 2;
             else if (s.material.type === 'mirror') matType = 3;
             else if (s.material.type === 'emissive') matType = 4;
-            else if (s.material.type === 'volumetric') matType = 5;
+            else if (s.material.type === 'volumetric' && i < numSpheres) matType = 5; // Meshes render volumetric as diffuse
             else if (s.material.type === 'glossy') matType = 6;
             
             matData[i * 4 + 0] = s.material.albedo ? s.material.albedo[0] : 1;
@@ -3561,6 +3936,17 @@ export class RayTracerWebGL {
         gl.bindTexture(gl.TEXTURE_2D, this.accumTexture);
         gl.uniform1i(this.uniforms.u_accumTexture, 0);
         
+        // Mesh BVH textures
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.bvhNodeTexture);
+        gl.uniform1i(this.uniforms.u_bvhNodes, 1);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.bvhTriangleTexture);
+        gl.uniform1i(this.uniforms.u_bvhTriangles, 2);
+        gl.uniform1i(this.uniforms.u_numTriangles, this.bvhTriangleCount);
+        gl.uniform1i(this.uniforms.u_bvhNodeCount, this.bvhNodeCount);
+        gl.activeTexture(gl.TEXTURE0);
+        
         // Render (reads from accumTexture, writes to tempTexture)
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
         
@@ -3632,6 +4018,72 @@ export class RayTracerWebGL {
         }
     }
     
+    // Read the linear accumulation buffer back as { width, height, pixels } (RGB float,
+    // top row first, as image-io.js expects). Returns null if the readback fails.
+    readAccumulation() {
+        const gl = this.gl;
+        if (!gl || !this.accumTexture) return null;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.accumTexture, 0);
+        const rgba = new Float32Array(this.width * this.height * 4);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, rgba);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        const error = gl.getError();
+        if (error !== gl.NO_ERROR) {
+            console.error('❌ Accumulation readback failed (GL error ' + error + ')');
+            return null;
+        }
+        
+        // GL rows start at the bottom
+        const pixels = new Float32Array(this.width * this.height * 3);
+        for (let y = 0; y < this.height; y++) {
+            const src = (this.height - 1 - y) * this.width;
+            for (let x = 0; x < this.width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    pixels[((y * this.width) + x) * 3 + c] = rgba[(src + x) * 4 + c];
+                }
+            }
+        }
+        return { width: this.width, height: this.height, pixels };
+    }
+    
+    uploadLensSystem() {
+        const gl = this.gl;
+        const lens = this.camera.updateLensSystem();
+        const numSurfaces = Math.min(lens.elements.length, 16);
+        
+        if (lens.elements.length > 16) {
+            console.warn(`Lens has ${lens.elements.length} surfaces, shader supports 16`);
+        }
+        
+        // Always send full arrays (16 surfaces / buckets) to avoid INVALID_VALUE errors
+        const surfaceData = new Float32Array(16 * 4);
+        for (let i = 0; i < numSurfaces; i++) {
+            const s = lens.elements[i];
+            surfaceData[i * 4 + 0] = s.z;
+            surfaceData[i * 4 + 1] = s.radius;
+            surfaceData[i * 4 + 2] = s.ior;
+            surfaceData[i * 4 + 3] = s.semiAperture;
+        }
+        
+        const pupilData = new Float32Array(16 * 4);
+        for (let i = 0; i < Math.min(lens.pupilBounds.length, 16); i++) {
+            pupilData.set(lens.pupilBounds[i], i * 4);
+        }
+        
+        gl.uniform1i(this.uniforms.u_numLensSurfaces, numSurfaces);
+        gl.uniform4fv(this.uniforms.u_lensSurfaces, surfaceData);
+        gl.uniform1i(this.uniforms.u_lensStopIndex, lens.stopIndex);
+        gl.uniform1f(this.uniforms.u_lensStopZ, lens.getStopZ());
+        gl.uniform1f(this.uniforms.u_lensStopRadius, lens.stopRadius);
+        gl.uniform1f(this.uniforms.u_lensFilmZ, this.camera.getLensFilmZ());
+        gl.uniform4fv(this.uniforms.u_lensPupilBounds, pupilData);
+        gl.uniform1f(this.uniforms.u_lensPupilReferenceArea, lens.pupilReferenceArea);
+        gl.uniform1f(this.uniforms.u_lensMaxFilmRadius, lens.maxFilmRadius);
+    }
+    
     createDisplayProgram() {
         const gl = this.gl;
         
@@ -1,3 +1,6 @@
+import { Random } from './random.js';
+import { Spectrum } from './spectrum.js';
+
 export class RayTracer {
     constructor(canvas, scene, camera) {
         this.canvas = canvas;
@@ -17,6 +20,29 @@ export class RayTracer {
         this.currentSample = 0;
         this.raysTraced = 0;
         
+        // One generator drives every random decision (pixel jitter, aperture, scattering).
+        // With a seed set, it is reseeded per pixel sample so renders are reproducible.
+        this.seed = null;
+        this.rng = new Random();
+        this.camera.rng = this.rng;
+        this.scene.rng = this.rng;
+        
+        // Hero-wavelength spectral mode (camera chromatic aberration in 'spectrum' mode):
+        // each camera path carries radiance at these wavelengths (nm) instead of RGB.
+        // heroOnly is set once a dispersive event has dropped the companion wavelengths.
+        this.wavelengths = null;
+        this.heroOnly = false;
+        this.warnedMaterials = new Set(); // Unsupported material types already reported
+        
+        this.imageData = null;
+        this.accumBuffer = null;
+        
+        // Headless (Node): no canvas, size with setSize() and accumulate with tracePass()
+        if (!canvas) {
+            this.ctx = null;
+            return;
+        }
+        
         // Setup 2D context for CPU ray tracing
         // (WebGL shader-based ray tracing would be more complex to implement fully)
         this.ctx = canvas.getContext('2d', { willReadFrequently: true });
@@ -26,9 +52,6 @@ export class RayTracer {
             return;
         }
         
-        this.imageData = null;
-        this.accumBuffer = null;
-        
         this.resize();
     }
     
@@ -36,14 +59,24 @@ export class RayTracer {
         if (!this.ctx) return;
         
         // Render at reduced resolution for performance
-        this.width = Math.floor(this.canvas.width * this.renderScale);
-        this.height = Math.floor(this.canvas.height * this.renderScale);
+        this.setSize(Math.floor(this.canvas.width * this.renderScale), Math.floor(this.canvas.height * this.renderScale));
+    }
+    
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
         this.camera.aspectRatio = this.width / this.height;
-        this.imageData = this.ctx.createImageData(this.width, this.height);
+        if (this.ctx) this.imageData = this.ctx.createImageData(this.width, this.height);
         this.accumBuffer = new Float32Array(this.width * this.height * 4);
         this.needsUpdate = true;
     }
     
+    // null restores unseeded (Math.random-initialised) sampling
+    setSeed(seed) {
+        this.seed = seed;
+        this.needsUpdate = true;
+    }
+    
     render() {
         if (!this.ctx) return; // Can't render without 2D context
         
@@ -61,8 +94,14 @@ export class RayTracer {
     }
     
     renderPass() {
-        const startTime = performance.now();
+        this.raysTraced = this.tracePass();
+        this.present();
+    }
+    
+    // Trace one sample per pixel into accumBuffer (no DOM access). Returns the ray count.
+    tracePass() {
         let rays = 0;
+        const spectral = this.isSpectral();
         
         // Render using tiling for better cache coherency and responsiveness
         const tileSize = 16; // Smaller tiles for better responsiveness
@@ -78,9 +117,13 @@ export class RayTracer {
                 
                 for (let y = y0; y < y1; y++) {
                     for (let x = x0; x < x1; x++) {
+                        if (this.seed !== null) {
+                            this.rng.seed(Random.hash(this.seed, x, y, this.currentSample));
+                        }
+                        
                         // Normalized coordinates with jitter
-                        let u = ((x + Math.random()) / this.width) * 2 - 1;
-                        let v = ((y + Math.random()) / this.height) * 2 - 1;
+                        let u = ((x + this.rng.random()) / this.width) * 2 - 1;
+                        let v = ((y + this.rng.random()) / this.height) * 2 - 1;
                         
                         // Apply lens distortion
                         if (this.camera.distortionType !== 'none' && this.camera.distortionAmount > 0) {
@@ -89,9 +132,17 @@ export class RayTracer {
                             v = distorted.v;
                         }
                         
+                        if (spectral) {
+                            this.wavelengths = Spectrum.sampleWavelengths(this.rng.random());
+                            this.heroOnly = false;
+                        }
+                        
                         const ray = this.camera.generateRay(u, -v); // Flip Y
-                        const result = this.traceRay(ray, 0);
-                        let color = result.color;
+                        
+                        // Compound-lens rays can be vignetted away or carry a pupil weight
+                        const result = ray ? this.traceRay(ray, 0) : { color: [0, 0, 0], distance: -1 };
+                        let color = ray && ray.weight !== undefined ? this.scale(result.color, ray.weight) : result.color;
+                        if (spectral) color = this.spectralToRGB(color);
                         
                         // Visualize focus region if enabled
                         if (this.visualizeFocus && result.distance > 0) {
@@ -137,18 +188,46 @@ export class RayTracer {
                         this.accumBuffer[idx + 1] += color[1];
                         this.accumBuffer[idx + 2] += color[2];
                         this.accumBuffer[idx + 3] += 1;
-                        
-                        // Average and gamma correct
-                        const scale = 1.0 / (this.currentSample + 1);
-                        this.imageData.data[idx + 0] = Math.min(255, Math.pow(this.accumBuffer[idx + 0] * scale, 1/2.2) * 255);
-                        this.imageData.data[idx + 1] = Math.min(255, Math.pow(this.accumBuffer[idx + 1] * scale, 1/2.2) * 255);
-                        this.imageData.data[idx + 2] = Math.min(255, Math.pow(this.accumBuffer[idx + 2] * scale, 1/2.2) * 255);
-                        this.imageData.data[idx + 3] = 255;
                     }
                 }
             }
         }
         
+        this.wavelengths = null;
+        return rays;
+    }
+    
+    // Matches the shader, which disperses by wavelength when chromatic aberration
+    // is enabled and shows it as a spectrum in 'spectrum' mode
+    isSpectral() {
+        return this.camera.enableChromaticAberration && this.camera.chromaticAberrationMode === 'spectrum';
+    }
+    
+    // Radiance for an RGB colour: the colour itself, or its spectrum at the path's wavelengths
+    radiance(rgb) {
+        return this.wavelengths ? Spectrum.rgbToSpectrum(rgb, this.wavelengths) : rgb;
+    }
+    
+    // Spectral samples -> linear sRGB, honouring the camera's spectral filter
+    // (in the shader's units: 0 = red end, 1 = violet end)
+    spectralToRGB(values) {
+        const filtered = values.map((value, i) => {
+            const t = Spectrum.toShaderT(this.wavelengths[i]);
+            return t >= this.camera.spectralFilterMin && t <= this.camera.spectralFilterMax ? value : 0;
+        });
+        return Spectrum.spectrumToRGB(filtered, this.wavelengths);
+    }
+    
+    // Average, gamma correct and draw the accumulated samples
+    present() {
+        const scale = 1.0 / (this.currentSample + 1);
+        for (let idx = 0; idx < this.accumBuffer.length; idx += 4) {
+            this.imageData.data[idx + 0] = Math.min(255, Math.pow(this.accumBuffer[idx + 0] * scale, 1/2.2) * 255);
+            this.imageData.data[idx + 1] = Math.min(255, Math.pow(this.accumBuffer[idx + 1] * scale, 1/2.2) * 255);
+            this.imageData.data[idx + 2] = Math.min(255, Math.pow(this.accumBuffer[idx + 2] * scale, 1/2.2) * 255);
+            this.imageData.data[idx + 3] = 255;
+        }
+        
         // Draw low-res image scaled up to canvas
         if (this.renderScale < 1) {
             // Create temporary canvas for low-res render
@@ -168,7 +247,18 @@ export class RayTracer {
         } else {
             this.ctx.putImageData(this.imageData, 0, 0);
         }
-        this.raysTraced = rays;
+    }
+    
+    // Linear RGB average of the accumulated samples, 3 floats per pixel, top row first
+    getPixels() {
+        const pixels = new Float32Array(this.width * this.height * 3);
+        for (let i = 0; i < this.width * this.height; i++) {
+            const count = this.accumBuffer[i * 4 + 3] || 1;
+            pixels[i * 3 + 0] = this.accumBuffer[i * 4 + 0] / count;
+            pixels[i * 3 + 1] = this.accumBuffer[i * 4 + 1] / count;
+            pixels[i * 3 + 2] = this.accumBuffer[i * 4 + 2] / count;
+        }
+        return pixels;
     }
     
     traceRay(ray, depth) {
@@ -196,7 +286,7 @@ export class RayTracer {
         }
         
         // Sky
-        return { color: this.scene.getSkyColor(ray.direction), distance: -1 };
+        return { color: this.radiance(this.scene.getSkyColor(ray.direction)), distance: -1 };
     }
     
     handleVolumeScattering(ray, hit, depth) {
@@ -208,7 +298,7 @@ export class RayTracer {
         };
         
         const result = this.traceRay(scatteredRay, depth + 1);
-        return this.multiply(result.color, this.scene.fogColor);
+        return this.multiply(result.color, this.radiance(this.scene.fogColor));
     }
     
     shade(ray, hit, depth) {
@@ -216,7 +306,7 @@ export class RayTracer {
         
         // Emissive materials return their emission directly
         if (material.type === 'emissive') {
-            return material.emission || [1, 1, 1];
+            return this.radiance(material.emission || [1, 1, 1]);
         }
         
         if (material.type === 'diffuse') {
@@ -229,9 +319,22 @@ export class RayTracer {
             return this.shadeMirror(ray, hit, depth);
         }
         
+        // Types this tracer has no model for (glossy, volumetric). Magenta marks them in RGB;
+        // a spectral path cannot carry an RGB debug colour, so it shades them as diffuse
+        // with their albedo upsampled to the path's wavelengths.
+        if (this.wavelengths) {
+            this.warnUnsupportedMaterial(material.type);
+            return this.shadeDiffuse(ray, { ...hit, material: { albedo: material.albedo || [0.8, 0.8, 0.8] } }, depth);
+        }
         return [1, 0, 1]; // Magenta for unknown material
     }
     
+    warnUnsupportedMaterial(type) {
+        if (this.warnedMaterials.has(type)) return;
+        this.warnedMaterials.add(type);
+        console.warn(`⚠️ The CPU ray tracer has no spectral model for "${type}" materials; shading them as diffuse`);
+    }
+    
     shadeDiffuse(ray, hit, depth) {
         // Lambertian BRDF
         const scatterDir = this.normalize(this.add(hit.normal, this.randomUnitVector()));
@@ -241,7 +344,7 @@ export class RayTracer {
         };
         
         const result = this.traceRay(scattered, depth + 1);
-        return this.multiply(result.color, hit.material.albedo);
+        return this.multiply(result.color, this.radiance(hit.material.albedo));
     }
     
     shadeMetal(ray, hit, depth) {
@@ -258,42 +361,47 @@ export class RayTracer {
             };
             
             const result = this.traceRay(scattered, depth + 1);
-            return this.multiply(result.color, hit.material.albedo);
+            return this.multiply(result.color, this.radiance(hit.material.albedo));
         }
         
         return [0, 0, 0];
     }
     
     shadeGlass(ray, hit, depth) {
-        const ior = hit.material.ior || 1.5;
+        // In spectral mode the index follows the hero wavelength. The companion
+        // wavelengths would refract elsewhere, so they end here and the hero
+        // carries the whole estimate (hence the scale by the wavelength count).
+        const dispersive = this.wavelengths !== null && this.camera.chromaticAberration > 0;
+        const ior = dispersive
+            ? Spectrum.glassIOR(hit.material, this.wavelengths[0], this.camera.chromaticAberration)
+            : hit.material.ior || 1.5;
         const entering = this.dot(ray.direction, hit.normal) < 0;
         const normal = entering ? hit.normal : this.scale(hit.normal, -1);
         const eta = entering ? 1.0 / ior : ior;
         
         const refracted = this.refract(ray.direction, normal, eta);
         
+        let direction;
         if (refracted) {
             // Schlick's approximation for Fresnel
             const r0 = Math.pow((1 - ior) / (1 + ior), 2);
             const cosine = -this.dot(ray.direction, normal);
             const reflectProb = r0 + (1 - r0) * Math.pow(1 - cosine, 5);
             
-            if (Math.random() < reflectProb) {
-                // Reflect
-                const reflected = this.reflect(ray.direction, normal);
-                const scattered = { origin: hit.point, direction: reflected };
-                return this.traceRay(scattered, depth + 1).color;
-            } else {
-                // Refract
-                const scattered = { origin: hit.point, direction: refracted };
-                return this.traceRay(scattered, depth + 1).color;
-            }
+            direction = this.rng.random() < reflectProb ? this.reflect(ray.direction, normal) : refracted;
         } else {
             // Total internal reflection
-            const reflected = this.reflect(ray.direction, normal);
-            const scattered = { origin: hit.point, direction: reflected };
-            return this.traceRay(scattered, depth + 1).color;
+            direction = this.reflect(ray.direction, normal);
         }
+        
+        let heroScale = 1;
+        if (dispersive && !this.heroOnly) {
+            heroScale = this.wavelengths.length;
+            this.heroOnly = true;
+        }
+        
+        const color = this.traceRay({ origin: hit.point, direction }, depth + 1).color;
+        return dispersive ? color.map((value, i) => i === 0 ? value * heroScale : 0) : color;
     }
     
     shadeMirror(ray, hit, depth) {
@@ -322,8 +430,8 @@ export class RayTracer {
     
     randomUnitVector() {
         // Random point on unit sphere
-        const z = Math.random() * 2 - 1;
-        const a = Math.random() * 2 * Math.PI;
+        const z = this.rng.random() * 2 - 1;
+        const a = this.rng.random() * 2 * Math.PI;
         const r = Math.sqrt(1 - z * z);
         return [r * Math.cos(a), r * Math.sin(a), z];
     }
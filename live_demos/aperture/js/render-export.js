@@ -0,0 +1,92 @@
+// Files for the Render Export panel, built from RayTracerWebGL.readAccumulation() images
+//
+// The beauty pass is linear RGB. The auxiliary pass (outputLayer = 'aux') accumulates
+// (first-hit depth, TOF round trip, coverage) per pixel, so depth and TOF are averages
+// over covered samples only once divided by coverage. Everything is in metres.
+
+import { ImageIO } from './image-io.js';
+
+export class RenderExport {
+    static get FORMATS() {
+        return {
+            exr: { extension: 'exr', mime: 'image/x-exr' },
+            pfm: { extension: 'pfm', mime: 'application/octet-stream' },
+            png: { extension: 'png', mime: 'image/png' }
+        };
+    }
+
+    // Split an aux readback into { depth, tof, coverage } Float32Arrays (0 where uncovered)
+    static splitAuxLayers(aux) {
+        const count = aux.width * aux.height;
+        const depth = new Float32Array(count);
+        const tof = new Float32Array(count);
+        const coverage = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const c = aux.pixels[i * 3 + 2];
+            coverage[i] = c;
+            if (c > 0) {
+                depth[i] = aux.pixels[i * 3] / c;
+                tof[i] = aux.pixels[i * 3 + 1] / c;
+            }
+        }
+        return { depth, tof, coverage };
+    }
+
+    // Single-channel layer scaled to [0, 1] by its largest value, as an RGB image for PNG
+    static greyImage(width, height, values) {
+        let max = 0;
+        for (const v of values) max = Math.max(max, v);
+        const pixels = new Float32Array(width * height * 3);
+        for (let i = 0; i < values.length; i++) {
+            const v = max > 0 ? values[i] / max : 0;
+            // encodePNG applies gamma; undo it so the grey ramp stays linear in depth
+            pixels[i * 3] = pixels[i * 3 + 1] = pixels[i * 3 + 2] = Math.pow(v, 2.2);
+        }
+        return { width, height, pixels };
+    }
+
+    // Zero-padded sequence names sort in frame or sample order: render_00064
+    static frameName(base, samples) {
+        return `${base}_${String(samples).padStart(5, '0')}`;
+    }
+
+    // Returns [{ filename, bytes, mime }] for one export. beauty is required, aux is
+    // optional (null skips the depth and TOF layers).
+    static async buildFiles(beauty, aux, options = {}) {
+        const { format = 'exr', base = 'render', toneMap = 'clamp', exposure = 0 } = options;
+        const spec = this.FORMATS[format];
+        if (!spec) {
+            console.error(`❌ Unknown export format "${format}"`);
+            return [];
+        }
+
+        const layers = aux ? this.splitAuxLayers(aux) : null;
+        const { width, height } = beauty;
+
+        if (format === 'exr') {
+            const extra = layers ? { 'depth.Z': layers.depth, 'tof.Z': layers.tof } : {};
+            return [{ filename: `${base}.exr`, bytes: ImageIO.encodeEXR(beauty, extra), mime: spec.mime }];
+        }
+
+        if (format === 'pfm') {
+            const files = [{ filename: `${base}.pfm`, bytes: ImageIO.encodePFM(beauty), mime: spec.mime }];
+            if (layers) {
+                for (const name of ['depth', 'tof']) {
+                    const image = { width, height, pixels: layers[name], channels: 1 };
+                    files.push({ filename: `${base}_${name}.pfm`, bytes: ImageIO.encodePFM(image), mime: spec.mime });
+                }
+            }
+            return files;
+        }
+
+        const mapped = ImageIO.toneMap(beauty, exposure, toneMap);
+        const files = [{ filename: `${base}.png`, bytes: await ImageIO.encodePNG(mapped), mime: spec.mime }];
+        if (layers) {
+            for (const name of ['depth', 'tof']) {
+                const bytes = await ImageIO.encodePNG(this.greyImage(width, height, layers[name]));
+                files.push({ filename: `${base}_${name}.png`, bytes, mime: spec.mime });
+            }
+        }
+        return files;
+    }
+}
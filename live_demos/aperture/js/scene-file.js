@@ -0,0 +1,491 @@
+// Versioned JSON scene description: geometry, materials, lights, environment and
+// the complete camera state, so a scene can be saved, shared and reproduced exactly.
+//
+// {
+//   "format": "aperture-scene", "version": 1,
+//   "environment": { "skyIntensity": 1, "fogDensity": 0, ... },
+//   "objects": [ { "type": "sphere", "center": [0, 0, 5], "radius": 1, "material": "gold-fbm" }, ... ],
+//   "lights": [ { "position": [0, 5, 0], "color": [1, 1, 1], "intensity": 1 } ],
+//   "camera": { "type": "thin-lens", "aperture": { "shape": "star", ... }, "film": { ... }, ... }
+// }
+//
+// A material is either a preset name, an inline material object, or an object
+// with "preset" plus overrides, e.g. { "preset": "jade", "albedo": [0.1, 0.5, 0.2] }.
+//
+// Triangle meshes are stored inline as flat arrays:
+//   { "type": "mesh", "positions": [x, y, z, ...], "indices": [a, b, c, ...], "normals": [...] }
+// "normals" is optional and only written when the mesh was loaded with its own normals.
+
+import { LensPrescription } from './lens-prescription.js';
+import { TriangleMesh } from './mesh.js';
+import { Spectrum } from './spectrum.js';
+
+export class SceneFile {
+    static get FORMAT() {
+        return 'aperture-scene';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get MATERIAL_TYPES() {
+        return ['diffuse', 'metal', 'glossy', 'glass', 'mirror', 'emissive', 'volumetric'];
+    }
+
+    // JSON path -> Camera property. Arrays of properties are stored as one vector.
+    static get CAMERA_FIELDS() {
+        return [
+            ['type', 'type'],
+            ['fov', 'fov'],
+            ['position', 'position'],
+            ['lookAt', 'lookAt'],
+            ['up', 'up'],
+            ['yaw', 'yaw'],
+            ['pitch', 'pitch'],
+            ['distance', 'distance'],
+            ['aperture.shape', 'apertureShape'],
+            ['aperture.fStop', 'apertureFStop'],
+            ['aperture.blades', 'apertureBlades'],
+            ['aperture.shift', ['apertureShiftX', 'apertureShiftY', 'apertureShiftZ']],
+            ['aperture.tilt', ['apertureTiltX', 'apertureTiltY']],
+            ['lens.focalLength', 'focalLength'],
+            ['lens.focusDistance', 'focusDistance'],
+            ['film.shift', ['filmShiftX', 'filmShiftY', 'filmShiftZ']],
+            ['film.tilt', ['filmTiltX', 'filmTiltY']],
+            ['film.size', 'filmSize'],
+            ['film.curvature', 'filmCurvature'],
+            ['film.aspectRatio', 'aspectRatio'],
+            ['film.sensorOffset', ['sensorOffsetX', 'sensorOffsetY']],
+            ['tiltShift.enabled', 'enableNewTiltShift'],
+            ['tiltShift.virtualPlane', 'enableTiltShift'],
+            ['distortion.type', 'distortionType'],
+            ['distortion.amount', 'distortionAmount'],
+            ['chromaticAberration.enabled', 'enableChromaticAberration'],
+            ['chromaticAberration.mode', 'chromaticAberrationMode'],
+            ['chromaticAberration.amount', 'chromaticAberration'],
+            ['lensChromaticAberration.enabled', 'enableLensChromaticAberration'],
+            ['lensChromaticAberration.mode', 'lensChromaticAberrationMode'],
+            ['lensChromaticAberration.amount', 'lensChromaticAberration'],
+            ['fog.enabled', 'enableEnvironmentFog'],
+            ['fog.density', 'fogDensity'],
+            ['fog.albedo', 'fogAlbedo'],
+            ['fog.anisotropy', 'fogAnisotropy']
+        ];
+    }
+
+    // Values a camera field may take beyond its type: a list of names, or a numeric range
+    // (min/max inclusive, above/below exclusive)
+    static get CAMERA_LIMITS() {
+        return {
+            'type': ['pinhole', 'thin-lens', 'compound-lens'],
+            'fov': { above: 0, below: 180 },
+            'distance': { above: 0 },
+            'aperture.shape': ['circular', 'polygon', 'hexagonal', 'square', 'star', 'ring', 'diagonal', 'coded', 'pinhole-grid', 'heart', 'cat'],
+            'aperture.fStop': { above: 0 },
+            'aperture.blades': { min: 3, integer: true },
+            'lens.focalLength': { above: 0 },
+            'lens.focusDistance': { above: 0 },
+            'film.size': { above: 0 },
+            'film.aspectRatio': { above: 0 },
+            'distortion.type': ['none', 'barrel', 'pincushion', 'fisheye'],
+            'distortion.amount': { min: 0, max: 1 },
+            'chromaticAberration.mode': ['rgb', 'spectrum'],
+            'chromaticAberration.amount': { min: 0 },
+            'lensChromaticAberration.mode': ['postprocess', 'spectral'],
+            'lensChromaticAberration.amount': { min: 0 },
+            'fog.density': { min: 0 },
+            'fog.anisotropy': { min: -1, max: 1 }
+        };
+    }
+
+    // Numeric material fields and their ranges; colours are checked as non-negative [r, g, b]
+    static get MATERIAL_LIMITS() {
+        return {
+            ior: { min: 1, max: 4 },
+            roughness: { min: 0, max: 1 },
+            absorption: { min: 0 }
+        };
+    }
+
+    static get ENVIRONMENT_FIELDS() {
+        return ['skyIntensity', 'fogDensity', 'fogColor', 'groundPattern', 'groundPatternScale'];
+    }
+
+    // Build the JSON document for a scene and camera.
+    // materialPresets maps preset names to materials; exact matches are saved by name.
+    static serialize(scene, camera, materialPresets = {}) {
+        const environment = {};
+        for (const key of this.ENVIRONMENT_FIELDS) {
+            environment[key] = this.clone(scene[key]);
+        }
+
+        const objects = scene.objects.map(obj => {
+            const entry = { type: obj.type };
+            if (obj.name) entry.name = obj.name;
+            if (obj.type === 'sphere') {
+                entry.center = [...obj.center];
+                entry.radius = obj.radius;
+            } else if (obj.type === 'box') {
+                entry.center = [...obj.center];
+                entry.size = [...obj.size];
+            } else if (obj.type === 'plane') {
+                entry.point = [...obj.point];
+                entry.normal = [...obj.normal];
+            } else if (obj.type === 'mesh') {
+                entry.positions = Array.from(obj.mesh.positions);
+                entry.indices = Array.from(obj.mesh.indices);
+                if (obj.mesh.hasFileNormals) entry.normals = Array.from(obj.mesh.normals);
+            }
+            entry.material = this.serializeMaterial(obj.material, materialPresets);
+            return entry;
+        });
+
+        const lights = scene.lights.map(light => ({
+            position: [...light.position],
+            color: [...light.color],
+            intensity: light.intensity
+        }));
+
+        const cameraData = {};
+        for (const [path, props] of this.CAMERA_FIELDS) {
+            const value = Array.isArray(props) ? props.map(p => camera[p]) : this.clone(camera[props]);
+            this.setPath(cameraData, path, value);
+        }
+
+        // Tilt-shift focus points are attached by the simulator, not the Camera constructor
+        if (camera.focusPointA) {
+            cameraData.tiltShift.focusPoints = [camera.focusPointA, camera.focusPointB, camera.focusPointC]
+                .map(p => [p.x, p.y, p.z]);
+        }
+
+        const lens = camera.lensSystem;
+        cameraData.lens.prescription = {
+            name: lens.name,
+            surfaces: lens.prescription.map(s => ({ ...s }))
+        };
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            environment,
+            objects,
+            lights,
+            camera: cameraData
+        };
+    }
+
+    static serializeMaterial(material, materialPresets) {
+        const json = JSON.stringify(material);
+        const preset = Object.keys(materialPresets).find(name => JSON.stringify(materialPresets[name]) === json);
+        return preset || this.clone(material);
+    }
+
+    // Replace the scene contents and camera state with a parsed document.
+    // Returns a list of errors; nothing is changed unless the whole document is valid.
+    static apply(data, scene, camera, materialPresets = {}) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || data.format !== this.FORMAT) {
+            return [`Not an ${this.FORMAT} document (missing "format": "${this.FORMAT}")`];
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > this.VERSION) {
+            return [`Unsupported scene version ${data.version} (this viewer reads up to version ${this.VERSION})`];
+        }
+
+        // Environment
+        const environment = data.environment || {};
+        for (const key of Object.keys(environment)) {
+            if (!this.ENVIRONMENT_FIELDS.includes(key)) {
+                errors.push(`environment.${key}: unknown setting`);
+            } else if (!this.sameShape(environment[key], scene[key])) {
+                errors.push(`environment.${key}: expected ${this.describe(scene[key])}`);
+            }
+        }
+
+        // Geometry
+        if (!Array.isArray(data.objects)) {
+            errors.push('"objects" must be an array');
+        }
+        const objects = (Array.isArray(data.objects) ? data.objects : []).map((obj, i) => {
+            const label = `objects[${i}]`;
+            if (!obj || typeof obj !== 'object') {
+                errors.push(`${label}: expected an object`);
+                return null;
+            }
+            const material = this.parseMaterial(obj.material, materialPresets, `${label}.material`, errors);
+
+            if (obj.type === 'mesh') {
+                const mesh = this.parseMesh(obj, label, errors);
+                return mesh ? { ...obj, material, mesh } : null;
+            }
+
+            const vectors = { sphere: ['center'], box: ['center', 'size'], plane: ['point', 'normal'] }[obj.type];
+            if (!vectors) {
+                errors.push(`${label}: unknown object type "${obj.type}"`);
+                return null;
+            }
+            for (const key of vectors) {
+                if (!this.isVector(obj[key], 3)) errors.push(`${label}.${key}: expected [x, y, z]`);
+            }
+            if (obj.type === 'sphere' && !(typeof obj.radius === 'number' && obj.radius > 0)) {
+                errors.push(`${label}.radius: expected a positive number`);
+            }
+            return { ...obj, material };
+        });
+
+        // Lights
+        const lights = data.lights || [];
+        if (!Array.isArray(lights)) {
+            errors.push('"lights" must be an array');
+        } else {
+            lights.forEach((light, i) => {
+                if (!light || typeof light !== 'object') {
+                    errors.push(`lights[${i}]: expected an object`);
+                    return;
+                }
+                if (!this.isVector(light.position, 3)) errors.push(`lights[${i}].position: expected [x, y, z]`);
+                if (light.color !== undefined && !this.isColor(light.color)) errors.push(`lights[${i}].color: expected [r, g, b] of non-negative numbers`);
+                if (light.intensity !== undefined) this.checkLimit(light.intensity, { min: 0 }, `lights[${i}].intensity`, errors);
+            });
+        }
+
+        // Camera: every field is optional, but present ones must match the Camera's own types
+        const cameraData = data.camera || {};
+        const cameraValues = [];
+        for (const [path, props] of this.CAMERA_FIELDS) {
+            const value = this.getPath(cameraData, path);
+            if (value === undefined) continue;
+            const current = Array.isArray(props) ? props.map(p => camera[p]) : camera[props];
+            if (!this.sameShape(value, current)) {
+                errors.push(`camera.${path}: expected ${this.describe(current)}`);
+            } else if (this.checkLimit(value, this.CAMERA_LIMITS[path], `camera.${path}`, errors)) {
+                cameraValues.push([props, value]);
+            }
+        }
+
+        const focusPoints = this.getPath(cameraData, 'tiltShift.focusPoints');
+        if (focusPoints !== undefined &&
+            !(Array.isArray(focusPoints) && focusPoints.length === 3 && focusPoints.every(p => this.isVector(p, 3)))) {
+            errors.push('camera.tiltShift.focusPoints: expected three [x, y, z] points');
+        }
+
+        const prescription = this.getPath(cameraData, 'lens.prescription');
+        if (prescription !== undefined) {
+            for (const error of LensPrescription.validate(prescription)) {
+                errors.push(`camera.lens.prescription: ${error}`);
+            }
+        }
+
+        if (errors.length > 0) return errors;
+
+        // Everything checks out - rebuild the scene
+        scene.clear();
+        for (const key of Object.keys(environment)) {
+            scene[key] = this.clone(environment[key]);
+        }
+        for (const obj of objects) {
+            let added;
+            if (obj.type === 'sphere') added = scene.addSphere([...obj.center], obj.radius, obj.material);
+            else if (obj.type === 'box') added = scene.addBox([...obj.center], [...obj.size], obj.material);
+            else if (obj.type === 'mesh') added = scene.addMesh(obj.mesh, obj.material);
+            else added = scene.addPlane([...obj.point], [...obj.normal], obj.material);
+            if (obj.name) added.name = obj.name;
+        }
+        for (const light of lights) {
+            scene.addLight([...light.position], light.color ? [...light.color] : undefined, light.intensity);
+        }
+
+        for (const [props, value] of cameraValues) {
+            if (Array.isArray(props)) props.forEach((p, k) => { camera[p] = value[k]; });
+            else camera[props] = this.clone(value);
+        }
+        if (focusPoints) {
+            [camera.focusPointA, camera.focusPointB, camera.focusPointC] =
+                focusPoints.map(p => ({ x: p[0], y: p[1], z: p[2] }));
+        }
+        if (prescription) {
+            camera.setLensPrescription(prescription);
+        }
+
+        return [];
+    }
+
+    static parseMaterial(material, materialPresets, label, errors) {
+        let result;
+        if (typeof material === 'string') {
+            if (!materialPresets[material]) {
+                errors.push(`${label}: unknown material preset "${material}"`);
+                return null;
+            }
+            result = this.clone(materialPresets[material]);
+        } else if (material && typeof material === 'object') {
+            const { preset, ...overrides } = material;
+            if (preset !== undefined && !materialPresets[preset]) {
+                errors.push(`${label}: unknown material preset "${preset}"`);
+                return null;
+            }
+            result = { ...this.clone(preset !== undefined ? materialPresets[preset] : {}), ...this.clone(overrides) };
+        } else if (material === undefined) {
+            return undefined; // Scene.add* falls back to grey diffuse
+        } else {
+            errors.push(`${label}: expected a preset name or a material object`);
+            return null;
+        }
+
+        if (!this.MATERIAL_TYPES.includes(result.type)) {
+            errors.push(`${label}: unknown material type "${result.type}"`);
+        }
+        for (const key of ['albedo', 'emission']) {
+            if (result[key] !== undefined && !this.isColor(result[key])) {
+                errors.push(`${label}.${key}: expected [r, g, b] of non-negative numbers`);
+            }
+        }
+        for (const [key, limit] of Object.entries(this.MATERIAL_LIMITS)) {
+            if (result[key] !== undefined) this.checkLimit(result[key], limit, `${label}.${key}`, errors);
+        }
+        if (result.dispersion !== undefined && !this.isDispersion(result.dispersion)) {
+            errors.push(`${label}.dispersion: expected a glass name (${Object.keys(Spectrum.GLASSES).join(', ')}), ` +
+                '{ "sellmeier": { "B": [3 numbers], "C": [3 numbers] } } or { "cauchy": [A, B] }');
+        }
+        return result;
+    }
+
+    // The dispersion forms Spectrum.glassIOR understands
+    static isDispersion(value) {
+        if (typeof value === 'string') return Object.hasOwn(Spectrum.GLASSES, value);
+        if (!value || typeof value !== 'object') return false;
+        const sellmeier = value.sellmeier ?? (value.B !== undefined || value.C !== undefined ? value : undefined);
+        if (sellmeier !== undefined) {
+            return this.isVector(sellmeier?.B, 3) && this.isVector(sellmeier?.C, 3);
+        }
+        return this.isVector(value.cauchy, 2);
+    }
+
+    // Check a value against a CAMERA_LIMITS / MATERIAL_LIMITS entry; records an error and returns false when it is out
+    static checkLimit(value, limit, label, errors) {
+        if (limit === undefined) return true;
+
+        if (Array.isArray(limit)) {
+            if (limit.includes(value)) return true;
+            errors.push(`${label}: unknown value ${JSON.stringify(value)} (expected one of ${limit.join(', ')})`);
+            return false;
+        }
+
+        const { min, max, above, below, integer } = limit;
+        const ok = typeof value === 'number' && isFinite(value) &&
+            (min === undefined || value >= min) && (max === undefined || value <= max) &&
+            (above === undefined || value > above) && (below === undefined || value < below) &&
+            (!integer || Number.isInteger(value));
+        if (ok) return true;
+
+        const bounds = [
+            min !== undefined && `≥ ${min}`, above !== undefined && `> ${above}`,
+            max !== undefined && `≤ ${max}`, below !== undefined && `< ${below}`
+        ].filter(Boolean).join(' and ');
+        errors.push(`${label}: expected ${integer ? 'an integer' : 'a number'} ${bounds}, got ${JSON.stringify(value)}`);
+        return false;
+    }
+
+    // Check the flat mesh arrays and build the TriangleMesh, or record errors and return null
+    static parseMesh(obj, label, errors) {
+        const isNumbers = a => Array.isArray(a) && a.every(v => typeof v === 'number' && Number.isFinite(v));
+        const before = errors.length;
+
+        if (!isNumbers(obj.positions) || obj.positions.length === 0 || obj.positions.length % 3 !== 0) {
+            errors.push(`${label}.positions: expected a non-empty flat array of x, y, z numbers`);
+        }
+        const vertexCount = Array.isArray(obj.positions) ? Math.floor(obj.positions.length / 3) : 0;
+        if (!Array.isArray(obj.indices) || obj.indices.length === 0 || obj.indices.length % 3 !== 0 ||
+            !obj.indices.every(i => Number.isInteger(i) && i >= 0 && i < vertexCount)) {
+            errors.push(`${label}.indices: expected a flat array of vertex index triples, each below ${vertexCount}`);
+        }
+        if (obj.normals !== undefined && !(isNumbers(obj.normals) && obj.normals.length === obj.positions?.length)) {
+            errors.push(`${label}.normals: expected one x, y, z normal per vertex`);
+        }
+        if (errors.length > before) return null;
+
+        return new TriangleMesh(
+            new Float32Array(obj.positions),
+            new Uint32Array(obj.indices),
+            obj.normals !== undefined ? new Float32Array(obj.normals) : null
+        );
+    }
+
+    // Text helpers for files
+    static stringify(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    static parse(text) {
+        try {
+            return { data: JSON.parse(text), errors: [] };
+        } catch (error) {
+            return { data: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+    }
+
+    // URL hash sharing: #scene=<base64url of the JSON>
+    static toURLHash(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return '#scene=' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Returns { data, errors }, or null when the hash holds no scene
+    static fromURLHash(hash) {
+        const match = hash.match(/[#&]scene=([A-Za-z0-9_-]+)/);
+        if (!match) return null;
+
+        try {
+            const binary = atob(match[1].replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            return this.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return { data: null, errors: [`Corrupt scene link: ${error.message}`] };
+        }
+    }
+
+    // Small utilities
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    static getPath(object, path) {
+        return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), object);
+    }
+
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let node = object;
+        for (const key of keys) {
+            node = node[key] = node[key] || {};
+        }
+        node[last] = value;
+    }
+
+    static isVector(value, length) {
+        return Array.isArray(value) && value.length === length && value.every(v => typeof v === 'number' && isFinite(v));
+    }
+
+    static isColor(value) {
+        return this.isVector(value, 3) && value.every(v => v >= 0);
+    }
+
+    // Same primitive type, or an array of the same length with matching element types
+    static sameShape(value, reference) {
+        if (Array.isArray(reference)) {
+            return Array.isArray(value) && value.length === reference.length &&
+                value.every((v, i) => this.sameShape(v, reference[i]));
+        }
+        if (typeof reference === 'number') return typeof value === 'number' && isFinite(value);
+        return typeof value === typeof reference;
+    }
+
+    static describe(reference) {
+        if (Array.isArray(reference)) return `an array of ${reference.length} ${typeof reference[0]}s`;
+        return `a ${typeof reference}`;
+    }
+}
@@ -1,14 +1,21 @@
+import { BVH } from './bvh.js';
+import { Random } from './random.js';
+
 export class Scene {
     constructor() {
         this.objects = [];
         this.spheres = []; // WebGL renderer expects this
         this.planes = [];
         this.lights = [];
+        this.meshes = []; // Triangle mesh objects, all sharing one BVH
+        this.meshBVH = null;
+        this.meshVersion = 0; // Bumped whenever the mesh set changes so renderers can re-upload
         this.skyIntensity = 1.0;
         this.fogDensity = 0.0;
         this.fogColor = [0.7, 0.8, 0.9];
         this.groundPattern = 0; // 0=none, 1=checkerboard, 3=fine grid, 4=thick grid, 5=circles
         this.groundPatternScale = 1.0;
+        this.rng = new Random(); // Fog distance sampling (the CPU RayTracer shares and seeds this)
     }
     
     clear() {
@@ -16,6 +23,9 @@ export class Scene {
         this.spheres = [];
         this.planes = [];
         this.lights = [];
+        this.meshes = [];
+        this.meshBVH = null;
+        this.meshVersion++;
     }
     
     addSphere(center, radius, material) {
@@ -27,6 +37,7 @@ export class Scene {
         };
         this.objects.push(sphere);
         this.spheres.push(sphere); // Also add to spheres array for WebGL
+        return sphere;
     }
     
     addVolumetricSphere(center, radius, density, albedo) {
@@ -43,32 +54,60 @@ export class Scene {
         };
         this.objects.push(sphere);
         this.spheres.push(sphere);
+        return sphere;
     }
     
     addBox(center, size, material) {
-        this.objects.push({
+        const box = {
             type: 'box',
             center: center,
             size: size,
             material: material || { type: 'diffuse', albedo: [0.8, 0.8, 0.8] }
-        });
+        };
+        this.objects.push(box);
+        return box;
     }
     
     addPlane(point, normal, material) {
-        this.objects.push({
+        const plane = {
             type: 'plane',
             point: point,
             normal: this.normalize(normal),
             material: material || { type: 'diffuse', albedo: [0.8, 0.8, 0.8] }
-        });
+        };
+        this.objects.push(plane);
+        return plane;
     }
     
     addLight(position, color, intensity) {
-        this.lights.push({
+        const light = {
             position: position,
             color: color || [1, 1, 1],
             intensity: intensity || 1.0
-        });
+        };
+        this.lights.push(light);
+        return light;
+    }
+    
+    addMesh(mesh, material) {
+        const object = {
+            type: 'mesh',
+            mesh: mesh,
+            material: material || { type: 'diffuse', albedo: [0.8, 0.8, 0.8] }
+        };
+        this.objects.push(object);
+        this.meshes.push(object);
+        this.meshBVH = null;
+        this.meshVersion++;
+        return object;
+    }
+    
+    // Built lazily on first use after the mesh set changes
+    getMeshBVH() {
+        if (!this.meshBVH) {
+            this.meshBVH = new BVH(this.meshes.map(m => m.mesh));
+        }
+        return this.meshBVH;
     }
     
     intersect(ray) {
@@ -93,6 +132,19 @@ export class Scene {
             }
         }
         
+        // Meshes go through the BVH instead of the linear loop
+        if (this.meshes.length > 0) {
+            const hit = this.getMeshBVH().intersect(ray, minDist);
+            if (hit) {
+                closestHit = {
+                    t: hit.t,
+                    point: hit.point,
+                    normal: hit.normal,
+                    material: this.meshes[hit.meshIndex].material
+                };
+            }
+        }
+        
         return closestHit;
     }
     
@@ -183,7 +235,7 @@ export class Scene {
         if (this.fogDensity <= 0) return null;
         
         // Sample distance in participating media
-        const t = -Math.log(1 - Math.random()) / this.fogDensity;
+        const t = -Math.log(1 - this.rng.random()) / this.fogDensity;
         
         if (t < tMax) {
             return {
@@ -0,0 +1,194 @@
+// Spectral helpers for the CPU renderer's hero-wavelength mode
+//
+// Wavelengths are in nanometres over the same 400-700 nm band the shader uses;
+// the shader's normalised wavelength t runs the other way (0 = 700 nm red,
+// 1 = 400 nm violet), see toShaderT().
+//
+// Colours enter the spectral domain through rgbToSpectrum (a smooth three-band
+// basis, corrected so every RGB value round-trips exactly) and leave it through
+// the CIE 1931 observer and the XYZ -> linear sRGB matrix, white balanced so a
+// flat spectrum of 1 comes back as RGB (1, 1, 1).
+
+export class Spectrum {
+    static get LAMBDA_MIN() {
+        return 400;
+    }
+
+    static get LAMBDA_MAX() {
+        return 700;
+    }
+
+    // Fraunhofer d line, where catalogue refractive indices are quoted
+    static get LAMBDA_D() {
+        return 587.56;
+    }
+
+    // Sellmeier coefficients (wavelengths in micrometres) for a few common glasses
+    static get GLASSES() {
+        return {
+            'N-BK7': { B: [1.03961212, 0.231792344, 1.01046945], C: [0.00600069867, 0.0200179144, 103.560653] },
+            'F2': { B: [1.34533359, 0.209073176, 0.937357162], C: [0.00997743871, 0.0470450767, 111.886764] },
+            'SF11': { B: [1.73759695, 0.313747346, 1.89878101], C: [0.013188707, 0.0623068142, 155.23629] },
+            'fused-silica': { B: [0.6961663, 0.4079426, 0.8974794], C: [0.00467914826, 0.0135120631, 97.9340025] }
+        };
+    }
+
+    // n(lambda) = A + B / lambda^2, lambda in micrometres
+    static cauchyIOR(lambda, A, B) {
+        const um = lambda / 1000;
+        return A + B / (um * um);
+    }
+
+    // n^2(lambda) = 1 + sum(B_i lambda^2 / (lambda^2 - C_i)), lambda in micrometres
+    static sellmeierIOR(lambda, B, C) {
+        const um2 = (lambda / 1000) * (lambda / 1000);
+        let n2 = 1;
+        for (let i = 0; i < B.length; i++) {
+            n2 += B[i] * um2 / (um2 - C[i]);
+        }
+        return Math.sqrt(n2);
+    }
+
+    // Index of refraction of a glass material at lambda.
+    //
+    // material.dispersion may be a glass name from GLASSES, { sellmeier: { B, C } }
+    // or { cauchy: [A, B] }; the model's deviation from its d-line index is added to
+    // material.ior and scaled by strength (the camera's chromatic aberration amount).
+    // Without dispersion data the shader's linear model is used, so both renderers agree.
+    static glassIOR(material, lambda, strength = 1) {
+        const ior = material.ior || 1.5;
+        const dispersion = typeof material.dispersion === 'string'
+            ? this.GLASSES[material.dispersion]
+            : material.dispersion;
+
+        let model = null;
+        if (dispersion && dispersion.B && dispersion.C) {
+            model = l => this.sellmeierIOR(l, dispersion.B, dispersion.C);
+        } else if (dispersion && dispersion.sellmeier) {
+            model = l => this.sellmeierIOR(l, dispersion.sellmeier.B, dispersion.sellmeier.C);
+        } else if (dispersion && Array.isArray(dispersion.cauchy)) {
+            model = l => this.cauchyIOR(l, dispersion.cauchy[0], dispersion.cauchy[1]);
+        }
+
+        if (!model) {
+            return ior + (this.toShaderT(lambda) - 0.5) * 0.12 * strength;
+        }
+        return ior + (model(lambda) - model(this.LAMBDA_D)) * strength;
+    }
+
+    // Shader wavelength parameter: 0 = 700 nm (red) ... 1 = 400 nm (violet)
+    static toShaderT(lambda) {
+        return (this.LAMBDA_MAX - lambda) / (this.LAMBDA_MAX - this.LAMBDA_MIN);
+    }
+
+    static fromShaderT(t) {
+        return this.LAMBDA_MAX - t * (this.LAMBDA_MAX - this.LAMBDA_MIN);
+    }
+
+    // Hero wavelength plus evenly rotated companions (Wilkie et al. 2014).
+    // u is uniform in [0, 1); returns count wavelengths in nm.
+    static sampleWavelengths(u, count = 3) {
+        const range = this.LAMBDA_MAX - this.LAMBDA_MIN;
+        const wavelengths = [];
+        for (let i = 0; i < count; i++) {
+            wavelengths.push(this.LAMBDA_MIN + ((u + i / count) % 1) * range);
+        }
+        return wavelengths;
+    }
+
+    // CIE 1931 2-degree colour matching functions, multi-lobe Gaussian fit
+    // (Wyman, Sloan and Shirley 2013)
+    static cieXYZ(lambda) {
+        const g = (mu, s1, s2) => {
+            const t = (lambda - mu) / (lambda < mu ? s1 : s2);
+            return Math.exp(-0.5 * t * t);
+        };
+        return [
+            1.056 * g(599.8, 37.9, 31.0) + 0.362 * g(442.0, 16.0, 26.7) - 0.065 * g(501.1, 20.4, 26.2),
+            0.821 * g(568.8, 46.9, 40.5) + 0.286 * g(530.9, 16.3, 31.1),
+            1.217 * g(437.0, 11.8, 36.0) + 0.681 * g(459.0, 26.0, 13.8)
+        ];
+    }
+
+    static xyzToLinearSRGB(xyz) {
+        const [x, y, z] = xyz;
+        return [
+            3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+            0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+        ];
+    }
+
+    // Linear sRGB response of a single wavelength, before white balance
+    static wavelengthRGB(lambda) {
+        return this.xyzToLinearSRGB(this.cieXYZ(lambda));
+    }
+
+    // Smooth blue / green / red bands that sum to 1 at every wavelength
+    static band(lambda) {
+        const smoothstep = (a, b, x) => {
+            const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+            return t * t * (3 - 2 * t);
+        };
+        const red = smoothstep(575, 595, lambda);
+        const blue = 1 - smoothstep(485, 505, lambda);
+        return [red, 1 - red - blue, blue];
+    }
+
+    // Value of the spectrum for an RGB colour at each wavelength (clamped at 0)
+    static rgbToSpectrum(rgb, wavelengths) {
+        const { inverse } = this.calibration();
+        const weights = [0, 1, 2].map(c =>
+            inverse[c][0] * rgb[0] + inverse[c][1] * rgb[1] + inverse[c][2] * rgb[2]);
+        return wavelengths.map(lambda => {
+            const b = this.band(lambda);
+            return Math.max(0, weights[0] * b[0] + weights[1] * b[1] + weights[2] * b[2]);
+        });
+    }
+
+    // Monte Carlo estimate of linear sRGB from spectral samples taken with
+    // sampleWavelengths (uniform density over the band)
+    static spectrumToRGB(values, wavelengths) {
+        const { white } = this.calibration();
+        const rgb = [0, 0, 0];
+        for (let i = 0; i < wavelengths.length; i++) {
+            const response = this.wavelengthRGB(wavelengths[i]);
+            for (let c = 0; c < 3; c++) rgb[c] += values[i] * response[c];
+        }
+        return rgb.map((v, c) => v / (wavelengths.length * white[c]));
+    }
+
+    // Integrated once: the mean response to a flat spectrum (white balance) and the
+    // inverse of the band -> RGB matrix so rgbToSpectrum round-trips exactly
+    static calibration() {
+        if (this.cachedCalibration) return this.cachedCalibration;
+
+        const steps = 600;
+        const white = [0, 0, 0];
+        const bands = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]; // bands[channel][band]
+        for (let i = 0; i < steps; i++) {
+            const lambda = this.LAMBDA_MIN + (i + 0.5) / steps * (this.LAMBDA_MAX - this.LAMBDA_MIN);
+            const response = this.wavelengthRGB(lambda);
+            const b = this.band(lambda);
+            for (let c = 0; c < 3; c++) {
+                white[c] += response[c] / steps;
+                for (let k = 0; k < 3; k++) bands[c][k] += response[c] * b[k] / steps;
+            }
+        }
+
+        const matrix = bands.map((row, c) => row.map(v => v / white[c]));
+        this.cachedCalibration = { white, inverse: this.invert3(matrix) };
+        return this.cachedCalibration;
+    }
+
+    static invert3(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        return [
+            [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+            [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+        ];
+    }
+}
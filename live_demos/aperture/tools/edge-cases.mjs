@@ -0,0 +1,247 @@
+// Feed the file readers and validators inputs that once broke them (corrupt files,
+// hand-edited scene links, values that did not survive a round trip) and check that
+// each one comes back as a clean result or a list of errors, never an exception.
+// Also refuses PLY element counts the file cannot hold, walks a deliberately unbalanced
+// mesh BVH with the shader's traversal limits and unwraps single-row and single-column
+// phase maps.
+//
+// Run: node tools/edge-cases.mjs
+// Exits with status 1 when a case fails.
+
+import { LensPrescription } from '../js/lens-prescription.js';
+import { SceneFile } from '../js/scene-file.js';
+import { Scene } from '../js/scene.js';
+import { Camera } from '../js/camera.js';
+import { MaterialPresets } from '../js/material-presets.js';
+import { BVH } from '../js/bvh.js';
+import { TriangleMesh } from '../js/mesh.js';
+import { HeadlessRender } from '../js/headless-render.js';
+import { ImageIO } from '../js/image-io.js';
+import { PhaseUnwrap } from '../js/phase-unwrap.js';
+
+const cases = [];
+const check = (name, run) => cases.push({ name, run });
+
+// Every library lens comes back unchanged from both export formats
+for (const [key, lens] of Object.entries(LensPrescription.LIBRARY)) {
+    for (const [format, text] of [['text', LensPrescription.format(lens)], ['JSON', LensPrescription.toJSON(lens)]]) {
+        check(`lens ${key} ${format} round trip`, () => {
+            const { prescription, errors } = LensPrescription.parse(text);
+            if (errors.length > 0) return errors.join('; ');
+            const differs = lens.surfaces.findIndex((s, i) => ['radius', 'thickness', 'ior', 'semiAperture']
+                .some(field => s[field] !== prescription.surfaces[i][field]) || !!s.stop !== prescription.surfaces[i].stop);
+            return differs >= 0 ? `surface ${differs + 1} changed` : null;
+        });
+    }
+}
+
+// Malformed surface entries are reported, not thrown
+for (const text of ['{"surfaces":[null]}', '{"surfaces":[1, "a", []]}', 'null', '[null]']) {
+    check(`lens JSON ${text}`, () => {
+        const { errors } = LensPrescription.parse(text);
+        return errors.length > 0 ? null : 'accepted';
+    });
+}
+check('lens validate with a null surface', () => {
+    const errors = LensPrescription.validate({ name: 'x', surfaces: [null] });
+    return errors.length > 0 ? null : 'accepted';
+});
+
+// Cut or corrupted OpenEXR headers are reported, not thrown or looped on
+const exr = ImageIO.encodeEXR({ width: 3, height: 2, pixels: new Float32Array(18).fill(0.5) });
+const exrAttribute = (bytes, name, type) => {
+    const marker = new TextEncoder().encode(`${name}\0${type}\0`);
+    const at = bytes.findIndex((_, i) => marker.every((b, k) => bytes[i + k] === b));
+    return at + marker.length + 4; // Start of the value, after the size
+};
+const exrDecodeFails = bytes => {
+    const { image, errors } = ImageIO.decodeEXR(bytes);
+    return errors.length > 0 && !image ? null : 'accepted';
+};
+check('EXR cut at every length', () => {
+    for (let length = 0; length < exr.length; length++) {
+        const problem = exrDecodeFails(exr.slice(0, length));
+        if (problem) return `${length} of ${exr.length} bytes: ${problem}`;
+    }
+    return ImageIO.decodeEXR(exr).errors.join('; ') || null;
+});
+check('EXR channel list without a terminator', () => {
+    const header = new TextEncoder().encode('channels\0chlist\0');
+    const bytes = new Uint8Array(8 + header.length + 4 + 4);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 20000630, true);
+    view.setUint32(4, 2, true);
+    bytes.set(header, 8);
+    view.setUint32(8 + header.length, 4, true);
+    bytes.set([65, 66, 67, 68], 8 + header.length + 4);
+    return exrDecodeFails(bytes);
+});
+for (const [name, xMax] of [['negative', -5], ['huge', 1 << 30]]) {
+    check(`EXR with a ${name} data window`, () => {
+        const bytes = exr.slice();
+        new DataView(bytes.buffer).setInt32(exrAttribute(bytes, 'dataWindow', 'box2i') + 8, xMax, true);
+        return exrDecodeFails(bytes);
+    });
+}
+
+// A saved default scene loads back; scene documents with bad values are refused with the path at fault
+const applyScene = (edit) => {
+    const data = SceneFile.serialize(new Scene(), new Camera(), MaterialPresets.ALL);
+    edit(data);
+    return SceneFile.apply(JSON.parse(JSON.stringify(data)), new Scene(), new Camera(), MaterialPresets.ALL);
+};
+check('scene default round trip', () => applyScene(() => {}).join('; ') || null);
+
+const BAD_SCENES = {
+    'camera.lens.prescription': data => { data.camera.lens.prescription.surfaces = [null]; },
+    'camera.type': data => { data.camera.type = 'bogus'; },
+    'camera.aperture.shape': data => { data.camera.aperture.shape = 'triangle'; },
+    'camera.aperture.blades': data => { data.camera.aperture.blades = 2.5; },
+    'camera.lens.focalLength': data => { data.camera.lens.focalLength = -50; },
+    'lights[0].intensity': data => { data.lights = [{ position: [0, 5, 0], intensity: 'bright' }]; },
+    'lights[0]': data => { data.lights = [null]; },
+    'objects[0].material.dispersion': data => {
+        data.objects = [{ type: 'sphere', center: [0, 0, 5], radius: 1, material: { type: 'glass', ior: 1.5, dispersion: 'unobtainium' } }];
+    },
+    'objects[0].material.albedo': data => {
+        data.objects = [{ type: 'sphere', center: [0, 0, 5], radius: 1, material: { type: 'diffuse', albedo: [1, -1, 0] } }];
+    }
+};
+for (const [path, edit] of Object.entries(BAD_SCENES)) {
+    check(`scene with a bad ${path}`, () => {
+        const errors = applyScene(edit);
+        return errors.some(error => error.startsWith(`${path}:`) || error.startsWith(`${path}.`))
+            ? null
+            : `expected an error for ${path}, got ${errors.length > 0 ? errors.join('; ') : 'none'}`;
+    });
+}
+
+// PLY headers with negative, huge or body-sized-beyond-the-file counts are reported before
+// anything is allocated or read
+const plyHeader = (format, vertices, faces = 1) => `ply\nformat ${format} 1.0\nelement vertex ${vertices}\n`
+    + 'property float x\nproperty float y\nproperty float z\n'
+    + `element face ${faces}\nproperty list uchar int vertex_indices\nend_header\n`;
+const plyFails = bytes => {
+    const { mesh, errors } = TriangleMesh.parsePLY(bytes);
+    return errors.length > 0 && !mesh ? null : 'accepted';
+};
+const triangleBody = '0 0 0\n1 0 0\n0 1 0\n3 0 1 2\n';
+const encode = text => new TextEncoder().encode(text);
+check('PLY ascii triangle', () => {
+    const { mesh, errors } = TriangleMesh.parsePLY(encode(plyHeader('ascii', 3) + triangleBody));
+    return mesh?.triangleCount === 1 ? null : errors.join('; ');
+});
+for (const count of ['-1', '99999999999', '1e3', 'many', '', '5000000']) {
+    check(`PLY ascii "element vertex ${count}"`, () => plyFails(encode(plyHeader('ascii', count) + triangleBody)));
+    check(`PLY binary "element vertex ${count}"`, () => plyFails(encode(plyHeader('binary_little_endian', count))));
+}
+check('PLY binary face list longer than the file', () => {
+    const body = new Uint8Array(3 * 12 + 1 + 4);
+    body[3 * 12] = 255; // 255 indices declared, one present
+    const header = encode(plyHeader('binary_little_endian', 3));
+    const bytes = new Uint8Array(header.length + body.length);
+    bytes.set(header);
+    bytes.set(body, header.length);
+    return plyFails(bytes);
+});
+
+// Closest hit the way the shader's intersectMeshes walks the tree: a fixed-size stack and
+// one loop pass per node, so a tree deeper than the stack loses hits here as it does there
+const gpuIntersect = (bvh, o, d) => {
+    const invDir = d.map(v => 1 / v);
+    const stack = new Int32Array(BVH.GPU_STACK_SIZE);
+    let stackSize = 1;
+    let closest = { t: Infinity, triangle: -1 };
+    for (let iter = 0; iter < bvh.nodesUsed && stackSize > 0; iter++) {
+        const node = stack[--stackSize];
+        if (bvh.intersectBounds(node, o, invDir) >= closest.t) continue;
+        const leftFirst = bvh.nodeLeftFirst[node];
+        const count = bvh.nodeCount[node];
+        if (count > 0) {
+            for (let i = leftFirst; i < leftFirst + count; i++) {
+                const hit = bvh.intersectTriangle(bvh.order[i], o, d);
+                if (hit && hit.t < closest.t) closest = { t: hit.t, triangle: bvh.order[i] };
+            }
+        } else if (stackSize <= BVH.GPU_STACK_SIZE - 2) {
+            const tLeft = bvh.intersectBounds(leftFirst, o, invDir);
+            const tRight = bvh.intersectBounds(leftFirst + 1, o, invDir);
+            const [near, far] = tLeft <= tRight ? [leftFirst, leftFirst + 1] : [leftFirst + 1, leftFirst];
+            if (Math.max(tLeft, tRight) < closest.t) stack[stackSize++] = far;
+            if (Math.min(tLeft, tRight) < closest.t) stack[stackSize++] = near;
+        }
+    }
+    return closest.triangle >= 0 ? closest.t : null;
+};
+
+// A row of triangles at geometrically spaced x builds an unbalanced tree 32 levels deep,
+// one more than the shader's old 32-entry stack could walk
+check('BVH of an unbalanced mesh on the GPU', () => {
+    const count = 724;
+    const positions = new Float32Array(count * 9);
+    const indices = new Uint32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const x = 1.1 ** i;
+        positions.set([x, 0, 0, x, 1, 0, x, 0, 1], i * 9);
+        indices.set([i * 3, i * 3 + 1, i * 3 + 2], i * 3);
+    }
+    const bvh = new BVH([new TriangleMesh(positions, indices)]);
+    if (bvh.depth + 1 > BVH.GPU_STACK_SIZE) return `depth ${bvh.depth} does not fit the ${BVH.GPU_STACK_SIZE}-entry stack`;
+
+    const d = [1, 0, 0];
+    for (let i = 0; i < count; i++) {
+        const o = [0.99 * 1.1 ** i, 0.2, 0.2];
+        const cpu = bvh.intersect({ origin: o, direction: d })?.t ?? null;
+        const gpu = gpuIntersect(bvh, o, d);
+        if (cpu !== gpu) return `ray ${i}: CPU t ${cpu}, GPU t ${gpu} (depth ${bvh.depth})`;
+    }
+    return null;
+});
+
+// A material type the CPU tracer cannot shade spectrally renders like a diffuse one
+// with its albedo, not with an RGB debug colour read as spectral samples
+check('spectral render of a glossy material', () => {
+    const renderSphere = material => HeadlessRender.render({
+        format: 'aperture-scene',
+        version: 1,
+        objects: [
+            { type: 'plane', point: [0, -1, 0], normal: [0, 1, 0], material: { type: 'diffuse', albedo: [0.5, 0.5, 0.5] } },
+            { type: 'sphere', center: [0, 0, 3], radius: 1, material }
+        ],
+        camera: { type: 'pinhole', position: [0, 0, 0], lookAt: [0, 0, 3], chromaticAberration: { enabled: true, mode: 'spectrum', amount: 1 } }
+    }, { width: 16, height: 16, samples: 2 });
+
+    const glossy = renderSphere({ type: 'glossy', albedo: [0.2, 0.6, 0.9], roughness: 0.1 });
+    const diffuse = renderSphere({ type: 'diffuse', albedo: [0.2, 0.6, 0.9] });
+    if (glossy.errors.length > 0) return glossy.errors.join('; ');
+    const differs = glossy.image.pixels.findIndex((value, i) => value !== diffuse.image.pixels[i]);
+    return differs >= 0 ? `pixel ${Math.floor(differs / 3)} differs from the diffuse render` : null;
+});
+
+// A single row or column is a length-1 DCT along the other axis
+for (const [width, height] of [[16, 1], [1, 16]]) {
+    check(`least-squares unwrap of a ${width}×${height} ramp`, () => {
+        const phase = Float32Array.from({ length: width * height }, (_, i) => PhaseUnwrap.wrap(0.5 * i));
+        const { unwrapped } = PhaseUnwrap.unwrap(phase, width, height, 'least-squares');
+        const off = unwrapped.findIndex((value, i) => !(Math.abs(value - unwrapped[0] - 0.5 * i) < 1e-3));
+        return off >= 0 ? `pixel ${off} is ${unwrapped[off]}` : null;
+    });
+}
+
+let failures = 0;
+for (const { name, run } of cases) {
+    let problem;
+    try {
+        problem = run();
+    } catch (error) {
+        problem = `threw ${error.message}`;
+    }
+    if (problem) {
+        failures++;
+        console.log(`❌ ${name}: ${problem}`);
+    } else {
+        console.log(`✅ ${name}`);
+    }
+}
+
+console.log(failures === 0 ? `✅ ${cases.length} cases pass` : `❌ ${failures} of ${cases.length} cases fail`);
+process.exit(failures === 0 ? 0 : 1);
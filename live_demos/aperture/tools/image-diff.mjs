@@ -0,0 +1,46 @@
+// Compare a render against a reference image (PNG or PFM) and report per-pixel RMSE
+//
+// Run: node tools/image-diff.mjs <image> <reference> [--max-rmse 0.02] [--threshold 0.05] [--diff error.png]
+// Exits with status 1 when the RMSE is above --max-rmse.
+
+import fs from 'fs';
+import { ImageIO } from '../js/image-io.js';
+import { parseArgs } from './args.mjs';
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+if (positional.length !== 2) {
+    console.error('Usage: node tools/image-diff.mjs <image> <reference> [--max-rmse 0.02] [--threshold 0.05] [--diff error.png]');
+    process.exit(2);
+}
+
+const images = [];
+for (const path of positional) {
+    if (!fs.existsSync(path)) {
+        console.error(`❌ ${path}: file not found`);
+        process.exit(2);
+    }
+    const { image, errors } = await ImageIO.decode(path, fs.readFileSync(path));
+    if (!image) {
+        console.error(`❌ ${path}:\n` + errors.join('\n'));
+        process.exit(2);
+    }
+    images.push(image);
+}
+
+const maxRMSE = Number(flags['max-rmse'] ?? 0.02);
+const result = ImageIO.compare(images[0], images[1], Number(flags.threshold ?? 0.05));
+if (result.errors.length > 0) {
+    console.error('❌ ' + result.errors.join('\n'));
+    process.exit(1);
+}
+
+if (flags.diff) {
+    const { width, height } = images[0];
+    fs.writeFileSync(flags.diff, await ImageIO.encodePNG(ImageIO.errorImage(width, height, result.errorMap)));
+}
+
+const passed = result.rmse <= maxRMSE;
+const [r, g, b] = result.channelRMSE.map(e => e.toFixed(5));
+console.log(`${passed ? '✅' : '❌'} RMSE ${result.rmse.toFixed(5)} (R ${r}, G ${g}, B ${b}), ` +
+    `max pixel error ${result.maxError.toFixed(4)}, ${result.badPixels} pixels above ${flags.threshold ?? 0.05}`);
+process.exit(passed ? 0 : 1);
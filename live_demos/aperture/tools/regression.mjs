@@ -0,0 +1,68 @@
+// Render every scene in tools/references and compare it with the stored reference
+// image next to it (<name>.pfm), so changes to shading or sampling show up as RMSE.
+//
+// Run: node tools/regression.mjs [--max-rmse 0.002] [--update] [--diff-dir out/]
+// --update rewrites the references from the current code; review the images first.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HeadlessRender } from '../js/headless-render.js';
+import { SceneFile } from '../js/scene-file.js';
+import { ImageIO } from '../js/image-io.js';
+import { parseArgs } from './args.mjs';
+
+const REFERENCE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'references');
+
+// Fixed settings so the references stay comparable
+const RENDER_OPTIONS = { width: 160, height: 90, samples: 16, seed: 1, maxBounces: 3 };
+
+const { flags } = parseArgs(process.argv.slice(2), ['update']);
+const maxRMSE = Number(flags['max-rmse'] ?? 0.002);
+if (flags['diff-dir']) fs.mkdirSync(flags['diff-dir'], { recursive: true });
+
+let failures = 0;
+const scenes = fs.readdirSync(REFERENCE_DIR).filter(file => file.endsWith('.json')).sort();
+for (const file of scenes) {
+    const name = path.basename(file, '.json');
+    const referencePath = path.join(REFERENCE_DIR, `${name}.pfm`);
+
+    const { data, errors: parseErrors } = SceneFile.parse(fs.readFileSync(path.join(REFERENCE_DIR, file), 'utf8'));
+    const { image, errors } = parseErrors.length > 0 ? { image: null, errors: parseErrors } : HeadlessRender.render(data, RENDER_OPTIONS);
+    if (!image) {
+        console.error(`❌ ${name}: ` + errors.join('; '));
+        failures++;
+        continue;
+    }
+
+    if (flags.update) {
+        fs.writeFileSync(referencePath, ImageIO.encodePFM(image));
+        console.log(`💾 ${name}: reference updated`);
+        continue;
+    }
+
+    if (!fs.existsSync(referencePath)) {
+        console.error(`❌ ${name}: no reference image (run with --update to create it)`);
+        failures++;
+        continue;
+    }
+
+    const { image: reference } = ImageIO.decodePFM(fs.readFileSync(referencePath));
+    const result = reference ? ImageIO.compare(image, reference) : { rmse: Infinity, errors: ['unreadable reference'] };
+    const passed = result.errors.length === 0 && result.rmse <= maxRMSE;
+    if (!passed) failures++;
+
+    if (flags['diff-dir'] && result.errorMap) {
+        const diffPath = path.join(flags['diff-dir'], `${name}-diff.png`);
+        fs.writeFileSync(diffPath, await ImageIO.encodePNG(ImageIO.errorImage(image.width, image.height, result.errorMap)));
+        fs.writeFileSync(path.join(flags['diff-dir'], `${name}.png`), await ImageIO.encodePNG(image));
+    }
+
+    const detail = result.errors.length > 0 ? result.errors.join('; ') : `RMSE ${result.rmse.toFixed(5)}, ${result.badPixels} pixels above 0.05`;
+    console.log(`${passed ? '✅' : '❌'} ${name}: ${detail}`);
+}
+
+if (!flags.update) {
+    console.log(failures === 0 ? `✅ ${scenes.length} scenes match` : `❌ ${failures} of ${scenes.length} scenes differ`);
+}
+process.exit(failures === 0 ? 0 : 1);
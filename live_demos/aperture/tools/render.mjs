@@ -0,0 +1,42 @@
+// Render a saved scene file with the CPU ray tracer, no browser needed
+//
+// Run: node tools/render.mjs <scene.json> <output.png|output.pfm|output.exr>
+//          [--width 160] [--height 90] [--samples 16] [--seed 1] [--bounces 3] [--vpt]
+
+import fs from 'fs';
+import { HeadlessRender } from '../js/headless-render.js';
+import { SceneFile } from '../js/scene-file.js';
+import { ImageIO } from '../js/image-io.js';
+import { parseArgs } from './args.mjs';
+
+const { positional, flags } = parseArgs(process.argv.slice(2), ['vpt']);
+if (positional.length !== 2) {
+    console.error('Usage: node tools/render.mjs <scene.json> <output.png|output.pfm|output.exr> [--width N] [--height N] [--samples N] [--seed N] [--bounces N] [--vpt]');
+    process.exit(2);
+}
+
+const [scenePath, outputPath] = positional;
+if (!fs.existsSync(scenePath)) {
+    console.error(`❌ ${scenePath}: file not found`);
+    process.exit(1);
+}
+const { data, errors: parseErrors } = SceneFile.parse(fs.readFileSync(scenePath, 'utf8'));
+if (parseErrors.length > 0) {
+    console.error(`❌ ${scenePath}:\n` + parseErrors.join('\n'));
+    process.exit(1);
+}
+
+const options = {};
+for (const [flag, key] of [['width', 'width'], ['height', 'height'], ['samples', 'samples'], ['seed', 'seed'], ['bounces', 'maxBounces']]) {
+    if (flags[flag] !== undefined) options[key] = Number(flags[flag]);
+}
+if (flags.vpt) options.enableVPT = true;
+
+const { image, errors, stats } = HeadlessRender.render(data, options);
+if (!image) {
+    console.error(`❌ ${scenePath}:\n` + errors.join('\n'));
+    process.exit(1);
+}
+
+fs.writeFileSync(outputPath, await ImageIO.encode(outputPath, image));
+console.log(`📷 ${outputPath}: ${image.width}x${image.height}, ${stats.rays} camera rays in ${(stats.milliseconds / 1000).toFixed(2)}s`);
@@ -3,18 +3,19 @@
  * Integrates all refactored modules
  */
 
-import { COLORS, NODE, ANIMATION, ALGORITHMS, VISUAL_STYLES, FLOYD_MODES } from './core/Constants.js';
+import { COLORS, NODE, EDGE, ANIMATION, ALGORITHMS, VISUAL_STYLES, FLOYD_MODES, EDGE_CLASSES } from './core/Constants.js';
 import { calculateDistance, isPointInCircle } from './core/Utils.js';
 import { Graph } from './core/Graph.js';
-import { FloydWarshall } from './algorithms/FloydWarshall.js';
-import { Dijkstra } from './algorithms/Dijkstra.js';
-import { BellmanFord } from './algorithms/BellmanFord.js';
-import { SPFA } from './algorithms/SPFA.js';
-import { Prim } from './algorithms/Prim.js';
-import { PrimUnoptimized } from './algorithms/PrimUnoptimized.js';
-import { Kruskal } from './algorithms/Kruskal.js';
+import { createAlgorithms } from './algorithms/AlgorithmRegistry.js';
 import { ParticleSystem } from './visualization/ParticleSystem.js';
 import { ModeManager } from './visualization/modes/ModeManager.js';
+import { GraphIO } from './io/GraphIO.js';
+import { GraphGenerators } from './generators/GraphGenerators.js';
+import { createLayouts } from './layout/LayoutRegistry.js';
+import { LayoutTransition } from './layout/LayoutTransition.js';
+import { GraphEditor } from './editor/GraphEditor.js';
+import { GraphModel } from './editor/GraphModel.js';
+import { QuizSession } from './quiz/QuizSession.js';
 
 export class GraphVisualizer {
     constructor(canvasId) {
@@ -38,15 +39,25 @@ export class GraphVisualizer {
         this.modeManager.setMode(FLOYD_MODES.PATH_TRACKING);
         
         // Algorithm registry
-        this.algorithms = {
-            [ALGORITHMS.FLOYD_WARSHALL]: new FloydWarshall(),
-            [ALGORITHMS.DIJKSTRA]: new Dijkstra(),
-            [ALGORITHMS.BELLMAN_FORD]: new BellmanFord(),
-            [ALGORITHMS.SPFA]: new SPFA(),
-            [ALGORITHMS.PRIM]: new Prim(),
-            [ALGORITHMS.PRIM_UNOPTIMIZED]: new PrimUnoptimized(),
-            [ALGORITHMS.KRUSKAL]: new Kruskal()
-        };
+        this.algorithms = createAlgorithms();
+        
+        // Pseudocode lines to stop at, per algorithm key
+        this.breakpoints = new Map();
+        
+        // Quiz mode: stepping stops before each decision step until its question is answered
+        this.quizMode = false;
+        this.quiz = null;
+        
+        // Layouts, and the move to one that is under way
+        this.layouts = createLayouts();
+        this.layoutTransition = null;
+        
+        // Edit mode: adding, deleting and moving nodes and edges, with undo/redo
+        this.editor = new GraphEditor(this.canvas, new GraphModel(() => this.graph), {
+            nodeRadius: NODE.RADIUS,
+            labelOffsetY: -EDGE.LABEL_OFFSET,
+            onEdit: (command) => this.handleGraphEdit(command)
+        });
         
         // Animation state
         this.animationState = {
@@ -69,6 +80,9 @@ export class GraphVisualizer {
         this.hoveredNode = null;
         this.selectedNode = null;
         
+        // Nodes ringed as disputed (comparison bench)
+        this.flaggedNodes = [];
+        
         // Setup
         this.setupEventListeners();
         this.resizeCanvas();
@@ -84,7 +98,18 @@ export class GraphVisualizer {
         this.canvas.addEventListener('click', (e) => this.handleClick(e));
         
         // Window events
-        window.addEventListener('resize', () => this.resizeCanvas());
+        this.handleResize = () => this.resizeCanvas();
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * Stop the render loop and window listeners, the editor's too (for visualizers created and thrown away, like bench panes)
+     */
+    dispose() {
+        cancelAnimationFrame(this.animationFrame);
+        window.removeEventListener('resize', this.handleResize);
+        this.editor.dispose();
+        this.animationState.isPlaying = false;
     }
 
     /**
@@ -152,23 +177,147 @@ export class GraphVisualizer {
      * Load graph data
      */
     loadGraph(graphData) {
-        this.graph = new Graph();
-        
-        // Add nodes
-        graphData.nodes.forEach((node, index) => {
-            this.graph.addNode(index, node.x, node.y);
+        this.graph = Graph.fromData(graphData);
+        this.layoutTransition = null;
+        this.editor.reset();
+        this.render();
+    }
+
+    /**
+     * Turn edit mode on or off
+     */
+    setEditMode(enabled) {
+        if (enabled) {
+            this.layoutTransition = null; // Edits move nodes the transition would overwrite
+            this.editor.enable();
+        } else {
+            this.editor.disable();
+        }
+        this.render();
+    }
+
+    /**
+     * React to an edit, undo or redo. Steps computed on the old graph name nodes and
+     * edges by index, which an edit may have shifted, so a run in progress is dropped;
+     * moves only matter to A*, whose heuristic reads node positions
+     */
+    handleGraphEdit(command) {
+        this.layoutTransition = null;
+        if (command.changesGraph) {
+            this.hoveredNode = null;
+            this.selectedNode = null;
+        }
+
+        const invalidates = command.changesGraph || this.selectedAlgorithm === ALGORITHMS.A_STAR;
+        if (invalidates && this.animationState.steps.length > 0) {
+            this.reset();
+            this.editor.setStatus(`${this.editor.status} (algorithm stopped: start it again on the edited graph)`);
+        }
+        this.render();
+    }
+
+    /**
+     * Load a DIMACS, GraphML, DOT or edge-list file; nodes without coordinates are laid out automatically
+     * @param {string} text - File contents
+     * @param {Object} options - { filename, format, directed } (see GraphIO.parse)
+     * @throws {GraphParseError} With line-numbered errors when the file is invalid
+     */
+    importGraph(text, options = {}) {
+        const graphData = GraphIO.parse(text, {
+            ...options,
+            width: this.canvas.width,
+            height: this.canvas.height
         });
         
-        // Add edges
-        graphData.edges.forEach(edge => {
-            this.graph.addEdge(edge.from, edge.to, edge.weight);
+        this.reset();
+        this.loadGraph(graphData);
+        return graphData;
+    }
+
+    /**
+     * Load a seeded random graph sized to the canvas
+     * @param {string} generatorKey - A GENERATORS value
+     * @param {Object} options - Generator options and seed (see GraphGenerators.generate)
+     * @returns {{graph: Object, seed: number}} The graph data (with planted for adversarial
+     *          generators) and the seed that rebuilds it
+     * @throws {Error} For an unknown generator or invalid options
+     */
+    generateGraph(generatorKey, options = {}) {
+        const result = GraphGenerators.generate(generatorKey, {
+            ...options,
+            width: this.canvas.width,
+            height: this.canvas.height
         });
+
+        this.reset();
+        this.loadGraph(result.graph);
+        return result;
+    }
+
+    /**
+     * Move the nodes to a layout, easing them over from where they are
+     * @param {string} layoutKey - A LAYOUTS value
+     * @param {boolean} animate - False to jump straight there
+     * @throws {Error} For an unknown layout or one that does not apply (e.g. bipartite with an odd cycle)
+     */
+    applyLayout(layoutKey, animate = true) {
+        const layout = this.layouts[layoutKey];
+        if (!layout) {
+            throw new Error(`Unknown layout "${layoutKey}"`);
+        }
+        if (this.graph.nodes.length === 0) {
+            return;
+        }
         
-        this.graph.directed = graphData.directed || false;
-        
+        const targets = layout.compute(this.graph, this.canvas.width, this.canvas.height);
+        this.particles.clearAll();
+        if (animate) {
+            this.layoutTransition = new LayoutTransition(this.graph.nodes, targets, performance.now());
+        } else {
+            this.layoutTransition = null;
+            this.moveNodes(targets);
+        }
         this.render();
     }
 
+    /**
+     * Set every node position
+     */
+    moveNodes(positions) {
+        positions.forEach((position, i) => {
+            this.graph.nodes[i].x = position.x;
+            this.graph.nodes[i].y = position.y;
+        });
+    }
+
+    /**
+     * Advance a running layout transition to the current frame
+     */
+    updateLayoutTransition() {
+        if (!this.layoutTransition) {
+            return;
+        }
+        
+        const now = performance.now();
+        this.moveNodes(this.layoutTransition.positionsAt(now));
+        if (this.layoutTransition.isFinished(now)) {
+            this.layoutTransition = null;
+        }
+    }
+
+    /**
+     * Serialize the current graph
+     * @param {string} format - Key of FORMATS in io/GraphIO.js
+     * @returns {{text: string, extension: string, mime: string}}
+     */
+    exportGraph(format) {
+        return GraphIO.serialize({
+            directed: this.graph.directed,
+            nodes: this.graph.nodes.map(node => ({ x: node.x, y: node.y, label: node.label })),
+            edges: this.graph.edges.map(({ from, to, weight }) => ({ from, to, weight }))
+        }, format);
+    }
+
     /**
      * Start algorithm execution
      */
@@ -193,9 +342,21 @@ export class GraphVisualizer {
             this.animationState.steps.push(step);
         }
         
+        this.loadSteps(algorithmName, this.animationState.steps);
+    }
+
+    /**
+     * Show steps recorded elsewhere (e.g. by the comparison bench) from the first one
+     */
+    loadSteps(algorithmName, steps) {
+        const algorithm = this.algorithms[algorithmName];
+        this.selectedAlgorithm = algorithmName;
+        this.animationState.steps = steps;
+        
         // Reset for playback
         this.animationState.currentStep = 0;
         this.animationState.isPlaying = false;
+        this.quiz = this.quizMode ? new QuizSession(algorithm, this.animationState.steps) : null;
         
         // Process first step
         if (this.animationState.steps.length > 0) {
@@ -229,6 +390,12 @@ export class GraphVisualizer {
             // Other algorithms (Dijkstra, Bellman-Ford, SPFA)
             this.processOtherAlgorithmStep(step, speedMultiplier);
         }
+        
+        // Johnson: rows finished so far, in Floyd's matrix format for the hover paths
+        if (this.selectedAlgorithm === ALGORITHMS.JOHNSON) {
+            this.animationState.floydNext = step.next || null;
+            this.animationState.floydDist = step.dist || null;
+        }
     }
 
     /**
@@ -302,6 +469,22 @@ export class GraphVisualizer {
             }
         }
 
+        // Queue entry added or lowered (eager Prim)
+        if ((type === 'pq_add' || type === 'pq_update') && step.neighbor !== undefined) {
+            const node = this.graph.nodes[step.neighbor];
+            if (node) {
+                this.particles.createPulse(node.x, node.y, COLORS.NEIGHBOR, 0.6, speedMultiplier);
+            }
+        }
+
+        // Edge turned away without touching the queue (eager Prim)
+        if (type === 'edge_reject' && step.neighbor !== undefined) {
+            const node = this.graph.nodes[step.neighbor];
+            if (node) {
+                this.particles.createPulse(node.x, node.y, COLORS.FLOYD_REJECTED, 0.6, speedMultiplier);
+            }
+        }
+
         // Add to MST (Prim)
         if (type === 'add_to_mst' && step.current !== undefined) {
             const node = this.graph.nodes[step.current];
@@ -330,6 +513,55 @@ export class GraphVisualizer {
             }
         }
 
+        // DFS discovery, topological output
+        if ((type === 'discover' || type === 'emit') && step.current !== undefined) {
+            const node = this.graph.nodes[step.current];
+            if (node) {
+                this.particles.createPulse(node.x, node.y, COLORS.VISITED, 1.0, speedMultiplier);
+            }
+        }
+
+        // SCC found (Tarjan, Kosaraju): pulse every member in its component color
+        if (type === 'component' && step.componentNodes) {
+            for (const member of step.componentNodes) {
+                const node = this.graph.nodes[member];
+                if (node) {
+                    this.particles.createPulse(node.x, node.y, step.setColors[step.current], 1.2, speedMultiplier);
+                }
+            }
+        }
+
+        // Bipartite check: newly colored node in its side's color
+        if (type === 'color' && step.side) {
+            const colored = step.neighbor ?? step.current;
+            const node = this.graph.nodes[colored];
+            if (node) {
+                const color = step.side[colored] === 0 ? COLORS.LEFT_SIDE : COLORS.RIGHT_SIDE;
+                this.particles.createPulse(node.x, node.y, color, 1.0, speedMultiplier);
+            }
+        }
+
+        // Matching: every vertex of the flipped augmenting path
+        if (type === 'augment' && step.mate && step.augmentingPath) {
+            for (const member of step.augmentingPath) {
+                const node = this.graph.nodes[member];
+                if (node) {
+                    this.particles.createPulse(node.x, node.y, COLORS.AUGMENTING_PATH, 1.0, speedMultiplier);
+                }
+            }
+        }
+
+        // Cycle found (topological sort, odd cycle of the bipartite check)
+        const cycle = step.cycle || step.oddCycle;
+        if (type === 'cycle' && cycle) {
+            for (const member of cycle) {
+                const node = this.graph.nodes[member];
+                if (node) {
+                    this.particles.createPulse(node.x, node.y, COLORS.CYCLE, 1.0, speedMultiplier);
+                }
+            }
+        }
+
         // Initialization
         if (type === 'init' && step.current !== undefined) {
             const node = this.graph.nodes[step.current];
@@ -392,9 +624,14 @@ export class GraphVisualizer {
     }
 
     /**
-     * Step forward
+     * Step forward (not past an unanswered quiz question)
      */
     stepForward() {
+        if (this.getPendingQuestion()) {
+            this.animationState.isPlaying = false;
+            return;
+        }
+        
         if (this.animationState.currentStep < this.animationState.steps.length - 1) {
             this.animationState.currentStep++;
             this.processStep(this.animationState.steps[this.animationState.currentStep]);
@@ -414,7 +651,105 @@ export class GraphVisualizer {
     }
 
     /**
-     * Play next step (for animation)
+     * Jump straight to a step
+     */
+    goToStep(index) {
+        const target = Math.max(0, Math.min(index, this.animationState.steps.length - 1));
+        if (target !== this.animationState.currentStep) {
+            this.animationState.currentStep = target;
+            this.processStep(this.animationState.steps[target]);
+            this.render();
+        }
+    }
+
+    /**
+     * Step forward until a step on a breakpoint line (or the last step)
+     */
+    continueForward() {
+        do {
+            this.stepForward();
+        } while (this.animationState.currentStep < this.animationState.steps.length - 1 &&
+                 !this.isAtBreakpoint() && !this.getPendingQuestion());
+    }
+
+    /**
+     * Step backward until a step on a breakpoint line (or the first step)
+     */
+    continueBackward() {
+        do {
+            this.stepBackward();
+        } while (this.animationState.currentStep > 0 && !this.isAtBreakpoint());
+    }
+
+    /**
+     * Breakpoint lines of an algorithm (the running one by default)
+     */
+    getBreakpoints(algorithmName = this.selectedAlgorithm) {
+        if (!this.breakpoints.has(algorithmName)) {
+            this.breakpoints.set(algorithmName, new Set());
+        }
+        return this.breakpoints.get(algorithmName);
+    }
+
+    /**
+     * Add or remove a breakpoint on a pseudocode line
+     */
+    toggleBreakpoint(line, algorithmName = this.selectedAlgorithm) {
+        const breakpoints = this.getBreakpoints(algorithmName);
+        if (breakpoints.has(line)) {
+            breakpoints.delete(line);
+        } else {
+            breakpoints.add(line);
+        }
+    }
+
+    /**
+     * Pseudocode line of the current step, or null
+     */
+    getCurrentLine() {
+        const algorithm = this.algorithms[this.selectedAlgorithm];
+        const step = this.animationState.steps[this.animationState.currentStep];
+        return algorithm ? algorithm.getLineForStep(step) : null;
+    }
+
+    /**
+     * Whether the current step sits on a breakpoint line
+     */
+    isAtBreakpoint() {
+        const line = this.getCurrentLine();
+        return line !== null && this.getBreakpoints().has(line);
+    }
+
+    /**
+     * Turn quiz mode on or off; a run in progress is quizzed from its current step
+     */
+    setQuizMode(enabled) {
+        this.quizMode = enabled;
+        const algorithm = this.algorithms[this.selectedAlgorithm];
+        this.quiz = enabled && algorithm && this.animationState.steps.length > 0
+            ? new QuizSession(algorithm, this.animationState.steps)
+            : null;
+    }
+
+    /**
+     * Question the user must answer before the next step, or null
+     */
+    getPendingQuestion() {
+        return this.quiz ? this.quiz.getPendingQuestion(this.animationState.currentStep) : null;
+    }
+
+    /**
+     * Answer the pending question and, right or wrong, show the step it was about
+     * @returns {Object} Result from QuizSession.answer()
+     */
+    answerQuestion(value) {
+        const result = this.quiz.answer(this.animationState.currentStep, value);
+        this.stepForward();
+        return result;
+    }
+
+    /**
+     * Play next step (for animation), pausing at breakpoints
      */
     playNextStep() {
         if (!this.animationState.isPlaying) return;
@@ -422,6 +757,11 @@ export class GraphVisualizer {
         if (this.animationState.currentStep < this.animationState.steps.length - 1) {
             this.stepForward();
             
+            if (this.isAtBreakpoint()) {
+                this.animationState.isPlaying = false;
+                return;
+            }
+            
             const delay = 1000 / this.animationState.speed;
             setTimeout(() => this.playNextStep(), delay);
         } else {
@@ -465,9 +805,10 @@ export class GraphVisualizer {
      */
     startRenderLoop() {
         const animate = () => {
+            this.updateLayoutTransition();
             this.particles.update(0.016);
             this.render();
-            requestAnimationFrame(animate);
+            this.animationFrame = requestAnimationFrame(animate);
         };
         animate();
     }
@@ -481,13 +822,13 @@ export class GraphVisualizer {
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Draw edges
-        this.graph.edges.forEach(edge => {
-            this.drawEdge(edge);
+        this.graph.edges.forEach((edge, index) => {
+            this.drawEdge(edge, index);
         });
         
         // Draw hover paths (if applicable)
         if (this.hoveredNode !== null && 
-            this.selectedAlgorithm === ALGORITHMS.FLOYD_WARSHALL &&
+            this.hasAllPairsPaths() &&
             this.modeManager.supportsHoverPaths()) {
             
             const context = {
@@ -506,12 +847,50 @@ export class GraphVisualizer {
         this.graph.nodes.forEach((node, index) => {
             this.drawNode(node, index);
         });
+        
+        // Disputed nodes
+        this.flaggedNodes.forEach(index => this.drawFlag(this.graph.nodes[index]));
+        
+        // Selection and gestures in edit mode
+        this.editor.drawOverlay(this.ctx);
+    }
+
+    /**
+     * Ring the nodes whose result is disputed
+     */
+    setFlaggedNodes(nodes) {
+        this.flaggedNodes = nodes;
+        this.render();
+    }
+
+    /**
+     * Dashed ring around a disputed node
+     */
+    drawFlag(node) {
+        if (!node) return;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = COLORS.DISAGREEMENT;
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(node.x, node.y, NODE.RADIUS + 8, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Check whether the selected algorithm produces all-pairs dist/next matrices
+     */
+    hasAllPairsPaths() {
+        return this.selectedAlgorithm === ALGORITHMS.FLOYD_WARSHALL ||
+               this.selectedAlgorithm === ALGORITHMS.JOHNSON;
     }
 
     /**
      * Draw edge
      */
-    drawEdge(edge) {
+    drawEdge(edge, index) {
         const fromNode = this.graph.nodes[edge.from];
         const toNode = this.graph.nodes[edge.to];
         
@@ -520,10 +899,18 @@ export class GraphVisualizer {
         // Get current step for MST highlighting
         const currentStep = this.animationState.steps[this.animationState.currentStep];
         
+        // Max-flow algorithms draw flow/capacity instead of weights
+        if (currentStep?.flows) {
+            this.drawFlowEdge(edge, index, currentStep);
+            return;
+        }
+        
         // Check if edge is in MST (for Prim/Kruskal)
         let isMSTEdge = false;
         let isRejectedEdge = false;
         let isCurrentEdge = false;
+        let isPathEdge = false;
+        let isCycleEdge = false;
         
         if (currentStep && currentStep.mstEdges) {
             isMSTEdge = currentStep.mstEdges.some(mstEdge => 
@@ -542,15 +929,55 @@ export class GraphVisualizer {
             }
         }
         
+        // Found path (A*, bidirectional Dijkstra)
+        if (currentStep && currentStep.path) {
+            const path = currentStep.path;
+            for (let i = 0; i + 1 < path.length && !isPathEdge; i++) {
+                isPathEdge = (path[i] === edge.from && path[i + 1] === edge.to) ||
+                             (!this.graph.directed && path[i] === edge.to && path[i + 1] === edge.from);
+            }
+        }
+        
+        // Cycle reported by a topological sort (closed: last node links back to the first);
+        // odd cycles ignore edge direction
+        const cycle = currentStep?.cycle || currentStep?.oddCycle;
+        if (cycle) {
+            const anyDirection = !this.graph.directed || !currentStep.cycle;
+            isCycleEdge = cycle.some((node, i) => {
+                const next = cycle[(i + 1) % cycle.length];
+                return (node === edge.from && next === edge.to) ||
+                       (anyDirection && node === edge.to && next === edge.from);
+            });
+        }
+        
+        // DFS/BFS edge class, or edges Kahn's algorithm has removed
+        const edgeClass = currentStep?.edgeClasses?.[index] ?? null;
+        const isRemovedEdge = currentStep?.removedEdges?.[index] === true;
+        
         if (currentStep && currentStep.edge) {
             isCurrentEdge = (currentStep.edge.from === edge.from && currentStep.edge.to === edge.to) ||
                            (currentStep.edge.from === edge.to && currentStep.edge.to === edge.from);
         }
         
+        // Matched edges and alternating paths
+        const matchingStyle = this.getMatchingEdgeStyle(edge, currentStep);
+        
         // Set edge style
-        if (isMSTEdge) {
+        if (matchingStyle) {
+            this.ctx.strokeStyle = matchingStyle.color;
+            this.ctx.lineWidth = matchingStyle.width;
+            if (matchingStyle.dashed) {
+                this.ctx.setLineDash(EDGE.DASH_PATTERN);
+            }
+        } else if (isMSTEdge) {
             this.ctx.strokeStyle = COLORS.EDGE_MST;
             this.ctx.lineWidth = 4;
+        } else if (isPathEdge) {
+            this.ctx.strokeStyle = COLORS.PATH_FOUND;
+            this.ctx.lineWidth = 4;
+        } else if (isCycleEdge) {
+            this.ctx.strokeStyle = COLORS.CYCLE;
+            this.ctx.lineWidth = 4;
         } else if (isRejectedEdge) {
             this.ctx.strokeStyle = COLORS.FLOYD_REJECTED;
             this.ctx.lineWidth = 2;
@@ -558,6 +985,16 @@ export class GraphVisualizer {
         } else if (isCurrentEdge) {
             this.ctx.strokeStyle = COLORS.CURRENT;
             this.ctx.lineWidth = 3;
+        } else if (edgeClass !== null) {
+            this.ctx.strokeStyle = this.getEdgeClassColor(edgeClass);
+            this.ctx.lineWidth = edgeClass === EDGE_CLASSES.TREE ? 4 : 2;
+            if (edgeClass !== EDGE_CLASSES.TREE) {
+                this.ctx.setLineDash(EDGE.DASH_PATTERN);
+            }
+        } else if (isRemovedEdge) {
+            this.ctx.strokeStyle = COLORS.EDGE_DEFAULT;
+            this.ctx.lineWidth = 1;
+            this.ctx.globalAlpha = 0.25;
         } else {
             this.ctx.strokeStyle = COLORS.EDGE_DEFAULT;
             this.ctx.lineWidth = 2;
@@ -567,6 +1004,7 @@ export class GraphVisualizer {
         this.ctx.moveTo(fromNode.x, fromNode.y);
         this.ctx.lineTo(toNode.x, toNode.y);
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
         
         this.ctx.globalAlpha = 1.0;
         
@@ -578,7 +1016,127 @@ export class GraphVisualizer {
         this.ctx.font = isMSTEdge ? 'bold 14px Arial' : '14px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(edge.weight, midX, midY - 10);
+        // Johnson: original → reweighted weight once the potentials are known
+        const reweighted = currentStep?.reweightedWeights?.[index];
+        const label = reweighted !== undefined && reweighted !== edge.weight
+            ? `${edge.weight} → ${Number(reweighted.toFixed(2))}`
+            : edge.weight;
+        this.ctx.fillText(label, midX, midY - 10);
+    }
+
+    /**
+     * Matching steps: matched edges thick, the alternating path being searched (blue)
+     * or just flipped (green) on top, with its unmatched edges dashed
+     * Compares endpoints, so both copies of a two-way undirected edge light up
+     * @returns {{color: string, width: number, dashed: boolean}|null} null for ordinary edges
+     */
+    getMatchingEdgeStyle(edge, step) {
+        if (!step?.mate) return null;
+        
+        const onPath = path => path?.some((node, i) => i + 1 < path.length &&
+            ((node === edge.from && path[i + 1] === edge.to) || (node === edge.to && path[i + 1] === edge.from)));
+        const isMatched = edge.from !== edge.to && step.mate[edge.from] === edge.to;
+        
+        if (onPath(step.augmentingPath)) {
+            return { color: COLORS.AUGMENTING_PATH, width: 5, dashed: !isMatched };
+        }
+        if (onPath(step.alternatingPath)) {
+            return { color: COLORS.ALTERNATING_PATH, width: 4, dashed: !isMatched };
+        }
+        if (isMatched) {
+            return { color: COLORS.MATCHED_EDGE, width: 5, dashed: false };
+        }
+        return null;
+    }
+
+    /**
+     * Stroke color for a DFS/BFS edge class
+     */
+    getEdgeClassColor(edgeClass) {
+        switch (edgeClass) {
+            case EDGE_CLASSES.TREE: return COLORS.TREE_EDGE;
+            case EDGE_CLASSES.BACK: return COLORS.BACK_EDGE;
+            case EDGE_CLASSES.FORWARD: return COLORS.FORWARD_EDGE;
+            case EDGE_CLASSES.CROSS: return COLORS.CROSS_EDGE;
+            default: return COLORS.EDGE_DEFAULT;
+        }
+    }
+
+    /**
+     * Draw edge with its flow: flow/capacity label, thickness by utilisation,
+     * augmenting path and cut highlights, and the residual back-edge beside it
+     */
+    drawFlowEdge(edge, index, step) {
+        const fromNode = this.graph.nodes[edge.from];
+        const toNode = this.graph.nodes[edge.to];
+        const flow = step.flows[index];
+        const capacity = edge.weight;
+        const utilisation = capacity > 0 ? Math.abs(flow) / capacity : 0;
+        
+        const isCutEdge = step.cut?.edges.includes(index);
+        const isPathEdge = step.augmentingArcs?.some(arc => arc.edgeIndex === index);
+        const isCurrentArc = step.residualArc?.edgeIndex === index;
+        
+        if (isCutEdge) {
+            this.ctx.strokeStyle = COLORS.CUT_EDGE;
+            this.ctx.lineWidth = 4;
+            this.ctx.setLineDash(EDGE.DASH_PATTERN);
+        } else if (isPathEdge || isCurrentArc) {
+            this.ctx.strokeStyle = isPathEdge ? COLORS.AUGMENTING_PATH : COLORS.CURRENT;
+            this.ctx.lineWidth = 4;
+        } else if (utilisation >= 1) {
+            this.ctx.strokeStyle = COLORS.FLOW_SATURATED;
+            this.ctx.lineWidth = 4;
+        } else if (flow !== 0) {
+            this.ctx.strokeStyle = COLORS.FLOW_EDGE;
+            this.ctx.lineWidth = 2 + 3 * utilisation;
+        } else {
+            this.ctx.strokeStyle = COLORS.EDGE_DEFAULT;
+            this.ctx.lineWidth = 2;
+        }
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(fromNode.x, fromNode.y);
+        this.ctx.lineTo(toNode.x, toNode.y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        // Residual back-edges: thin dashed line offset to the side, pointing back
+        const length = Math.hypot(toNode.x - fromNode.x, toNode.y - fromNode.y) || 1;
+        const offsetX = (-(toNode.y - fromNode.y) / length) * 8;
+        const offsetY = ((toNode.x - fromNode.x) / length) * 8;
+        
+        for (const residual of step.residualEdges) {
+            if (residual.edgeIndex !== index || !residual.isBackEdge) continue;
+            
+            const start = this.graph.nodes[residual.from];
+            const end = this.graph.nodes[residual.to];
+            this.ctx.strokeStyle = COLORS.RESIDUAL_BACK;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x + offsetX, start.y + offsetY);
+            this.ctx.lineTo(end.x + offsetX, end.y + offsetY);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            this.ctx.fillStyle = COLORS.RESIDUAL_BACK;
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(`↩${Number(residual.residual.toFixed(2))}`,
+                (start.x + end.x) / 2 + offsetX * 2.5, (start.y + end.y) / 2 + offsetY * 2.5);
+        }
+        
+        // flow/capacity label
+        const midX = (fromNode.x + toNode.x) / 2;
+        const midY = (fromNode.y + toNode.y) / 2;
+        
+        this.ctx.fillStyle = utilisation >= 1 ? COLORS.FLOW_SATURATED : COLORS.TEXT;
+        this.ctx.font = flow !== 0 ? 'bold 14px Arial' : '14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`${Number(Math.abs(flow).toFixed(2))}/${capacity}`, midX, midY - 10);
     }
 
     /**
@@ -630,6 +1188,40 @@ export class GraphVisualizer {
                 fillColor = COLORS.VISITED;
             }
             
+            // Max flow: S/T partition of the minimum cut
+            if (currentStep?.cut) {
+                fillColor = currentStep.cut.sourceSide[index] ? COLORS.CUT_SOURCE_SIDE : COLORS.CUT_SINK_SIDE;
+            }
+            
+            // DFS: gray (on the stack) and black (finished) nodes
+            if (fillColor === COLORS.VISITED && currentStep?.onStack) {
+                fillColor = currentStep.onStack[index] ? COLORS.ON_STACK : COLORS.FINISHED;
+            }
+            
+            // Tarjan / Kosaraju: SCCs in their set colors (as Kruskal colors its sets)
+            if (currentStep?.component && currentStep.component[index] !== null && currentStep.current !== index) {
+                fillColor = currentStep.setColors[currentStep.component[index]];
+            }
+            
+            // Bipartite check: the two sides
+            if (currentStep?.side && !currentStep.mate && currentStep.side[index] !== null &&
+                currentStep.current !== index && currentStep.neighbor !== index) {
+                fillColor = currentStep.side[index] === 0 ? COLORS.LEFT_SIDE : COLORS.RIGHT_SIDE;
+            }
+            
+            // Matching: free and matched vertices, path vertices
+            if (currentStep?.mate) {
+                fillColor = this.getMatchingNodeColor(index, currentStep);
+            }
+            
+            // A* / bidirectional: backward tree and open set
+            if (fillColor === COLORS.VISITED && currentStep?.visitedBackward?.[index]) {
+                fillColor = COLORS.BACKWARD_VISITED;
+            } else if (fillColor === COLORS.NODE_DEFAULT &&
+                       (currentStep?.openSet?.[index] || currentStep?.backwardOpenSet?.[index])) {
+                fillColor = COLORS.OPEN_SET;
+            }
+            
             // Check if this is the start node
             if (currentStep?.startNode !== undefined && currentStep.startNode === index) {
                 isStartNode = true;
@@ -735,6 +1327,32 @@ export class GraphVisualizer {
             this.ctx.stroke();
         }
         
+        // Goal and meeting-point rings (A*, bidirectional Dijkstra)
+        const ringColor = currentStep?.meetingNode === index ? COLORS.MEETING
+            : currentStep?.goalNode === index || currentStep?.sink === index ? COLORS.GOAL
+            : currentStep?.source === index ? COLORS.PATH_FOUND : null;
+        if (ringColor) {
+            this.ctx.strokeStyle = ringColor;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(node.x, node.y, radius + 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        
+        // Matching: solid ring on matched vertices, dashed ring on free ones
+        if (currentStep?.mate) {
+            const isFree = currentStep.mate[index] === null;
+            this.ctx.strokeStyle = isFree ? COLORS.FREE_VERTEX : COLORS.MATCHED_EDGE;
+            this.ctx.lineWidth = 3;
+            if (isFree) {
+                this.ctx.setLineDash(EDGE.DASH_PATTERN);
+            }
+            this.ctx.beginPath();
+            this.ctx.arc(node.x, node.y, radius + 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+        
         // Draw node label with text shadow
         this.ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
         this.ctx.shadowBlur = 3;
@@ -747,12 +1365,27 @@ export class GraphVisualizer {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText(index, node.x, node.y);
         
+        // Imported node name, when it says more than the index
+        if (node.label !== undefined && String(node.label) !== String(index)) {
+            this.ctx.fillStyle = COLORS.TEXT_SECONDARY;
+            this.ctx.font = '11px Arial';
+            this.ctx.fillText(node.label, node.x, node.y - radius - 10);
+        }
+        
         // Reset shadow
         this.ctx.shadowColor = 'transparent';
         this.ctx.shadowBlur = 0;
         this.ctx.shadowOffsetX = 0;
         this.ctx.shadowOffsetY = 0;
         
+        // Flow heights/levels, DFS times, in-degrees
+        const annotation = this.getNodeAnnotation(index, currentStep);
+        if (annotation) {
+            this.ctx.fillStyle = COLORS.TEXT_SECONDARY;
+            this.ctx.font = '12px Arial';
+            this.ctx.fillText(annotation, node.x, node.y + radius + 15);
+        }
+        
         // Draw distance (if available and enabled)
         if (this.showDistances && this.animationState.distances && this.animationState.distances[index] !== undefined) {
             const dist = this.animationState.distances[index];
@@ -776,6 +1409,45 @@ export class GraphVisualizer {
         }
     }
 
+    /**
+     * Fill color of a vertex in a matching step: path vertices first, then the
+     * current vertex, then free (gray) or matched (its side's color)
+     */
+    getMatchingNodeColor(index, step) {
+        if (step.augmentingPath?.includes(index)) return COLORS.AUGMENTING_PATH;
+        if (step.alternatingPath?.includes(index)) return COLORS.ALTERNATING_PATH;
+        if (step.current === index) return COLORS.CURRENT;
+        if (step.mate[index] === null) return COLORS.FREE_VERTEX;
+        return step.side[index] === 0 ? COLORS.LEFT_SIDE : COLORS.RIGHT_SIDE;
+    }
+
+    /**
+     * Text under a node: Dinic levels, push-relabel heights and excess,
+     * DFS discovery/finish times (and Tarjan low-links), Kahn in-degrees,
+     * Hopcroft-Karp layers
+     */
+    getNodeAnnotation(index, step) {
+        if (!step) return null;
+        
+        if (step.heights) {
+            return `h=${step.heights[index]}${step.excess[index] > 0 ? ` e=${step.excess[index]}` : ''}`;
+        }
+        if (step.layer) {
+            return step.layer[index] === Infinity ? null : `layer ${step.layer[index]}`;
+        }
+        if (step.levels) {
+            return `level ${step.levels[index] === -1 ? '∞' : step.levels[index]}`;
+        }
+        if (step.discovery && step.discovery[index] !== null) {
+            const times = `${step.discovery[index]}/${step.finish[index] ?? ''}`;
+            return step.low && step.low[index] !== null ? `${times} low=${step.low[index]}` : times;
+        }
+        if (step.inDegree && !step.visited[index]) {
+            return `in=${step.inDegree[index]}`;
+        }
+        return null;
+    }
+
     /**
      * Lighten a color by a percentage
      */
@@ -860,6 +1532,7 @@ export class GraphVisualizer {
         };
         
         this.selectedAlgorithm = null;
+        this.quiz = null;
         this.particles.clearAll();
         this.render();
     }
@@ -0,0 +1,298 @@
+/**
+ * A* Search
+ * Dijkstra ordered by f = g + h, where h estimates the remaining cost to a goal node
+ */
+
+import { Dijkstra } from './Dijkstra.js';
+import { HEURISTICS, PRIORITY_QUEUES } from '../core/Constants.js';
+import { buildPathFromPrevious } from '../core/Utils.js';
+
+/**
+ * Distance metrics between node coordinates
+ */
+const METRICS = {
+    [HEURISTICS.EUCLIDEAN]: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+    [HEURISTICS.MANHATTAN]: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+    [HEURISTICS.ZERO]: () => 0
+};
+
+export class AStar extends Dijkstra {
+    constructor() {
+        super('A*', 'Goal-directed shortest path guided by a heuristic');
+    }
+
+    /**
+     * Execute A* search
+     * @param {Object} options - { startNode, goalNode (default: last node),
+     *   heuristic: HEURISTICS value or function (node, goal, graph) => estimate,
+     *   heuristicWeight: multiplier on h (above 1 trades optimality for speed),
+     *   priorityQueue: PRIORITY_QUEUES value, as for Dijkstra }
+     * @throws {Error} For a bucket queue when some h is not an integer, before the first step
+     */
+    *execute(graph, options = {}) {
+        const startNode = options.startNode || 0;
+        const nodeCount = graph.nodes.length;
+        const goalNode = options.goalNode ?? nodeCount - 1;
+
+        if (!this.isValidStartNode(startNode, nodeCount)) {
+            throw new Error(`Invalid start node: ${startNode}`);
+        }
+        if (!this.isValidStartNode(goalNode, nodeCount)) {
+            throw new Error(`Invalid goal node: ${goalNode}`);
+        }
+
+        const heuristic = options.heuristic || HEURISTICS.EUCLIDEAN;
+        const heuristics = this.computeHeuristics(graph, goalNode, heuristic, options.heuristicWeight ?? 1);
+
+        // f = g + h is only an integer bucket when h is one
+        if (options.priorityQueue === PRIORITY_QUEUES.BUCKET) {
+            const fractional = heuristics.findIndex(h => !Number.isInteger(h));
+            if (fractional >= 0) {
+                throw new Error(`Bucket queue needs integer f-scores, but the ${typeof heuristic === 'function' ? 'custom' : heuristic} heuristic gives h = ${heuristics[fractional]} at node ${fractional}; use another queue`);
+            }
+        }
+
+        const state = this.initializeState(nodeCount, startNode, options.priorityQueue);
+        state.goalNode = goalNode;
+        state.heuristic = typeof heuristic === 'function' ? 'custom' : heuristic;
+        state.heuristics = heuristics;
+
+        yield this.createInitializationStep(startNode, state);
+
+        yield* this.processNodes(graph, state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Estimate of the remaining cost from every node to the goal
+     * Coordinate metrics are scaled by the smallest weight-per-length of any edge,
+     * so h never exceeds the true cost and the first path to the goal is optimal.
+     */
+    computeHeuristics(graph, goalNode, heuristic, weight) {
+        const goal = graph.nodes[goalNode];
+
+        if (typeof heuristic === 'function') {
+            return graph.nodes.map((_, index) => weight * heuristic(index, goalNode, graph));
+        }
+
+        const metric = METRICS[heuristic];
+        if (!metric) {
+            throw new Error(`Unknown heuristic: ${heuristic}`);
+        }
+
+        let scale = Infinity;
+        for (const edge of graph.edges) {
+            const length = metric(graph.nodes[edge.from], graph.nodes[edge.to]);
+            if (length > 0) {
+                scale = Math.min(scale, Math.max(edge.weight, 0) / length);
+            }
+        }
+        if (!isFinite(scale)) {
+            scale = 0;
+        }
+
+        return graph.nodes.map(node => weight * scale * metric(node, goal));
+    }
+
+    /**
+     * Setup initial state (queue ordered by f)
+     */
+    setupInitialState(state) {
+        const { startNode, distances, priorityQueue, heuristics } = state;
+
+        distances[startNode] = 0;
+        this.enqueue(priorityQueue, { node: startNode, distance: heuristics[startNode], g: 0 });
+    }
+
+    /**
+     * Queue entries hold f, so compare against the node's current f
+     */
+    isStaleEntry(node, pqDistance, state) {
+        return pqDistance > state.distances[node] + state.heuristics[node];
+    }
+
+    /**
+     * Stop as soon as the goal is settled
+     */
+    shouldStop(current, state) {
+        return current === state.goalNode;
+    }
+
+    /**
+     * Relax edge (update g and push with f = g + h)
+     */
+    relaxEdge(neighbor, newDistance, current, state) {
+        state.distances[neighbor] = newDistance;
+        state.previous[neighbor] = current;
+        this.enqueue(state.priorityQueue, {
+            node: neighbor,
+            distance: newDistance + state.heuristics[neighbor],
+            g: newDistance
+        });
+    }
+
+    /**
+     * Get priority queue snapshot (distance is f)
+     */
+    getPriorityQueueSnapshot(priorityQueue) {
+        return priorityQueue.entries().map(item => ({
+            node: item.node,
+            distance: item.distance,
+            g: item.g
+        }));
+    }
+
+    /**
+     * Goal, heuristic values and open/closed sets shared by every step
+     */
+    getSearchState(state) {
+        return {
+            goalNode: state.goalNode,
+            heuristic: state.heuristic,
+            heuristics: state.heuristics,
+            fScores: state.distances.map((g, index) => g + state.heuristics[index]),
+            openSet: state.distances.map((g, index) => g !== Infinity && !state.visited[index]),
+            closedSet: [...state.visited]
+        };
+    }
+
+    /**
+     * Round scores for messages
+     */
+    formatScore(value) {
+        return value === Infinity ? '∞' : Number(value.toFixed(2));
+    }
+
+    createInitializationStep(startNode, state) {
+        return {
+            ...super.createInitializationStep(startNode, state),
+            ...this.getSearchState(state),
+            message: `Starting A* from node ${startNode} to goal ${state.goalNode} (${state.heuristic} heuristic)`
+        };
+    }
+
+    createDiscardStep(node, pqDistance, state) {
+        return { ...super.createDiscardStep(node, pqDistance, state), ...this.getSearchState(state) };
+    }
+
+    createVisitStep(node, state) {
+        const g = state.distances[node];
+        const h = state.heuristics[node];
+        const message = node === state.goalNode
+            ? `Reached goal ${node} (cost: ${this.formatScore(g)})`
+            : `Expanding node ${node} (g = ${this.formatScore(g)}, h = ${this.formatScore(h)}, f = ${this.formatScore(g + h)})`;
+        return { ...super.createVisitStep(node, state), ...this.getSearchState(state), message };
+    }
+
+    createBatchBeginStep(node, neighborCount, state) {
+        return { ...super.createBatchBeginStep(node, neighborCount, state), ...this.getSearchState(state) };
+    }
+
+    createExploreStep(current, neighbor, edge, state) {
+        return { ...super.createExploreStep(current, neighbor, edge, state), ...this.getSearchState(state) };
+    }
+
+    createRelaxStep(current, neighbor, edge, newDistance, state) {
+        const f = newDistance + state.heuristics[neighbor];
+        return {
+            ...super.createRelaxStep(current, neighbor, edge, newDistance, state),
+            ...this.getSearchState(state),
+            message: `Updated node ${neighbor}: g = ${this.formatScore(newDistance)}, f = ${this.formatScore(f)} (pushed to open set)`
+        };
+    }
+
+    createCompletionStep(state) {
+        const path = buildPathFromPrevious(state.previous, state.startNode, state.goalNode);
+        const expanded = state.visited.filter(Boolean).length;
+        const message = path.length > 0
+            ? `Path to ${state.goalNode}: ${path.join(' → ')} (cost: ${this.formatScore(state.distances[state.goalNode])}, ${expanded} nodes expanded)`
+            : `Goal ${state.goalNode} is unreachable (${expanded} nodes expanded)`;
+        return {
+            ...super.createCompletionStep(state),
+            ...this.getSearchState(state),
+            path,
+            pathDistance: state.distances[state.goalNode],
+            message
+        };
+    }
+
+    /**
+     * The open set is ordered by f
+     */
+    getQueuePriority(step, node) {
+        return step.fScores[node];
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'A*(G, s, t, h):',
+            '  g[v] ← ∞ for every v; g[s] ← 0; open.push(s, h(s))',
+            '  while open is not empty:',
+            '    u ← open.popMin()             // smallest f = g + h',
+            '    if the entry is stale: continue',
+            '    close u',
+            '    if u = t: return the path to t',
+            '    for each edge (u, v, w) with v not closed:',
+            '      if g[u] + w < g[v]:',
+            '        g[v] ← g[u] + w; prev[v] ← u',
+            '        open.push(v, g[v] + h(v))',
+            '  return no path'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            discard: 5,
+            visit: step => (step.current === step.goalNode ? 7 : 6),
+            begin_batch: 8,
+            explore: 9,
+            relax: 10,
+            complete: step => (step.path.length > 0 ? 7 : 12)
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v, distances } = step;
+        // Scores of the node the step is about: the neighbor once there is one
+        const [name, node] = v !== undefined ? ['v', v] : ['u', u];
+        return {
+            t: step.goalNode,
+            u,
+            v,
+            w: step.edge?.weight,
+            'g[u]': step.currentDistance ?? distances?.[u],
+            'g[v]': distances?.[v],
+            [`h(${name})`]: step.heuristics?.[node],
+            [`f(${name})`]: step.fScores?.[node],
+            open: step.priorityQueue,
+            path: step.path
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requiresStartNode: true,
+            requirements: ['Non-negative edge weights', 'Admissible heuristic for optimal paths'],
+            useCases: [
+                'Point-to-point routing',
+                'Game pathfinding',
+                'Puzzle solving'
+            ]
+        };
+    }
+}
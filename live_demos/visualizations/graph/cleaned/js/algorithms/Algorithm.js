@@ -5,12 +5,24 @@
 
 import { STEP_TYPES } from '../core/Constants.js';
 
+// Source of step timestamps (see Algorithm.setClock)
+let stepClock = () => Date.now();
+
 export class Algorithm {
     constructor(name, description) {
         this.name = name;
         this.description = description;
     }
 
+    /**
+     * Replace the clock that stamps every step; the trace runner counts steps instead
+     * of reading the time so the same run always produces the same trace
+     * @param {Function|null} clock - () => number, or null for Date.now()
+     */
+    static setClock(clock) {
+        stepClock = clock || (() => Date.now());
+    }
+
     /**
      * Execute the algorithm
      * Must be implemented by subclasses as a generator function
@@ -40,7 +52,7 @@ export class Algorithm {
         return {
             type,
             algorithm: this.name,
-            timestamp: Date.now(),
+            timestamp: stepClock(),
             ...data
         };
     }
@@ -65,6 +77,65 @@ export class Algorithm {
         });
     }
 
+    /**
+     * Pseudocode shown beside the canvas, one string per line (leading spaces indent)
+     * Override in subclasses together with getStepLines()
+     */
+    getPseudocode() {
+        return [];
+    }
+
+    /**
+     * Pseudocode line (1-based) each step type executes; a function picks the line
+     * from the step when one step type stands for several lines
+     * @returns {Object<string, number|Function>}
+     */
+    getStepLines() {
+        return {};
+    }
+
+    /**
+     * Pseudocode variables at a step, as name → value (undefined values are left out)
+     * Override in subclasses
+     */
+    getStepVariables(step) {
+        return {};
+    }
+
+    /**
+     * Pseudocode line a step executes
+     * @returns {number|null}
+     */
+    getLineForStep(step) {
+        const line = step ? this.getStepLines()[step.type] : undefined;
+        if (typeof line === 'function') {
+            return line(step) ?? null;
+        }
+        return line ?? null;
+    }
+
+    /**
+     * Work a step does, for the comparison bench's counters: relaxations (a distance
+     * or key lowered), queueOps (pushes, pops and decrease-keys), edgesExamined and
+     * nodeScans (nodes checked by a linear search for the minimum, where there is no queue)
+     * Override in subclasses; counters a step leaves out stay as they are
+     * @returns {Object<string, number>} Counter → amount to add
+     */
+    getStepCounts(step) {
+        return {};
+    }
+
+    /**
+     * Quiz question about what the next step will do, asked before it is shown
+     * Override in subclasses that have decisions worth predicting (builders in quiz/QuizQuestions.js)
+     * @param {Object} step - Step on screen
+     * @param {Object} next - Step the question is checked against
+     * @returns {Object|null} Question, or null when there is nothing to ask here
+     */
+    getQuizQuestion(step, next) {
+        return null;
+    }
+
     /**
      * Get algorithm metadata
      */
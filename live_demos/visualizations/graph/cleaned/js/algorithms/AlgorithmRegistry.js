@@ -0,0 +1,62 @@
+/**
+ * Algorithm registry
+ * One instance of every algorithm under its ALGORITHMS key, shared by the
+ * visualizer and the headless tools (no DOM needed)
+ */
+
+import { ALGORITHMS } from '../core/Constants.js';
+import { FloydWarshall } from './FloydWarshall.js';
+import { Dijkstra } from './Dijkstra.js';
+import { BellmanFord } from './BellmanFord.js';
+import { SPFA } from './SPFA.js';
+import { Prim } from './Prim.js';
+import { PrimUnoptimized } from './PrimUnoptimized.js';
+import { PrimEager } from './PrimEager.js';
+import { Kruskal } from './Kruskal.js';
+import { AStar } from './AStar.js';
+import { BidirectionalDijkstra } from './BidirectionalDijkstra.js';
+import { EdmondsKarp } from './EdmondsKarp.js';
+import { Dinic } from './Dinic.js';
+import { PushRelabel } from './PushRelabel.js';
+import { Johnson } from './Johnson.js';
+import { DepthFirstSearch } from './DepthFirstSearch.js';
+import { BreadthFirstSearch } from './BreadthFirstSearch.js';
+import { KahnTopologicalSort } from './KahnTopologicalSort.js';
+import { DFSTopologicalSort } from './DFSTopologicalSort.js';
+import { Tarjan } from './Tarjan.js';
+import { Kosaraju } from './Kosaraju.js';
+import { BipartiteCheck } from './BipartiteCheck.js';
+import { HopcroftKarp } from './HopcroftKarp.js';
+import { Hungarian } from './Hungarian.js';
+
+/**
+ * Create the algorithm instances
+ * @returns {Object<string, Algorithm>} Keyed by ALGORITHMS values
+ */
+export function createAlgorithms() {
+    return {
+        [ALGORITHMS.FLOYD_WARSHALL]: new FloydWarshall(),
+        [ALGORITHMS.JOHNSON]: new Johnson(),
+        [ALGORITHMS.DIJKSTRA]: new Dijkstra(),
+        [ALGORITHMS.BELLMAN_FORD]: new BellmanFord(),
+        [ALGORITHMS.SPFA]: new SPFA(),
+        [ALGORITHMS.PRIM]: new Prim(),
+        [ALGORITHMS.PRIM_UNOPTIMIZED]: new PrimUnoptimized(),
+        [ALGORITHMS.PRIM_EAGER]: new PrimEager(),
+        [ALGORITHMS.KRUSKAL]: new Kruskal(),
+        [ALGORITHMS.A_STAR]: new AStar(),
+        [ALGORITHMS.BIDIRECTIONAL_DIJKSTRA]: new BidirectionalDijkstra(),
+        [ALGORITHMS.EDMONDS_KARP]: new EdmondsKarp(),
+        [ALGORITHMS.DINIC]: new Dinic(),
+        [ALGORITHMS.PUSH_RELABEL]: new PushRelabel(),
+        [ALGORITHMS.DFS]: new DepthFirstSearch(),
+        [ALGORITHMS.BFS]: new BreadthFirstSearch(),
+        [ALGORITHMS.TOPO_KAHN]: new KahnTopologicalSort(),
+        [ALGORITHMS.TOPO_DFS]: new DFSTopologicalSort(),
+        [ALGORITHMS.TARJAN]: new Tarjan(),
+        [ALGORITHMS.KOSARAJU]: new Kosaraju(),
+        [ALGORITHMS.BIPARTITE]: new BipartiteCheck(),
+        [ALGORITHMS.HOPCROFT_KARP]: new HopcroftKarp(),
+        [ALGORITHMS.HUNGARIAN]: new Hungarian()
+    };
+}
@@ -4,6 +4,8 @@
  */
 
 import { Algorithm } from './Algorithm.js';
+import { formatDistance } from '../core/Utils.js';
+import { createYesNoQuestion } from '../quiz/QuizQuestions.js';
 
 export class BellmanFord extends Algorithm {
     constructor() {
@@ -81,7 +83,7 @@ export class BellmanFord extends Algorithm {
     *relaxAllEdgesOnce(graph, state) {
         let hasUpdated = false;
 
-        for (const edge of graph.edges) {
+        for (const edge of this.getArcs(graph)) {
             const updated = yield* this.processEdge(edge, state);
             hasUpdated = hasUpdated || updated;
         }
@@ -89,6 +91,16 @@ export class BellmanFord extends Algorithm {
         return hasUpdated;
     }
 
+    /**
+     * Edges in the direction they can be relaxed: an undirected edge works both ways
+     */
+    getArcs(graph) {
+        if (graph.directed) {
+            return graph.edges;
+        }
+        return graph.edges.flatMap(edge => [edge, { from: edge.to, to: edge.from, weight: edge.weight }]);
+    }
+
     /**
      * Process single edge
      */
@@ -129,7 +141,7 @@ export class BellmanFord extends Algorithm {
      * Check for negative weight cycles
      */
     *checkNegativeCycle(graph, state) {
-        for (const edge of graph.edges) {
+        for (const edge of this.getArcs(graph)) {
             const { from: u, to: v, weight } = edge;
 
             if (this.canRelax(u, v, weight, state)) {
@@ -219,6 +231,86 @@ export class BellmanFord extends Algorithm {
         });
     }
 
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Bellman-Ford(G, s):',
+            '  dist[v] ← ∞ for every v; dist[s] ← 0',
+            '  repeat |V| − 1 times:',
+            '    for each edge (u, v, w):',
+            '      if dist[u] + w < dist[v]:',
+            '        dist[v] ← dist[u] + w; prev[v] ← u',
+            '    if nothing changed: stop early',
+            '  for each edge (u, v, w):',
+            '    if dist[u] + w < dist[v]: negative cycle, stop',
+            '  return dist, prev'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            iteration: 3,
+            explore: 5,
+            relax: 6,
+            early_stop: 7,
+            negative_cycle: 9,
+            complete: 10
+        };
+    }
+
+    /**
+     * Counters: every edge checked in every pass, and relaxations (no queue)
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case 'explore': return { edgesExamined: 1 };
+            case 'relax': return { relaxations: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { edge, distances } = step;
+        return {
+            iteration: step.iteration,
+            u: edge?.from,
+            v: edge?.to,
+            w: edge?.weight,
+            'dist[u]': edge ? distances?.[edge.from] : undefined,
+            'dist[v]': edge ? distances?.[edge.to] : undefined,
+            dist: edge ? undefined : distances
+        };
+    }
+
+    /**
+     * Quiz: whether a checked edge relaxes
+     */
+    getQuizQuestion(step, next) {
+        if (step.type !== 'explore') {
+            return null;
+        }
+
+        const { edge: { from: u, to: v, weight }, distances } = step;
+        const relaxes = next.type === 'relax';
+        let explanation = next.message;
+        if (!relaxes) {
+            explanation = distances[u] === Infinity
+                ? `dist[${u}] is still ∞, so the edge cannot improve anything yet`
+                : `dist[${u}] + ${weight} = ${formatDistance(distances[u] + weight)} is not less than dist[${v}] = ${formatDistance(distances[v])}`;
+        }
+
+        return createYesNoQuestion(`Edge ${u} → ${v} (weight ${weight}): will it lower dist[${v}]?`, relaxes, explanation);
+    }
+
     /**
      * Get algorithm metadata
      */
@@ -0,0 +1,418 @@
+/**
+ * Bidirectional Dijkstra
+ * Point-to-point shortest path: one search forward from the start, one backward from
+ * the goal (over reversed edges), stopping when the two frontiers meet
+ */
+
+import { Algorithm } from './Algorithm.js';
+import { findEdge, buildPathFromPrevious } from '../core/Utils.js';
+import { MinHeap } from '../core/MinHeap.js';
+
+export const DIRECTIONS = {
+    FORWARD: 'forward',
+    BACKWARD: 'backward'
+};
+
+export class BidirectionalDijkstra extends Algorithm {
+    constructor() {
+        super('Bidirectional Dijkstra', 'Point-to-point shortest path searching from both ends');
+        this.requiresStartNode = true;
+    }
+
+    /**
+     * Execute bidirectional Dijkstra
+     * @param {Object} options - { startNode, goalNode (default: last node) }
+     */
+    *execute(graph, options = {}) {
+        const startNode = options.startNode || 0;
+        const nodeCount = graph.nodes.length;
+        const goalNode = options.goalNode ?? nodeCount - 1;
+
+        if (!this.isValidNode(startNode, nodeCount)) {
+            throw new Error(`Invalid start node: ${startNode}`);
+        }
+        if (!this.isValidNode(goalNode, nodeCount)) {
+            throw new Error(`Invalid goal node: ${goalNode}`);
+        }
+
+        const state = this.initializeState(graph, startNode, goalNode);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.processFrontiers(graph, state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Validate graph requirements
+     */
+    validateGraph(graph) {
+        super.validateGraph(graph);
+
+        for (const edge of graph.edges) {
+            if (edge.weight < 0) {
+                throw new Error('Bidirectional Dijkstra requires non-negative edge weights');
+            }
+        }
+    }
+
+    /**
+     * Validate node index
+     */
+    isValidNode(node, nodeCount) {
+        return node >= 0 && node < nodeCount;
+    }
+
+    /**
+     * Adjacency lists for both directions (backward follows edges in reverse)
+     */
+    buildAdjacency(graph) {
+        const forward = graph.nodes.map(() => []);
+        const backward = graph.nodes.map(() => []);
+
+        for (const edge of graph.edges) {
+            forward[edge.from].push({ nodeId: edge.to, weight: edge.weight });
+            backward[edge.to].push({ nodeId: edge.from, weight: edge.weight });
+
+            if (!graph.directed) {
+                forward[edge.to].push({ nodeId: edge.from, weight: edge.weight });
+                backward[edge.from].push({ nodeId: edge.to, weight: edge.weight });
+            }
+        }
+
+        return { forward, backward };
+    }
+
+    /**
+     * Initialize algorithm state: one search record per direction
+     */
+    initializeState(graph, startNode, goalNode) {
+        const nodeCount = graph.nodes.length;
+        const adjacency = this.buildAdjacency(graph);
+        const createSearch = (direction, source) => {
+            const search = {
+                direction,
+                source,
+                distances: Array(nodeCount).fill(Infinity),
+                visited: Array(nodeCount).fill(false),
+                previous: Array(nodeCount).fill(null),
+                priorityQueue: new MinHeap(),
+                neighbors: adjacency[direction]
+            };
+            search.distances[source] = 0;
+            search.priorityQueue.insert({ node: source, distance: 0 });
+            return search;
+        };
+
+        return {
+            startNode,
+            goalNode,
+            forward: createSearch(DIRECTIONS.FORWARD, startNode),
+            backward: createSearch(DIRECTIONS.BACKWARD, goalNode),
+            bestDistance: startNode === goalNode ? 0 : Infinity,
+            meetingNode: startNode === goalNode ? startNode : null,
+            meetingEdge: null // { from, to } in forward orientation, joining the two trees
+        };
+    }
+
+    /**
+     * Smallest live key in a search's queue (stale entries are dropped)
+     */
+    peekDistance(search) {
+        const { priorityQueue } = search;
+
+        while (!priorityQueue.isEmpty()) {
+            const { node, distance } = priorityQueue.peek();
+            if (distance <= search.distances[node] && !search.visited[node]) {
+                return distance;
+            }
+            priorityQueue.extractMin();
+        }
+
+        return Infinity;
+    }
+
+    /**
+     * Alternate between the frontiers, always expanding the one with the smaller key
+     */
+    *processFrontiers(graph, state) {
+        while (true) {
+            const forwardTop = this.peekDistance(state.forward);
+            const backwardTop = this.peekDistance(state.backward);
+
+            // No path through an unsettled node can beat the best meeting found so far
+            if (forwardTop + backwardTop >= state.bestDistance) {
+                break;
+            }
+
+            const search = forwardTop <= backwardTop ? state.forward : state.backward;
+            const other = search === state.forward ? state.backward : state.forward;
+            const { node: current } = search.priorityQueue.extractMin();
+
+            search.visited[current] = true;
+            yield this.createVisitStep(current, search, state);
+
+            yield* this.processNeighbors(graph, current, search, other, state);
+        }
+    }
+
+    /**
+     * Process neighbors of current node in one direction
+     */
+    *processNeighbors(graph, current, search, other, state) {
+        const neighbors = search.neighbors[current];
+
+        yield this.createBatchBeginStep(current, neighbors.length, search, state);
+
+        for (const { nodeId: neighbor, weight } of neighbors) {
+            // The other search has reached this node: a complete start-goal path exists
+            const meeting = search.distances[current] + weight + other.distances[neighbor];
+            const improved = meeting < state.bestDistance;
+            if (improved) {
+                state.bestDistance = meeting;
+                state.meetingNode = neighbor;
+                state.meetingEdge = search === state.forward
+                    ? { from: current, to: neighbor }
+                    : { from: neighbor, to: current };
+            }
+
+            if (search.visited[neighbor]) {
+                continue;
+            }
+
+            const edge = search.direction === DIRECTIONS.FORWARD
+                ? findEdge(graph.edges, current, neighbor, graph.directed)
+                : findEdge(graph.edges, neighbor, current, graph.directed);
+
+            yield this.createExploreStep(current, neighbor, edge, search, state, improved);
+
+            const newDistance = search.distances[current] + weight;
+            if (newDistance < search.distances[neighbor]) {
+                search.distances[neighbor] = newDistance;
+                search.previous[neighbor] = current;
+                search.priorityQueue.insert({ node: neighbor, distance: newDistance });
+
+                yield this.createRelaxStep(current, neighbor, edge, newDistance, search, state);
+            }
+        }
+    }
+
+    /**
+     * Start → meeting edge → goal
+     */
+    buildPath(state) {
+        if (state.meetingNode === null) {
+            return [];
+        }
+        if (!state.meetingEdge) {
+            return [state.startNode];
+        }
+
+        const { from, to } = state.meetingEdge;
+        const head = buildPathFromPrevious(state.forward.previous, state.startNode, from);
+        const tail = buildPathFromPrevious(state.backward.previous, state.goalNode, to).reverse();
+
+        return [...head, ...tail];
+    }
+
+    /**
+     * Get priority queue snapshot (both directions, tagged)
+     */
+    getPriorityQueueSnapshot(state) {
+        const snapshot = search => search.priorityQueue.heap.map(item => ({
+            node: item.node,
+            distance: item.distance,
+            direction: search.direction
+        }));
+        return [...snapshot(state.forward), ...snapshot(state.backward)]
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Both frontiers and the meeting point, shared by every step
+     * distances/visited describe the forward search (plus both settled sets for visited)
+     */
+    getSearchState(state) {
+        const { forward, backward } = state;
+        const open = search => search.distances.map((d, index) => d !== Infinity && !search.visited[index]);
+
+        return {
+            startNode: state.startNode,
+            goalNode: state.goalNode,
+            distances: [...forward.distances],
+            backwardDistances: [...backward.distances],
+            visited: forward.visited.map((v, index) => v || backward.visited[index]),
+            visitedForward: [...forward.visited],
+            visitedBackward: [...backward.visited],
+            openSet: open(forward),
+            backwardOpenSet: open(backward),
+            closedSet: [...forward.visited],
+            backwardClosedSet: [...backward.visited],
+            priorityQueue: this.getPriorityQueueSnapshot(state),
+            meetingNode: state.meetingNode,
+            meetingEdge: state.meetingEdge,
+            bestDistance: state.bestDistance
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createStep('init', {
+            current: state.startNode,
+            ...this.getSearchState(state),
+            message: `Starting bidirectional Dijkstra between node ${state.startNode} and node ${state.goalNode}`
+        });
+    }
+
+    /**
+     * Create visit step
+     */
+    createVisitStep(node, search, state) {
+        const side = search.direction === DIRECTIONS.FORWARD ? 'from start' : 'from goal';
+        return this.createStep('visit', {
+            current: node,
+            direction: search.direction,
+            ...this.getSearchState(state),
+            message: `Visiting node ${node} ${side} (distance: ${search.distances[node]})`
+        });
+    }
+
+    /**
+     * Create batch begin step
+     */
+    createBatchBeginStep(node, neighborCount, search, state) {
+        return this.createStep('begin_batch', {
+            current: node,
+            neighborCount,
+            direction: search.direction,
+            ...this.getSearchState(state),
+            message: `Exploring ${neighborCount} ${search.direction} neighbors of node ${node}`
+        });
+    }
+
+    /**
+     * Create explore step
+     */
+    createExploreStep(current, neighbor, edge, search, state, improvedMeeting) {
+        const arrow = search.direction === DIRECTIONS.FORWARD ? '→' : '←';
+        const meeting = improvedMeeting ? ` - frontiers meet at node ${neighbor} (path length ${state.bestDistance})` : '';
+        return this.createStep('explore', {
+            current,
+            neighbor,
+            edge,
+            direction: search.direction,
+            ...this.getSearchState(state),
+            message: `Exploring edge ${current} ${arrow} ${neighbor} (weight: ${edge?.weight || 0})${meeting}`
+        });
+    }
+
+    /**
+     * Create relax step
+     */
+    createRelaxStep(current, neighbor, edge, newDistance, search, state) {
+        return this.createStep('relax', {
+            current,
+            neighbor,
+            edge,
+            direction: search.direction,
+            previous: [...search.previous],
+            ...this.getSearchState(state),
+            message: `Updated ${search.direction} distance to ${neighbor}: ${newDistance} (pushed to PQ)`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const path = this.buildPath(state);
+        const settled = state.forward.visited.filter(Boolean).length + state.backward.visited.filter(Boolean).length;
+        const message = path.length > 0
+            ? `Path: ${path.join(' → ')} (length: ${state.bestDistance}, met at node ${state.meetingNode}, ${settled} nodes settled)`
+            : `No path from node ${state.startNode} to node ${state.goalNode}`;
+
+        return this.createStep('complete', {
+            ...this.getSearchState(state),
+            previous: [...state.forward.previous],
+            path,
+            pathDistance: state.bestDistance,
+            message
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'BidirectionalDijkstra(G, s, t):',
+            '  dF[s] ← 0; dB[t] ← 0; μ ← ∞          // μ: best s–t path so far',
+            '  loop:',
+            '    if minF + minB ≥ μ: stop          // queue tops of both sides',
+            '    pick the side whose queue top is smaller',
+            '    u ← pop it; settle u on that side',
+            "    for each edge (u, v, w) on that side's graph:",
+            "      μ ← min(μ, d[u] + w + d_other[v])",
+            '      if v is settled on this side: continue',
+            '      if d[u] + w < d[v]:',
+            '        d[v] ← d[u] + w; prev[v] ← u; push v',
+            '  return the path s → meeting edge → t'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            visit: 6,
+            begin_batch: 7,
+            explore: 10,
+            relax: 11,
+            complete: 12
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v, direction } = step;
+        const [distances, other] = direction === DIRECTIONS.BACKWARD
+            ? [step.backwardDistances, step.distances]
+            : [step.distances, step.backwardDistances];
+        return {
+            side: direction,
+            u,
+            v,
+            w: step.edge?.weight,
+            'd[u]': direction ? distances?.[u] : undefined,
+            'd[v]': direction ? distances?.[v] : undefined,
+            'd_other[v]': direction ? other?.[v] : undefined,
+            μ: step.bestDistance,
+            'meeting node': step.meetingNode,
+            path: step.path
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O((V + E) log V), usually far fewer nodes settled',
+            spaceComplexity: 'O(V)',
+            requirements: ['Non-negative edge weights', 'A single goal node'],
+            useCases: [
+                'Road network routing',
+                'Social network distances',
+                'Word ladders'
+            ]
+        };
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Bipartite Check
+ * BFS two-coloring of the underlying undirected graph: each node gets the side
+ * opposite its parent, and an edge between two nodes of one side closes an odd cycle
+ */
+
+import { TraversalAlgorithm } from './TraversalAlgorithm.js';
+import { STEP_TYPES, EDGE_CLASSES } from '../core/Constants.js';
+import { traceOddCycle } from '../core/Utils.js';
+
+const SIDE_NAMES = ['left', 'right'];
+
+export class BipartiteCheck extends TraversalAlgorithm {
+    constructor() {
+        super('Bipartite Check', 'Two-coloring by BFS; an odd cycle proves the graph is not bipartite');
+        this.requiresStartNode = false;
+    }
+
+    /**
+     * Execute the check
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const state = this.initializeState(graph);
+
+        yield this.createInitializationStep(state);
+
+        for (let root = 0; root < state.nodeCount && state.oddCycle === null; root++) {
+            if (state.side[root] !== null) {
+                continue;
+            }
+
+            state.side[root] = 0;
+            state.queue.push(root);
+            yield this.createColorStep(root, null, null, state);
+
+            yield* this.processQueue(state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph) {
+        const nodeCount = graph.nodes.length;
+
+        return {
+            graph,
+            nodeCount,
+            adjacency: this.buildUndirectedAdjacency(graph),
+            side: Array(nodeCount).fill(null),
+            parent: Array(nodeCount).fill(null),
+            edgeClasses: Array(graph.edges.length).fill(null),
+            queue: [],
+            oddCycle: null
+        };
+    }
+
+    /**
+     * Color the component of the queued root, stopping at the first conflict
+     */
+    *processQueue(state) {
+        while (state.queue.length > 0) {
+            const node = state.queue.shift();
+
+            for (const { nodeId: neighbor, edgeIndex } of state.adjacency[node]) {
+                if (state.edgeClasses[edgeIndex] !== null) {
+                    continue;
+                }
+
+                if (state.side[neighbor] === null) {
+                    state.side[neighbor] = 1 - state.side[node];
+                    state.parent[neighbor] = node;
+                    state.edgeClasses[edgeIndex] = EDGE_CLASSES.TREE;
+                    state.queue.push(neighbor);
+                    yield this.createColorStep(neighbor, node, edgeIndex, state);
+                } else if (state.side[neighbor] !== state.side[node]) {
+                    state.edgeClasses[edgeIndex] = EDGE_CLASSES.NON_TREE;
+                    yield this.createConsistentEdgeStep(node, neighbor, edgeIndex, state);
+                } else {
+                    state.oddCycle = traceOddCycle(state.parent, node, neighbor);
+                    state.queue = [];
+                    yield this.createConflictStep(node, neighbor, edgeIndex, state);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Sides, queue and BFS tree shared by every step
+     */
+    getTraversalState(state) {
+        return {
+            side: [...state.side],
+            visited: state.side.map(side => side !== null),
+            parent: [...state.parent],
+            edgeClasses: [...state.edgeClasses],
+            queue: [...state.queue]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            message: 'Starting bipartite check: BFS gives each node the side opposite its parent'
+        });
+    }
+
+    /**
+     * Create coloring step (a new root, or a node reached over a tree edge)
+     */
+    createColorStep(node, parent, edgeIndex, state) {
+        const sideName = SIDE_NAMES[state.side[node]];
+
+        if (parent === null) {
+            return this.createTraversalStep(STEP_TYPES.COLOR, state, {
+                current: node,
+                message: `Node ${node} starts a new component on the ${sideName}`
+            });
+        }
+
+        return this.createTraversalStep(STEP_TYPES.COLOR, state, {
+            current: parent,
+            neighbor: node,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            message: `Node ${node} reached from ${parent} → ${sideName} side`
+        });
+    }
+
+    /**
+     * Create step for an edge that already joins the two sides
+     */
+    createConsistentEdgeStep(node, neighbor, edgeIndex, state) {
+        return this.createTraversalStep(STEP_TYPES.EXPLORE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            message: `Edge ${node} – ${neighbor} joins the ${SIDE_NAMES[state.side[node]]} and ${SIDE_NAMES[state.side[neighbor]]} sides ✓`
+        });
+    }
+
+    /**
+     * Create conflict step
+     */
+    createConflictStep(node, neighbor, edgeIndex, state) {
+        const cycle = state.oddCycle;
+        return this.createTraversalStep(STEP_TYPES.CYCLE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            oddCycle: [...cycle],
+            message: `Edge ${node} – ${neighbor} joins two ${SIDE_NAMES[state.side[node]]} nodes: ` +
+                `odd cycle ${this.formatNodes([...cycle, cycle[0]], ' – ')} (length ${cycle.length})`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const isBipartite = state.oddCycle === null;
+        const left = state.side.map((side, node) => (side === 0 ? node : null)).filter(node => node !== null);
+        const right = state.side.map((side, node) => (side === 1 ? node : null)).filter(node => node !== null);
+
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            isBipartite,
+            oddCycle: isBipartite ? null : [...state.oddCycle],
+            message: isBipartite
+                ? `Bipartite: left {${this.formatNodes(left)}}, right {${this.formatNodes(right)}}`
+                : `Not bipartite: odd cycle through ${this.formatNodes(state.oddCycle)}`
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'BipartiteCheck(G):',
+            '  for each uncolored node r:',
+            '    side[r] ← left; queue ← [r]',
+            '    while queue is not empty:',
+            '      u ← queue.dequeue()',
+            '      for each edge (u, v) not yet seen:',
+            '        if v is uncolored: side[v] ← opposite of side[u]; enqueue v',
+            '        else if side[v] ≠ side[u]: the edge is consistent',
+            '        else: odd cycle through u and v, stop',
+            '  return bipartite unless an odd cycle was found'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.COLOR]: step => (step.neighbor === undefined ? 3 : 7),
+            [STEP_TYPES.EXPLORE]: 8,
+            [STEP_TYPES.CYCLE]: 9,
+            [STEP_TYPES.COMPLETE]: 10
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v, side } = step;
+        return {
+            u,
+            v,
+            'side[u]': SIDE_NAMES[side?.[u]],
+            'side[v]': SIDE_NAMES[side?.[v]],
+            queue: step.queue,
+            'odd cycle': step.oddCycle ?? undefined,
+            bipartite: step.isBipartite
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V + E)',
+            spaceComplexity: 'O(V)',
+            requirements: ['Edge direction is ignored'],
+            useCases: [
+                'Checking a graph before matching',
+                'Two-coloring and scheduling conflicts',
+                'Finding odd cycles'
+            ]
+        };
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Breadth-First Search
+ * Splits the nodes reachable from a start node into layers by hop count;
+ * edges that discover a node are tree edges, every other explored edge is non-tree
+ */
+
+import { TraversalAlgorithm } from './TraversalAlgorithm.js';
+import { STEP_TYPES, EDGE_CLASSES } from '../core/Constants.js';
+
+export class BreadthFirstSearch extends TraversalAlgorithm {
+    constructor() {
+        super('Breadth-First Search', 'BFS layering by hop count from a start node');
+        this.requiresStartNode = true;
+    }
+
+    /**
+     * Execute BFS
+     * @param {Object} options - { startNode (default 0) }
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const startNode = options.startNode || 0;
+        this.validateStartNode(startNode, graph.nodes.length);
+
+        const state = this.initializeState(graph, startNode);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.processQueue(state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, startNode) {
+        const nodeCount = graph.nodes.length;
+        const layer = Array(nodeCount).fill(Infinity);
+        layer[startNode] = 0;
+
+        return {
+            graph,
+            nodeCount,
+            startNode,
+            adjacency: this.buildAdjacency(graph),
+            layer,
+            parent: Array(nodeCount).fill(null),
+            edgeClasses: Array(graph.edges.length).fill(null),
+            layers: [[startNode]],
+            queue: [startNode]
+        };
+    }
+
+    /**
+     * Dequeue nodes in FIFO order; a new layer starts when the first node of it is dequeued
+     */
+    *processQueue(state) {
+        let currentLayer = 0;
+
+        while (state.queue.length > 0) {
+            const node = state.queue.shift();
+
+            if (state.layer[node] !== currentLayer) {
+                currentLayer = state.layer[node];
+                yield this.createLayerStep(currentLayer, state);
+            }
+
+            yield this.createDequeueStep(node, state);
+
+            for (const { nodeId: neighbor, edgeIndex } of state.adjacency[node]) {
+                yield* this.processEdge(node, neighbor, edgeIndex, state);
+            }
+        }
+    }
+
+    /**
+     * Explore one edge: discover the neighbor or mark the edge non-tree
+     */
+    *processEdge(node, neighbor, edgeIndex, state) {
+        // Undirected edges are seen from both ends; the first look decides
+        if (state.edgeClasses[edgeIndex] !== null) {
+            return;
+        }
+
+        if (state.layer[neighbor] === Infinity) {
+            state.layer[neighbor] = state.layer[node] + 1;
+            state.parent[neighbor] = node;
+            state.edgeClasses[edgeIndex] = EDGE_CLASSES.TREE;
+            state.queue.push(neighbor);
+
+            if (!state.layers[state.layer[neighbor]]) {
+                state.layers[state.layer[neighbor]] = [];
+            }
+            state.layers[state.layer[neighbor]].push(neighbor);
+
+            yield this.createEnqueueStep(node, neighbor, edgeIndex, state);
+        } else {
+            state.edgeClasses[edgeIndex] = EDGE_CLASSES.NON_TREE;
+            yield this.createNonTreeStep(node, neighbor, edgeIndex, state);
+        }
+    }
+
+    /**
+     * Layers, queue and edge classes shared by every step
+     * distances holds the layer numbers so the canvas labels show them
+     */
+    getTraversalState(state) {
+        return {
+            startNode: state.startNode,
+            distances: [...state.layer],
+            visited: state.layer.map(layer => layer !== Infinity),
+            layers: state.layers.map(layer => [...layer]),
+            queue: [...state.queue],
+            parent: [...state.parent],
+            edgeClasses: [...state.edgeClasses]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            current: state.startNode,
+            message: `Starting BFS from node ${state.startNode} (layer 0)`
+        });
+    }
+
+    /**
+     * Create layer step
+     */
+    createLayerStep(layer, state) {
+        return this.createTraversalStep(STEP_TYPES.LAYER, state, {
+            layer,
+            message: `Layer ${layer}: {${this.formatNodes(state.layers[layer])}}`
+        });
+    }
+
+    /**
+     * Create dequeue step
+     */
+    createDequeueStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.DEQUEUE, state, {
+            current: node,
+            message: `Dequeued node ${node} (layer ${state.layer[node]})`
+        });
+    }
+
+    /**
+     * Create enqueue step (neighbor discovered)
+     */
+    createEnqueueStep(node, neighbor, edgeIndex, state) {
+        return this.createTraversalStep(STEP_TYPES.ENQUEUE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            edgeClass: EDGE_CLASSES.TREE,
+            message: `Discovered node ${neighbor} via ${node} → layer ${state.layer[neighbor]}`
+        });
+    }
+
+    /**
+     * Create non-tree edge step
+     */
+    createNonTreeStep(node, neighbor, edgeIndex, state) {
+        const delta = state.layer[neighbor] - state.layer[node];
+        return this.createTraversalStep(STEP_TYPES.CLASSIFY_EDGE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            edgeClass: EDGE_CLASSES.NON_TREE,
+            message: `Edge ${node} → ${neighbor} is a non-tree edge (layer ${state.layer[node]} → ${state.layer[neighbor]}, ${delta >= 0 ? '+' : ''}${delta})`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const reached = state.layer.filter(layer => layer !== Infinity).length;
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            message: `BFS complete: ${state.layers.length} layer(s), ${reached} of ${state.nodeCount} nodes reached`
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'BFS(G, s):',
+            '  layer[v] ← ∞ for every v; layer[s] ← 0; queue ← [s]',
+            '  while queue is not empty:',
+            '    u ← queue.dequeue()',
+            '    for each edge (u, v) not classified yet:',
+            '      if layer[v] = ∞:',
+            '        layer[v] ← layer[u] + 1; parent[v] ← u; queue.enqueue(v)',
+            '      else: mark (u, v) as a non-tree edge',
+            '  return layer, parent'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.LAYER]: 4,
+            [STEP_TYPES.DEQUEUE]: 4,
+            [STEP_TYPES.ENQUEUE]: 7,
+            [STEP_TYPES.CLASSIFY_EDGE]: 8,
+            [STEP_TYPES.COMPLETE]: 9
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            u,
+            v,
+            'layer[u]': step.distances?.[u],
+            'layer[v]': step.distances?.[v],
+            layer: step.layer,
+            queue: step.queue
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V + E)',
+            spaceComplexity: 'O(V)',
+            requirements: [],
+            useCases: [
+                'Fewest-hop paths',
+                'Bipartiteness testing',
+                'Level-order exploration'
+            ]
+        };
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * DFS Topological Sort
+ * Reverse finishing order of a DFS is a topological order; a back edge
+ * means a cycle, which is read off the DFS stack
+ */
+
+import { DepthFirstSearch } from './DepthFirstSearch.js';
+import { STEP_TYPES, EDGE_CLASSES } from '../core/Constants.js';
+
+export class DFSTopologicalSort extends DepthFirstSearch {
+    constructor() {
+        super('Topological Sort (DFS)', 'Topological order from reverse DFS finishing times');
+        this.requiresStartNode = false;
+    }
+
+    /**
+     * Execute DFS-based topological sort
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+        this.requireDirected(graph);
+
+        const state = this.initializeState(graph, 0);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.traverse(state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, startNode) {
+        return {
+            ...super.initializeState(graph, startNode),
+            order: [],
+            cycle: null
+        };
+    }
+
+    /**
+     * A back edge closes a cycle: stop and report it
+     */
+    *afterEdge(node, neighbor, edgeClass, state) {
+        if (edgeClass !== EDGE_CLASSES.BACK) {
+            return;
+        }
+
+        state.cycle = state.stack.slice(state.stack.indexOf(neighbor));
+        state.stopped = true;
+        yield this.createCycleStep(node, neighbor, state);
+    }
+
+    /**
+     * A finished node goes in front of everything finished before it
+     */
+    *afterFinish(node, state) {
+        state.order.unshift(node);
+        yield this.createEmitStep(node, state);
+    }
+
+    /**
+     * DFS state plus the order built so far
+     */
+    getTraversalState(state) {
+        return {
+            ...super.getTraversalState(state),
+            order: [...state.order]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            message: 'Starting DFS; each node is prepended to the order when it finishes'
+        });
+    }
+
+    /**
+     * Create emit step
+     */
+    createEmitStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.EMIT, state, {
+            current: node,
+            message: `Node ${node} finished → prepended: ${this.formatNodes(state.order, ' → ')}`
+        });
+    }
+
+    /**
+     * Create cycle step
+     */
+    createCycleStep(node, neighbor, state) {
+        return this.createTraversalStep(STEP_TYPES.CYCLE, state, {
+            current: node,
+            neighbor,
+            cycle: [...state.cycle],
+            message: `Back edge ${node} → ${neighbor} closes cycle ${this.formatNodes([...state.cycle, neighbor], ' → ')}`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const message = state.cycle
+            ? `No topological order: the graph has a cycle through ${this.formatNodes(state.cycle)}`
+            : `Topological order: ${this.formatNodes(state.order, ' → ')}`;
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            hasCycle: state.cycle !== null,
+            cycle: state.cycle ? [...state.cycle] : null,
+            message
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'TopologicalSort-DFS(G):',
+            '  order ← []',
+            '  for each node r: if r is undiscovered: Visit(r)',
+            '  return order',
+            'Visit(u):',
+            '  d[u] ← ++time; push u on the stack',
+            '  for each edge (u, v):',
+            '    classify (u, v) as tree, back, forward or cross',
+            '    if it is a tree edge: Visit(v)',
+            '    if it is a back edge: cycle found, no order exists; stop',
+            '  f[u] ← ++time; pop u',
+            '  prepend u to order'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.DISCOVER]: 6,
+            [STEP_TYPES.CLASSIFY_EDGE]: step => (step.edgeClass === EDGE_CLASSES.TREE ? 9 : 8),
+            [STEP_TYPES.CYCLE]: 10,
+            [STEP_TYPES.FINISH]: 11,
+            [STEP_TYPES.EMIT]: 12,
+            [STEP_TYPES.COMPLETE]: 4
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            ...super.getStepVariables(step),
+            order: step.order,
+            cycle: step.cycle ?? undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requirements: ['Directed graph'],
+            useCases: [
+                'Build and task scheduling',
+                'Course prerequisites',
+                'Cycle detection in dependency graphs'
+            ]
+        };
+    }
+}
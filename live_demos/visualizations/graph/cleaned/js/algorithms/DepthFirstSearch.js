@@ -0,0 +1,303 @@
+/**
+ * Depth-First Search
+ * Visits every node (a DFS forest), stamps discovery/finish times and classifies
+ * each edge as tree, back, forward or cross (undirected graphs only have tree and back edges)
+ */
+
+import { TraversalAlgorithm } from './TraversalAlgorithm.js';
+import { STEP_TYPES, EDGE_CLASSES } from '../core/Constants.js';
+
+export class DepthFirstSearch extends TraversalAlgorithm {
+    constructor(name = 'Depth-First Search', description = 'DFS forest with discovery/finish times and edge classification') {
+        super(name, description);
+        this.requiresStartNode = true;
+    }
+
+    /**
+     * Execute DFS
+     * @param {Object} options - { startNode: first root (default 0) }
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const startNode = options.startNode || 0;
+        this.validateStartNode(startNode, graph.nodes.length);
+
+        const state = this.initializeState(graph, startNode);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.traverse(state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, startNode) {
+        const nodeCount = graph.nodes.length;
+
+        return {
+            graph,
+            nodeCount,
+            startNode,
+            adjacency: this.buildAdjacency(graph),
+            time: 0,
+            discovery: Array(nodeCount).fill(null),
+            finish: Array(nodeCount).fill(null),
+            parent: Array(nodeCount).fill(null),
+            edgeClasses: Array(graph.edges.length).fill(null),
+            stack: [], // Nodes discovered but not finished (the current DFS path)
+            roots: [],
+            stopped: false
+        };
+    }
+
+    /**
+     * Run DFS from every undiscovered node, start node first
+     */
+    *traverse(state) {
+        for (const root of this.rootOrder(state.nodeCount, state.startNode)) {
+            if (state.stopped) {
+                return;
+            }
+            if (state.discovery[root] !== null) {
+                continue;
+            }
+
+            state.roots.push(root);
+            yield* this.visit(root, state);
+        }
+    }
+
+    /**
+     * Recursive visit
+     */
+    *visit(node, state) {
+        state.discovery[node] = ++state.time;
+        state.stack.push(node);
+        yield this.createDiscoverStep(node, state);
+        yield* this.afterDiscover(node, state);
+
+        for (const { nodeId: neighbor, edgeIndex } of state.adjacency[node]) {
+            if (state.stopped) {
+                return;
+            }
+            // Undirected edges are classified once, from whichever end sees them first
+            // (this also keeps the tree edge back to the parent from counting as a back edge)
+            if (!state.graph.directed && state.edgeClasses[edgeIndex] !== null) {
+                continue;
+            }
+
+            const edgeClass = this.classifyEdge(node, neighbor, state);
+            state.edgeClasses[edgeIndex] = edgeClass;
+            yield this.createClassifyStep(node, neighbor, edgeIndex, edgeClass, state);
+
+            if (edgeClass === EDGE_CLASSES.TREE) {
+                state.parent[neighbor] = node;
+                yield* this.visit(neighbor, state);
+            }
+            if (state.stopped) {
+                return;
+            }
+
+            yield* this.afterEdge(node, neighbor, edgeClass, state);
+        }
+
+        if (state.stopped) {
+            return;
+        }
+
+        yield* this.beforeFinish(node, state);
+        state.finish[node] = ++state.time;
+        state.stack.pop();
+        yield this.createFinishStep(node, state);
+        yield* this.afterFinish(node, state);
+    }
+
+    /**
+     * White neighbor: tree; on the stack (gray): back; finished (black): forward if it
+     * was discovered after node, otherwise cross
+     */
+    classifyEdge(node, neighbor, state) {
+        if (state.discovery[neighbor] === null) {
+            return EDGE_CLASSES.TREE;
+        }
+        if (state.finish[neighbor] === null) {
+            return EDGE_CLASSES.BACK;
+        }
+        return state.discovery[node] < state.discovery[neighbor] ? EDGE_CLASSES.FORWARD : EDGE_CLASSES.CROSS;
+    }
+
+    /**
+     * Hook: after node is discovered
+     */
+    *afterDiscover(node, state) {}
+
+    /**
+     * Hook: after an edge has been classified (and a tree edge's subtree finished)
+     */
+    *afterEdge(node, neighbor, edgeClass, state) {}
+
+    /**
+     * Hook: after all of node's edges, before it is finished
+     */
+    *beforeFinish(node, state) {}
+
+    /**
+     * Hook: after node is finished
+     */
+    *afterFinish(node, state) {}
+
+    /**
+     * Count edges per class
+     */
+    countEdgeClasses(state) {
+        const counts = {};
+        for (const edgeClass of state.edgeClasses) {
+            if (edgeClass !== null) {
+                counts[edgeClass] = (counts[edgeClass] || 0) + 1;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Times, stack and edge classes shared by every step
+     */
+    getTraversalState(state) {
+        return {
+            startNode: state.startNode,
+            discovery: [...state.discovery],
+            finish: [...state.finish],
+            visited: state.discovery.map(time => time !== null),
+            onStack: state.discovery.map((time, node) => time !== null && state.finish[node] === null),
+            stack: [...state.stack],
+            parent: [...state.parent],
+            edgeClasses: [...state.edgeClasses]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            current: state.startNode,
+            message: `Starting ${this.name} from node ${state.startNode}`
+        });
+    }
+
+    /**
+     * Create discover step
+     */
+    createDiscoverStep(node, state) {
+        const parent = state.parent[node];
+        const via = parent === null ? ' (new DFS tree root)' : ` from ${parent}`;
+        return this.createTraversalStep(STEP_TYPES.DISCOVER, state, {
+            current: node,
+            message: `Discovered node ${node}${via} at time ${state.discovery[node]}`
+        });
+    }
+
+    /**
+     * Create edge classification step
+     */
+    createClassifyStep(node, neighbor, edgeIndex, edgeClass, state) {
+        return this.createTraversalStep(STEP_TYPES.CLASSIFY_EDGE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            edgeClass,
+            message: `Edge ${node} → ${neighbor} is a ${edgeClass} edge`
+        });
+    }
+
+    /**
+     * Create finish step
+     */
+    createFinishStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.FINISH, state, {
+            current: node,
+            message: `Finished node ${node} at time ${state.finish[node]} (d/f = ${state.discovery[node]}/${state.finish[node]})`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const counts = this.countEdgeClasses(state);
+        const summary = Object.entries(counts).map(([edgeClass, count]) => `${count} ${edgeClass}`).join(', ');
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            edgeClassCounts: counts,
+            roots: [...state.roots],
+            message: `DFS complete: ${state.roots.length} tree(s), edges: ${summary || 'none'}`
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'DFS(G, s):',
+            '  for each node r, s first: if r is undiscovered: Visit(r)',
+            '  return d, f and the edge classes',
+            'Visit(u):',
+            '  d[u] ← ++time; push u on the stack',
+            '  for each edge (u, v) not classified yet:',
+            '    classify (u, v) as tree, back, forward or cross',
+            '    if it is a tree edge: parent[v] ← u; Visit(v)',
+            '  f[u] ← ++time; pop u'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.DISCOVER]: 5,
+            [STEP_TYPES.CLASSIFY_EDGE]: step => (step.edgeClass === EDGE_CLASSES.TREE ? 8 : 7),
+            [STEP_TYPES.FINISH]: 9,
+            [STEP_TYPES.COMPLETE]: 3
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            u,
+            v,
+            'd[u]': step.discovery?.[u],
+            'f[u]': step.finish?.[u],
+            'd[v]': step.discovery?.[v],
+            'class(u, v)': step.edgeClass,
+            stack: step.stack
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V + E)',
+            spaceComplexity: 'O(V)',
+            requirements: [],
+            useCases: [
+                'Cycle detection',
+                'Topological sorting',
+                'Strongly connected components'
+            ]
+        };
+    }
+}
@@ -4,16 +4,19 @@
  */
 
 import { Algorithm } from './Algorithm.js';
-import { getNeighbors, findEdge } from '../core/Utils.js';
-import { MinHeap } from '../core/MinHeap.js';
+import { getNeighbors, findEdge, formatDistance } from '../core/Utils.js';
+import { createPriorityQueue } from '../queues/QueueRegistry.js';
+import { createNodeQuestion, createYesNoQuestion, findOpenNodes } from '../quiz/QuizQuestions.js';
 
 export class Dijkstra extends Algorithm {
-    constructor() {
-        super('Dijkstra', 'Single-source shortest path with non-negative weights');
+    constructor(name = 'Dijkstra', description = 'Single-source shortest path with non-negative weights') {
+        super(name, description);
     }
 
     /**
      * Execute Dijkstra's algorithm
+     * @param {Object} options - { startNode, priorityQueue: PRIORITY_QUEUES value; when given,
+     *   steps also carry the queue's shape and operation counts }
      */
     *execute(graph, options = {}) {
         const startNode = options.startNode || 0;
@@ -25,7 +28,7 @@ export class Dijkstra extends Algorithm {
         }
 
         // Initialize state
-        const state = this.initializeState(nodeCount, startNode);
+        const state = this.initializeState(nodeCount, startNode, options.priorityQueue);
 
         // Yield initialization step
         yield this.createInitializationStep(startNode, state);
@@ -60,13 +63,15 @@ export class Dijkstra extends Algorithm {
 
     /**
      * Initialize algorithm state
+     * @param {string} [queueType] - PRIORITY_QUEUES value (default: lazy binary heap, not recorded)
      */
-    initializeState(nodeCount, startNode) {
+    initializeState(nodeCount, startNode, queueType) {
         return {
             distances: Array(nodeCount).fill(Infinity),
             visited: Array(nodeCount).fill(false),
             previous: Array(nodeCount).fill(null),
-            priorityQueue: new MinHeap(),
+            priorityQueue: createPriorityQueue(queueType, 'distance'),
+            recordQueue: queueType !== undefined,
             startNode
         };
     }
@@ -78,7 +83,7 @@ export class Dijkstra extends Algorithm {
         const { startNode, distances, priorityQueue } = state;
         
         distances[startNode] = 0;
-        priorityQueue.insert({ node: startNode, distance: 0 });
+        this.enqueue(priorityQueue, { node: startNode, distance: 0 });
     }
 
     /**
@@ -109,11 +114,24 @@ export class Dijkstra extends Algorithm {
             // Yield visit step
             yield this.createVisitStep(current, state);
 
+            // Subclasses may finish early (e.g. once a goal is settled)
+            if (this.shouldStop(current, state)) {
+                break;
+            }
+
             // Process neighbors
             yield* this.processNeighbors(graph, current, state);
         }
     }
 
+    /**
+     * Check whether the search can stop after visiting a node
+     * Plain Dijkstra settles every reachable node
+     */
+    shouldStop(current, state) {
+        return false;
+    }
+
     /**
      * Check if priority queue entry is stale
      */
@@ -171,22 +189,45 @@ export class Dijkstra extends Algorithm {
     relaxEdge(neighbor, newDistance, current, state) {
         state.distances[neighbor] = newDistance;
         state.previous[neighbor] = current;
-        state.priorityQueue.insert({ 
-            node: neighbor, 
-            distance: newDistance 
+        this.enqueue(state.priorityQueue, {
+            node: neighbor,
+            distance: newDistance
         });
     }
 
+    /**
+     * Queue an entry; indexed queues lower the node's entry in place instead of
+     * adding a second one, so they never produce stale entries
+     */
+    enqueue(priorityQueue, entry) {
+        if (!priorityQueue.indexed || !priorityQueue.decreaseKey(entry.node, entry)) {
+            priorityQueue.insert(entry);
+        }
+    }
+
     /**
      * Get priority queue snapshot
      */
     getPriorityQueueSnapshot(priorityQueue) {
-        return priorityQueue.heap.map(item => ({
+        return priorityQueue.entries().map(item => ({
             node: item.node,
             distance: item.distance
         }));
     }
 
+    /**
+     * Shape and operation counts of the queue, for runs that chose one
+     */
+    getQueueInternals(state) {
+        if (!state.recordQueue) {
+            return {};
+        }
+        return {
+            queueShape: state.priorityQueue.getShape(),
+            queueStats: state.priorityQueue.getStats()
+        };
+    }
+
     /**
      * Create initialization step
      */
@@ -196,6 +237,7 @@ export class Dijkstra extends Algorithm {
             distances: [...state.distances],
             visited: [...state.visited],
             priorityQueue: this.getPriorityQueueSnapshot(state.priorityQueue),
+            ...this.getQueueInternals(state),
             message: `Starting Dijkstra from node ${startNode}`
         });
     }
@@ -209,6 +251,7 @@ export class Dijkstra extends Algorithm {
             pqDistance,
             currentDistance: state.distances[node],
             priorityQueue: this.getPriorityQueueSnapshot(state.priorityQueue),
+            ...this.getQueueInternals(state),
             message: `Discarded stale entry: node ${node} with dist ${pqDistance} (current best: ${state.distances[node]})`
         });
     }
@@ -222,6 +265,7 @@ export class Dijkstra extends Algorithm {
             distances: [...state.distances],
             visited: [...state.visited],
             priorityQueue: this.getPriorityQueueSnapshot(state.priorityQueue),
+            ...this.getQueueInternals(state),
             message: `Visiting node ${node} (distance: ${state.distances[node]})`
         });
     }
@@ -235,6 +279,7 @@ export class Dijkstra extends Algorithm {
             neighborCount,
             distances: [...state.distances],
             priorityQueue: this.getPriorityQueueSnapshot(state.priorityQueue),
+            ...this.getQueueInternals(state),
             message: `Exploring ${neighborCount} neighbors of node ${node}`
         });
     }
@@ -263,6 +308,7 @@ export class Dijkstra extends Algorithm {
             distances: [...state.distances],
             previous: [...state.previous],
             priorityQueue: this.getPriorityQueueSnapshot(state.priorityQueue),
+            ...this.getQueueInternals(state),
             message: `Updated distance to ${neighbor}: ${newDistance} (pushed to PQ)`
         });
     }
@@ -275,10 +321,119 @@ export class Dijkstra extends Algorithm {
             distances: [...state.distances],
             previous: [...state.previous],
             visited: [...state.visited],
+            ...this.getQueueInternals(state),
             message: 'Algorithm complete!'
         });
     }
 
+    /**
+     * Counters: the source push, every pop (stale ones too), explored edges and relaxations (each pushes)
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case 'init': return { queueOps: 1 };
+            case 'visit':
+            case 'discard': return { queueOps: 1 };
+            case 'explore': return { edgesExamined: 1 };
+            case 'relax': return { relaxations: 1, queueOps: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Dijkstra(G, s):',
+            '  dist[v] ← ∞ for every v; dist[s] ← 0',
+            '  PQ.push(s, 0)',
+            '  while PQ is not empty:',
+            '    (u, d) ← PQ.popMin()',
+            '    if d > dist[u]: continue        // stale entry',
+            '    mark u visited',
+            '    for each edge (u, v, w) with v unvisited:',
+            '      if dist[u] + w < dist[v]:',
+            '        dist[v] ← dist[u] + w; prev[v] ← u',
+            '        PQ.push(v, dist[v])',
+            '  return dist, prev'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 3,
+            discard: 6,
+            visit: 7,
+            begin_batch: 8,
+            explore: 9,
+            relax: 10,
+            complete: 12
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v, distances } = step;
+        return {
+            u,
+            v,
+            w: step.edge?.weight,
+            d: step.pqDistance,
+            'dist[u]': step.currentDistance ?? distances?.[u],
+            'dist[v]': distances?.[v],
+            PQ: step.priorityQueue
+        };
+    }
+
+    /**
+     * Quiz: which node is visited next, and whether an explored edge relaxes
+     */
+    getQuizQuestion(step, next) {
+        if (next.type === 'visit') {
+            return createNodeQuestion(
+                `Which node will ${this.name} visit next?`,
+                next.current,
+                findOpenNodes(next.distances, next.visited),
+                node => this.getQueuePriority(next, node),
+                next.message
+            );
+        }
+
+        if (step.type === 'explore') {
+            const { current: u, neighbor: v, distances } = step;
+            const weight = step.edge?.weight || 0;
+            const sum = distances[u] + weight;
+            const relaxes = next.type === 'relax';
+            let explanation = next.message;
+            if (!relaxes) {
+                // A smaller sum that did not relax means v was already settled (a negative edge)
+                explanation = sum < distances[v]
+                    ? `${v} is already settled, so dist[${v}] = ${formatDistance(distances[v])} is final even though dist[${u}] + ${weight} = ${formatDistance(sum)} is smaller`
+                    : `dist[${u}] + ${weight} = ${formatDistance(sum)} is not less than dist[${v}] = ${formatDistance(distances[v])}`;
+            }
+            return createYesNoQuestion(
+                `Edge ${u} → ${v} (weight ${weight}): will it lower dist[${v}]?`,
+                relaxes,
+                explanation
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Value the queue orders a node by at a step
+     */
+    getQueuePriority(step, node) {
+        return step.distances[node];
+    }
+
     /**
      * Get algorithm metadata
      */
@@ -0,0 +1,182 @@
+/**
+ * Dinic's Algorithm
+ * Maximum flow in phases: build a BFS level graph, then saturate it with a blocking flow
+ */
+
+import { MaxFlowAlgorithm } from './MaxFlowAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+export class Dinic extends MaxFlowAlgorithm {
+    constructor() {
+        super('Dinic', 'Maximum flow by blocking flows on BFS level graphs');
+    }
+
+    /**
+     * Run phases until the sink drops out of the level graph
+     */
+    *computeFlow(state) {
+        let phase = 0;
+
+        while (true) {
+            phase++;
+            const levels = this.buildLevels(state);
+
+            yield this.createFlowStep(STEP_TYPES.LEVEL_GRAPH, state, {
+                phase,
+                levels,
+                levelEdges: this.getLevelEdges(state, levels),
+                message: levels[state.sink] === -1
+                    ? `Phase ${phase}: sink unreachable in the residual graph`
+                    : `Phase ${phase}: level graph built, sink at distance ${levels[state.sink]}`
+            });
+
+            if (levels[state.sink] === -1) {
+                break;
+            }
+
+            // Blocking flow: each node keeps a pointer to its next untried arc
+            const nextArc = Array(state.network.nodeCount).fill(0);
+            let pathArcs;
+            while ((pathArcs = this.findLevelPath(state, levels, nextArc)) !== null) {
+                const bottleneck = this.augment(state, pathArcs);
+                yield this.createAugmentStep(state, pathArcs, bottleneck, {
+                    phase,
+                    levels,
+                    levelEdges: this.getLevelEdges(state, levels)
+                });
+            }
+        }
+    }
+
+    /**
+     * BFS distance from the source over residual arcs (-1 if unreachable)
+     */
+    buildLevels(state) {
+        const { network, source } = state;
+        const levels = Array(network.nodeCount).fill(-1);
+        const queue = [source];
+        levels[source] = 0;
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+            for (const arcIndex of network.adjacency[node]) {
+                const { to } = network.arcs[arcIndex];
+                if (levels[to] === -1 && network.hasResidual(arcIndex)) {
+                    levels[to] = levels[node] + 1;
+                    queue.push(to);
+                }
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Check whether an arc belongs to the level graph
+     */
+    isAdmissible(state, levels, arcIndex) {
+        const { from, to } = state.network.arcs[arcIndex];
+        return state.network.hasResidual(arcIndex) && levels[to] === levels[from] + 1;
+    }
+
+    /**
+     * Arcs of the current level graph, for display
+     */
+    getLevelEdges(state, levels) {
+        const arcIndices = [];
+        state.network.arcs.forEach((_, arcIndex) => {
+            if (this.isAdmissible(state, levels, arcIndex)) {
+                arcIndices.push(arcIndex);
+            }
+        });
+        return this.describeArcs(state, arcIndices);
+    }
+
+    /**
+     * Depth-first search for a source-sink path in the level graph
+     * Dead-end arcs are skipped for the rest of the phase via nextArc
+     * @returns {number[]|null} Arcs of the path
+     */
+    findLevelPath(state, levels, nextArc) {
+        const { network, source, sink } = state;
+        const pathArcs = [];
+        let node = source;
+
+        while (node !== sink) {
+            const arcs = network.adjacency[node];
+            while (nextArc[node] < arcs.length && !this.isAdmissible(state, levels, arcs[nextArc[node]])) {
+                nextArc[node]++;
+            }
+
+            if (nextArc[node] < arcs.length) {
+                const arcIndex = arcs[nextArc[node]];
+                pathArcs.push(arcIndex);
+                node = network.arcs[arcIndex].to;
+                continue;
+            }
+
+            // Dead end: retreat and skip the arc that led here
+            if (node === source) {
+                return null;
+            }
+            const arcIndex = pathArcs.pop();
+            node = network.arcs[arcIndex].from;
+            nextArc[node]++;
+        }
+
+        return pathArcs;
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Dinic(G, s, t):',
+            '  f ← 0 on every edge',
+            '  loop:',
+            '    level ← BFS distances from s over arcs with spare capacity',
+            '    if t has no level: break',
+            '    while some path s → t only uses arcs one level up:',
+            '      push its bottleneck b along it; |f| ← |f| + b',
+            '  S ← nodes reachable from s over arcs with spare capacity',
+            '  return |f| and the cut (S, V − S)'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.LEVEL_GRAPH]: step => (step.levels[step.sink] === -1 ? 5 : 4),
+            [STEP_TYPES.AUGMENT]: 7,
+            [STEP_TYPES.MIN_CUT]: 8,
+            [STEP_TYPES.COMPLETE]: 9
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            phase: step.phase,
+            ...super.getStepVariables(step),
+            'level[t]': step.levels?.[step.sink],
+            level: step.levels
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V² E)',
+            spaceComplexity: 'O(V + E)'
+        };
+    }
+}
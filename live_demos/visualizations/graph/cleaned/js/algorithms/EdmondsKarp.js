@@ -0,0 +1,145 @@
+/**
+ * Edmonds-Karp Algorithm
+ * Ford-Fulkerson with breadth-first search: always augment along a shortest residual path
+ */
+
+import { MaxFlowAlgorithm } from './MaxFlowAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+export class EdmondsKarp extends MaxFlowAlgorithm {
+    constructor() {
+        super('Edmonds-Karp', 'Maximum flow by repeated shortest augmenting paths (BFS)');
+    }
+
+    /**
+     * Augment along BFS paths until the sink is unreachable
+     */
+    *computeFlow(state) {
+        while (true) {
+            const parentArc = yield* this.breadthFirstSearch(state);
+            if (parentArc[state.sink] === null) {
+                break;
+            }
+
+            const pathArcs = this.tracePath(state, parentArc);
+            const bottleneck = this.augment(state, pathArcs);
+            yield this.createAugmentStep(state, pathArcs, bottleneck);
+        }
+    }
+
+    /**
+     * BFS over arcs with spare capacity
+     * @returns {Array<number|null>} Arc used to reach each node
+     */
+    *breadthFirstSearch(state) {
+        const { network, source, sink } = state;
+        const parentArc = Array(network.nodeCount).fill(null);
+        const visited = Array(network.nodeCount).fill(false);
+        const queue = [source];
+        visited[source] = true;
+
+        while (queue.length > 0 && !visited[sink]) {
+            const current = queue.shift();
+
+            yield this.createFlowStep(STEP_TYPES.VISIT, state, {
+                current,
+                visited: [...visited],
+                queue: [...queue],
+                message: `BFS: dequeued node ${current}`
+            });
+
+            for (const arcIndex of network.adjacency[current]) {
+                const { to } = network.arcs[arcIndex];
+                if (visited[to] || !network.hasResidual(arcIndex)) {
+                    continue;
+                }
+
+                visited[to] = true;
+                parentArc[to] = arcIndex;
+                queue.push(to);
+
+                const [arc] = this.describeArcs(state, [arcIndex]);
+                yield this.createFlowStep(STEP_TYPES.EXPLORE, state, {
+                    current,
+                    neighbor: to,
+                    residualArc: arc,
+                    visited: [...visited],
+                    queue: [...queue],
+                    message: `Residual ${arc.isBackEdge ? 'back-edge' : 'edge'} ${current} → ${to} has ${this.formatAmount(arc.residual)} spare`
+                });
+            }
+        }
+
+        return parentArc;
+    }
+
+    /**
+     * Arcs from source to sink, following BFS parents back from the sink
+     */
+    tracePath(state, parentArc) {
+        const pathArcs = [];
+        let node = state.sink;
+
+        while (node !== state.source) {
+            const arcIndex = parentArc[node];
+            pathArcs.unshift(arcIndex);
+            node = state.network.arcs[arcIndex].from;
+        }
+
+        return pathArcs;
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Edmonds-Karp(G, s, t):',
+            '  f ← 0 on every edge',
+            '  loop:',
+            '    BFS from s over arcs with spare capacity:',
+            '      u ← queue.dequeue()',
+            '      for each arc (u, v) with spare > 0 and v unvisited: visit v; enqueue v',
+            '    if t was not reached: break',
+            '    b ← smallest spare capacity on the path s → t',
+            '    push b along the path; |f| ← |f| + b',
+            '  S ← nodes reachable from s over arcs with spare capacity',
+            '  return |f| and the cut (S, V − S)'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.VISIT]: 5,
+            [STEP_TYPES.EXPLORE]: 6,
+            [STEP_TYPES.AUGMENT]: 9,
+            [STEP_TYPES.MIN_CUT]: 10,
+            [STEP_TYPES.COMPLETE]: 11
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            ...super.getStepVariables(step),
+            queue: step.queue
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V E²)',
+            spaceComplexity: 'O(V + E)'
+        };
+    }
+}
@@ -55,6 +55,14 @@ export class FloydWarshall extends Algorithm {
             }
         }
         
+        // The diagonal is never updated, so a negative cycle shows as a negative
+        // self-loop on the diagonal or as a pair whose round trip is negative
+        const cycle = this.findNegativeCycle(nodeCount, state);
+        if (cycle) {
+            yield this.createNegativeCycleStep(cycle, state);
+            return; // Shortest paths are undefined
+        }
+        
         yield this.createCompletionStep(state);
     }
 
@@ -135,6 +143,26 @@ export class FloydWarshall extends Algorithm {
         return { oldDistance, newDistance };
     }
 
+    /**
+     * Find a node i with a negative self-loop (k = i), or two nodes i, k whose
+     * round trip i → k → i has negative weight
+     * @returns {{i: number, k: number, weight: number}|null}
+     */
+    findNegativeCycle(nodeCount, state) {
+        for (let i = 0; i < nodeCount; i++) {
+            if (state.distances[i][i] < 0) {
+                return { i, k: i, weight: state.distances[i][i] };
+            }
+            for (let k = i + 1; k < nodeCount; k++) {
+                const weight = state.distances[i][k] + state.distances[k][i];
+                if (weight < 0) {
+                    return { i, k, weight };
+                }
+            }
+        }
+        return null;
+    }
+
     /**
      * Create initialization step
      */
@@ -216,6 +244,21 @@ export class FloydWarshall extends Algorithm {
         });
     }
 
+    /**
+     * Create negative cycle detection step
+     */
+    createNegativeCycleStep(cycle, state) {
+        return this.createStep('negative_cycle', {
+            i: cycle.i,
+            j: cycle.k,
+            dist: cloneMatrix(state.distances),
+            next: cloneMatrix(state.next),
+            message: cycle.i === cycle.k
+                ? `Negative cycle detected: the self-loop at ${cycle.i} has weight ${cycle.weight}`
+                : `Negative cycle detected: ${cycle.i} → ${cycle.k} → ${cycle.i} has weight ${cycle.weight}`
+        });
+    }
+
     /**
      * Create completion step
      */
@@ -226,4 +269,63 @@ export class FloydWarshall extends Algorithm {
             message: 'All-pairs shortest paths computed!'
         });
     }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Floyd-Warshall(G):',
+            '  dist ← edge weights, 0 on the diagonal, ∞ elsewhere',
+            '  for k ← 0 to |V| − 1:',
+            '    for each pair (i, j) with i ≠ j:',
+            '      if i = k or j = k: continue',
+            '      if dist[i][k] + dist[k][j] < dist[i][j]:',
+            '        dist[i][j] ← dist[i][k] + dist[k][j]',
+            '        next[i][j] ← next[i][k]',
+            '  if dist[i][i] < 0 or dist[i][j] + dist[j][i] < 0 for some i, j: negative cycle',
+            '  return dist, next'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.INTERMEDIATE]: 3,
+            [STEP_TYPES.SKIP]: 5,
+            [STEP_TYPES.COMPARE]: 6,
+            [STEP_TYPES.UPDATE]: 7,
+            negative_cycle: 9,
+            [STEP_TYPES.COMPLETE]: 10
+        };
+    }
+
+    /**
+     * Counters: each comparison checks the path i → k → j, each update relaxes dist[i][j]
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case STEP_TYPES.COMPARE: return { edgesExamined: 1 };
+            case STEP_TYPES.UPDATE: return { relaxations: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            k: step.k,
+            i: step.i,
+            j: step.j,
+            'dist[i][k]': step.distIK,
+            'dist[k][j]': step.distKJ,
+            'dist[i][j]': step.directDist ?? step.oldDist,
+            'dist[i][k] + dist[k][j]': step.viaDist ?? step.newDist
+        };
+    }
 }
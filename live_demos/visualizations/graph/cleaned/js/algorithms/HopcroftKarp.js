@@ -0,0 +1,350 @@
+/**
+ * Hopcroft-Karp Maximum Bipartite Matching
+ * Each phase layers the graph by BFS from the free left vertices along alternating
+ * paths, then DFS finds a maximal set of vertex-disjoint shortest augmenting paths
+ * in the layers and flips them; O(E √V)
+ */
+
+import { MatchingAlgorithm } from './MatchingAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+export class HopcroftKarp extends MatchingAlgorithm {
+    constructor() {
+        super('Hopcroft-Karp', 'Maximum bipartite matching by shortest augmenting paths in phases');
+    }
+
+    /**
+     * Execute Hopcroft-Karp
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const state = this.initializeState(graph);
+
+        yield this.createInitializationStep(state);
+
+        while (true) {
+            state.phase++;
+            this.buildLayers(state);
+            yield this.createLayerStep(state);
+
+            if (state.freeDistance === Infinity) {
+                break;
+            }
+
+            yield* this.augmentPhase(state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph) {
+        const state = this.initializeMatching(graph);
+        const adjacency = graph.nodes.map(() => []);
+
+        // Left vertex → its right neighbors; direction is ignored
+        graph.edges.forEach((edge, edgeIndex) => {
+            const u = state.side[edge.from] === 0 ? edge.from : edge.to;
+            const v = u === edge.from ? edge.to : edge.from;
+            adjacency[u].push({ nodeId: v, edgeIndex });
+        });
+
+        return {
+            ...state,
+            adjacency,
+            layer: Array(state.nodeCount).fill(Infinity),
+            freeDistance: Infinity, // Layer of the nearest free right vertex
+            phase: 0,
+            augmentations: 0,
+            alternatingPath: [],
+            alternatingEdges: []
+        };
+    }
+
+    /**
+     * BFS from every free left vertex: unmatched edges lead right, matched edges lead
+     * back left; stop expanding once a free right vertex has been reached
+     */
+    buildLayers(state) {
+        state.layer.fill(Infinity);
+        state.freeDistance = Infinity;
+
+        const queue = state.left.filter(u => state.mate[u] === null);
+        queue.forEach(u => { state.layer[u] = 0; });
+
+        for (let head = 0; head < queue.length; head++) {
+            const u = queue[head];
+            if (state.layer[u] >= state.freeDistance) {
+                continue;
+            }
+
+            for (const { nodeId: v } of state.adjacency[u]) {
+                if (state.layer[v] !== Infinity) {
+                    continue;
+                }
+
+                state.layer[v] = state.layer[u] + 1;
+                const w = state.mate[v];
+
+                if (w === null) {
+                    state.freeDistance = Math.min(state.freeDistance, state.layer[v]);
+                } else if (state.layer[w] === Infinity) {
+                    state.layer[w] = state.layer[v] + 1;
+                    queue.push(w);
+                }
+            }
+        }
+    }
+
+    /**
+     * Search for an augmenting path from each free left vertex of this phase
+     */
+    *augmentPhase(state) {
+        const roots = state.left.filter(u => state.mate[u] === null && state.layer[u] === 0);
+        let found = 0;
+
+        for (const root of roots) {
+            state.alternatingPath = [root];
+            state.alternatingEdges = [];
+            yield this.createSearchStep(root, state);
+
+            if (yield* this.findPath(root, state)) {
+                const path = [...state.alternatingPath];
+                const edges = [...state.alternatingEdges];
+                this.augment(state, path, edges);
+                state.augmentations++;
+                found++;
+                yield this.createAugmentStep(path, state);
+            }
+
+            state.alternatingPath = [];
+            state.alternatingEdges = [];
+        }
+
+        yield this.createPhaseStep(found, state);
+    }
+
+    /**
+     * DFS one layer deeper at a time; a dead end leaves the layers for the rest of the phase
+     * @returns {boolean} Whether alternatingPath now ends at a free right vertex
+     */
+    *findPath(u, state) {
+        for (const { nodeId: v, edgeIndex } of state.adjacency[u]) {
+            if (state.layer[v] !== state.layer[u] + 1) {
+                continue;
+            }
+
+            state.alternatingPath.push(v);
+            state.alternatingEdges.push(edgeIndex);
+            yield this.createExploreStep(u, v, edgeIndex, state);
+
+            const w = state.mate[v];
+            if (w === null) {
+                return true;
+            }
+
+            if (state.layer[w] === state.layer[v] + 1) {
+                state.alternatingPath.push(w);
+                state.alternatingEdges.push(state.mateEdge[v]);
+                yield this.createFollowMatchedStep(v, w, state);
+
+                if (yield* this.findPath(w, state)) {
+                    return true;
+                }
+
+                state.alternatingPath.pop();
+                state.alternatingEdges.pop();
+            }
+
+            state.alternatingPath.pop();
+            state.alternatingEdges.pop();
+        }
+
+        state.layer[u] = Infinity;
+        yield this.createDeadEndStep(u, state);
+        return false;
+    }
+
+    /**
+     * Layers, phase and the alternating path being searched
+     */
+    getMatchingState(state) {
+        return {
+            layer: [...state.layer],
+            freeDistance: state.freeDistance,
+            phase: state.phase,
+            augmentations: state.augmentations,
+            alternatingPath: [...state.alternatingPath]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createMatchingStep(STEP_TYPES.INIT, state, {
+            message: `Starting Hopcroft-Karp: left {${state.left.join(', ')}}, right {${state.right.join(', ')}}, empty matching`
+        });
+    }
+
+    /**
+     * Create layering step
+     */
+    createLayerStep(state) {
+        const message = state.freeDistance === Infinity
+            ? `Phase ${state.phase}: no alternating path reaches a free right vertex, so the matching is maximum`
+            : `Phase ${state.phase}: BFS layers from the free left vertices; shortest augmenting paths have length ${state.freeDistance}`;
+        return this.createMatchingStep(STEP_TYPES.LAYER, state, { message });
+    }
+
+    /**
+     * Create step for starting a DFS at a free left vertex
+     */
+    createSearchStep(root, state) {
+        return this.createMatchingStep(STEP_TYPES.VISIT, state, {
+            current: root,
+            message: `Searching the layers for an augmenting path from free vertex ${root}`
+        });
+    }
+
+    /**
+     * Create step for an unmatched edge into the next layer
+     */
+    createExploreStep(u, v, edgeIndex, state) {
+        const w = state.mate[v];
+        return this.createMatchingStep(STEP_TYPES.EXPLORE, state, {
+            current: u,
+            neighbor: v,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            message: w === null
+                ? `Unmatched edge ${u} – ${v}: ${v} is free, augmenting path found`
+                : `Unmatched edge ${u} – ${v} (layer ${state.layer[v]}); ${v} is matched to ${w}`
+        });
+    }
+
+    /**
+     * Create step for following a matched edge back to the left side
+     */
+    createFollowMatchedStep(v, w, state) {
+        return this.createMatchingStep(STEP_TYPES.EXPLORE, state, {
+            current: w,
+            neighbor: v,
+            edge: state.graph.edges[state.mateEdge[v]],
+            edgeIndex: state.mateEdge[v],
+            message: `Matched edge ${v} – ${w} back to the left (layer ${state.layer[w]})`
+        });
+    }
+
+    /**
+     * Create dead-end step
+     */
+    createDeadEndStep(u, state) {
+        return this.createMatchingStep(STEP_TYPES.SKIP, state, {
+            current: u,
+            message: `No augmenting path continues from ${u}; it is dropped from the layers for this phase`
+        });
+    }
+
+    /**
+     * Create augmentation step
+     */
+    createAugmentStep(path, state) {
+        return this.createMatchingStep(STEP_TYPES.AUGMENT, state, {
+            current: path[0],
+            augmentingPath: path,
+            message: `Augmenting path ${this.formatPath(path)} flipped: matching size ${this.matchingSize(state)}`
+        });
+    }
+
+    /**
+     * Create end-of-phase step
+     */
+    createPhaseStep(found, state) {
+        return this.createMatchingStep(STEP_TYPES.PHASE, state, {
+            message: `Phase ${state.phase} done: ${found} vertex-disjoint augmenting path(s), matching size ${this.matchingSize(state)}`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const free = [...state.left, ...state.right].filter(node => state.mate[node] === null);
+        return this.createMatchingStep(STEP_TYPES.COMPLETE, state, {
+            message: `Maximum matching of size ${this.matchingSize(state)} after ${state.phase - 1} phase(s)` +
+                (free.length > 0 ? `; free vertices {${free.join(', ')}}` : '; perfect matching')
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'HopcroftKarp(G):',
+            '  M ← ∅',
+            '  loop (one phase per pass):',
+            '    BFS layers from the free left vertices along alternating edges',
+            '    if no free right vertex is reached: break',
+            '    for each free left vertex r:',
+            '      DFS from r, one layer deeper at a time:',
+            '        unmatched edge (u, v); if v is free: path found',
+            '        else follow the matched edge (v, mate[v]) and continue there',
+            '        dead end at u: drop u from the layers for this phase',
+            '      if a path was found: M ← M ⊕ path',
+            '  return M'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.LAYER]: step => (step.freeDistance === Infinity ? 5 : 4),
+            [STEP_TYPES.VISIT]: 7,
+            [STEP_TYPES.EXPLORE]: step => (step.matchedEdges[step.edgeIndex] ? 9 : 8),
+            [STEP_TYPES.SKIP]: 10,
+            [STEP_TYPES.AUGMENT]: 11,
+            [STEP_TYPES.PHASE]: 3,
+            [STEP_TYPES.COMPLETE]: 12
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            phase: step.phase,
+            ...super.getStepVariables(step),
+            'mate[v]': v === undefined ? undefined : step.mate[v],
+            'layer[u]': step.layer?.[u],
+            'layer[v]': step.layer?.[v],
+            'path length': step.type === STEP_TYPES.LAYER ? step.freeDistance : undefined,
+            'search path': step.alternatingPath?.length > 0 ? step.alternatingPath : undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(E √V)',
+            spaceComplexity: 'O(V + E)',
+            useCases: [
+                'Job and task assignment',
+                'Student-project allocation',
+                'Minimum vertex cover in bipartite graphs (König)'
+            ]
+        };
+    }
+}
@@ -0,0 +1,504 @@
+/**
+ * Hungarian Algorithm (Munkres) for Minimum-Cost Assignment
+ * Rows are the left vertices and columns the right ones, with edge weights as costs.
+ * Reduce rows and columns, star independent zeros, then cover, prime and adjust
+ * until n starred zeros (an optimal assignment) exist; O(n³)
+ *
+ * Missing edges cost more than any assignment of real edges, so the result is a
+ * maximum matching of minimum cost; a rectangular matrix is padded with zero-cost dummies
+ */
+
+import { MatchingAlgorithm } from './MatchingAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+const EPSILON = 1e-9;
+
+export class Hungarian extends MatchingAlgorithm {
+    constructor() {
+        super('Hungarian Algorithm', 'Minimum-cost assignment by reducing the cost matrix (Munkres)');
+        this.supportsNegativeWeights = true;
+    }
+
+    /**
+     * Execute the Hungarian algorithm
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const state = this.initializeState(graph);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.reduceRows(state);
+        yield* this.reduceColumns(state);
+
+        this.starIndependentZeros(state);
+        yield this.createStarStep(state);
+
+        while (this.coverStarredColumns(state) < state.size) {
+            yield this.createCoverColumnsStep(state);
+            yield* this.findAugmentingPath(state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Build the padded n × n cost matrix from the cheapest edge between each pair
+     */
+    initializeState(graph) {
+        const state = this.initializeMatching(graph);
+        const size = Math.max(state.left.length, state.right.length);
+        const rows = [...state.left, ...Array(size - state.left.length).fill(null)];
+        const cols = [...state.right, ...Array(size - state.right.length).fill(null)];
+        const rowOf = new Map(state.left.map((node, i) => [node, i]));
+        const colOf = new Map(state.right.map((node, j) => [node, j]));
+
+        // Real rows × real columns start as forbidden (null); dummy cells cost 0
+        const cost = rows.map(row => cols.map(col => (row !== null && col !== null ? null : 0)));
+        const cellEdge = rows.map(() => cols.map(() => null));
+
+        graph.edges.forEach((edge, edgeIndex) => {
+            const u = state.side[edge.from] === 0 ? edge.from : edge.to;
+            const v = u === edge.from ? edge.to : edge.from;
+            const i = rowOf.get(u);
+            const j = colOf.get(v);
+            if (cost[i][j] === null || edge.weight < cost[i][j]) {
+                cost[i][j] = edge.weight;
+                cellEdge[i][j] = edgeIndex;
+            }
+        });
+
+        // Any assignment using one more forbidden cell costs more than every real one
+        const totalCost = cost.flat().reduce((sum, value) => sum + Math.abs(value ?? 0), 0);
+        const forbiddenCost = 2 * totalCost + 1;
+
+        return {
+            ...state,
+            size,
+            rows,
+            cols,
+            cost,
+            cellEdge,
+            forbiddenCost,
+            matrix: cost.map(row => row.map(value => value ?? forbiddenCost)),
+            starInRow: Array(size).fill(null),
+            starInCol: Array(size).fill(null),
+            primeInRow: Array(size).fill(null),
+            coveredRows: Array(size).fill(false),
+            coveredCols: Array(size).fill(false)
+        };
+    }
+
+    /**
+     * Subtract each row's minimum from the row
+     */
+    *reduceRows(state) {
+        for (let i = 0; i < state.size; i++) {
+            const min = Math.min(...state.matrix[i]);
+            for (let j = 0; j < state.size; j++) {
+                state.matrix[i][j] -= min;
+            }
+            yield this.createReduceStep(STEP_TYPES.ROW_REDUCE, i, min, state);
+        }
+    }
+
+    /**
+     * Subtract each column's minimum from the column
+     */
+    *reduceColumns(state) {
+        for (let j = 0; j < state.size; j++) {
+            const min = Math.min(...state.matrix.map(row => row[j]));
+            for (let i = 0; i < state.size; i++) {
+                state.matrix[i][j] -= min;
+            }
+            yield this.createReduceStep(STEP_TYPES.COL_REDUCE, j, min, state);
+        }
+    }
+
+    /**
+     * Star a zero in each row and column that has none yet
+     */
+    starIndependentZeros(state) {
+        for (let i = 0; i < state.size; i++) {
+            for (let j = 0; j < state.size; j++) {
+                if (this.isZero(state.matrix[i][j]) && state.starInRow[i] === null && state.starInCol[j] === null) {
+                    this.star(state, i, j);
+                }
+            }
+        }
+        this.syncMatching(state);
+    }
+
+    /**
+     * Cover every column holding a starred zero
+     * @returns {number} Covered column count
+     */
+    coverStarredColumns(state) {
+        state.coveredRows.fill(false);
+        state.coveredCols = state.starInCol.map(row => row !== null);
+        return state.coveredCols.filter(Boolean).length;
+    }
+
+    /**
+     * Prime uncovered zeros, moving covers, until a primed zero has no star in its
+     * row; then flip the alternating prime/star sequence that starts there
+     */
+    *findAugmentingPath(state) {
+        while (true) {
+            const zero = this.findUncoveredZero(state);
+
+            if (zero === null) {
+                const min = this.adjustMatrix(state);
+                yield this.createAdjustStep(min, state);
+                continue;
+            }
+
+            const { row, col } = zero;
+            state.primeInRow[row] = col;
+            const starCol = state.starInRow[row];
+
+            if (starCol !== null) {
+                state.coveredRows[row] = true;
+                state.coveredCols[starCol] = false;
+                yield this.createPrimeStep(row, col, starCol, state);
+                continue;
+            }
+
+            yield this.createPrimeStep(row, col, null, state);
+            const sequence = this.flipSequence(state, row, col);
+            yield this.createAugmentStep(sequence, state);
+            return;
+        }
+    }
+
+    /**
+     * First uncovered zero in row-major order
+     */
+    findUncoveredZero(state) {
+        for (let i = 0; i < state.size; i++) {
+            if (state.coveredRows[i]) continue;
+            for (let j = 0; j < state.size; j++) {
+                if (!state.coveredCols[j] && this.isZero(state.matrix[i][j])) {
+                    return { row: i, col: j };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Subtract the smallest uncovered value from uncovered columns and add it to
+     * covered rows: one new uncovered zero, and no starred or primed zero is lost
+     * @returns {number} The value moved
+     */
+    adjustMatrix(state) {
+        let min = Infinity;
+        for (let i = 0; i < state.size; i++) {
+            if (state.coveredRows[i]) continue;
+            for (let j = 0; j < state.size; j++) {
+                if (!state.coveredCols[j]) {
+                    min = Math.min(min, state.matrix[i][j]);
+                }
+            }
+        }
+
+        for (let i = 0; i < state.size; i++) {
+            for (let j = 0; j < state.size; j++) {
+                if (state.coveredRows[i]) state.matrix[i][j] += min;
+                if (!state.coveredCols[j]) state.matrix[i][j] -= min;
+            }
+        }
+
+        return min;
+    }
+
+    /**
+     * Prime → star in its column → prime in that row → ...; stars become unstarred
+     * and primes starred, which adds one starred zero
+     * @returns {Array<{row: number, col: number}>} The sequence, primes at even positions
+     */
+    flipSequence(state, row, col) {
+        const sequence = [{ row, col }];
+
+        while (state.starInCol[sequence[sequence.length - 1].col] !== null) {
+            const starCol = sequence[sequence.length - 1].col;
+            const starRow = state.starInCol[starCol];
+            sequence.push({ row: starRow, col: starCol });
+            sequence.push({ row: starRow, col: state.primeInRow[starRow] });
+        }
+
+        for (let k = 1; k < sequence.length; k += 2) {
+            state.starInRow[sequence[k].row] = null;
+            state.starInCol[sequence[k].col] = null;
+        }
+        for (let k = 0; k < sequence.length; k += 2) {
+            this.star(state, sequence[k].row, sequence[k].col);
+        }
+
+        state.primeInRow.fill(null);
+        this.syncMatching(state);
+        return sequence;
+    }
+
+    /**
+     * Star a zero
+     */
+    star(state, row, col) {
+        state.starInRow[row] = col;
+        state.starInCol[col] = row;
+    }
+
+    /**
+     * Zero test that tolerates rounding from fractional weights
+     */
+    isZero(value) {
+        return Math.abs(value) < EPSILON;
+    }
+
+    /**
+     * Whether a cell pairs a real left vertex with a real right vertex over an edge
+     */
+    isRealCell(state, row, col) {
+        return state.cellEdge[row][col] !== null;
+    }
+
+    /**
+     * Starred real cells are the matching shown on the graph
+     */
+    syncMatching(state) {
+        state.mate.fill(null);
+        state.mateEdge.fill(null);
+
+        state.starInRow.forEach((col, row) => {
+            if (col !== null && this.isRealCell(state, row, col)) {
+                const u = state.rows[row];
+                const v = state.cols[col];
+                state.mate[u] = v;
+                state.mate[v] = u;
+                state.mateEdge[u] = state.cellEdge[row][col];
+                state.mateEdge[v] = state.cellEdge[row][col];
+            }
+        });
+    }
+
+    /**
+     * Cost of the starred real cells
+     */
+    assignmentCost(state) {
+        return state.starInRow.reduce((sum, col, row) =>
+            (col !== null && this.isRealCell(state, row, col) ? sum + state.cost[row][col] : sum), 0);
+    }
+
+    /**
+     * Cost matrices, stars, primes and covers for the matrix view
+     */
+    getMatchingState(state) {
+        return {
+            rows: [...state.rows],
+            cols: [...state.cols],
+            cost: state.cost,
+            reduced: state.matrix.map(row => [...row]),
+            starInRow: [...state.starInRow],
+            primeInRow: [...state.primeInRow],
+            coveredRows: [...state.coveredRows],
+            coveredCols: [...state.coveredCols],
+            totalCost: this.assignmentCost(state)
+        };
+    }
+
+    /**
+     * Graph vertices along a sequence of cells (dummy rows/columns have none)
+     */
+    sequenceToPath(state, sequence) {
+        const path = [];
+
+        sequence.forEach(({ row, col }, k) => {
+            const [first, second] = k % 2 === 0
+                ? [state.rows[row], state.cols[col]]
+                : [state.cols[col], state.rows[row]];
+            if (path.length === 0) path.push(first);
+            path.push(second);
+        });
+
+        return path.filter(node => node !== null);
+    }
+
+    /**
+     * Label for a row or column in messages
+     */
+    formatLine(nodes, index) {
+        return nodes[index] === null ? `dummy ${index}` : `${nodes[index]}`;
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        const padding = state.left.length === state.right.length
+            ? ''
+            : `, padded with ${Math.abs(state.left.length - state.right.length)} zero-cost dummy ${state.left.length < state.right.length ? 'row' : 'column'}(s)`;
+        return this.createMatchingStep(STEP_TYPES.INIT, state, {
+            message: `Cost matrix ${state.size} × ${state.size}: rows {${state.left.join(', ')}}, columns {${state.right.join(', ')}}${padding}`
+        });
+    }
+
+    /**
+     * Create row or column reduction step
+     */
+    createReduceStep(type, index, min, state) {
+        const isRow = type === STEP_TYPES.ROW_REDUCE;
+        const line = isRow ? `row ${this.formatLine(state.rows, index)}` : `column ${this.formatLine(state.cols, index)}`;
+        return this.createMatchingStep(type, state, {
+            highlightRow: isRow ? index : null,
+            highlightCol: isRow ? null : index,
+            current: isRow ? state.rows[index] ?? undefined : state.cols[index] ?? undefined,
+            message: this.isZero(min)
+                ? `${line} already has a zero`
+                : `Subtracted ${Number(min.toFixed(2))} from ${line}`
+        });
+    }
+
+    /**
+     * Create starring step
+     */
+    createStarStep(state) {
+        const starred = state.starInRow.filter(col => col !== null).length;
+        return this.createMatchingStep(STEP_TYPES.STAR, state, {
+            message: `Starred ${starred} independent zero(s), one per row and column at most`
+        });
+    }
+
+    /**
+     * Create column cover step
+     */
+    createCoverColumnsStep(state) {
+        const covered = state.coveredCols.filter(Boolean).length;
+        return this.createMatchingStep(STEP_TYPES.COVER, state, {
+            message: `Covered the ${covered} column(s) with a starred zero; ${state.size} are needed`
+        });
+    }
+
+    /**
+     * Create prime step
+     */
+    createPrimeStep(row, col, starCol, state) {
+        const cell = `(${this.formatLine(state.rows, row)}, ${this.formatLine(state.cols, col)})`;
+        return this.createMatchingStep(STEP_TYPES.PRIME, state, {
+            highlightRow: row,
+            highlightCol: col,
+            message: starCol !== null
+                ? `Primed uncovered zero ${cell}; its row has a star, so cover the row and uncover column ${this.formatLine(state.cols, starCol)}`
+                : `Primed uncovered zero ${cell}; no star in its row, so an augmenting sequence starts here`
+        });
+    }
+
+    /**
+     * Create matrix adjustment step
+     */
+    createAdjustStep(min, state) {
+        return this.createMatchingStep(STEP_TYPES.ADJUST, state, {
+            message: `No uncovered zero: subtracted ${Number(min.toFixed(2))} from uncovered columns and added it to covered rows`
+        });
+    }
+
+    /**
+     * Create augmentation step
+     */
+    createAugmentStep(sequence, state) {
+        const path = this.sequenceToPath(state, sequence);
+        const cells = sequence.map(({ row, col }) => `(${this.formatLine(state.rows, row)}, ${this.formatLine(state.cols, col)})`);
+        return this.createMatchingStep(STEP_TYPES.AUGMENT, state, {
+            augmentingPath: path,
+            augmentingCells: sequence,
+            message: `Alternating sequence ${cells.join(' → ')}: primes starred, stars removed; ` +
+                `${state.starInRow.filter(col => col !== null).length} starred zero(s)`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const pairs = state.left
+            .filter(u => state.mate[u] !== null)
+            .map(u => `${u}→${state.mate[u]}`);
+        const unassigned = [...state.left, ...state.right].filter(node => state.mate[node] === null);
+
+        return this.createMatchingStep(STEP_TYPES.COMPLETE, state, {
+            message: `Optimal assignment ${pairs.join(', ') || '(none)'} with total cost ${Number(this.assignmentCost(state).toFixed(2))}` +
+                (unassigned.length > 0 ? `; unassigned {${unassigned.join(', ')}}` : '')
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Hungarian(C):',
+            '  pad C to n × n with zero-cost dummy rows or columns',
+            '  subtract each row minimum from its row',
+            '  subtract each column minimum from its column',
+            '  star independent zeros, at most one per row and column',
+            '  while fewer than n columns hold a star:',
+            '    cover every column with a starred zero',
+            '    loop:',
+            '      if no uncovered zero is left:',
+            '        m ← smallest uncovered value; subtract m from uncovered columns, add to covered rows',
+            '      prime an uncovered zero (r, c); if row r has a star: cover r, uncover its star column',
+            '      else: flip the prime/star sequence from (r, c); break',
+            '  return the starred cells'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.ROW_REDUCE]: 3,
+            [STEP_TYPES.COL_REDUCE]: 4,
+            [STEP_TYPES.STAR]: 5,
+            [STEP_TYPES.COVER]: 7,
+            [STEP_TYPES.ADJUST]: 10,
+            [STEP_TYPES.PRIME]: step => (step.starInRow[step.highlightRow] !== null ? 11 : 12),
+            [STEP_TYPES.AUGMENT]: 12,
+            [STEP_TYPES.COMPLETE]: 13
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { highlightRow: r, highlightCol: c } = step;
+        const hasCell = r !== undefined && r !== null && c !== undefined && c !== null;
+        return {
+            ...super.getStepVariables(step),
+            r: r ?? undefined,
+            c: c ?? undefined,
+            'C[r][c]': hasCell ? step.reduced[r][c] : undefined,
+            stars: step.starInRow.filter(col => col !== null).length,
+            'covered columns': step.coveredCols.filter(Boolean).length,
+            'total cost': step.totalCost
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(n³)',
+            spaceComplexity: 'O(n²)',
+            useCases: [
+                'Assigning workers to jobs at minimum cost',
+                'Tracking: matching detections between frames',
+                'Minimum-weight perfect matching'
+            ]
+        };
+    }
+}
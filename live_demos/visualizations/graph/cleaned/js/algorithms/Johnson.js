@@ -0,0 +1,473 @@
+/**
+ * Johnson's Algorithm
+ * All-pairs shortest paths for sparse graphs: Bellman-Ford from a virtual source gives
+ * node potentials, the potentials make every edge weight non-negative, and Dijkstra
+ * then runs once from each node. Produces the same dist/next matrices as Floyd-Warshall.
+ */
+
+import { Algorithm } from './Algorithm.js';
+import { BellmanFord } from './BellmanFord.js';
+import { Dijkstra } from './Dijkstra.js';
+import { STEP_TYPES } from '../core/Constants.js';
+import { createMatrix, cloneMatrix, formatDistance } from '../core/Utils.js';
+
+export const PHASES = {
+    POTENTIALS: 'potentials',
+    REWEIGHT: 'reweight',
+    DIJKSTRA: 'dijkstra'
+};
+
+export class Johnson extends Algorithm {
+    constructor() {
+        super('Johnson', 'All-pairs shortest paths via reweighting and repeated Dijkstra');
+        this.supportsNegativeWeights = true;
+        this.requiresStartNode = false;
+        this.bellmanFord = new BellmanFord();
+        this.dijkstra = new Dijkstra();
+    }
+
+    /**
+     * Execute Johnson's algorithm
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const state = this.initializeState(graph);
+
+        yield this.createInitializationStep(state);
+
+        const hasNegativeCycle = yield* this.computePotentials(state);
+        if (hasNegativeCycle) {
+            return; // Shortest paths are undefined
+        }
+
+        yield* this.reweightEdges(state);
+
+        state.phase = PHASES.DIJKSTRA;
+        yield this.createPhaseStep(state, `Phase 3: Dijkstra from each of the ${state.nodeCount} nodes on the reweighted edges`);
+
+        for (let source = 0; source < state.nodeCount; source++) {
+            yield* this.runDijkstraFrom(source, state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     * Undirected edges are split into two directed arcs; a negative undirected
+     * edge is then a two-edge negative cycle, which Bellman-Ford reports.
+     */
+    initializeState(graph) {
+        const nodeCount = graph.nodes.length;
+        const arcs = [];
+
+        graph.edges.forEach((edge, edgeIndex) => {
+            arcs.push({ from: edge.from, to: edge.to, weight: edge.weight, edgeIndex });
+            if (!graph.directed) {
+                arcs.push({ from: edge.to, to: edge.from, weight: edge.weight, edgeIndex });
+            }
+        });
+
+        const distances = createMatrix(nodeCount, nodeCount, Infinity);
+        for (let i = 0; i < nodeCount; i++) {
+            distances[i][i] = 0;
+        }
+
+        return {
+            graph,
+            nodeCount,
+            arcs,
+            virtualNode: nodeCount,
+            potentials: null,
+            reweightedArcs: null,
+            reweightedWeights: null,
+            distances,
+            next: createMatrix(nodeCount, nodeCount, null),
+            // Matrices as of the last finished Dijkstra run, shared by the steps that follow it
+            snapshot: null,
+            phase: PHASES.POTENTIALS,
+            source: null
+        };
+    }
+
+    /**
+     * Phase 1: Bellman-Ford from a virtual node with a 0-weight edge to every node
+     * @returns {boolean} Whether a negative cycle was found
+     */
+    *computePotentials(state) {
+        const { nodeCount, virtualNode } = state;
+        const virtualArcs = state.graph.nodes.map((_, node) => ({ from: virtualNode, to: node, weight: 0, virtual: true }));
+        const augmented = {
+            nodes: [...state.graph.nodes, { x: 0, y: 0, virtual: true }],
+            edges: [...virtualArcs, ...state.arcs],
+            directed: true
+        };
+
+        state.phase = PHASES.POTENTIALS;
+        yield this.createPhaseStep(state, `Phase 1: Bellman-Ford from virtual node q (${virtualNode}) with a 0-weight edge to every node`);
+
+        const bellmanFord = this.bellmanFord;
+        const bfState = bellmanFord.initializeState(nodeCount + 1, virtualNode);
+
+        yield this.tagStep(bellmanFord.createInitializationStep(virtualNode, bfState), state);
+        yield* this.runPhase(bellmanFord.relaxEdges(augmented, nodeCount + 1, bfState), state);
+        const hasNegativeCycle = yield* this.runPhase(bellmanFord.checkNegativeCycle(augmented, bfState), state);
+
+        if (!hasNegativeCycle) {
+            state.potentials = bfState.distances.slice(0, nodeCount);
+        }
+
+        return hasNegativeCycle;
+    }
+
+    /**
+     * Phase 2: w'(u, v) = w(u, v) + h(u) - h(v), which is never negative
+     */
+    *reweightEdges(state) {
+        const { potentials } = state;
+
+        state.phase = PHASES.REWEIGHT;
+        state.reweightedWeights = state.graph.edges.map(edge => edge.weight);
+        yield this.createPhaseStep(state, `Phase 2: reweighting edges with potentials h = [${potentials.map(formatDistance).join(', ')}]`);
+
+        state.reweightedArcs = [];
+        for (const arc of state.arcs) {
+            // Potentials satisfy h(v) <= h(u) + w, so anything below 0 is rounding error
+            const weight = Math.max(0, arc.weight + potentials[arc.from] - potentials[arc.to]);
+            state.reweightedArcs.push({ from: arc.from, to: arc.to, weight, edgeIndex: arc.edgeIndex });
+
+            const edge = state.graph.edges[arc.edgeIndex];
+            if (arc.from === edge.from && arc.to === edge.to) {
+                // New array per edge: earlier steps keep the weights they were shown with
+                state.reweightedWeights = [...state.reweightedWeights];
+                state.reweightedWeights[arc.edgeIndex] = weight;
+            }
+
+            yield this.createReweightStep(arc, weight, state);
+        }
+    }
+
+    /**
+     * Phase 3: Dijkstra from one source on the reweighted graph, then fill its matrix row
+     */
+    *runDijkstraFrom(source, state) {
+        const reweighted = {
+            nodes: state.graph.nodes,
+            edges: state.reweightedArcs,
+            directed: true
+        };
+
+        state.source = source;
+
+        const dijkstra = this.dijkstra;
+        const dijkstraState = dijkstra.initializeState(state.nodeCount, source);
+
+        yield this.tagStep(dijkstra.createInitializationStep(source, dijkstraState), state);
+        yield* this.runPhase(dijkstra.processNodes(reweighted, dijkstraState), state);
+
+        this.fillRow(source, dijkstraState, state);
+        yield this.createRowCompleteStep(source, state);
+    }
+
+    /**
+     * Restore true distances (d(s, v) = d'(s, v) - h(s) + h(v)) and first hops for row s
+     */
+    fillRow(source, dijkstraState, state) {
+        const { distances, previous } = dijkstraState;
+        const firstHop = Array(state.nodeCount).fill(null);
+
+        for (let node = 0; node < state.nodeCount; node++) {
+            if (node === source || distances[node] === Infinity) {
+                continue;
+            }
+
+            state.distances[source][node] = this.restoreDistance(distances[node], source, node, state);
+            state.next[source][node] = this.findFirstHop(node, source, previous, firstHop);
+        }
+
+        state.snapshot = {
+            dist: cloneMatrix(state.distances),
+            next: cloneMatrix(state.next)
+        };
+    }
+
+    /**
+     * Node after source on the shortest-path tree path to node (memoized walk up previous)
+     */
+    findFirstHop(node, source, previous, firstHop) {
+        const chain = [];
+        let current = node;
+
+        while (firstHop[current] === null && previous[current] !== source) {
+            chain.push(current);
+            current = previous[current];
+        }
+
+        const hop = firstHop[current] ?? current;
+        firstHop[current] = hop;
+        for (const visited of chain) {
+            firstHop[visited] = hop;
+        }
+
+        return hop;
+    }
+
+    /**
+     * Undo the reweighting for a distance from source to node
+     */
+    restoreDistance(reweightedDistance, source, node, state) {
+        if (reweightedDistance === Infinity) {
+            return Infinity;
+        }
+        return reweightedDistance - state.potentials[source] + state.potentials[node];
+    }
+
+    /**
+     * Forward every step of a sub-algorithm generator, tagged with the current phase
+     * @returns {*} The generator's return value
+     */
+    *runPhase(generator, state) {
+        let result = generator.next();
+
+        while (!result.done) {
+            yield this.tagStep(result.value, state);
+            result = generator.next();
+        }
+
+        return result.value;
+    }
+
+    /**
+     * Mark a Bellman-Ford or Dijkstra step as part of Johnson and convert what it shows
+     * (Bellman-Ford distances drop the virtual node; Dijkstra distances are un-reweighted)
+     */
+    tagStep(step, state) {
+        const tagged = {
+            ...step,
+            algorithm: this.name,
+            subAlgorithm: step.algorithm,
+            ...this.getPhaseState(state)
+        };
+
+        if (state.phase === PHASES.POTENTIALS) {
+            if (step.distances) {
+                tagged.distances = step.distances.slice(0, state.nodeCount);
+                tagged.virtualDistance = step.distances[state.virtualNode];
+            }
+            if (step.previous) {
+                tagged.previous = step.previous.slice(0, state.nodeCount);
+            }
+            if (step.edge?.virtual) {
+                tagged.edge = null;
+                tagged.virtualEdge = step.edge;
+            }
+            tagged.message = `[Potentials] ${step.message}`;
+        } else {
+            if (step.distances) {
+                tagged.reweightedDistances = step.distances;
+                tagged.distances = step.distances.map((d, node) => this.restoreDistance(d, state.source, node, state));
+            }
+            tagged.message = `[Dijkstra from ${state.source}, reweighted] ${step.message}`;
+        }
+
+        return tagged;
+    }
+
+    /**
+     * Phase, potentials and matrices shared by every step
+     */
+    getPhaseState(state) {
+        return {
+            phase: state.phase,
+            startNode: state.source ?? undefined,
+            virtualNode: state.virtualNode,
+            potentials: state.potentials,
+            reweightedWeights: state.reweightedWeights,
+            dist: state.snapshot?.dist,
+            next: state.snapshot?.next
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createStep(STEP_TYPES.INIT, {
+            ...this.getPhaseState(state),
+            message: `Starting Johnson on ${state.nodeCount} nodes and ${state.arcs.length} directed edges`
+        });
+    }
+
+    /**
+     * Create phase transition step
+     */
+    createPhaseStep(state, message) {
+        return this.createStep(STEP_TYPES.PHASE, {
+            ...this.getPhaseState(state),
+            distances: state.potentials ? [...state.potentials] : undefined,
+            message
+        });
+    }
+
+    /**
+     * Create reweight step
+     */
+    createReweightStep(arc, weight, state) {
+        const { potentials } = state;
+        const h = node => (potentials[node] < 0 ? `(${formatDistance(potentials[node])})` : formatDistance(potentials[node]));
+        return this.createStep(STEP_TYPES.REWEIGHT, {
+            ...this.getPhaseState(state),
+            edge: arc,
+            originalWeight: arc.weight,
+            reweightedWeight: weight,
+            distances: [...potentials],
+            message: `w'(${arc.from} → ${arc.to}) = ${arc.weight} + h(${arc.from}) - h(${arc.to}) = ` +
+                     `${arc.weight} + ${h(arc.from)} - ${h(arc.to)} = ${formatDistance(weight)}`
+        });
+    }
+
+    /**
+     * Create row complete step (one Dijkstra run finished)
+     */
+    createRowCompleteStep(source, state) {
+        const reached = state.distances[source].filter(d => d !== Infinity).length - 1;
+        return this.createStep(STEP_TYPES.ROW_COMPLETE, {
+            ...this.getPhaseState(state),
+            distances: [...state.distances[source]],
+            message: `Row ${source} done: ${reached} nodes reachable, distances restored with d(${source}, v) = d'(${source}, v) - h(${source}) + h(v)`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        return this.createStep(STEP_TYPES.COMPLETE, {
+            ...this.getPhaseState(state),
+            startNode: undefined,
+            dist: cloneMatrix(state.distances),
+            next: cloneMatrix(state.next),
+            message: 'All-pairs shortest paths computed!'
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Johnson(G):',
+            '  add node q with a 0-weight edge to every node',
+            '  h ← Bellman-Ford(G + q, q):',
+            '    repeat |V| times, stopping early when nothing changes:',
+            '      for each edge (u, v, w):',
+            '        if h[u] + w < h[v]: h[v] ← h[u] + w',
+            '    if an edge can still be relaxed: negative cycle, stop',
+            '  for each edge (u, v, w):',
+            "    w'(u, v) ← w + h[u] − h[v]",
+            '  for each node s:',
+            "    d' ← Dijkstra(G, w', s):",
+            '      pop the closest node u (skip stale entries)',
+            "      for each edge (u, v): if d'[u] + w' < d'[v]: d'[v] ← d'[u] + w'",
+            "    for each node v: d[s][v] ← d'[v] − h[s] + h[v]",
+            '  return d'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type; Bellman-Ford and Dijkstra steps depend on the phase
+     */
+    getStepLines() {
+        const inPotentials = step => step.phase === PHASES.POTENTIALS;
+        return {
+            [STEP_TYPES.INIT]: step => (!step.subAlgorithm ? 1 : inPotentials(step) ? 3 : 11),
+            [STEP_TYPES.PHASE]: step => ({ [PHASES.POTENTIALS]: 2, [PHASES.REWEIGHT]: 8, [PHASES.DIJKSTRA]: 10 })[step.phase],
+            iteration: 4,
+            early_stop: 4,
+            [STEP_TYPES.EXPLORE]: step => (inPotentials(step) ? 5 : 13),
+            [STEP_TYPES.RELAX]: step => (inPotentials(step) ? 6 : 13),
+            negative_cycle: 7,
+            [STEP_TYPES.REWEIGHT]: 9,
+            [STEP_TYPES.VISIT]: 12,
+            discard: 12,
+            [STEP_TYPES.BEGIN_BATCH]: 13,
+            [STEP_TYPES.ROW_COMPLETE]: 14,
+            [STEP_TYPES.COMPLETE]: 15
+        };
+    }
+
+    /**
+     * Counters of the Bellman-Ford or Dijkstra step inside (reweighting only reads edges)
+     */
+    getStepCounts(step) {
+        if (step.type === STEP_TYPES.REWEIGHT) {
+            return { edgesExamined: 1 };
+        }
+        if (!step.subAlgorithm) {
+            return {};
+        }
+        return step.phase === PHASES.POTENTIALS
+            ? this.bellmanFord.getStepCounts(step)
+            : this.dijkstra.getStepCounts(step);
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const edge = step.edge ?? step.virtualEdge;
+
+        if (step.phase === PHASES.POTENTIALS) {
+            const h = node => (node === step.virtualNode ? step.virtualDistance : step.distances?.[node]);
+            return {
+                iteration: step.iteration,
+                u: edge?.from,
+                v: edge?.to,
+                w: edge?.weight,
+                'h[u]': edge ? h(edge.from) : undefined,
+                'h[v]': edge ? h(edge.to) : undefined
+            };
+        }
+
+        if (step.phase === PHASES.REWEIGHT) {
+            return {
+                u: edge?.from,
+                v: edge?.to,
+                w: step.originalWeight,
+                'h[u]': edge ? step.potentials[edge.from] : undefined,
+                'h[v]': edge ? step.potentials[edge.to] : undefined,
+                "w'(u, v)": step.reweightedWeight,
+                h: edge ? undefined : step.potentials
+            };
+        }
+
+        const { current: u, neighbor: v, reweightedDistances } = step;
+        return {
+            s: step.startNode,
+            u,
+            v,
+            "w'": edge?.weight,
+            "d'[u]": step.currentDistance ?? reweightedDistances?.[u],
+            "d'[v]": reweightedDistances?.[v],
+            'd[s]': step.type === STEP_TYPES.ROW_COMPLETE ? step.distances : undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V * E log V)',
+            spaceComplexity: 'O(V²)',
+            requirements: ['No negative cycles'],
+            useCases: [
+                'All-pairs shortest paths on sparse graphs',
+                'Negative weights without negative cycles',
+                'Distance tables for routing'
+            ]
+        };
+    }
+}
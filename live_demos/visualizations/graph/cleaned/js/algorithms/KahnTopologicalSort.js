@@ -0,0 +1,254 @@
+/**
+ * Kahn's Topological Sort
+ * Repeatedly removes a node with no incoming edges; if nodes remain once none
+ * qualifies, they all lie on or behind a cycle, and one such cycle is reported
+ */
+
+import { TraversalAlgorithm } from './TraversalAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+export class KahnTopologicalSort extends TraversalAlgorithm {
+    constructor() {
+        super('Topological Sort (Kahn)', 'Topological order by repeatedly removing in-degree 0 nodes');
+    }
+
+    /**
+     * Execute Kahn's algorithm
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+        this.requireDirected(graph);
+
+        const state = this.initializeState(graph);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.processQueue(state);
+
+        if (state.order.length < state.nodeCount) {
+            state.cycle = this.findCycle(state);
+            yield this.createCycleStep(state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph) {
+        const nodeCount = graph.nodes.length;
+        const inDegree = Array(nodeCount).fill(0);
+
+        for (const edge of graph.edges) {
+            inDegree[edge.to]++;
+        }
+
+        return {
+            graph,
+            nodeCount,
+            adjacency: this.buildAdjacency(graph),
+            inDegree,
+            removedEdges: Array(graph.edges.length).fill(false),
+            queue: inDegree.map((degree, node) => (degree === 0 ? node : null)).filter(node => node !== null),
+            order: [],
+            cycle: null
+        };
+    }
+
+    /**
+     * Emit queued nodes and remove their outgoing edges
+     */
+    *processQueue(state) {
+        while (state.queue.length > 0) {
+            const node = state.queue.shift();
+            state.order.push(node);
+            yield this.createEmitStep(node, state);
+
+            for (const { nodeId: neighbor, edgeIndex } of state.adjacency[node]) {
+                state.removedEdges[edgeIndex] = true;
+                state.inDegree[neighbor]--;
+                yield this.createRemoveEdgeStep(node, neighbor, edgeIndex, state);
+
+                if (state.inDegree[neighbor] === 0) {
+                    state.queue.push(neighbor);
+                    yield this.createEnqueueStep(neighbor, state);
+                }
+            }
+        }
+    }
+
+    /**
+     * Every remaining node still has an incoming edge from another remaining node,
+     * so walking those edges backwards must revisit a node: that loop is a cycle
+     */
+    findCycle(state) {
+        const remaining = state.inDegree.map(degree => degree > 0);
+        const predecessor = Array(state.nodeCount).fill(null);
+
+        state.graph.edges.forEach((edge, edgeIndex) => {
+            if (!state.removedEdges[edgeIndex] && remaining[edge.from]) {
+                predecessor[edge.to] = edge.from;
+            }
+        });
+
+        const seenAt = new Map();
+        const walk = [];
+        let node = remaining.indexOf(true);
+
+        while (!seenAt.has(node)) {
+            seenAt.set(node, walk.length);
+            walk.push(node);
+            node = predecessor[node];
+        }
+
+        // The walk went against the edges; reverse it so the cycle follows them
+        return walk.slice(seenAt.get(node)).reverse();
+    }
+
+    /**
+     * In-degrees, queue and order shared by every step
+     */
+    getTraversalState(state) {
+        return {
+            inDegree: [...state.inDegree],
+            queue: [...state.queue],
+            order: [...state.order],
+            visited: state.order.reduce((emitted, node) => {
+                emitted[node] = true;
+                return emitted;
+            }, Array(state.nodeCount).fill(false)),
+            removedEdges: [...state.removedEdges]
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            message: `In-degrees computed; ${state.queue.length} node(s) with no incoming edges: {${this.formatNodes(state.queue)}}`
+        });
+    }
+
+    /**
+     * Create emit step (node appended to the order)
+     */
+    createEmitStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.EMIT, state, {
+            current: node,
+            message: `Output node ${node} (position ${state.order.length}); removing its outgoing edges`
+        });
+    }
+
+    /**
+     * Create edge removal step
+     */
+    createRemoveEdgeStep(node, neighbor, edgeIndex, state) {
+        return this.createTraversalStep(STEP_TYPES.EXPLORE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            message: `Removed edge ${node} → ${neighbor}; in-degree of ${neighbor} is now ${state.inDegree[neighbor]}`
+        });
+    }
+
+    /**
+     * Create enqueue step
+     */
+    createEnqueueStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.ENQUEUE, state, {
+            neighbor: node,
+            message: `Node ${node} has no incoming edges left → queued`
+        });
+    }
+
+    /**
+     * Create cycle step
+     */
+    createCycleStep(state) {
+        const blocked = state.nodeCount - state.order.length;
+        return this.createTraversalStep(STEP_TYPES.CYCLE, state, {
+            cycle: [...state.cycle],
+            message: `${blocked} node(s) still have incoming edges: cycle ${this.formatNodes([...state.cycle, state.cycle[0]], ' → ')}`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const message = state.cycle
+            ? `No topological order: the graph has a cycle (${state.order.length} of ${state.nodeCount} nodes ordered)`
+            : `Topological order: ${this.formatNodes(state.order, ' → ')}`;
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            hasCycle: state.cycle !== null,
+            cycle: state.cycle ? [...state.cycle] : null,
+            message
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'TopologicalSort-Kahn(G):',
+            '  indeg[v] ← incoming edges of v; queue ← nodes with indeg 0',
+            '  while queue is not empty:',
+            '    u ← queue.dequeue(); append u to order',
+            '    for each edge (u, v):',
+            '      remove (u, v); indeg[v] ← indeg[v] − 1',
+            '      if indeg[v] = 0: queue.enqueue(v)',
+            '  if order misses nodes: they lie on a cycle',
+            '  return order'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.EMIT]: 4,
+            [STEP_TYPES.EXPLORE]: 6,
+            [STEP_TYPES.ENQUEUE]: 7,
+            [STEP_TYPES.CYCLE]: 8,
+            [STEP_TYPES.COMPLETE]: 9
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            u,
+            v,
+            'indeg[v]': step.inDegree?.[v],
+            queue: step.queue,
+            order: step.order,
+            cycle: step.cycle ?? undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V + E)',
+            spaceComplexity: 'O(V)',
+            requirements: ['Directed graph'],
+            useCases: [
+                'Build and task scheduling',
+                'Course prerequisites',
+                'Cycle detection in dependency graphs'
+            ]
+        };
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Kosaraju's Strongly Connected Components
+ * Pass 1: DFS recording finishing order. Pass 2: DFS over the reversed edges in
+ * decreasing finishing time; each tree of the second pass is one SCC
+ */
+
+import { DepthFirstSearch } from './DepthFirstSearch.js';
+import { STEP_TYPES } from '../core/Constants.js';
+import { generateSetColors } from '../core/Utils.js';
+
+export class Kosaraju extends DepthFirstSearch {
+    constructor() {
+        super("Kosaraju's SCC", 'Strongly connected components from two DFS passes');
+        this.requiresStartNode = false;
+    }
+
+    /**
+     * Execute Kosaraju's algorithm
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const state = this.initializeState(graph, 0);
+
+        yield this.createInitializationStep(state);
+
+        yield* this.traverse(state);
+
+        state.pass = 2;
+        yield this.createPassStep(state);
+
+        yield* this.assignComponents(state);
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, startNode) {
+        const nodeCount = graph.nodes.length;
+
+        return {
+            ...super.initializeState(graph, startNode),
+            pass: 1,
+            finishOrder: [],
+            reversedAdjacency: this.buildAdjacency(graph, true),
+            component: Array(nodeCount).fill(null), // SCC root of each node
+            components: [],
+            setColors: generateSetColors(nodeCount)
+        };
+    }
+
+    /**
+     * Pass 1: remember when each node finished
+     */
+    *afterFinish(node, state) {
+        state.finishOrder.push(node);
+    }
+
+    /**
+     * Pass 2: every unassigned node, latest finisher first, roots a new SCC
+     */
+    *assignComponents(state) {
+        for (let i = state.finishOrder.length - 1; i >= 0; i--) {
+            const root = state.finishOrder[i];
+            if (state.component[root] !== null) {
+                continue;
+            }
+
+            const members = [];
+            yield* this.collect(root, root, members, state);
+            state.components.push(members);
+            yield this.createComponentStep(root, members, state);
+        }
+    }
+
+    /**
+     * DFS over reversed edges, staying inside unassigned nodes
+     */
+    *collect(node, root, members, state) {
+        state.component[node] = root;
+        members.push(node);
+        yield this.createAssignStep(node, root, state);
+
+        for (const { nodeId: neighbor, edgeIndex } of state.reversedAdjacency[node]) {
+            if (state.component[neighbor] !== null) {
+                continue;
+            }
+
+            yield this.createReverseEdgeStep(node, neighbor, edgeIndex, state);
+            yield* this.collect(neighbor, root, members, state);
+        }
+    }
+
+    /**
+     * Pass 1 shows the DFS; pass 2 shows the components growing
+     */
+    getTraversalState(state) {
+        const dfsState = super.getTraversalState(state);
+
+        return {
+            ...dfsState,
+            pass: state.pass,
+            finishOrder: [...state.finishOrder],
+            visited: state.pass === 1 ? dfsState.visited : state.component.map(root => root !== null),
+            edgeClasses: state.pass === 1 ? dfsState.edgeClasses : null,
+            component: [...state.component],
+            components: state.components.map(members => [...members]),
+            setColors: state.setColors
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            message: "Starting Kosaraju's SCC, pass 1: DFS to record finishing order"
+        });
+    }
+
+    /**
+     * Create pass change step
+     */
+    createPassStep(state) {
+        const order = [...state.finishOrder].reverse();
+        return this.createTraversalStep(STEP_TYPES.PASS, state, {
+            message: `Pass 2: DFS on reversed edges in decreasing finish time: ${this.formatNodes(order)}`
+        });
+    }
+
+    /**
+     * Create assign step
+     */
+    createAssignStep(node, root, state) {
+        return this.createTraversalStep(STEP_TYPES.VISIT, state, {
+            current: node,
+            message: node === root
+                ? `Node ${node} is unassigned → root of SCC #${state.components.length + 1}`
+                : `Node ${node} reached over a reversed edge → joins the SCC of ${root}`
+        });
+    }
+
+    /**
+     * Create reversed edge step
+     */
+    createReverseEdgeStep(node, neighbor, edgeIndex, state) {
+        return this.createTraversalStep(STEP_TYPES.EXPLORE, state, {
+            current: node,
+            neighbor,
+            edge: state.graph.edges[edgeIndex],
+            edgeIndex,
+            message: `Following edge ${neighbor} → ${node} backwards`
+        });
+    }
+
+    /**
+     * Create component step
+     */
+    createComponentStep(root, members, state) {
+        return this.createTraversalStep(STEP_TYPES.COMPONENT, state, {
+            current: root,
+            componentNodes: [...members],
+            message: `SCC #${state.components.length}: {${this.formatNodes(members)}}`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            message: `Found ${state.components.length} strongly connected component(s)`
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Kosaraju(G):',
+            '  pass 1: for each node r: if r is undiscovered: Visit(r)',
+            '  pass 2: for each node r by decreasing finish time:',
+            '    if r has no component: Assign(r, r); emit the component of r',
+            '  return the components',
+            'Visit(u):',
+            '  d[u] ← ++time',
+            '  for each edge (u, v): classify it; if it is a tree edge: Visit(v)',
+            '  f[u] ← ++time; append u to the finish order',
+            'Assign(u, root):',
+            '  component[u] ← root',
+            '  for each reversed edge (u, v) with v unassigned: Assign(v, root)'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.DISCOVER]: 7,
+            [STEP_TYPES.CLASSIFY_EDGE]: 8,
+            [STEP_TYPES.FINISH]: 9,
+            [STEP_TYPES.PASS]: 3,
+            [STEP_TYPES.VISIT]: 11,
+            [STEP_TYPES.EXPLORE]: 12,
+            [STEP_TYPES.COMPONENT]: 4,
+            [STEP_TYPES.COMPLETE]: 5
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u } = step;
+        return {
+            pass: step.pass,
+            ...super.getStepVariables(step),
+            root: step.pass === 2 ? step.component?.[u] ?? undefined : undefined,
+            'finish order': step.finishOrder,
+            component: step.componentNodes,
+            components: step.type === STEP_TYPES.COMPLETE ? step.components.length : undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requirements: ['Directed graph (undirected graphs give connected components)'],
+            useCases: [
+                'Condensing a graph into a DAG',
+                'Finding mutually reachable groups',
+                'Model checking'
+            ]
+        };
+    }
+}
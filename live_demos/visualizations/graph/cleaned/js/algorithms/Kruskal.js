@@ -4,14 +4,16 @@
  */
 
 import { Algorithm } from './Algorithm.js';
+import { generateSetColors } from '../core/Utils.js';
+import { createYesNoQuestion } from '../quiz/QuizQuestions.js';
 
 export class Kruskal extends Algorithm {
     constructor() {
-        super();
+        super("Kruskal's Algorithm", 'Finds Minimum Spanning Tree by sorting edges and using Union-Find');
         this.metadata = {
-            name: "Kruskal's Algorithm",
+            name: this.name,
             type: 'mst',
-            description: 'Finds Minimum Spanning Tree by sorting edges and using Union-Find',
+            description: this.description,
             timeComplexity: 'O(E log E)',
             spaceComplexity: 'O(V)',
             useCases: ['Minimum Spanning Tree', 'Network design', 'Clustering']
@@ -47,12 +49,7 @@ export class Kruskal extends Algorithm {
      * Generate distinct colors for sets
      */
     generateSetColors(n) {
-        const colors = [];
-        for (let i = 0; i < n; i++) {
-            const hue = (i * 360 / n) % 360;
-            colors.push(`hsl(${hue}, 70%, 60%)`);
-        }
-        return colors;
+        return generateSetColors(n);
     }
 
     /**
@@ -227,4 +224,75 @@ export class Kruskal extends Algorithm {
             rank[biggerRoot]++;
         }
     }
+
+    /**
+     * Quiz: whether the edge about to be looked up joins two trees
+     */
+    getQuizQuestion(step, next) {
+        if (next.type !== 'find_roots') {
+            return null;
+        }
+
+        const { edge: { from: u, to: v, weight }, rootU, rootV } = next;
+        const accepts = rootU !== rootV;
+        return createYesNoQuestion(
+            `Will Kruskal accept edge ${u} – ${v} (weight ${weight})?`,
+            accepts,
+            `${next.message}: ${accepts ? 'different trees, so the edge joins them' : 'the same tree, so the edge would close a cycle'}`
+        );
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Kruskal(G):',
+            '  sort the edges by weight; put every node in its own set',
+            '  for each edge (u, v, w) in sorted order:',
+            '    ru ← find(u); rv ← find(v)',
+            '    if ru = rv: reject (u, v)          // it would close a cycle',
+            '    else: add (u, v) to the MST; union(ru, rv)',
+            '    if the MST has |V| − 1 edges: stop',
+            '  return the MST edges'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            consider_edge: 3,
+            find_roots: 4,
+            reject_edge: 5,
+            accept_edge: 6,
+            complete: 8
+        };
+    }
+
+    /**
+     * Counters: every edge taken from the sorted list (no queue, nothing relaxed)
+     */
+    getStepCounts(step) {
+        return step.type === 'consider_edge' ? { edgesExamined: 1 } : {};
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { edge } = step;
+        return {
+            u: edge?.from,
+            v: edge?.to,
+            w: edge?.weight,
+            ru: step.rootU,
+            rv: step.rootV,
+            'edge #': step.edgeIndex !== undefined ? `${step.edgeIndex + 1} of ${step.totalEdges}` : undefined,
+            'MST edges': step.mstEdges?.length,
+            'MST weight': step.totalWeight
+        };
+    }
 }
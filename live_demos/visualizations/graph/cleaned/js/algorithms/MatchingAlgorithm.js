@@ -0,0 +1,126 @@
+/**
+ * Base class for bipartite matching algorithms
+ * Splits the nodes into left and right sides, keeps each node's mate and matching
+ * edge, and reports the matching (matched edges, free vertices) on every step
+ */
+
+import { Algorithm } from './Algorithm.js';
+import { findBipartition } from '../core/Utils.js';
+
+export class MatchingAlgorithm extends Algorithm {
+    constructor(name, description) {
+        super(name, description);
+        this.requiresStartNode = false;
+    }
+
+    /**
+     * Two-color the graph, or explain why it cannot be
+     * @returns {Array<number>} 0 (left) or 1 (right) per node
+     */
+    requireBipartite(graph) {
+        const { side, oddCycle } = findBipartition(graph);
+        if (oddCycle) {
+            const cycle = [...oddCycle, oddCycle[0]].join(' – ');
+            throw new Error(`${this.name} requires a bipartite graph (odd cycle ${cycle})`);
+        }
+        return side;
+    }
+
+    /**
+     * Initialize the sides and an empty matching
+     */
+    initializeMatching(graph) {
+        const side = this.requireBipartite(graph);
+        const nodeCount = graph.nodes.length;
+
+        return {
+            graph,
+            nodeCount,
+            side,
+            left: side.map((s, node) => (s === 0 ? node : null)).filter(node => node !== null),
+            right: side.map((s, node) => (s === 1 ? node : null)).filter(node => node !== null),
+            mate: Array(nodeCount).fill(null),
+            mateEdge: Array(nodeCount).fill(null)
+        };
+    }
+
+    /**
+     * Flip an augmenting path (free left, right, left, ..., free right): the
+     * unmatched edges at even positions become the matched ones
+     */
+    augment(state, path, edges) {
+        for (let i = 0; i + 1 < path.length; i += 2) {
+            const u = path[i];
+            const v = path[i + 1];
+            state.mate[u] = v;
+            state.mate[v] = u;
+            state.mateEdge[u] = edges[i];
+            state.mateEdge[v] = edges[i];
+        }
+    }
+
+    /**
+     * Number of matched pairs
+     */
+    matchingSize(state) {
+        return state.left.filter(node => state.mate[node] !== null).length;
+    }
+
+    /**
+     * Format a path for messages
+     */
+    formatPath(path) {
+        return path.join(' – ');
+    }
+
+    /**
+     * Step with the matching every view needs
+     * Subclasses add their own state in getMatchingState()
+     */
+    createMatchingStep(type, state, data = {}) {
+        const matchedEdges = Array(state.graph.edges.length).fill(false);
+        for (const edgeIndex of state.mateEdge) {
+            if (edgeIndex !== null) {
+                matchedEdges[edgeIndex] = true;
+            }
+        }
+
+        return this.createStep(type, {
+            side: [...state.side],
+            mate: [...state.mate],
+            matchedEdges,
+            matchingSize: this.matchingSize(state),
+            ...this.getMatchingState(state),
+            ...data
+        });
+    }
+
+    /**
+     * Algorithm-specific state for every step
+     */
+    getMatchingState(state) {
+        return {};
+    }
+
+    /**
+     * Pseudocode variables every matching algorithm shares; subclasses add their own
+     */
+    getStepVariables(step) {
+        return {
+            u: step.current,
+            v: step.neighbor,
+            path: step.augmentingPath,
+            '|M|': step.matchingSize
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requirements: ['Bipartite graph (edge direction is ignored)']
+        };
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Base class for maximum flow algorithms
+ * Edge weights are capacities; subclasses push flow through a FlowNetwork and this
+ * class reports the flow, the residual graph and the final minimum cut on every step
+ */
+
+import { Algorithm } from './Algorithm.js';
+import { FlowNetwork } from '../core/FlowNetwork.js';
+import { STEP_TYPES } from '../core/Constants.js';
+
+export class MaxFlowAlgorithm extends Algorithm {
+    constructor(name, description) {
+        super(name, description);
+        this.requiresStartNode = true;
+    }
+
+    /**
+     * Execute the algorithm
+     * @param {Object} options - { startNode: source (default 0), goalNode: sink (default: last node) }
+     */
+    *execute(graph, options = {}) {
+        const source = options.startNode || 0;
+        const nodeCount = graph.nodes.length;
+        const sink = options.goalNode ?? nodeCount - 1;
+
+        if (!this.isValidNode(source, nodeCount)) {
+            throw new Error(`Invalid source node: ${source}`);
+        }
+        if (!this.isValidNode(sink, nodeCount)) {
+            throw new Error(`Invalid sink node: ${sink}`);
+        }
+        if (source === sink) {
+            throw new Error('Source and sink must be different nodes');
+        }
+
+        const state = this.initializeState(graph, source, sink);
+
+        yield this.createFlowStep(STEP_TYPES.INIT, state, {
+            current: source,
+            message: `Starting ${this.name}: maximum flow from node ${source} to node ${sink}`
+        });
+
+        yield* this.computeFlow(state);
+
+        yield* this.extractMinCut(state);
+    }
+
+    /**
+     * Push flow until none can be added
+     * Must be implemented by subclasses as a generator function
+     */
+    *computeFlow(state) {
+        throw new Error(`${this.name}: computeFlow() must be implemented`);
+    }
+
+    /**
+     * Validate node index
+     */
+    isValidNode(node, nodeCount) {
+        return node >= 0 && node < nodeCount;
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, source, sink) {
+        return {
+            network: new FlowNetwork(graph),
+            source,
+            sink,
+            totalFlow: 0,
+            augmentations: 0,
+            cut: null
+        };
+    }
+
+    /**
+     * Push the bottleneck amount along a list of arcs
+     * @returns {number} The bottleneck
+     */
+    augment(state, pathArcs) {
+        const { network } = state;
+        const bottleneck = Math.min(...pathArcs.map(arcIndex => network.residual(arcIndex)));
+
+        for (const arcIndex of pathArcs) {
+            network.push(arcIndex, bottleneck);
+        }
+        state.totalFlow += bottleneck;
+        state.augmentations++;
+
+        return bottleneck;
+    }
+
+    /**
+     * Step for an augmenting path that has just been applied
+     */
+    createAugmentStep(state, pathArcs, bottleneck, data = {}) {
+        const { network } = state;
+        const nodes = [state.source, ...pathArcs.map(arcIndex => network.arcs[arcIndex].to)];
+
+        return this.createFlowStep(STEP_TYPES.AUGMENT, state, {
+            augmentingPath: nodes,
+            augmentingArcs: this.describeArcs(state, pathArcs),
+            bottleneck,
+            message: `Augmenting path ${nodes.join(' → ')} carries ${this.formatAmount(bottleneck)} (total flow: ${this.formatAmount(state.totalFlow)})`,
+            ...data
+        });
+    }
+
+    /**
+     * Find the minimum cut and finish
+     */
+    *extractMinCut(state) {
+        state.cut = state.network.minCut(state.source);
+        const sourceNodes = state.cut.sourceSide
+            .map((inSource, node) => (inSource ? node : null))
+            .filter(node => node !== null);
+
+        yield this.createFlowStep(STEP_TYPES.MIN_CUT, state, {
+            message: `Minimum cut: S = {${sourceNodes.join(', ')}}, ${state.cut.edges.length} edges, capacity ${this.formatAmount(state.cut.capacity)}`
+        });
+
+        yield this.createFlowStep(STEP_TYPES.COMPLETE, state, {
+            message: `Maximum flow: ${this.formatAmount(state.totalFlow)} (equals the minimum cut capacity)`
+        });
+    }
+
+    /**
+     * Arcs as { from, to, edgeIndex, isBackEdge } for display
+     */
+    describeArcs(state, arcIndices) {
+        return arcIndices.map(arcIndex => {
+            const arc = state.network.arcs[arcIndex];
+            return {
+                from: arc.from,
+                to: arc.to,
+                edgeIndex: arc.edgeIndex,
+                residual: state.network.residual(arcIndex),
+                isBackEdge: !arc.forward && arc.capacity === 0
+            };
+        });
+    }
+
+    /**
+     * Round flow amounts for messages
+     */
+    formatAmount(value) {
+        return Number(value.toFixed(4));
+    }
+
+    /**
+     * Create a step with the flow state every flow view needs
+     */
+    createFlowStep(type, state, data = {}) {
+        const { network } = state;
+
+        return this.createStep(type, {
+            source: state.source,
+            sink: state.sink,
+            flows: network.edgeFlows(),
+            residualEdges: network.residualEdges(),
+            totalFlow: state.totalFlow,
+            augmentations: state.augmentations,
+            cut: state.cut,
+            ...data
+        });
+    }
+
+    /**
+     * Pseudocode variables every flow algorithm shares; subclasses add their own
+     */
+    getStepVariables(step) {
+        return {
+            s: step.source,
+            t: step.sink,
+            u: step.current,
+            v: step.neighbor,
+            'spare(u, v)': step.residualArc?.residual,
+            path: step.augmentingPath,
+            b: step.bottleneck,
+            '|f|': step.totalFlow,
+            S: step.cut?.sourceSide.map((inSource, node) => (inSource ? node : null)).filter(node => node !== null),
+            'cut capacity': step.cut?.capacity
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requirements: ['Non-negative capacities (edge weights)', 'Distinct source and sink'],
+            useCases: [
+                'Network throughput',
+                'Bipartite matching',
+                'Image segmentation (min cut)'
+            ]
+        };
+    }
+}
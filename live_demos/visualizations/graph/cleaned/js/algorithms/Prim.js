@@ -4,15 +4,17 @@
  */
 
 import { Algorithm } from './Algorithm.js';
-import { MinHeap } from '../core/MinHeap.js';
+import { createPriorityQueue } from '../queues/QueueRegistry.js';
+import { formatDistance } from '../core/Utils.js';
+import { createNodeQuestion, createYesNoQuestion, findOpenNodes } from '../quiz/QuizQuestions.js';
 
 export class Prim extends Algorithm {
     constructor() {
-        super();
+        super("Prim's Algorithm", 'Finds Minimum Spanning Tree using greedy approach with priority queue');
         this.metadata = {
-            name: "Prim's Algorithm",
+            name: this.name,
             type: 'mst',
-            description: 'Finds Minimum Spanning Tree using greedy approach with priority queue',
+            description: this.description,
             timeComplexity: 'O((V + E) log V)',
             spaceComplexity: 'O(V)',
             useCases: ['Minimum Spanning Tree', 'Network design', 'Clustering']
@@ -21,16 +23,19 @@ export class Prim extends Algorithm {
 
     /**
      * Initialize algorithm state
+     * @param {Object} options - { startNode, priorityQueue: PRIORITY_QUEUES value; when given,
+     *   steps also carry the queue's shape and operation counts }
      */
     initializeState(graph, options = {}) {
-        const { startNode = 0 } = options;
+        const { startNode = 0, priorityQueue } = options;
         const n = graph.nodes.length;
 
         return {
             inMST: new Array(n).fill(false),
             key: new Array(n).fill(Infinity),
             parent: new Array(n).fill(null),
-            pq: new MinHeap(),
+            pq: createPriorityQueue(priorityQueue, 'key'), // Entries are { node, key }
+            recordQueue: priorityQueue !== undefined,
             mstEdges: [],
             startNode,
             n
@@ -55,6 +60,7 @@ export class Prim extends Algorithm {
             key: [...state.key],
             mstEdges: [],
             priorityQueue: this.getPQState(state.pq, state.parent, graph),
+            ...this.getQueueInternals(state),
             pqEdges: [],
             message: `Starting Prim's MST from node ${startNode}, added to PQ`
         };
@@ -72,6 +78,7 @@ export class Prim extends Algorithm {
                 key: [...state.key],
                 mstEdges: [...state.mstEdges],
                 priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                ...this.getQueueInternals(state),
                 pqEdges: this.getPQEdges(state.pq, state.parent, graph),
                 message: `PQ top: edge to node ${top.node} (weight: ${top.key})`
             };
@@ -87,6 +94,7 @@ export class Prim extends Algorithm {
                 key: [...state.key],
                 mstEdges: [...state.mstEdges],
                 priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                ...this.getQueueInternals(state),
                 pqEdges: this.getPQEdges(state.pq, state.parent, graph),
                 message: `Popped node ${current} from PQ (weight: ${edgeWeight})`
             };
@@ -100,6 +108,7 @@ export class Prim extends Algorithm {
                     key: [...state.key],
                     mstEdges: [...state.mstEdges],
                     priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                    ...this.getQueueInternals(state),
                     pqEdges: this.getPQEdges(state.pq, state.parent, graph),
                     message: `Node ${current} already in MST - skip (stale entry)`
                 };
@@ -109,31 +118,47 @@ export class Prim extends Algorithm {
             // Add to MST
             state.inMST[current] = true;
 
-            // Add edge to MST (if not the start node)
-            if (state.parent[current] !== null) {
-                const edge = this.findEdge(graph, state.parent[current], current);
-                if (edge) {
-                    state.mstEdges.push(edge);
-                }
-
-                yield {
-                    type: 'add_to_mst',
-                    current,
-                    parent: state.parent[current],
-                    edge,
-                    edgeWeight,
-                    inMST: [...state.inMST],
-                    key: [...state.key],
-                    mstEdges: [...state.mstEdges],
-                    priorityQueue: this.getPQState(state.pq, state.parent, graph),
-                    pqEdges: this.getPQEdges(state.pq, state.parent, graph),
-                    message: `Added edge ${state.parent[current]} → ${current} (weight: ${edgeWeight}) to MST`
-                };
+            // Every node that joins gets an add_to_mst step, the start node too (with
+            // edge: null), and its neighbors open with begin_batch. The legacy page's
+            // popped log and batch animation key off both, as they did with its own Prim.
+            const edge = state.parent[current] !== null ? this.findEdge(graph, state.parent[current], current) : null;
+            if (edge) {
+                state.mstEdges.push(edge);
             }
 
+            yield {
+                type: 'add_to_mst',
+                current,
+                parent: state.parent[current],
+                edge,
+                edgeWeight,
+                inMST: [...state.inMST],
+                key: [...state.key],
+                mstEdges: [...state.mstEdges],
+                priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                ...this.getQueueInternals(state),
+                pqEdges: this.getPQEdges(state.pq, state.parent, graph),
+                message: state.parent[current] !== null
+                    ? `Added edge ${state.parent[current]} → ${current} (weight: ${edgeWeight}) to MST`
+                    : `Starting MST at node ${current}`
+            };
+
             // Get neighbors
             const neighbors = this.getNeighbors(graph, current);
 
+            yield {
+                type: 'begin_batch',
+                current,
+                neighborCount: neighbors.length,
+                inMST: [...state.inMST],
+                key: [...state.key],
+                mstEdges: [...state.mstEdges],
+                priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                ...this.getQueueInternals(state),
+                pqEdges: this.getPQEdges(state.pq, state.parent, graph),
+                message: `Exploring ${neighbors.length} neighbors of node ${current}`
+            };
+
             // Explore neighbors
             for (const { node: neighbor, weight } of neighbors) {
                 if (state.inMST[neighbor]) {
@@ -154,6 +179,7 @@ export class Prim extends Algorithm {
                     key: [...state.key],
                     mstEdges: [...state.mstEdges],
                     priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                    ...this.getQueueInternals(state),
                     pqEdges: this.getPQEdges(state.pq, state.parent, graph),
                     message: `Exploring edge ${current} → ${neighbor} (weight: ${weight})`
                 };
@@ -162,7 +188,9 @@ export class Prim extends Algorithm {
                 if (weight < state.key[neighbor]) {
                     state.key[neighbor] = weight;
                     state.parent[neighbor] = current;
-                    state.pq.insert({ node: neighbor, key: weight });
+                    if (!state.pq.indexed || !state.pq.decreaseKey(neighbor, { key: weight })) {
+                        state.pq.insert({ node: neighbor, key: weight });
+                    }
 
                     yield {
                         type: 'update_key',
@@ -175,6 +203,7 @@ export class Prim extends Algorithm {
                         parent: [...state.parent],
                         mstEdges: [...state.mstEdges],
                         priorityQueue: this.getPQState(state.pq, state.parent, graph),
+                        ...this.getQueueInternals(state),
                         pqEdges: this.getPQEdges(state.pq, state.parent, graph),
                         message: `Updated key for node ${neighbor}: ${weight} (pushed to PQ)`
                     };
@@ -191,6 +220,7 @@ export class Prim extends Algorithm {
             key: [...state.key],
             mstEdges: [...state.mstEdges],
             totalWeight,
+            ...this.getQueueInternals(state),
             message: `MST complete! Total weight: ${totalWeight}, Edges: ${state.mstEdges.length}`
         };
     }
@@ -199,7 +229,7 @@ export class Prim extends Algorithm {
      * Get priority queue state for visualization
      */
     getPQState(pq, parent, graph) {
-        return pq.heap.map(item => ({
+        return pq.entries().map(item => ({
             node: item.node,
             key: item.key,
             from: parent[item.node]
@@ -210,12 +240,25 @@ export class Prim extends Algorithm {
      * Get edges currently in priority queue
      */
     getPQEdges(pq, parent, graph) {
-        return pq.heap
+        return pq.entries()
             .filter(item => parent[item.node] !== null)
             .map(item => this.findEdge(graph, parent[item.node], item.node))
             .filter(e => e !== null);
     }
 
+    /**
+     * Shape and operation counts of the queue, for runs that chose one
+     */
+    getQueueInternals(state) {
+        if (!state.recordQueue) {
+            return {};
+        }
+        return {
+            queueShape: state.pq.getShape(),
+            queueStats: state.pq.getStats()
+        };
+    }
+
     /**
      * Find edge between two nodes
      */
@@ -245,4 +288,97 @@ export class Prim extends Algorithm {
         
         return neighbors;
     }
+
+    /**
+     * Quiz: which node the queue yields next, and whether an explored edge lowers a key
+     */
+    getQuizQuestion(step, next) {
+        // A stale top is skipped, so only ask about one that joins the tree
+        if (next.type === 'pq_peek' && !next.inMST[next.topNode]) {
+            return createNodeQuestion(
+                'Which node will Prim add to the tree next?',
+                next.topNode,
+                findOpenNodes(next.key, next.inMST),
+                node => next.key[node],
+                next.message
+            );
+        }
+
+        if (step.type === 'explore') {
+            const { current: u, neighbor: v, weight } = step;
+            const lowers = next.type === 'update_key';
+            return createYesNoQuestion(
+                `Edge ${u} – ${v} (weight ${weight}): will it lower key[${v}]?`,
+                lowers,
+                lowers ? next.message : `${weight} is not less than key[${v}] = ${formatDistance(step.currentKey)}`
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Prim(G, s):',
+            '  key[v] ← ∞ for every v; key[s] ← 0; PQ.push(s, 0)',
+            '  while PQ is not empty:',
+            '    u ← PQ.min()',
+            '    PQ.popMin()',
+            '    if u is in the MST: continue        // stale entry',
+            '    add u to the MST with edge (parent[u], u)',
+            '    for each edge (u, v, w) with v not in the MST:',
+            '      if w < key[v]:',
+            '        key[v] ← w; parent[v] ← u; PQ.push(v, w)',
+            '  return the MST edges'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            pq_peek: 4,
+            pq_pop: 5,
+            pq_skip: 6,
+            add_to_mst: 7,
+            begin_batch: 8,
+            explore: 9,
+            update_key: 10,
+            complete: 11
+        };
+    }
+
+    /**
+     * Counters: the start push, every pop (stale ones too), explored edges and key updates (each pushes)
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case 'init':
+            case 'pq_pop': return { queueOps: 1 };
+            case 'explore': return { edgesExamined: 1 };
+            case 'update_key': return { relaxations: 1, queueOps: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            u: step.current ?? step.topNode,
+            'key[u]': step.edgeWeight ?? step.topKey,
+            'parent[u]': step.type === 'add_to_mst' ? step.parent : undefined,
+            v: step.neighbor,
+            w: step.weight,
+            'key[v]': step.currentKey ?? step.newKey,
+            PQ: step.priorityQueue?.map(({ node, key }) => ({ node, key })),
+            'MST weight': step.totalWeight
+        };
+    }
 }
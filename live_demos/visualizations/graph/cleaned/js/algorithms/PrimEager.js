@@ -0,0 +1,385 @@
+/**
+ * Prim's Algorithm - Eager Version
+ * Keeps at most one queue entry per node and lowers its key in place
+ * (decreaseKey), so there are no stale entries; an edge that does not beat a
+ * node's current key is rejected without touching the queue
+ */
+
+import { Algorithm } from './Algorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+import { getNeighbors, findEdge } from '../core/Utils.js';
+import { createPriorityQueue } from '../queues/QueueRegistry.js';
+import { createNodeQuestion, createChoiceQuestion, findOpenNodes } from '../quiz/QuizQuestions.js';
+
+export class PrimEager extends Algorithm {
+    constructor() {
+        super("Prim's Algorithm (Eager)", 'Minimum spanning tree with one queue entry per node, updated by decreaseKey');
+        this.requiresStartNode = true;
+    }
+
+    /**
+     * Execute Prim's algorithm
+     * @param {Object} options - { startNode, priorityQueue: PRIORITY_QUEUES value; when given,
+     *   steps also carry the queue's shape and operation counts }
+     */
+    *execute(graph, options = {}) {
+        this.validateGraph(graph);
+
+        const startNode = options.startNode || 0;
+        if (startNode < 0 || startNode >= graph.nodes.length) {
+            throw new Error(`Invalid start node: ${startNode}`);
+        }
+
+        const state = this.initializeState(graph, startNode, options.priorityQueue);
+
+        yield this.createInitializationStep(state);
+
+        while (!state.pq.isEmpty()) {
+            yield this.createPeekStep(state);
+
+            const { node: current, key: edgeWeight } = state.pq.extractMin();
+            yield this.createPopStep(current, edgeWeight, state);
+
+            this.addToTree(current, state);
+            yield this.createAddStep(current, edgeWeight, state);
+
+            yield* this.processNeighbors(current, state);
+        }
+
+        yield this.createCompletionStep(state);
+    }
+
+    /**
+     * Initialize algorithm state
+     * @param {string} [queueType] - PRIORITY_QUEUES value (default: binary heap, not recorded)
+     */
+    initializeState(graph, startNode, queueType) {
+        const nodeCount = graph.nodes.length;
+        const key = Array(nodeCount).fill(Infinity);
+        const pq = createPriorityQueue(queueType, 'key'); // Entries are { node, key }
+
+        key[startNode] = 0;
+        pq.insert({ node: startNode, key: 0 });
+
+        return {
+            graph,
+            startNode,
+            inMST: Array(nodeCount).fill(false),
+            key,
+            parent: Array(nodeCount).fill(null),
+            pq,
+            recordQueue: queueType !== undefined,
+            mstEdges: [],
+            rejectedEdges: []
+        };
+    }
+
+    /**
+     * Move a popped node into the tree, with the edge from its parent
+     */
+    addToTree(node, state) {
+        state.inMST[node] = true;
+
+        if (state.parent[node] !== null) {
+            const edge = findEdge(state.graph.edges, state.parent[node], node, state.graph.directed);
+            if (edge) {
+                state.mstEdges.push(edge);
+            }
+        }
+    }
+
+    /**
+     * Offer every edge to a node outside the tree: add, decrease or reject
+     */
+    *processNeighbors(current, state) {
+        const neighbors = getNeighbors(state.graph, current);
+
+        yield this.createBatchBeginStep(current, neighbors.length, state);
+
+        for (const { nodeId: neighbor, weight } of neighbors) {
+            if (state.inMST[neighbor]) {
+                continue;
+            }
+
+            const edge = findEdge(state.graph.edges, current, neighbor, state.graph.directed);
+            const oldKey = state.key[neighbor];
+
+            if (weight >= oldKey) {
+                state.rejectedEdges.push({ ...edge, currentKey: oldKey });
+                yield this.createRejectStep(current, neighbor, edge, weight, state);
+                continue;
+            }
+
+            state.key[neighbor] = weight;
+            state.parent[neighbor] = current;
+
+            if (state.pq.decreaseKey(neighbor, { key: weight })) {
+                yield this.createQueueStep(STEP_TYPES.PQ_UPDATE, current, neighbor, edge, weight, oldKey, state);
+            } else {
+                state.pq.insert({ node: neighbor, key: weight });
+                yield this.createQueueStep(STEP_TYPES.PQ_ADD, current, neighbor, edge, weight, oldKey, state);
+            }
+        }
+    }
+
+    /**
+     * Queue entries with the node each one would be attached to
+     */
+    getPriorityQueueSnapshot(state) {
+        return state.pq.entries().map(item => ({
+            node: item.node,
+            key: item.key,
+            from: state.parent[item.node]
+        }));
+    }
+
+    /**
+     * Tree edges the queue entries stand for
+     */
+    getPQEdges(state) {
+        return state.pq.entries()
+            .filter(item => state.parent[item.node] !== null)
+            .map(item => findEdge(state.graph.edges, state.parent[item.node], item.node, state.graph.directed))
+            .filter(edge => edge !== undefined);
+    }
+
+    /**
+     * Step with the tree, keys and queue every view needs
+     */
+    createPrimStep(type, state, data) {
+        return this.createStep(type, {
+            inMST: [...state.inMST],
+            key: [...state.key],
+            mstEdges: [...state.mstEdges],
+            priorityQueue: this.getPriorityQueueSnapshot(state),
+            pqEdges: this.getPQEdges(state),
+            rejectedEdges: [...state.rejectedEdges],
+            ...this.getQueueInternals(state),
+            ...data
+        });
+    }
+
+    /**
+     * Shape and operation counts of the queue, for runs that chose one
+     */
+    getQueueInternals(state) {
+        if (!state.recordQueue) {
+            return {};
+        }
+        return {
+            queueShape: state.pq.getShape(),
+            queueStats: state.pq.getStats()
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createPrimStep(STEP_TYPES.INIT, state, {
+            current: state.startNode,
+            message: `Starting Prim's MST (Eager) from node ${state.startNode}`
+        });
+    }
+
+    /**
+     * Create step showing the queue minimum before it is removed
+     */
+    createPeekStep(state) {
+        const top = state.pq.peek();
+        return this.createPrimStep(STEP_TYPES.PQ_PEEK, state, {
+            topNode: top.node,
+            topKey: top.key,
+            message: `PQ top: edge to node ${top.node} (weight: ${top.key})`
+        });
+    }
+
+    /**
+     * Create pop step (never stale: each node has one entry)
+     */
+    createPopStep(current, edgeWeight, state) {
+        return this.createPrimStep(STEP_TYPES.PQ_POP, state, {
+            current,
+            edgeWeight,
+            message: `Popped node ${current} from PQ (weight: ${edgeWeight})`
+        });
+    }
+
+    /**
+     * Create step for a node joining the tree
+     */
+    createAddStep(current, edgeWeight, state) {
+        const parent = state.parent[current];
+        return this.createPrimStep(STEP_TYPES.ADD_TO_MST, state, {
+            current,
+            parent,
+            edgeWeight,
+            message: parent !== null
+                ? `✓ Added edge ${parent} → ${current} (weight: ${edgeWeight}) to MST`
+                : `✓ Starting MST at node ${current}`
+        });
+    }
+
+    /**
+     * Create batch begin step
+     */
+    createBatchBeginStep(current, neighborCount, state) {
+        return this.createPrimStep(STEP_TYPES.BEGIN_BATCH, state, {
+            current,
+            neighborCount,
+            message: `Exploring ${neighborCount} neighbors of node ${current}`
+        });
+    }
+
+    /**
+     * Create step for a new entry (PQ_ADD) or a lowered one (PQ_UPDATE)
+     */
+    createQueueStep(type, current, neighbor, edge, weight, oldKey, state) {
+        return this.createPrimStep(type, state, {
+            current,
+            neighbor,
+            edge,
+            weight,
+            oldKey,
+            message: type === STEP_TYPES.PQ_UPDATE
+                ? `Updated edge to ${neighbor}: ${oldKey} → ${weight} in PQ (decreaseKey)`
+                : `Added edge ${current} → ${neighbor} (weight: ${weight}) to PQ`
+        });
+    }
+
+    /**
+     * Create step for an edge that does not beat the neighbor's key
+     */
+    createRejectStep(current, neighbor, edge, weight, state) {
+        const currentKey = state.key[neighbor];
+        return this.createPrimStep(STEP_TYPES.EDGE_REJECT, state, {
+            current,
+            neighbor,
+            edge,
+            weight,
+            currentKey,
+            message: `✗ Rejected edge ${current} → ${neighbor} (weight: ${weight} ≥ current best: ${currentKey === Infinity ? '∞' : currentKey})`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        const totalWeight = state.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        return this.createPrimStep(STEP_TYPES.COMPLETE, state, {
+            totalWeight,
+            message: `MST complete! Total weight: ${totalWeight}, Edges: ${state.mstEdges.length}`
+        });
+    }
+
+    /**
+     * Quiz: which node the queue yields next, and what happens to each edge out of the tree
+     */
+    getQuizQuestion(step, next) {
+        if (next.type === STEP_TYPES.PQ_PEEK) {
+            return createNodeQuestion(
+                'Which node will Prim add to the tree next?',
+                next.topNode,
+                findOpenNodes(next.key, next.inMST),
+                node => next.key[node],
+                next.message
+            );
+        }
+
+        if ([STEP_TYPES.PQ_ADD, STEP_TYPES.PQ_UPDATE, STEP_TYPES.EDGE_REJECT].includes(next.type)) {
+            const { current: u, neighbor: v, weight } = next;
+            return createChoiceQuestion(
+                `Edge ${u} – ${v} (weight ${weight}): what happens to it?`,
+                [
+                    { value: STEP_TYPES.PQ_ADD, label: `Add ${v} to the PQ` },
+                    { value: STEP_TYPES.PQ_UPDATE, label: `Decrease key[${v}]` },
+                    { value: STEP_TYPES.EDGE_REJECT, label: 'Reject the edge' }
+                ],
+                next.type,
+                next.message
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Prim-Eager(G, s):',
+            '  key[v] ← ∞ for every v; key[s] ← 0; PQ.insert(s, 0)',
+            '  while PQ is not empty:',
+            '    u ← PQ.min()',
+            '    PQ.popMin()',
+            '    add u to the MST with edge (parent[u], u)',
+            '    for each edge (u, v, w) with v not in the MST:',
+            '      if w ≥ key[v]: reject (u, v); continue',
+            '      key[v] ← w; parent[v] ← u',
+            '      if v is in PQ: PQ.decreaseKey(v, w)',
+            '      else: PQ.insert(v, w)',
+            '  return the MST edges'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.PQ_PEEK]: 4,
+            [STEP_TYPES.PQ_POP]: 5,
+            [STEP_TYPES.ADD_TO_MST]: 6,
+            [STEP_TYPES.BEGIN_BATCH]: 7,
+            [STEP_TYPES.EDGE_REJECT]: 8,
+            [STEP_TYPES.PQ_UPDATE]: 10,
+            [STEP_TYPES.PQ_ADD]: 11,
+            [STEP_TYPES.COMPLETE]: 12
+        };
+    }
+
+    /**
+     * Counters: every edge offered is added, decreased or rejected; only the first two touch the queue
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case STEP_TYPES.INIT:
+            case STEP_TYPES.PQ_POP: return { queueOps: 1 };
+            case STEP_TYPES.PQ_ADD:
+            case STEP_TYPES.PQ_UPDATE: return { relaxations: 1, queueOps: 1, edgesExamined: 1 };
+            case STEP_TYPES.EDGE_REJECT: return { edgesExamined: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        return {
+            u: step.current ?? step.topNode,
+            'key[u]': step.edgeWeight ?? step.topKey,
+            'parent[u]': step.parent,
+            v: step.neighbor,
+            w: step.weight,
+            'key[v]': step.currentKey ?? step.oldKey,
+            PQ: step.priorityQueue?.map(({ node, key }) => ({ node, key })),
+            'MST weight': step.totalWeight
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O((V + E) log V)',
+            spaceComplexity: 'O(V)',
+            useCases: ['Minimum Spanning Tree', 'Comparing lazy and eager priority queues']
+        };
+    }
+}
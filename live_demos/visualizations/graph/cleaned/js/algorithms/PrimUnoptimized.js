@@ -7,11 +7,11 @@ import { Algorithm } from './Algorithm.js';
 
 export class PrimUnoptimized extends Algorithm {
     constructor() {
-        super();
+        super("Prim's Algorithm (Unoptimized)", 'Finds MST by scanning all edges - O(V²) time complexity');
         this.metadata = {
-            name: "Prim's Algorithm (Unoptimized)",
+            name: this.name,
             type: 'mst',
-            description: 'Finds MST by scanning all edges - O(V²) time complexity',
+            description: this.description,
             timeComplexity: 'O(V²)',
             spaceComplexity: 'O(V)',
             useCases: ['Dense graphs', 'Educational comparison']
@@ -89,6 +89,8 @@ export class PrimUnoptimized extends Algorithm {
 
             // Add to MST
             state.inMST[minNode] = true;
+            const neighbors = this.getNeighbors(graph, minNode);
+            const openNeighbors = neighbors.filter(({ node }) => !state.inMST[node]).length;
 
             // Add edge to MST (if not start node)
             if (state.parent[minNode] !== null) {
@@ -103,6 +105,7 @@ export class PrimUnoptimized extends Algorithm {
                     parent: state.parent[minNode],
                     edge,
                     edgeWeight: minKey,
+                    openNeighbors,
                     inMST: [...state.inMST],
                     key: [...state.key],
                     mstEdges: [...state.mstEdges],
@@ -112,6 +115,7 @@ export class PrimUnoptimized extends Algorithm {
                 yield {
                     type: 'add_to_mst',
                     current: minNode,
+                    openNeighbors,
                     inMST: [...state.inMST],
                     key: [...state.key],
                     mstEdges: [...state.mstEdges],
@@ -120,8 +124,6 @@ export class PrimUnoptimized extends Algorithm {
             }
 
             // Update keys of adjacent vertices
-            const neighbors = this.getNeighbors(graph, minNode);
-
             for (const { node: neighbor, weight } of neighbors) {
                 if (!state.inMST[neighbor] && weight < state.key[neighbor]) {
                     const edge = this.findEdge(graph, minNode, neighbor);
@@ -187,4 +189,68 @@ export class PrimUnoptimized extends Algorithm {
         
         return neighbors;
     }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Prim-Unoptimized(G, s):',
+            '  key[v] ← ∞ for every v; key[s] ← 0',
+            '  repeat |V| times:',
+            '    u ← none',
+            '    for each node x:',
+            '      if x is not in the MST and key[x] < key[u]: u ← x',
+            '    if u = none: stop                 // the rest is unreachable',
+            '    add u to the MST with edge (parent[u], u)',
+            '    for each edge (u, v, w):',
+            '      if v is not in the MST and w < key[v]: key[v] ← w; parent[v] ← u',
+            '  return the MST edges'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            scan_start: 4,
+            scan_node: 6,
+            add_to_mst: 8,
+            update_key: 10,
+            complete: 11
+        };
+    }
+
+    /**
+     * Counters: every node checked while scanning for the minimum (there is no queue),
+     * the neighbours outside the tree checked for each node added (Prim's explore steps) and key updates
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case 'scan_node': return { nodeScans: 1 };
+            case 'add_to_mst': return { edgesExamined: step.openNeighbors };
+            case 'update_key': return { relaxations: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const u = step.current ?? (step.currentMin >= 0 ? step.currentMin : undefined);
+        return {
+            x: step.scanNode,
+            'key[x]': step.scanNode !== undefined ? step.key[step.scanNode] : undefined,
+            u,
+            'key[u]': u !== undefined ? step.key?.[u] : undefined,
+            'parent[u]': step.parent,
+            v: step.neighbor,
+            w: step.edge?.weight,
+            'key[v]': step.newKey,
+            'MST weight': step.totalWeight
+        };
+    }
 }
@@ -0,0 +1,203 @@
+/**
+ * Push-Relabel Algorithm
+ * Maximum flow by local operations: flood the source's edges, then push excess downhill
+ * and relabel (lift) nodes that are stuck, processing active nodes in FIFO order
+ */
+
+import { MaxFlowAlgorithm } from './MaxFlowAlgorithm.js';
+import { STEP_TYPES } from '../core/Constants.js';
+import { FlowNetwork } from '../core/FlowNetwork.js';
+
+export class PushRelabel extends MaxFlowAlgorithm {
+    constructor() {
+        super('Push-Relabel', 'Maximum flow with preflows, pushes and relabels');
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, source, sink) {
+        const state = super.initializeState(graph, source, sink);
+        const nodeCount = graph.nodes.length;
+
+        state.heights = Array(nodeCount).fill(0);
+        state.excess = Array(nodeCount).fill(0);
+        state.nextArc = Array(nodeCount).fill(0);
+        state.active = [];
+        state.heights[source] = nodeCount;
+
+        return state;
+    }
+
+    /**
+     * Saturate the source's arcs, then discharge active nodes until none are left
+     */
+    *computeFlow(state) {
+        const { network, source } = state;
+
+        for (const arcIndex of network.adjacency[source]) {
+            if (network.hasResidual(arcIndex)) {
+                yield this.pushFlow(state, arcIndex, network.residual(arcIndex));
+            }
+        }
+
+        while (state.active.length > 0) {
+            const current = state.active.shift();
+            yield* this.discharge(state, current);
+        }
+
+        state.totalFlow = state.excess[state.sink];
+    }
+
+    /**
+     * Push and relabel one node until its excess is gone
+     */
+    *discharge(state, node) {
+        const { network, heights, excess, nextArc } = state;
+        const arcs = network.adjacency[node];
+
+        while (excess[node] > FlowNetwork.EPSILON) {
+            if (nextArc[node] === arcs.length) {
+                yield this.relabel(state, node);
+                continue;
+            }
+
+            const arcIndex = arcs[nextArc[node]];
+            const { to } = network.arcs[arcIndex];
+            if (network.hasResidual(arcIndex) && heights[node] === heights[to] + 1) {
+                yield this.pushFlow(state, arcIndex, Math.min(excess[node], network.residual(arcIndex)));
+            } else {
+                nextArc[node]++;
+            }
+        }
+    }
+
+    /**
+     * Move flow along an arc and queue the receiving node if it becomes active
+     */
+    pushFlow(state, arcIndex, amount) {
+        const { network, excess, source, sink } = state;
+        const { from, to } = network.arcs[arcIndex];
+
+        network.push(arcIndex, amount);
+        excess[from] -= amount;
+        excess[to] += amount;
+
+        if (to !== source && to !== sink && !state.active.includes(to)) {
+            state.active.push(to);
+        }
+
+        const [arc] = this.describeArcs(state, [arcIndex]);
+        return this.createFlowStep(STEP_TYPES.PUSH, state, {
+            current: from,
+            neighbor: to,
+            residualArc: arc,
+            amount,
+            ...this.getPreflowState(state),
+            message: `Push ${this.formatAmount(amount)} from node ${from} to node ${to}${arc.isBackEdge ? ' (cancelling flow)' : ''}`
+        });
+    }
+
+    /**
+     * Lift a node just above its lowest residual neighbour
+     */
+    relabel(state, node) {
+        const { network, heights } = state;
+        let lowest = Infinity;
+
+        for (const arcIndex of network.adjacency[node]) {
+            if (network.hasResidual(arcIndex)) {
+                lowest = Math.min(lowest, heights[network.arcs[arcIndex].to]);
+            }
+        }
+
+        const oldHeight = heights[node];
+        heights[node] = lowest + 1;
+        state.nextArc[node] = 0;
+
+        return this.createFlowStep(STEP_TYPES.RELABEL, state, {
+            current: node,
+            ...this.getPreflowState(state),
+            message: `Relabel node ${node}: height ${oldHeight} → ${heights[node]}`
+        });
+    }
+
+    /**
+     * Heights, excesses and the active queue for display
+     */
+    getPreflowState(state) {
+        return {
+            heights: [...state.heights],
+            excess: state.excess.map(value => this.formatAmount(value)),
+            activeNodes: [...state.active]
+        };
+    }
+
+    /**
+     * Create a step with the flow state (flow reaching the sink so far)
+     */
+    createFlowStep(type, state, data = {}) {
+        const step = super.createFlowStep(type, state, data);
+        if (state.excess) {
+            step.totalFlow = state.excess[state.sink];
+        }
+        return step;
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Push-Relabel(G, s, t):',
+            '  h[s] ← |V|; h[v] ← 0 and e[v] ← 0 for every other v',
+            '  saturate every arc out of s',
+            '  while some node u ≠ s, t has e[u] > 0:',
+            '    if an arc (u, v) has spare > 0 and h[u] = h[v] + 1:',
+            '      push min(e[u], spare) from u to v',
+            '    else:',
+            '      h[u] ← 1 + min h[v] over arcs (u, v) with spare > 0',
+            '  S ← nodes reachable from s over arcs with spare capacity',
+            '  return |f| = e[t] and the cut (S, V − S)'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.PUSH]: step => (step.current === step.source ? 3 : 6),
+            [STEP_TYPES.RELABEL]: 8,
+            [STEP_TYPES.MIN_CUT]: 9,
+            [STEP_TYPES.COMPLETE]: 10
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            ...super.getStepVariables(step),
+            amount: step.amount,
+            'h[u]': step.heights?.[u],
+            'h[v]': step.heights?.[v],
+            'e[u]': step.excess?.[u],
+            active: step.activeNodes
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            timeComplexity: 'O(V³) with FIFO selection',
+            spaceComplexity: 'O(V + E)'
+        };
+    }
+}
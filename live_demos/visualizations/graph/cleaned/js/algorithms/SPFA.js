@@ -4,7 +4,8 @@
  */
 
 import { Algorithm } from './Algorithm.js';
-import { getNeighbors, findEdge } from '../core/Utils.js';
+import { getNeighbors, findEdge, formatDistance } from '../core/Utils.js';
+import { createYesNoQuestion } from '../quiz/QuizQuestions.js';
 
 export class SPFA extends Algorithm {
     constructor() {
@@ -30,7 +31,11 @@ export class SPFA extends Algorithm {
         yield this.createInitializationStep(startNode, state);
 
         // Process queue
-        yield* this.processQueue(graph, nodeCount, state);
+        const hasNegativeCycle = yield* this.processQueue(graph, nodeCount, state);
+
+        if (hasNegativeCycle) {
+            return; // Early termination
+        }
 
         // Yield completion step
         yield this.createCompletionStep(state);
@@ -43,7 +48,7 @@ export class SPFA extends Algorithm {
         const distances = Array(nodeCount).fill(Infinity);
         const previous = Array(nodeCount).fill(null);
         const inQueue = Array(nodeCount).fill(false);
-        const relaxCount = Array(nodeCount).fill(0);
+        const pathEdges = Array(nodeCount).fill(0);
         const queue = [];
 
         distances[startNode] = 0;
@@ -55,13 +60,14 @@ export class SPFA extends Algorithm {
             previous,
             inQueue,
             queue,
-            relaxCount,
+            pathEdges,
             startNode
         };
     }
 
     /**
      * Process queue until empty
+     * @returns {boolean} Whether a negative cycle was found
      */
     *processQueue(graph, nodeCount, state) {
         while (state.queue.length > 0) {
@@ -79,9 +85,11 @@ export class SPFA extends Algorithm {
             );
 
             if (hasNegativeCycle) {
-                return; // Early termination
+                return true; // Early termination
             }
         }
+
+        return false;
     }
 
     /**
@@ -175,14 +183,16 @@ export class SPFA extends Algorithm {
     relaxEdge(neighbor, newDistance, current, state) {
         state.distances[neighbor] = newDistance;
         state.previous[neighbor] = current;
-        state.relaxCount[neighbor]++;
+        state.pathEdges[neighbor] = state.pathEdges[current] + 1;
     }
 
     /**
-     * Check if node has negative cycle
+     * Check if node has negative cycle: a shortest path has at most |V| - 1 edges,
+     * so one with |V| edges repeats a node. Counting relaxations instead would
+     * count every parallel edge.
      */
     hasNegativeCycle(node, nodeCount, state) {
-        return state.relaxCount[node] >= nodeCount;
+        return state.pathEdges[node] >= nodeCount;
     }
 
     /**
@@ -272,7 +282,7 @@ export class SPFA extends Algorithm {
     createNegativeCycleStep(node, state) {
         return this.createStep('negative_cycle', {
             node,
-            message: `Negative cycle detected! Node ${node} relaxed ${state.relaxCount[node]} times`
+            message: `Negative cycle detected! Path to node ${node} has ${state.pathEdges[node]} edges`
         });
     }
 
@@ -299,6 +309,89 @@ export class SPFA extends Algorithm {
         });
     }
 
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'SPFA(G, s):',
+            '  dist[v] ← ∞, len[v] ← 0 for every v; dist[s] ← 0; queue ← [s]',
+            '  while queue is not empty:',
+            '    u ← queue.dequeue()',
+            '    for each edge (u, v, w):',
+            '      if dist[u] + w < dist[v]:',
+            '        dist[v] ← dist[u] + w; prev[v] ← u; len[v] ← len[u] + 1',
+            '        if len[v] ≥ |V|: negative cycle, stop',
+            '        if v is not in queue: queue.enqueue(v)',
+            '  return dist, prev'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            init: 2,
+            dequeue: 4,
+            begin_batch: 5,
+            explore: 6,
+            relax: 7,
+            negative_cycle: 8,
+            enqueue: 9,
+            complete: 10
+        };
+    }
+
+    /**
+     * Counters: the source enqueue, every dequeue and enqueue, checked edges and relaxations
+     */
+    getStepCounts(step) {
+        switch (step.type) {
+            case 'init':
+            case 'dequeue':
+            case 'enqueue': return { queueOps: 1 };
+            case 'explore': return { edgesExamined: 1 };
+            case 'relax': return { relaxations: 1 };
+            default: return {};
+        }
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v, distances } = step;
+        return {
+            u,
+            v: v ?? step.node,
+            w: step.weight ?? step.edge?.weight,
+            'dist[u]': step.currentDist ?? distances?.[u],
+            'dist[v]': step.neighborDist ?? distances?.[v],
+            'dist[u] + w': step.newDistance,
+            queue: step.queue
+        };
+    }
+
+    /**
+     * Quiz: whether a checked edge relaxes
+     */
+    getQuizQuestion(step, next) {
+        if (step.type !== 'explore') {
+            return null;
+        }
+
+        const { current: u, neighbor: v, weight } = step;
+        const relaxes = next.type === 'relax';
+        return createYesNoQuestion(
+            `Edge ${u} → ${v} (weight ${weight}): will it lower dist[${v}]?`,
+            relaxes,
+            relaxes
+                ? next.message
+                : `${step.message}, which is not less than dist[${v}] = ${formatDistance(step.neighborDist)}`
+        );
+    }
+
     /**
      * Get algorithm metadata
      */
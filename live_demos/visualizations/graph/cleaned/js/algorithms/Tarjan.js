@@ -0,0 +1,223 @@
+/**
+ * Tarjan's Strongly Connected Components
+ * One DFS with low-link values: a node whose low-link equals its discovery time
+ * is the root of an SCC, which is everything above it on the SCC stack
+ */
+
+import { DepthFirstSearch } from './DepthFirstSearch.js';
+import { STEP_TYPES, EDGE_CLASSES } from '../core/Constants.js';
+import { generateSetColors } from '../core/Utils.js';
+
+export class Tarjan extends DepthFirstSearch {
+    constructor() {
+        super("Tarjan's SCC", 'Strongly connected components from DFS low-link values');
+        this.requiresStartNode = false;
+    }
+
+    /**
+     * Initialize algorithm state
+     */
+    initializeState(graph, startNode) {
+        const nodeCount = graph.nodes.length;
+
+        return {
+            ...super.initializeState(graph, startNode),
+            low: Array(nodeCount).fill(null),
+            sccStack: [],
+            onSccStack: Array(nodeCount).fill(false),
+            component: Array(nodeCount).fill(null), // SCC root of each node
+            components: [],
+            setColors: generateSetColors(nodeCount)
+        };
+    }
+
+    /**
+     * low starts at the discovery time; the node joins the SCC stack
+     * In an undirected graph the tree edge leads straight back to the parent, so low
+     * starts at the parent's time and the SCCs come out as the connected components
+     */
+    *afterDiscover(node, state) {
+        const parent = state.parent[node];
+        state.low[node] = !state.graph.directed && parent !== null
+            ? state.discovery[parent]
+            : state.discovery[node];
+        state.sccStack.push(node);
+        state.onSccStack[node] = true;
+        yield this.createPushStep(node, state);
+    }
+
+    /**
+     * Tree edge: inherit the child's low-link; edge to a node still on the SCC stack:
+     * that node's discovery time is reachable
+     */
+    *afterEdge(node, neighbor, edgeClass, state) {
+        let candidate = null;
+
+        if (edgeClass === EDGE_CLASSES.TREE) {
+            candidate = state.low[neighbor];
+        } else if (state.onSccStack[neighbor]) {
+            candidate = state.discovery[neighbor];
+        }
+
+        if (candidate !== null && candidate < state.low[node]) {
+            const previous = state.low[node];
+            state.low[node] = candidate;
+            yield this.createLowLinkStep(node, neighbor, edgeClass, previous, state);
+        }
+    }
+
+    /**
+     * low == discovery: pop the SCC rooted at node
+     */
+    *beforeFinish(node, state) {
+        if (state.low[node] !== state.discovery[node]) {
+            return;
+        }
+
+        const members = [];
+        let member;
+        do {
+            member = state.sccStack.pop();
+            state.onSccStack[member] = false;
+            state.component[member] = node;
+            members.push(member);
+        } while (member !== node);
+
+        state.components.push(members);
+        yield this.createComponentStep(node, members, state);
+    }
+
+    /**
+     * DFS state plus low-links, the SCC stack and the components found so far
+     */
+    getTraversalState(state) {
+        return {
+            ...super.getTraversalState(state),
+            low: [...state.low],
+            sccStack: [...state.sccStack],
+            component: [...state.component],
+            components: state.components.map(members => [...members]),
+            setColors: state.setColors
+        };
+    }
+
+    /**
+     * Create initialization step
+     */
+    createInitializationStep(state) {
+        return this.createTraversalStep(STEP_TYPES.INIT, state, {
+            message: "Starting Tarjan's SCC: one DFS tracking low-links and an SCC stack"
+        });
+    }
+
+    /**
+     * Create SCC stack push step
+     */
+    createPushStep(node, state) {
+        return this.createTraversalStep(STEP_TYPES.PUSH, state, {
+            current: node,
+            message: `Pushed node ${node} onto the SCC stack (d = ${state.discovery[node]}, low = ${state.low[node]})`
+        });
+    }
+
+    /**
+     * Create low-link update step
+     */
+    createLowLinkStep(node, neighbor, edgeClass, previous, state) {
+        const reason = edgeClass === EDGE_CLASSES.TREE
+            ? `child ${neighbor} reaches back to time ${state.low[node]}`
+            : `${edgeClass} edge to ${neighbor}, still on the SCC stack`;
+        return this.createTraversalStep(STEP_TYPES.UPDATE, state, {
+            current: node,
+            neighbor,
+            edgeClass,
+            message: `low[${node}]: ${previous} → ${state.low[node]} (${reason})`
+        });
+    }
+
+    /**
+     * Create component step
+     */
+    createComponentStep(root, members, state) {
+        return this.createTraversalStep(STEP_TYPES.COMPONENT, state, {
+            current: root,
+            componentNodes: [...members],
+            message: `low[${root}] = d[${root}] = ${state.low[root]}: popped SCC #${state.components.length} {${this.formatNodes(members)}}`
+        });
+    }
+
+    /**
+     * Create completion step
+     */
+    createCompletionStep(state) {
+        return this.createTraversalStep(STEP_TYPES.COMPLETE, state, {
+            message: `Found ${state.components.length} strongly connected component(s)`
+        });
+    }
+
+    /**
+     * Pseudocode for the side panel
+     */
+    getPseudocode() {
+        return [
+            'Tarjan(G):',
+            '  for each node r: if r is undiscovered: Visit(r)',
+            '  return the components',
+            'Visit(u):',
+            '  d[u] ← low[u] ← ++time',
+            '  push u on the SCC stack',
+            '  for each edge (u, v):',
+            '    classify (u, v); if it is a tree edge: Visit(v)',
+            '    if it is a tree edge: low[u] ← min(low[u], low[v])',
+            '    else if v is on the SCC stack: low[u] ← min(low[u], d[v])',
+            '  if low[u] = d[u]: pop the SCC stack down to u as one component',
+            '  f[u] ← ++time'
+        ];
+    }
+
+    /**
+     * Pseudocode line of each step type
+     */
+    getStepLines() {
+        return {
+            [STEP_TYPES.INIT]: 2,
+            [STEP_TYPES.DISCOVER]: 5,
+            [STEP_TYPES.PUSH]: 6,
+            [STEP_TYPES.CLASSIFY_EDGE]: 8,
+            [STEP_TYPES.UPDATE]: step => (step.edgeClass === EDGE_CLASSES.TREE ? 9 : 10),
+            [STEP_TYPES.COMPONENT]: 11,
+            [STEP_TYPES.FINISH]: 12,
+            [STEP_TYPES.COMPLETE]: 3
+        };
+    }
+
+    /**
+     * Pseudocode variables at a step
+     */
+    getStepVariables(step) {
+        const { current: u, neighbor: v } = step;
+        return {
+            ...super.getStepVariables(step),
+            'low[u]': step.low?.[u],
+            'low[v]': step.low?.[v],
+            'SCC stack': step.sccStack,
+            component: step.componentNodes,
+            components: step.type === STEP_TYPES.COMPLETE ? step.components.length : undefined
+        };
+    }
+
+    /**
+     * Get algorithm metadata
+     */
+    getMetadata() {
+        return {
+            ...super.getMetadata(),
+            requirements: ['Directed graph (undirected graphs give connected components)'],
+            useCases: [
+                'Condensing a graph into a DAG',
+                '2-SAT',
+                'Finding mutually reachable groups'
+            ]
+        };
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Base class for traversal algorithms (DFS, BFS, topological sort, SCC)
+ * Keeps edge indices in the adjacency lists so each step can say which graph edge
+ * was explored and how it was classified
+ */
+
+import { Algorithm } from './Algorithm.js';
+
+export class TraversalAlgorithm extends Algorithm {
+    constructor(name, description) {
+        super(name, description);
+    }
+
+    /**
+     * Adjacency lists of { nodeId, edgeIndex }; reversed follows directed edges backwards
+     * (undirected edges are listed from both ends either way)
+     */
+    buildAdjacency(graph, reversed = false) {
+        const adjacency = graph.nodes.map(() => []);
+
+        graph.edges.forEach((edge, edgeIndex) => {
+            const from = reversed ? edge.to : edge.from;
+            const to = reversed ? edge.from : edge.to;
+            adjacency[from].push({ nodeId: to, edgeIndex });
+
+            if (!graph.directed) {
+                adjacency[to].push({ nodeId: from, edgeIndex });
+            }
+        });
+
+        return adjacency;
+    }
+
+    /**
+     * Adjacency lists that ignore edge direction (bipartiteness only looks at the underlying graph)
+     */
+    buildUndirectedAdjacency(graph) {
+        return this.buildAdjacency({ nodes: graph.nodes, edges: graph.edges, directed: false });
+    }
+
+    /**
+     * Validate node index
+     */
+    isValidNode(node, nodeCount) {
+        return node >= 0 && node < nodeCount;
+    }
+
+    /**
+     * Validate the start node option
+     */
+    validateStartNode(startNode, nodeCount) {
+        if (!this.isValidNode(startNode, nodeCount)) {
+            throw new Error(`Invalid start node: ${startNode}`);
+        }
+    }
+
+    /**
+     * Topological orders only exist for directed graphs
+     */
+    requireDirected(graph) {
+        if (!graph.directed) {
+            throw new Error(`${this.name} requires a directed graph (every undirected edge is a 2-cycle)`);
+        }
+    }
+
+    /**
+     * Roots in the order a traversal forest tries them: the start node first, then by index
+     */
+    rootOrder(nodeCount, startNode = 0) {
+        const order = [startNode];
+        for (let node = 0; node < nodeCount; node++) {
+            if (node !== startNode) {
+                order.push(node);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Format a node list for messages
+     */
+    formatNodes(nodes, separator = ', ') {
+        return nodes.join(separator);
+    }
+
+    /**
+     * Step with the traversal state every view needs
+     * Subclasses describe their state in getTraversalState()
+     */
+    createTraversalStep(type, state, data = {}) {
+        return this.createStep(type, {
+            ...this.getTraversalState(state),
+            ...data
+        });
+    }
+
+    /**
+     * Snapshot of the traversal state
+     * Must be implemented by subclasses
+     */
+    getTraversalState(state) {
+        throw new Error(`${this.name}: getTraversalState() must be implemented`);
+    }
+}
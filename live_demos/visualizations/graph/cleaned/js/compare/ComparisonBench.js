@@ -0,0 +1,406 @@
+/**
+ * Comparison Bench
+ * Runs several algorithms on the same graph and start node and steps them in
+ * lockstep: one position for all runs, each showing its step at that position
+ * (or its last step once it is done). Counts the work each run does, finds where
+ * their final outputs disagree and exports a summary table
+ */
+
+import { Graph } from '../core/Graph.js';
+import { formatDistance } from '../core/Utils.js';
+import { ALGORITHMS } from '../core/Constants.js';
+import { createAlgorithms } from '../algorithms/AlgorithmRegistry.js';
+import { ReferenceCheck } from '../trace/ReferenceCheck.js';
+
+// Counters every run reports, with their column titles
+export const BENCH_COUNTERS = {
+    relaxations: 'Relaxations',
+    queueOps: 'Queue ops',
+    edgesExamined: 'Edges examined',
+    nodeScans: 'Node scans'
+};
+
+// Algorithms whose final output the bench can compare: shortest distances from the start
+// (all of them, not a goal-directed subset or hop counts) and spanning trees
+const PATH_ALGORITHMS = [ALGORITHMS.DIJKSTRA, ALGORITHMS.BELLMAN_FORD, ALGORITHMS.SPFA, ALGORITHMS.FLOYD_WARSHALL, ALGORITHMS.JOHNSON];
+const TREE_ALGORITHMS = [ALGORITHMS.PRIM, ALGORITHMS.PRIM_UNOPTIMIZED, ALGORITHMS.PRIM_EAGER, ALGORITHMS.KRUSKAL];
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mime: 'text/csv' },
+    markdown: { extension: 'md', mime: 'text/markdown' }
+};
+
+export class ComparisonBench {
+    /**
+     * @param {Graph|Object} graphData - Graph, or { nodes, edges, directed }; copied, so later edits do not reach the bench
+     * @param {Array<string>} algorithmKeys - ALGORITHMS values, at least two
+     * @param {Object} options - { startNode }
+     * @throws {Error} For fewer than two algorithms or an unknown key
+     */
+    constructor(graphData, algorithmKeys, options = {}) {
+        if (algorithmKeys.length < 2) {
+            throw new Error('Choose at least two algorithms to compare');
+        }
+
+        const algorithms = createAlgorithms();
+        const unknown = algorithmKeys.find(key => !algorithms[key]);
+        if (unknown) {
+            throw new Error(`Unknown algorithm "${unknown}" (known: ${Object.keys(algorithms).join(', ')})`);
+        }
+
+        this.graph = Graph.fromData(graphData);
+        this.startNode = options.startNode ?? 0;
+        this.runs = algorithmKeys.map(key => this.createRun(key, algorithms[key]));
+        this.position = 0;
+        this.disagreements = this.findDisagreements();
+    }
+
+    /**
+     * Run one algorithm to the end, with its running counters and final output
+     * A run that throws (e.g. Kruskal told the graph is unsuitable) keeps its error instead
+     */
+    createRun(key, algorithm) {
+        const run = {
+            key,
+            name: algorithm.name,
+            algorithm,
+            steps: [],
+            counts: [],
+            outcome: null,
+            error: null
+        };
+
+        try {
+            for (const step of algorithm.execute(this.graph, { startNode: this.startNode })) {
+                run.steps.push(step);
+            }
+        } catch (error) {
+            run.error = error.message;
+            return run;
+        }
+
+        let totals = Object.fromEntries(Object.keys(BENCH_COUNTERS).map(counter => [counter, 0]));
+        run.counts = run.steps.map(step => {
+            totals = { ...totals };
+            Object.entries(algorithm.getStepCounts(step)).forEach(([counter, amount]) => {
+                totals[counter] = (totals[counter] || 0) + amount;
+            });
+            return totals;
+        });
+        run.outcome = this.getOutcome(key, run.steps[run.steps.length - 1]);
+        return run;
+    }
+
+    /**
+     * What a run ended with: distances from the start (a row of an all-pairs matrix),
+     * a reported negative cycle, or a spanning tree
+     * A spanning tree on a directed graph is not applicable: Prim follows out-arcs from
+     * the start while Kruskal ignores direction, so their weights cannot be compared.
+     * Neither is any other algorithm's output: A* and bidirectional Dijkstra stop at the
+     * goal with partial distances, and BFS distances count hops
+     */
+    getOutcome(key, last) {
+        if (!PATH_ALGORITHMS.includes(key) && !TREE_ALGORITHMS.includes(key)) {
+            return { kind: 'not-applicable', reason: 'no shortest distances or spanning tree to compare' };
+        }
+        if (!last) {
+            return { kind: 'other' };
+        }
+        if (last.type === 'negative_cycle') {
+            return { kind: 'paths', negativeCycle: true, distances: null };
+        }
+        if (last.totalWeight !== undefined) {
+            if (this.graph.directed) {
+                return { kind: 'not-applicable', reason: 'no spanning tree on a directed graph' };
+            }
+            return { kind: 'tree', weight: last.totalWeight, edgeCount: (last.mstEdges || []).length };
+        }
+        if (last.dist) {
+            return { kind: 'paths', negativeCycle: false, distances: last.dist[this.startNode] };
+        }
+        if (last.distances) {
+            return { kind: 'paths', negativeCycle: false, distances: last.distances };
+        }
+        return { kind: 'other' };
+    }
+
+    /**
+     * Every point where runs of the same kind ended differently
+     * Path rows carry the independent reference value, and flag the runs that miss it;
+     * tree rows have no single right answer on disconnected graphs, so they flag every run;
+     * runs whose result is not applicable are left out
+     * @returns {Array<{subject: string, node: number|null, values: Object, reference: *, flagged: Array<string>}>}
+     */
+    findDisagreements() {
+        const finished = this.runs.filter(run => run.outcome);
+        const rows = [];
+
+        const pathRuns = finished.filter(run => run.outcome.kind === 'paths');
+        if (pathRuns.length > 1) {
+            const reference = ReferenceCheck.shortestDistances(this.graph, this.startNode);
+
+            const cycleValues = this.valuesOf(pathRuns, run => run.outcome.negativeCycle);
+            if (new Set(Object.values(cycleValues)).size > 1) {
+                rows.push(this.createRow('negative cycle', null, cycleValues, reference.negativeCycle));
+            }
+
+            const distanceRuns = pathRuns.filter(run => !run.outcome.negativeCycle);
+            for (let node = 0; node < this.graph.nodes.length && distanceRuns.length > 1; node++) {
+                const values = this.valuesOf(distanceRuns, run => run.outcome.distances[node]);
+                const first = Object.values(values)[0];
+                if (Object.values(values).some(value => !ReferenceCheck.sameNumber(value, first))) {
+                    rows.push(this.createRow(`dist[${node}]`, node, values, reference.negativeCycle ? null : reference.distances[node]));
+                }
+            }
+        }
+
+        const treeRuns = finished.filter(run => run.outcome.kind === 'tree');
+        if (treeRuns.length > 1) {
+            const weights = this.valuesOf(treeRuns, run => run.outcome.weight);
+            const first = Object.values(weights)[0];
+            if (Object.values(weights).some(value => !ReferenceCheck.sameNumber(value, first))) {
+                rows.push(this.createRow('tree weight', null, weights, null));
+            }
+
+            const edgeCounts = this.valuesOf(treeRuns, run => run.outcome.edgeCount);
+            if (new Set(Object.values(edgeCounts)).size > 1) {
+                rows.push(this.createRow('tree edges', null, edgeCounts, null));
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Runs that finished without a result the bench can compare
+     */
+    getInapplicableRuns() {
+        return this.runs.filter(run => run.outcome?.kind === 'not-applicable');
+    }
+
+    /**
+     * Runs that threw instead of finishing
+     */
+    getFailedRuns() {
+        return this.runs.filter(run => run.error);
+    }
+
+    /**
+     * Runs that finished with a result the bench compares
+     */
+    getComparedRuns() {
+        return this.runs.filter(run => run.outcome && run.outcome.kind !== 'not-applicable' && run.outcome.kind !== 'other');
+    }
+
+    /**
+     * Overall result: 'failed' when a run threw, 'disagree' when the results differ,
+     * 'not-compared' when a run has no comparable result or fewer than two do, else 'agree'
+     */
+    getVerdict() {
+        if (this.getFailedRuns().length > 0) return 'failed';
+        if (this.disagreements.length > 0) return 'disagree';
+        if (this.getInapplicableRuns().length > 0 || this.getComparedRuns().length < 2) return 'not-compared';
+        return 'agree';
+    }
+
+    /**
+     * Run key → value
+     */
+    valuesOf(runs, pick) {
+        return Object.fromEntries(runs.map(run => [run.key, pick(run)]));
+    }
+
+    /**
+     * Disagreement row; without a reference every run in it is flagged
+     */
+    createRow(subject, node, values, reference) {
+        const matches = value => (typeof reference === 'number' ? ReferenceCheck.sameNumber(value, reference) : value === reference);
+        const flagged = Object.keys(values).filter(key => reference === null || !matches(values[key]));
+        return { subject, node, values, reference, flagged };
+    }
+
+    /**
+     * Nodes whose final distance in this run disagrees with the reference (or with the other runs)
+     */
+    getFlaggedNodes(run) {
+        return this.disagreements
+            .filter(row => row.node !== null && row.flagged.includes(run.key))
+            .map(row => row.node);
+    }
+
+    /**
+     * Number of lockstep positions (the longest run)
+     */
+    getLength() {
+        return Math.max(...this.runs.map(run => run.steps.length));
+    }
+
+    /**
+     * Index of the step a run shows at the current position
+     */
+    getStepIndex(run) {
+        return Math.min(this.position, run.steps.length - 1);
+    }
+
+    /**
+     * Step a run shows at the current position, or null for a run that failed
+     */
+    getStep(run) {
+        return run.steps[this.getStepIndex(run)] ?? null;
+    }
+
+    /**
+     * Counters of a run up to the step it shows
+     */
+    getCounts(run) {
+        return run.counts[this.getStepIndex(run)] ?? {};
+    }
+
+    /**
+     * Whether a run has reached its last step
+     */
+    isRunFinished(run) {
+        return this.position >= run.steps.length - 1;
+    }
+
+    /**
+     * Whether every run has reached its last step
+     */
+    isFinished() {
+        return this.position >= this.getLength() - 1;
+    }
+
+    /**
+     * Move every run one step forward
+     * @returns {boolean} Whether any run moved
+     */
+    stepForward() {
+        if (this.isFinished()) {
+            return false;
+        }
+        this.position++;
+        return true;
+    }
+
+    /**
+     * Move every run one step back
+     * @returns {boolean} Whether any run moved
+     */
+    stepBackward() {
+        if (this.position === 0) {
+            return false;
+        }
+        this.position--;
+        return true;
+    }
+
+    /**
+     * Jump to a position (clamped to the runs)
+     */
+    goTo(position) {
+        this.position = Math.max(0, Math.min(position, this.getLength() - 1));
+    }
+
+    /**
+     * One row per run with its whole-run counters, output and what it disagrees on
+     */
+    getSummary() {
+        return this.runs.map(run => ({
+            key: run.key,
+            name: run.name,
+            steps: run.steps.length,
+            ...(run.counts[run.counts.length - 1] ?? {}),
+            result: run.error ? `error: ${run.error}` : this.describeOutcome(run.outcome),
+            disagreesOn: this.disagreements.filter(row => row.flagged.includes(run.key)).map(row => row.subject)
+        }));
+    }
+
+    /**
+     * Short text for an output
+     */
+    describeOutcome(outcome) {
+        if (outcome.kind === 'tree') {
+            return `weight ${outcome.weight}, ${outcome.edgeCount} edges`;
+        }
+        if (outcome.kind === 'not-applicable') {
+            return `not applicable: ${outcome.reason}`;
+        }
+        if (outcome.kind === 'paths') {
+            return outcome.negativeCycle
+                ? 'negative cycle'
+                : `dist ${outcome.distances.map(formatDistance).join(' ')}`;
+        }
+        return '—';
+    }
+
+    /**
+     * Text for a disagreement value
+     */
+    formatValue(value) {
+        if (typeof value === 'boolean') return value ? 'reported' : 'none';
+        if (typeof value === 'number') return formatDistance(value);
+        return value === null || value === undefined ? '—' : String(value);
+    }
+
+    /**
+     * Summary table as a file
+     * @param {string} format - 'csv' or 'markdown'
+     * @returns {{text: string, extension: string, mime: string}}
+     * @throws {Error} For an unknown format
+     */
+    exportSummary(format) {
+        const type = EXPORT_FORMATS[format];
+        if (!type) {
+            throw new Error(`Unknown summary format "${format}" (known: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+        }
+
+        const header = ['Algorithm', 'Steps', ...Object.values(BENCH_COUNTERS), 'Result', 'Disagrees on'];
+        const rows = this.getSummary().map(row => [
+            row.name,
+            row.steps,
+            ...Object.keys(BENCH_COUNTERS).map(counter => row[counter] ?? ''),
+            row.result,
+            row.disagreesOn.join('; ')
+        ]);
+
+        const text = format === 'csv'
+            ? this.toCSV(header, rows)
+            : this.toMarkdown(header, rows);
+        return { text, ...type };
+    }
+
+    /**
+     * CSV with quoted fields where needed
+     */
+    toCSV(header, rows) {
+        const field = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+        return [header, ...rows].map(row => row.map(field).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Markdown table, followed by the disagreements with their reference values
+     */
+    toMarkdown(header, rows) {
+        const line = cells => `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+        const lines = [
+            `Start node ${this.startNode}, ${this.graph.nodes.length} nodes, ${this.graph.edges.length} edges (${this.graph.directed ? 'directed' : 'undirected'})`,
+            '',
+            line(header),
+            line(header.map(() => '---')),
+            ...rows.map(line)
+        ];
+
+        if (this.disagreements.length > 0) {
+            lines.push('', 'Disagreements:', '');
+            this.disagreements.forEach(row => {
+                const values = this.runs
+                    .filter(run => run.key in row.values)
+                    .map(run => `${run.name} ${this.formatValue(row.values[run.key])}`)
+                    .join(', ');
+                const reference = row.reference === null ? '' : ` (reference: ${this.formatValue(row.reference)})`;
+                lines.push(`- ${row.subject}: ${values}${reference}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+}
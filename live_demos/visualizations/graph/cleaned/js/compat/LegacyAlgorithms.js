@@ -0,0 +1,112 @@
+/**
+ * Legacy Visualizer Bridge
+ * The original page (graph/index.html with graph-visualizer.js) runs the
+ * registered algorithms too; this adapter renames and fills in step fields so
+ * the steps match what that page draws. Fixes in js/algorithms reach both pages
+ */
+
+import { ALGORITHMS } from '../core/Constants.js';
+import { createAlgorithms } from '../algorithms/AlgorithmRegistry.js';
+
+// Algorithm select values of the legacy page → registry keys
+export const LEGACY_ALGORITHMS = {
+    dijkstra: ALGORITHMS.DIJKSTRA,
+    prim: ALGORITHMS.PRIM,
+    'prim-optimized': ALGORITHMS.PRIM_EAGER,
+    kruskal: ALGORITHMS.KRUSKAL,
+    bellman: ALGORITHMS.BELLMAN_FORD,
+    spfa: ALGORITHMS.SPFA,
+    floyd: ALGORITHMS.FLOYD_WARSHALL
+};
+
+// Step types the legacy page knows under another name
+const LEGACY_STEP_TYPES = {
+    consider_edge: 'consider',
+    find_roots: 'consider',
+    accept_edge: 'accept',
+    reject_edge: 'reject',
+    update_key: 'pq_add'
+};
+
+let algorithms = null;
+
+export class LegacyAlgorithms {
+    /**
+     * Run an algorithm with steps in the legacy schema
+     * @param {string} legacyKey - A LEGACY_ALGORITHMS key
+     * @param {Object} graph - { nodes, edges, directed }
+     * @param {number} startNode - Ignored by Kruskal and Floyd-Warshall
+     * @returns {Generator} Adapted steps
+     * @throws {Error} For a key the legacy page does not have
+     */
+    static run(legacyKey, graph, startNode = 0) {
+        const key = LEGACY_ALGORITHMS[legacyKey];
+        if (!key) {
+            throw new Error(`Unknown legacy algorithm "${legacyKey}" (known: ${Object.keys(LEGACY_ALGORITHMS).join(', ')})`);
+        }
+
+        algorithms = algorithms || createAlgorithms();
+        return this.adaptSteps(algorithms[key].execute(graph, { startNode }));
+    }
+
+    /**
+     * Adapt a step stream, remembering the last key array for Prim's key updates
+     */
+    static *adaptSteps(steps) {
+        let previousKey = null;
+        for (const step of steps) {
+            yield this.adaptStep(step, previousKey);
+            previousKey = step.key || previousKey;
+        }
+    }
+
+    /**
+     * One step in the legacy schema
+     * @param {Object} step - Step of a registered algorithm
+     * @param {Array<number>|null} previousKey - Prim keys before this step
+     */
+    static adaptStep(step, previousKey = null) {
+        const adapted = { ...step, type: LEGACY_STEP_TYPES[step.type] || step.type };
+
+        // Prim: the legacy panels read the tree as a node set and the keys as keyArray
+        if (step.inMST) {
+            adapted.visitedNodes = new Set(step.inMST.flatMap((inTree, node) => (inTree ? [node] : [])));
+        }
+        if (step.key) {
+            adapted.keyArray = step.key;
+        }
+        if (step.type === 'update_key') {
+            adapted.weight = step.newKey;
+            adapted.oldKey = previousKey ? previousKey[step.neighbor] : Infinity;
+        }
+
+        // Kruskal: union-find as groups of nodes
+        if (step.parent && step.setSize) {
+            adapted.unionFindSets = this.getUnionFindSets(step.parent, step.setSize);
+        }
+        // Kruskal: the legacy weight readout follows a running total on every accepted edge
+        if (step.type === 'accept_edge' && step.mstEdges) {
+            adapted.totalWeight = step.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        }
+
+        return adapted;
+    }
+
+    /**
+     * Union-find sets as [{ nodes, size, colorIndex }]; a set keeps the color of its root
+     */
+    static getUnionFindSets(parent, setSize) {
+        const find = node => (parent[node] === node ? node : find(parent[node]));
+        const sets = new Map();
+
+        parent.forEach((_, node) => {
+            const root = find(node);
+            if (!sets.has(root)) {
+                sets.set(root, { nodes: [], size: setSize[root], colorIndex: root });
+            }
+            sets.get(root).nodes.push(node);
+        });
+
+        return Array.from(sets.values());
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Legacy Graph Model
+ * The editor's view of the original page's graph (graph-visualizer.js), which keeps
+ * nodes as { id } in graph.nodes and their positions in a parallel nodePositions array
+ */
+
+import { GraphModel } from '../editor/GraphModel.js';
+
+export class LegacyGraphModel extends GraphModel {
+    /**
+     * @param {Object} visualizer - The legacy GraphVisualizer
+     */
+    constructor(visualizer) {
+        super(() => visualizer.graph);
+        this.visualizer = visualizer;
+    }
+
+    /**
+     * Position of a node
+     */
+    getPosition(index) {
+        const { x, y } = this.visualizer.nodePositions[index];
+        return { x, y };
+    }
+
+    /**
+     * Move a node
+     */
+    setPosition(index, x, y) {
+        const position = this.visualizer.nodePositions[index];
+        position.x = x;
+        position.y = y;
+    }
+
+    /**
+     * Insert a node at an index, shifting the ones after it up
+     */
+    insertNode(index, { x, y }) {
+        const nodes = this.getGraph().nodes;
+        nodes.splice(index, 0, { id: index });
+        this.visualizer.nodePositions.splice(index, 0, { x, y });
+        this.renumber(nodes);
+    }
+
+    /**
+     * Remove a node, shifting the ones after it down
+     * @returns {{x: number, y: number}}
+     */
+    removeNode(index) {
+        const nodes = this.getGraph().nodes;
+        nodes.splice(index, 1);
+        const [position] = this.visualizer.nodePositions.splice(index, 1);
+        this.renumber(nodes);
+        return { x: position.x, y: position.y };
+    }
+}
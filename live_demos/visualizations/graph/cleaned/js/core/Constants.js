@@ -47,6 +47,45 @@ export const COLORS = {
     EDGE_EXPLORED: '#ef5350',
     EDGE_MST: '#ab47bc',
     
+    // Goal-directed search (A*, bidirectional)
+    OPEN_SET: '#80deea',
+    BACKWARD_VISITED: '#ff9800',
+    GOAL: '#ff4081',
+    MEETING: '#ffeb3b',
+    PATH_FOUND: '#00e676',
+    
+    // Network flow
+    FLOW_EDGE: '#4fc3f7',
+    FLOW_SATURATED: '#ff7043',
+    RESIDUAL_BACK: '#ce93d8',
+    AUGMENTING_PATH: '#00e676',
+    CUT_EDGE: '#ff1744',
+    CUT_SOURCE_SIDE: '#26a69a',
+    CUT_SINK_SIDE: '#ef6c00',
+    
+    // Traversals (DFS edge classes, topological sort, SCC)
+    TREE_EDGE: '#66bb6a',
+    BACK_EDGE: '#ef5350',
+    FORWARD_EDGE: '#42a5f5',
+    CROSS_EDGE: '#ffa726',
+    ON_STACK: '#7e57c2',
+    FINISHED: '#455a64',
+    CYCLE: '#ff1744',
+    
+    // Bipartite matching and assignment
+    LEFT_SIDE: '#26c6da',
+    RIGHT_SIDE: '#ec407a',
+    MATCHED_EDGE: '#ffca28',
+    FREE_VERTEX: '#78909c',
+    ALTERNATING_PATH: '#29b6f6',
+    
+    // Graph editor
+    SELECTION: '#ffab40',
+    SELECTION_BOX: 'rgba(255, 171, 64, 0.15)',
+    
+    // Comparison bench: nodes where a run's output disagrees
+    DISAGREEMENT: '#ff1744',
+    
     // Nodes
     NODE_DEFAULT: '#2196F3',
     
@@ -72,10 +111,95 @@ export const ALGORITHMS = {
     DIJKSTRA: 'dijkstra',
     PRIM: 'prim',
     PRIM_UNOPTIMIZED: 'prim-unoptimized',
+    PRIM_EAGER: 'prim-eager',
     KRUSKAL: 'kruskal',
     BELLMAN_FORD: 'bellman',
     SPFA: 'spfa',
-    FLOYD_WARSHALL: 'floyd'
+    FLOYD_WARSHALL: 'floyd',
+    JOHNSON: 'johnson',
+    A_STAR: 'astar',
+    BIDIRECTIONAL_DIJKSTRA: 'bidirectional',
+    EDMONDS_KARP: 'edmonds-karp',
+    DINIC: 'dinic',
+    PUSH_RELABEL: 'push-relabel',
+    DFS: 'dfs',
+    BFS: 'bfs',
+    TOPO_KAHN: 'topo-kahn',
+    TOPO_DFS: 'topo-dfs',
+    TARJAN: 'tarjan',
+    KOSARAJU: 'kosaraju',
+    BIPARTITE: 'bipartite',
+    HOPCROFT_KARP: 'hopcroft-karp',
+    HUNGARIAN: 'hungarian'
+};
+
+export const LAYOUTS = {
+    CIRCLE: 'circle',
+    FORCE: 'force',
+    STRESS: 'stress',
+    LAYERED: 'layered',
+    BIPARTITE: 'bipartite',
+    GRID: 'grid'
+};
+
+export const LAYOUT = {
+    MARGIN: 50,
+    TRANSITION_MS: 600,
+    MAX_ITERATIVE_NODES: 300 // Force and stress layouts are quadratic per pass
+};
+
+export const EDITOR = {
+    HISTORY_LIMIT: 200,
+    DEFAULT_WEIGHT: 1,
+    EDGE_HIT_DISTANCE: 8,
+    DRAG_THRESHOLD: 3 // Pixels a press may wander and still count as a click
+};
+
+export const GENERATORS = {
+    ERDOS_RENYI: 'erdos-renyi',
+    GEOMETRIC: 'geometric',
+    DELAUNAY: 'delaunay',
+    GRID: 'grid',
+    BARABASI_ALBERT: 'barabasi-albert',
+    COMPLETE: 'complete',
+    BIPARTITE: 'bipartite',
+    SPFA_WORST_CASE: 'spfa-worst-case',
+    NEGATIVE_CYCLE: 'negative-cycle',
+    DIJKSTRA_TRAP: 'dijkstra-trap',
+    PRIM_CONTRAST: 'prim-contrast'
+};
+
+export const PRIORITY_QUEUES = {
+    BINARY: 'binary', // Lazy: duplicates entries instead of decreasing keys (the default)
+    BINARY_DECREASE_KEY: 'binary-decrease-key',
+    D_ARY: 'd-ary',
+    PAIRING: 'pairing',
+    FIBONACCI: 'fibonacci',
+    BUCKET: 'bucket'
+};
+
+export const D_ARY_HEAP_ARITY = 4;
+
+// Algorithms the comparison bench runs side by side, by preset
+export const COMPARISON_PRESETS = {
+    'shortest-paths': [ALGORITHMS.DIJKSTRA, ALGORITHMS.SPFA, ALGORITHMS.BELLMAN_FORD],
+    'all-pairs': [ALGORITHMS.FLOYD_WARSHALL, ALGORITHMS.JOHNSON],
+    'mst': [ALGORITHMS.PRIM, ALGORITHMS.KRUSKAL],
+    'prim-variants': [ALGORITHMS.PRIM_UNOPTIMIZED, ALGORITHMS.PRIM, ALGORITHMS.PRIM_EAGER]
+};
+
+export const EDGE_CLASSES = {
+    TREE: 'tree',
+    BACK: 'back',
+    FORWARD: 'forward',
+    CROSS: 'cross',
+    NON_TREE: 'non-tree'
+};
+
+export const HEURISTICS = {
+    EUCLIDEAN: 'euclidean',
+    MANHATTAN: 'manhattan',
+    ZERO: 'zero'
 };
 
 export const FLOYD_MODES = {
@@ -106,7 +230,32 @@ export const STEP_TYPES = {
     ADD_TO_MST: 'add_to_mst',
     EDGE_REJECT: 'edge_reject',
     BEGIN_BATCH: 'begin_batch',
-    ACCEPT: 'accept'
+    ACCEPT: 'accept',
+    AUGMENT: 'augment',
+    LEVEL_GRAPH: 'level_graph',
+    PUSH: 'push',
+    RELABEL: 'relabel',
+    MIN_CUT: 'min_cut',
+    PHASE: 'phase',
+    REWEIGHT: 'reweight',
+    ROW_COMPLETE: 'row_complete',
+    DISCOVER: 'discover',
+    FINISH: 'finish',
+    CLASSIFY_EDGE: 'classify_edge',
+    ENQUEUE: 'enqueue',
+    DEQUEUE: 'dequeue',
+    LAYER: 'layer',
+    EMIT: 'emit',
+    CYCLE: 'cycle',
+    COMPONENT: 'component',
+    PASS: 'pass',
+    COLOR: 'color',
+    ROW_REDUCE: 'row_reduce',
+    COL_REDUCE: 'col_reduce',
+    STAR: 'star',
+    PRIME: 'prime',
+    COVER: 'cover',
+    ADJUST: 'adjust'
 };
 
 export const WEIGHT_MODES = {
@@ -0,0 +1,149 @@
+/**
+ * Flow Network
+ * Residual network over a Graph whose edge weights are capacities.
+ * Every graph edge becomes a pair of arcs: the forward arc and its residual twin.
+ * The twin of a directed edge starts with capacity 0 (it only carries cancelled flow);
+ * the twin of an undirected edge has the full capacity, so flow may go either way.
+ */
+
+export class FlowNetwork {
+    // Residual capacity below this counts as none (guards fractional capacities)
+    static get EPSILON() {
+        return 1e-9;
+    }
+
+    constructor(graph) {
+        this.nodeCount = graph.nodes.length;
+        this.edgeCount = graph.edges.length;
+        this.arcs = [];
+        this.adjacency = Array.from({ length: this.nodeCount }, () => []);
+
+        graph.edges.forEach((edge, edgeIndex) => {
+            if (edge.weight < 0) {
+                throw new Error(`Edge ${edge.from} → ${edge.to} has negative capacity ${edge.weight}`);
+            }
+            if (edge.from === edge.to) {
+                return; // Self-loops cannot carry flow
+            }
+            this.addArcPair(edge.from, edge.to, edge.weight, graph.directed ? 0 : edge.weight, edgeIndex);
+        });
+    }
+
+    /**
+     * Add an arc and its residual twin (arc ^ 1 is always the twin)
+     */
+    addArcPair(from, to, capacity, reverseCapacity, edgeIndex) {
+        const index = this.arcs.length;
+        this.arcs.push({ from, to, capacity, flow: 0, edgeIndex, forward: true });
+        this.arcs.push({ from: to, to: from, capacity: reverseCapacity, flow: 0, edgeIndex, forward: false });
+        this.adjacency[from].push(index);
+        this.adjacency[to].push(index + 1);
+    }
+
+    /**
+     * Remaining capacity on an arc
+     */
+    residual(arcIndex) {
+        const arc = this.arcs[arcIndex];
+        return arc.capacity - arc.flow;
+    }
+
+    /**
+     * Check whether an arc can carry more flow
+     */
+    hasResidual(arcIndex) {
+        return this.residual(arcIndex) > FlowNetwork.EPSILON;
+    }
+
+    /**
+     * Send flow along an arc (and take it back from the twin)
+     */
+    push(arcIndex, amount) {
+        this.arcs[arcIndex].flow += amount;
+        this.arcs[arcIndex ^ 1].flow -= amount;
+    }
+
+    /**
+     * Net flow leaving a node
+     */
+    netOutflow(node) {
+        return this.adjacency[node].reduce((sum, arcIndex) => sum + this.arcs[arcIndex].flow, 0);
+    }
+
+    /**
+     * Net flow on every graph edge (negative: against the edge's from → to direction)
+     */
+    edgeFlows() {
+        const flows = Array(this.edgeCount).fill(0);
+        for (const arc of this.arcs) {
+            if (arc.forward) {
+                flows[arc.edgeIndex] += arc.flow;
+            }
+        }
+        return flows;
+    }
+
+    /**
+     * Arcs with spare capacity: { from, to, residual, edgeIndex, isBackEdge }
+     * A back edge is residual capacity that exists only because flow can be cancelled
+     */
+    residualEdges() {
+        const edges = [];
+        this.arcs.forEach((arc, index) => {
+            const residual = this.residual(index);
+            if (residual > FlowNetwork.EPSILON) {
+                edges.push({
+                    from: arc.from,
+                    to: arc.to,
+                    residual,
+                    edgeIndex: arc.edgeIndex,
+                    isBackEdge: arc.flow < 0
+                });
+            }
+        });
+        return edges;
+    }
+
+    /**
+     * Nodes reachable from source through arcs with spare capacity
+     */
+    reachableFrom(source) {
+        const reached = Array(this.nodeCount).fill(false);
+        const queue = [source];
+        reached[source] = true;
+
+        while (queue.length > 0) {
+            const node = queue.shift();
+            for (const arcIndex of this.adjacency[node]) {
+                const { to } = this.arcs[arcIndex];
+                if (!reached[to] && this.hasResidual(arcIndex)) {
+                    reached[to] = true;
+                    queue.push(to);
+                }
+            }
+        }
+
+        return reached;
+    }
+
+    /**
+     * Minimum S/T cut after a maximum flow: S is everything still reachable from the source
+     * @returns {{sourceSide: boolean[], edges: number[], capacity: number}} edges are graph edge indices
+     */
+    minCut(source) {
+        const sourceSide = this.reachableFrom(source);
+        const edges = [];
+        let capacity = 0;
+
+        this.arcs.forEach(arc => {
+            if (arc.capacity > 0 && sourceSide[arc.from] && !sourceSide[arc.to]) {
+                if (!edges.includes(arc.edgeIndex)) {
+                    edges.push(arc.edgeIndex);
+                }
+                capacity += arc.capacity;
+            }
+        });
+
+        return { sourceSide, edges, capacity };
+    }
+}
@@ -155,6 +155,27 @@ export class Graph {
         return matrix;
     }
 
+    /**
+     * Build a graph from plain data ({ nodes: [{ x, y, label }], edges, directed }),
+     * numbering the nodes by position
+     */
+    static fromData(graphData) {
+        const graph = new Graph(graphData.directed || false);
+        
+        graphData.nodes.forEach((node, index) => {
+            graph.addNode(index, node.x, node.y);
+            if (node.label !== undefined) {
+                graph.nodes[index].label = node.label;
+            }
+        });
+        
+        graphData.edges.forEach(edge => {
+            graph.addEdge(edge.from, edge.to, edge.weight);
+        });
+        
+        return graph;
+    }
+
     /**
      * Generate random graph
      */
@@ -1,10 +1,18 @@
 /**
  * Min Heap (Priority Queue)
- * Used for Dijkstra and Prim algorithms
+ * Used for Dijkstra and Prim algorithms. Not indexed: Dijkstra and lazy Prim push
+ * a new entry on every improvement and skip the stale ones when they are popped
  */
 
-export class MinHeap {
-    constructor(comparator = null) {
+import { PriorityQueue } from '../queues/PriorityQueue.js';
+
+export class MinHeap extends PriorityQueue {
+    /**
+     * @param {Function|null} comparator - (a, b) => number, by distance when null
+     * @param {string} priority - Entry field shown as the priority in shapes
+     */
+    constructor(comparator = null, priority = 'distance') {
+        super(priority);
         this.heap = [];
         this.comparator = comparator || this.defaultComparator;
     }
@@ -16,6 +24,14 @@ export class MinHeap {
         return a.distance - b.distance;
     }
 
+    /**
+     * Counted comparison
+     */
+    compare(a, b) {
+        this.stats.comparisons++;
+        return this.comparator(a, b);
+    }
+
     /**
      * Get parent index
      */
@@ -83,6 +99,7 @@ export class MinHeap {
      * Swap two elements
      */
     swap(index1, index2) {
+        this.count('swaps');
         const temp = this.heap[index1];
         this.heap[index1] = this.heap[index2];
         this.heap[index2] = temp;
@@ -92,6 +109,7 @@ export class MinHeap {
      * Peek at minimum element without removing
      */
     peek() {
+        this.count('peek');
         if (this.heap.length === 0) {
             return null;
         }
@@ -106,6 +124,7 @@ export class MinHeap {
             return null;
         }
 
+        this.count('extractMin');
         const min = this.heap[0];
         this.heap[0] = this.heap[this.heap.length - 1];
         this.heap.pop();
@@ -121,19 +140,45 @@ export class MinHeap {
      * Insert new element
      */
     insert(item) {
+        this.count('insert');
         this.heap.push(item);
         this.heapifyUp();
     }
 
     /**
-     * Heapify up (bubble up)
+     * Check whether the heap holds an entry for a node
+     */
+    contains(node) {
+        return this.heap.some(item => item.node === node);
+    }
+
+    /**
+     * Lower the priority of a node's entry in place (no duplicate entry)
+     * @param {number} node - Node of the entry
+     * @param {Object} changes - Fields to overwrite, e.g. { key: 3 }
+     * @returns {boolean} Whether the node had an entry
+     */
+    decreaseKey(node, changes) {
+        const index = this.heap.findIndex(item => item.node === node);
+        if (index === -1) {
+            return false;
+        }
+
+        this.count('decreaseKey');
+        Object.assign(this.heap[index], changes);
+        this.heapifyUp(index);
+        return true;
+    }
+
+    /**
+     * Heapify up (bubble up) from an index, by default the last element
      */
-    heapifyUp() {
-        let index = this.heap.length - 1;
+    heapifyUp(startIndex = this.heap.length - 1) {
+        let index = startIndex;
 
         while (
             this.hasParent(index) &&
-            this.comparator(this.heap[index], this.parent(index)) < 0
+            this.compare(this.heap[index], this.parent(index)) < 0
         ) {
             this.swap(this.getParentIndex(index), index);
             index = this.getParentIndex(index);
@@ -151,7 +196,7 @@ export class MinHeap {
 
             if (
                 this.hasRightChild(index) &&
-                this.comparator(
+                this.compare(
                     this.rightChild(index),
                     this.leftChild(index)
                 ) < 0
@@ -160,7 +205,7 @@ export class MinHeap {
             }
 
             if (
-                this.comparator(
+                this.compare(
                     this.heap[index],
                     this.heap[smallerChildIndex]
                 ) < 0
@@ -194,6 +239,24 @@ export class MinHeap {
         this.heap = [];
     }
 
+    /**
+     * Entries in array order (index 0 is the minimum)
+     */
+    entries() {
+        return this.heap;
+    }
+
+    /**
+     * Array laid out as a binary tree
+     */
+    getShape() {
+        return {
+            type: 'heap',
+            arity: 2,
+            items: this.heap.map(item => this.describe(item))
+        };
+    }
+
     /**
      * Build heap from array
      */
@@ -215,7 +278,7 @@ export class MinHeap {
 
             if (
                 this.hasRightChild(index) &&
-                this.comparator(
+                this.compare(
                     this.rightChild(index),
                     this.leftChild(index)
                 ) < 0
@@ -224,7 +287,7 @@ export class MinHeap {
             }
 
             if (
-                this.comparator(
+                this.compare(
                     this.heap[index],
                     this.heap[smallerChildIndex]
                 ) < 0
@@ -243,12 +306,14 @@ export class MinHeap {
     toArray() {
         const result = [];
         const heapCopy = [...this.heap];
+        const stats = this.getStats(); // Draining a copy is not part of the run
 
         while (this.heap.length > 0) {
             result.push(this.extractMin());
         }
 
         this.heap = heapCopy;
+        this.stats = stats;
         return result;
     }
 }
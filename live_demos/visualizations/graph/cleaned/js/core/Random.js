@@ -0,0 +1,93 @@
+/**
+ * Seeded random numbers
+ * mulberry32: small, fast and the same sequence on every browser and in Node,
+ * so a generator seed always rebuilds the same graph
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Any integer, or a string that is hashed to one
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Seed as an unsigned 32-bit integer; strings are hashed (FNV-1a)
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.trunc(seed) >>> 0;
+        }
+
+        const text = String(seed);
+        if (/^\d+$/.test(text.trim())) {
+            return Number(text.trim()) >>> 0;
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * A fresh seed for runs that did not ask for one (reported so they can be repeated)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 2 ** 32);
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Number in [min, max)
+     */
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of a non-empty array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle of a copy
+     */
+    shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
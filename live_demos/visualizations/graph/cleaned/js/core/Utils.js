@@ -84,6 +84,83 @@ export function getNeighbors(graph, nodeId) {
     return neighbors;
 }
 
+/**
+ * Follow a predecessor array back from target
+ * @returns {Array<number>} Node indices from the source to target, or [] if target was never reached
+ */
+export function buildPathFromPrevious(previous, source, target) {
+    const path = [];
+    let node = target;
+    
+    while (node !== null && node !== undefined && path.length <= previous.length) {
+        path.unshift(node);
+        if (node === source) {
+            return path;
+        }
+        node = previous[node];
+    }
+    
+    return [];
+}
+
+/**
+ * Two-color the nodes by BFS, ignoring edge direction
+ * @returns {{side: Array<number|null>, oddCycle: Array<number>|null}} side is 0 or 1 per node
+ *          (0 for the lowest node of each component); oddCycle is set if an edge joins two nodes of one color
+ */
+export function findBipartition(graph) {
+    const side = graph.nodes.map(() => null);
+    const parent = graph.nodes.map(() => null);
+    const adjacency = graph.nodes.map(() => []);
+
+    for (const edge of graph.edges) {
+        adjacency[edge.from].push(edge.to);
+        adjacency[edge.to].push(edge.from);
+    }
+
+    for (let root = 0; root < side.length; root++) {
+        if (side[root] !== null) continue;
+
+        side[root] = 0;
+        const queue = [root];
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            for (const neighbor of adjacency[node]) {
+                if (side[neighbor] === null) {
+                    side[neighbor] = 1 - side[node];
+                    parent[neighbor] = node;
+                    queue.push(neighbor);
+                } else if (side[neighbor] === side[node]) {
+                    return { side, oddCycle: traceOddCycle(parent, node, neighbor) };
+                }
+            }
+        }
+    }
+
+    return { side, oddCycle: null };
+}
+
+/**
+ * Close the odd cycle made by a same-color edge u–v: the BFS tree paths from u and v
+ * up to their lowest common ancestor, joined by u–v
+ * @returns {Array<number>} u, ..., ancestor, ..., v (a self-loop gives [u])
+ */
+export function traceOddCycle(parent, u, v) {
+    const ancestorsOfU = [];
+    for (let node = u; node !== null; node = parent[node]) {
+        ancestorsOfU.push(node);
+    }
+
+    const fromV = [];
+    let meet = v;
+    while (!ancestorsOfU.includes(meet)) {
+        fromV.push(meet);
+        meet = parent[meet];
+    }
+
+    return [...ancestorsOfU.slice(0, ancestorsOfU.indexOf(meet) + 1), ...fromV.reverse()];
+}
+
 /**
  * Format distance for display (handle Infinity)
  */
@@ -145,6 +222,16 @@ export function isPointInCircle(px, py, cx, cy, radius) {
 }
 
 
+/**
+ * Distance from a point to the segment (x1, y1)–(x2, y2)
+ */
+export function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+    const t = lengthSquared === 0 ? 0 : clamp(((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared, 0, 1);
+    return calculateDistance(px, py, lerp(x1, x2, t), lerp(y1, y2, t));
+}
+
+
 /**
  * Check if point is inside rectangle
  */
@@ -175,6 +262,18 @@ export function debounce(func, wait) {
     };
 }
 
+/**
+ * Distinct colors for n sets (hues spread evenly around the wheel)
+ */
+export function generateSetColors(n) {
+    const colors = [];
+    for (let i = 0; i < n; i++) {
+        const hue = (i * 360 / n) % 360;
+        colors.push(`hsl(${hue}, 70%, 60%)`);
+    }
+    return colors;
+}
+
 /**
  * Check if value is defined and not null
  */
@@ -0,0 +1,96 @@
+/**
+ * Edit History
+ * Undo and redo stacks of commands. A new edit drops everything that was undone
+ * after it, and the oldest edits fall off past the limit
+ */
+
+import { EDITOR } from '../core/Constants.js';
+
+export class EditHistory {
+    /**
+     * @param {GraphModel} model - The graph the commands edit
+     * @param {number} limit - Most edits kept for undo
+     */
+    constructor(model, limit = EDITOR.HISTORY_LIMIT) {
+        this.model = model;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Make an edit and remember it
+     * @returns {EditCommand} The command, now carrying its final label
+     */
+    execute(command) {
+        command.execute(this.model);
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return command;
+    }
+
+    /**
+     * Take back the latest edit
+     * @returns {EditCommand|null} The command undone, or null when there is none
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo(this.model);
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Make the latest undone edit again
+     * @returns {EditCommand|null} The command redone, or null when there is none
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.execute(this.model);
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Whether there is an edit to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an edit to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the edit undo() would take back
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+    }
+
+    /**
+     * Label of the edit redo() would make
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+    }
+
+    /**
+     * Forget every edit (a new graph was loaded)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
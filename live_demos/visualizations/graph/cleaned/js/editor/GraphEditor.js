@@ -0,0 +1,593 @@
+/**
+ * Graph Editor
+ * Mouse and keyboard editing on a visualizer's canvas while edit mode is on:
+ * - double-click empty space to add a node, Shift-drag from a node to another to add an edge
+ * - click or Ctrl-click nodes and edges, or drag a box, to select; drag a selected node to move them all
+ * - double-click an edge (or press Enter with one selected) to type its weight, negative allowed
+ * - Delete removes the selection, R reverses the selected edges, Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) undo and redo
+ * Every change goes through EditHistory; onEdit hears about each one so the
+ * visualizer can drop algorithm steps that no longer match the graph
+ */
+
+import { NODE, EDITOR, COLORS } from '../core/Constants.js';
+import { calculateDistance, distanceToSegment, isPointInCircle } from '../core/Utils.js';
+import { EditHistory } from './EditHistory.js';
+import { AddNodeCommand } from './commands/AddNodeCommand.js';
+import { AddEdgeCommand } from './commands/AddEdgeCommand.js';
+import { DeleteCommand } from './commands/DeleteCommand.js';
+import { SetEdgeWeightCommand } from './commands/SetEdgeWeightCommand.js';
+import { ReverseEdgesCommand } from './commands/ReverseEdgesCommand.js';
+import { MoveNodesCommand } from './commands/MoveNodesCommand.js';
+
+export class GraphEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - The visualizer's canvas
+     * @param {GraphModel} model - The graph to edit
+     * @param {Object} options - { nodeRadius, labelOffsetY (weight label height above the edge
+     *                           midpoint), onEdit(command, action) with action 'execute', 'undo' or 'redo',
+     *                           onStatus(text) for the one-line report of the last action }
+     */
+    constructor(canvas, model, options = {}) {
+        this.canvas = canvas;
+        this.model = model;
+        this.history = new EditHistory(model);
+        this.nodeRadius = options.nodeRadius ?? NODE.RADIUS;
+        this.labelOffsetY = options.labelOffsetY ?? 0;
+        this.onEdit = options.onEdit ?? (() => {});
+        this.onStatus = options.onStatus ?? (() => {});
+
+        this.enabled = false;
+        this.selectedNodes = new Set();
+        this.selectedEdges = new Set();
+        this.gesture = null; // Drag, box or new edge while the mouse is down
+        this.weightInput = null;
+        this.status = '';
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners (each handler does nothing while edit mode is off)
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+
+        // Kept so dispose() can remove them
+        this.windowListeners = {
+            mousemove: (e) => this.handleMouseMove(e),
+            mouseup: (e) => this.handleMouseUp(e),
+            keydown: (e) => this.handleKeyDown(e)
+        };
+        Object.entries(this.windowListeners).forEach(([type, listener]) => window.addEventListener(type, listener));
+    }
+
+    /**
+     * Remove the window listeners and any open weight input (the visualizer is being thrown away)
+     */
+    dispose() {
+        this.closeWeightInput();
+        Object.entries(this.windowListeners).forEach(([type, listener]) => window.removeEventListener(type, listener));
+    }
+
+    /**
+     * Turn edit mode on
+     */
+    enable() {
+        this.enabled = true;
+        this.setStatus('');
+    }
+
+    /**
+     * Turn edit mode off, keeping the history so edits can still be undone later
+     */
+    disable() {
+        this.closeWeightInput();
+        this.clearSelection();
+        this.gesture = null;
+        this.enabled = false;
+    }
+
+    /**
+     * Forget selection and history (a new graph was loaded)
+     */
+    reset() {
+        this.closeWeightInput();
+        this.clearSelection();
+        this.gesture = null;
+        this.history.clear();
+        this.setStatus('');
+    }
+
+    /**
+     * Report the last action
+     */
+    setStatus(text) {
+        this.status = text;
+        this.onStatus(text);
+    }
+
+    /**
+     * Make an edit through the history
+     * @returns {EditCommand}
+     */
+    execute(command) {
+        this.history.execute(command);
+        this.setStatus(command.label);
+        this.onEdit(command, 'execute');
+        return command;
+    }
+
+    /**
+     * Take back the latest edit
+     * @returns {EditCommand|null}
+     */
+    undo() {
+        this.closeWeightInput();
+        const command = this.history.undo();
+        if (!command) return null;
+
+        this.clearSelection();
+        this.setStatus(`Undo: ${command.label}`);
+        this.onEdit(command, 'undo');
+        return command;
+    }
+
+    /**
+     * Make the latest undone edit again
+     * @returns {EditCommand|null}
+     */
+    redo() {
+        this.closeWeightInput();
+        const command = this.history.redo();
+        if (!command) return null;
+
+        this.clearSelection();
+        this.setStatus(`Redo: ${command.label}`);
+        this.onEdit(command, 'redo');
+        return command;
+    }
+
+    /**
+     * Delete the selected nodes and edges (and the edges of those nodes)
+     */
+    deleteSelection() {
+        if (this.selectedNodes.size === 0 && this.selectedEdges.size === 0) return null;
+
+        const command = new DeleteCommand([...this.selectedNodes], [...this.selectedEdges]);
+        this.clearSelection();
+        return this.execute(command);
+    }
+
+    /**
+     * Turn the selected edges around
+     */
+    reverseSelection() {
+        if (!this.model.directed) {
+            this.setStatus('Edges of an undirected graph have no direction to reverse');
+            return null;
+        }
+        if (this.selectedEdges.size === 0) {
+            this.setStatus('Select the edges to reverse first');
+            return null;
+        }
+        return this.execute(new ReverseEdgesCommand([...this.selectedEdges]));
+    }
+
+    /**
+     * Select every node and edge
+     */
+    selectAll() {
+        this.selectedNodes = new Set(Array.from({ length: this.model.nodeCount }, (_, i) => i));
+        this.selectedEdges = new Set(this.model.edges.map((_, i) => i));
+    }
+
+    /**
+     * Select nothing
+     */
+    clearSelection() {
+        this.selectedNodes.clear();
+        this.selectedEdges.clear();
+    }
+
+    /**
+     * Mouse position relative to the canvas
+     */
+    getMousePos(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    /**
+     * Topmost node under a point
+     * @returns {number|null}
+     */
+    nodeAt(x, y) {
+        for (let i = this.model.nodeCount - 1; i >= 0; i--) {
+            const pos = this.model.getPosition(i);
+            if (isPointInCircle(x, y, pos.x, pos.y, this.nodeRadius)) {
+                return i;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Edge whose line or weight label is under a point
+     * @returns {number|null}
+     */
+    edgeAt(x, y) {
+        let closest = null;
+        let closestDistance = EDITOR.EDGE_HIT_DISTANCE;
+        this.model.edges.forEach((edge, index) => {
+            const a = this.model.getPosition(edge.from);
+            const b = this.model.getPosition(edge.to);
+            const onLabel = calculateDistance(x, y, (a.x + b.x) / 2, (a.y + b.y) / 2 + this.labelOffsetY) <= EDITOR.EDGE_HIT_DISTANCE * 1.5;
+            const distance = onLabel ? 0 : distanceToSegment(x, y, a.x, a.y, b.x, b.y);
+            if (distance <= closestDistance) {
+                closest = index;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * The edge and, in an undirected graph, any other copy of the same link
+     * (some graphs store an undirected link as two opposite edges)
+     */
+    edgeGroup(index) {
+        const { from, to } = this.model.edges[index];
+        if (this.model.directed) return [index];
+
+        return this.model.edges
+            .map((edge, i) => ((edge.from === from && edge.to === to) || (edge.from === to && edge.to === from) ? i : null))
+            .filter(i => i !== null);
+    }
+
+    /**
+     * Index of the edge from → to (either way round when undirected)
+     * @returns {number|null}
+     */
+    findEdge(from, to) {
+        const index = this.model.edges.findIndex(edge =>
+            (edge.from === from && edge.to === to) ||
+            (!this.model.directed && edge.from === to && edge.to === from));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Press: pick a node (to drag or start an edge), an edge, or start a selection box
+     */
+    handleMouseDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+
+        const pos = this.getMousePos(event);
+        const additive = event.ctrlKey || event.metaKey;
+        const node = this.nodeAt(pos.x, pos.y);
+
+        if (node !== null) {
+            if (event.shiftKey) {
+                this.gesture = { type: 'edge', from: node, pointer: pos };
+                return;
+            }
+            if (additive && this.selectedNodes.has(node)) {
+                this.selectedNodes.delete(node);
+                return;
+            }
+            if (!additive && !this.selectedNodes.has(node)) {
+                this.clearSelection();
+            }
+            this.selectedNodes.add(node);
+            this.gesture = {
+                type: 'drag',
+                start: pos,
+                moved: false,
+                origins: [...this.selectedNodes].map(index => ({ index, ...this.model.getPosition(index) }))
+            };
+            return;
+        }
+
+        const edge = this.edgeAt(pos.x, pos.y);
+        if (edge !== null) {
+            const group = this.edgeGroup(edge);
+            if (additive && this.selectedEdges.has(edge)) {
+                group.forEach(index => this.selectedEdges.delete(index));
+            } else {
+                if (!additive) this.clearSelection();
+                group.forEach(index => this.selectedEdges.add(index));
+            }
+            return;
+        }
+
+        if (!additive) {
+            this.clearSelection();
+        }
+        this.gesture = { type: 'box', start: pos, end: pos };
+    }
+
+    /**
+     * Move: drag the selected nodes, grow the box, or follow the pointer with the new edge
+     */
+    handleMouseMove(event) {
+        if (!this.enabled || !this.gesture) return;
+
+        const pos = this.getMousePos(event);
+        const gesture = this.gesture;
+
+        if (gesture.type === 'drag') {
+            const dx = pos.x - gesture.start.x;
+            const dy = pos.y - gesture.start.y;
+            if (!gesture.moved && Math.hypot(dx, dy) < EDITOR.DRAG_THRESHOLD) return;
+
+            gesture.moved = true;
+            gesture.origins.forEach(({ index, x, y }) => this.model.setPosition(index, x + dx, y + dy));
+        } else if (gesture.type === 'box') {
+            gesture.end = pos;
+        } else {
+            gesture.pointer = pos;
+        }
+    }
+
+    /**
+     * Release: record the move, select what the box holds, or add the new edge
+     */
+    handleMouseUp(event) {
+        if (!this.enabled || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+        const pos = this.getMousePos(event);
+
+        if (gesture.type === 'drag') {
+            if (gesture.moved) {
+                this.execute(new MoveNodesCommand(gesture.origins.map(({ index, x, y }) => ({
+                    index,
+                    from: { x, y },
+                    to: this.model.getPosition(index)
+                }))));
+            }
+        } else if (gesture.type === 'box') {
+            this.selectInBox(gesture.start, gesture.end);
+        } else {
+            this.finishEdge(gesture.from, this.nodeAt(pos.x, pos.y));
+        }
+    }
+
+    /**
+     * Add the nodes inside a box, and the edges with both ends inside, to the selection
+     */
+    selectInBox(start, end) {
+        const left = Math.min(start.x, end.x), right = Math.max(start.x, end.x);
+        const top = Math.min(start.y, end.y), bottom = Math.max(start.y, end.y);
+        if (right - left < EDITOR.DRAG_THRESHOLD && bottom - top < EDITOR.DRAG_THRESHOLD) return;
+
+        const inside = new Set();
+        for (let i = 0; i < this.model.nodeCount; i++) {
+            const { x, y } = this.model.getPosition(i);
+            if (x >= left && x <= right && y >= top && y <= bottom) {
+                inside.add(i);
+            }
+        }
+        inside.forEach(index => this.selectedNodes.add(index));
+        this.model.edges.forEach((edge, index) => {
+            if (inside.has(edge.from) && inside.has(edge.to)) {
+                this.selectedEdges.add(index);
+            }
+        });
+    }
+
+    /**
+     * Add an edge between two nodes and open its weight; an existing edge just opens its weight
+     */
+    finishEdge(from, to) {
+        if (to === null) return;
+        if (to === from) {
+            this.setStatus('Self-loops are not supported');
+            return;
+        }
+
+        let index = this.findEdge(from, to);
+        if (index === null) {
+            index = this.model.edges.length;
+            this.execute(new AddEdgeCommand(from, to, EDITOR.DEFAULT_WEIGHT));
+        }
+        this.clearSelection();
+        this.edgeGroup(index).forEach(i => this.selectedEdges.add(i));
+        this.openWeightInput(index);
+    }
+
+    /**
+     * Double-click: type the weight of an edge, or add a node in empty space
+     */
+    handleDoubleClick(event) {
+        if (!this.enabled) return;
+
+        const pos = this.getMousePos(event);
+        if (this.nodeAt(pos.x, pos.y) !== null) return;
+
+        const edge = this.edgeAt(pos.x, pos.y);
+        if (edge !== null) {
+            this.openWeightInput(edge);
+        } else {
+            this.execute(new AddNodeCommand(pos.x, pos.y));
+        }
+    }
+
+    /**
+     * Keyboard shortcuts (left alone while a form field has focus)
+     */
+    handleKeyDown(event) {
+        if (!this.enabled) return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName)) return;
+
+        const command = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+        let handled = true;
+
+        if (command && key === 'z') {
+            if (event.shiftKey) this.redo(); else this.undo();
+        } else if (command && key === 'y') {
+            this.redo();
+        } else if (command && key === 'a') {
+            this.selectAll();
+        } else if (command) {
+            handled = false;
+        } else if (key === 'delete' || key === 'backspace') {
+            this.deleteSelection();
+        } else if (key === 'r') {
+            this.reverseSelection();
+        } else if (key === 'enter' && this.selectedEdges.size > 0) {
+            this.openWeightInput([...this.selectedEdges][0]);
+        } else if (key === 'escape') {
+            this.clearSelection();
+        } else {
+            handled = false;
+        }
+
+        if (handled) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Text box over an edge's weight label; Enter or leaving it sets the weight, Escape cancels
+     */
+    openWeightInput(edgeIndex) {
+        this.closeWeightInput();
+
+        const edge = this.model.edges[edgeIndex];
+        const a = this.model.getPosition(edge.from);
+        const b = this.model.getPosition(edge.to);
+        const rect = this.canvas.getBoundingClientRect();
+
+        const element = document.createElement('input');
+        element.type = 'text';
+        element.inputMode = 'decimal';
+        element.value = edge.weight;
+        element.title = 'Edge weight (negative allowed); Enter to set, Escape to cancel';
+        Object.assign(element.style, {
+            position: 'fixed',
+            left: `${rect.left + (a.x + b.x) / 2 - 32}px`,
+            top: `${rect.top + (a.y + b.y) / 2 + this.labelOffsetY - 13}px`,
+            width: '64px',
+            padding: '3px',
+            textAlign: 'center',
+            font: '14px Arial',
+            border: `2px solid ${COLORS.SELECTION}`,
+            borderRadius: '4px',
+            zIndex: 1000
+        });
+
+        element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                this.commitWeightInput(true);
+            } else if (e.key === 'Escape') {
+                this.closeWeightInput();
+            }
+        });
+        element.addEventListener('blur', () => {
+            if (this.weightInput?.element === element) {
+                this.commitWeightInput(false);
+            }
+        });
+
+        this.weightInput = { element, edgeIndices: this.edgeGroup(edgeIndex) };
+        document.body.appendChild(element);
+        element.focus();
+        element.select();
+    }
+
+    /**
+     * Set the typed weight
+     * @param {boolean} keepOpenIfInvalid - Enter keeps a bad entry open to fix; leaving the box drops it
+     */
+    commitWeightInput(keepOpenIfInvalid) {
+        const { element, edgeIndices } = this.weightInput;
+        const text = element.value.trim();
+        const weight = Number(text);
+
+        if (text === '' || !Number.isFinite(weight)) {
+            this.setStatus(`"${text}" is not a number`);
+            if (keepOpenIfInvalid) {
+                element.style.borderColor = COLORS.REJECTED;
+                return;
+            }
+            this.closeWeightInput();
+            return;
+        }
+
+        this.closeWeightInput();
+        if (edgeIndices.some(index => this.model.edges[index].weight !== weight)) {
+            this.execute(new SetEdgeWeightCommand(edgeIndices, weight));
+        }
+    }
+
+    /**
+     * Remove the weight box without setting anything
+     */
+    closeWeightInput() {
+        if (!this.weightInput) return;
+
+        const { element } = this.weightInput;
+        this.weightInput = null;
+        element.remove();
+    }
+
+    /**
+     * Draw the selection, the selection box and the edge being added, over the graph
+     */
+    drawOverlay(ctx) {
+        if (!this.enabled) return;
+
+        ctx.save();
+        ctx.strokeStyle = COLORS.SELECTION;
+
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 8;
+        this.selectedEdges.forEach(index => {
+            const edge = this.model.edges[index];
+            if (!edge) return;
+            const a = this.model.getPosition(edge.from);
+            const b = this.model.getPosition(edge.to);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 3;
+        this.selectedNodes.forEach(index => {
+            if (index >= this.model.nodeCount) return;
+            const { x, y } = this.model.getPosition(index);
+            ctx.beginPath();
+            ctx.arc(x, y, this.nodeRadius + 5, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        const gesture = this.gesture;
+        ctx.setLineDash([5, 5]);
+        ctx.lineWidth = 2;
+        if (gesture?.type === 'box') {
+            const x = Math.min(gesture.start.x, gesture.end.x);
+            const y = Math.min(gesture.start.y, gesture.end.y);
+            const width = Math.abs(gesture.end.x - gesture.start.x);
+            const height = Math.abs(gesture.end.y - gesture.start.y);
+            ctx.fillStyle = COLORS.SELECTION_BOX;
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeRect(x, y, width, height);
+        } else if (gesture?.type === 'edge') {
+            const from = this.model.getPosition(gesture.from);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(gesture.pointer.x, gesture.pointer.y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Editable Graph Model
+ * What the editor and its commands need from a visualizer's graph: node positions,
+ * node insertion and removal by index, and the live edge list. This one edits a
+ * Graph (js/core/Graph.js); compat/LegacyGraphModel.js does the same for the
+ * original page, which keeps positions apart from the nodes
+ * Nodes are numbered by position, so removing one renumbers the nodes after it;
+ * the commands renumber the edges to match
+ */
+
+export class GraphModel {
+    /**
+     * @param {Function} getGraph - Returns the current Graph (visualizers swap it on load)
+     */
+    constructor(getGraph) {
+        this.getGraph = getGraph;
+    }
+
+    /**
+     * Number of nodes
+     */
+    get nodeCount() {
+        return this.getGraph().nodes.length;
+    }
+
+    /**
+     * Edge list ({ from, to, weight }), edited in place
+     */
+    get edges() {
+        return this.getGraph().edges;
+    }
+
+    /**
+     * Whether edges have a direction
+     */
+    get directed() {
+        return this.getGraph().directed;
+    }
+
+    /**
+     * Position of a node
+     * @returns {{x: number, y: number}}
+     */
+    getPosition(index) {
+        const { x, y } = this.getGraph().nodes[index];
+        return { x, y };
+    }
+
+    /**
+     * Move a node
+     */
+    setPosition(index, x, y) {
+        const node = this.getGraph().nodes[index];
+        node.x = x;
+        node.y = y;
+    }
+
+    /**
+     * Insert a node at an index, shifting the ones after it up
+     * @param {Object} node - { x, y } and any other node fields (e.g. label) from removeNode()
+     */
+    insertNode(index, node) {
+        const nodes = this.getGraph().nodes;
+        nodes.splice(index, 0, { id: index, ...node });
+        this.renumber(nodes);
+    }
+
+    /**
+     * Remove a node, shifting the ones after it down
+     * @returns {Object} The node's fields, for insertNode()
+     */
+    removeNode(index) {
+        const nodes = this.getGraph().nodes;
+        const [{ id, ...node }] = nodes.splice(index, 1);
+        this.renumber(nodes);
+        return node;
+    }
+
+    /**
+     * Keep node ids equal to their index, as Graph.fromData() numbers them
+     */
+    renumber(nodes) {
+        nodes.forEach((node, index) => {
+            node.id = index;
+        });
+    }
+}
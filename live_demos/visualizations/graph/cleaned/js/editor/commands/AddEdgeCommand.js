@@ -0,0 +1,29 @@
+/**
+ * Add Edge
+ * Appends an edge, so the indices of the others stay put
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class AddEdgeCommand extends EditCommand {
+    constructor(from, to, weight) {
+        super(`Add edge ${from} → ${to}`);
+        this.edge = { from, to, weight };
+        this.index = null;
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        this.index = model.edges.length;
+        model.edges.push({ ...this.edge });
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        model.edges.splice(this.index, 1);
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Add Node
+ * Appends a node, so no other node or edge is renumbered
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class AddNodeCommand extends EditCommand {
+    /**
+     * @param {number} x - Canvas position
+     * @param {number} y - Canvas position
+     */
+    constructor(x, y) {
+        super('Add node');
+        this.position = { x, y };
+        this.index = null;
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        this.index = model.nodeCount;
+        model.insertNode(this.index, this.position);
+        this.label = `Add node ${this.index}`;
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        model.removeNode(this.index);
+    }
+}
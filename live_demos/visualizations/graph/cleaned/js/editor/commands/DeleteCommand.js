@@ -0,0 +1,70 @@
+/**
+ * Delete Nodes and Edges
+ * Removes the chosen edges, the chosen nodes and every edge touching those nodes,
+ * then renumbers the remaining edges. Undo puts the nodes back at their old indices
+ * and restores the edge list as it was
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class DeleteCommand extends EditCommand {
+    /**
+     * @param {Array<number>} nodeIndices - Nodes to remove
+     * @param {Array<number>} edgeIndices - Edges to remove (edges of removed nodes go too)
+     */
+    constructor(nodeIndices, edgeIndices) {
+        super('Delete');
+        this.nodeIndices = [...new Set(nodeIndices)].sort((a, b) => a - b);
+        this.edgeIndices = new Set(edgeIndices);
+        this.removedNodes = null;
+        this.previousEdges = null;
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        const removed = new Set(this.nodeIndices);
+        const edges = model.edges;
+        this.previousEdges = edges.map(edge => ({ ...edge }));
+
+        // New number of each surviving node: its old one less the removed nodes below it
+        const shift = [];
+        let removedBelow = 0;
+        for (let i = 0; i < model.nodeCount; i++) {
+            shift.push(removedBelow);
+            if (removed.has(i)) removedBelow++;
+        }
+
+        const kept = edges
+            .filter((edge, index) => !this.edgeIndices.has(index) && !removed.has(edge.from) && !removed.has(edge.to))
+            .map(edge => ({ ...edge, from: edge.from - shift[edge.from], to: edge.to - shift[edge.to] }));
+        const edgeCount = edges.length - kept.length;
+        edges.splice(0, edges.length, ...kept);
+
+        // Highest index first, so the lower ones do not move
+        this.removedNodes = [...this.nodeIndices].reverse()
+            .map(index => ({ index, node: model.removeNode(index) }))
+            .reverse();
+
+        this.label = this.describe(this.nodeIndices.length, edgeCount);
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        this.removedNodes.forEach(({ index, node }) => model.insertNode(index, node));
+        model.edges.splice(0, model.edges.length, ...this.previousEdges.map(edge => ({ ...edge })));
+    }
+
+    /**
+     * "Delete 2 nodes and 3 edges"
+     */
+    describe(nodeCount, edgeCount) {
+        const parts = [];
+        if (nodeCount > 0) parts.push(`${nodeCount} node${nodeCount === 1 ? '' : 's'}`);
+        if (edgeCount > 0 || nodeCount === 0) parts.push(`${edgeCount} edge${edgeCount === 1 ? '' : 's'}`);
+        return `Delete ${parts.join(' and ')}`;
+    }
+}
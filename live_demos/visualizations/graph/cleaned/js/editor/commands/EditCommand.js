@@ -0,0 +1,33 @@
+/**
+ * Base class for graph edits
+ * A command makes one edit and can take it back; EditHistory runs them in order,
+ * so undo() always sees the graph exactly as execute() left it
+ */
+
+export class EditCommand {
+    /**
+     * @param {string} label - Shown in the undo/redo buttons and the status line
+     */
+    constructor(label) {
+        this.label = label;
+        this.changesGraph = true; // False for edits that only move nodes
+    }
+
+    /**
+     * Make the edit
+     * Must be implemented by subclasses
+     * @param {GraphModel} model - The graph being edited
+     */
+    execute(model) {
+        throw new Error(`${this.constructor.name}: execute() must be implemented`);
+    }
+
+    /**
+     * Take the edit back
+     * Must be implemented by subclasses
+     * @param {GraphModel} model - The graph being edited
+     */
+    undo(model) {
+        throw new Error(`${this.constructor.name}: undo() must be implemented`);
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Move Nodes
+ * Records a drag after the fact: the editor moves the nodes live while the mouse
+ * is down, then hands over where they started and where they ended
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class MoveNodesCommand extends EditCommand {
+    /**
+     * @param {Array<{index: number, from: {x: number, y: number}, to: {x: number, y: number}}>} moves
+     */
+    constructor(moves) {
+        super(moves.length === 1 ? `Move node ${moves[0].index}` : `Move ${moves.length} nodes`);
+        this.moves = moves.map(({ index, from, to }) => ({ index, from: { ...from }, to: { ...to } }));
+        this.changesGraph = false;
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        this.moves.forEach(({ index, to }) => model.setPosition(index, to.x, to.y));
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        this.moves.forEach(({ index, from }) => model.setPosition(index, from.x, from.y));
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Reverse Edges
+ * Swaps the ends of each edge; doing it twice restores the graph, so undo is the same edit
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class ReverseEdgesCommand extends EditCommand {
+    /**
+     * @param {Array<number>} edgeIndices - Edges to turn around
+     */
+    constructor(edgeIndices) {
+        super(edgeIndices.length === 1 ? 'Reverse edge' : `Reverse ${edgeIndices.length} edges`);
+        this.edgeIndices = [...edgeIndices];
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        this.edgeIndices.forEach(index => {
+            const edge = model.edges[index];
+            [edge.from, edge.to] = [edge.to, edge.from];
+        });
+        if (this.edgeIndices.length === 1) {
+            const { from, to } = model.edges[this.edgeIndices[0]];
+            this.label = `Reverse edge to ${from} → ${to}`;
+        }
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        this.execute(model);
+    }
+}
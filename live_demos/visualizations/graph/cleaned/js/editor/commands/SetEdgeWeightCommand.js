@@ -0,0 +1,46 @@
+/**
+ * Set Edge Weight
+ * One weight for a group of edges: an undirected graph may store a link as two
+ * opposite edges, and both must keep the same weight
+ */
+
+import { EditCommand } from './EditCommand.js';
+
+export class SetEdgeWeightCommand extends EditCommand {
+    /**
+     * @param {Array<number>} edgeIndices - Edges to change
+     * @param {number} weight - Any finite number, negative included
+     */
+    constructor(edgeIndices, weight) {
+        super(`Set weight to ${weight}`);
+        if (!Number.isFinite(weight)) {
+            throw new Error(`Edge weight must be a number (got ${weight})`);
+        }
+        this.edgeIndices = [...edgeIndices];
+        this.weight = weight;
+        this.previousWeights = null;
+    }
+
+    /**
+     * Make the edit
+     */
+    execute(model) {
+        const edges = model.edges;
+        this.previousWeights = this.edgeIndices.map(index => edges[index].weight);
+        this.edgeIndices.forEach(index => {
+            edges[index].weight = this.weight;
+        });
+
+        const { from, to } = edges[this.edgeIndices[0]];
+        this.label = `Set weight of ${from} ${model.directed ? '→' : '–'} ${to} to ${this.weight}`;
+    }
+
+    /**
+     * Take the edit back
+     */
+    undo(model) {
+        this.edgeIndices.forEach((index, i) => {
+            model.edges[index].weight = this.previousWeights[i];
+        });
+    }
+}
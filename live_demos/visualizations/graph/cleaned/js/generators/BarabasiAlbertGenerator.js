@@ -0,0 +1,52 @@
+/**
+ * Barabási–Albert Scale-Free Graph
+ * Starts from a complete graph on m + 1 nodes; every later node joins m distinct
+ * existing nodes picked with probability proportional to their degree
+ * (preferential attachment), which grows a few high-degree hubs. Directed:
+ * edges point from the older node to the newer one, so node 0 reaches every node
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class BarabasiAlbertGenerator extends GraphGenerator {
+    constructor() {
+        super('Barabási–Albert', 'Preferential attachment: a few hubs, many leaves');
+        this.defaults = { ...this.defaults, m: 2 };
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const m = Math.min(options.m, n - 1);
+        if (!Number.isInteger(options.m) || options.m < 1) {
+            throw new Error(`${this.name}: m must be a whole number of at least 1`);
+        }
+
+        const graph = this.createGraph(n, options.directed);
+        // Each node appears here once per edge end, so a uniform pick is degree-weighted
+        const ends = [];
+        const join = (from, to) => {
+            if (graph.addEdge(from, to, this.randomWeight(random, options))) {
+                ends.push(from, to);
+            }
+        };
+
+        for (let a = 0; a <= m; a++) {
+            for (let b = a + 1; b <= m; b++) {
+                join(a, b);
+            }
+        }
+        for (let node = m + 1; node < n; node++) {
+            const targets = new Set();
+            while (targets.size < m) {
+                targets.add(ends.length > 0 ? random.pick(ends) : random.int(0, node - 1));
+            }
+            for (const target of [...targets].sort((a, b) => a - b)) {
+                join(target, node);
+            }
+        }
+        return graph.build();
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * Random Bipartite Graph
+ * Nodes 0 .. left - 1 on the left, the rest on the right; each left-right pair is
+ * an edge with probability p (directed: left to right), and a node left without
+ * an edge gets one to a random node on the other side
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class BipartiteGenerator extends GraphGenerator {
+    constructor() {
+        super('Bipartite', 'Two sides, edges only between them');
+        this.defaults = { ...this.defaults, left: null, p: 0.4 };
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const left = options.left ?? Math.ceil(n / 2);
+        if (!Number.isInteger(left) || left < 1 || left >= n) {
+            throw new Error(`${this.name}: left must be a whole number from 1 to ${n - 1}`);
+        }
+
+        const graph = this.createGraph(n, options.directed);
+        const columnPosition = (index, size) => (index + 1) / (size + 1);
+        graph.place(graph.nodes.map((_, i) => (i < left
+            ? { x: 0, y: columnPosition(i, left) }
+            : { x: 1, y: columnPosition(i - left, n - left) })));
+
+        for (let a = 0; a < left; a++) {
+            for (let b = left; b < n; b++) {
+                if (random.chance(options.p)) {
+                    graph.addEdge(a, b, this.randomWeight(random, options));
+                }
+            }
+        }
+
+        const degree = Array(n).fill(0);
+        graph.edges.forEach(({ from, to }) => { degree[from]++; degree[to]++; });
+        for (let node = 0; node < n; node++) {
+            if (degree[node] > 0) continue;
+            const other = node < left ? random.int(left, n - 1) : random.int(0, left - 1);
+            const [from, to] = node < left ? [node, other] : [other, node];
+            graph.addEdge(from, to, this.randomWeight(random, options));
+            degree[from]++;
+            degree[to]++;
+        }
+        return graph.build();
+    }
+}
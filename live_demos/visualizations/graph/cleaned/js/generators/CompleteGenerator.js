@@ -0,0 +1,29 @@
+/**
+ * Complete Graph
+ * Every pair of nodes joined (both ways when directed), drawn on a circle
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class CompleteGenerator extends GraphGenerator {
+    constructor() {
+        super('Complete', 'Every pair of nodes joined');
+        this.maxNodes = 200; // n(n - 1) edges
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const graph = this.createGraph(n, options.directed);
+        graph.place(this.circlePositions(n));
+
+        for (let from = 0; from < n; from++) {
+            for (let to = options.directed ? 0 : from + 1; to < n; to++) {
+                graph.addEdge(from, to, this.randomWeight(random, options));
+            }
+        }
+        return graph.build();
+    }
+}
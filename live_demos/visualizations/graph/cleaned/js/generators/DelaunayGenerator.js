@@ -0,0 +1,98 @@
+/**
+ * Delaunay Planar Graph
+ * Points uniform in the unit square, joined by the edges of their Delaunay
+ * triangulation (Bowyer-Watson): connected, planar, with no thin slivers.
+ * Weighted by distance like the geometric family
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class DelaunayGenerator extends GraphGenerator {
+    constructor() {
+        super('Delaunay Planar', 'Triangulation of random points: planar and connected');
+        this.maxNodes = 500; // Bowyer-Watson here is quadratic
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const graph = this.createGraph(n, options.directed);
+        const points = graph.nodes.map(() => ({ x: random.next(), y: random.next() }));
+        graph.place(points);
+
+        for (const [a, b] of this.triangulationEdges(points)) {
+            const [from, to] = options.directed && random.chance(0.5) ? [b, a] : [a, b];
+            graph.addEdge(from, to, this.distanceWeight(points[a], points[b]));
+        }
+        return graph.build();
+    }
+
+    /**
+     * Bowyer-Watson: add points one at a time to a triangulation that starts as
+     * one huge triangle, re-triangulating the hole left by the triangles whose
+     * circumcircle contains the new point
+     * @returns {Array<[number, number]>} Edges between input points (a < b)
+     */
+    triangulationEdges(points) {
+        const n = points.length;
+        // Corners of the enclosing triangle get ids n, n + 1, n + 2
+        const all = [...points, { x: -10, y: -10 }, { x: 20, y: -10 }, { x: 0.5, y: 20 }];
+        let triangles = [this.createTriangle(all, n, n + 1, n + 2)];
+
+        for (let p = 0; p < n; p++) {
+            const point = all[p];
+            const broken = triangles.filter(triangle => this.inCircumcircle(triangle, point));
+            triangles = triangles.filter(triangle => !this.inCircumcircle(triangle, point));
+
+            // The hole's boundary: edges that belong to exactly one broken triangle
+            const edgeCount = new Map();
+            for (const { vertices: [a, b, c] } of broken) {
+                for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+                    const key = u < v ? `${u}-${v}` : `${v}-${u}`;
+                    edgeCount.set(key, (edgeCount.get(key) || 0) + 1);
+                }
+            }
+            for (const [key, count] of edgeCount) {
+                if (count !== 1) continue;
+                const [u, v] = key.split('-').map(Number);
+                triangles.push(this.createTriangle(all, u, v, p));
+            }
+        }
+
+        const edges = new Map();
+        for (const { vertices: [a, b, c] } of triangles) {
+            for (const [u, v] of [[a, b], [b, c], [c, a]]) {
+                if (u < n && v < n) {
+                    edges.set(u < v ? `${u}-${v}` : `${v}-${u}`, u < v ? [u, v] : [v, u]);
+                }
+            }
+        }
+        return [...edges.values()].sort((e1, e2) => e1[0] - e2[0] || e1[1] - e2[1]);
+    }
+
+    /**
+     * Triangle with its circumcircle
+     */
+    createTriangle(all, a, b, c) {
+        const A = all[a], B = all[b], C = all[c];
+        const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+        const a2 = A.x * A.x + A.y * A.y, b2 = B.x * B.x + B.y * B.y, c2 = C.x * C.x + C.y * C.y;
+        const center = {
+            x: (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d,
+            y: (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d
+        };
+        const radiusSquared = (A.x - center.x) ** 2 + (A.y - center.y) ** 2;
+        return { vertices: [a, b, c], center, radiusSquared };
+    }
+
+    /**
+     * Whether a point lies strictly inside a triangle's circumcircle
+     */
+    inCircumcircle(triangle, point) {
+        const dx = point.x - triangle.center.x;
+        const dy = point.y - triangle.center.y;
+        return dx * dx + dy * dy < triangle.radiusSquared * (1 - 1e-12);
+    }
+}
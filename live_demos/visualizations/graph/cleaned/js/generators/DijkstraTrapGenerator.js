@@ -0,0 +1,58 @@
+/**
+ * Dijkstra Trap
+ * A graph with one negative edge and no negative cycle on which Dijkstra returns
+ * a wrong distance. Nodes 0-3 are the trap: 0 → 1 is cheap, 0 → 2 is dear, and
+ * 2 → 1 is negative enough to make 0 → 2 → 1 the shorter route. Dijkstra
+ * settles node 1 (and then node 3 behind it) before it reaches node 2, so node 3
+ * keeps the wrong distance. Other nodes hang off the trap with positive edges;
+ * none enters node 0 or node 2, so the negative edge lies on no cycle
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class DijkstraTrapGenerator extends GraphGenerator {
+    constructor() {
+        super('Dijkstra Trap', 'Negative edge, no negative cycle, wrong Dijkstra distance');
+        this.alwaysDirected = true;
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        if (n < 4) {
+            throw new Error(`${this.name}: needs at least 4 nodes`);
+        }
+
+        const graph = this.createGraph(n, true);
+        const positiveWeight = () => random.int(Math.max(options.minWeight, 1), Math.max(options.maxWeight, 1));
+        const detour = random.int(4, 8);
+        const gain = random.int(2, 5);
+
+        graph.addEdge(0, 1, 1);
+        graph.addEdge(0, 2, detour);
+        graph.addEdge(2, 1, -(detour + gain));
+        graph.addEdge(1, 3, 1);
+
+        // Extra nodes: each reached from an earlier node, never pointing into 0 or 2
+        const sources = [0, 1, 3];
+        for (let node = 4; node < n; node++) {
+            graph.addEdge(random.pick(sources), node, positiveWeight());
+            sources.push(node);
+        }
+        // (not from node 0, which could otherwise reach node 3 directly)
+        for (let extra = 0; extra < Math.floor(n / 2); extra++) {
+            const to = random.pick([1, 3, ...sources.slice(3)]);
+            graph.addEdge(random.pick(sources.slice(1)), to, positiveWeight());
+        }
+
+        return graph.build({
+            startNode: 0,
+            target: 3,
+            negativeEdge: { from: 2, to: 1 },
+            dijkstraDistance: 2,
+            correctDistance: 1 - gain
+        });
+    }
+}
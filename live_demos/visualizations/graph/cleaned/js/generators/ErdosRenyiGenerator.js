@@ -0,0 +1,74 @@
+/**
+ * Erdős–Rényi G(n, p)
+ * Every pair of nodes (every ordered pair when directed) is an edge with
+ * probability p, independently. With connected set, the components are then
+ * chained by one extra edge each so every node is reachable from node 0
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class ErdosRenyiGenerator extends GraphGenerator {
+    constructor() {
+        super('Erdős–Rényi G(n, p)', 'Each possible edge present independently with probability p');
+        this.defaults = { ...this.defaults, p: 0.3, connected: true };
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const graph = this.createGraph(n, options.directed);
+
+        for (let from = 0; from < n; from++) {
+            for (let to = options.directed ? 0 : from + 1; to < n; to++) {
+                if (from !== to && random.chance(options.p)) {
+                    graph.addEdge(from, to, this.randomWeight(random, options));
+                }
+            }
+        }
+
+        if (options.connected) {
+            this.connectComponents(graph, random, options);
+        }
+        return graph.build();
+    }
+
+    /**
+     * Link each component to one already reached from node 0, following edge
+     * direction, so node 0 reaches every node
+     */
+    connectComponents(graph, random, options) {
+        const n = graph.nodes.length;
+        const outgoing = graph.nodes.map(() => []);
+        for (const { from, to } of graph.edges) {
+            outgoing[from].push(to);
+            if (!graph.directed) outgoing[to].push(from);
+        }
+
+        const reached = Array(n).fill(false);
+        const order = [];
+        const reach = root => {
+            reached[root] = true;
+            const queue = [root];
+            for (let head = 0; head < queue.length; head++) {
+                order.push(queue[head]);
+                for (const next of outgoing[queue[head]]) {
+                    if (!reached[next]) {
+                        reached[next] = true;
+                        queue.push(next);
+                    }
+                }
+            }
+        };
+
+        reach(0);
+        for (let node = 1; node < n; node++) {
+            if (reached[node]) continue;
+            const from = random.pick(order);
+            graph.addEdge(from, node, this.randomWeight(random, options));
+            outgoing[from].push(node);
+            reach(node);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Generated Graph
+ * Graph data under construction: an edge list that refuses self-loops and repeats,
+ * and the unit-square positions of families that have a natural drawing
+ */
+
+export class GeneratedGraph {
+    constructor(nodeCount, directed) {
+        this.nodes = Array.from({ length: nodeCount }, () => ({}));
+        this.edges = [];
+        this.directed = directed;
+        this.keys = new Set();
+    }
+
+    /**
+     * Key of the pair; undirected pairs are stored smaller id first
+     */
+    key(from, to) {
+        return this.directed || from < to ? `${from}-${to}` : `${to}-${from}`;
+    }
+
+    /**
+     * Whether an edge between the two nodes exists (either way when undirected)
+     */
+    hasEdge(from, to) {
+        return this.keys.has(this.key(from, to));
+    }
+
+    /**
+     * Add an edge unless it is a self-loop or already there
+     * @returns {boolean} Whether it was added
+     */
+    addEdge(from, to, weight) {
+        if (from === to || this.hasEdge(from, to)) {
+            return false;
+        }
+        this.keys.add(this.key(from, to));
+        this.edges.push({ from, to, weight });
+        return true;
+    }
+
+    /**
+     * Set unit-square positions, one per node
+     */
+    place(positions) {
+        positions.forEach(({ x, y }, i) => {
+            this.nodes[i].x = x;
+            this.nodes[i].y = y;
+        });
+    }
+
+    /**
+     * Plain graph data: { nodes: [{ x, y }], edges: [{ from, to, weight }], directed, planted }
+     * (planted only when given)
+     */
+    build(planted = null) {
+        return {
+            nodes: this.nodes,
+            edges: this.edges,
+            directed: this.directed,
+            ...(planted && { planted })
+        };
+    }
+}
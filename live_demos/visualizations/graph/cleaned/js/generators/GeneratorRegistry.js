@@ -0,0 +1,37 @@
+/**
+ * Generator registry
+ * One instance of every graph generator under its GENERATORS key
+ */
+
+import { GENERATORS } from '../core/Constants.js';
+import { ErdosRenyiGenerator } from './ErdosRenyiGenerator.js';
+import { GeometricGenerator } from './GeometricGenerator.js';
+import { DelaunayGenerator } from './DelaunayGenerator.js';
+import { GridGenerator } from './GridGenerator.js';
+import { BarabasiAlbertGenerator } from './BarabasiAlbertGenerator.js';
+import { CompleteGenerator } from './CompleteGenerator.js';
+import { BipartiteGenerator } from './BipartiteGenerator.js';
+import { SpfaWorstCaseGenerator } from './SpfaWorstCaseGenerator.js';
+import { NegativeCycleGenerator } from './NegativeCycleGenerator.js';
+import { DijkstraTrapGenerator } from './DijkstraTrapGenerator.js';
+import { PrimContrastGenerator } from './PrimContrastGenerator.js';
+
+/**
+ * Create the generator instances
+ * @returns {Object<string, GraphGenerator>} Keyed by GENERATORS values
+ */
+export function createGenerators() {
+    return {
+        [GENERATORS.ERDOS_RENYI]: new ErdosRenyiGenerator(),
+        [GENERATORS.GEOMETRIC]: new GeometricGenerator(),
+        [GENERATORS.DELAUNAY]: new DelaunayGenerator(),
+        [GENERATORS.GRID]: new GridGenerator(),
+        [GENERATORS.BARABASI_ALBERT]: new BarabasiAlbertGenerator(),
+        [GENERATORS.COMPLETE]: new CompleteGenerator(),
+        [GENERATORS.BIPARTITE]: new BipartiteGenerator(),
+        [GENERATORS.SPFA_WORST_CASE]: new SpfaWorstCaseGenerator(),
+        [GENERATORS.NEGATIVE_CYCLE]: new NegativeCycleGenerator(),
+        [GENERATORS.DIJKSTRA_TRAP]: new DijkstraTrapGenerator(),
+        [GENERATORS.PRIM_CONTRAST]: new PrimContrastGenerator()
+    };
+}
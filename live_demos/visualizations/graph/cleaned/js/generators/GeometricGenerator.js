@@ -0,0 +1,34 @@
+/**
+ * Random Geometric Graph
+ * Points uniform in the unit square; two points closer than radius are joined,
+ * weighted by their distance (so A* heuristics are admissible on the drawing)
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class GeometricGenerator extends GraphGenerator {
+    constructor() {
+        super('Random Geometric', 'Points joined when closer than a radius');
+        this.defaults = { ...this.defaults, radius: 0.4 };
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const graph = this.createGraph(n, options.directed);
+        const points = graph.nodes.map(() => ({ x: random.next(), y: random.next() }));
+        graph.place(points);
+
+        for (let a = 0; a < n; a++) {
+            for (let b = a + 1; b < n; b++) {
+                if (Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y) > options.radius) continue;
+                // Directed: each pair points one way, chosen at random
+                const [from, to] = options.directed && random.chance(0.5) ? [b, a] : [a, b];
+                graph.addEdge(from, to, this.distanceWeight(points[a], points[b]));
+            }
+        }
+        return graph.build();
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Base class for random graph generators
+ * A generator draws every random number from the SeededRandom it is given, so the
+ * same options and seed always build the same graph. It returns graph data in the
+ * format GraphVisualizer.loadGraph() takes; nodes get x, y in the unit square when
+ * the family has a natural drawing (points, grid, columns) and are laid out later otherwise
+ */
+
+import { GeneratedGraph } from './GeneratedGraph.js';
+
+export class GraphGenerator {
+    constructor(name, description) {
+        this.name = name;
+        this.description = description;
+        this.defaults = { nodes: 8, directed: false, minWeight: 1, maxWeight: 15 };
+        this.alwaysDirected = false;
+        this.maxNodes = 2000;
+    }
+
+    /**
+     * Build a graph
+     * Must be implemented by subclasses
+     * @param {Object} options - Defaults merged with the caller's options
+     * @param {SeededRandom} random - The only source of randomness
+     * @returns {{nodes: Array<Object>, edges: Array<Object>, directed: boolean, planted?: Object}}
+     *          planted describes what an adversarial generator hid in the graph
+     */
+    generate(options, random) {
+        throw new Error(`${this.name}: generate() must be implemented`);
+    }
+
+    /**
+     * Merge and check options
+     * @throws {Error} For counts or probabilities out of range, or directed: false for a
+     *         family that only makes directed graphs
+     */
+    resolveOptions(options = {}) {
+        const resolved = { ...this.defaults, ...options };
+        if (this.alwaysDirected) {
+            if (options.directed === false) {
+                throw new Error(`${this.name}: only makes directed graphs, so directed: false is not supported`);
+            }
+            resolved.directed = true;
+        }
+
+        if (!Number.isInteger(resolved.nodes) || resolved.nodes < 1 || resolved.nodes > this.maxNodes) {
+            throw new Error(`${this.name}: nodes must be a whole number from 1 to ${this.maxNodes}`);
+        }
+        if (resolved.minWeight > resolved.maxWeight) {
+            throw new Error(`${this.name}: minWeight ${resolved.minWeight} is above maxWeight ${resolved.maxWeight}`);
+        }
+        for (const key of ['p', 'obstacles']) {
+            if (resolved[key] !== undefined && !(resolved[key] >= 0 && resolved[key] <= 1)) {
+                throw new Error(`${this.name}: ${key} must be between 0 and 1`);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Empty graph data with an edge set that refuses self-loops and repeats
+     */
+    createGraph(nodeCount, directed) {
+        return new GeneratedGraph(nodeCount, directed);
+    }
+
+    /**
+     * Weight drawn from the options' range
+     */
+    randomWeight(random, options) {
+        return random.int(options.minWeight, options.maxWeight);
+    }
+
+    /**
+     * Weight from a drawn distance in the unit square, so short edges are cheap
+     */
+    distanceWeight(a, b) {
+        return Math.max(1, Math.round(Math.hypot(a.x - b.x, a.y - b.y) * 20));
+    }
+
+    /**
+     * Unit-square positions on a circle, node 0 at the top
+     */
+    circlePositions(count) {
+        return Array.from({ length: count }, (_, i) => {
+            const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+            return { x: 0.5 + 0.5 * Math.cos(angle), y: 0.5 + 0.5 * Math.sin(angle) };
+        });
+    }
+
+    /**
+     * Get generator metadata
+     */
+    getMetadata() {
+        return {
+            name: this.name,
+            description: this.description,
+            defaults: { ...this.defaults },
+            alwaysDirected: this.alwaysDirected
+        };
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Seeded Graph Generation
+ * Looks up a generator, runs it on a seeded random source and places the nodes on
+ * the canvas: families with a natural drawing are scaled into it, the others are
+ * laid out like an imported file without coordinates (see GraphIO.autoLayout)
+ */
+
+import { createGenerators } from './GeneratorRegistry.js';
+import { SeededRandom } from '../core/Random.js';
+import { GraphIO } from '../io/GraphIO.js';
+
+export class GraphGenerators {
+    /**
+     * Build a graph
+     * @param {string} generatorKey - A GENERATORS value
+     * @param {Object} options - Generator options ({ nodes, directed, minWeight, maxWeight, p, ... })
+     *                           plus seed (number or string; a fresh one when absent), width and height
+     * @returns {{graph: Object, seed: number}} Graph data for GraphVisualizer.loadGraph(), and
+     *          the seed that rebuilds it
+     * @throws {Error} For an unknown generator or invalid options
+     */
+    static generate(generatorKey, options = {}) {
+        const generators = createGenerators();
+        const generator = generators[generatorKey];
+        if (!generator) {
+            throw new Error(`Unknown generator "${generatorKey}" (known: ${Object.keys(generators).join(', ')})`);
+        }
+
+        const { seed: requestedSeed, width = 800, height = 600, ...generatorOptions } = options;
+        const random = new SeededRandom(requestedSeed ?? SeededRandom.randomSeed());
+        const graph = generator.generate(generator.resolveOptions(generatorOptions), random);
+
+        if (graph.nodes.every(node => isFinite(node.x) && isFinite(node.y))) {
+            GraphIO.fitToCanvas(graph.nodes, width, height);
+        } else {
+            GraphIO.autoLayout(graph, width, height);
+        }
+        return { graph, seed: random.seed };
+    }
+
+    /**
+     * Whether a generator only makes directed graphs (and refuses directed: false)
+     * @param {string} generatorKey - A GENERATORS value
+     */
+    static isDirectedOnly(generatorKey) {
+        return createGenerators()[generatorKey]?.alwaysDirected ?? false;
+    }
+}
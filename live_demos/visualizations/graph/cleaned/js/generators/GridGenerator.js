@@ -0,0 +1,56 @@
+/**
+ * Grid with Obstacles
+ * A rows × columns grid of cells joined to their right and lower neighbors;
+ * each cell is an obstacle (no node) with probability obstacles. Node ids
+ * count the open cells row by row. The top-left and bottom-right cells are
+ * always open so there is a natural start and goal
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class GridGenerator extends GraphGenerator {
+    constructor() {
+        super('Grid with Obstacles', 'Four-neighbor grid with blocked cells');
+        this.defaults = { ...this.defaults, rows: null, columns: null, obstacles: 0.2 };
+    }
+
+    /**
+     * Build a graph; nodes sets the grid size when rows and columns are not given
+     * (the obstacles then leave fewer nodes than that)
+     */
+    generate(options, random) {
+        const columns = options.columns ?? Math.ceil(Math.sqrt(options.nodes));
+        const rows = options.rows ?? Math.ceil(options.nodes / columns);
+        if (!Number.isInteger(rows) || !Number.isInteger(columns) || rows < 1 || columns < 1 || rows * columns > this.maxNodes) {
+            throw new Error(`${this.name}: rows and columns must be whole numbers with at most ${this.maxNodes} cells`);
+        }
+
+        const cells = rows * columns;
+        const id = Array(cells).fill(null);
+        let count = 0;
+        for (let cell = 0; cell < cells; cell++) {
+            const corner = cell === 0 || cell === cells - 1;
+            if (corner || !random.chance(options.obstacles)) {
+                id[cell] = count++;
+            }
+        }
+
+        const graph = this.createGraph(count, options.directed);
+        const span = Math.max(rows, columns) - 1 || 1;
+        graph.place(id.flatMap((node, cell) => (node === null
+            ? []
+            : [{ x: (cell % columns) / span, y: Math.floor(cell / columns) / span }])));
+
+        for (let cell = 0; cell < cells; cell++) {
+            if (id[cell] === null) continue;
+            const right = cell % columns < columns - 1 ? cell + 1 : null;
+            const down = cell + columns < cells ? cell + columns : null;
+            for (const next of [right, down]) {
+                if (next !== null && id[next] !== null) {
+                    graph.addEdge(id[cell], id[next], this.randomWeight(random, options));
+                }
+            }
+        }
+        return graph.build();
+    }
+}
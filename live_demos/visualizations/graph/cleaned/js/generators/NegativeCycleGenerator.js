@@ -0,0 +1,48 @@
+/**
+ * Planted Negative Cycle
+ * A random directed graph with positive weights in which every node is reachable
+ * from node 0, plus one cycle of cycleLength random nodes whose weights add up to
+ * a small negative total. The cycle's last edge is the only negative edge
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class NegativeCycleGenerator extends GraphGenerator {
+    constructor() {
+        super('Planted Negative Cycle', 'Reachable cycle with negative total weight');
+        this.defaults = { ...this.defaults, cycleLength: 3 };
+        this.alwaysDirected = true;
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const length = options.cycleLength;
+        if (!Number.isInteger(length) || length < 2 || length > n) {
+            throw new Error(`${this.name}: cycleLength must be a whole number from 2 to the node count (${n})`);
+        }
+
+        const graph = this.createGraph(n, true);
+        const positiveWeight = () => random.int(Math.max(options.minWeight, 1), Math.max(options.maxWeight, 1));
+
+        // The cycle first, so no other edge takes one of its pairs
+        const cycle = random.shuffle(graph.nodes.map((_, i) => i)).slice(0, length);
+        const weights = cycle.slice(1).map(() => positiveWeight());
+        const total = -random.int(1, 5);
+        weights.push(total - weights.reduce((sum, weight) => sum + weight, 0));
+        cycle.forEach((node, i) => graph.addEdge(node, cycle[(i + 1) % length], weights[i]));
+
+        // Everything reachable from node 0, then a few extra edges
+        const order = [0, ...random.shuffle(graph.nodes.map((_, i) => i).slice(1))];
+        for (let i = 1; i < n; i++) {
+            graph.addEdge(order[random.int(0, i - 1)], order[i], positiveWeight());
+        }
+        for (let extra = 0; extra < Math.floor(n / 2); extra++) {
+            graph.addEdge(random.int(0, n - 1), random.int(0, n - 1), positiveWeight());
+        }
+
+        return graph.build({ startNode: 0, cycle, weight: total });
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Prim Timing Contrast
+ * Inputs on which the two Prim versions part ways. Sparse (default): a long
+ * random tree with a few extra edges; the array-scan version still checks every
+ * node for every node it adds (n² scans) while the heap version only touches the
+ * few edges. Dense: a complete graph weighted w(i, j) = n(n - i) + (j - i), so
+ * each node that joins the tree (in id order from node 0) offers a better edge to
+ * every node still outside: the heap version pushes all n²/2 edges and pops
+ * nearly as many stale entries, losing its advantage. Always undirected
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class PrimContrastGenerator extends GraphGenerator {
+    constructor() {
+        super('Prim Timing Contrast', 'Sparse: heap Prim wins big; dense: every edge enters the heap');
+        this.defaults = { ...this.defaults, nodes: 40, dense: false };
+        this.maxNodes = 300;
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const graph = this.createGraph(n, false);
+
+        if (options.dense) {
+            graph.place(this.circlePositions(n));
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    graph.addEdge(i, j, n * (n - i) + (j - i));
+                }
+            }
+        } else {
+            for (let node = 1; node < n; node++) {
+                graph.addEdge(random.int(Math.max(0, node - 3), node - 1), node, this.randomWeight(random, options));
+            }
+            for (let extra = 0; extra < Math.floor(n / 10); extra++) {
+                graph.addEdge(random.int(0, n - 1), random.int(0, n - 1), this.randomWeight(random, options));
+            }
+        }
+
+        return graph.build({ startNode: 0, dense: Boolean(options.dense) });
+    }
+}
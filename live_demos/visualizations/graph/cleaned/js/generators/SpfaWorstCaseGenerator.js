@@ -0,0 +1,43 @@
+/**
+ * SPFA Worst Case
+ * A chain 1 → 2 → ... → k of weight-1 edges and a direct edge from node 0 to
+ * every chain node, listed farthest first and priced so that the best path to
+ * node j runs through the whole chain before it. The FIFO queue then meets the
+ * nodes in the worst order: node j is improved and re-queued once for every
+ * chain node before it, about n²/2 queue pops on 2n edges (Bellman-Ford's
+ * O(VE) bound, where random graphs take close to one pop per node).
+ * The shape is fixed; the seed is not used
+ */
+
+import { GraphGenerator } from './GraphGenerator.js';
+
+export class SpfaWorstCaseGenerator extends GraphGenerator {
+    constructor() {
+        super('SPFA Worst Case', 'Chain plus shortcuts that re-queue every node again and again');
+        this.defaults = { ...this.defaults, nodes: 12 };
+        this.alwaysDirected = true;
+    }
+
+    /**
+     * Build a graph
+     */
+    generate(options, random) {
+        const n = options.nodes;
+        const k = n - 1; // Chain length
+        const graph = this.createGraph(n, true);
+
+        graph.place(graph.nodes.map((_, i) => (i === 0
+            ? { x: 0.5, y: 0 }
+            : { x: k > 1 ? (i - 1) / (k - 1) : 0.5, y: 1 })));
+
+        // Adjacency order matters: the queue receives the chain back to front
+        for (let j = k; j >= 1; j--) {
+            graph.addEdge(0, j, 4 * j + 1);
+        }
+        for (let i = 1; i < k; i++) {
+            graph.addEdge(i, i + 1, 1);
+        }
+
+        return graph.build({ startNode: 0, queuePops: (k * (k + 1)) / 2 + 1 });
+    }
+}
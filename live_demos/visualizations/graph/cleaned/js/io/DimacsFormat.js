@@ -0,0 +1,150 @@
+/**
+ * DIMACS shortest-path format (.gr)
+ *
+ *   c comment
+ *   p sp <nodes> <arcs>      directed problem line
+ *   a <from> <to> <weight>   one arc, nodes numbered from 1
+ *
+ * Also reads the undirected variant ("p edge" with "e <u> <v> [weight]" lines) and
+ * coordinate lines from DIMACS .co files ("v <node> <x> <y>"), so a .co file can be
+ * pasted after its .gr file to keep the original layout.
+ */
+
+import { GraphBuilder } from './GraphBuilder.js';
+
+export class DimacsFormat {
+    static get NAME() {
+        return 'DIMACS';
+    }
+
+    static get EXTENSIONS() {
+        return ['gr', 'dimacs', 'co'];
+    }
+
+    /**
+     * Parse DIMACS text into a GraphBuilder (errors are collected, not thrown)
+     * @param {Object} options - { maxNodes } refuses larger problem lines before any node is created
+     */
+    static parse(text, options = {}) {
+        const builder = new GraphBuilder(true);
+        const maxNodes = options.maxNodes ?? Infinity;
+        let declared = null; // { nodes, edges, line }
+        let edgeLines = 0;
+        let refused = false; // The rest of a refused file is not read
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            if (refused) return;
+            const line = index + 1;
+            const fields = raw.trim().split(/\s+/);
+            const kind = fields[0];
+            if (kind === '' || kind === 'c') return;
+
+            if (kind === 'p') {
+                if (declared) {
+                    builder.error(line, `second problem line (the first is on line ${declared.line})`);
+                    return;
+                }
+                if (fields.length !== 4 || !['sp', 'edge'].includes(fields[1])) {
+                    builder.error(line, 'problem line must be "p sp <nodes> <arcs>" or "p edge <nodes> <edges>"');
+                    return;
+                }
+                const nodes = this.count(builder, fields[2], line, 'node count');
+                const edges = this.count(builder, fields[3], line, 'edge count');
+                if (nodes === null || edges === null) return;
+                if (nodes > maxNodes) {
+                    builder.error(line, `${nodes} nodes is more than the ${maxNodes} the visualizer can show`);
+                    refused = true;
+                    return;
+                }
+
+                declared = { nodes, edges, line };
+                builder.directed = fields[1] === 'sp';
+                for (let i = 1; i <= nodes; i++) builder.node(i, line);
+                return;
+            }
+
+            if (kind === 'a' || kind === 'e' || kind === 'v') {
+                if (!declared) {
+                    builder.error(line, `"${kind}" line before the problem line`);
+                    return;
+                }
+
+                if (kind === 'v') {
+                    if (fields.length !== 4) {
+                        builder.error(line, 'coordinate line must be "v <node> <x> <y>"');
+                        return;
+                    }
+                    const node = this.nodeNumber(builder, fields[1], declared.nodes, line);
+                    const x = builder.number(fields[2], line, 'x');
+                    const y = builder.number(fields[3], line, 'y');
+                    if (node !== null && x !== null && y !== null) builder.setPosition(node, x, -y, line);
+                    return;
+                }
+
+                const expected = kind === 'a' ? '"a <from> <to> <weight>"' : '"e <u> <v> [weight]"';
+                if (fields.length !== 4 && !(kind === 'e' && fields.length === 3)) {
+                    builder.error(line, `arc line must be ${expected}`);
+                    return;
+                }
+                if ((kind === 'a') !== builder.directed) {
+                    builder.error(line, `"${kind}" line in a "p ${builder.directed ? 'sp' : 'edge'}" file`);
+                    return;
+                }
+
+                edgeLines++;
+                const from = this.nodeNumber(builder, fields[1], declared.nodes, line);
+                const to = this.nodeNumber(builder, fields[2], declared.nodes, line);
+                const weight = fields.length === 4 ? builder.number(fields[3], line, 'weight') : 1;
+                if (from !== null && to !== null && weight !== null) builder.edge(from, to, weight, line);
+                return;
+            }
+
+            builder.error(line, `unknown line type "${kind}" (expected c, p, a, e or v)`);
+        });
+
+        if (!declared && builder.errors.length === 0) {
+            builder.error(null, 'missing problem line "p sp <nodes> <arcs>"');
+        } else if (declared && edgeLines !== declared.edges && builder.errors.length === 0) {
+            builder.error(declared.line, `problem line declares ${declared.edges} arcs but the file has ${edgeLines}`);
+        }
+        return builder;
+    }
+
+    /**
+     * Non-negative integer field
+     */
+    static count(builder, text, line, what) {
+        const value = Number(text);
+        if (!Number.isInteger(value) || value < 0) {
+            builder.error(line, `${what}: expected a non-negative integer, got "${text}"`);
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Node number in 1..nodeCount
+     */
+    static nodeNumber(builder, text, nodeCount, line) {
+        const value = Number(text);
+        if (!Number.isInteger(value) || value < 1 || value > nodeCount) {
+            builder.error(line, `node "${text}" is not between 1 and ${nodeCount}`);
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Write graph data as DIMACS (directed "p sp" or undirected "p edge")
+     */
+    static serialize(graph) {
+        const lines = [
+            'c Exported by Graph Algorithms Visualizer',
+            `p ${graph.directed ? 'sp' : 'edge'} ${graph.nodes.length} ${graph.edges.length}`
+        ];
+        for (const edge of graph.edges) {
+            lines.push(`${graph.directed ? 'a' : 'e'} ${edge.from + 1} ${edge.to + 1} ${edge.weight}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
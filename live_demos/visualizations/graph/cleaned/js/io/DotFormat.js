@@ -0,0 +1,351 @@
+/**
+ * Graphviz DOT (.dot, .gv)
+ *
+ * Reads graph/digraph files with node and edge statements, chains (a -> b -> c),
+ * subgraphs and default attribute statements. Edge weights come from a numeric
+ * "label" (what Graphviz draws), then "weight"; node labels from "label" and
+ * positions from "pos" in points ("x,y" or "x,y!", y pointing up). Ports and other
+ * attributes are ignored. In quoted IDs \" and \\ stand for a quote and a backslash.
+ */
+
+import { GraphBuilder } from './GraphBuilder.js';
+
+export class DotFormat {
+    static get NAME() {
+        return 'DOT';
+    }
+
+    static get EXTENSIONS() {
+        return ['dot', 'gv'];
+    }
+
+    /**
+     * Split DOT text into tokens: { type: 'id' | 'punct' | 'edgeop', value, line }
+     */
+    static tokenize(text, builder) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+        let lineStart = true;
+
+        while (i < text.length) {
+            const c = text[i];
+
+            if (c === '\n') {
+                line++;
+                i++;
+                lineStart = true;
+                continue;
+            }
+            if (c === ' ' || c === '\t' || c === '\r') {
+                i++;
+                continue;
+            }
+
+            // Preprocessor-style lines starting with # are ignored
+            if (c === '#' && lineStart) {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            lineStart = false;
+
+            if (c === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            if (c === '/' && text[i + 1] === '*') {
+                const start = line;
+                i += 2;
+                while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) {
+                    if (text[i] === '\n') line++;
+                    i++;
+                }
+                if (i >= text.length) builder.error(start, 'unterminated /* comment');
+                i += 2;
+                continue;
+            }
+
+            if (c === '"') {
+                const start = line;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                        value += text[i + 1];
+                        i += 2;
+                        continue;
+                    }
+                    if (text[i] === '\\' && text[i + 1] === '\n') {
+                        line++;
+                        i += 2;
+                        continue;
+                    }
+                    if (text[i] === '\n') line++;
+                    value += text[i++];
+                }
+                if (i >= text.length) builder.error(start, 'unterminated string');
+                i++;
+                tokens.push({ type: 'id', value, line: start });
+                continue;
+            }
+
+            if (c === '<') {
+                // HTML-like label: keep the text, balanced angle brackets
+                const start = line;
+                let depth = 0;
+                let value = '';
+                do {
+                    if (text[i] === '<') depth++;
+                    if (text[i] === '>') depth--;
+                    if (text[i] === '\n') line++;
+                    value += text[i++];
+                } while (i < text.length && depth > 0);
+                if (depth > 0) builder.error(start, 'unterminated <html> string');
+                tokens.push({ type: 'id', value: value.slice(1, -1), line: start });
+                continue;
+            }
+
+            if (c === '-' && (text[i + 1] === '>' || text[i + 1] === '-')) {
+                tokens.push({ type: 'edgeop', value: text.slice(i, i + 2), line });
+                i += 2;
+                continue;
+            }
+
+            if ('{}[];=,:'.includes(c)) {
+                tokens.push({ type: 'punct', value: c, line });
+                i++;
+                continue;
+            }
+
+            const match = text.slice(i).match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/);
+            if (!match) {
+                builder.error(line, `unexpected character "${c}"`);
+                i++;
+                continue;
+            }
+            tokens.push({ type: 'id', value: match[0], line });
+            i += match[0].length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse DOT text into a GraphBuilder
+     */
+    static parse(text) {
+        const builder = new GraphBuilder();
+        const tokens = this.tokenize(text, builder);
+        let position = 0;
+
+        const peek = (offset = 0) => tokens[position + offset];
+        const lastLine = () => (tokens.length > 0 ? tokens[tokens.length - 1].line : 1);
+        const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+        const keyword = (token, word) => token && token.type === 'id' && token.value.toLowerCase() === word;
+        const expect = (value) => {
+            const token = peek();
+            if (isPunct(token, value)) {
+                position++;
+                return true;
+            }
+            builder.error(token ? token.line : lastLine(), `expected "${value}"${token ? `, found "${token.value}"` : ' before the end of the file'}`);
+            return false;
+        };
+
+        // Header: [strict] (graph | digraph) [ID] {
+        if (keyword(peek(), 'strict')) position++;
+        if (keyword(peek(), 'digraph')) {
+            builder.directed = true;
+        } else if (!keyword(peek(), 'graph')) {
+            builder.error(peek() ? peek().line : 1, 'file must start with "graph" or "digraph"');
+            return builder;
+        }
+        position++;
+        if (peek() && peek().type === 'id') position++;
+        if (!expect('{')) return builder;
+
+        // [ a = 1, b = 2 ] ... (several lists may follow each other)
+        const parseAttributes = () => {
+            const attributes = {};
+            while (isPunct(peek(), '[')) {
+                position++;
+                while (peek() && !isPunct(peek(), ']')) {
+                    const name = peek();
+                    if (name.type !== 'id') {
+                        builder.error(name.line, `expected an attribute name, found "${name.value}"`);
+                        position++;
+                        continue;
+                    }
+                    position++;
+                    if (isPunct(peek(), '=')) {
+                        position++;
+                        const value = peek();
+                        if (!value || value.type !== 'id') {
+                            builder.error(name.line, `attribute "${name.value}" has no value`);
+                        } else {
+                            attributes[name.value] = { value: value.value, line: value.line };
+                            position++;
+                        }
+                    }
+                    if (isPunct(peek(), ',') || isPunct(peek(), ';')) position++;
+                }
+                expect(']');
+            }
+            return attributes;
+        };
+
+        const edgeWeight = (attributes, line) => {
+            for (const name of ['label', 'weight']) {
+                if (attributes[name] !== undefined && isFinite(Number(attributes[name].value)) && attributes[name].value !== '') {
+                    return Number(attributes[name].value);
+                }
+            }
+            if (attributes.weight !== undefined) {
+                builder.error(attributes.weight.line, `edge weight "${attributes.weight.value}" is not a number`);
+            }
+            return 1;
+        };
+
+        const applyNodeAttributes = (name, attributes) => {
+            if (attributes.label !== undefined && attributes.label.value !== '\\N') {
+                builder.nodes[builder.node(name)].label = attributes.label.value;
+            }
+            if (attributes.pos === undefined) return;
+            const match = attributes.pos.value.match(/^\s*(-?[\d.]+(?:e-?\d+)?)\s*,\s*(-?[\d.]+(?:e-?\d+)?)\s*!?\s*$/i);
+            if (!match) {
+                builder.error(attributes.pos.line, `pos "${attributes.pos.value}" is not "x,y"`);
+                return;
+            }
+            builder.setPosition(name, Number(match[1]), -Number(match[2]), attributes.pos.line);
+        };
+
+        // Node id with optional :port[:compass], which is ignored
+        const parseNodeId = () => {
+            const token = peek();
+            position++;
+            while (isPunct(peek(), ':') && peek(1) && peek(1).type === 'id') position += 2;
+            return token;
+        };
+
+        // Statement list until "}"; returns the node names it mentions (for subgraph edges)
+        const parseStatements = (edgeDefaults) => {
+            const mentioned = [];
+            const defaults = { edge: { ...edgeDefaults }, node: {} };
+
+            // Operand of an edge statement: node id or subgraph
+            const parseOperand = () => {
+                if (keyword(peek(), 'subgraph') || isPunct(peek(), '{')) {
+                    if (keyword(peek(), 'subgraph')) position++;
+                    if (peek() && peek().type === 'id') position++;
+                    if (!expect('{')) return [];
+                    const names = parseStatements(defaults.edge);
+                    expect('}');
+                    return names;
+                }
+                const token = parseNodeId();
+                builder.node(token.value, token.line);
+                return [token.value];
+            };
+
+            while (peek() && !isPunct(peek(), '}')) {
+                const token = peek();
+
+                if (isPunct(token, ';')) {
+                    position++;
+                    continue;
+                }
+
+                if ((keyword(token, 'graph') || keyword(token, 'node') || keyword(token, 'edge')) && isPunct(peek(1), '[')) {
+                    position++;
+                    const attributes = parseAttributes();
+                    if (keyword(token, 'edge')) Object.assign(defaults.edge, attributes);
+                    if (keyword(token, 'node')) Object.assign(defaults.node, attributes);
+                    continue;
+                }
+
+                if (token.type === 'id' && isPunct(peek(1), '=')) {
+                    position += 2; // Graph attribute a = b
+                    if (peek() && peek().type === 'id') position++;
+                    continue;
+                }
+
+                if (token.type !== 'id' && !isPunct(token, '{')) {
+                    builder.error(token.line, `unexpected "${token.value}"`);
+                    position++;
+                    continue;
+                }
+
+                // Node or edge statement
+                const groups = [parseOperand()];
+                const operators = [];
+                while (peek() && peek().type === 'edgeop') {
+                    const op = peek();
+                    if ((op.value === '->') !== builder.directed) {
+                        builder.error(op.line, `"${op.value}" in a ${builder.directed ? 'digraph' : 'graph'} (use "${builder.directed ? '->' : '--'}")`);
+                    }
+                    operators.push(op);
+                    position++;
+                    if (!peek() || (peek().type !== 'id' && !keyword(peek(), 'subgraph') && !isPunct(peek(), '{'))) {
+                        builder.error(op.line, `"${op.value}" is missing its target node`);
+                        break;
+                    }
+                    groups.push(parseOperand());
+                }
+                const attributes = parseAttributes();
+                groups.forEach(names => mentioned.push(...names));
+
+                if (operators.length === 0) {
+                    const merged = { ...defaults.node, ...attributes };
+                    groups[0].forEach(name => applyNodeAttributes(name, merged));
+                } else {
+                    const merged = { ...defaults.edge, ...attributes };
+                    const weight = edgeWeight(merged, token.line);
+                    for (let g = 0; g + 1 < groups.length; g++) {
+                        for (const from of groups[g]) {
+                            for (const to of groups[g + 1]) builder.edge(from, to, weight, operators[g].line);
+                        }
+                    }
+                }
+            }
+            return mentioned;
+        };
+
+        parseStatements({});
+        expect('}');
+        if (peek()) builder.error(peek().line, `unexpected "${peek().value}" after the closing "}"`);
+        return builder;
+    }
+
+    /**
+     * Quote an ID unless it is a plain identifier or number, escaping backslashes
+     * before quotes so a trailing backslash cannot escape the closing quote
+     */
+    static quote(value) {
+        const text = String(value);
+        if (/^[A-Za-z_][\w]*$/.test(text) || /^-?(\.\d+|\d+(\.\d*)?)$/.test(text)) return text;
+        return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Write graph data as DOT with weights as edge labels and positions as pos="x,y!"
+     */
+    static serialize(graph) {
+        const op = graph.directed ? '->' : '--';
+        const lines = [`${graph.directed ? 'digraph' : 'graph'} G {`, '    node [shape=circle];'];
+        graph.nodes.forEach((node, index) => {
+            const attributes = [];
+            if (node.label !== undefined && String(node.label) !== String(index)) {
+                attributes.push(`label=${this.quote(node.label)}`);
+            }
+            if (isFinite(node.x) && isFinite(node.y)) {
+                attributes.push(`pos="${Math.round(node.x)},${Math.round(-node.y)}!"`);
+            }
+            lines.push(`    ${index}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+        });
+        for (const edge of graph.edges) {
+            lines.push(`    ${edge.from} ${op} ${edge.to} [label=${this.quote(edge.weight)}];`);
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
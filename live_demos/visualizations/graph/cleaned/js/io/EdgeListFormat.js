@@ -0,0 +1,115 @@
+/**
+ * Weighted edge list (.txt, .edges, .csv)
+ *
+ *   # directed            optional header comment (default undirected)
+ *   0 1 4                 from, to, weight (weight defaults to 1)
+ *   A,B,2.5               commas and tabs work as separators too
+ *   7                     a lone node
+ *
+ * Lines starting with #, % or // are comments. When every node name is a
+ * non-negative integer the names are used as indices (so "0" is node 0);
+ * otherwise nodes are numbered in order of first appearance.
+ */
+
+import { GraphBuilder } from './GraphBuilder.js';
+
+export class EdgeListFormat {
+    static get NAME() {
+        return 'Edge list';
+    }
+
+    static get EXTENSIONS() {
+        return ['txt', 'edges', 'edgelist', 'el', 'csv', 'tsv'];
+    }
+
+    // Largest integer name used directly as an index (avoids huge sparse graphs)
+    static get MAX_INDEX() {
+        return 10000;
+    }
+
+    /**
+     * Parse edge list text into a GraphBuilder
+     * @param {Object} options - { directed } overrides the header comment
+     */
+    static parse(text, options = {}) {
+        const rows = [];
+        let directed = false;
+        const scratch = new GraphBuilder();
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = index + 1;
+            const trimmed = raw.trim();
+            if (trimmed === '') return;
+
+            const comment = trimmed.match(/^(#|%|\/\/)\s*(.*)$/);
+            if (comment) {
+                const header = comment[2].toLowerCase();
+                if (header === 'directed') directed = true;
+                if (header === 'undirected') directed = false;
+                return;
+            }
+
+            const fields = trimmed.split(/\s*[,\t]\s*|\s+/).filter(field => field !== '');
+            if (fields.length > 3) {
+                scratch.error(line, `expected "from to [weight]", found ${fields.length} fields`);
+                return;
+            }
+            // A header row such as "source,target,weight" is skipped
+            if (rows.length === 0 && fields.length === 3 && !isFinite(Number(fields[2])) &&
+                /^(source|from|src|u)$/i.test(fields[0])) {
+                return;
+            }
+
+            const weight = fields.length === 3 ? scratch.number(fields[2], line, 'weight') : 1;
+            if (weight !== null) rows.push({ fields, weight, line });
+        });
+
+        const builder = new GraphBuilder(options.directed ?? directed);
+        builder.errors = scratch.errors;
+
+        const names = rows.flatMap(row => row.fields.slice(0, 2));
+        const numeric = names.length > 0 && names.every(name => /^\d+$/.test(name));
+        if (numeric) {
+            const largest = Math.max(...names.map(Number));
+            if (largest > this.MAX_INDEX) {
+                builder.error(null, `node ${largest} is larger than ${this.MAX_INDEX}; numeric names are used as indices`);
+                return builder;
+            }
+            for (let i = 0; i <= largest; i++) builder.node(i);
+        }
+
+        for (const { fields, weight, line } of rows) {
+            if (fields.length === 1) {
+                builder.node(numeric ? Number(fields[0]) : fields[0], line);
+            } else {
+                const [from, to] = numeric ? fields.map(Number) : fields;
+                builder.edge(from, to, weight, line);
+            }
+        }
+        return builder;
+    }
+
+    /**
+     * Write graph data as an edge list. Node labels are used when every node has a
+     * distinct, non-numeric one that fits on a line; otherwise indices.
+     */
+    static serialize(graph) {
+        const labels = graph.nodes.map(node => (node.label === undefined ? '' : String(node.label)));
+        const useLabels = labels.every(label => label !== '' && !/[\s,#%]/.test(label)) &&
+            labels.some(label => !/^\d+$/.test(label)) &&
+            new Set(labels).size === labels.length;
+        const name = index => (useLabels ? labels[index] : index);
+        const lines = [graph.directed ? '# directed' : '# undirected', '# from to weight'];
+
+        const connected = new Set();
+        for (const edge of graph.edges) {
+            lines.push(`${name(edge.from)} ${name(edge.to)} ${edge.weight}`);
+            connected.add(edge.from);
+            connected.add(edge.to);
+        }
+        graph.nodes.forEach((_, index) => {
+            if (!connected.has(index)) lines.push(String(name(index)));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Graph Builder
+ * Collects nodes (by name), edges and errors while a format parser reads a file.
+ * Node names are mapped to indices in order of first appearance.
+ */
+
+export class GraphBuilder {
+    constructor(directed = false) {
+        this.directed = directed;
+        this.nodes = [];
+        this.edges = [];
+        this.errors = [];
+        this.indexByName = new Map();
+    }
+
+    /**
+     * Get the index of a node, creating it on first use
+     */
+    node(name, line = null) {
+        const key = String(name);
+        if (!this.indexByName.has(key)) {
+            this.indexByName.set(key, this.nodes.length);
+            this.nodes.push({ label: key, x: undefined, y: undefined, line });
+        }
+        return this.indexByName.get(key);
+    }
+
+    /**
+     * Set a node's coordinates (either may be undefined)
+     */
+    setPosition(name, x, y, line = null) {
+        const node = this.nodes[this.node(name, line)];
+        node.x = x;
+        node.y = y;
+    }
+
+    /**
+     * Add an edge between two named nodes
+     */
+    edge(fromName, toName, weight = 1, line = null) {
+        const from = this.node(fromName, line);
+        const to = this.node(toName, line);
+        this.edges.push({ from, to, weight, line });
+    }
+
+    /**
+     * Record a problem at a line (line may be null for whole-file problems)
+     */
+    error(line, message) {
+        this.errors.push({ line, message });
+    }
+
+    /**
+     * Parse a number, recording an error if it is not one
+     */
+    number(text, line, what) {
+        const value = Number(text);
+        if (text === undefined || text === '' || !isFinite(value)) {
+            this.error(line, `${what}: expected a number, got "${text ?? ''}"`);
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Plain graph data: { nodes: [{ label, x, y }], edges: [{ from, to, weight }], directed }
+     */
+    build() {
+        return {
+            directed: this.directed,
+            nodes: this.nodes.map(({ label, x, y }) => ({ label, x, y })),
+            edges: this.edges.map(({ from, to, weight }) => ({ from, to, weight }))
+        };
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Graph Import / Export
+ * Reads and writes DIMACS, GraphML, DOT and edge-list files as the graph data that
+ * GraphVisualizer.loadGraph() takes: { nodes: [{ x, y, label }], edges: [{ from, to, weight }], directed }
+ */
+
+import { NODE, LAYOUT, LAYOUTS } from '../core/Constants.js';
+import { createLayouts } from '../layout/LayoutRegistry.js';
+import { DimacsFormat } from './DimacsFormat.js';
+import { GraphMLFormat } from './GraphMLFormat.js';
+import { DotFormat } from './DotFormat.js';
+import { EdgeListFormat } from './EdgeListFormat.js';
+import { GraphParseError } from './GraphParseError.js';
+
+export const FORMATS = {
+    dimacs: DimacsFormat,
+    graphml: GraphMLFormat,
+    dot: DotFormat,
+    edgelist: EdgeListFormat
+};
+
+export class GraphIO {
+    // Larger graphs are refused rather than freezing the canvas
+    static get MAX_NODES() {
+        return 2000;
+    }
+
+    // Spring-layout passes are skipped above this size (circle layout only)
+    static get MAX_SPRING_NODES() {
+        return LAYOUT.MAX_ITERATIVE_NODES;
+    }
+
+    /**
+     * Pick a format from the file extension, falling back to the content
+     * @returns {string|null} Key of FORMATS
+     */
+    static detectFormat(filename = '', text = '') {
+        const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+        for (const [key, format] of Object.entries(FORMATS)) {
+            if (format.EXTENSIONS.includes(extension) && extension !== 'xml' && extension !== 'txt') return key;
+        }
+
+        const start = text.replace(/^﻿/, '').trimStart();
+        if (/^<(\?xml|graphml)/i.test(start) || /<graphml[\s>]/i.test(start.slice(0, 2000))) return 'graphml';
+        if (/^(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(strict\s+)?(di)?graph\b/i.test(start)) return 'dot';
+        if (/^(c\b[^\n]*\n\s*)*p\s+(sp|edge)\s/.test(start)) return 'dimacs';
+        if (extension === 'xml') return 'graphml';
+        return start === '' ? null : 'edgelist';
+    }
+
+    /**
+     * Parse a graph file
+     * @param {string} text - File contents
+     * @param {Object} options - { format, filename, directed, width, height }
+     * @returns {Object} Graph data for GraphVisualizer.loadGraph()
+     * @throws {GraphParseError} When the file has errors
+     */
+    static parse(text, options = {}) {
+        const key = options.format || this.detectFormat(options.filename, text);
+        const format = FORMATS[key];
+        if (!format) {
+            throw new GraphParseError('Import', [{ line: null, message: key ? `unknown format "${key}"` : 'the file is empty' }]);
+        }
+
+        const builder = format.parse(text, { ...options, maxNodes: this.MAX_NODES });
+        if (builder.errors.length === 0 && builder.nodes.length === 0) {
+            builder.error(null, 'the file contains no nodes');
+        }
+        if (builder.nodes.length > this.MAX_NODES) {
+            builder.error(null, `${builder.nodes.length} nodes is more than the ${this.MAX_NODES} the visualizer can show`);
+        }
+        if (builder.errors.length > 0) {
+            const errors = [...builder.errors].sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+            throw new GraphParseError(format.NAME, errors);
+        }
+
+        const graph = builder.build();
+        const width = options.width || 800;
+        const height = options.height || 600;
+        if (graph.nodes.every(node => isFinite(node.x) && isFinite(node.y))) {
+            this.fitToCanvas(graph.nodes, width, height);
+        } else {
+            this.autoLayout(graph, width, height);
+        }
+        return graph;
+    }
+
+    /**
+     * Write graph data ({ nodes: [{ x, y, label }], edges, directed }) in a format
+     * @returns {{text: string, extension: string, mime: string}}
+     */
+    static serialize(graph, formatKey) {
+        const format = FORMATS[formatKey];
+        if (!format) throw new Error(`Unknown graph format "${formatKey}"`);
+        return {
+            text: format.serialize(graph),
+            extension: format.EXTENSIONS[0],
+            mime: formatKey === 'graphml' ? 'application/xml' : 'text/plain'
+        };
+    }
+
+    /**
+     * Scale and centre file coordinates into the canvas, keeping the aspect ratio
+     */
+    static fitToCanvas(nodes, width, height) {
+        const margin = NODE.RADIUS * 2;
+        const xs = nodes.map(node => node.x);
+        const ys = nodes.map(node => node.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const spanX = maxX - minX, spanY = maxY - minY;
+
+        const scaleX = spanX > 0 ? (width - 2 * margin) / spanX : Infinity;
+        const scaleY = spanY > 0 ? (height - 2 * margin) / spanY : Infinity;
+        const scale = isFinite(Math.min(scaleX, scaleY)) ? Math.min(scaleX, scaleY) : 1;
+
+        for (const node of nodes) {
+            node.x = width / 2 + (node.x - (minX + maxX) / 2) * scale;
+            node.y = height / 2 + (node.y - (minY + maxY) / 2) * scale;
+        }
+    }
+
+    /**
+     * Place nodes without coordinates: Fruchterman-Reingold from a circle, or just
+     * the circle for large graphs (deterministic, so the same file always opens the same way)
+     */
+    static autoLayout(graph, width, height) {
+        const layouts = createLayouts();
+        const layout = graph.nodes.length <= this.MAX_SPRING_NODES ? layouts[LAYOUTS.FORCE] : layouts[LAYOUTS.CIRCLE];
+
+        layout.compute(graph, width, height).forEach((position, i) => {
+            graph.nodes[i].x = position.x;
+            graph.nodes[i].y = position.y;
+        });
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * GraphML (.graphml, .xml)
+ *
+ * Reads one <graph> with <node id> and <edge source target> elements. Weights,
+ * coordinates and labels come from <data> elements whose <key> has an attr.name of
+ * weight/cost/length, x/y and label/name (yEd's <y:Geometry x y> is read too).
+ * Nested graphs and hyperedges are reported as errors; ports are ignored.
+ */
+
+import { GraphBuilder } from './GraphBuilder.js';
+
+const KEY_ROLES = {
+    weight: 'weight', cost: 'weight', length: 'weight', distance: 'weight',
+    x: 'x', y: 'y',
+    label: 'label', name: 'label'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export class GraphMLFormat {
+    static get NAME() {
+        return 'GraphML';
+    }
+
+    static get EXTENSIONS() {
+        return ['graphml', 'xml'];
+    }
+
+    /**
+     * Replace XML entities and character references
+     */
+    static decode(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return ENTITIES[entity] ?? match;
+        });
+    }
+
+    static encode(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Split XML into tags and text: { type: 'open' | 'close' | 'text', name, attributes, selfClosing, text, line }
+     */
+    static tokenize(text, builder) {
+        const tokens = [];
+        const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+        let line = 1;
+        let offset = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            for (; offset < match.index; offset++) if (text[offset] === '\n') line++;
+            const [whole, cdata, closing, name, attributeText, selfClosing, chars, stray] = match;
+
+            if (stray) {
+                builder.error(line, 'malformed tag');
+            } else if (cdata !== undefined) {
+                tokens.push({ type: 'text', text: cdata, line });
+            } else if (chars !== undefined) {
+                tokens.push({ type: 'text', text: this.decode(chars), line });
+            } else if (name) {
+                const attributes = {};
+                for (const [, key, , double, single] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                    attributes[key] = this.decode(double ?? single);
+                }
+                tokens.push({ type: closing ? 'close' : 'open', name: name.replace(/^graphml:/, ''), attributes, selfClosing: !!selfClosing, line });
+            }
+
+            for (; offset < match.index + whole.length; offset++) if (text[offset] === '\n') line++;
+        }
+        return tokens;
+    }
+
+    /**
+     * Parse GraphML text into a GraphBuilder
+     */
+    static parse(text) {
+        const builder = new GraphBuilder();
+        const tokens = this.tokenize(text, builder);
+        if (builder.errors.length > 0) return builder;
+
+        const keys = new Map(); // id -> { role, defaultValue }
+        const stack = [];
+        let graphs = 0;
+        let inGraph = false;
+        let element = null; // { kind: 'node' | 'edge', ... } being read
+        let data = null; // { key, text, line }
+        let edgeDefault = null;
+        let currentKey = null; // <key> being declared
+        let defaultKey = null; // <key> whose <default> is being read
+        const directions = new Map(); // directed -> line of the first such edge
+
+        for (const token of tokens) {
+            if (token.type === 'text') {
+                if (data) data.text += token.text;
+                if (defaultKey) defaultKey.defaultValue = (defaultKey.defaultValue ?? '') + token.text;
+                continue;
+            }
+
+            const { name, attributes, line } = token;
+
+            if (token.type === 'close') {
+                const open = stack.pop();
+                if (!open || open.name !== name) {
+                    builder.error(line, `</${name}> does not match ${open ? `<${open.name}> from line ${open.line}` : 'any open tag'}`);
+                    return builder;
+                }
+                this.closeElement(name, builder, element, data);
+                if (name === 'data') data = null;
+                if (name === 'default') defaultKey = null;
+                if (name === 'key') currentKey = null;
+                if (name === 'node' || name === 'edge') element = null;
+                if (name === 'graph') inGraph = false;
+                continue;
+            }
+
+            if (!token.selfClosing) stack.push({ name, line });
+
+            switch (name) {
+                case 'key': {
+                    const role = KEY_ROLES[(attributes['attr.name'] || '').toLowerCase()];
+                    currentKey = null;
+                    if (attributes.id && role && attributes.for !== 'graph') {
+                        currentKey = { role, defaultValue: null };
+                        keys.set(attributes.id, currentKey);
+                    }
+                    if (token.selfClosing) currentKey = null;
+                    break;
+                }
+                case 'default':
+                    defaultKey = currentKey;
+                    break;
+                case 'graph': {
+                    if (inGraph) {
+                        builder.error(line, 'nested graphs are not supported');
+                        return builder;
+                    }
+                    if (graphs++ > 0) {
+                        builder.error(line, 'only one <graph> per file is supported');
+                        return builder;
+                    }
+                    inGraph = true;
+                    edgeDefault = attributes.edgedefault || 'directed';
+                    if (!['directed', 'undirected'].includes(edgeDefault)) {
+                        builder.error(line, `edgedefault must be "directed" or "undirected", got "${edgeDefault}"`);
+                        edgeDefault = 'directed';
+                    }
+                    break;
+                }
+                case 'node': {
+                    if (!inGraph) {
+                        builder.error(line, '<node> outside <graph>');
+                        break;
+                    }
+                    if (attributes.id === undefined) {
+                        builder.error(line, '<node> has no id');
+                        break;
+                    }
+                    if (builder.indexByName.has(attributes.id) && builder.nodes[builder.indexByName.get(attributes.id)].declared) {
+                        builder.error(line, `duplicate node id "${attributes.id}"`);
+                        break;
+                    }
+                    builder.nodes[builder.node(attributes.id, line)].declared = true;
+                    element = token.selfClosing ? null : { kind: 'node', id: attributes.id, line };
+                    break;
+                }
+                case 'edge': {
+                    if (!inGraph) {
+                        builder.error(line, '<edge> outside <graph>');
+                        break;
+                    }
+                    if (attributes.source === undefined || attributes.target === undefined) {
+                        builder.error(line, '<edge> needs source and target');
+                        break;
+                    }
+                    const directed = attributes.directed !== undefined ? attributes.directed === 'true' : edgeDefault === 'directed';
+                    if (!directions.has(directed)) directions.set(directed, line);
+                    element = { kind: 'edge', source: attributes.source, target: attributes.target, weight: null, line };
+                    if (token.selfClosing) {
+                        this.finishEdge(builder, element);
+                        element = null;
+                    }
+                    break;
+                }
+                case 'data': {
+                    const key = keys.get(attributes.key);
+                    data = key && element ? { key, text: '', line } : null;
+                    break;
+                }
+                case 'hyperedge':
+                    builder.error(line, 'hyperedges are not supported');
+                    return builder;
+                case 'Geometry':
+                case 'y:Geometry': {
+                    // yEd node geometry: centre of the shape
+                    if (element && element.kind === 'node') {
+                        const x = Number(attributes.x) + Number(attributes.width || 0) / 2;
+                        const y = Number(attributes.y) + Number(attributes.height || 0) / 2;
+                        if (isFinite(x) && isFinite(y)) element.geometry = { x, y };
+                    }
+                    break;
+                }
+            }
+        }
+
+        if (stack.length > 0) {
+            const open = stack[stack.length - 1];
+            builder.error(open.line, `<${open.name}> is never closed`);
+        }
+        if (graphs === 0 && builder.errors.length === 0) builder.error(null, 'no <graph> element found');
+        if (directions.size > 1) {
+            builder.error(Math.max(...directions.values()), 'mixed directed and undirected edges are not supported');
+        }
+        builder.directed = directions.size > 0 ? directions.has(true) : edgeDefault === 'directed';
+
+        // Key defaults for nodes and edges with no <data> of their own
+        this.applyDefaults(builder, keys);
+        builder.nodes.forEach(node => {
+            if (!node.declared) builder.error(node.line, `edge refers to undeclared node "${node.label}"`);
+            delete node.declared;
+        });
+        return builder;
+    }
+
+    /**
+     * Store a finished <data> or <node>/<edge> value
+     */
+    static closeElement(name, builder, element, data) {
+        if (name === 'data' && data && element) {
+            const value = data.text.trim();
+            if (data.key.role === 'label') {
+                if (element.kind === 'node') builder.nodes[builder.indexByName.get(element.id)].label = value;
+                return;
+            }
+            const number = builder.number(value, data.line, data.key.role);
+            if (number === null) return;
+            if (data.key.role === 'weight' && element.kind === 'edge') element.weight = number;
+            if (data.key.role !== 'weight' && element.kind === 'node') element[data.key.role] = number;
+            return;
+        }
+
+        if (name === 'node' && element) {
+            const node = builder.nodes[builder.indexByName.get(element.id)];
+            const x = element.x ?? element.geometry?.x;
+            const y = element.y ?? element.geometry?.y;
+            node.x = x;
+            node.y = y;
+        }
+        if (name === 'edge' && element) this.finishEdge(builder, element);
+    }
+
+    static finishEdge(builder, element) {
+        builder.edge(element.source, element.target, element.weight, element.line);
+    }
+
+    /**
+     * Fill in missing weights and coordinates from <key><default> values
+     */
+    static applyDefaults(builder, keys) {
+        const defaults = {};
+        for (const key of keys.values()) {
+            if (key.defaultValue !== null && key.defaultValue.trim() !== '' && isFinite(Number(key.defaultValue))) {
+                defaults[key.role] = Number(key.defaultValue);
+            }
+        }
+        for (const edge of builder.edges) {
+            if (edge.weight === null) edge.weight = defaults.weight ?? 1;
+        }
+        for (const node of builder.nodes) {
+            if (node.x === undefined && defaults.x !== undefined) node.x = defaults.x;
+            if (node.y === undefined && defaults.y !== undefined) node.y = defaults.y;
+        }
+    }
+
+    /**
+     * Write graph data as GraphML with weight, x, y and label keys
+     */
+    static serialize(graph) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="d0" for="edge" attr.name="weight" attr.type="double"><default>1</default></key>',
+            '  <key id="d1" for="node" attr.name="x" attr.type="double"/>',
+            '  <key id="d2" for="node" attr.name="y" attr.type="double"/>',
+            '  <key id="d3" for="node" attr.name="label" attr.type="string"/>',
+            `  <graph id="G" edgedefault="${graph.directed ? 'directed' : 'undirected'}">`
+        ];
+        graph.nodes.forEach((node, index) => {
+            const data = [];
+            if (isFinite(node.x) && isFinite(node.y)) {
+                data.push(`<data key="d1">${Math.round(node.x)}</data>`, `<data key="d2">${Math.round(node.y)}</data>`);
+            }
+            if (node.label !== undefined && String(node.label) !== `n${index}`) {
+                data.push(`<data key="d3">${this.encode(node.label)}</data>`);
+            }
+            lines.push(`    <node id="n${index}">${data.join('')}</node>`);
+        });
+        graph.edges.forEach((edge, index) => {
+            lines.push(`    <edge id="e${index}" source="n${edge.from}" target="n${edge.to}"><data key="d0">${edge.weight}</data></edge>`);
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Graph Parse Error
+ * Raised by GraphIO when a graph file cannot be read; lists every problem with its line
+ */
+
+export class GraphParseError extends Error {
+    /**
+     * @param {string} format - Format name shown to the user (e.g. 'DOT')
+     * @param {Array<{line: number, message: string}>} errors - Problems found, in file order
+     */
+    constructor(format, errors) {
+        super(`${format}: ${errors.map(GraphParseError.formatError).join('\n')}`);
+        this.name = 'GraphParseError';
+        this.format = format;
+        this.errors = errors;
+    }
+
+    /**
+     * "line 12: message", or just the message for problems that belong to no line
+     */
+    static formatError(error) {
+        return error.line ? `line ${error.line}: ${error.message}` : error.message;
+    }
+}
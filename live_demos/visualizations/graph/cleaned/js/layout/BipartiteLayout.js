@@ -0,0 +1,63 @@
+/**
+ * Bipartite Layout
+ * Side 0 in a left column, side 1 in a right column, each column ordered by the
+ * barycenter of its neighbors to cut crossings
+ */
+
+import { Layout } from './Layout.js';
+import { LAYOUT } from '../core/Constants.js';
+import { findBipartition } from '../core/Utils.js';
+
+export class BipartiteLayout extends Layout {
+    constructor() {
+        super('Bipartite', 'Two columns, one per side of the bipartition');
+        this.sweeps = 4;
+    }
+
+    /**
+     * Compute node positions
+     * @throws {Error} With the odd cycle when the graph is not bipartite
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        const { side, oddCycle } = findBipartition(graph);
+        if (oddCycle) {
+            throw new Error(`The graph is not bipartite: odd cycle ${[...oddCycle, oddCycle[0]].join(' – ')}`);
+        }
+        return this.columnPositions(graph, side, width, height);
+    }
+
+    /**
+     * Two ordered columns for a given side per node (see findBipartition)
+     */
+    columnPositions(graph, side, width, height) {
+        const columns = [0, 1].map(s => graph.nodes.map((_, i) => i).filter(i => side[i] === s));
+        const neighbors = this.getUndirectedNeighbors(graph);
+
+        const rank = Array(graph.nodes.length).fill(0);
+        const updateRanks = column => column.forEach((node, position) => { rank[node] = position / Math.max(column.length - 1, 1); });
+        columns.forEach(updateRanks);
+
+        // Alternate sweeps; nodes without neighbors keep their place
+        for (let sweep = 0; sweep < this.sweeps; sweep++) {
+            const column = columns[(sweep + 1) % 2];
+            const barycenter = node => (neighbors[node].length > 0
+                ? neighbors[node].reduce((sum, other) => sum + rank[other], 0) / neighbors[node].length
+                : rank[node]);
+            const keys = new Map(column.map(node => [node, barycenter(node)]));
+            column.sort((a, b) => keys.get(a) - keys.get(b) || a - b);
+            updateRanks(column);
+        }
+
+        const positions = Array(graph.nodes.length);
+        columns.forEach((column, s) => {
+            const x = s === 0 ? width * 0.3 : width * 0.7;
+            const spacing = column.length > 1 ? (height - 2 * LAYOUT.MARGIN) / (column.length - 1) : 0;
+            column.forEach((node, position) => {
+                positions[node] = { x, y: column.length > 1 ? LAYOUT.MARGIN + position * spacing : height / 2 };
+            });
+        });
+        return positions;
+    }
+}
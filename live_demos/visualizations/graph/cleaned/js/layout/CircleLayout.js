@@ -0,0 +1,24 @@
+/**
+ * Circle Layout
+ * Nodes in id order around one ring, node 0 at the top
+ */
+
+import { Layout } from './Layout.js';
+
+export class CircleLayout extends Layout {
+    constructor() {
+        super('Circle', 'Nodes evenly spaced on a ring in id order');
+    }
+
+    /**
+     * Compute node positions
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        if (graph.nodes.length === 1) {
+            return [{ x: width / 2, y: height / 2 }];
+        }
+        return this.circlePositions(graph.nodes.length, width, height);
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Fruchterman-Reingold Layout
+ * Every pair of nodes repels, every edge attracts; a fixed number of passes
+ * from the circle layout with a cooling step limit
+ */
+
+import { Layout } from './Layout.js';
+import { LAYOUT } from '../core/Constants.js';
+
+export class ForceLayout extends Layout {
+    constructor() {
+        super('Force-Directed', 'Fruchterman-Reingold springs: edges pull, all nodes push apart');
+        this.maxNodes = LAYOUT.MAX_ITERATIVE_NODES;
+        this.iterations = 150;
+    }
+
+    /**
+     * Compute node positions
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        const n = graph.nodes.length;
+        const positions = this.circlePositions(n, width, height, { x: 0, y: 0 });
+
+        if (n > 1) {
+            this.relax(positions, graph.edges, width, height);
+        }
+        return this.fitToCanvas(positions, width, height);
+    }
+
+    /**
+     * Fruchterman-Reingold passes, moving positions in place
+     */
+    relax(positions, edges, width, height) {
+        const n = positions.length;
+        const k = Math.sqrt((width * height) / n) * 0.75; // Ideal edge length
+        let step = Math.min(width, height) / 10;
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const forces = positions.map(() => ({ x: 0, y: 0 }));
+
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const dx = positions[i].x - positions[j].x;
+                    const dy = positions[i].y - positions[j].y;
+                    const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                    const push = (k * k) / distance;
+                    forces[i].x += (dx / distance) * push;
+                    forces[i].y += (dy / distance) * push;
+                    forces[j].x -= (dx / distance) * push;
+                    forces[j].y -= (dy / distance) * push;
+                }
+            }
+
+            for (const edge of edges) {
+                if (edge.from === edge.to) continue;
+                const a = positions[edge.from], b = positions[edge.to];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const pull = (distance * distance) / k;
+                forces[edge.from].x -= (dx / distance) * pull;
+                forces[edge.from].y -= (dy / distance) * pull;
+                forces[edge.to].x += (dx / distance) * pull;
+                forces[edge.to].y += (dy / distance) * pull;
+            }
+
+            for (let i = 0; i < n; i++) {
+                const magnitude = Math.hypot(forces[i].x, forces[i].y);
+                if (magnitude === 0) continue;
+                const move = Math.min(magnitude, step);
+                positions[i].x += (forces[i].x / magnitude) * move;
+                positions[i].y += (forces[i].y / magnitude) * move;
+            }
+            step *= 0.97;
+        }
+    }
+}
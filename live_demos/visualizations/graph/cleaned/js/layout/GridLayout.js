@@ -0,0 +1,59 @@
+/**
+ * Grid Layout
+ * Nodes on a near-square grid in breadth-first order, so neighbors tend to
+ * land in nearby cells; each component starts where the previous one ended
+ */
+
+import { Layout } from './Layout.js';
+
+export class GridLayout extends Layout {
+    constructor() {
+        super('Grid', 'Rows and columns, filled in breadth-first order');
+    }
+
+    /**
+     * Compute node positions
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        const n = graph.nodes.length;
+        const columns = Math.max(Math.ceil(Math.sqrt(n * width / Math.max(height, 1))), 1);
+        const rows = Math.max(Math.ceil(n / columns), 1);
+        const order = this.breadthFirstOrder(graph);
+
+        const positions = Array(n);
+        order.forEach((node, cell) => {
+            positions[node] = { x: cell % columns, y: Math.floor(cell / columns) };
+        });
+
+        // Keep cells square: fit the whole grid, not just the used cells
+        const corners = [{ x: 0, y: 0 }, { x: columns - 1, y: rows - 1 }];
+        const fitted = this.fitToCanvas([...corners, ...positions], width, height);
+        return fitted.slice(corners.length);
+    }
+
+    /**
+     * Every node once: components in id order, each from its lowest id
+     */
+    breadthFirstOrder(graph) {
+        const neighbors = this.getUndirectedNeighbors(graph).map(list => list.sort((a, b) => a - b));
+        const seen = graph.nodes.map(() => false);
+        const order = [];
+
+        for (let root = 0; root < graph.nodes.length; root++) {
+            if (seen[root]) continue;
+            seen[root] = true;
+            order.push(root);
+            for (let head = order.length - 1; head < order.length; head++) {
+                for (const neighbor of neighbors[order[head]]) {
+                    if (!seen[neighbor]) {
+                        seen[neighbor] = true;
+                        order.push(neighbor);
+                    }
+                }
+            }
+        }
+        return order;
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Layered (Sugiyama) Layout
+ * Edges point down the canvas: break cycles, assign layers by longest path,
+ * route long edges through placeholder (dummy) slots, then reorder each layer
+ * by the barycenter of its neighbors to cut crossings. Made for DAGs; a cyclic
+ * graph is drawn with the few edges that close cycles pointing up, and an
+ * undirected graph is layered in breadth-first order
+ */
+
+import { Layout } from './Layout.js';
+import { LAYOUT } from '../core/Constants.js';
+
+export class LayeredLayout extends Layout {
+    constructor() {
+        super('Layered (Sugiyama)', 'Top-down layers for DAGs with few edge crossings');
+        this.sweeps = 8;
+    }
+
+    /**
+     * Compute node positions
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        const n = graph.nodes.length;
+        const arcs = graph.directed ? this.removeCycles(graph) : this.orientByBreadthFirst(graph);
+        const layer = this.assignLayers(n, arcs);
+        const { layers, links } = this.addDummyNodes(layer, arcs);
+
+        this.reduceCrossings(layers, links);
+        return this.assignCoordinates(n, layers, width, height);
+    }
+
+    /**
+     * Arcs of a directed graph with the edges that close a cycle (depth-first
+     * back edges) reversed, so the result is acyclic; self-loops are dropped
+     * @returns {Array<{from: number, to: number}>}
+     */
+    removeCycles(graph) {
+        const outgoing = graph.nodes.map(() => []);
+        for (const edge of graph.edges) {
+            if (edge.from !== edge.to) {
+                outgoing[edge.from].push(edge.to);
+            }
+        }
+
+        const state = graph.nodes.map(() => 'new'); // new → active → done
+        const arcs = [];
+        const visit = node => {
+            state[node] = 'active';
+            for (const next of outgoing[node]) {
+                if (state[next] === 'active') {
+                    arcs.push({ from: next, to: node }); // Back edge, reversed
+                } else {
+                    arcs.push({ from: node, to: next });
+                    if (state[next] === 'new') visit(next);
+                }
+            }
+            state[node] = 'done';
+        };
+
+        graph.nodes.forEach((_, node) => {
+            if (state[node] === 'new') visit(node);
+        });
+        return arcs;
+    }
+
+    /**
+     * Arcs of an undirected graph, each pointing from the endpoint reached first
+     * in a breadth-first search from node 0 (then from each unreached node)
+     */
+    orientByBreadthFirst(graph) {
+        const neighbors = this.getUndirectedNeighbors(graph);
+        const rank = graph.nodes.map(() => null);
+        let reached = 0;
+
+        for (let root = 0; root < graph.nodes.length; root++) {
+            if (rank[root] !== null) continue;
+            rank[root] = reached++;
+            const queue = [root];
+            for (let head = 0; head < queue.length; head++) {
+                for (const neighbor of neighbors[queue[head]]) {
+                    if (rank[neighbor] === null) {
+                        rank[neighbor] = reached++;
+                        queue.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        return graph.edges
+            .filter(edge => edge.from !== edge.to)
+            .map(({ from, to }) => (rank[from] < rank[to] ? { from, to } : { from: to, to: from }));
+    }
+
+    /**
+     * Longest-path layering: sources on layer 0, every arc goes at least one layer down
+     * @returns {Array<number>} Layer per node
+     */
+    assignLayers(n, arcs) {
+        const outgoing = Array.from({ length: n }, () => []);
+        const inDegree = Array(n).fill(0);
+        for (const { from, to } of arcs) {
+            outgoing[from].push(to);
+            inDegree[to]++;
+        }
+
+        const layer = Array(n).fill(0);
+        const queue = [];
+        inDegree.forEach((degree, node) => {
+            if (degree === 0) queue.push(node);
+        });
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            for (const next of outgoing[node]) {
+                layer[next] = Math.max(layer[next], layer[node] + 1);
+                if (--inDegree[next] === 0) queue.push(next);
+            }
+        }
+        return layer;
+    }
+
+    /**
+     * Split every arc that spans several layers into one-layer links through dummy
+     * slots (ids from n up); dummies take space but are not drawn
+     * @returns {{layers: Array<Array<number>>, links: Array<{from: number, to: number}>}}
+     */
+    addDummyNodes(layer, arcs) {
+        const layerCount = Math.max(0, ...layer) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        layer.forEach((l, node) => layers[l].push(node));
+
+        const links = [];
+        let nextId = layer.length;
+        for (const { from, to } of arcs) {
+            let previous = from;
+            for (let l = layer[from] + 1; l < layer[to]; l++) {
+                const dummy = nextId++;
+                layers[l].push(dummy);
+                links.push({ from: previous, to: dummy });
+                previous = dummy;
+            }
+            links.push({ from: previous, to });
+        }
+        return { layers, links };
+    }
+
+    /**
+     * Alternate down and up sweeps, sorting each layer by the mean position of
+     * its neighbors in the layer just fixed (ties keep their order)
+     */
+    reduceCrossings(layers, links) {
+        const above = new Map();
+        const below = new Map();
+        for (const { from, to } of links) {
+            if (!above.has(to)) above.set(to, []);
+            if (!below.has(from)) below.set(from, []);
+            above.get(to).push(from);
+            below.get(from).push(to);
+        }
+
+        const position = new Map();
+        const updatePositions = nodes => nodes.forEach((node, i) => position.set(node, i));
+        layers.forEach(updatePositions);
+
+        for (let sweep = 0; sweep < this.sweeps; sweep++) {
+            const down = sweep % 2 === 0;
+            const neighbors = down ? above : below;
+            const order = down
+                ? layers.map((_, l) => l).slice(1)
+                : layers.map((_, l) => l).reverse().slice(1);
+
+            for (const l of order) {
+                const barycenter = node => {
+                    const adjacent = neighbors.get(node) || [];
+                    return adjacent.length > 0
+                        ? adjacent.reduce((sum, other) => sum + position.get(other), 0) / adjacent.length
+                        : position.get(node);
+                };
+                const keys = new Map(layers[l].map(node => [node, barycenter(node)]));
+                layers[l].sort((a, b) => keys.get(a) - keys.get(b) || position.get(a) - position.get(b));
+                updatePositions(layers[l]);
+            }
+        }
+    }
+
+    /**
+     * Layers evenly spaced top to bottom, slots evenly spaced and centred in each layer
+     */
+    assignCoordinates(n, layers, width, height) {
+        const margin = LAYOUT.MARGIN;
+        const widest = Math.max(...layers.map(nodes => nodes.length));
+        const slot = widest > 1 ? (width - 2 * margin) / (widest - 1) : 0;
+        const rowHeight = layers.length > 1 ? (height - 2 * margin) / (layers.length - 1) : 0;
+
+        const positions = Array(n);
+        layers.forEach((nodes, l) => {
+            const y = layers.length > 1 ? margin + l * rowHeight : height / 2;
+            nodes.forEach((node, i) => {
+                if (node < n) {
+                    positions[node] = { x: width / 2 + (i - (nodes.length - 1) / 2) * slot, y };
+                }
+            });
+        });
+        return positions;
+    }
+}
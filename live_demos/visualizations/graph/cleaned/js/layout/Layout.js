@@ -0,0 +1,109 @@
+/**
+ * Base class for graph layouts
+ * A layout only reads graph.nodes (for the count), graph.edges and graph.directed
+ * and returns new positions, so the module visualizer and the classic demo (which
+ * keeps positions apart from its nodes) can share it. Layouts are deterministic:
+ * the same graph and canvas size always give the same picture
+ */
+
+import { LAYOUT } from '../core/Constants.js';
+
+export class Layout {
+    constructor(name, description) {
+        this.name = name;
+        this.description = description;
+        this.maxNodes = Infinity;
+    }
+
+    /**
+     * Compute node positions
+     * Must be implemented by subclasses
+     * @param {Object} graph - { nodes, edges, directed }
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Array<{x: number, y: number}>} One position per node, inside the canvas
+     * @throws {Error} When the layout does not apply to the graph
+     */
+    compute(graph, width, height) {
+        throw new Error(`${this.name}: compute() must be implemented`);
+    }
+
+    /**
+     * Check that the layout can handle the graph
+     * Override in subclasses if needed
+     * @throws {Error} When it cannot
+     */
+    validateGraph(graph) {
+        if (!graph || !graph.nodes) {
+            throw new Error('Graph must have a node list');
+        }
+        if (graph.nodes.length > this.maxNodes) {
+            throw new Error(`${this.name} layout handles up to ${this.maxNodes} nodes (this graph has ${graph.nodes.length})`);
+        }
+        return true;
+    }
+
+    /**
+     * Neighbor lists ignoring direction, without self-loops or repeats
+     */
+    getUndirectedNeighbors(graph) {
+        const neighbors = graph.nodes.map(() => new Set());
+        for (const edge of graph.edges) {
+            if (edge.from === edge.to) continue;
+            neighbors[edge.from].add(edge.to);
+            neighbors[edge.to].add(edge.from);
+        }
+        return neighbors.map(set => [...set]);
+    }
+
+    /**
+     * Evenly spaced points on a circle sized to the canvas, first one at the top
+     * @param {{x: number, y: number}} center - Defaults to the canvas centre
+     */
+    circlePositions(count, width, height, center = { x: width / 2, y: height / 2 }) {
+        const radius = Math.max(Math.min(width, height) / 2 - LAYOUT.MARGIN, 0);
+        return Array.from({ length: count }, (_, i) => {
+            const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+            return {
+                x: center.x + Math.cos(angle) * radius,
+                y: center.y + Math.sin(angle) * radius
+            };
+        });
+    }
+
+    /**
+     * Scale and centre positions into the canvas, keeping the aspect ratio
+     * (a single point, or points on one spot, go to the centre)
+     */
+    fitToCanvas(positions, width, height) {
+        if (positions.length === 0) {
+            return positions;
+        }
+
+        const xs = positions.map(position => position.x);
+        const ys = positions.map(position => position.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const spanX = maxX - minX, spanY = maxY - minY;
+
+        const scaleX = spanX > 0 ? (width - 2 * LAYOUT.MARGIN) / spanX : Infinity;
+        const scaleY = spanY > 0 ? (height - 2 * LAYOUT.MARGIN) / spanY : Infinity;
+        const scale = isFinite(Math.min(scaleX, scaleY)) ? Math.max(Math.min(scaleX, scaleY), 0) : 1;
+
+        return positions.map(position => ({
+            x: width / 2 + (position.x - (minX + maxX) / 2) * scale,
+            y: height / 2 + (position.y - (minY + maxY) / 2) * scale
+        }));
+    }
+
+    /**
+     * Get layout metadata
+     */
+    getMetadata() {
+        return {
+            name: this.name,
+            description: this.description,
+            maxNodes: this.maxNodes
+        };
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Layout registry
+ * One instance of every layout under its LAYOUTS key, shared by both visualizers
+ */
+
+import { LAYOUTS } from '../core/Constants.js';
+import { CircleLayout } from './CircleLayout.js';
+import { ForceLayout } from './ForceLayout.js';
+import { StressLayout } from './StressLayout.js';
+import { LayeredLayout } from './LayeredLayout.js';
+import { BipartiteLayout } from './BipartiteLayout.js';
+import { GridLayout } from './GridLayout.js';
+
+/**
+ * Create the layout instances
+ * @returns {Object<string, Layout>} Keyed by LAYOUTS values
+ */
+export function createLayouts() {
+    return {
+        [LAYOUTS.CIRCLE]: new CircleLayout(),
+        [LAYOUTS.FORCE]: new ForceLayout(),
+        [LAYOUTS.STRESS]: new StressLayout(),
+        [LAYOUTS.LAYERED]: new LayeredLayout(),
+        [LAYOUTS.BIPARTITE]: new BipartiteLayout(),
+        [LAYOUTS.GRID]: new GridLayout()
+    };
+}
@@ -0,0 +1,52 @@
+/**
+ * Layout Transition
+ * Eases every node from where it is to where a new layout puts it; the render
+ * loop asks for the positions of the current frame until the move is done
+ */
+
+import { LAYOUT } from '../core/Constants.js';
+import { lerp } from '../core/Utils.js';
+
+export class LayoutTransition {
+    /**
+     * @param {Array<{x: number, y: number}>} from - Current positions (copied)
+     * @param {Array<{x: number, y: number}>} to - Target positions, one per node
+     * @param {number} startTime - performance.now() (or any millisecond clock) at the start
+     * @param {number} duration - Milliseconds
+     */
+    constructor(from, to, startTime, duration = LAYOUT.TRANSITION_MS) {
+        if (from.length !== to.length) {
+            throw new Error(`Layout transition needs one target per node (${from.length} nodes, ${to.length} targets)`);
+        }
+        this.from = from.map(({ x, y }) => ({ x, y }));
+        this.to = to.map(({ x, y }) => ({ x, y }));
+        this.startTime = startTime;
+        this.duration = duration;
+    }
+
+    /**
+     * Share of the move done at a time, eased in and out (0 to 1)
+     */
+    progress(time) {
+        const t = this.duration > 0 ? Math.min(Math.max((time - this.startTime) / this.duration, 0), 1) : 1;
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    }
+
+    /**
+     * Positions at a time
+     */
+    positionsAt(time) {
+        const t = this.progress(time);
+        return this.from.map((start, i) => ({
+            x: lerp(start.x, this.to[i].x, t),
+            y: lerp(start.y, this.to[i].y, t)
+        }));
+    }
+
+    /**
+     * Whether the nodes have arrived
+     */
+    isFinished(time) {
+        return time - this.startTime >= this.duration;
+    }
+}
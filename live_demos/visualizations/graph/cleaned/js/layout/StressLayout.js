@@ -0,0 +1,120 @@
+/**
+ * Kamada-Kawai Layout by Stress Majorization
+ * Places nodes so that their drawn distances match their graph distances,
+ * minimizing the Kamada-Kawai energy (stress) sum of w_ij (|x_i - x_j| - d_ij)^2
+ * with w_ij = d_ij^-2. Graph distance counts edges, not weights: weights may be
+ * zero or negative and would not give a readable picture
+ */
+
+import { Layout } from './Layout.js';
+import { LAYOUT } from '../core/Constants.js';
+
+export class StressLayout extends Layout {
+    constructor() {
+        super('Kamada-Kawai', 'Stress majorization: drawn distances follow graph distances');
+        this.maxNodes = LAYOUT.MAX_ITERATIVE_NODES;
+        this.maxIterations = 100;
+        this.tolerance = 1e-4; // Stop when stress improves by less than this fraction
+    }
+
+    /**
+     * Compute node positions
+     */
+    compute(graph, width, height) {
+        this.validateGraph(graph);
+
+        const n = graph.nodes.length;
+        if (n === 1) {
+            return [{ x: width / 2, y: height / 2 }];
+        }
+
+        const distances = this.graphDistances(graph);
+        const longest = distances.reduce((max, row) => row.reduce((rowMax, d) => Math.max(rowMax, d), max), 1);
+        // Start from a circle about as wide as the graph is deep
+        const positions = graph.nodes.map((_, i) => {
+            const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+            return { x: Math.cos(angle) * longest / 2, y: Math.sin(angle) * longest / 2 };
+        });
+
+        let stress = this.stress(positions, distances);
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            this.majorize(positions, distances);
+            const next = this.stress(positions, distances);
+            if (stress - next < this.tolerance * stress) {
+                break;
+            }
+            stress = next;
+        }
+        return this.fitToCanvas(positions, width, height);
+    }
+
+    /**
+     * Breadth-first edge counts between every pair; pairs in different components
+     * are kept one step further apart than the farthest connected pair
+     */
+    graphDistances(graph) {
+        const n = graph.nodes.length;
+        const neighbors = this.getUndirectedNeighbors(graph);
+        const distances = [];
+
+        for (let source = 0; source < n; source++) {
+            const row = Array(n).fill(Infinity);
+            row[source] = 0;
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                for (const neighbor of neighbors[node]) {
+                    if (row[neighbor] === Infinity) {
+                        row[neighbor] = row[node] + 1;
+                        queue.push(neighbor);
+                    }
+                }
+            }
+            distances.push(row);
+        }
+
+        const farthest = distances.reduce((max, row) =>
+            row.reduce((rowMax, d) => (isFinite(d) ? Math.max(rowMax, d) : rowMax), max), 0);
+        return distances.map(row => row.map(d => (d === Infinity ? farthest + 1 : d)));
+    }
+
+    /**
+     * One Gauss-Seidel sweep of the majorization update:
+     * x_i = sum_j w_ij (x_j + d_ij (x_i - x_j) / |x_i - x_j|) / sum_j w_ij
+     */
+    majorize(positions, distances) {
+        const n = positions.length;
+        for (let i = 0; i < n; i++) {
+            let x = 0, y = 0, totalWeight = 0;
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                const d = distances[i][j];
+                const weight = 1 / (d * d);
+                const dx = positions[i].x - positions[j].x;
+                const dy = positions[i].y - positions[j].y;
+                const length = Math.hypot(dx, dy);
+                const reach = length > 0 ? d / length : 0;
+                x += weight * (positions[j].x + reach * dx);
+                y += weight * (positions[j].y + reach * dy);
+                totalWeight += weight;
+            }
+            positions[i].x = x / totalWeight;
+            positions[i].y = y / totalWeight;
+        }
+    }
+
+    /**
+     * Kamada-Kawai energy of the current positions
+     */
+    stress(positions, distances) {
+        let total = 0;
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                const d = distances[i][j];
+                const length = Math.hypot(positions[i].x - positions[j].x, positions[i].y - positions[j].y);
+                total += ((length - d) * (length - d)) / (d * d);
+            }
+        }
+        return total;
+    }
+}
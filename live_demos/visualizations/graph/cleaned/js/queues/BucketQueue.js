@@ -0,0 +1,170 @@
+/**
+ * Bucket Queue (Dial's algorithm)
+ * One bucket per integer priority and a cursor at the lowest bucket that may hold
+ * entries. No comparisons at all: extractMin walks the cursor over empty buckets
+ * (counted as scans), so the cost grows with the largest priority, not with log n.
+ * Only works for non-negative integer priorities up to MAX_PRIORITY, e.g. integer
+ * edge weights on graphs the canvas can show
+ */
+
+import { PriorityQueue } from './PriorityQueue.js';
+
+export class BucketQueue extends PriorityQueue {
+    // Larger priorities are refused: the cursor would walk every empty bucket below them
+    static get MAX_PRIORITY() {
+        return 1000000;
+    }
+
+    /**
+     * @param {string} priority - Entry field ordered on
+     */
+    constructor(priority = 'distance') {
+        super(priority);
+        this.indexed = true;
+        this.buckets = []; // Priority → entries in arrival order
+        this.cursor = 0;
+        this.items = new Map(); // Node → entry
+    }
+
+    /**
+     * Insert an entry for a node that is not queued yet
+     */
+    insert(item) {
+        if (this.items.has(item.node)) {
+            throw new Error(`Node ${item.node} is already queued; lower it with decreaseKey()`);
+        }
+
+        this.count('insert');
+        this.items.set(item.node, item);
+        this.addToBucket(item);
+    }
+
+    /**
+     * Peek at minimum element without removing
+     */
+    peek() {
+        this.count('peek');
+        return this.advance() ? this.buckets[this.cursor][0] : null;
+    }
+
+    /**
+     * Take the oldest entry of the lowest non-empty bucket
+     */
+    extractMin() {
+        if (!this.advance()) {
+            return null;
+        }
+
+        this.count('extractMin');
+        const min = this.buckets[this.cursor].shift();
+        this.items.delete(min.node);
+        return min;
+    }
+
+    /**
+     * Lower a node's entry by moving it to a lower bucket
+     */
+    decreaseKey(node, changes) {
+        const item = this.items.get(node);
+        if (!item) {
+            return false;
+        }
+
+        this.count('decreaseKey');
+        const bucket = this.buckets[item[this.priority]];
+        bucket.splice(bucket.indexOf(item), 1);
+
+        Object.assign(item, changes);
+        this.addToBucket(item);
+        return true;
+    }
+
+    /**
+     * Put an entry in the bucket of its priority
+     * @throws {Error} When the priority is not an integer from 0 to MAX_PRIORITY
+     */
+    addToBucket(item) {
+        const key = item[this.priority];
+        if (!Number.isInteger(key) || key < 0) {
+            throw new Error(`Bucket queue needs non-negative integer priorities, got ${key} for node ${item.node}`);
+        }
+        if (key > BucketQueue.MAX_PRIORITY) {
+            throw new Error(`Bucket queue needs priorities up to ${BucketQueue.MAX_PRIORITY}, got ${key} for node ${item.node}`);
+        }
+
+        if (!this.buckets[key]) {
+            this.buckets[key] = [];
+        }
+        this.buckets[key].push(item);
+        this.cursor = Math.min(this.cursor, key);
+    }
+
+    /**
+     * Move the cursor to the first non-empty bucket
+     * @returns {boolean} Whether the queue has entries
+     */
+    advance() {
+        if (this.items.size === 0) {
+            return false;
+        }
+
+        while (!this.buckets[this.cursor]?.length) {
+            this.cursor++;
+            this.count('scans');
+        }
+        return true;
+    }
+
+    /**
+     * Check whether the queue holds an entry for a node
+     */
+    contains(node) {
+        return this.items.has(node);
+    }
+
+    /**
+     * Get queue size
+     */
+    size() {
+        return this.items.size;
+    }
+
+    /**
+     * Clear queue
+     */
+    clear() {
+        this.buckets = [];
+        this.cursor = 0;
+        this.items.clear();
+    }
+
+    /**
+     * Priorities that have a bucket, from the cursor up (the bucket array is sparse,
+     * so only the buckets ever used are visited)
+     */
+    usedKeys() {
+        return Object.keys(this.buckets).map(Number).filter(key => key >= this.cursor);
+    }
+
+    /**
+     * Entries bucket by bucket, lowest priority first
+     */
+    entries() {
+        return this.usedKeys().flatMap(key => this.buckets[key]);
+    }
+
+    /**
+     * Non-empty buckets from the cursor up
+     */
+    getShape() {
+        const buckets = this.usedKeys()
+            .filter(key => this.buckets[key].length > 0)
+            .map(key => ({ key, nodes: this.buckets[key].map(item => item.node) }));
+
+        return {
+            type: 'buckets',
+            cursor: this.cursor,
+            buckets
+        };
+    }
+}
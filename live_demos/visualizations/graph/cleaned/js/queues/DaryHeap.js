@@ -0,0 +1,181 @@
+/**
+ * d-ary Heap with decrease-key
+ * Array heap where every node has up to d children, indexed by node so each node
+ * has one entry that decreaseKey moves up. A wider heap is shallower: cheaper
+ * decreaseKey (sift up), dearer extractMin (d - 1 comparisons per level down)
+ */
+
+import { PriorityQueue } from './PriorityQueue.js';
+
+export class DaryHeap extends PriorityQueue {
+    /**
+     * @param {string} priority - Entry field ordered on
+     * @param {number} arity - Children per node (2 is the binary heap)
+     */
+    constructor(priority = 'distance', arity = 4) {
+        super(priority);
+        if (!Number.isInteger(arity) || arity < 2) {
+            throw new Error(`Heap arity must be an integer of at least 2, got ${arity}`);
+        }
+        this.arity = arity;
+        this.indexed = true;
+        this.heap = [];
+        this.positions = new Map(); // Node → index in heap
+    }
+
+    /**
+     * Insert an entry for a node that is not queued yet
+     */
+    insert(item) {
+        if (this.positions.has(item.node)) {
+            throw new Error(`Node ${item.node} is already queued; lower it with decreaseKey()`);
+        }
+
+        this.count('insert');
+        this.heap.push(item);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Peek at minimum element without removing
+     */
+    peek() {
+        this.count('peek');
+        return this.heap.length > 0 ? this.heap[0] : null;
+    }
+
+    /**
+     * Extract minimum element
+     */
+    extractMin() {
+        if (this.heap.length === 0) {
+            return null;
+        }
+
+        this.count('extractMin');
+        const min = this.heap[0];
+        const last = this.heap.pop();
+        this.positions.delete(min.node);
+
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.positions.set(last.node, 0);
+            this.siftDown(0);
+        }
+
+        return min;
+    }
+
+    /**
+     * Lower a node's entry and sift it up
+     */
+    decreaseKey(node, changes) {
+        const index = this.positions.get(node);
+        if (index === undefined) {
+            return false;
+        }
+
+        this.count('decreaseKey');
+        Object.assign(this.heap[index], changes);
+        this.siftUp(index);
+        return true;
+    }
+
+    /**
+     * Check whether the heap holds an entry for a node
+     */
+    contains(node) {
+        return this.positions.has(node);
+    }
+
+    /**
+     * Move the entry at index up while it beats its parent
+     */
+    siftUp(index) {
+        const item = this.heap[index];
+
+        while (index > 0) {
+            const parentIndex = Math.floor((index - 1) / this.arity);
+            if (!this.less(item, this.heap[parentIndex])) {
+                break;
+            }
+            this.place(this.heap[parentIndex], index);
+            this.count('swaps');
+            index = parentIndex;
+        }
+
+        this.place(item, index);
+    }
+
+    /**
+     * Move the entry at index down while its smallest child beats it
+     */
+    siftDown(index) {
+        const item = this.heap[index];
+
+        while (true) {
+            const firstChild = this.arity * index + 1;
+            if (firstChild >= this.heap.length) {
+                break;
+            }
+
+            const lastChild = Math.min(firstChild + this.arity, this.heap.length);
+            let smallest = firstChild;
+            for (let child = firstChild + 1; child < lastChild; child++) {
+                if (this.less(this.heap[child], this.heap[smallest])) {
+                    smallest = child;
+                }
+            }
+
+            if (!this.less(this.heap[smallest], item)) {
+                break;
+            }
+            this.place(this.heap[smallest], index);
+            this.count('swaps');
+            index = smallest;
+        }
+
+        this.place(item, index);
+    }
+
+    /**
+     * Put an entry at an index (sifting moves the hole, so one swap is one move)
+     */
+    place(item, index) {
+        this.heap[index] = item;
+        this.positions.set(item.node, index);
+    }
+
+    /**
+     * Get heap size
+     */
+    size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Clear heap
+     */
+    clear() {
+        this.heap = [];
+        this.positions.clear();
+    }
+
+    /**
+     * Entries in array order (index 0 is the minimum)
+     */
+    entries() {
+        return this.heap;
+    }
+
+    /**
+     * Array laid out as a d-ary tree
+     */
+    getShape() {
+        return {
+            type: 'heap',
+            arity: this.arity,
+            items: this.heap.map(item => this.describe(item))
+        };
+    }
+}
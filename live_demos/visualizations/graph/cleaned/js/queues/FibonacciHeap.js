@@ -0,0 +1,222 @@
+/**
+ * Fibonacci Heap
+ * A list of heap-ordered trees. insert and decreaseKey only add a root (decreaseKey
+ * cuts the node from its parent, and cascades up through parents that already lost
+ * a child); extractMin consolidates the roots so no two share a degree
+ */
+
+import { PriorityQueue } from './PriorityQueue.js';
+
+export class FibonacciHeap extends PriorityQueue {
+    /**
+     * @param {string} priority - Entry field ordered on
+     */
+    constructor(priority = 'distance') {
+        super(priority);
+        this.indexed = true;
+        this.roots = [];
+        this.min = null;
+        this.handles = new Map(); // Node → tree node { item, parent, children, marked }
+    }
+
+    /**
+     * Insert an entry for a node that is not queued yet
+     */
+    insert(item) {
+        if (this.handles.has(item.node)) {
+            throw new Error(`Node ${item.node} is already queued; lower it with decreaseKey()`);
+        }
+
+        this.count('insert');
+        const handle = { item, parent: null, children: [], marked: false };
+        this.handles.set(item.node, handle);
+        this.addRoot(handle);
+    }
+
+    /**
+     * Peek at minimum element without removing
+     */
+    peek() {
+        this.count('peek');
+        return this.min ? this.min.item : null;
+    }
+
+    /**
+     * Remove the minimum root, promote its children and consolidate
+     */
+    extractMin() {
+        if (!this.min) {
+            return null;
+        }
+
+        this.count('extractMin');
+        const min = this.min;
+        this.handles.delete(min.item.node);
+        this.roots.splice(this.roots.indexOf(min), 1);
+
+        min.children.forEach(child => {
+            child.parent = null;
+            child.marked = false;
+            this.roots.push(child);
+        });
+
+        this.consolidate();
+        return min.item;
+    }
+
+    /**
+     * Lower a node's entry; cut it from its parent if it now beats it
+     */
+    decreaseKey(node, changes) {
+        const handle = this.handles.get(node);
+        if (!handle) {
+            return false;
+        }
+
+        this.count('decreaseKey');
+        Object.assign(handle.item, changes);
+
+        const parent = handle.parent;
+        if (parent && this.less(handle.item, parent.item)) {
+            this.cut(handle);
+            this.cascadingCut(parent);
+        }
+        if (handle !== this.min && this.less(handle.item, this.min.item)) {
+            this.min = handle;
+        }
+        return true;
+    }
+
+    /**
+     * Add a tree to the root list, updating the minimum
+     */
+    addRoot(handle) {
+        this.roots.push(handle);
+        if (!this.min || this.less(handle.item, this.min.item)) {
+            this.min = handle;
+        }
+    }
+
+    /**
+     * Move a node from its parent to the root list
+     */
+    cut(handle) {
+        const siblings = handle.parent.children;
+        siblings.splice(siblings.indexOf(handle), 1);
+        handle.parent = null;
+        handle.marked = false;
+        this.roots.push(handle);
+        this.count('cuts');
+    }
+
+    /**
+     * A node that loses a second child is cut too, and so on up
+     */
+    cascadingCut(handle) {
+        const parent = handle.parent;
+        if (!parent) {
+            return;
+        }
+
+        if (!handle.marked) {
+            handle.marked = true;
+        } else {
+            this.cut(handle);
+            this.cascadingCut(parent);
+        }
+    }
+
+    /**
+     * Link roots of equal degree until all degrees differ, then find the minimum
+     */
+    consolidate() {
+        const byDegree = [];
+
+        this.roots.forEach(root => {
+            let tree = root;
+            let degree = tree.children.length;
+
+            while (byDegree[degree]) {
+                let other = byDegree[degree];
+                if (this.less(other.item, tree.item)) {
+                    [tree, other] = [other, tree];
+                }
+                other.parent = tree;
+                other.marked = false;
+                tree.children.push(other);
+                this.count('links');
+
+                byDegree[degree] = null;
+                degree++;
+            }
+            byDegree[degree] = tree;
+        });
+
+        this.roots = byDegree.filter(Boolean);
+        this.min = null;
+        this.roots.forEach(root => {
+            if (!this.min || this.less(root.item, this.min.item)) {
+                this.min = root;
+            }
+        });
+    }
+
+    /**
+     * Check whether the heap holds an entry for a node
+     */
+    contains(node) {
+        return this.handles.has(node);
+    }
+
+    /**
+     * Get heap size
+     */
+    size() {
+        return this.handles.size;
+    }
+
+    /**
+     * Clear heap
+     */
+    clear() {
+        this.roots = [];
+        this.min = null;
+        this.handles.clear();
+    }
+
+    /**
+     * Roots in order, the minimum first, each followed by its tree in preorder
+     */
+    entries() {
+        const items = [];
+        const visit = handle => {
+            items.push(handle.item);
+            handle.children.forEach(visit);
+        };
+        this.orderedRoots().forEach(visit);
+        return items;
+    }
+
+    /**
+     * Root list with the minimum moved to the front
+     */
+    orderedRoots() {
+        return this.min ? [this.min, ...this.roots.filter(root => root !== this.min)] : [];
+    }
+
+    /**
+     * The root list as trees; marked nodes have lost a child since they were linked
+     */
+    getShape() {
+        const describeTree = handle => ({
+            ...this.describe(handle.item),
+            marked: handle.marked,
+            children: handle.children.map(describeTree)
+        });
+
+        return {
+            type: 'forest',
+            roots: this.orderedRoots().map(describeTree)
+        };
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Pairing Heap
+ * One heap-ordered tree of any shape. insert and decreaseKey just link a tree under
+ * the root (one comparison); extractMin pays for it by pairing up the root's
+ * children left to right and folding the pairs back right to left
+ */
+
+import { PriorityQueue } from './PriorityQueue.js';
+
+export class PairingHeap extends PriorityQueue {
+    /**
+     * @param {string} priority - Entry field ordered on
+     */
+    constructor(priority = 'distance') {
+        super(priority);
+        this.indexed = true;
+        this.root = null;
+        this.handles = new Map(); // Node → tree node { item, child, sibling, prev }
+    }
+
+    /**
+     * Insert an entry for a node that is not queued yet
+     */
+    insert(item) {
+        if (this.handles.has(item.node)) {
+            throw new Error(`Node ${item.node} is already queued; lower it with decreaseKey()`);
+        }
+
+        this.count('insert');
+        const handle = { item, child: null, sibling: null, prev: null };
+        this.handles.set(item.node, handle);
+        this.root = this.link(this.root, handle);
+    }
+
+    /**
+     * Peek at minimum element without removing
+     */
+    peek() {
+        this.count('peek');
+        return this.root ? this.root.item : null;
+    }
+
+    /**
+     * Remove the root and merge its children in two passes
+     */
+    extractMin() {
+        if (!this.root) {
+            return null;
+        }
+
+        this.count('extractMin');
+        const min = this.root.item;
+        this.handles.delete(min.node);
+
+        const children = [];
+        for (let child = this.root.child; child; ) {
+            const next = child.sibling;
+            child.prev = null;
+            child.sibling = null;
+            children.push(child);
+            child = next;
+        }
+
+        const pairs = [];
+        for (let i = 0; i < children.length; i += 2) {
+            pairs.push(i + 1 < children.length ? this.link(children[i], children[i + 1]) : children[i]);
+        }
+
+        let root = null;
+        for (let i = pairs.length - 1; i >= 0; i--) {
+            root = this.link(pairs[i], root);
+        }
+        this.root = root;
+
+        return min;
+    }
+
+    /**
+     * Lower a node's entry, cut its subtree loose and link it back under the root
+     */
+    decreaseKey(node, changes) {
+        const handle = this.handles.get(node);
+        if (!handle) {
+            return false;
+        }
+
+        this.count('decreaseKey');
+        Object.assign(handle.item, changes);
+
+        if (handle !== this.root) {
+            if (handle.prev.child === handle) {
+                handle.prev.child = handle.sibling;
+            } else {
+                handle.prev.sibling = handle.sibling;
+            }
+            if (handle.sibling) {
+                handle.sibling.prev = handle.prev;
+            }
+            handle.prev = null;
+            handle.sibling = null;
+            this.count('cuts');
+
+            this.root = this.link(this.root, handle);
+        }
+        return true;
+    }
+
+    /**
+     * Make the larger of two trees the first child of the smaller
+     */
+    link(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+
+        if (this.less(b.item, a.item)) {
+            [a, b] = [b, a];
+        }
+
+        b.prev = a;
+        b.sibling = a.child;
+        if (a.child) {
+            a.child.prev = b;
+        }
+        a.child = b;
+        this.count('links');
+        return a;
+    }
+
+    /**
+     * Check whether the heap holds an entry for a node
+     */
+    contains(node) {
+        return this.handles.has(node);
+    }
+
+    /**
+     * Get heap size
+     */
+    size() {
+        return this.handles.size;
+    }
+
+    /**
+     * Clear heap
+     */
+    clear() {
+        this.root = null;
+        this.handles.clear();
+    }
+
+    /**
+     * Entries in preorder from the root
+     */
+    entries() {
+        const items = [];
+        const visit = handle => {
+            for (let tree = handle; tree; tree = tree.sibling) {
+                items.push(tree.item);
+                visit(tree.child);
+            }
+        };
+        visit(this.root);
+        return items;
+    }
+
+    /**
+     * The tree, children listed newest first
+     */
+    getShape() {
+        const describeTree = handle => {
+            const children = [];
+            for (let child = handle.child; child; child = child.sibling) {
+                children.push(describeTree(child));
+            }
+            return { ...this.describe(handle.item), marked: false, children };
+        };
+
+        return {
+            type: 'forest',
+            roots: this.root ? [describeTree(this.root)] : []
+        };
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Base class for priority queues
+ * Entries are objects with a node and a numeric priority field (distance, key, ...).
+ * Every queue counts its comparisons and operations so runs can be compared, and
+ * describes its shape for the data panel
+ */
+
+export class PriorityQueue {
+    /**
+     * @param {string} priority - Entry field ordered on
+     */
+    constructor(priority = 'distance') {
+        this.priority = priority;
+        this.indexed = false; // Indexed queues hold one entry per node and lower it with decreaseKey
+        this.resetStats();
+    }
+
+    /**
+     * Zero the counters
+     * Subclasses add their own counters (moves, links, cuts, scans) on first use
+     */
+    resetStats() {
+        this.stats = {
+            comparisons: 0,
+            insert: 0,
+            extractMin: 0,
+            decreaseKey: 0,
+            peek: 0
+        };
+    }
+
+    /**
+     * Add to a counter
+     */
+    count(counter, amount = 1) {
+        this.stats[counter] = (this.stats[counter] || 0) + amount;
+    }
+
+    /**
+     * Counted comparison: whether a comes before b
+     */
+    less(a, b) {
+        this.stats.comparisons++;
+        return a[this.priority] < b[this.priority];
+    }
+
+    /**
+     * Copy of the counters
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Insert an entry
+     */
+    insert(item) {
+        throw new Error(`${this.constructor.name}: insert() must be implemented`);
+    }
+
+    /**
+     * Entry with the smallest priority, or null when empty
+     */
+    peek() {
+        throw new Error(`${this.constructor.name}: peek() must be implemented`);
+    }
+
+    /**
+     * Remove and return the entry with the smallest priority, or null when empty
+     */
+    extractMin() {
+        throw new Error(`${this.constructor.name}: extractMin() must be implemented`);
+    }
+
+    /**
+     * Lower the priority of a node's entry in place
+     * @param {number} node - Node of the entry
+     * @param {Object} changes - Fields to overwrite, e.g. { key: 3 }; the priority may only go down
+     * @returns {boolean} Whether the node had an entry
+     */
+    decreaseKey(node, changes) {
+        throw new Error(`${this.constructor.name}: decreaseKey() must be implemented`);
+    }
+
+    /**
+     * Check whether the queue holds an entry for a node
+     */
+    contains(node) {
+        return this.entries().some(item => item.node === node);
+    }
+
+    /**
+     * Number of entries
+     */
+    size() {
+        throw new Error(`${this.constructor.name}: size() must be implemented`);
+    }
+
+    /**
+     * Check if the queue is empty
+     */
+    isEmpty() {
+        return this.size() === 0;
+    }
+
+    /**
+     * Every entry, the minimum first (the rest in the structure's own order)
+     */
+    entries() {
+        throw new Error(`${this.constructor.name}: entries() must be implemented`);
+    }
+
+    /**
+     * Structure for drawing: { type: 'heap', arity, items },
+     * { type: 'forest', roots: [{ node, priority, marked, children }] }
+     * or { type: 'buckets', cursor, buckets: [{ key, nodes }] }
+     */
+    getShape() {
+        throw new Error(`${this.constructor.name}: getShape() must be implemented`);
+    }
+
+    /**
+     * Short entry for shapes
+     */
+    describe(item) {
+        return { node: item.node, priority: item[this.priority] };
+    }
+}
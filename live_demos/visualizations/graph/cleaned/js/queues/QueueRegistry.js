@@ -0,0 +1,34 @@
+/**
+ * Priority queue registry
+ * Builds a fresh queue of any PRIORITY_QUEUES type for one run
+ */
+
+import { PRIORITY_QUEUES, D_ARY_HEAP_ARITY } from '../core/Constants.js';
+import { MinHeap } from '../core/MinHeap.js';
+import { DaryHeap } from './DaryHeap.js';
+import { PairingHeap } from './PairingHeap.js';
+import { FibonacciHeap } from './FibonacciHeap.js';
+import { BucketQueue } from './BucketQueue.js';
+
+const QUEUE_FACTORIES = {
+    [PRIORITY_QUEUES.BINARY]: priority => new MinHeap((a, b) => a[priority] - b[priority], priority),
+    [PRIORITY_QUEUES.BINARY_DECREASE_KEY]: priority => new DaryHeap(priority, 2),
+    [PRIORITY_QUEUES.D_ARY]: priority => new DaryHeap(priority, D_ARY_HEAP_ARITY),
+    [PRIORITY_QUEUES.PAIRING]: priority => new PairingHeap(priority),
+    [PRIORITY_QUEUES.FIBONACCI]: priority => new FibonacciHeap(priority),
+    [PRIORITY_QUEUES.BUCKET]: priority => new BucketQueue(priority)
+};
+
+/**
+ * Create an empty priority queue
+ * @param {string} type - PRIORITY_QUEUES value
+ * @param {string} priority - Entry field ordered on ('distance' for Dijkstra, 'key' for Prim)
+ * @returns {PriorityQueue}
+ */
+export function createPriorityQueue(type = PRIORITY_QUEUES.BINARY, priority = 'distance') {
+    const factory = QUEUE_FACTORIES[type];
+    if (!factory) {
+        throw new Error(`Unknown priority queue: ${type}`);
+    }
+    return factory(priority);
+}
@@ -0,0 +1,63 @@
+/**
+ * Quiz Questions
+ * Builders for the questions algorithms ask in quiz mode (see Algorithm.getQuizQuestion).
+ * A question is { prompt, choices: [{ value, label }], answer, accepted, explanation }:
+ * answer is what the next step really does, accepted every choice counted as correct
+ * (e.g. nodes tied with it), and explanation is shown after a wrong answer
+ */
+
+/**
+ * Which node is settled next, among the candidates the algorithm could pick
+ * Returns null when there is nothing to choose (fewer than two candidates)
+ * @param {string} prompt - Question text
+ * @param {number} node - Node the next step settles
+ * @param {Array<number>} candidates - Nodes that could be settled
+ * @param {Function} priority - node => value the queue orders by; ties with node are accepted
+ * @param {string} explanation - Shown after a wrong answer (the next step's message)
+ */
+export function createNodeQuestion(prompt, node, candidates, priority, explanation) {
+    const nodes = [...new Set([...candidates, node])].sort((a, b) => a - b);
+    if (nodes.length < 2) {
+        return null;
+    }
+
+    return {
+        prompt,
+        choices: nodes.map(value => ({ value, label: `${value}` })),
+        answer: node,
+        accepted: nodes.filter(value => priority(value) === priority(node)),
+        explanation
+    };
+}
+
+/**
+ * Yes/no question about what the next step does
+ */
+export function createYesNoQuestion(prompt, answer, explanation) {
+    return createChoiceQuestion(prompt, [{ value: true, label: 'Yes' }, { value: false, label: 'No' }], answer, explanation);
+}
+
+/**
+ * Question with fixed choices
+ * @param {Array<{value: *, label: string}>} choices
+ */
+export function createChoiceQuestion(prompt, choices, answer, explanation) {
+    return {
+        prompt,
+        choices,
+        answer,
+        accepted: [answer],
+        explanation
+    };
+}
+
+/**
+ * Nodes with a finite tentative value that are not settled yet
+ * @param {Array<number>} values - Distances or keys
+ * @param {Array<boolean>} settled - Visited or in-tree flags
+ */
+export function findOpenNodes(values, settled) {
+    return values
+        .map((value, node) => (value !== Infinity && !settled[node] ? node : null))
+        .filter(node => node !== null);
+}
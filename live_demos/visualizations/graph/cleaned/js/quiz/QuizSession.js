@@ -0,0 +1,75 @@
+/**
+ * Quiz Session
+ * Questions for one run of an algorithm: the question at step i asks what step i + 1
+ * will do, and is checked against that step. Each question is answered once, so
+ * stepping back and forward again does not change the score
+ */
+
+export class QuizSession {
+    /**
+     * @param {Algorithm} algorithm - Algorithm that produced the steps (asks the questions)
+     * @param {Array<Object>} steps - Every step of the run
+     */
+    constructor(algorithm, steps) {
+        this.algorithm = algorithm;
+        this.steps = steps;
+        this.questions = new Map(); // Step index → question or null
+        this.results = new Map();   // Step index → result of the answer given there
+        this.lastResult = null;
+    }
+
+    /**
+     * Question about the step after this one, or null
+     */
+    getQuestion(index) {
+        if (!this.questions.has(index)) {
+            const question = index + 1 < this.steps.length
+                ? this.algorithm.getQuizQuestion(this.steps[index], this.steps[index + 1])
+                : null;
+            this.questions.set(index, question);
+        }
+        return this.questions.get(index);
+    }
+
+    /**
+     * Question at this step that still needs an answer, or null
+     */
+    getPendingQuestion(index) {
+        return this.results.has(index) ? null : this.getQuestion(index);
+    }
+
+    /**
+     * Check an answer against the next step
+     * @returns {{correct: boolean, value: *, answer: *, answerLabel: string, explanation: string}}
+     * @throws {Error} When there is no open question at this step
+     */
+    answer(index, value) {
+        const question = this.getPendingQuestion(index);
+        if (!question) {
+            throw new Error(`No open question at step ${index + 1}`);
+        }
+
+        const result = {
+            correct: question.accepted.includes(value),
+            value,
+            answer: question.answer,
+            answerLabel: question.choices.find(choice => choice.value === question.answer).label,
+            explanation: question.explanation
+        };
+        this.results.set(index, result);
+        this.lastResult = result;
+        return result;
+    }
+
+    /**
+     * Correct and given answers, and how many questions the whole run asks
+     */
+    getScore() {
+        const results = [...this.results.values()];
+        return {
+            correct: results.filter(result => result.correct).length,
+            answered: results.length,
+            total: this.steps.filter((step, index) => this.getQuestion(index) !== null).length
+        };
+    }
+}
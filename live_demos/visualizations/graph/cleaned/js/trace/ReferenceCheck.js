@@ -0,0 +1,272 @@
+/**
+ * Reference Results
+ * Small, independent implementations (plain Bellman-Ford, Floyd triple loop,
+ * Kruskal with union-find) that the final step of a trace is checked against.
+ * They share no code with the step-by-step algorithms on purpose
+ */
+
+import { ALGORITHMS } from '../core/Constants.js';
+
+const EPSILON = 1e-9;
+
+// Algorithms whose final step carries single-source distances
+const SINGLE_SOURCE = [ALGORITHMS.DIJKSTRA, ALGORITHMS.BELLMAN_FORD, ALGORITHMS.SPFA];
+const POINT_TO_POINT = [ALGORITHMS.A_STAR, ALGORITHMS.BIDIRECTIONAL_DIJKSTRA];
+const ALL_PAIRS = [ALGORITHMS.FLOYD_WARSHALL, ALGORITHMS.JOHNSON];
+const MST = [ALGORITHMS.PRIM, ALGORITHMS.PRIM_UNOPTIMIZED, ALGORITHMS.PRIM_EAGER, ALGORITHMS.KRUSKAL];
+// These assume non-negative weights and are not checked otherwise
+const NON_NEGATIVE_ONLY = [ALGORITHMS.DIJKSTRA, ...POINT_TO_POINT];
+
+export class ReferenceCheck {
+    /**
+     * Whether there is a reference for an algorithm
+     */
+    static supports(algorithmKey) {
+        return [...SINGLE_SOURCE, ...POINT_TO_POINT, ...ALL_PAIRS, ...MST, ALGORITHMS.BFS].includes(algorithmKey);
+    }
+
+    /**
+     * Check the steps of a finished run
+     * @param {Graph} graph - The graph the steps were produced from
+     * @param {string} algorithmKey - An ALGORITHMS value
+     * @param {Array<Object>} steps - Every step of the run
+     * @param {Object} options - The options the run was given ({ startNode, goalNode })
+     * @returns {{skipped: string|null, errors: Array<string>}} skipped says why nothing was compared
+     */
+    static check(graph, algorithmKey, steps, options = {}) {
+        if (!this.supports(algorithmKey)) {
+            return { skipped: 'no reference implementation', errors: [] };
+        }
+        if (NON_NEGATIVE_ONLY.includes(algorithmKey) && graph.edges.some(edge => edge.weight < 0)) {
+            return { skipped: 'negative weights', errors: [] };
+        }
+        if (algorithmKey === ALGORITHMS.A_STAR && (options.heuristicWeight ?? 1) > 1) {
+            return { skipped: 'weighted heuristic, paths need not be shortest', errors: [] };
+        }
+        if (MST.includes(algorithmKey) && graph.directed) {
+            return { skipped: 'spanning trees need an undirected graph', errors: [] };
+        }
+
+        const last = steps[steps.length - 1];
+        if (!last) {
+            return { skipped: null, errors: ['no steps'] };
+        }
+
+        const startNode = options.startNode ?? 0;
+
+        if (SINGLE_SOURCE.includes(algorithmKey)) {
+            return { skipped: null, errors: this.checkSingleSource(graph, startNode, last) };
+        }
+        if (POINT_TO_POINT.includes(algorithmKey)) {
+            return { skipped: null, errors: this.checkPointToPoint(graph, startNode, options.goalNode, last) };
+        }
+        if (ALL_PAIRS.includes(algorithmKey)) {
+            return { skipped: null, errors: this.checkAllPairs(graph, last) };
+        }
+        if (algorithmKey === ALGORITHMS.BFS) {
+            return { skipped: null, errors: this.compareDistances('hop distance', this.hopDistances(graph, startNode), last.distances) };
+        }
+        return { skipped: null, errors: this.checkSpanningTree(graph, algorithmKey, startNode, last) };
+    }
+
+    /**
+     * Distances from the start, or the negative cycle the run must end on
+     */
+    static checkSingleSource(graph, startNode, last) {
+        const reference = this.shortestDistances(graph, startNode);
+
+        if (reference.negativeCycle) {
+            return last.type === 'negative_cycle'
+                ? []
+                : [`a negative cycle is reachable from ${startNode} but the run ended with a "${last.type}" step`];
+        }
+        if (last.type === 'negative_cycle') {
+            return [`the run reported a negative cycle but none is reachable from ${startNode}`];
+        }
+        return this.compareDistances('distance', reference.distances, last.distances);
+    }
+
+    /**
+     * Length of the reported start-goal path
+     */
+    static checkPointToPoint(graph, startNode, goalNode, last) {
+        const goal = goalNode ?? graph.nodes.length - 1;
+        const expected = this.shortestDistances(graph, startNode).distances[goal];
+        const actual = last.pathDistance ?? Infinity;
+        return this.sameNumber(expected, actual)
+            ? []
+            : [`path ${startNode} → ${goal}: expected length ${expected}, got ${actual}`];
+    }
+
+    /**
+     * Every entry of the distance matrix, or the negative cycle the run must end on
+     */
+    static checkAllPairs(graph, last) {
+        const reference = this.allPairsDistances(graph);
+
+        if (reference.negativeCycle) {
+            return last.type === 'negative_cycle' || (last.dist || []).some((row, i) => row[i] < 0)
+                ? []
+                : ['the graph has a negative cycle but the run did not report it'];
+        }
+        if (!last.dist) {
+            return [`the run ended with a "${last.type}" step and no distance matrix`];
+        }
+
+        const errors = [];
+        reference.dist.forEach((row, i) => {
+            errors.push(...this.compareDistances(`distance from ${i}`, row, last.dist[i]));
+        });
+        return errors;
+    }
+
+    /**
+     * Total weight of the spanning tree (Prim: of the start node's component)
+     */
+    static checkSpanningTree(graph, algorithmKey, startNode, last) {
+        const isPrim = algorithmKey !== ALGORITHMS.KRUSKAL;
+        const expected = this.spanningForestWeight(graph, isPrim ? startNode : null);
+        const edges = last.mstEdges || [];
+        const errors = [];
+
+        if (!this.sameNumber(expected.weight, last.totalWeight)) {
+            errors.push(`spanning tree weight: expected ${expected.weight}, got ${last.totalWeight}`);
+        }
+        if (edges.length !== expected.edgeCount) {
+            errors.push(`spanning tree edges: expected ${expected.edgeCount}, got ${edges.length}`);
+        }
+
+        const summed = edges.reduce((sum, edge) => sum + edge.weight, 0);
+        if (!this.sameNumber(summed, last.totalWeight)) {
+            errors.push(`reported total ${last.totalWeight} is not the sum of the reported edges (${summed})`);
+        }
+        return errors;
+    }
+
+    /**
+     * Edges as arcs; an undirected edge can be used both ways
+     */
+    static arcs(graph) {
+        return graph.directed
+            ? graph.edges
+            : graph.edges.flatMap(edge => [edge, { from: edge.to, to: edge.from, weight: edge.weight }]);
+    }
+
+    /**
+     * Plain Bellman-Ford: V - 1 rounds over every arc, then one more to find a cycle
+     * @returns {{distances: Array<number>, negativeCycle: boolean}}
+     */
+    static shortestDistances(graph, startNode) {
+        const arcs = this.arcs(graph);
+        const distances = Array(graph.nodes.length).fill(Infinity);
+        distances[startNode] = 0;
+
+        for (let round = 1; round < graph.nodes.length; round++) {
+            for (const { from, to, weight } of arcs) {
+                if (distances[from] + weight < distances[to]) {
+                    distances[to] = distances[from] + weight;
+                }
+            }
+        }
+
+        const negativeCycle = arcs.some(({ from, to, weight }) => distances[from] + weight < distances[to] - EPSILON);
+        return { distances, negativeCycle };
+    }
+
+    /**
+     * Floyd triple loop
+     * @returns {{dist: Array<Array<number>>, negativeCycle: boolean}}
+     */
+    static allPairsDistances(graph) {
+        const n = graph.nodes.length;
+        const dist = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 0 : Infinity)));
+
+        for (const { from, to, weight } of this.arcs(graph)) {
+            dist[from][to] = Math.min(dist[from][to], weight);
+        }
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (dist[i][k] + dist[k][j] < dist[i][j]) {
+                        dist[i][j] = dist[i][k] + dist[k][j];
+                    }
+                }
+            }
+        }
+
+        return { dist, negativeCycle: dist.some((row, i) => row[i] < 0) };
+    }
+
+    /**
+     * Unweighted BFS distances (edge direction respected for directed graphs)
+     */
+    static hopDistances(graph, startNode) {
+        const arcs = this.arcs(graph);
+        const distances = Array(graph.nodes.length).fill(Infinity);
+        distances[startNode] = 0;
+
+        const queue = [startNode];
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            for (const { from, to } of arcs) {
+                if (from === node && distances[to] === Infinity) {
+                    distances[to] = distances[node] + 1;
+                    queue.push(to);
+                }
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Kruskal with union-find
+     * @param {number|null} startNode - Only count the tree of this node's component
+     * @returns {{weight: number, edgeCount: number}}
+     */
+    static spanningForestWeight(graph, startNode = null) {
+        const parent = graph.nodes.map((_, i) => i);
+        const find = node => (parent[node] === node ? node : (parent[node] = find(parent[node])));
+
+        const chosen = [];
+        for (const edge of [...graph.edges].sort((a, b) => a.weight - b.weight)) {
+            const rootFrom = find(edge.from);
+            const rootTo = find(edge.to);
+            if (rootFrom !== rootTo) {
+                parent[rootFrom] = rootTo;
+                chosen.push(edge);
+            }
+        }
+
+        const counted = startNode === null ? chosen : chosen.filter(edge => find(edge.from) === find(startNode));
+        return {
+            weight: counted.reduce((sum, edge) => sum + edge.weight, 0),
+            edgeCount: counted.length
+        };
+    }
+
+    /**
+     * Node-by-node distance comparison
+     */
+    static compareDistances(label, expected, actual) {
+        if (!Array.isArray(actual) || actual.length !== expected.length) {
+            return [`${label}: expected ${expected.length} values, got ${Array.isArray(actual) ? actual.length : 'none'}`];
+        }
+
+        return expected
+            .map((value, node) => (this.sameNumber(value, actual[node]) ? null : `${label} to ${node}: expected ${value}, got ${actual[node]}`))
+            .filter(error => error !== null);
+    }
+
+    /**
+     * Equal up to rounding; Infinity only equals Infinity
+     */
+    static sameNumber(a, b) {
+        if (typeof a !== 'number' || typeof b !== 'number') {
+            return false;
+        }
+        if (!isFinite(a) || !isFinite(b)) {
+            return a === b;
+        }
+        return Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a));
+    }
+}
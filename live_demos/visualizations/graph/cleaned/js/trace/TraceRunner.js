@@ -0,0 +1,121 @@
+/**
+ * Headless Step Traces
+ * Runs a registered algorithm outside the browser and turns its step stream into
+ * JSON Lines (one step per line) that can be stored and compared later.
+ * Timestamps count steps (0, 1, 2, ...) so the same run always gives the same trace
+ */
+
+import { Algorithm } from '../algorithms/Algorithm.js';
+import { createAlgorithms } from '../algorithms/AlgorithmRegistry.js';
+import { Graph } from '../core/Graph.js';
+
+// JSON has no Infinity or NaN; they are written as these strings
+const NON_FINITE = ['Infinity', '-Infinity', 'NaN'];
+
+export class TraceRunner {
+    /**
+     * Run an algorithm to completion
+     * @param {Object} graphData - { nodes, edges, directed } (e.g. from GraphIO.parse)
+     * @param {string} algorithmKey - An ALGORITHMS value
+     * @param {Object} options - Passed to execute() ({ startNode, goalNode, heuristic, ... })
+     * @returns {Array<Object>} Every step, with counted timestamps
+     * @throws {Error} For an unknown algorithm or one that rejects the graph
+     */
+    static run(graphData, algorithmKey, options = {}) {
+        const algorithms = createAlgorithms();
+        const algorithm = algorithms[algorithmKey];
+        if (!algorithm) {
+            throw new Error(`Unknown algorithm "${algorithmKey}" (known: ${Object.keys(algorithms).join(', ')})`);
+        }
+
+        const graph = graphData instanceof Graph ? graphData : Graph.fromData(graphData);
+        let tick = 0;
+        Algorithm.setClock(() => tick++);
+        try {
+            return [...algorithm.execute(graph, options)];
+        } finally {
+            Algorithm.setClock(null);
+        }
+    }
+
+    /**
+     * One JSON object per line, step index first
+     */
+    static toJSONL(steps) {
+        return steps
+            .map((step, index) => JSON.stringify({ index, ...step }, (key, value) =>
+                (typeof value === 'number' && !isFinite(value) ? String(value) : value)))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Read a trace written by toJSONL()
+     * @throws {Error} With the line number of the first line that is not JSON
+     */
+    static parseJSONL(text) {
+        return text.split('\n')
+            .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+            .filter(({ line }) => line !== '')
+            .map(({ line, number }) => {
+                try {
+                    return JSON.parse(line, (key, value) => (NON_FINITE.includes(value) ? Number(value) : value));
+                } catch (error) {
+                    throw new Error(`line ${number}: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * First difference between two traces; steps are compared as they read back from
+     * JSON, so undefined fields and object identity do not count
+     * @returns {{index: number, path: string, expected: *, actual: *}|null} null when equal
+     */
+    static compare(expected, actual) {
+        const normalize = steps => this.parseJSONL(this.toJSONL(steps));
+        const a = normalize(expected);
+        const b = normalize(actual);
+
+        for (let index = 0; index < Math.min(a.length, b.length); index++) {
+            const difference = this.findDifference(a[index], b[index], '');
+            if (difference) {
+                return { index, ...difference };
+            }
+        }
+
+        if (a.length !== b.length) {
+            return { index: Math.min(a.length, b.length), path: '(step count)', expected: a.length, actual: b.length };
+        }
+        return null;
+    }
+
+    /**
+     * Depth-first search for the first differing value
+     * @returns {{path: string, expected: *, actual: *}|null}
+     */
+    static findDifference(expected, actual, path) {
+        if (Object.is(expected, actual)) {
+            return null;
+        }
+
+        const bothObjects = expected !== null && actual !== null &&
+            typeof expected === 'object' && typeof actual === 'object' &&
+            Array.isArray(expected) === Array.isArray(actual);
+        if (!bothObjects) {
+            return { path: path || '(step)', expected, actual };
+        }
+
+        if (Array.isArray(expected) && expected.length !== actual.length) {
+            return { path: `${path}.length`, expected: expected.length, actual: actual.length };
+        }
+
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const key of keys) {
+            const childPath = Array.isArray(expected) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            const difference = this.findDifference(expected[key], actual[key], childPath);
+            if (difference) {
+                return difference;
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * Comparison View - Show a ComparisonBench
+ * One pane per run (its own GraphVisualizer on the same graph), stepped together
+ * with one set of controls. Each pane header shows the run's counters so far and
+ * its step; once a run is done, the nodes it disagrees on are ringed. Below the
+ * panes: the summary table, the disagreements and the summary export
+ */
+
+import { GraphVisualizer } from '../GraphVisualizer.js';
+import { GraphIO } from '../io/GraphIO.js';
+import { BENCH_COUNTERS } from '../compare/ComparisonBench.js';
+
+const PLAY_DELAY = 500; // ms between lockstep steps while playing
+
+export class ComparisonView {
+    /**
+     * @param {string} containerId - Element the bench renders into (hidden while closed)
+     * @param {Object} callbacks - { onClose() } after the bench is closed
+     */
+    constructor(containerId, callbacks = {}) {
+        this.container = document.getElementById(containerId);
+        this.onClose = callbacks.onClose || (() => {});
+        this.bench = null;
+        this.panes = [];
+        this.playTimer = null;
+    }
+
+    /**
+     * Show a bench from its first step
+     * @param {ComparisonBench} bench
+     */
+    open(bench) {
+        this.close(false);
+        this.bench = bench;
+
+        this.container.innerHTML = '';
+        this.container.style.display = '';
+        this.container.appendChild(this.createToolbar());
+
+        const grid = document.createElement('div');
+        grid.className = 'bench-panes';
+        this.container.appendChild(grid);
+        this.panes = bench.runs.map((run, index) => this.createPane(run, index, grid));
+
+        this.details = document.createElement('div');
+        this.details.className = 'bench-details';
+        this.container.appendChild(this.details);
+        this.renderDetails();
+
+        this.update();
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Tear the panes down and hide the bench
+     * @param {boolean} notify - Whether to call onClose
+     */
+    close(notify = true) {
+        this.pause();
+        this.panes.forEach(pane => pane.visualizer?.dispose());
+        this.panes = [];
+        this.bench = null;
+
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+        if (notify) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Buttons for the whole bench and the position readout
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'bench-toolbar';
+
+        const title = document.createElement('h3');
+        title.textContent = `⚖️ ${this.bench.runs.map(run => run.name).join(' vs ')}`;
+        toolbar.appendChild(title);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group bench-buttons';
+        this.addButton(buttons, '⏮ Reset', () => { this.pause(); this.bench.goTo(0); this.update(); });
+        this.addButton(buttons, '◀ Back', () => { this.pause(); this.bench.stepBackward(); this.update(); });
+        this.playButton = this.addButton(buttons, '▶ Play', () => this.togglePlay());
+        this.addButton(buttons, 'Step ▶', () => { this.pause(); this.bench.stepForward(); this.update(); });
+        this.addButton(buttons, '⏭ End', () => { this.pause(); this.bench.goTo(this.bench.getLength() - 1); this.update(); });
+        this.addButton(buttons, '💾 CSV', () => this.download('csv'));
+        this.addButton(buttons, '💾 Markdown', () => this.download('markdown'));
+        this.addButton(buttons, '✖ Close', () => this.close());
+        toolbar.appendChild(buttons);
+
+        this.positionLabel = document.createElement('p');
+        this.positionLabel.className = 'bench-position';
+        toolbar.appendChild(this.positionLabel);
+
+        return toolbar;
+    }
+
+    /**
+     * Add a button to a group
+     */
+    addButton(group, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        group.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Pane for one run: header, then a canvas of its own (or the error that stopped it)
+     */
+    createPane(run, index, grid) {
+        const element = document.createElement('div');
+        element.className = 'bench-pane';
+
+        const header = document.createElement('div');
+        header.className = 'bench-pane-header';
+        element.appendChild(header);
+
+        const message = document.createElement('p');
+        message.className = 'bench-pane-message';
+        grid.appendChild(element);
+
+        const pane = { run, header, message, visualizer: null };
+        if (run.error) {
+            message.textContent = `❌ ${run.error}`;
+            element.appendChild(message);
+            return pane;
+        }
+
+        const canvasBox = document.createElement('div');
+        canvasBox.className = 'bench-canvas';
+        const canvas = document.createElement('canvas');
+        canvas.id = `benchCanvas${index}`;
+        canvasBox.appendChild(canvas);
+        element.appendChild(canvasBox);
+        element.appendChild(message);
+
+        pane.visualizer = new GraphVisualizer(canvas.id);
+        pane.visualizer.loadGraph(this.getPaneGraph(canvas.width, canvas.height));
+        pane.visualizer.loadSteps(run.key, run.steps);
+        return pane;
+    }
+
+    /**
+     * The bench graph, scaled into a pane
+     */
+    getPaneGraph(width, height) {
+        const graph = this.bench.graph;
+        const nodes = graph.nodes.map(({ x, y, label }) => ({ x, y, label }));
+        GraphIO.fitToCanvas(nodes, width, height);
+        return {
+            directed: graph.directed,
+            nodes,
+            edges: graph.edges.map(({ from, to, weight }) => ({ from, to, weight }))
+        };
+    }
+
+    /**
+     * Move every pane to the bench position and refresh the readouts
+     */
+    update() {
+        if (!this.bench) return;
+
+        const bench = this.bench;
+        this.positionLabel.textContent = `Step ${bench.position + 1} of ${bench.getLength()}` +
+            (bench.isFinished() ? ' · all runs finished' : '');
+
+        this.panes.forEach(pane => {
+            const { run } = pane;
+            const finished = !run.error && bench.isRunFinished(run);
+            const counts = bench.getCounts(run);
+
+            pane.header.innerHTML = '';
+            const name = document.createElement('strong');
+            name.textContent = run.name;
+            pane.header.appendChild(name);
+            if (!run.error) {
+                const stats = document.createElement('span');
+                stats.className = 'bench-counters';
+                stats.textContent = [
+                    `step ${bench.getStepIndex(run) + 1}/${run.steps.length}${finished ? ' ✓' : ''}`,
+                    ...Object.entries(BENCH_COUNTERS).map(([counter, title]) => `${title.toLowerCase()} ${counts[counter] ?? 0}`)
+                ].join(' · ');
+                pane.header.appendChild(stats);
+            }
+
+            if (pane.visualizer) {
+                pane.visualizer.goToStep(bench.getStepIndex(run));
+                pane.visualizer.setFlaggedNodes(finished ? bench.getFlaggedNodes(run) : []);
+                pane.message.textContent = bench.getStep(run)?.message || '';
+            }
+        });
+    }
+
+    /**
+     * Summary table and the list of disagreements
+     */
+    renderDetails() {
+        const bench = this.bench;
+        this.details.innerHTML = '';
+
+        const table = document.createElement('table');
+        table.className = 'bench-summary';
+        const header = table.createTHead().insertRow();
+        ['Algorithm', 'Steps', ...Object.values(BENCH_COUNTERS), 'Result', 'Disagrees on'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        bench.getSummary().forEach(row => {
+            const tableRow = body.insertRow();
+            if (row.disagreesOn.length > 0) {
+                tableRow.className = 'disputed';
+            }
+            [row.name, row.steps, ...Object.keys(BENCH_COUNTERS).map(counter => row[counter] ?? '—'), row.result, row.disagreesOn.join(', ') || '—']
+                .forEach(value => { tableRow.insertCell().textContent = value; });
+        });
+        this.details.appendChild(table);
+
+        const verdict = document.createElement('p');
+        const kind = bench.getVerdict();
+        verdict.className = `bench-verdict ${kind === 'agree' ? 'agree' : 'disagree'}`;
+        const failed = bench.getFailedRuns();
+        const inapplicable = bench.getInapplicableRuns();
+        const disagreement = `The runs disagree in ${bench.disagreements.length} place${bench.disagreements.length === 1 ? '' : 's'} (ringed in red once a run finishes)`;
+        verdict.textContent = {
+            failed: `❌ Failed: ${failed.map(run => `${run.name} (${run.error})`).join(', ')}.${bench.disagreements.length > 0 ? ` ${disagreement}:` : ''}`,
+            disagree: `❌ ${disagreement}:`,
+            'not-compared': inapplicable.length > 0
+                ? `➖ Not compared: ${inapplicable.map(run => `${run.name} (${run.outcome.reason})`).join(', ')}.`
+                : '➖ Fewer than two runs have a result to compare.',
+            agree: '✅ All runs agree on the result.'
+        }[kind];
+        this.details.appendChild(verdict);
+
+        if (bench.disagreements.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'bench-disagreements';
+            bench.disagreements.forEach(row => {
+                const item = document.createElement('li');
+                const values = bench.runs
+                    .filter(run => run.key in row.values)
+                    .map(run => `${run.name}${row.flagged.includes(run.key) ? ' ✗' : ''} ${bench.formatValue(row.values[run.key])}`)
+                    .join(' · ');
+                const reference = row.reference === null ? '' : ` (reference: ${bench.formatValue(row.reference)})`;
+                item.textContent = `${row.subject}: ${values}${reference}`;
+                list.appendChild(item);
+            });
+            this.details.appendChild(list);
+        }
+    }
+
+    /**
+     * Play or pause the lockstep runs
+     */
+    togglePlay() {
+        if (this.playTimer) {
+            this.pause();
+            return;
+        }
+        if (this.bench.isFinished()) {
+            this.bench.goTo(0);
+        }
+
+        this.playButton.textContent = '⏸ Pause';
+        this.playTimer = setInterval(() => {
+            if (!this.bench || !this.bench.stepForward()) {
+                this.pause();
+                return;
+            }
+            this.update();
+        }, PLAY_DELAY);
+    }
+
+    /**
+     * Stop playing
+     */
+    pause() {
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        if (this.playButton) {
+            this.playButton.textContent = '▶ Play';
+        }
+    }
+
+    /**
+     * Save the summary table
+     * @param {string} format - 'csv' or 'markdown'
+     */
+    download(format) {
+        const { text, extension, mime } = this.bench.exportSummary(format);
+        const url = URL.createObjectURL(new Blob([text], { type: mime }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `comparison.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -26,14 +26,30 @@ export class DataPanel {
         // Render based on algorithm type
         if (algorithm === 'floyd') {
             this.renderFloydWarshallData(step);
+        } else if (algorithm === 'johnson') {
+            this.renderJohnsonData(step);
         } else if (algorithm === 'dijkstra' || algorithm === 'spfa') {
             this.renderSingleSourceData(step);
+        } else if (algorithm === 'astar' || algorithm === 'bidirectional') {
+            this.renderPointToPointData(step);
+        } else if (algorithm === 'edmonds-karp' || algorithm === 'dinic' || algorithm === 'push-relabel') {
+            this.renderFlowData(step);
         } else if (algorithm === 'bellman') {
             this.renderBellmanFordData(step);
-        } else if (algorithm === 'prim' || algorithm === 'prim-unoptimized') {
+        } else if (algorithm === 'prim' || algorithm === 'prim-unoptimized' || algorithm === 'prim-eager') {
             this.renderPrimData(step);
         } else if (algorithm === 'kruskal') {
             this.renderKruskalData(step);
+        } else if (algorithm === 'dfs' || algorithm === 'bfs' || algorithm === 'topo-kahn' || algorithm === 'topo-dfs') {
+            this.renderTraversalData(step);
+        } else if (algorithm === 'tarjan' || algorithm === 'kosaraju') {
+            this.renderComponentData(step);
+        } else if (algorithm === 'bipartite') {
+            this.renderBipartiteData(step);
+        } else if (algorithm === 'hopcroft-karp') {
+            this.renderMatchingData(step);
+        } else if (algorithm === 'hungarian') {
+            this.renderAssignmentData(step);
         }
     }
 
@@ -74,6 +90,69 @@ export class DataPanel {
         this.container.appendChild(section);
     }
 
+    /**
+     * Render Johnson data (phase, potentials, current Dijkstra run, finished rows)
+     */
+    renderJohnsonData(step) {
+        const titles = {
+            potentials: 'Johnson · 1. Potentials (Bellman-Ford)',
+            reweight: 'Johnson · 2. Reweighting',
+            dijkstra: 'Johnson · 3. Dijkstra From Each Node'
+        };
+        const section = this.createSection(titles[step.phase] || 'Johnson');
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'data-highlight';
+        if (step.phase === 'potentials') {
+            infoDiv.innerHTML = `<strong>Virtual node q:</strong> ${step.virtualNode}` +
+                (step.iteration !== undefined ? `<br><strong>Iteration:</strong> ${step.iteration} / ${step.totalIterations || step.iteration}` : '');
+        } else if (step.phase === 'reweight' && step.edge) {
+            infoDiv.innerHTML = `<strong>Edge:</strong> ${step.edge.from} → ${step.edge.to}<br>` +
+                `<strong>w':</strong> ${formatDistance(step.originalWeight)} → ${formatDistance(step.reweightedWeight)}`;
+        } else if (step.startNode !== undefined) {
+            infoDiv.innerHTML = `<strong>Source:</strong> node ${step.startNode}`;
+        }
+        if (infoDiv.innerHTML) {
+            section.appendChild(infoDiv);
+        }
+
+        // Potentials h(v)
+        if (step.potentials) {
+            const potentialsTitle = document.createElement('h4');
+            potentialsTitle.textContent = 'Potentials h(v):';
+            section.appendChild(potentialsTitle);
+            section.appendChild(this.createArray(step.potentials));
+        }
+
+        // Distances of the running sub-algorithm (Dijkstra's shown un-reweighted)
+        if (step.distances && step.phase !== 'reweight') {
+            const distTitle = document.createElement('h4');
+            distTitle.textContent = step.phase === 'potentials' ? 'Distances from q:' : 'Distances (true weights):';
+            distTitle.style.marginTop = '15px';
+            section.appendChild(distTitle);
+            section.appendChild(this.createArray(step.distances, step.current));
+        }
+
+        if (step.priorityQueue && step.priorityQueue.length > 0) {
+            const pqTitle = document.createElement('h4');
+            pqTitle.textContent = 'Priority Queue (reweighted):';
+            pqTitle.style.marginTop = '15px';
+            section.appendChild(pqTitle);
+            section.appendChild(this.createPriorityQueue(step.priorityQueue));
+        }
+
+        // Rows finished so far
+        if (step.dist) {
+            const distTitle = document.createElement('h4');
+            distTitle.textContent = 'Distance Matrix:';
+            distTitle.style.marginTop = '15px';
+            section.appendChild(distTitle);
+            section.appendChild(this.createMatrix(step.dist, step.startNode));
+        }
+
+        this.container.appendChild(section);
+    }
+
     /**
      * Render single-source algorithm data (Dijkstra, SPFA)
      */
@@ -103,9 +182,11 @@ export class DataPanel {
             pqTitle.textContent = 'Priority Queue:';
             pqTitle.style.marginTop = '15px';
             section.appendChild(pqTitle);
-            section.appendChild(this.createPriorityQueue(step.priorityQueue));
+            section.appendChild(this.createPriorityQueue(step.priorityQueue, step.queueShape));
         }
 
+        this.appendQueueStats(section, step);
+
         // Queue (for SPFA)
         if (step.queue) {
             const queueTitle = document.createElement('h4');
@@ -118,6 +199,132 @@ export class DataPanel {
         this.container.appendChild(section);
     }
 
+    /**
+     * Render A* / bidirectional Dijkstra data (open/closed sets, meeting point)
+     */
+    renderPointToPointData(step) {
+        const section = this.createSection(step.backwardDistances ? 'Bidirectional Search' : 'A* Search');
+
+        // Goal, meeting point and path
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'data-highlight';
+        infoDiv.innerHTML = `<strong>Goal:</strong> ${step.goalNode}`;
+        if (step.direction) {
+            infoDiv.innerHTML += ` | <strong>Expanding:</strong> ${step.direction}`;
+        }
+        if (step.meetingNode !== undefined && step.meetingNode !== null) {
+            infoDiv.innerHTML += `<br><strong>Meeting point:</strong> node ${step.meetingNode} (best: ${formatDistance(step.bestDistance)})`;
+        }
+        if (step.path) {
+            infoDiv.innerHTML += `<br><strong>Path:</strong> ${step.path.length > 0 ? step.path.join(' → ') : 'none'}`;
+        }
+        section.appendChild(infoDiv);
+
+        const addArray = (title, element) => {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            heading.style.marginTop = '15px';
+            section.appendChild(heading);
+            section.appendChild(element);
+        };
+
+        if (step.distances) {
+            addArray(step.backwardDistances ? 'Distance from start:' : 'g (cost so far):', this.createArray(step.distances, step.current));
+        }
+        if (step.backwardDistances) {
+            addArray('Distance to goal:', this.createArray(step.backwardDistances, step.current));
+        }
+        if (step.heuristics) {
+            addArray('h (estimate to goal):', this.createArray(step.heuristics.map(h => Number(h.toFixed(1)))));
+        }
+        if (step.openSet) {
+            addArray(step.backwardOpenSet ? 'Open (forward):' : 'Open set:', this.createBooleanArray(step.openSet, step.current));
+        }
+        if (step.backwardOpenSet) {
+            addArray('Open (backward):', this.createBooleanArray(step.backwardOpenSet, step.current));
+        }
+        if (step.closedSet) {
+            addArray(step.backwardClosedSet ? 'Closed (forward):' : 'Closed set:', this.createBooleanArray(step.closedSet, step.current));
+        }
+        if (step.backwardClosedSet) {
+            addArray('Closed (backward):', this.createBooleanArray(step.backwardClosedSet, step.current));
+        }
+        if (step.priorityQueue && step.priorityQueue.length > 0) {
+            addArray('Priority Queue:', this.createPriorityQueue(step.priorityQueue, step.queueShape));
+        }
+        this.appendQueueStats(section, step);
+
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Render max-flow data (flow per edge, residual graph, augmenting path, cut)
+     */
+    renderFlowData(step) {
+        const section = this.createSection('Network Flow');
+        const amount = value => Number(value.toFixed(2));
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'data-highlight';
+        infoDiv.innerHTML = `<strong>Source:</strong> ${step.source} | <strong>Sink:</strong> ${step.sink}<br>
+            <strong>Flow:</strong> ${amount(step.totalFlow)}`;
+        if (step.augmentations) {
+            infoDiv.innerHTML += ` | <strong>Augmenting paths:</strong> ${step.augmentations}`;
+        }
+        if (step.phase !== undefined) {
+            infoDiv.innerHTML += ` | <strong>Phase:</strong> ${step.phase}`;
+        }
+        if (step.augmentingPath) {
+            infoDiv.innerHTML += `<br><strong>Path:</strong> ${step.augmentingPath.join(' → ')} (bottleneck ${amount(step.bottleneck)})`;
+        }
+        if (step.cut) {
+            const sourceSide = step.cut.sourceSide.map((inS, node) => (inS ? node : null)).filter(node => node !== null);
+            const sinkSide = step.cut.sourceSide.map((inS, node) => (inS ? null : node)).filter(node => node !== null);
+            infoDiv.innerHTML += `<br><strong>Cut:</strong> S = {${sourceSide.join(', ')}}, T = {${sinkSide.join(', ')}}, capacity ${amount(step.cut.capacity)}`;
+        }
+        section.appendChild(infoDiv);
+
+        const addBlock = (title, element) => {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            heading.style.marginTop = '15px';
+            section.appendChild(heading);
+            section.appendChild(element);
+        };
+
+        if (step.levels) {
+            addBlock('Levels (BFS distance in residual graph):', this.createArray(step.levels.map(level => (level === -1 ? Infinity : level)), step.current));
+        }
+        if (step.heights) {
+            addBlock('Heights:', this.createArray(step.heights, step.current));
+            addBlock('Excess:', this.createArray(step.excess, step.current));
+        }
+        if (step.activeNodes) {
+            addBlock('Active nodes (FIFO):', this.createQueue(step.activeNodes));
+        }
+        if (step.queue) {
+            addBlock('BFS Queue:', this.createQueue(step.queue));
+        }
+
+        // Residual arcs: forward spare capacity and back-edges that can cancel flow
+        const residualList = document.createElement('div');
+        residualList.style.fontFamily = 'monospace';
+        residualList.style.fontSize = '12px';
+        residualList.style.margin = '10px 0';
+        step.residualEdges.forEach(arc => {
+            const entry = document.createElement('div');
+            entry.textContent = `${arc.from} → ${arc.to}: ${amount(arc.residual)}${arc.isBackEdge ? ' (back-edge)' : ''}`;
+            entry.style.color = arc.isBackEdge ? COLORS.RESIDUAL_BACK : '#333';
+            residualList.appendChild(entry);
+        });
+        if (step.residualEdges.length === 0) {
+            residualList.textContent = 'No spare capacity';
+        }
+        addBlock('Residual Graph:', residualList);
+
+        this.container.appendChild(section);
+    }
+
     /**
      * Render Bellman-Ford data
      */
@@ -143,6 +350,90 @@ export class DataPanel {
         this.container.appendChild(section);
     }
 
+    /**
+     * Render bipartite check data (sides, queue, odd cycle)
+     */
+    renderBipartiteData(step) {
+        const section = this.createSection('Bipartite Check');
+
+        if (step.oddCycle) {
+            const cycleDiv = document.createElement('div');
+            cycleDiv.className = 'data-highlight';
+            cycleDiv.style.borderColor = COLORS.CYCLE;
+            cycleDiv.innerHTML = `<strong>Odd cycle:</strong> ${[...step.oddCycle, step.oddCycle[0]].join(' – ')} ` +
+                `(length ${step.oddCycle.length}) → not bipartite`;
+            section.appendChild(cycleDiv);
+        } else if (step.isBipartite) {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'data-highlight';
+            resultDiv.innerHTML = '<strong>Bipartite:</strong> every edge joins the two sides';
+            section.appendChild(resultDiv);
+        }
+
+        this.appendTitle(section, 'Sides:');
+        section.appendChild(this.createSideList(step.side));
+
+        this.appendTitle(section, 'BFS Queue:');
+        section.appendChild(this.createQueue(step.queue));
+
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Render Hopcroft-Karp data (phase, layers, matching, free vertices)
+     */
+    renderMatchingData(step) {
+        const section = this.createSection('Hopcroft-Karp');
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'data-highlight';
+        infoDiv.innerHTML = `<strong>Phase:</strong> ${step.phase} | <strong>Matching size:</strong> ${step.matchingSize}`;
+        if (step.freeDistance !== Infinity) {
+            infoDiv.innerHTML += ` | <strong>Shortest augmenting path:</strong> ${step.freeDistance} edge(s)`;
+        }
+        if (step.augmentingPath) {
+            infoDiv.innerHTML += `<br><strong style="color: ${COLORS.AUGMENTING_PATH};">Augmented:</strong> ${step.augmentingPath.join(' – ')}`;
+        } else if (step.alternatingPath.length > 0) {
+            infoDiv.innerHTML += `<br><strong style="color: ${COLORS.ALTERNATING_PATH};">Alternating path:</strong> ${step.alternatingPath.join(' – ')}`;
+        }
+        section.appendChild(infoDiv);
+
+        this.appendTitle(section, 'Layers (BFS along alternating paths):');
+        section.appendChild(this.createArray(step.layer, step.current));
+
+        this.appendTitle(section, `Matching (${step.matchingSize}):`);
+        section.appendChild(this.createMatchingList(step));
+
+        this.appendTitle(section, 'Free Vertices:');
+        section.appendChild(this.createSideList(step.side, step.mate));
+
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Render Hungarian algorithm data (cost matrix, reduced matrix, assignment)
+     */
+    renderAssignmentData(step) {
+        const section = this.createSection('Hungarian Algorithm');
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'data-highlight';
+        infoDiv.innerHTML = `<strong>Assigned:</strong> ${step.matchingSize} | ` +
+            `<strong>Cost so far:</strong> ${Number(step.totalCost.toFixed(2))}`;
+        section.appendChild(infoDiv);
+
+        this.appendTitle(section, 'Cost Matrix (rows = left, columns = right):');
+        section.appendChild(this.createCostMatrix(step.cost, step));
+
+        this.appendTitle(section, 'Reduced Matrix (★ starred, ′ primed, shaded = covered):');
+        section.appendChild(this.createCostMatrix(step.reduced, step, true));
+
+        this.appendTitle(section, `Assignment (${step.matchingSize}):`);
+        section.appendChild(this.createMatchingList(step));
+
+        this.container.appendChild(section);
+    }
+
     /**
      * Create section container
      */
@@ -241,6 +532,88 @@ export class DataPanel {
         return table;
     }
 
+    /**
+     * Create cost matrix display (rows = left vertices, columns = right vertices)
+     * Forbidden cells (no edge) show '—' and dummy rows/columns 'd'; the reduced view
+     * adds stars, primes, covered lines and the augmenting sequence
+     */
+    createCostMatrix(matrix, step, isReduced = false) {
+        const table = document.createElement('table');
+        table.className = 'data-matrix';
+        table.style.borderCollapse = 'collapse';
+        table.style.margin = '10px 0';
+
+        const n = matrix.length;
+        const label = node => (node === null ? 'd' : node);
+        const headerCell = (text, highlight, color) => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.style.padding = '5px 8px';
+            th.style.backgroundColor = highlight ? color : '#f0f0f0';
+            th.style.color = highlight ? 'white' : '';
+            th.style.border = '1px solid #ddd';
+            return th;
+        };
+
+        // Header row
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th')); // Corner cell
+        for (let j = 0; j < n; j++) {
+            headerRow.appendChild(headerCell(label(step.cols[j]), j === step.highlightCol, COLORS.FLOYD_J));
+        }
+        table.appendChild(headerRow);
+
+        // Data rows
+        for (let i = 0; i < n; i++) {
+            const row = document.createElement('tr');
+            row.appendChild(headerCell(label(step.rows[i]), i === step.highlightRow, COLORS.FLOYD_I));
+
+            for (let j = 0; j < n; j++) {
+                const td = document.createElement('td');
+                const isForbidden = step.cost[i][j] === null;
+                const isStarred = step.starInRow[i] === j;
+                const isPrimed = step.primeInRow[i] === j;
+
+                td.textContent = isForbidden ? '—' : Number(matrix[i][j].toFixed(2));
+                td.style.padding = '5px 8px';
+                td.style.border = '1px solid #ddd';
+                td.style.textAlign = 'center';
+                td.style.fontFamily = 'monospace';
+
+                if (isReduced) {
+                    if (isStarred) td.textContent += '★';
+                    if (isPrimed) td.textContent += '′';
+
+                    const covers = (step.coveredRows[i] ? 1 : 0) + (step.coveredCols[j] ? 1 : 0);
+                    if (covers > 0) {
+                        td.style.backgroundColor = covers === 2 ? '#bbdefb' : '#e3f2fd';
+                    }
+                    if (step.augmentingCells?.some(cell => cell.row === i && cell.col === j)) {
+                        td.style.backgroundColor = COLORS.AUGMENTING_PATH;
+                        td.style.fontWeight = 'bold';
+                    } else if (i === step.highlightRow && j === step.highlightCol) {
+                        td.style.backgroundColor = COLORS.CURRENT;
+                        td.style.fontWeight = 'bold';
+                    }
+                } else if (isStarred && !isForbidden && step.rows[i] !== null && step.cols[j] !== null) {
+                    // Current assignment in the original costs
+                    td.style.backgroundColor = COLORS.MATCHED_EDGE;
+                    td.style.fontWeight = 'bold';
+                }
+
+                if (isForbidden) {
+                    td.style.color = '#999';
+                }
+
+                row.appendChild(td);
+            }
+
+            table.appendChild(row);
+        }
+
+        return table;
+    }
+
     /**
      * Create array display
      */
@@ -323,8 +696,10 @@ export class DataPanel {
 
     /**
      * Create priority queue display
+     * @param {Array<Object>} pq - Entries, the minimum first
+     * @param {Object|null} shape - Structure from PriorityQueue.getShape(), drawn below the entries
      */
-    createPriorityQueue(pq) {
+    createPriorityQueue(pq, shape = null) {
         const container = document.createElement('div');
         container.className = 'priority-queue';
         container.style.margin = '10px 0';
@@ -345,10 +720,13 @@ export class DataPanel {
             entry.style.fontFamily = 'monospace';
             entry.style.fontSize = '13px';
             
-            const nodeText = `Node ${item.node}`;
-            const distText = item.distance !== undefined 
+            const nodeText = item.direction ? `Node ${item.node} [${item.direction}]` : `Node ${item.node}`;
+            let distText = item.distance !== undefined 
                 ? `dist: ${formatDistance(item.distance)}`
                 : `key: ${formatDistance(item.key)}`;
+            if (item.g !== undefined) {
+                distText = `f: ${Number(item.distance.toFixed(2))}, g: ${formatDistance(item.g)}`;
+            }
             
             entry.textContent = `${nodeText} (${distText})`;
             
@@ -359,9 +737,125 @@ export class DataPanel {
             container.appendChild(entry);
         });
 
+        if (shape) {
+            container.appendChild(this.createQueueShape(shape));
+        }
+
         return container;
     }
 
+    /**
+     * Draw a queue's structure: heap levels, a forest of trees or buckets
+     */
+    createQueueShape(shape) {
+        const container = document.createElement('div');
+        container.className = 'queue-shape';
+        container.style.margin = '10px 0';
+        container.style.fontFamily = 'monospace';
+        container.style.fontSize = '12px';
+
+        const caption = document.createElement('div');
+        caption.style.color = '#666';
+        caption.style.marginBottom = '4px';
+        container.appendChild(caption);
+
+        if (shape.type === 'heap') {
+            caption.textContent = `${shape.arity === 2 ? 'Binary' : `${shape.arity}-ary`} heap, level by level:`;
+            for (let start = 0, width = 1; start < shape.items.length; start += width, width *= shape.arity) {
+                const level = document.createElement('div');
+                level.style.display = 'flex';
+                level.style.flexWrap = 'wrap';
+                level.style.justifyContent = 'center';
+                level.style.gap = '4px';
+                level.style.margin = '3px 0';
+                shape.items.slice(start, start + width).forEach((item, offset) => {
+                    level.appendChild(this.createShapeCell(item, start + offset === 0));
+                });
+                container.appendChild(level);
+            }
+        } else if (shape.type === 'forest') {
+            caption.textContent = `${shape.roots.length} tree${shape.roots.length === 1 ? '' : 's'} (✱ marked: lost a child):`;
+            const appendTree = (tree, parentList, isMin) => {
+                const item = document.createElement('li');
+                item.appendChild(this.createShapeCell(tree, isMin));
+                if (tree.children.length > 0) {
+                    const children = document.createElement('ul');
+                    children.style.paddingLeft = '18px';
+                    tree.children.forEach(child => appendTree(child, children, false));
+                    item.appendChild(children);
+                }
+                parentList.appendChild(item);
+            };
+            const roots = document.createElement('ul');
+            roots.style.paddingLeft = '0';
+            roots.style.listStyle = 'none';
+            shape.roots.forEach((tree, index) => appendTree(tree, roots, index === 0));
+            container.appendChild(roots);
+        } else if (shape.type === 'buckets') {
+            caption.textContent = `Buckets by priority (cursor at ${shape.cursor}):`;
+            shape.buckets.forEach(({ key, nodes }) => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '4px';
+                row.style.margin = '3px 0';
+
+                const label = document.createElement('span');
+                label.textContent = `[${key}]`;
+                label.style.minWidth = '40px';
+                label.style.fontWeight = key === shape.cursor ? 'bold' : 'normal';
+                row.appendChild(label);
+
+                nodes.forEach((node, index) => {
+                    row.appendChild(this.createShapeCell({ node }, key === shape.cursor && index === 0));
+                });
+                container.appendChild(row);
+            });
+        }
+
+        return container;
+    }
+
+    /**
+     * One entry of a queue shape: node and priority, the minimum highlighted
+     */
+    createShapeCell(item, isMin) {
+        const cell = document.createElement('span');
+        cell.textContent = item.priority === undefined
+            ? `${item.node}`
+            : `${item.node}:${Number.isInteger(item.priority) || !isFinite(item.priority) ? formatDistance(item.priority) : Number(item.priority.toFixed(2))}`;
+        if (item.marked) {
+            cell.textContent += '✱';
+        }
+        cell.style.display = 'inline-block';
+        cell.style.padding = '2px 6px';
+        cell.style.borderRadius = '4px';
+        cell.style.backgroundColor = isMin ? COLORS.CURRENT : '#f0f0f0';
+        cell.style.color = isMin ? 'white' : '#333';
+        cell.style.fontStyle = item.marked ? 'italic' : 'normal';
+        return cell;
+    }
+
+    /**
+     * Add the queue's operation counts, when the run chose a queue
+     */
+    appendQueueStats(section, step) {
+        if (!step.queueStats) {
+            return;
+        }
+
+        this.appendTitle(section, 'Queue Cost:');
+
+        const table = document.createElement('table');
+        table.className = 'data-matrix';
+        Object.entries(step.queueStats).forEach(([operation, count]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = operation;
+            row.insertCell().textContent = count;
+        });
+        section.appendChild(table);
+    }
+
     /**
      * Create queue display (for SPFA)
      */
@@ -427,8 +921,13 @@ export class DataPanel {
             pqTitle.style.marginTop = '15px';
             section.appendChild(pqTitle);
             section.appendChild(this.createPrimPriorityQueue(step.priorityQueue, step.current, step.inMST));
+            if (step.queueShape) {
+                section.appendChild(this.createQueueShape(step.queueShape));
+            }
         }
 
+        this.appendQueueStats(section, step);
+
         // MST Edges
         if (step.mstEdges && step.mstEdges.length > 0) {
             const mstTitle = document.createElement('h4');
@@ -438,6 +937,15 @@ export class DataPanel {
             section.appendChild(this.createMSTEdgesList(step.mstEdges));
         }
 
+        // Edges the eager version turned away without touching the queue
+        if (step.rejectedEdges && step.rejectedEdges.length > 0) {
+            const rejectedTitle = document.createElement('h4');
+            rejectedTitle.textContent = 'Rejected Edges:';
+            rejectedTitle.style.marginTop = '15px';
+            section.appendChild(rejectedTitle);
+            section.appendChild(this.createRejectedEdgesList(step.rejectedEdges));
+        }
+
         // In MST array
         if (step.inMST) {
             const inMSTTitle = document.createElement('h4');
@@ -491,6 +999,286 @@ export class DataPanel {
         this.container.appendChild(section);
     }
 
+    /**
+     * Render DFS / BFS / topological sort data (times, stack, layers, order)
+     */
+    renderTraversalData(step) {
+        const section = this.createSection(step.algorithm || 'Traversal');
+
+        // Current edge and its class
+        if (step.edgeClass) {
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'data-highlight';
+            infoDiv.innerHTML = `<strong>Edge:</strong> ${step.current} → ${step.neighbor} ` +
+                `<strong style="color: ${this.getEdgeClassColor(step.edgeClass)};">${step.edgeClass}</strong>`;
+            section.appendChild(infoDiv);
+        }
+
+        // Cycle (no topological order)
+        if (step.cycle) {
+            const cycleDiv = document.createElement('div');
+            cycleDiv.className = 'data-highlight';
+            cycleDiv.style.borderColor = COLORS.CYCLE;
+            cycleDiv.innerHTML = `<strong>Cycle:</strong> ${[...step.cycle, step.cycle[0]].join(' → ')}`;
+            section.appendChild(cycleDiv);
+        }
+
+        if (step.discovery) {
+            this.appendTitle(section, 'Discovery / Finish Times:');
+            section.appendChild(this.createTimesTable(step));
+        }
+
+        if (step.stack) {
+            this.appendTitle(section, 'DFS Stack (bottom → top):');
+            section.appendChild(this.createQueue(step.stack));
+        }
+
+        // BFS layers
+        if (step.layers) {
+            this.appendTitle(section, 'Layers:');
+            section.appendChild(this.createLayerList(step.layers, step.current));
+        }
+
+        // BFS / Kahn queue
+        if (step.queue) {
+            this.appendTitle(section, 'Queue:');
+            section.appendChild(this.createQueue(step.queue));
+        }
+
+        if (step.inDegree) {
+            this.appendTitle(section, 'In-Degrees:');
+            section.appendChild(this.createArray(step.inDegree, step.neighbor ?? step.current));
+        }
+
+        if (step.order) {
+            this.appendTitle(section, 'Topological Order:');
+            section.appendChild(this.createQueue(step.order));
+        }
+
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Render Tarjan / Kosaraju data (times, low-links, SCC stack, components)
+     */
+    renderComponentData(step) {
+        const section = this.createSection(step.algorithm || 'Strongly Connected Components');
+
+        if (step.pass !== undefined) {
+            const passDiv = document.createElement('div');
+            passDiv.className = 'data-highlight';
+            passDiv.innerHTML = step.pass === 1
+                ? '<strong>Pass 1:</strong> DFS, recording finishing order'
+                : '<strong>Pass 2:</strong> DFS on reversed edges, latest finisher first';
+            section.appendChild(passDiv);
+        }
+
+        if (step.discovery) {
+            this.appendTitle(section, step.low ? 'Discovery / Finish / Low-Link:' : 'Discovery / Finish Times:');
+            section.appendChild(this.createTimesTable(step));
+        }
+
+        // Tarjan's low-link stack
+        if (step.sccStack) {
+            this.appendTitle(section, 'SCC Stack (bottom → top):');
+            section.appendChild(this.createQueue(step.sccStack));
+        }
+
+        // Kosaraju's finishing order
+        if (step.finishOrder) {
+            this.appendTitle(section, 'Finishing Order:');
+            section.appendChild(this.createQueue(step.finishOrder));
+        }
+
+        if (step.components && step.components.length > 0) {
+            this.appendTitle(section, `Components (${step.components.length}):`);
+            section.appendChild(this.createComponentList(step.components, step.component, step.setColors));
+        }
+
+        this.container.appendChild(section);
+    }
+
+    /**
+     * Add a sub-heading to a section
+     */
+    appendTitle(section, text) {
+        const title = document.createElement('h4');
+        title.textContent = text;
+        title.style.marginTop = '15px';
+        section.appendChild(title);
+    }
+
+    /**
+     * Create discovery/finish (and low-link) table, one row per node
+     */
+    createTimesTable(step) {
+        const table = document.createElement('table');
+        table.className = 'data-matrix';
+        table.style.borderCollapse = 'collapse';
+        table.style.margin = '10px 0';
+
+        const headers = ['node', 'd', 'f'];
+        if (step.low) headers.push('low');
+
+        const headerRow = document.createElement('tr');
+        for (const header of headers) {
+            const th = document.createElement('th');
+            th.textContent = header;
+            th.style.padding = '5px 8px';
+            th.style.backgroundColor = '#f0f0f0';
+            th.style.border = '1px solid #ddd';
+            headerRow.appendChild(th);
+        }
+        table.appendChild(headerRow);
+
+        step.discovery.forEach((discovery, node) => {
+            const row = document.createElement('tr');
+            const values = [node, discovery ?? '-', step.finish[node] ?? '-'];
+            if (step.low) values.push(step.low[node] ?? '-');
+
+            for (const value of values) {
+                const td = document.createElement('td');
+                td.textContent = value;
+                td.style.padding = '5px 8px';
+                td.style.border = '1px solid #ddd';
+                td.style.textAlign = 'center';
+                td.style.fontFamily = 'monospace';
+                row.appendChild(td);
+            }
+
+            if (node === step.current) {
+                row.style.backgroundColor = COLORS.CURRENT;
+            } else if (step.onStack?.[node]) {
+                row.style.backgroundColor = '#ede7f6';
+            }
+
+            table.appendChild(row);
+        });
+
+        return table;
+    }
+
+    /**
+     * Create BFS layer list
+     */
+    createLayerList(layers, current) {
+        const container = document.createElement('div');
+        container.style.margin = '10px 0';
+
+        layers.forEach((nodes, layer) => {
+            const entry = document.createElement('div');
+            entry.style.padding = '6px 10px';
+            entry.style.margin = '3px 0';
+            entry.style.backgroundColor = nodes.includes(current) ? COLORS.CURRENT : '#f0f0f0';
+            entry.style.borderRadius = '4px';
+            entry.style.fontFamily = 'monospace';
+            entry.style.fontSize = '13px';
+            entry.textContent = `Layer ${layer}: ${nodes.join(', ')}`;
+            container.appendChild(entry);
+        });
+
+        return container;
+    }
+
+    /**
+     * Create component list, each in its set color
+     */
+    createComponentList(components, component, setColors) {
+        const container = document.createElement('div');
+        container.style.margin = '10px 0';
+
+        components.forEach((members, index) => {
+            const color = setColors[component[members[0]]] || '#ccc';
+            const entry = document.createElement('div');
+            entry.style.padding = '6px 10px';
+            entry.style.margin = '3px 0';
+            entry.style.border = `2px solid ${color}`;
+            entry.style.borderLeft = `12px solid ${color}`;
+            entry.style.borderRadius = '4px';
+            entry.style.fontFamily = 'monospace';
+            entry.style.fontSize = '13px';
+            entry.textContent = `SCC #${index + 1}: {${members.join(', ')}}`;
+            container.appendChild(entry);
+        });
+
+        return container;
+    }
+
+    /**
+     * Create the left/right side lists; with mates, only the free vertices are listed
+     */
+    createSideList(side, mate = null) {
+        const container = document.createElement('div');
+        container.style.margin = '10px 0';
+
+        [[0, 'Left', COLORS.LEFT_SIDE], [1, 'Right', COLORS.RIGHT_SIDE]].forEach(([value, name, color]) => {
+            const members = side
+                .map((s, node) => (s === value && (!mate || mate[node] === null) ? node : null))
+                .filter(node => node !== null);
+            const entry = document.createElement('div');
+            entry.style.padding = '6px 10px';
+            entry.style.margin = '3px 0';
+            entry.style.borderLeft = `12px solid ${mate ? COLORS.FREE_VERTEX : color}`;
+            entry.style.borderRadius = '4px';
+            entry.style.fontFamily = 'monospace';
+            entry.style.fontSize = '13px';
+            entry.textContent = `${name}: {${members.join(', ')}}`;
+            container.appendChild(entry);
+        });
+
+        return container;
+    }
+
+    /**
+     * Create the matched pairs list (left – right)
+     */
+    createMatchingList(step) {
+        const container = document.createElement('div');
+        container.style.display = 'flex';
+        container.style.gap = '5px';
+        container.style.flexWrap = 'wrap';
+        container.style.margin = '10px 0';
+
+        const pairs = step.side
+            .map((s, node) => (s === 0 && step.mate[node] !== null ? [node, step.mate[node]] : null))
+            .filter(pair => pair !== null);
+
+        if (pairs.length === 0) {
+            container.textContent = 'Empty';
+            container.style.color = '#999';
+            return container;
+        }
+
+        pairs.forEach(([u, v]) => {
+            const cell = document.createElement('div');
+            cell.textContent = `${u} – ${v}`;
+            cell.style.padding = '6px 10px';
+            cell.style.backgroundColor = COLORS.MATCHED_EDGE;
+            cell.style.borderRadius = '4px';
+            cell.style.fontWeight = 'bold';
+            cell.style.fontFamily = 'monospace';
+            if (step.augmentingPath?.includes(u) && step.augmentingPath.includes(v)) {
+                cell.style.border = `2px solid ${COLORS.AUGMENTING_PATH}`;
+            }
+            container.appendChild(cell);
+        });
+
+        return container;
+    }
+
+    /**
+     * Color for a DFS/BFS edge class
+     */
+    getEdgeClassColor(edgeClass) {
+        const colors = {
+            tree: COLORS.TREE_EDGE,
+            back: COLORS.BACK_EDGE,
+            forward: COLORS.FORWARD_EDGE,
+            cross: COLORS.CROSS_EDGE
+        };
+        return colors[edgeClass] || COLORS.EDGE_DEFAULT;
+    }
+
     /**
      * Create color-coded parent array for Union-Find
      */
@@ -741,6 +1529,31 @@ export class DataPanel {
         return container;
     }
 
+    /**
+     * Create list of edges that did not beat the key of their endpoint
+     */
+    createRejectedEdgesList(rejectedEdges) {
+        const container = document.createElement('div');
+        container.style.margin = '10px 0';
+
+        rejectedEdges.forEach(edge => {
+            const entry = document.createElement('div');
+            entry.style.padding = '4px 10px';
+            entry.style.margin = '3px 0';
+            entry.style.backgroundColor = '#ffebee';
+            entry.style.borderLeft = '3px solid #e57373';
+            entry.style.borderRadius = '4px';
+            entry.style.fontFamily = 'monospace';
+            entry.style.fontSize = '12px';
+
+            entry.textContent = `✗ ${edge.from} → ${edge.to} (${edge.weight} ≥ ${formatDistance(edge.currentKey)})`;
+
+            container.appendChild(entry);
+        });
+
+        return container;
+    }
+
     /**
      * Clear panel
      */
@@ -0,0 +1,135 @@
+/**
+ * Pseudocode Panel - Show where the algorithm is
+ * Lists the algorithm's pseudocode, highlights the line of the current step,
+ * shows the values of its variables and lets line numbers toggle breakpoints
+ */
+
+const MAX_LIST_ITEMS = 8;
+
+export class PseudocodePanel {
+    /**
+     * @param {string} containerId - Element the panel renders into
+     * @param {Object} callbacks - { onToggleBreakpoint(line) } when a line number is clicked
+     */
+    constructor(containerId, callbacks = {}) {
+        this.container = document.getElementById(containerId);
+        this.onToggleBreakpoint = callbacks.onToggleBreakpoint || (() => {});
+        this.algorithmKey = null;
+        this.lineElements = [];
+        this.variablesElement = null;
+    }
+
+    /**
+     * Update panel with the current step
+     * Lines are only rebuilt when the algorithm changes, since this runs many times a second
+     * @param {string} algorithmKey - ALGORITHMS value shown
+     * @param {Algorithm} algorithm - Its instance (for pseudocode and step lines)
+     * @param {Object|null} step - Current step, or null before the algorithm runs
+     * @param {Set<number>} breakpoints - Lines with a breakpoint
+     */
+    update(algorithmKey, algorithm, step, breakpoints) {
+        if (!this.container) return;
+
+        if (!algorithm) {
+            this.clear();
+            return;
+        }
+
+        if (algorithmKey !== this.algorithmKey) {
+            this.render(algorithmKey, algorithm);
+        }
+
+        const currentLine = algorithm.getLineForStep(step);
+        this.lineElements.forEach((element, index) => {
+            const line = index + 1;
+            element.classList.toggle('current', line === currentLine);
+            element.classList.toggle('breakpoint', breakpoints.has(line));
+        });
+
+        this.renderVariables(step ? algorithm.getStepVariables(step) : {});
+    }
+
+    /**
+     * Build the title, code lines and variables table
+     */
+    render(algorithmKey, algorithm) {
+        this.algorithmKey = algorithmKey;
+        this.container.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.className = 'pseudocode-title';
+        title.textContent = `📜 ${algorithm.name}`;
+        this.container.appendChild(title);
+
+        const code = document.createElement('div');
+        code.className = 'pseudocode-lines';
+        this.lineElements = algorithm.getPseudocode().map((text, index) => {
+            const row = document.createElement('div');
+            row.className = 'pseudocode-line';
+
+            const number = document.createElement('span');
+            number.className = 'pseudocode-number';
+            number.textContent = index + 1;
+            number.title = 'Toggle breakpoint';
+            number.addEventListener('click', () => this.onToggleBreakpoint(index + 1));
+
+            const source = document.createElement('span');
+            source.className = 'pseudocode-text';
+            source.textContent = text;
+
+            row.appendChild(number);
+            row.appendChild(source);
+            code.appendChild(row);
+            return row;
+        });
+        this.container.appendChild(code);
+
+        this.variablesElement = document.createElement('table');
+        this.variablesElement.className = 'pseudocode-variables';
+        this.container.appendChild(this.variablesElement);
+    }
+
+    /**
+     * Show the variables that have a value at this step
+     */
+    renderVariables(variables) {
+        const rows = Object.entries(variables).filter(([, value]) => value !== undefined);
+
+        this.variablesElement.innerHTML = '';
+        rows.forEach(([name, value]) => {
+            const row = this.variablesElement.insertRow();
+            row.insertCell().textContent = name;
+            row.insertCell().textContent = this.formatValue(value);
+        });
+    }
+
+    /**
+     * Short text for a variable value
+     */
+    formatValue(value) {
+        if (value === null) return '—';
+        if (value === Infinity) return '∞';
+        if (value === -Infinity) return '-∞';
+        if (typeof value === 'number') return `${Number.isInteger(value) ? value : Number(value.toFixed(2))}`;
+        if (Array.isArray(value)) {
+            const items = value.slice(0, MAX_LIST_ITEMS).map(item => this.formatValue(item));
+            return `[${items.join(', ')}${value.length > MAX_LIST_ITEMS ? `, … (${value.length})` : ''}]`;
+        }
+        if (typeof value === 'object') {
+            return `(${Object.values(value).map(item => this.formatValue(item)).join(', ')})`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Clear panel
+     */
+    clear() {
+        if (!this.container) return;
+
+        this.algorithmKey = null;
+        this.lineElements = [];
+        this.variablesElement = null;
+        this.container.innerHTML = '<p class="pseudocode-empty">Choose an algorithm to see its pseudocode</p>';
+    }
+}
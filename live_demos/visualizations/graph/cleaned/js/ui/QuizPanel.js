@@ -0,0 +1,73 @@
+/**
+ * Quiz Panel - Ask the pending question
+ * Shows the question with one button per choice, the feedback on the last answer
+ * (with the step's explanation when it was wrong) and the score
+ */
+
+export class QuizPanel {
+    /**
+     * @param {string} containerId - Element the panel renders into
+     * @param {Object} callbacks - { onAnswer(value) } when a choice is clicked
+     */
+    constructor(containerId, callbacks = {}) {
+        this.container = document.getElementById(containerId);
+        this.onAnswer = callbacks.onAnswer || (() => {});
+        this.shown = null; // Session, question and result on screen, so polling does not rebuild the buttons
+    }
+
+    /**
+     * Update panel
+     * @param {QuizSession|null} quiz - Session of the run, or null before one starts
+     * @param {Object|null} question - Pending question, or null
+     */
+    update(quiz, question) {
+        if (!this.container) return;
+
+        const result = quiz ? quiz.lastResult : null;
+        if (this.shown && this.shown.quiz === quiz && this.shown.question === question && this.shown.result === result) {
+            return;
+        }
+        this.shown = { quiz, question, result };
+
+        this.container.innerHTML = '';
+
+        if (!quiz) {
+            this.appendText('quiz-hint', 'Start an algorithm: stepping stops before each decision so you can predict it.');
+            return;
+        }
+
+        if (result) {
+            this.appendText(
+                `quiz-feedback ${result.correct ? 'correct' : 'wrong'}`,
+                result.correct ? '✅ Correct!' : `❌ Not quite: the answer was ${result.answerLabel}. ${result.explanation}`
+            );
+        }
+
+        if (question) {
+            this.appendText('quiz-prompt', `❓ ${question.prompt}`);
+
+            const choices = document.createElement('div');
+            choices.className = 'button-group quiz-choices';
+            question.choices.forEach(({ value, label }) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', () => this.onAnswer(value));
+                choices.appendChild(button);
+            });
+            this.container.appendChild(choices);
+        }
+
+        const score = quiz.getScore();
+        this.appendText('quiz-score', `Score: ${score.correct} / ${score.answered} (${score.total} questions in this run)`);
+    }
+
+    /**
+     * Add a paragraph
+     */
+    appendText(className, text) {
+        const paragraph = document.createElement('p');
+        paragraph.className = className;
+        paragraph.textContent = text;
+        this.container.appendChild(paragraph);
+    }
+}
@@ -0,0 +1,16 @@
+// Minimal command line parsing shared by the tools: "--name value" flags,
+// switches listed in booleanFlags, and everything else positional
+
+export function parseArgs(argv, booleanFlags = []) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            flags[name] = booleanFlags.includes(name) ? true : argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, flags };
+}
@@ -0,0 +1,67 @@
+// Check the final results of the shortest-path and spanning-tree algorithms
+// against small independent implementations (plain Bellman-Ford, Floyd triple
+// loop, Kruskal with union-find). Only results are compared, not the steps.
+//
+// Run: node tools/check.mjs [graph files...] [--start 0] [--goal N]
+// Without graph files every graph in tools/references is checked.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { Graph } from '../js/core/Graph.js';
+import { ALGORITHMS } from '../js/core/Constants.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { ReferenceCheck } from '../js/trace/ReferenceCheck.js';
+import { parseArgs } from './args.mjs';
+
+const REFERENCE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'references');
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+const graphPaths = positional.length > 0
+    ? positional
+    : fs.readdirSync(REFERENCE_DIR).filter(file => !/\.(json|jsonl)$/.test(file)).sort().map(file => path.join(REFERENCE_DIR, file));
+const algorithms = Object.values(ALGORITHMS).filter(key => ReferenceCheck.supports(key));
+
+let failures = 0;
+let checked = 0;
+for (const graphPath of graphPaths) {
+    const name = path.basename(graphPath);
+    let graph;
+    try {
+        graph = Graph.fromData(GraphIO.parse(fs.readFileSync(graphPath, 'utf8'), { filename: graphPath }));
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+        continue;
+    }
+
+    const options = {
+        startNode: Number(flags.start ?? 0),
+        goalNode: Number(flags.goal ?? graph.nodes.length - 1)
+    };
+
+    for (const algorithm of algorithms) {
+        let result;
+        try {
+            result = ReferenceCheck.check(graph, algorithm, TraceRunner.run(graph, algorithm, options), options);
+        } catch (error) {
+            result = { skipped: null, errors: [`threw: ${error.message}`] };
+        }
+
+        if (result.skipped) {
+            console.log(`⏭️  ${name} ${algorithm}: skipped (${result.skipped})`);
+            continue;
+        }
+        checked++;
+        if (result.errors.length > 0) {
+            failures++;
+            console.log(`❌ ${name} ${algorithm}: ${result.errors.join('; ')}`);
+        } else {
+            console.log(`✅ ${name} ${algorithm}`);
+        }
+    }
+}
+
+console.log(failures === 0 ? `✅ ${checked} results match the references` : `❌ ${failures} of ${checked} results differ`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,65 @@
+// Run several algorithms on a graph file from the same start node and print the
+// comparison bench summary: steps, relaxations, queue operations, edges examined and node scans
+// per algorithm, their results and every place the results disagree (with the
+// reference value where there is one). Runs with no comparable result (a spanning tree
+// on a directed graph, or an algorithm such as BFS or A* whose distances are hop counts
+// or stop at the goal) are listed as not compared. Exits 1 when the runs disagree
+// or a run fails.
+//
+// Run: node tools/compare.mjs <graph file> <preset | algorithm,algorithm,...> [--start 0]
+//          [--format markdown|csv] [--output summary.md]
+// Presets: shortest-paths, all-pairs, mst, prim-variants. Without --output the
+// summary goes to stdout.
+
+import fs from 'fs';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { ComparisonBench } from '../js/compare/ComparisonBench.js';
+import { COMPARISON_PRESETS } from '../js/core/Constants.js';
+import { parseArgs } from './args.mjs';
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+if (positional.length !== 2) {
+    console.error('Usage: node tools/compare.mjs <graph file> <preset | algorithm,algorithm,...> [--start N] [--format markdown|csv] [--output file]');
+    console.error(`Presets: ${Object.keys(COMPARISON_PRESETS).join(', ')}`);
+    process.exit(2);
+}
+
+const [graphPath, selection] = positional;
+const algorithms = COMPARISON_PRESETS[selection] ?? selection.split(',');
+
+let bench, summary;
+try {
+    const graphData = GraphIO.parse(fs.readFileSync(graphPath, 'utf8'), { filename: graphPath });
+    bench = new ComparisonBench(graphData, algorithms, { startNode: Number(flags.start ?? 0) });
+    summary = bench.exportSummary(flags.format ?? 'markdown');
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+if (flags.output) {
+    fs.writeFileSync(flags.output, summary.text);
+    console.log(`💾 Summary of ${bench.runs.length} runs written to ${flags.output}`);
+} else {
+    process.stdout.write(summary.text);
+}
+
+const inapplicable = bench.getInapplicableRuns();
+if (inapplicable.length > 0) {
+    console.log(`➖ Not compared: ${inapplicable.map(run => `${run.name} (${run.outcome.reason})`).join(', ')}`);
+}
+
+const failed = bench.getFailedRuns();
+if (failed.length > 0) {
+    console.log(`❌ Failed: ${failed.map(run => `${run.name} (${run.error})`).join(', ')}`);
+}
+if (bench.disagreements.length > 0) {
+    console.log(`❌ The runs disagree in ${bench.disagreements.length} place${bench.disagreements.length === 1 ? '' : 's'}`);
+}
+if (failed.length > 0 || bench.disagreements.length > 0) {
+    process.exit(1);
+}
+const compared = bench.getComparedRuns().length;
+if (compared > 1) {
+    console.log(`✅ ${compared} runs agree`);
+}
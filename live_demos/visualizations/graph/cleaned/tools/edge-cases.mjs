@@ -0,0 +1,184 @@
+// Feed the importers and queues inputs that once broke them (declared sizes and weights
+// far past what the visualizer can show, fractional A* priorities) and check that each one
+// comes back as a result or a clear error, never an exception from deep inside or an
+// endless loop.
+// Also checks that directed-only generators refuse undirected requests, that DOT labels
+// with backslashes survive export and import, that Floyd-Warshall reports a negative
+// self-loop, that SPFA does not take parallel edges for a negative cycle, step fields the
+// legacy page reads that its old algorithms reported, that the Dijkstra quiz explains
+// edges into settled nodes, and that the comparison bench does not compare spanning trees
+// of a directed graph or BFS and A* distances, or call runs that failed agreeing.
+//
+// Run: node tools/edge-cases.mjs
+// Exits with status 1 when a case fails.
+
+import { GraphIO } from '../js/io/GraphIO.js';
+import { LegacyAlgorithms } from '../js/compat/LegacyAlgorithms.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { BucketQueue } from '../js/queues/BucketQueue.js';
+import { PRIORITY_QUEUES, COMPARISON_PRESETS, HEURISTICS, GENERATORS } from '../js/core/Constants.js';
+import { ComparisonBench } from '../js/compare/ComparisonBench.js';
+import { Dijkstra } from '../js/algorithms/Dijkstra.js';
+import { GraphGenerators } from '../js/generators/GraphGenerators.js';
+
+const cases = [];
+const check = (name, run) => cases.push({ name, run });
+
+// A DIMACS problem line past the node cap is refused on that line, before any node is created
+for (const count of [GraphIO.MAX_NODES + 1, 3000000, 1e9]) {
+    check(`DIMACS "p sp ${count} 1"`, () => {
+        try {
+            GraphIO.parse(`c too big\np sp ${count} 1\na 1 2 1\n`, { format: 'dimacs' });
+        } catch (error) {
+            const lines = (error.errors || []).map(e => e.line);
+            return lines.length === 1 && lines[0] === 2 ? null : `expected one error on line 2, got: ${error.message}`;
+        }
+        return 'accepted';
+    });
+}
+check(`DIMACS "p sp ${GraphIO.MAX_NODES} 0"`, () => {
+    const graph = GraphIO.parse(`p sp ${GraphIO.MAX_NODES} 0\n`, { format: 'dimacs' });
+    return graph.nodes.length === GraphIO.MAX_NODES ? null : `${graph.nodes.length} nodes`;
+});
+
+// The bucket queue refuses priorities past its cap at once instead of walking the cursor up to them
+const heavyGraph = weight => GraphIO.parse(`p sp 3 2\na 1 2 ${weight}\na 2 3 1\n`, { format: 'dimacs' });
+const lastDistances = (graph, algorithm, queue) =>
+    TraceRunner.run(graph, algorithm, { startNode: 0, priorityQueue: queue }).at(-1).distances;
+check('bucket queue with an arc weight of 2e9', () => {
+    for (const algorithm of ['dijkstra', 'prim']) {
+        try {
+            TraceRunner.run(heavyGraph(2e9), algorithm, { startNode: 0, priorityQueue: PRIORITY_QUEUES.BUCKET });
+            return `${algorithm} accepted it`;
+        } catch (error) {
+            if (!error.message.includes(String(BucketQueue.MAX_PRIORITY))) return `${algorithm}: ${error.message}`;
+        }
+    }
+    return null;
+});
+check('bucket queue at its priority cap', () => {
+    const graph = heavyGraph(BucketQueue.MAX_PRIORITY - 1);
+    const bucket = lastDistances(graph, 'dijkstra', PRIORITY_QUEUES.BUCKET);
+    const binary = lastDistances(graph, 'dijkstra', PRIORITY_QUEUES.BINARY);
+    return bucket.join() === binary.join() ? null : `distances ${bucket.join(', ')}, binary heap ${binary.join(', ')}`;
+});
+
+// DOT export escapes backslashes, so a label ending in one does not swallow its closing quote
+check('DOT round trip of labels with backslashes', () => {
+    const labels = ['x\\', 'C:\\temp\\', 'a\\"b', '\\\\'];
+    const graph = {
+        directed: false,
+        nodes: labels.map((label, index) => ({ x: index * 100, y: 0, label })),
+        edges: [{ from: 0, to: 1, weight: 1 }]
+    };
+    const { text } = GraphIO.serialize(graph, 'dot');
+    const read = GraphIO.parse(text, { format: 'dot' }).nodes.map(node => node.label);
+    return read.join('|') === labels.join('|') ? null : `labels came back as ${read.join(', ')}`;
+});
+
+// A* refuses the bucket queue up front when its heuristic is fractional, not partway through
+check('A* with the bucket queue', () => {
+    const graph = GraphIO.parse('0 1 4\n1 2 3\n0 2 9\n', { format: 'edgelist' });
+    try {
+        TraceRunner.run(graph, 'astar', { startNode: 0, goalNode: 2, priorityQueue: PRIORITY_QUEUES.BUCKET });
+        return 'accepted a Euclidean heuristic';
+    } catch (error) {
+        if (!error.message.includes('integer f-scores')) return error.message;
+    }
+    const last = TraceRunner.run(graph, 'astar', { startNode: 0, goalNode: 2, heuristic: HEURISTICS.ZERO, priorityQueue: PRIORITY_QUEUES.BUCKET }).at(-1);
+    return last.distances[2] === 7 ? null : `zero heuristic: dist[2] ${last.distances[2]}`;
+});
+
+// The quiz explains a skipped edge to a settled node by the node being settled, not by a
+// comparison that would have succeeded
+check('Dijkstra quiz on an edge into a settled node', () => {
+    const explore = { type: 'explore', current: 1, neighbor: 2, edge: { from: 1, to: 2, weight: -10 }, distances: [0, 5, 2] };
+    const { answer, explanation } = new Dijkstra().getQuizQuestion(explore, { ...explore, neighbor: 3 });
+    if (answer !== false) return 'expected the answer "No"';
+    return explanation.includes('already settled') ? null : `explained as "${explanation}"`;
+});
+
+// Directed-only generators refuse an undirected request by name instead of ignoring it
+check('directed-only generators with directed: false', () => {
+    for (const key of [GENERATORS.DIJKSTRA_TRAP, GENERATORS.NEGATIVE_CYCLE, GENERATORS.SPFA_WORST_CASE]) {
+        try {
+            GraphGenerators.generate(key, { directed: false, seed: 1 });
+            return `${key} accepted it`;
+        } catch (error) {
+            if (!error.message.includes('only makes directed graphs')) return `${key}: ${error.message}`;
+        }
+    }
+    return GraphGenerators.generate(GENERATORS.DIJKSTRA_TRAP, { seed: 1 }).graph.directed ? null : 'default is undirected';
+});
+
+// The legacy Kruskal reported the MST weight so far on each accepted edge
+check('legacy Kruskal running totalWeight', () => {
+    const graph = {
+        directed: false,
+        nodes: Array.from({ length: 6 }, (_, id) => ({ id })),
+        edges: [[0, 1, 1], [1, 2, 1], [2, 3, 2], [3, 4, 2], [4, 5, 2], [0, 5, 9]].map(([from, to, weight]) => ({ from, to, weight }))
+    };
+    const totals = [...LegacyAlgorithms.run('kruskal', graph)]
+        .filter(step => step.type === 'accept')
+        .map(step => step.totalWeight);
+    return totals.join(',') === '1,2,4,6,8' ? null : `accept steps report ${totals.join(', ')}`;
+});
+
+// Floyd-Warshall never updates the diagonal, so a negative self-loop is only seen there
+check('Floyd-Warshall with a negative self-loop', () => {
+    const graph = GraphIO.parse('p sp 3 3\na 1 2 4\na 2 2 -1\na 2 3 2\n', { format: 'dimacs' });
+    const last = TraceRunner.run(graph, 'floyd', {}).at(-1);
+    return last.type === 'negative_cycle' && last.i === 1 ? null : `ended with a "${last.type}" step`;
+});
+
+// Parallel edges each relax the far node once; that is no negative cycle
+check('SPFA with parallel undirected edges', () => {
+    const graph = GraphIO.parse('0 1 8\n0 1 6\n', { format: 'edgelist' });
+    const last = TraceRunner.run(graph, 'spfa', { startNode: 0 }).at(-1);
+    if (last.type !== 'complete') return `ended with a "${last.type}" step`;
+    return last.distances.join() === '0,6' ? null : `distances ${last.distances.join(', ')}`;
+});
+
+// Prim and Kruskal read a directed graph differently, and neither result is a spanning tree
+check('MST bench on a directed graph', () => {
+    const graph = GraphIO.parse('p sp 3 3\na 1 2 5\na 2 3 1\na 3 1 -9\n', { format: 'dimacs' });
+    const bench = new ComparisonBench(graph, COMPARISON_PRESETS.mst, { startNode: 0 });
+    if (bench.disagreements.length > 0) return `disagrees on ${bench.disagreements.map(row => row.subject).join(', ')}`;
+    return bench.getInapplicableRuns().length === bench.runs.length ? null : 'a run was compared';
+});
+
+// Runs that throw on an empty graph are reported as failed, never as agreeing
+check('bench on an empty graph', () => {
+    for (const preset of ['shortest-paths', 'all-pairs']) {
+        const bench = new ComparisonBench({ nodes: [], edges: [], directed: false }, COMPARISON_PRESETS[preset], { startNode: 0 });
+        if (bench.getVerdict() !== 'failed') return `${preset}: verdict "${bench.getVerdict()}"`;
+    }
+    return null;
+});
+
+// BFS hop counts and A*'s goal-directed distances are not scored against shortest paths
+check('bench of Dijkstra with BFS and A*', () => {
+    const graph = GraphIO.parse('0 1 4\n1 2 3\n0 2 9\n', { format: 'edgelist' });
+    const bench = new ComparisonBench(graph, ['dijkstra', 'bfs', 'astar'], { startNode: 0 });
+    if (bench.disagreements.length > 0) return `disagrees on ${bench.disagreements.map(row => row.subject).join(', ')}`;
+    return bench.getInapplicableRuns().length === 2 ? null : 'BFS or A* was compared';
+});
+
+let failures = 0;
+for (const { name, run } of cases) {
+    let problem;
+    try {
+        problem = run();
+    } catch (error) {
+        problem = `threw ${error.message}`;
+    }
+    if (problem) {
+        failures++;
+        console.log(`❌ ${name}: ${problem}`);
+    } else {
+        console.log(`✅ ${name}`);
+    }
+}
+
+console.log(failures === 0 ? `✅ ${cases.length} cases pass` : `❌ ${failures} of ${cases.length} cases fail`);
+process.exit(failures === 0 ? 0 : 1);
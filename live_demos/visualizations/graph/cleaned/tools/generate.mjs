@@ -0,0 +1,60 @@
+// Build a seeded random graph without the browser and write it as a graph file
+// the visualizer can open. The same generator, options and seed give the same file.
+//
+// Run: node tools/generate.mjs <generator> [--nodes N] [--seed S] [--directed]
+//          [--p 0.3] [--m 2] [--obstacles 0.2] [--cycle-length 3] [--dense]
+//          [--min-weight 1] [--max-weight 15] [--format dimacs] [--output graph.gr]
+// Without --output the graph goes to stdout; the seed and anything the generator
+// planted (e.g. the negative cycle) go to stderr.
+
+import fs from 'fs';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { GraphGenerators } from '../js/generators/GraphGenerators.js';
+import { parseArgs } from './args.mjs';
+
+const NUMERIC_FLAGS = {
+    nodes: 'nodes',
+    p: 'p',
+    m: 'm',
+    obstacles: 'obstacles',
+    'cycle-length': 'cycleLength',
+    'min-weight': 'minWeight',
+    'max-weight': 'maxWeight'
+};
+
+const { positional, flags } = parseArgs(process.argv.slice(2), ['directed', 'dense']);
+if (positional.length !== 1) {
+    console.error('Usage: node tools/generate.mjs <generator> [--nodes N] [--seed S] [--directed] [--dense] [--format name] [--output file]');
+    process.exit(2);
+}
+
+const [generatorKey] = positional;
+const options = {
+    ...(flags.seed !== undefined && { seed: flags.seed }),
+    ...(flags.directed && { directed: true }),
+    ...(flags.dense && { dense: true })
+};
+for (const [flag, option] of Object.entries(NUMERIC_FLAGS)) {
+    if (flags[flag] !== undefined) options[option] = Number(flags[flag]);
+}
+
+let result;
+let file;
+try {
+    result = GraphGenerators.generate(generatorKey, options);
+    const format = flags.format ?? (flags.output ? GraphIO.detectFormat(flags.output) : null) ?? 'dimacs';
+    file = GraphIO.serialize(result.graph, format);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const { graph, seed } = result;
+const planted = graph.planted ? ` planted ${JSON.stringify(graph.planted)}` : '';
+if (flags.output) {
+    fs.writeFileSync(flags.output, file.text);
+    console.log(`✅ ${generatorKey} with seed ${seed}: ${graph.nodes.length} nodes, ${graph.edges.length} edges written to ${flags.output}${planted}`);
+} else {
+    process.stdout.write(file.text);
+    console.error(`🎲 ${generatorKey} with seed ${seed}${planted}`);
+}
@@ -0,0 +1,65 @@
+// Run the algorithm/graph pairs listed in tools/references/goldens.json and
+// compare each full step trace with the stored golden trace next to it
+// (<graph>.<algorithm>.jsonl), so any change to steps or messages shows up.
+//
+// Run: node tools/golden.mjs [--update] [--only dijkstra]
+// --update rewrites the goldens from the current code; review the diff first.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { parseArgs } from './args.mjs';
+
+const REFERENCE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'references');
+
+const { flags } = parseArgs(process.argv.slice(2), ['update']);
+const cases = JSON.parse(fs.readFileSync(path.join(REFERENCE_DIR, 'goldens.json'), 'utf8'))
+    .filter(entry => !flags.only || entry.algorithm === flags.only);
+
+// JSON.stringify would print Infinity as null
+const formatValue = value => (typeof value === 'number' ? String(value) : JSON.stringify(value));
+
+let failures = 0;
+for (const { graph, algorithm, options } of cases) {
+    const name = `${path.basename(graph, path.extname(graph))}.${algorithm}`;
+    const goldenPath = path.join(REFERENCE_DIR, `${name}.jsonl`);
+
+    let steps;
+    try {
+        const graphPath = path.join(REFERENCE_DIR, graph);
+        const graphData = GraphIO.parse(fs.readFileSync(graphPath, 'utf8'), { filename: graphPath });
+        steps = TraceRunner.run(graphData, algorithm, options);
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failures++;
+        continue;
+    }
+
+    if (flags.update) {
+        fs.writeFileSync(goldenPath, TraceRunner.toJSONL(steps));
+        console.log(`💾 ${name}: golden updated (${steps.length} steps)`);
+        continue;
+    }
+
+    if (!fs.existsSync(goldenPath)) {
+        console.error(`❌ ${name}: no golden trace (run with --update to create it)`);
+        failures++;
+        continue;
+    }
+
+    const difference = TraceRunner.compare(TraceRunner.parseJSONL(fs.readFileSync(goldenPath, 'utf8')), steps);
+    if (difference) {
+        const { index, path: field, expected, actual } = difference;
+        console.log(`❌ ${name}: step ${index}, ${field}: expected ${formatValue(expected)}, got ${formatValue(actual)}`);
+        failures++;
+    } else {
+        console.log(`✅ ${name}: ${steps.length} steps match`);
+    }
+}
+
+if (!flags.update) {
+    console.log(failures === 0 ? `✅ ${cases.length} traces match` : `❌ ${failures} of ${cases.length} traces differ`);
+}
+process.exit(failures === 0 ? 0 : 1);
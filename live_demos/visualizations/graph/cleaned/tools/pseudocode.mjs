@@ -0,0 +1,77 @@
+// Run every algorithm on a set of seeded generated graphs and check that each step
+// maps to a line of the algorithm's pseudocode and that its variables can be read,
+// so the pseudocode panel never loses the highlighted line.
+//
+// Run: node tools/pseudocode.mjs [--only dijkstra] [--nodes 8] [--seeds 3]
+// Algorithms that reject a graph (e.g. a matching on a non-bipartite one) skip it.
+
+import { createAlgorithms } from '../js/algorithms/AlgorithmRegistry.js';
+import { GENERATORS } from '../js/core/Constants.js';
+import { GraphGenerators } from '../js/generators/GraphGenerators.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { parseArgs } from './args.mjs';
+
+const FAMILIES = [GENERATORS.ERDOS_RENYI, GENERATORS.GRID, GENERATORS.BIPARTITE, GENERATORS.NEGATIVE_CYCLE, GENERATORS.DIJKSTRA_TRAP];
+
+const { flags } = parseArgs(process.argv.slice(2));
+const nodes = Number(flags.nodes ?? 8);
+const seeds = Number(flags.seeds ?? 3);
+
+const graphs = [];
+for (const family of FAMILIES) {
+    for (const directed of GraphGenerators.isDirectedOnly(family) ? [true] : [false, true]) {
+        for (let seed = 1; seed <= seeds; seed++) {
+            graphs.push({ name: `${family}${directed ? ' (directed)' : ''} seed ${seed}`, ...GraphGenerators.generate(family, { nodes, directed, seed }) });
+        }
+    }
+}
+
+const algorithms = Object.entries(createAlgorithms()).filter(([key]) => !flags.only || key === flags.only);
+
+let failures = 0;
+for (const [key, algorithm] of algorithms) {
+    const lineCount = algorithm.getPseudocode().length;
+    const problems = new Map(); // Step type → first problem seen for it
+    let stepCount = 0;
+
+    for (const { name, graph } of graphs) {
+        let steps;
+        try {
+            steps = TraceRunner.run(graph, key, { startNode: 0, goalNode: graph.nodes.length - 1 });
+        } catch {
+            continue;
+        }
+
+        for (const step of steps) {
+            stepCount++;
+            let problem = null;
+            try {
+                const line = algorithm.getLineForStep(step);
+                algorithm.getStepVariables(step);
+                if (line === null) {
+                    problem = 'no line';
+                } else if (!Number.isInteger(line) || line < 1 || line > lineCount) {
+                    problem = `line ${line} outside 1..${lineCount}`;
+                }
+            } catch (error) {
+                problem = `threw: ${error.message}`;
+            }
+            if (problem && !problems.has(step.type)) {
+                problems.set(step.type, `${problem} (${name})`);
+            }
+        }
+    }
+
+    if (lineCount === 0) {
+        failures++;
+        console.log(`❌ ${key}: no pseudocode`);
+    } else if (problems.size > 0) {
+        failures++;
+        console.log(`❌ ${key}: ${[...problems].map(([type, problem]) => `${type}: ${problem}`).join('; ')}`);
+    } else {
+        console.log(`✅ ${key}: ${stepCount} steps on ${lineCount} lines`);
+    }
+}
+
+console.log(failures === 0 ? `✅ ${algorithms.length} algorithms map every step to a line` : `❌ ${failures} of ${algorithms.length} algorithms have unmapped steps`);
+process.exit(failures === 0 ? 0 : 1);
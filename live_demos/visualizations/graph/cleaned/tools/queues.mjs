@@ -0,0 +1,75 @@
+// Run Dijkstra, A* or Prim on a graph file once per priority queue and print what
+// each queue cost (comparisons, operations and its own counters: swaps, links,
+// cuts, bucket scans). Every queue must give the same answer; a queue that cannot
+// run on the graph (the bucket queue on fractional or huge weights) is listed as skipped.
+//
+// Run: node tools/queues.mjs <graph file> [algorithm] [--start 0] [--goal N]
+// The algorithm defaults to dijkstra; astar, prim and prim-eager also take a queue.
+
+import fs from 'fs';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { PRIORITY_QUEUES } from '../js/core/Constants.js';
+import { parseArgs } from './args.mjs';
+
+const QUEUE_ALGORITHMS = ['dijkstra', 'astar', 'prim', 'prim-eager'];
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+if (positional.length < 1 || positional.length > 2) {
+    console.error('Usage: node tools/queues.mjs <graph file> [algorithm] [--start N] [--goal N]');
+    process.exit(2);
+}
+
+const [graphPath, algorithm = 'dijkstra'] = positional;
+if (!QUEUE_ALGORITHMS.includes(algorithm)) {
+    console.error(`❌ ${algorithm} does not use a priority queue (choose one of: ${QUEUE_ALGORITHMS.join(', ')})`);
+    process.exit(2);
+}
+
+let graphData;
+try {
+    graphData = GraphIO.parse(fs.readFileSync(graphPath, 'utf8'), { filename: graphPath });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const options = {
+    startNode: Number(flags.start ?? 0),
+    ...(flags.goal !== undefined && { goalNode: Number(flags.goal) })
+};
+
+// What every queue must agree on: distances, the distance to the goal, or the tree weight
+function resultOf(last) {
+    if (last.totalWeight !== undefined) return last.totalWeight;
+    if (algorithm === 'astar') return last.distances[options.goalNode ?? last.distances.length - 1];
+    return JSON.stringify(last.distances);
+}
+
+const rows = [];
+for (const queue of Object.values(PRIORITY_QUEUES)) {
+    try {
+        const steps = TraceRunner.run(graphData, algorithm, { ...options, priorityQueue: queue });
+        const last = steps[steps.length - 1];
+        rows.push({ queue, stats: last.queueStats, result: resultOf(last) });
+    } catch (error) {
+        rows.push({ queue, error: error.message });
+    }
+}
+
+const counters = [...new Set(rows.flatMap(row => Object.keys(row.stats ?? {})))];
+const width = Math.max(...rows.map(row => row.queue.length));
+console.log(['queue'.padEnd(width), ...counters.map(name => name.padStart(11))].join(' '));
+rows.forEach(row => {
+    const cells = row.stats
+        ? counters.map(name => String(row.stats[name] ?? '—').padStart(11))
+        : [`skipped: ${row.error}`];
+    console.log([row.queue.padEnd(width), ...cells].join(' '));
+});
+
+const results = new Set(rows.filter(row => row.stats).map(row => row.result));
+if (results.size > 1) {
+    console.log(`❌ The queues disagree on the result of ${algorithm}`);
+    process.exit(1);
+}
+console.log(`✅ ${rows.filter(row => row.stats).length} queues give the same ${algorithm} result`);
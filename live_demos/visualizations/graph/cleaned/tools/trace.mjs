@@ -0,0 +1,42 @@
+// Run one algorithm on a graph file without the browser and write every step
+// as JSON Lines. Timestamps count steps, so the same input gives the same file.
+//
+// Run: node tools/trace.mjs <graph file> <algorithm> [--start 0] [--goal N]
+//          [--heuristic euclidean] [--heuristic-weight 1] [--output trace.jsonl]
+// Without --output the trace goes to stdout.
+
+import fs from 'fs';
+import { GraphIO } from '../js/io/GraphIO.js';
+import { TraceRunner } from '../js/trace/TraceRunner.js';
+import { parseArgs } from './args.mjs';
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+if (positional.length !== 2) {
+    console.error('Usage: node tools/trace.mjs <graph file> <algorithm> [--start N] [--goal N] [--heuristic name] [--heuristic-weight W] [--output file]');
+    process.exit(2);
+}
+
+const [graphPath, algorithm] = positional;
+const options = {
+    startNode: Number(flags.start ?? 0),
+    ...(flags.goal !== undefined && { goalNode: Number(flags.goal) }),
+    ...(flags.heuristic !== undefined && { heuristic: flags.heuristic }),
+    ...(flags['heuristic-weight'] !== undefined && { heuristicWeight: Number(flags['heuristic-weight']) })
+};
+
+let steps;
+try {
+    const graphData = GraphIO.parse(fs.readFileSync(graphPath, 'utf8'), { filename: graphPath });
+    steps = TraceRunner.run(graphData, algorithm, options);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const jsonl = TraceRunner.toJSONL(steps);
+if (flags.output) {
+    fs.writeFileSync(flags.output, jsonl);
+    console.log(`✅ ${steps.length} steps of ${algorithm} written to ${flags.output}`);
+} else {
+    process.stdout.write(jsonl);
+}
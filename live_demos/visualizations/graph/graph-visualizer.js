@@ -19,6 +19,11 @@ class GraphVisualizer {
         this.physicsEnabled = false;
         this.classicLayout = true; // Static ring layout (DEFAULT)
         
+        // Layout engines shared with cleaned/ (set up by the module script in index.html)
+        this.layouts = createLayouts();
+        this.selectedLayout = ''; // '' keeps the generated or imported positions
+        this.layoutTransition = null;
+        
         // Drag state
         this.draggedNode = null;
         this.mousePos = null;
@@ -69,6 +74,15 @@ class GraphVisualizer {
         this.hoveredNode = null;
         this.negativeCycle = null; // Store negative cycle edges for highlighting
         
+        // Graph editor shared with cleaned/: edit mode with undo/redo (set up by the module script in index.html)
+        this.editor = new GraphEditor(this.canvas, new LegacyGraphModel(this), {
+            nodeRadius: this.nodeRadius,
+            onEdit: (command) => this.handleGraphEdit(command),
+            onStatus: (text) => {
+                if (this.ui) this.ui.editStatus.textContent = text;
+            }
+        });
+        
         // UI elements
         this.setupUIElements();
         this.setupEventListeners();
@@ -94,6 +108,9 @@ class GraphVisualizer {
             prevBtn: document.getElementById('prevBtn'),
             stepBtn: document.getElementById('stepBtn'),
             generateBtn: document.getElementById('generateBtn'),
+            generatorSelect: document.getElementById('generatorSelect'),
+            seedInput: document.getElementById('seedInput'),
+            generatorStatus: document.getElementById('generatorStatus'),
             clearBtn: document.getElementById('clearBtn'),
             speedSlider: document.getElementById('speedSlider'),
             speedValue: document.getElementById('speedValue'),
@@ -101,6 +118,12 @@ class GraphVisualizer {
             weightedCheck: document.getElementById('weightedCheck'),
             weightMode: document.getElementById('weightMode'),
             classicLayoutCheck: document.getElementById('classicLayoutCheck'),
+            layoutSelect: document.getElementById('layoutSelect'),
+            editModeCheck: document.getElementById('editModeCheck'),
+            editHelp: document.getElementById('editHelp'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            editStatus: document.getElementById('editStatus'),
             useRealRiveCheck: document.getElementById('useRealRiveCheck'),
             floydMode: document.getElementById('floydMode'),
             floydModeSection: document.getElementById('floydModeSection'),
@@ -161,6 +184,10 @@ class GraphVisualizer {
         this.ui.prevBtn.addEventListener('click', () => this.previousStep());
         this.ui.stepBtn.addEventListener('click', () => this.step());
         this.ui.generateBtn.addEventListener('click', () => {
+            if (this.ui.generatorSelect && this.ui.generatorSelect.value) {
+                this.generateFromGenerator(this.ui.generatorSelect.value);
+                return;
+            }
             const nodeCount = 6 + Math.floor(Math.random() * 6);
             this.generateRandomGraph(nodeCount);
         });
@@ -192,6 +219,16 @@ class GraphVisualizer {
             this.render();
         });
 
+        this.ui.layoutSelect.addEventListener('change', (e) => {
+            this.selectedLayout = e.target.value;
+            this.applySelectedLayout();
+        });
+
+        // Graph editor
+        this.ui.editModeCheck.addEventListener('change', (e) => this.setEditMode(e.target.checked));
+        this.ui.undoBtn.addEventListener('click', () => this.editor.undo());
+        this.ui.redoBtn.addEventListener('click', () => this.editor.redo());
+
         // Node selection
         this.ui.startNode.addEventListener('change', () => this.reset());
         
@@ -241,6 +278,7 @@ class GraphVisualizer {
     arrangeNodesInCircle() {
         const nodeCount = this.graph.nodes.length;
         this.nodePositions = [];
+        this.layoutTransition = null;
         const centerX = this.canvas.width / 2;
         const centerY = this.canvas.height / 2;
         const radius = Math.min(centerX, centerY) * 0.7;
@@ -254,9 +292,40 @@ class GraphVisualizer {
         }
     }
 
+    // Ease the nodes into a layout (a LAYOUTS key from cleaned/js/core/Constants.js)
+    applyLayout(layoutKey, animate = true) {
+        const layout = this.layouts[layoutKey];
+        if (!layout) {
+            throw new Error(`Unknown layout "${layoutKey}"`);
+        }
+        if (this.graph.nodes.length === 0) return;
+        
+        const targets = layout.compute(this.graph, this.canvas.width, this.canvas.height);
+        if (animate) {
+            this.layoutTransition = new LayoutTransition(this.nodePositions, targets, performance.now());
+        } else {
+            this.layoutTransition = null;
+            this.nodePositions = targets;
+        }
+    }
+
+    // Apply the layout chosen in the dropdown, if any; a layout that does not fit
+    // the graph (bipartite with an odd cycle) says why in the step info
+    applySelectedLayout() {
+        if (!this.selectedLayout) return;
+        
+        try {
+            this.applyLayout(this.selectedLayout);
+        } catch (error) {
+            this.ui.stepInfo.textContent = `⚠️ ${error.message}`;
+        }
+    }
+
     generateRandomGraph(nodeCount) {
         this.graph.nodes = Array(nodeCount).fill(null).map((_, i) => ({ id: i }));
         this.graph.edges = [];
+        this.editor.reset();
+        this.updateEditControls();
         
         // Generate positions
         this.arrangeNodesInCircle();
@@ -343,9 +412,67 @@ class GraphVisualizer {
         this.checkAlgorithmFailures();
         
         this.reset();
+        this.applySelectedLayout();
         this.render();
     }
     
+    // Seeded graph from the shared generators (cleaned/js/generators), at each generator's default size.
+    // The seed is reported so the same graph can be rebuilt; adversarial generators also say what they planted
+    generateFromGenerator(selection) {
+        const options = { directed: this.ui.directedCheck.checked, seed: this.ui.seedInput.value.trim() || undefined };
+        let generatorKey = selection;
+        if (selection === 'prim-contrast-dense') {
+            generatorKey = 'prim-contrast';
+            options.dense = true;
+        }
+        // Families that only make directed graphs refuse directed: false; loadGraph ticks the box to match
+        if (GraphGenerators.isDirectedOnly(generatorKey)) {
+            options.directed = true;
+        }
+
+        let result;
+        try {
+            result = GraphGenerators.generate(generatorKey, {
+                ...options,
+                width: this.canvas.width,
+                height: this.canvas.height
+            });
+        } catch (error) {
+            this.ui.generatorStatus.style.color = '#ef5350';
+            this.ui.generatorStatus.textContent = `❌ ${error.message}`;
+            return;
+        }
+
+        this.loadGraph(result.graph);
+        const planted = result.graph.planted;
+        if (planted) {
+            this.ui.startNode.value = planted.startNode;
+            this.reset();
+        }
+        this.ui.generatorStatus.style.color = '#81c784';
+        this.ui.generatorStatus.textContent = `🎲 Seed ${result.seed}${this.describePlanted(planted)}`;
+    }
+
+    describePlanted(planted) {
+        if (!planted) return '';
+        if (planted.cycle) {
+            return `\nNegative cycle ${[...planted.cycle, planted.cycle[0]].join(' → ')} (total ${planted.weight})`;
+        }
+        if (planted.negativeEdge) {
+            return `\nDijkstra from node ${planted.startNode} reports ${planted.dijkstraDistance} for node ${planted.target}; `
+                + `the shortest path costs ${planted.correctDistance}`;
+        }
+        if (planted.queuePops !== undefined) {
+            return `\nSPFA from node ${planted.startNode} dequeues ${planted.queuePops} times`;
+        }
+        if (planted.dense !== undefined) {
+            return planted.dense
+                ? '\nDense: every edge passes through the Prim heap (compare Prim with Prim (Optimized))'
+                : '\nSparse: the Prim heap stays small next to an O(V²) scan';
+        }
+        return '';
+    }
+    
     // Detect negative cycle using Bellman-Ford and return cycle edges if found
     detectNegativeCycle() {
         const n = this.graph.nodes.length;
@@ -540,7 +667,8 @@ class GraphVisualizer {
                 message: 'This graph contains a <strong>negative cycle</strong>. The optimal path cost is <strong>-∞</strong>.' + undirectedNote + '<br><br>'
                     + '❌ <strong>Dijkstra will fail silently</strong> (gives wrong result without warning)<br>'
                     + '✅ <strong>Bellman-Ford and SPFA will detect the cycle</strong> and report it.',
-                severity: 'critical'
+                severity: 'critical',
+                comparePreset: 'shortest-paths'
             });
         } else if (hasNegativeEdges) {
             // Has negative edges but no cycle - only Dijkstra fails
@@ -556,7 +684,8 @@ class GraphVisualizer {
                 message: `This graph has <strong>negative edges</strong> (but no negative cycle).<br><br>
                     ${counterexampleText}
                     ✅ Use <strong>Bellman-Ford</strong> or <strong>SPFA</strong> instead!`,
-                severity: 'error'
+                severity: 'error',
+                comparePreset: 'shortest-paths'
             });
         }
         
@@ -587,6 +716,10 @@ class GraphVisualizer {
             html += `<div style="background: ${bgColor}; border-left: 4px solid ${borderColor}; padding: 12px; margin-bottom: ${i < warnings.length - 1 ? '12px' : '0'}; border-radius: 4px; backdrop-filter: blur(10px);">`;
             html += `<div style="font-weight: 600; margin-bottom: 8px; color: ${textColor}; text-shadow: 0 0 8px rgba(212, 175, 55, 0.3);">${warning.title}</div>`;
             html += `<div style="line-height: 1.5; color: ${textColor};">${warning.message}</div>`;
+            // Run the algorithms side by side on this graph (the bench is set up by the module script in index.html)
+            if (warning.comparePreset && window.openComparisonBench) {
+                html += `<button onclick="window.openComparisonBench('${warning.comparePreset}')" style="margin-top: 10px; padding: 6px 10px; border: 1px solid ${borderColor}; border-radius: 4px; background: none; color: ${textColor}; cursor: pointer;">⚖️ Compare Dijkstra, SPFA and Bellman-Ford</button>`;
+            }
             html += '</div>';
         });
         
@@ -606,14 +739,88 @@ class GraphVisualizer {
         }
     }
 
+    // Replace the graph with imported data: { nodes: [{ x, y }], edges: [{ from, to, weight }], directed }
+    loadGraph(graphData) {
+        this.graph.nodes = graphData.nodes.map((_, i) => ({ id: i }));
+        this.graph.edges = graphData.edges.map(({ from, to, weight }) => ({ from, to, weight }));
+        this.graph.directed = graphData.directed || false;
+        this.nodePositions = graphData.nodes.map(node => ({ x: node.x, y: node.y }));
+        this.layoutTransition = null;
+        this.editor.reset();
+        this.updateEditControls();
+        this.ui.directedCheck.checked = this.graph.directed;
+        
+        this.updateNodeSelectors();
+        this.physics.initialize(this.graph.nodes.length);
+        this.checkAlgorithmFailures();
+        this.reset();
+        this.applySelectedLayout();
+        this.render();
+    }
+
+    // Current graph with its on-screen positions, in loadGraph's format
+    getGraphData() {
+        return {
+            directed: this.graph.directed,
+            nodes: this.graph.nodes.map((_, i) => ({ x: this.nodePositions[i].x, y: this.nodePositions[i].y })),
+            edges: this.graph.edges.map(({ from, to, weight }) => ({ from, to, weight }))
+        };
+    }
+
     clear() {
         this.graph.nodes = [];
         this.graph.edges = [];
         this.nodePositions = [];
+        this.layoutTransition = null;
+        this.editor.reset();
+        this.updateEditControls();
         this.reset();
         this.render();
     }
 
+    // Edit mode: the editor takes over the mouse, and physics holds still so nodes stay where they are put
+    setEditMode(enabled) {
+        if (enabled) {
+            this.layoutTransition = null;
+            this.editor.enable();
+        } else {
+            this.editor.disable();
+        }
+        this.ui.editHelp.style.display = enabled ? 'block' : 'none';
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+        this.render();
+    }
+
+    // After an edit, undo or redo. Steps recorded on the old graph name nodes and edges by
+    // index, which the edit may have shifted, so a run in progress is dropped
+    handleGraphEdit(command) {
+        this.layoutTransition = null;
+        if (command.changesGraph) {
+            const startNode = parseInt(this.ui.startNode.value) || 0;
+            this.hoveredNode = null;
+            this.shortestPaths = {};
+            this.updateNodeSelectors();
+            this.ui.startNode.value = Math.min(startNode, Math.max(this.graph.nodes.length - 1, 0));
+            this.physics.initialize(this.graph.nodes.length);
+            this.checkAlgorithmFailures();
+
+            if (this.algorithmGenerator || this.stepHistory.length > 0) {
+                this.reset();
+                this.editor.setStatus(`${this.editor.status} (algorithm stopped: press Play to run it on the edited graph)`);
+            }
+        }
+        this.updateEditControls();
+        this.render();
+    }
+
+    updateEditControls() {
+        const history = this.editor.history;
+        this.ui.undoBtn.disabled = !history.canUndo();
+        this.ui.redoBtn.disabled = !history.canRedo();
+        this.ui.undoBtn.title = history.canUndo() ? `Undo: ${history.peekUndo()}` : '';
+        this.ui.redoBtn.title = history.canRedo() ? `Redo: ${history.peekRedo()}` : '';
+    }
+
     play() {
         if (this.isPlaying && !this.isPaused) return;
         
@@ -677,39 +884,35 @@ class GraphVisualizer {
         // Hide all data panels first
         this.hideAllDataPanels();
         
+        // Algorithms and steps come from cleaned/js, adapted by the module script in index.html
+        this.algorithmGenerator = LegacyAlgorithms.run(this.selectedAlgorithm, this.graph, startNode);
+        
         switch (this.selectedAlgorithm) {
             case 'dijkstra':
-                this.algorithmGenerator = GraphAlgorithms.dijkstra(this.graph, startNode);
                 this.ui.pqPanel.style.display = 'block';
                 this.ui.distancePanel.style.display = 'block';
                 this.ui.comparisonPanel.style.display = 'block';
                 break;
             case 'prim':
-                this.algorithmGenerator = GraphAlgorithms.prim(this.graph, startNode);
                 this.ui.mstPanel.style.display = 'block';
                 this.ui.pqPanel.style.display = 'block';
                 break;
             case 'prim-optimized':
-                this.algorithmGenerator = GraphAlgorithms.primOptimized(this.graph, startNode);
                 this.ui.mstPanel.style.display = 'block';
                 this.ui.pqPanel.style.display = 'block';
                 break;
             case 'kruskal':
-                this.algorithmGenerator = GraphAlgorithms.kruskal(this.graph);
                 this.ui.mstPanel.style.display = 'block';
                 break;
             case 'bellman':
-                this.algorithmGenerator = GraphAlgorithms.bellmanFord(this.graph, startNode);
                 this.ui.distancePanel.style.display = 'block';
                 break;
             case 'spfa':
-                this.algorithmGenerator = GraphAlgorithms.spfa(this.graph, startNode);
                 this.ui.queuePanel.style.display = 'block';
                 this.ui.distancePanel.style.display = 'block';
                 this.ui.comparisonPanel.style.display = 'block';
                 break;
             case 'floyd':
-                this.algorithmGenerator = GraphAlgorithms.floydWarshall(this.graph);
                 this.ui.floydPanel.style.display = 'block';
                 this.ui.comparisonPanel.style.display = 'block';
                 break;
@@ -1234,16 +1437,6 @@ class GraphVisualizer {
                 }
                 break;
                 
-            case 'discard_old':
-                // Dijkstra: discarded stale PQ entry
-                if (step.priorityQueue) {
-                    this.animationState.priorityQueue = step.priorityQueue;
-                }
-                if (step.current !== undefined && pos[step.current]) {
-                    this.rive.createNodePulse(pos[step.current].x, pos[step.current].y, '#999', 0.8);
-                }
-                break;
-                
             case 'dequeue':
                 // SPFA: node popped from queue, about to process its edges
                 if (step.current !== undefined && pos[step.current]) {
@@ -1531,6 +1724,9 @@ class GraphVisualizer {
         
         // Draw particles (radial rings, pulses, etc.) on top of graph
         this.rive.renderParticles();
+        
+        // Selection and gestures in edit mode
+        this.editor.drawOverlay(this.ctx);
     }
 
     drawEdge(edge) {
@@ -2000,6 +2196,7 @@ class GraphVisualizer {
     
     // Mouse handling for dragging
     handleMouseDown(e) {
+        if (this.editor.enabled) return; // The editor handles the mouse in edit mode
         if (this.classicLayout) return; // No dragging in classic mode
         
         const rect = this.canvas.getBoundingClientRect();
@@ -2066,7 +2263,14 @@ class GraphVisualizer {
     // Physics animation loop
     startPhysicsLoop() {
         const animate = () => {
-            if (this.physicsEnabled && this.nodePositions.length > 0) {
+            if (this.layoutTransition) {
+                // Physics waits until the nodes reach their layout
+                const now = performance.now();
+                this.nodePositions = this.layoutTransition.positionsAt(now);
+                if (this.layoutTransition.isFinished(now)) {
+                    this.layoutTransition = null;
+                }
+            } else if (this.physicsEnabled && !this.editor.enabled && this.nodePositions.length > 0) {
                 const bounds = {
                     width: this.canvas.width,
                     height: this.canvas.height